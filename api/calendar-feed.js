@@ -0,0 +1,87 @@
+import { createClient } from '@supabase/supabase-js';
+import {
+  buildPersonalCalendar,
+  withRefreshInterval,
+  fromSessionRow,
+  getCalendarSequence
+} from '../src/core/utils/calendarEvents.js';
+
+/**
+ * Calendar Feed Endpoint
+ *
+ * GET /api/calendar-feed?token=... returns one learner's or trainer's training sessions as an
+ * .ics calendar that calendar clients subscribe to and refresh. Runs as a Vercel serverless
+ * function in production; vite.config.js serves the same handler under `npm run dev`.
+ *
+ * Calendar clients cannot sign in, so the feed is read with the anon key through
+ * get_calendar_feed (calendar_feeds_schema.sql), which only answers for an active token.
+ */
+
+// How often subscribed calendar clients are asked to refresh
+const REFRESH_INTERVAL = 'PT1H';
+
+const sendText = (res, statusCode, message) => {
+  res.statusCode = statusCode;
+  res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+  res.end(message);
+};
+
+/**
+ * Create the feed request handler
+ * @param {Object} config
+ * @param {string} config.supabaseUrl - Supabase project URL
+ * @param {string} config.supabaseKey - Supabase anon key
+ * @returns {Function} (req, res) => Promise<void>, for Node's http server, Vercel or Connect
+ */
+export const createCalendarFeedHandler = ({ supabaseUrl, supabaseKey }) => {
+  const supabase = createClient(supabaseUrl, supabaseKey, {
+    auth: { persistSession: false, autoRefreshToken: false }
+  });
+
+  return async (req, res) => {
+    const token = new URL(req.url, 'http://localhost').searchParams.get('token');
+    if (!token) {
+      sendText(res, 400, 'A calendar feed token is required');
+      return;
+    }
+
+    try {
+      const { data, error } = await supabase.rpc('get_calendar_feed', { p_token: token });
+
+      if (error) {
+        throw error;
+      }
+      if (!data) {
+        sendText(res, 404, 'This calendar feed does not exist or has been revoked');
+        return;
+      }
+
+      // get_calendar_feed returns only the person's own sessions
+      const { person, sessions } = data;
+
+      const { content } = buildPersonalCalendar(sessions.map(fromSessionRow), {
+        getSequence: (session) => getCalendarSequence({ version: session.schedule_version }),
+        calName: `Training - ${person.name}`
+      });
+
+      res.statusCode = 200;
+      res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+      res.setHeader('Content-Disposition', 'inline; filename="training.ics"');
+      res.setHeader('Cache-Control', 'private, max-age=300');
+      res.end(withRefreshInterval(content, REFRESH_INTERVAL));
+    } catch (error) {
+      console.error('❌ Error in calendar feed:', error);
+      sendText(res, 500, 'The calendar feed is unavailable, please try again later');
+    }
+  };
+};
+
+let handler = null;
+
+export default async function calendarFeed(req, res) {
+  handler = handler || createCalendarFeedHandler({
+    supabaseUrl: process.env.VITE_SUPABASE_URL,
+    supabaseKey: process.env.VITE_SUPABASE_ANON_KEY
+  });
+  return handler(req, res);
+}
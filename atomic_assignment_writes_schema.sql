@@ -0,0 +1,185 @@
+-- =====================================================
+-- ATOMIC ASSIGNMENT WRITES
+-- Checked, all-or-nothing change sets for learner assignments
+-- =====================================================
+
+-- Purpose: The User Assignments screen adds and removes learner assignments
+-- while other coordinators may have the same schedule open.
+-- apply_user_assignment_changes applies a change set (assignment deletes and
+-- inserts) inside one transaction, as apply_training_session_changes does for
+-- sessions. Every row is tried so that all failures can be reported together;
+-- if any row fails, nothing is written and the failures are returned in the
+-- error DETAIL as a JSON array:
+--   [{ "operation": "insert", "index": 0, "id": null, "session_id": "...", "end_user_id": "...",
+--      "message": "Session was changed by someone else", "conflict": true }]
+--
+-- Optimistic concurrency:
+--   p_expected_versions maps assignment ids to the updated_at the caller last
+--   saw. Deleting an assignment someone else has changed since then fails with
+--   "conflict": true; assignments someone else has already deleted are skipped.
+--   p_expected_session_versions maps session ids to the updated_at the caller
+--   last saw. Assigning a learner to a session someone else has changed or
+--   deleted since then fails with "conflict": true.
+--
+-- Run after realtime_collaboration_schema.sql, which adds the updated_at
+-- versions. Runs with the caller's permissions, so the user_assignments RLS
+-- policies still apply.
+
+-- =====================================================
+-- FUNCTION: apply_user_assignment_changes
+-- =====================================================
+
+CREATE OR REPLACE FUNCTION apply_user_assignment_changes(
+  p_project_id UUID,
+  p_schedule_id UUID,
+  p_inserts JSONB DEFAULT '[]'::jsonb,
+  -- [{ <user_assignments columns> }] - schedule_id and project_id are set here
+  p_delete_ids TEXT[] DEFAULT '{}',
+  p_expected_versions JSONB DEFAULT NULL,
+  -- { "<assignment id>": "<updated_at>" } - assignments not listed are deleted unchecked
+  p_expected_session_versions JSONB DEFAULT NULL
+  -- { "<session id>": "<updated_at>" } - sessions not listed are not checked
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_failures JSONB := '[]'::jsonb;
+  v_inserted JSONB := '[]'::jsonb;
+  v_row JSONB;
+  v_index INTEGER;
+  v_columns TEXT;
+  v_inserted_row JSONB;
+  v_deleted INTEGER := 0;
+  v_id TEXT;
+  v_session_id TEXT;
+  v_current_version TIMESTAMPTZ;
+  v_found BOOLEAN;
+BEGIN
+  IF p_project_id IS NULL OR p_schedule_id IS NULL THEN
+    RAISE EXCEPTION 'Project ID and schedule ID are required for all assignment operations';
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM training_schedules ts WHERE ts.id = p_schedule_id AND ts.project_id = p_project_id
+  ) THEN
+    RAISE EXCEPTION 'Schedule not found in this project';
+  END IF;
+
+  -- Deletes first, so a learner moved to another group can be added back in the same change set.
+  -- Assignments changed by someone else since the caller loaded them are kept.
+  PERFORM 1
+     FROM user_assignments a
+    WHERE a.id::text = ANY(p_delete_ids)
+      AND a.schedule_id = p_schedule_id
+      FOR UPDATE;
+
+  FOR v_id IN
+    SELECT a.id::text
+      FROM user_assignments a
+     WHERE a.id::text = ANY(p_delete_ids)
+       AND a.schedule_id = p_schedule_id
+       AND p_expected_versions ? a.id::text
+       AND a.updated_at IS DISTINCT FROM (p_expected_versions ->> a.id::text)::timestamptz
+  LOOP
+    v_failures := v_failures || jsonb_build_object(
+      'operation', 'delete',
+      'index', NULL,
+      'id', v_id,
+      'session_id', NULL,
+      'end_user_id', NULL,
+      'message', 'Assignment was changed by someone else',
+      'conflict', true
+    );
+  END LOOP;
+
+  IF array_length(p_delete_ids, 1) > 0 THEN
+    BEGIN
+      DELETE FROM user_assignments
+       WHERE id::text = ANY(p_delete_ids)
+         AND schedule_id = p_schedule_id;
+      GET DIAGNOSTICS v_deleted = ROW_COUNT;
+    EXCEPTION WHEN OTHERS THEN
+      v_failures := v_failures || jsonb_build_object(
+        'operation', 'delete',
+        'index', NULL,
+        'id', NULL,
+        'session_id', NULL,
+        'end_user_id', NULL,
+        'message', SQLERRM
+      );
+    END;
+  END IF;
+
+  -- Inserts
+  FOR v_index IN 0 .. jsonb_array_length(p_inserts) - 1 LOOP
+    v_row := (p_inserts -> v_index) - 'id' - 'created_at' - 'updated_at'
+      || jsonb_build_object('schedule_id', p_schedule_id, 'project_id', p_project_id);
+    v_session_id := v_row ->> 'session_id';
+
+    -- The session was saved or deleted by someone else since the caller loaded it
+    IF v_session_id IS NOT NULL AND p_expected_session_versions ? v_session_id THEN
+      SELECT s.updated_at INTO v_current_version
+        FROM training_sessions s
+       WHERE s.id::text = v_session_id AND s.schedule_id = p_schedule_id
+         FOR SHARE;
+      v_found := FOUND;
+
+      IF NOT v_found OR v_current_version IS DISTINCT FROM (p_expected_session_versions ->> v_session_id)::timestamptz THEN
+        v_failures := v_failures || jsonb_build_object(
+          'operation', 'insert',
+          'index', v_index,
+          'id', NULL,
+          'session_id', v_session_id,
+          'end_user_id', v_row ->> 'end_user_id',
+          'message', CASE WHEN v_found
+            THEN 'Session was changed by someone else'
+            ELSE 'Session was deleted by someone else' END,
+          'conflict', true
+        );
+        CONTINUE;
+      END IF;
+    END IF;
+
+    BEGIN
+      SELECT string_agg(format('%I', key), ', ')
+        INTO v_columns
+        FROM jsonb_object_keys(v_row) AS key;
+
+      EXECUTE format(
+        'INSERT INTO user_assignments (%1$s)
+         SELECT %1$s FROM jsonb_populate_record(NULL::user_assignments, $1)
+         RETURNING to_jsonb(user_assignments.*)',
+        v_columns
+      ) USING v_row INTO v_inserted_row;
+
+      v_inserted := v_inserted || jsonb_build_array(v_inserted_row);
+    EXCEPTION WHEN OTHERS THEN
+      v_failures := v_failures || jsonb_build_object(
+        'operation', 'insert',
+        'index', v_index,
+        'id', NULL,
+        'session_id', v_session_id,
+        'end_user_id', v_row ->> 'end_user_id',
+        'message', SQLERRM
+      );
+    END;
+  END LOOP;
+
+  -- Any failure rolls back the whole change set
+  IF jsonb_array_length(v_failures) > 0 THEN
+    RAISE EXCEPTION 'Assignment changes were not saved: % row(s) failed', jsonb_array_length(v_failures)
+      USING DETAIL = v_failures::text;
+  END IF;
+
+  -- inserted holds the new user_assignments rows
+  RETURN jsonb_build_object(
+    'inserted', v_inserted,
+    'deleted', v_deleted
+  );
+END;
+$$ LANGUAGE plpgsql SECURITY INVOKER;
+
+-- =====================================================
+-- PERMISSIONS
+-- =====================================================
+
+GRANT EXECUTE ON FUNCTION apply_user_assignment_changes(UUID, UUID, JSONB, TEXT[], JSONB, JSONB) TO authenticated;
@@ -0,0 +1,201 @@
+-- =====================================================
+-- AUDIT LOG
+-- Who changed sessions, learner assignments and attendance, and when
+-- =====================================================
+
+-- Purpose: Every insert, update and delete on training_sessions,
+-- user_assignments and attendance_records is recorded by a trigger, whichever
+-- screen or service made it. An entry holds:
+--   - the actor (auth.uid() and the email from their token)
+--   - the values before and after the change (only the changed columns for an update)
+--   - the time of the change
+--   - the source screen, taken from the x-audit-source request header that the
+--     app sets for each screen (see setAuditSource in supabaseClient.js)
+-- schedule_id, session_id and end_user_id are copied out of the row so the
+-- Audit Log screen can filter by them. They are stored as text without
+-- foreign keys so that history survives the rows being deleted.
+--
+-- Entries are written only by the trigger and cannot be edited or deleted by
+-- users; they are removed only when their project is deleted.
+
+-- =====================================================
+-- TABLE: audit_log
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS audit_log (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  project_id UUID REFERENCES projects(id) ON DELETE CASCADE,
+  table_name TEXT NOT NULL,
+  record_id TEXT,
+  action VARCHAR(10) NOT NULL CHECK (action IN ('insert', 'update', 'delete')),
+  schedule_id TEXT,
+  session_id TEXT,
+  end_user_id TEXT,
+  changed_fields TEXT[],
+  before_values JSONB,
+  after_values JSONB,
+  actor_id UUID,
+  actor_email TEXT,
+  source_screen TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- =====================================================
+-- INDEXES FOR PERFORMANCE
+-- =====================================================
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_project_created
+  ON audit_log(project_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_schedule_id
+  ON audit_log(schedule_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_session_id
+  ON audit_log(session_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_end_user_id
+  ON audit_log(end_user_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_actor_id
+  ON audit_log(actor_id, created_at DESC);
+
+-- =====================================================
+-- ROW LEVEL SECURITY (RLS) POLICIES
+-- =====================================================
+
+-- Read-only for project users; there are no INSERT, UPDATE or DELETE policies
+
+ALTER TABLE audit_log ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view the audit log for their projects"
+  ON audit_log
+  FOR SELECT
+  USING (
+    project_id IN (
+      SELECT pu.project_id
+      FROM project_users pu
+      WHERE pu.user_id = auth.uid()
+        AND pu.is_active = true
+    )
+  );
+
+-- =====================================================
+-- FUNCTION: record_audit_entry
+-- =====================================================
+
+-- Runs as the table owner so it can write to audit_log, which users cannot
+CREATE OR REPLACE FUNCTION record_audit_entry()
+RETURNS TRIGGER AS $$
+DECLARE
+  v_old JSONB := CASE WHEN TG_OP <> 'INSERT' THEN to_jsonb(OLD) END;
+  v_new JSONB := CASE WHEN TG_OP <> 'DELETE' THEN to_jsonb(NEW) END;
+  v_row JSONB;
+  v_changed TEXT[];
+  v_before JSONB;
+  v_after JSONB;
+  v_schedule_id TEXT;
+  v_session_id TEXT;
+  v_end_user_id TEXT;
+  v_project_id UUID;
+  v_source TEXT;
+BEGIN
+  v_row := COALESCE(v_new, v_old);
+
+  IF TG_OP = 'UPDATE' THEN
+    SELECT array_agg(n.key ORDER BY n.key)
+      INTO v_changed
+      FROM jsonb_each(v_new) n
+     WHERE n.key NOT IN ('updated_at')
+       AND n.value IS DISTINCT FROM v_old -> n.key;
+
+    -- Saves that rewrite a row without changing it are not recorded
+    IF v_changed IS NULL THEN
+      RETURN NULL;
+    END IF;
+
+    SELECT jsonb_object_agg(key, v_old -> key), jsonb_object_agg(key, v_new -> key)
+      INTO v_before, v_after
+      FROM unnest(v_changed) AS key;
+  ELSE
+    v_before := v_old;
+    v_after := v_new;
+  END IF;
+
+  IF TG_TABLE_NAME = 'training_sessions' THEN
+    v_session_id := v_row ->> 'id';
+    v_schedule_id := v_row ->> 'schedule_id';
+  ELSIF TG_TABLE_NAME = 'user_assignments' THEN
+    v_session_id := v_row ->> 'session_id';
+    v_schedule_id := v_row ->> 'schedule_id';
+    v_end_user_id := v_row ->> 'end_user_id';
+  ELSE
+    -- attendance_records
+    v_session_id := v_row ->> 'session_id';
+    v_end_user_id := v_row ->> 'attendee_id';
+    SELECT ts.schedule_id::text INTO v_schedule_id
+      FROM training_sessions ts
+     WHERE ts.id::text = v_session_id;
+  END IF;
+
+  v_project_id := NULLIF(v_row ->> 'project_id', '')::uuid;
+  IF v_project_id IS NULL AND v_schedule_id IS NOT NULL THEN
+    SELECT s.project_id INTO v_project_id
+      FROM training_schedules s
+     WHERE s.id::text = v_schedule_id;
+  END IF;
+
+  -- Rows removed because their project is being deleted take their history with them
+  IF v_project_id IS NOT NULL AND NOT EXISTS (SELECT 1 FROM projects p WHERE p.id = v_project_id) THEN
+    RETURN NULL;
+  END IF;
+
+  BEGIN
+    v_source := current_setting('request.headers', true)::jsonb ->> 'x-audit-source';
+  EXCEPTION WHEN OTHERS THEN
+    v_source := NULL;
+  END;
+
+  INSERT INTO audit_log (
+    project_id, table_name, record_id, action,
+    schedule_id, session_id, end_user_id,
+    changed_fields, before_values, after_values,
+    actor_id, actor_email, source_screen
+  ) VALUES (
+    v_project_id, TG_TABLE_NAME, v_row ->> 'id', lower(TG_OP),
+    v_schedule_id, v_session_id, v_end_user_id,
+    v_changed, v_before, v_after,
+    auth.uid(), auth.jwt() ->> 'email',
+    COALESCE(v_source, CASE WHEN auth.uid() IS NULL THEN 'System' END)
+  );
+
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- =====================================================
+-- TRIGGERS
+-- =====================================================
+
+DROP TRIGGER IF EXISTS training_sessions_audit ON training_sessions;
+CREATE TRIGGER training_sessions_audit
+  AFTER INSERT OR UPDATE OR DELETE ON training_sessions
+  FOR EACH ROW
+  EXECUTE FUNCTION record_audit_entry();
+
+DROP TRIGGER IF EXISTS user_assignments_audit ON user_assignments;
+CREATE TRIGGER user_assignments_audit
+  AFTER INSERT OR UPDATE OR DELETE ON user_assignments
+  FOR EACH ROW
+  EXECUTE FUNCTION record_audit_entry();
+
+DROP TRIGGER IF EXISTS attendance_records_audit ON attendance_records;
+CREATE TRIGGER attendance_records_audit
+  AFTER INSERT OR UPDATE OR DELETE ON attendance_records
+  FOR EACH ROW
+  EXECUTE FUNCTION record_audit_entry();
+
+-- =====================================================
+-- PERMISSIONS
+-- =====================================================
+
+GRANT SELECT ON audit_log TO authenticated;
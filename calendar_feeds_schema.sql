@@ -0,0 +1,180 @@
+-- =====================================================
+-- CALENDAR FEEDS
+-- Subscribable personal training calendars for learners and trainers
+-- =====================================================
+
+-- Purpose: A calendar feed is a secret URL that a learner or trainer adds to
+-- Outlook, Google Calendar or Apple Calendar as a subscription. The calendar
+-- client fetches it regularly from the calendar feed endpoint
+-- (api/calendar-feed.js), so schedule changes show up without anyone sending
+-- a new file. Each feed holds only that person's sessions.
+-- Calendar clients cannot sign in, so the endpoint calls get_calendar_feed
+-- with the feed's token as the anon role. The function returns only the one
+-- person's data, and only from schedules that have been published to
+-- learners (published, in delivery or closed); drafts never appear in feeds.
+-- Revoking a feed stops its URL working; a new feed for the same person gets
+-- a new token.
+
+-- =====================================================
+-- TABLE: calendar_feeds
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS calendar_feeds (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+  end_user_id INTEGER REFERENCES end_users(id) ON DELETE CASCADE,
+  trainer_id UUID REFERENCES trainers(id) ON DELETE CASCADE,
+  token TEXT NOT NULL UNIQUE DEFAULT replace(gen_random_uuid()::text || gen_random_uuid()::text, '-', ''),
+  created_by UUID,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  last_accessed_at TIMESTAMPTZ,
+  revoked_at TIMESTAMPTZ,
+
+  CONSTRAINT check_calendar_feed_person CHECK ((end_user_id IS NULL) <> (trainer_id IS NULL))
+);
+
+-- One active feed per person
+CREATE UNIQUE INDEX IF NOT EXISTS idx_calendar_feeds_active_end_user
+  ON calendar_feeds(project_id, end_user_id) WHERE revoked_at IS NULL AND end_user_id IS NOT NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_calendar_feeds_active_trainer
+  ON calendar_feeds(project_id, trainer_id) WHERE revoked_at IS NULL AND trainer_id IS NOT NULL;
+
+-- =====================================================
+-- ROW LEVEL SECURITY (RLS) POLICIES
+-- =====================================================
+
+ALTER TABLE calendar_feeds ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view calendar feeds for their projects"
+  ON calendar_feeds
+  FOR SELECT
+  USING (
+    project_id IN (
+      SELECT pu.project_id
+      FROM project_users pu
+      WHERE pu.user_id = auth.uid()
+        AND pu.is_active = true
+    )
+  );
+
+CREATE POLICY "Users can create calendar feeds for their projects"
+  ON calendar_feeds
+  FOR INSERT
+  WITH CHECK (
+    project_id IN (
+      SELECT pu.project_id
+      FROM project_users pu
+      WHERE pu.user_id = auth.uid()
+        AND pu.is_active = true
+        AND pu.role IN ('owner', 'admin', 'member')
+    )
+  );
+
+CREATE POLICY "Users can revoke calendar feeds for their projects"
+  ON calendar_feeds
+  FOR UPDATE
+  USING (
+    project_id IN (
+      SELECT pu.project_id
+      FROM project_users pu
+      WHERE pu.user_id = auth.uid()
+        AND pu.is_active = true
+        AND pu.role IN ('owner', 'admin', 'member')
+    )
+  );
+
+-- =====================================================
+-- FUNCTION: get_calendar_feed
+-- =====================================================
+
+-- Returns { person, sessions } for an active feed token, or NULL.
+--   person   - { kind: 'learner' | 'trainer', id, name, email }
+--   sessions - the person's training_sessions rows, each with the schedule's
+--              version as schedule_version (the events' SEQUENCE): for a
+--              learner the sessions their assignments cover, for a trainer
+--              the sessions they deliver
+CREATE OR REPLACE FUNCTION get_calendar_feed(p_token TEXT)
+RETURNS JSONB AS $$
+DECLARE
+  v_feed calendar_feeds%ROWTYPE;
+  v_person JSONB;
+  v_sessions JSONB;
+BEGIN
+  SELECT * INTO v_feed
+  FROM calendar_feeds
+  WHERE token = p_token AND revoked_at IS NULL;
+
+  IF NOT FOUND THEN
+    RETURN NULL;
+  END IF;
+
+  UPDATE calendar_feeds SET last_accessed_at = NOW() WHERE id = v_feed.id;
+
+  IF v_feed.end_user_id IS NOT NULL THEN
+    SELECT jsonb_build_object('kind', 'learner', 'id', eu.id, 'name', eu.name, 'email', eu.email)
+    INTO v_person
+    FROM end_users eu
+    WHERE eu.id = v_feed.end_user_id AND eu.project_id = v_feed.project_id;
+
+    -- The learner's sessions only, matched the way getSessionAttendeeIds
+    -- (src/core/utils/calendarEvents.js) matches assignments to sessions
+    SELECT COALESCE(jsonb_agg(to_jsonb(s) || jsonb_build_object('schedule_version', ts.version) ORDER BY s.start_datetime), '[]'::jsonb)
+    INTO v_sessions
+    FROM training_sessions s
+    JOIN training_schedules ts ON ts.id = s.schedule_id
+    CROSS JOIN LATERAL (
+      SELECT COALESCE(s.session_title, s.course_name || ' - Group ' || s.session_number) AS title
+    ) st
+    WHERE s.project_id = v_feed.project_id
+      AND ts.status IN ('published', 'in_delivery', 'closed')
+      AND EXISTS (
+        SELECT 1
+        FROM user_assignments ua
+        WHERE ua.end_user_id = v_feed.end_user_id
+          AND ua.schedule_id = s.schedule_id
+          AND (
+            (ua.assignment_level = 'session'
+              AND (ua.session_identifier::text = s.id::text OR ua.session_id::text = s.id::text))
+            OR (ua.assignment_level = 'course' AND ua.course_id::text = s.course_id::text)
+            OR (ua.assignment_level = 'group'
+              AND substring(st.title from 'Group (\d+)') IS NOT NULL
+              AND ua.group_identifier LIKE ('%Group' || substring(st.title from 'Group (\d+)')))
+            OR (ua.assignment_level = 'training_location'
+              AND (COALESCE(ua.training_location, '') = ''
+                OR ua.training_location = COALESCE(
+                  NULLIF(s.training_location, ''),
+                  CASE WHEN position('|' IN st.title) > 0 THEN trim(split_part(st.title, '|', 1)) ELSE '' END
+                )))
+          )
+      );
+  ELSE
+    SELECT jsonb_build_object('kind', 'trainer', 'id', t.id, 'name', t.name, 'email', t.email)
+    INTO v_person
+    FROM trainers t
+    WHERE t.id = v_feed.trainer_id AND t.project_id = v_feed.project_id;
+
+    SELECT COALESCE(jsonb_agg(to_jsonb(s) || jsonb_build_object('schedule_version', ts.version) ORDER BY s.start_datetime), '[]'::jsonb)
+    INTO v_sessions
+    FROM training_sessions s
+    JOIN training_schedules ts ON ts.id = s.schedule_id
+    WHERE s.project_id = v_feed.project_id
+      AND ts.status IN ('published', 'in_delivery', 'closed')
+      AND s.instructor_id::text = v_feed.trainer_id::text;
+  END IF;
+
+  IF v_person IS NULL THEN
+    RETURN NULL;
+  END IF;
+
+  RETURN jsonb_build_object('person', v_person, 'sessions', v_sessions);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- =====================================================
+-- PERMISSIONS
+-- =====================================================
+
+GRANT SELECT, INSERT, UPDATE ON calendar_feeds TO authenticated;
+REVOKE ALL ON FUNCTION get_calendar_feed(TEXT) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION get_calendar_feed(TEXT) TO anon, authenticated;
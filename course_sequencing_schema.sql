@@ -0,0 +1,36 @@
+-- =====================================================
+-- COURSE SEQUENCING RULES
+-- Prerequisites, minimum / maximum gaps and same-week rules between courses
+-- =====================================================
+
+-- Purpose: Lets the TSC Wizard scheduling engine keep dependent courses in the
+-- right order for each training group. A course may name one prerequisite
+-- course (by course_id within the same project). Gaps are counted in working
+-- days (scheduling days that are not blacked out) after the prerequisite ends.
+-- The prerequisite is referenced by course_id rather than a foreign key because
+-- course IDs are editable and only unique within a project.
+
+-- =====================================================
+-- TABLE CHANGES: courses
+-- =====================================================
+
+ALTER TABLE courses ADD COLUMN IF NOT EXISTS prerequisite_course_id TEXT;
+ALTER TABLE courses ADD COLUMN IF NOT EXISTS min_gap_days INTEGER;
+ALTER TABLE courses ADD COLUMN IF NOT EXISTS max_gap_days INTEGER;
+ALTER TABLE courses ADD COLUMN IF NOT EXISTS same_week_as_prerequisite BOOLEAN DEFAULT false;
+
+ALTER TABLE courses DROP CONSTRAINT IF EXISTS check_course_sequencing;
+ALTER TABLE courses ADD CONSTRAINT check_course_sequencing CHECK (
+  (prerequisite_course_id IS NULL OR prerequisite_course_id <> course_id) AND
+  (min_gap_days IS NULL OR min_gap_days >= 0) AND
+  (max_gap_days IS NULL OR max_gap_days >= 0) AND
+  (min_gap_days IS NULL OR max_gap_days IS NULL OR max_gap_days >= min_gap_days)
+);
+
+-- =====================================================
+-- INDEXES FOR PERFORMANCE
+-- =====================================================
+
+CREATE INDEX IF NOT EXISTS idx_courses_prerequisite_course_id
+  ON courses(project_id, prerequisite_course_id)
+  WHERE prerequisite_course_id IS NOT NULL;
@@ -0,0 +1,102 @@
+-- =====================================================
+-- FIX: get_calendar_feed returns only the learner's sessions
+-- =====================================================
+
+-- Purpose: get_calendar_feed is SECURITY DEFINER and callable by anon, so
+-- whatever it returns is readable by anyone holding the feed URL. For
+-- learners it used to return every session of every schedule they were
+-- assigned in, together with their assignments, and left it to the endpoint
+-- to pick out their own sessions. It now does the matching itself and
+-- returns only the sessions the learner's assignments cover.
+-- Run this on databases that already have calendar_feeds_schema.sql;
+-- new installs get the same function from that script.
+
+-- Returns { person, sessions } for an active feed token, or NULL.
+--   person   - { kind: 'learner' | 'trainer', id, name, email }
+--   sessions - the person's training_sessions rows, each with the schedule's
+--              version as schedule_version (the events' SEQUENCE): for a
+--              learner the sessions their assignments cover, for a trainer
+--              the sessions they deliver
+CREATE OR REPLACE FUNCTION get_calendar_feed(p_token TEXT)
+RETURNS JSONB AS $$
+DECLARE
+  v_feed calendar_feeds%ROWTYPE;
+  v_person JSONB;
+  v_sessions JSONB;
+BEGIN
+  SELECT * INTO v_feed
+  FROM calendar_feeds
+  WHERE token = p_token AND revoked_at IS NULL;
+
+  IF NOT FOUND THEN
+    RETURN NULL;
+  END IF;
+
+  UPDATE calendar_feeds SET last_accessed_at = NOW() WHERE id = v_feed.id;
+
+  IF v_feed.end_user_id IS NOT NULL THEN
+    SELECT jsonb_build_object('kind', 'learner', 'id', eu.id, 'name', eu.name, 'email', eu.email)
+    INTO v_person
+    FROM end_users eu
+    WHERE eu.id = v_feed.end_user_id AND eu.project_id = v_feed.project_id;
+
+    -- The learner's sessions only, matched the way getSessionAttendeeIds
+    -- (src/core/utils/calendarEvents.js) matches assignments to sessions
+    SELECT COALESCE(jsonb_agg(to_jsonb(s) || jsonb_build_object('schedule_version', ts.version) ORDER BY s.start_datetime), '[]'::jsonb)
+    INTO v_sessions
+    FROM training_sessions s
+    JOIN training_schedules ts ON ts.id = s.schedule_id
+    CROSS JOIN LATERAL (
+      SELECT COALESCE(s.session_title, s.course_name || ' - Group ' || s.session_number) AS title
+    ) st
+    WHERE s.project_id = v_feed.project_id
+      AND ts.status IN ('published', 'in_delivery', 'closed')
+      AND EXISTS (
+        SELECT 1
+        FROM user_assignments ua
+        WHERE ua.end_user_id = v_feed.end_user_id
+          AND ua.schedule_id = s.schedule_id
+          AND (
+            (ua.assignment_level = 'session'
+              AND (ua.session_identifier::text = s.id::text OR ua.session_id::text = s.id::text))
+            OR (ua.assignment_level = 'course' AND ua.course_id::text = s.course_id::text)
+            OR (ua.assignment_level = 'group'
+              AND substring(st.title from 'Group (\d+)') IS NOT NULL
+              AND ua.group_identifier LIKE ('%Group' || substring(st.title from 'Group (\d+)')))
+            OR (ua.assignment_level = 'training_location'
+              AND (COALESCE(ua.training_location, '') = ''
+                OR ua.training_location = COALESCE(
+                  NULLIF(s.training_location, ''),
+                  CASE WHEN position('|' IN st.title) > 0 THEN trim(split_part(st.title, '|', 1)) ELSE '' END
+                )))
+          )
+      );
+  ELSE
+    SELECT jsonb_build_object('kind', 'trainer', 'id', t.id, 'name', t.name, 'email', t.email)
+    INTO v_person
+    FROM trainers t
+    WHERE t.id = v_feed.trainer_id AND t.project_id = v_feed.project_id;
+
+    SELECT COALESCE(jsonb_agg(to_jsonb(s) || jsonb_build_object('schedule_version', ts.version) ORDER BY s.start_datetime), '[]'::jsonb)
+    INTO v_sessions
+    FROM training_sessions s
+    JOIN training_schedules ts ON ts.id = s.schedule_id
+    WHERE s.project_id = v_feed.project_id
+      AND ts.status IN ('published', 'in_delivery', 'closed')
+      AND s.instructor_id::text = v_feed.trainer_id::text;
+  END IF;
+
+  IF v_person IS NULL THEN
+    RETURN NULL;
+  END IF;
+
+  RETURN jsonb_build_object('person', v_person, 'sessions', v_sessions);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- =====================================================
+-- PERMISSIONS
+-- =====================================================
+
+REVOKE ALL ON FUNCTION get_calendar_feed(TEXT) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION get_calendar_feed(TEXT) TO anon, authenticated;
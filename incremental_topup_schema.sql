@@ -0,0 +1,22 @@
+-- =====================================================
+-- INCREMENTAL TOP-UP
+-- Locked sessions and top-up assignment lookups
+-- =====================================================
+
+-- Purpose: After a schedule is saved and partly delivered, a top-up run covers
+-- learners added since. It leaves past and locked sessions alone, fills spare
+-- seats in the remaining future sessions and only then adds new sessions.
+-- Locking a session keeps its learners and time fixed in later top-up runs.
+
+-- =====================================================
+-- TABLE CHANGES: training_sessions
+-- =====================================================
+
+ALTER TABLE training_sessions ADD COLUMN IF NOT EXISTS locked BOOLEAN NOT NULL DEFAULT false;
+
+-- =====================================================
+-- INDEXES
+-- =====================================================
+
+-- Top-up runs read every assignment in a schedule to find uncovered learners
+CREATE INDEX IF NOT EXISTS idx_user_assignments_schedule_id ON user_assignments(schedule_id);
@@ -0,0 +1,17 @@
+// Unit tests for the pure scheduling and calendar modules (npm test)
+export default {
+  testEnvironment: 'node',
+  roots: ['<rootDir>/src'],
+  testMatch: ['**/__tests__/**/*.test.js'],
+  transform: {
+    '^.+\\.jsx?$': ['babel-jest', {
+      babelrc: false,
+      configFile: false,
+      presets: [['@babel/preset-env', { targets: { node: 'current' } }]]
+    }]
+  },
+  moduleNameMapper: {
+    '^@core/(.*)$': '<rootDir>/src/core/$1',
+    '^@modules/(.*)$': '<rootDir>/src/modules/$1'
+  }
+};
@@ -0,0 +1,30 @@
+-- =====================================================
+-- LOCATION GO-LIVE WAVES
+-- Per-location go-live dates and training windows
+-- =====================================================
+
+-- Purpose: Roll-outs go live one location (wave) at a time. Each training
+-- location can record its go-live date and how many weeks before go-live
+-- training may start. The TSC Wizard copies these into the schedule criteria
+-- (criteria.location_waves) as defaults, keeps every location's training
+-- inside its window and can schedule backwards from the go-live date.
+
+-- =====================================================
+-- TABLE CHANGES: training_locations
+-- =====================================================
+
+ALTER TABLE training_locations ADD COLUMN IF NOT EXISTS go_live_date DATE;
+ALTER TABLE training_locations ADD COLUMN IF NOT EXISTS train_weeks_before INTEGER;
+
+ALTER TABLE training_locations DROP CONSTRAINT IF EXISTS check_train_weeks_before;
+ALTER TABLE training_locations ADD CONSTRAINT check_train_weeks_before CHECK (
+  train_weeks_before IS NULL OR train_weeks_before > 0
+);
+
+-- =====================================================
+-- INDEXES FOR PERFORMANCE
+-- =====================================================
+
+CREATE INDEX IF NOT EXISTS idx_training_locations_go_live_date
+  ON training_locations(project_id, go_live_date)
+  WHERE go_live_date IS NOT NULL;
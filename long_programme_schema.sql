@@ -0,0 +1,38 @@
+-- =====================================================
+-- LONG PROGRAMMES
+-- Multi-week courses, daily hour caps and repeating day patterns
+-- =====================================================
+
+-- Purpose: Courses such as week-long super-user and train-the-trainer
+-- programmes can run for any number of hours and days. A course may cap the
+-- hours taught per day and may run on the same weekday each week or fortnight
+-- (e.g. every Tuesday for 4 weeks) instead of on consecutive days. Every part
+-- of a course keeps the same classroom and trainer.
+
+-- =====================================================
+-- TABLE CHANGES: courses
+-- =====================================================
+
+ALTER TABLE courses ADD COLUMN IF NOT EXISTS max_hours_per_day NUMERIC;
+ALTER TABLE courses ADD COLUMN IF NOT EXISTS day_pattern TEXT DEFAULT 'consecutive';
+
+ALTER TABLE courses DROP CONSTRAINT IF EXISTS check_course_day_pattern;
+ALTER TABLE courses ADD CONSTRAINT check_course_day_pattern CHECK (
+  (day_pattern IS NULL OR day_pattern IN ('consecutive', 'weekly', 'fortnightly')) AND
+  (max_hours_per_day IS NULL OR max_hours_per_day > 0)
+);
+
+-- =====================================================
+-- TABLE CHANGES: training_sessions
+-- =====================================================
+
+-- course_day_sequence was limited to 20 days; long programmes may need more
+ALTER TABLE training_sessions
+DROP CONSTRAINT IF EXISTS check_course_day_sequence_max;
+
+ALTER TABLE training_sessions
+ADD CONSTRAINT check_course_day_sequence_max
+CHECK (course_day_sequence >= 1);
+
+-- Number of days the whole course runs over (course_day_sequence is this part's day)
+ALTER TABLE training_sessions ADD COLUMN IF NOT EXISTS total_course_days INTEGER;
@@ -0,0 +1,76 @@
+-- =====================================================
+-- REALTIME COLLABORATION
+-- Live schedule editing with change versions
+-- =====================================================
+
+-- Purpose: Two coordinators can have the same schedule open in the Schedule
+-- Editor or User Assignments screen. Each screen subscribes to realtime changes
+-- on training_sessions and user_assignments, so this script:
+--   - adds both tables to the supabase_realtime publication
+--   - makes updated_at the row's version: it is set by the database on every
+--     update, whatever the client sends, so a save can check that nobody else
+--     has changed a session since it was loaded
+--     (see p_expected_versions in update_session_writes_versions.sql)
+--
+-- Who is looking at a schedule (presence) goes through a realtime channel and
+-- needs no tables.
+--
+-- Run update_session_writes_versions.sql and atomic_assignment_writes_schema.sql
+-- after this script so that session and assignment saves check the versions.
+
+-- =====================================================
+-- COLUMNS
+-- =====================================================
+
+ALTER TABLE training_sessions
+  ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW();
+
+ALTER TABLE user_assignments
+  ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW();
+
+-- =====================================================
+-- TRIGGERS
+-- =====================================================
+
+CREATE OR REPLACE FUNCTION update_collaboration_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at = NOW();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS training_sessions_updated_at ON training_sessions;
+CREATE TRIGGER training_sessions_updated_at
+  BEFORE UPDATE ON training_sessions
+  FOR EACH ROW
+  EXECUTE FUNCTION update_collaboration_updated_at();
+
+DROP TRIGGER IF EXISTS user_assignments_updated_at ON user_assignments;
+CREATE TRIGGER user_assignments_updated_at
+  BEFORE UPDATE ON user_assignments
+  FOR EACH ROW
+  EXECUTE FUNCTION update_collaboration_updated_at();
+
+-- =====================================================
+-- REALTIME PUBLICATION
+-- =====================================================
+
+-- Realtime applies the tables' RLS policies, so users only receive changes to
+-- rows they can read
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_publication_tables
+     WHERE pubname = 'supabase_realtime' AND tablename = 'training_sessions'
+  ) THEN
+    ALTER PUBLICATION supabase_realtime ADD TABLE training_sessions;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_publication_tables
+     WHERE pubname = 'supabase_realtime' AND tablename = 'user_assignments'
+  ) THEN
+    ALTER PUBLICATION supabase_realtime ADD TABLE user_assignments;
+  END IF;
+END $$;
@@ -0,0 +1,99 @@
+-- =====================================================
+-- RESOURCE BUSY BLOCKS
+-- Trainer commitments and classroom bookings imported from external calendars
+-- =====================================================
+
+-- Purpose: Stores busy time imported from .ics calendars so the scheduler can
+-- see commitments made elsewhere. A block belongs either to a trainer or to
+-- one classroom at a training location. The scheduling engine, the classroom
+-- occupancy tracker and the trainer-assignment screens treat these periods as
+-- occupied, and the Schedule Editor calendar shows them as greyed-out time.
+-- Recurring ICS events are expanded into one row per occurrence on import.
+
+-- =====================================================
+-- TABLE: resource_busy_blocks
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS resource_busy_blocks (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+  resource_type TEXT NOT NULL
+    CHECK (resource_type IN ('trainer', 'classroom')),
+  trainer_id UUID REFERENCES trainers(id) ON DELETE CASCADE,
+  -- Set for resource_type = 'trainer'
+  training_location TEXT,
+  classroom_number INTEGER CHECK (classroom_number > 0),
+  -- Both set for resource_type = 'classroom'
+  start_datetime TIMESTAMP NOT NULL,
+  end_datetime TIMESTAMP NOT NULL,
+  -- Local times, stored the same way as training_sessions
+  all_day BOOLEAN NOT NULL DEFAULT false,
+  label TEXT NOT NULL DEFAULT 'Busy',
+  source TEXT NOT NULL DEFAULT 'ics',
+  -- Values: 'ics'
+  external_uid TEXT,
+  -- UID of the imported ICS event (shared by every occurrence of a recurring event),
+  -- used to replace an event's blocks when the same calendar is imported again
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+
+  CONSTRAINT check_busy_block_time_order CHECK (end_datetime > start_datetime),
+  CONSTRAINT check_busy_block_resource CHECK (
+    (resource_type = 'trainer' AND trainer_id IS NOT NULL) OR
+    (resource_type = 'classroom' AND training_location IS NOT NULL AND classroom_number IS NOT NULL)
+  )
+);
+
+-- =====================================================
+-- INDEXES FOR PERFORMANCE
+-- =====================================================
+
+CREATE INDEX IF NOT EXISTS idx_resource_busy_blocks_project_id
+  ON resource_busy_blocks(project_id);
+
+CREATE INDEX IF NOT EXISTS idx_resource_busy_blocks_trainer
+  ON resource_busy_blocks(project_id, trainer_id)
+  WHERE trainer_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_resource_busy_blocks_classroom
+  ON resource_busy_blocks(project_id, training_location, classroom_number)
+  WHERE training_location IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_resource_busy_blocks_start
+  ON resource_busy_blocks(project_id, start_datetime);
+
+-- =====================================================
+-- ROW LEVEL SECURITY (RLS) POLICIES
+-- =====================================================
+
+ALTER TABLE resource_busy_blocks ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view busy blocks for their projects"
+  ON resource_busy_blocks
+  FOR SELECT
+  USING (
+    project_id IN (
+      SELECT pu.project_id
+      FROM project_users pu
+      WHERE pu.user_id = auth.uid()
+        AND pu.is_active = true
+    )
+  );
+
+CREATE POLICY "Users can manage busy blocks for their projects"
+  ON resource_busy_blocks
+  FOR ALL
+  USING (
+    project_id IN (
+      SELECT pu.project_id
+      FROM project_users pu
+      WHERE pu.user_id = auth.uid()
+        AND pu.is_active = true
+        AND pu.role IN ('owner', 'admin', 'member')
+    )
+  );
+
+-- =====================================================
+-- PERMISSIONS
+-- =====================================================
+
+GRANT SELECT, INSERT, UPDATE, DELETE ON resource_busy_blocks TO authenticated;
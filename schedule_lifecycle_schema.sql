@@ -0,0 +1,311 @@
+-- =====================================================
+-- SCHEDULE LIFECYCLE
+-- Draft -> under review -> published -> in delivery -> closed
+-- =====================================================
+
+-- Purpose: training_schedules.status used to be free text that was always
+-- 'active'. It is now a lifecycle:
+--   draft         - edited freely
+--   under_review  - submitted for sign-off, still editable
+--   published     - learners have been told their sessions; session times are
+--                   locked and change only through an approved change request
+--   in_delivery   - training has started; locked as for published
+--   closed        - delivery finished; read-only
+-- Status changes go through transition_schedule_status, which checks the
+-- caller's project role. Members can move a schedule between draft and
+-- under_review; owners and admins make every other transition.
+-- A change to a published schedule is recorded in schedule_change_requests
+-- with the sessions it changes and the learner assignments it affects. Owners
+-- and admins approve it with approve_schedule_change_request, which applies the
+-- change set in the same transaction.
+--
+-- Run after atomic_session_writes_schema.sql.
+
+-- =====================================================
+-- COLUMNS: training_schedules
+-- =====================================================
+
+UPDATE training_schedules SET status = 'draft'
+  WHERE status IS NULL OR status NOT IN ('draft', 'under_review', 'published', 'in_delivery', 'closed');
+
+ALTER TABLE training_schedules ALTER COLUMN status SET DEFAULT 'draft';
+ALTER TABLE training_schedules ALTER COLUMN status SET NOT NULL;
+
+ALTER TABLE training_schedules DROP CONSTRAINT IF EXISTS training_schedules_status_check;
+ALTER TABLE training_schedules ADD CONSTRAINT training_schedules_status_check
+  CHECK (status IN ('draft', 'under_review', 'published', 'in_delivery', 'closed'));
+
+ALTER TABLE training_schedules ADD COLUMN IF NOT EXISTS status_changed_at TIMESTAMPTZ;
+ALTER TABLE training_schedules ADD COLUMN IF NOT EXISTS status_changed_by UUID;
+
+-- =====================================================
+-- TABLE: schedule_change_requests
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS schedule_change_requests (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+  schedule_id UUID NOT NULL REFERENCES training_schedules(id) ON DELETE CASCADE,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+  reason TEXT NOT NULL,
+  change_set JSONB NOT NULL,
+  -- { updates, inserts, deleteIds, scheduleChanges } as passed to apply_training_session_changes
+  changes JSONB NOT NULL DEFAULT '[]'::jsonb,
+  -- [{ key, types, before, after, learners }] from diffScheduleRevisions
+  affected_assignments JSONB NOT NULL DEFAULT '[]'::jsonb,
+  -- [{ end_user_id, name, session_identifier }]
+  affected_count INTEGER NOT NULL DEFAULT 0,
+  requested_by UUID,
+  requested_at TIMESTAMPTZ DEFAULT NOW(),
+  decided_by UUID,
+  decided_at TIMESTAMPTZ,
+  decision_note TEXT,
+  applied_revision_id UUID REFERENCES training_schedule_revisions(id) ON DELETE SET NULL
+);
+
+-- =====================================================
+-- INDEXES FOR PERFORMANCE
+-- =====================================================
+
+CREATE INDEX IF NOT EXISTS idx_schedule_change_requests_schedule_id
+  ON schedule_change_requests(schedule_id, requested_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_schedule_change_requests_project_status
+  ON schedule_change_requests(project_id, status);
+
+-- =====================================================
+-- ROW LEVEL SECURITY (RLS) POLICIES
+-- =====================================================
+
+ALTER TABLE schedule_change_requests ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view change requests for their projects"
+  ON schedule_change_requests
+  FOR SELECT
+  USING (
+    project_id IN (
+      SELECT pu.project_id
+      FROM project_users pu
+      WHERE pu.user_id = auth.uid()
+        AND pu.is_active = true
+    )
+  );
+
+CREATE POLICY "Members can raise change requests for their projects"
+  ON schedule_change_requests
+  FOR INSERT
+  WITH CHECK (
+    status = 'pending'
+    AND project_id IN (
+      SELECT pu.project_id
+      FROM project_users pu
+      WHERE pu.user_id = auth.uid()
+        AND pu.is_active = true
+        AND pu.role IN ('owner', 'admin', 'member')
+    )
+  );
+
+CREATE POLICY "Admins can decide change requests for their projects"
+  ON schedule_change_requests
+  FOR UPDATE
+  USING (
+    project_id IN (
+      SELECT pu.project_id
+      FROM project_users pu
+      WHERE pu.user_id = auth.uid()
+        AND pu.is_active = true
+        AND pu.role IN ('owner', 'admin')
+    )
+  );
+
+-- =====================================================
+-- FUNCTION: transition_schedule_status
+-- =====================================================
+
+CREATE OR REPLACE FUNCTION transition_schedule_status(
+  p_project_id UUID,
+  p_schedule_id UUID,
+  p_status TEXT
+)
+RETURNS training_schedules AS $$
+DECLARE
+  v_role TEXT;
+  v_current TEXT;
+  v_schedule training_schedules;
+BEGIN
+  SELECT pu.role INTO v_role
+    FROM project_users pu
+   WHERE pu.project_id = p_project_id
+     AND pu.user_id = auth.uid()
+     AND pu.is_active = true;
+
+  SELECT status INTO v_current
+    FROM training_schedules
+   WHERE id = p_schedule_id AND project_id = p_project_id
+     FOR UPDATE;
+
+  IF v_current IS NULL THEN
+    RAISE EXCEPTION 'Schedule not found';
+  END IF;
+
+  -- Must match SCHEDULE_TRANSITIONS in ScheduleLifecycle.js
+  IF NOT (
+    (v_current = 'draft' AND p_status = 'under_review' AND v_role IN ('owner', 'admin', 'member')) OR
+    (v_current = 'under_review' AND p_status = 'draft' AND v_role IN ('owner', 'admin', 'member')) OR
+    (v_current = 'under_review' AND p_status = 'published' AND v_role IN ('owner', 'admin')) OR
+    (v_current = 'published' AND p_status = 'under_review' AND v_role IN ('owner', 'admin')) OR
+    (v_current = 'published' AND p_status = 'in_delivery' AND v_role IN ('owner', 'admin')) OR
+    (v_current = 'in_delivery' AND p_status = 'closed' AND v_role IN ('owner', 'admin'))
+  ) THEN
+    RAISE EXCEPTION 'Cannot move schedule from % to % with role %', v_current, p_status, COALESCE(v_role, 'none');
+  END IF;
+
+  IF p_status = 'published' AND EXISTS (
+    SELECT 1 FROM schedule_change_requests
+     WHERE schedule_id = p_schedule_id AND status = 'pending'
+  ) THEN
+    RAISE EXCEPTION 'Decide the pending change requests before publishing';
+  END IF;
+
+  PERFORM set_config('training.status_transition', 'on', true);
+
+  UPDATE training_schedules
+     SET status = p_status,
+         status_changed_at = NOW(),
+         status_changed_by = auth.uid(),
+         updated_at = NOW()
+   WHERE id = p_schedule_id
+  RETURNING * INTO v_schedule;
+
+  RETURN v_schedule;
+END;
+$$ LANGUAGE plpgsql SECURITY INVOKER;
+
+-- =====================================================
+-- FUNCTION: approve_schedule_change_request
+-- =====================================================
+
+CREATE OR REPLACE FUNCTION approve_schedule_change_request(
+  p_project_id UUID,
+  p_request_id UUID,
+  p_decision_note TEXT DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_request schedule_change_requests;
+  v_result JSONB;
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM project_users pu
+     WHERE pu.project_id = p_project_id
+       AND pu.user_id = auth.uid()
+       AND pu.is_active = true
+       AND pu.role IN ('owner', 'admin')
+  ) THEN
+    RAISE EXCEPTION 'Only project owners and admins can approve change requests';
+  END IF;
+
+  SELECT * INTO v_request
+    FROM schedule_change_requests
+   WHERE id = p_request_id AND project_id = p_project_id
+     FOR UPDATE;
+
+  IF v_request.id IS NULL THEN
+    RAISE EXCEPTION 'Change request not found';
+  END IF;
+
+  IF v_request.status <> 'pending' THEN
+    RAISE EXCEPTION 'Change request has already been %', v_request.status;
+  END IF;
+
+  -- Lets the locked-session trigger through for this transaction only
+  PERFORM set_config('training.change_request_id', p_request_id::text, true);
+
+  v_result := apply_training_session_changes(
+    p_project_id,
+    v_request.schedule_id,
+    COALESCE(v_request.change_set -> 'updates', '[]'::jsonb),
+    COALESCE(v_request.change_set -> 'inserts', '[]'::jsonb),
+    ARRAY(SELECT jsonb_array_elements_text(COALESCE(v_request.change_set -> 'deleteIds', '[]'::jsonb))::uuid),
+    v_request.change_set -> 'scheduleChanges'
+  );
+
+  UPDATE schedule_change_requests
+     SET status = 'approved',
+         decided_by = auth.uid(),
+         decided_at = NOW(),
+         decision_note = p_decision_note
+   WHERE id = p_request_id;
+
+  RETURN v_result;
+END;
+$$ LANGUAGE plpgsql SECURITY INVOKER;
+
+-- =====================================================
+-- TRIGGERS
+-- =====================================================
+
+-- Status only changes through transition_schedule_status
+CREATE OR REPLACE FUNCTION guard_training_schedule_status()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.status IS DISTINCT FROM OLD.status
+     AND COALESCE(current_setting('training.status_transition', true), '') <> 'on' THEN
+    RAISE EXCEPTION 'Schedule status must be changed with transition_schedule_status';
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS training_schedules_status_guard ON training_schedules;
+CREATE TRIGGER training_schedules_status_guard
+  BEFORE UPDATE ON training_schedules
+  FOR EACH ROW
+  EXECUTE FUNCTION guard_training_schedule_status();
+
+-- Sessions of a published or in-delivery schedule are only added, removed,
+-- moved or re-trainered by an approved change request; closed schedules not at all
+CREATE OR REPLACE FUNCTION guard_locked_training_sessions()
+RETURNS TRIGGER AS $$
+DECLARE
+  v_status TEXT;
+  v_row training_sessions;
+BEGIN
+  v_row := CASE WHEN TG_OP = 'DELETE' THEN OLD ELSE NEW END;
+
+  SELECT status INTO v_status FROM training_schedules WHERE id = v_row.schedule_id;
+
+  IF v_status = 'closed' THEN
+    RAISE EXCEPTION 'Schedule is closed and cannot be changed';
+  END IF;
+
+  IF v_status IN ('published', 'in_delivery')
+     AND COALESCE(current_setting('training.change_request_id', true), '') = ''
+     AND (
+       TG_OP <> 'UPDATE'
+       OR NEW.start_datetime IS DISTINCT FROM OLD.start_datetime
+       OR NEW.end_datetime IS DISTINCT FROM OLD.end_datetime
+       OR NEW.training_location IS DISTINCT FROM OLD.training_location
+       OR NEW.classroom_number IS DISTINCT FROM OLD.classroom_number
+       OR NEW.instructor_id IS DISTINCT FROM OLD.instructor_id
+     ) THEN
+    RAISE EXCEPTION 'Schedule is % - session changes need an approved change request', v_status;
+  END IF;
+
+  RETURN CASE WHEN TG_OP = 'DELETE' THEN OLD ELSE NEW END;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS training_sessions_lifecycle_guard ON training_sessions;
+CREATE TRIGGER training_sessions_lifecycle_guard
+  BEFORE INSERT OR UPDATE OR DELETE ON training_sessions
+  FOR EACH ROW
+  EXECUTE FUNCTION guard_locked_training_sessions();
+
+-- =====================================================
+-- PERMISSIONS
+-- =====================================================
+
+GRANT SELECT, INSERT, UPDATE ON schedule_change_requests TO authenticated;
+GRANT EXECUTE ON FUNCTION transition_schedule_status(UUID, UUID, TEXT) TO authenticated;
+GRANT EXECUTE ON FUNCTION approve_schedule_change_request(UUID, UUID, TEXT) TO authenticated;
@@ -0,0 +1,80 @@
+-- =====================================================
+-- SCHEDULE REVISION RESTORE
+-- Restore a revision's sessions and assignments in one transaction
+-- =====================================================
+
+-- Purpose: Restoring a schedule revision changes its sessions and its learner
+-- assignments. restore_schedule_revision_changes applies both change sets
+-- inside one transaction, so a restore that fails part way leaves the schedule
+-- as it was instead of with the revision's sessions and the old assignments.
+--
+-- The session change set goes to apply_training_session_changes, the
+-- assignment change set to apply_user_assignment_changes; failures from
+-- either are returned in the error DETAIL as those functions report them.
+-- Assignments of sessions the restore recreates cannot know the new session
+-- ids, so their rows carry "session_key": the session_identifier of the
+-- session, which is looked up once the sessions have been written.
+--
+-- Run after atomic_session_writes_schema.sql and
+-- atomic_assignment_writes_schema.sql. Runs with the caller's permissions.
+
+-- =====================================================
+-- FUNCTION: restore_schedule_revision_changes
+-- =====================================================
+
+CREATE OR REPLACE FUNCTION restore_schedule_revision_changes(
+  p_project_id UUID,
+  p_schedule_id UUID,
+  p_session_changes JSONB,
+  -- { updates, inserts, deleteIds, scheduleChanges } as passed to apply_training_session_changes
+  p_assignment_changes JSONB
+  -- { inserts, deleteIds } as passed to apply_user_assignment_changes
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_sessions JSONB;
+  v_assignments JSONB;
+  v_assignment_inserts JSONB;
+BEGIN
+  v_sessions := apply_training_session_changes(
+    p_project_id,
+    p_schedule_id,
+    COALESCE(p_session_changes -> 'updates', '[]'::jsonb),
+    COALESCE(p_session_changes -> 'inserts', '[]'::jsonb),
+    ARRAY(SELECT jsonb_array_elements_text(COALESCE(p_session_changes -> 'deleteIds', '[]'::jsonb))::uuid),
+    p_session_changes -> 'scheduleChanges'
+  );
+
+  -- Assignments of recreated sessions: session_key -> session_id
+  SELECT COALESCE(jsonb_agg(
+           CASE WHEN a ? 'session_key' THEN
+             (a - 'session_key') || jsonb_build_object('session_id', (
+               SELECT s.id
+                 FROM training_sessions s
+                WHERE s.schedule_id = p_schedule_id
+                  AND s.session_identifier = a ->> 'session_key'
+                LIMIT 1
+             ))
+           ELSE a END
+           ORDER BY t.ord
+         ), '[]'::jsonb)
+    INTO v_assignment_inserts
+    FROM jsonb_array_elements(COALESCE(p_assignment_changes -> 'inserts', '[]'::jsonb)) WITH ORDINALITY AS t(a, ord);
+
+  v_assignments := apply_user_assignment_changes(
+    p_project_id,
+    p_schedule_id,
+    v_assignment_inserts,
+    ARRAY(SELECT jsonb_array_elements_text(COALESCE(p_assignment_changes -> 'deleteIds', '[]'::jsonb)))
+  );
+
+  -- sessions and assignments as returned by the two functions
+  RETURN jsonb_build_object('sessions', v_sessions, 'assignments', v_assignments);
+END;
+$$ LANGUAGE plpgsql SECURITY INVOKER;
+
+-- =====================================================
+-- PERMISSIONS
+-- =====================================================
+
+GRANT EXECUTE ON FUNCTION restore_schedule_revision_changes(UUID, UUID, JSONB, JSONB) TO authenticated;
@@ -0,0 +1,101 @@
+-- =====================================================
+-- SCHEDULE REVISIONS
+-- Immutable version history for training schedules
+-- =====================================================
+
+-- Purpose: Every save of a training schedule (TSC Wizard save, Schedule Editor
+-- save, Save As, top-up, restore) records a revision: a snapshot of the
+-- schedule's criteria, sessions and learner assignments at that moment.
+-- Revisions are never changed after they are written. The Schedule Manager
+-- compares any two revisions and can restore an earlier one, which is itself
+-- recorded as a new revision. training_schedules.version holds the latest
+-- revision number.
+
+-- =====================================================
+-- TABLE: training_schedule_revisions
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS training_schedule_revisions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+  schedule_id UUID NOT NULL REFERENCES training_schedules(id) ON DELETE CASCADE,
+  revision_number INTEGER NOT NULL CHECK (revision_number > 0),
+  note TEXT,
+  criteria JSONB,
+  sessions JSONB NOT NULL DEFAULT '[]'::jsonb,
+  -- training_sessions rows as saved
+  assignments JSONB NOT NULL DEFAULT '[]'::jsonb,
+  -- user_assignments rows as saved, plus end_user_name for display
+  session_count INTEGER NOT NULL DEFAULT 0,
+  assignment_count INTEGER NOT NULL DEFAULT 0,
+  created_by UUID,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+
+  CONSTRAINT unique_schedule_revision_number UNIQUE (schedule_id, revision_number)
+);
+
+-- =====================================================
+-- INDEXES FOR PERFORMANCE
+-- =====================================================
+
+CREATE INDEX IF NOT EXISTS idx_training_schedule_revisions_schedule_id
+  ON training_schedule_revisions(schedule_id, revision_number DESC);
+
+CREATE INDEX IF NOT EXISTS idx_training_schedule_revisions_project_id
+  ON training_schedule_revisions(project_id);
+
+-- =====================================================
+-- ROW LEVEL SECURITY (RLS) POLICIES
+-- =====================================================
+
+-- Revisions can be read and added but not edited or deleted; they are removed
+-- only when their schedule is deleted.
+
+ALTER TABLE training_schedule_revisions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view schedule revisions for their projects"
+  ON training_schedule_revisions
+  FOR SELECT
+  USING (
+    project_id IN (
+      SELECT pu.project_id
+      FROM project_users pu
+      WHERE pu.user_id = auth.uid()
+        AND pu.is_active = true
+    )
+  );
+
+CREATE POLICY "Users can add schedule revisions for their projects"
+  ON training_schedule_revisions
+  FOR INSERT
+  WITH CHECK (
+    project_id IN (
+      SELECT pu.project_id
+      FROM project_users pu
+      WHERE pu.user_id = auth.uid()
+        AND pu.is_active = true
+        AND pu.role IN ('owner', 'admin', 'member')
+    )
+  );
+
+-- =====================================================
+-- TRIGGERS
+-- =====================================================
+
+CREATE OR REPLACE FUNCTION prevent_schedule_revision_update()
+RETURNS TRIGGER AS $$
+BEGIN
+  RAISE EXCEPTION 'Schedule revisions cannot be changed';
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER training_schedule_revisions_immutable
+  BEFORE UPDATE ON training_schedule_revisions
+  FOR EACH ROW
+  EXECUTE FUNCTION prevent_schedule_revision_update();
+
+-- =====================================================
+-- PERMISSIONS
+-- =====================================================
+
+GRANT SELECT, INSERT ON training_schedule_revisions TO authenticated;
@@ -0,0 +1,103 @@
+-- =====================================================
+-- SCHEDULING BLACKOUT CALENDARS
+-- Project and training-location level non-working dates
+-- =====================================================
+
+-- Purpose: Stores bank holidays, site shutdowns and freeze periods that the
+-- TSC Wizard scheduling engine must skip. A NULL training_location applies
+-- the blackout to every location in the project.
+
+-- =====================================================
+-- TABLE: scheduling_blackouts
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS scheduling_blackouts (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+  training_location TEXT,
+  -- NULL = project-wide blackout
+  blackout_type TEXT NOT NULL DEFAULT 'date'
+    CHECK (blackout_type IN ('date', 'range', 'recurring')),
+  start_date DATE NOT NULL,
+  end_date DATE,
+  recurrence TEXT CHECK (recurrence IN ('yearly', 'weekly')),
+  recurrence_until DATE,
+  label TEXT NOT NULL DEFAULT 'Blackout',
+  source TEXT NOT NULL DEFAULT 'manual',
+  -- Values: 'manual', 'ics'
+  external_uid TEXT,
+  -- UID of the imported ICS event, used to avoid duplicate imports
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+  CONSTRAINT check_blackout_date_order CHECK (end_date IS NULL OR end_date >= start_date),
+  CONSTRAINT check_recurring_has_recurrence CHECK (blackout_type <> 'recurring' OR recurrence IS NOT NULL)
+);
+
+-- =====================================================
+-- INDEXES FOR PERFORMANCE
+-- =====================================================
+
+CREATE INDEX IF NOT EXISTS idx_scheduling_blackouts_project_id
+  ON scheduling_blackouts(project_id);
+
+CREATE INDEX IF NOT EXISTS idx_scheduling_blackouts_project_location
+  ON scheduling_blackouts(project_id, training_location);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_scheduling_blackouts_external_uid
+  ON scheduling_blackouts(project_id, COALESCE(training_location, ''), external_uid)
+  WHERE external_uid IS NOT NULL;
+
+-- =====================================================
+-- ROW LEVEL SECURITY (RLS) POLICIES
+-- =====================================================
+
+ALTER TABLE scheduling_blackouts ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view blackouts for their projects"
+  ON scheduling_blackouts
+  FOR SELECT
+  USING (
+    project_id IN (
+      SELECT pu.project_id
+      FROM project_users pu
+      WHERE pu.user_id = auth.uid()
+        AND pu.is_active = true
+    )
+  );
+
+CREATE POLICY "Users can manage blackouts for their projects"
+  ON scheduling_blackouts
+  FOR ALL
+  USING (
+    project_id IN (
+      SELECT pu.project_id
+      FROM project_users pu
+      WHERE pu.user_id = auth.uid()
+        AND pu.is_active = true
+        AND pu.role IN ('owner', 'admin', 'member')
+    )
+  );
+
+-- =====================================================
+-- TRIGGERS
+-- =====================================================
+
+CREATE OR REPLACE FUNCTION update_scheduling_blackouts_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at = NOW();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER scheduling_blackouts_updated_at
+  BEFORE UPDATE ON scheduling_blackouts
+  FOR EACH ROW
+  EXECUTE FUNCTION update_scheduling_blackouts_updated_at();
+
+-- =====================================================
+-- PERMISSIONS
+-- =====================================================
+
+GRANT SELECT, INSERT, UPDATE, DELETE ON scheduling_blackouts TO authenticated;
@@ -30,6 +30,7 @@ const ReferenceDataManager = lazy(() => import('@shared/components/ReferenceData
 const AttendanceTracker = lazy(() => import('@modules/training/components/attendance/AttendanceTracker'));
 const AttendanceReports = lazy(() => import('@modules/training/components/attendance/AttendanceReports'));
 const AttendanceComplianceDashboard = lazy(() => import('@modules/training/components/attendance/AttendanceComplianceDashboard'));
+const AuditLogViewer = lazy(() => import('@modules/training/components/audit/AuditLogViewer'));
 const StakeholderReferenceDataManager = lazy(() => import('@modules/stakeholders/components/StakeholderReferenceDataManager'));
 
 // User management components
@@ -208,6 +209,7 @@ function App() {
               <Route path="/attendance-tracker" element={<AttendanceTracker />} />
               <Route path="/attendance-reports" element={<AttendanceReports />} />
               <Route path="/attendance-compliance" element={<AttendanceComplianceDashboard />} />
+              <Route path="/audit-log" element={<AuditLogViewer />} />
               
               {/* User Management Routes */}
               <Route path="/user-management" element={<UserManagementDashboard />} />
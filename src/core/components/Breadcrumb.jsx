@@ -64,6 +64,7 @@ const Breadcrumb = () => {
       if (path.startsWith('/schedule-manager')) return { name: 'Schedule Manager', path };
       if (path === '/drag-drop-assignments') return { name: 'User Assignments', path };
       if (path === '/schedule-calendar') return { name: 'Training Calendar', path };
+      if (path === '/audit-log') return { name: 'Audit Log', path };
     }
 
     // Admin module pages
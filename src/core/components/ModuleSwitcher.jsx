@@ -78,7 +78,8 @@ const ModuleSwitcher = () => {
       '/drag-drop-assignments', '/schedule-calendar', '/stakeholder-calendar',
       '/courses', '/import-export-courses', '/reference-data', '/dynamic-users',
       '/import-export', '/edit-mappings', '/export-all-data', '/trainers',
-      '/pivot-report', '/attendance-tracker', '/attendance-reports', '/attendance-compliance'
+      '/pivot-report', '/attendance-tracker', '/attendance-reports', '/attendance-compliance',
+      '/audit-log'
     ];
     const legacyAdminPaths = [
       '/user-management', '/stakeholder-access', '/role-permissions', '/projects'
@@ -35,7 +35,8 @@ export const ModuleProvider = ({ children }) => {
       '/drag-drop-assignments', '/schedule-calendar', '/stakeholder-calendar',
       '/courses', '/import-export-courses', '/reference-data', '/dynamic-users',
       '/import-export', '/edit-mappings', '/export-all-data', '/trainers',
-      '/pivot-report', '/attendance-tracker', '/attendance-reports', '/attendance-compliance'
+      '/pivot-report', '/attendance-tracker', '/attendance-reports', '/attendance-compliance',
+      '/audit-log'
     ];
     const legacyAdminPaths = [
       '/user-management', '/stakeholder-access', '/role-permissions'
@@ -1,5 +1,7 @@
 import { supabase } from './supabaseClient';
 import { SimpleAuthService } from '@auth/services/simpleAuthService';
+import { toDeliveryMethod, fromDeliveryMethod } from '@core/utils/scheduling/DeliveryModes.js';
+import { SCHEDULE_STATUS } from '@core/utils/scheduling/ScheduleLifecycle.js';
 
 /**
  * Service layer for training schedule and session database operations
@@ -75,6 +77,110 @@ const calculateScheduledEndDate = (criteria) => {
   return endDate.toISOString().split('T')[0]; // Return YYYY-MM-DD format
 };
 
+// Error for a rejected change set, carrying the failed rows from the error DETAIL in .failures
+const toChangeSetError = (error, fallbackMessage) => {
+  let failures = [];
+  try {
+    failures = JSON.parse(error.details || '[]');
+  } catch {
+    // Not a row failure report (e.g. a network or permission error) - nothing was written row by row
+  }
+  const changeSetError = new Error(error.message || fallbackMessage);
+  changeSetError.failures = Array.isArray(failures) ? failures : [];
+  return changeSetError;
+};
+
+/**
+ * Apply a change set to training sessions in one database transaction
+ * Updates, inserts, deletes and schedule metadata changes are all written or, if any row
+ * fails, none are. The thrown error then carries a failures array listing every failed row:
+ * { operation: 'update'|'insert'|'delete'|'schedule', index, id, session_identifier, message, conflict },
+ * where index is the row's position in updates or inserts. conflict is true for sessions listed in
+ * expectedVersions ({ [id]: updated_at }) that someone else saved or deleted in the meantime.
+ * @param {Object} changes - { scheduleId, updates: [{ id, ...columns }], inserts: [rows], deleteIds: [ids], scheduleChanges, expectedVersions }
+ * @param {string} projectId - The project ID for validation
+ * @returns {Promise<Object>} { updated, inserted: [training_sessions rows], deleted }
+ */
+export const applyTrainingSessionChanges = async ({
+  scheduleId = null,
+  updates = [],
+  inserts = [],
+  deleteIds = [],
+  scheduleChanges = null,
+  expectedVersions = null
+}, projectId) => {
+  if (!projectId) {
+    throw new Error('Project ID is required for all session operations');
+  }
+  try {
+    const { data, error } = await supabase.rpc('apply_training_session_changes', {
+      p_project_id: projectId,
+      p_schedule_id: scheduleId,
+      p_updates: updates,
+      p_inserts: inserts,
+      p_delete_ids: deleteIds,
+      p_schedule_changes: scheduleChanges,
+      p_expected_versions: expectedVersions
+    });
+
+    if (error) {
+      console.error('❌ Error applying session changes:', error);
+      throw toChangeSetError(error, 'Session changes were not saved');
+    }
+
+    console.log(`✅ Session changes applied: ${data.updated} updated, ${data.inserted.length} inserted, ${data.deleted} deleted`);
+    return data;
+  } catch (error) {
+    console.error('❌ Error in applyTrainingSessionChanges:', error);
+    throw error;
+  }
+};
+
+/**
+ * Apply a change set to a schedule's learner assignments in one database transaction
+ * Deletes and inserts are all written or, if any row fails, none are. The thrown error then
+ * carries a failures array listing every failed row:
+ * { operation: 'delete'|'insert', index, id, session_id, end_user_id, message, conflict },
+ * where index is the row's position in inserts. conflict is true for assignments listed in
+ * expectedVersions that someone else changed in the meantime, and for inserts into sessions listed
+ * in expectedSessionVersions that someone else saved or deleted.
+ * @param {Object} changes - { scheduleId, inserts: [rows], deleteIds: [ids], expectedVersions, expectedSessionVersions }
+ * @param {string} projectId - The project ID for validation
+ * @returns {Promise<Object>} { inserted: [user_assignments rows], deleted }
+ */
+export const applyUserAssignmentChanges = async ({
+  scheduleId,
+  inserts = [],
+  deleteIds = [],
+  expectedVersions = null,
+  expectedSessionVersions = null
+}, projectId) => {
+  if (!projectId) {
+    throw new Error('Project ID is required for all assignment operations');
+  }
+  try {
+    const { data, error } = await supabase.rpc('apply_user_assignment_changes', {
+      p_project_id: projectId,
+      p_schedule_id: scheduleId,
+      p_inserts: inserts,
+      p_delete_ids: deleteIds.map(String),
+      p_expected_versions: expectedVersions,
+      p_expected_session_versions: expectedSessionVersions
+    });
+
+    if (error) {
+      console.error('❌ Error applying assignment changes:', error);
+      throw toChangeSetError(error, 'Assignment changes were not saved');
+    }
+
+    console.log(`✅ Assignment changes applied: ${data.inserted.length} inserted, ${data.deleted} deleted`);
+    return data;
+  } catch (error) {
+    console.error('❌ Error in applyUserAssignmentChanges:', error);
+    throw error;
+  }
+};
+
 /**
  * Save training schedule to database
  * @param {Object} currentCriteria - The scheduling criteria
@@ -92,9 +198,9 @@ export const saveTrainingSchedule = async (currentCriteria, functionalArea, sche
     const schedule = {
       name: scheduleName || `Generated schedule for ${functionalArea}`,
       description: `Generated schedule for ${functionalArea}`,
-      version: "1.0",
+      version: '1', // Revision 1 is recorded once the sessions are saved
       criteria: JSON.stringify(currentCriteria),
-      status: 'active',
+      status: SCHEDULE_STATUS.DRAFT,
       scheduled_start_date: currentCriteria.start_date,
       scheduled_end_date: calculateScheduledEndDate(currentCriteria),
       notes: `Created via TSC Wizard with ${currentCriteria.scheduling_mode || 'course_complete'} scheduling mode`,
@@ -144,9 +250,9 @@ export const saveScheduleAs = async (originalScheduleId, newScheduleName, newDes
     const newScheduleData = {
       name: newScheduleName,
       description: newDescription || `Copy of ${originalSchedule.name}`,
-      version: "1.0",
+      version: '1',
       criteria: originalSchedule.criteria, // Preserve original criteria
-      status: 'active',
+      status: SCHEDULE_STATUS.DRAFT,
       scheduled_start_date: originalSchedule.scheduled_start_date,
       scheduled_end_date: originalSchedule.scheduled_end_date,
       notes: `Copied from "${originalSchedule.name}" on ${new Date().toLocaleDateString('en-GB')}`,
@@ -206,6 +312,8 @@ export const saveScheduleAs = async (originalScheduleId, newScheduleName, newDes
       console.log(`✅ Successfully copied ${copiedSessions.length} sessions to new schedule`);
     }
 
+    await createScheduleRevision(newSchedule.id, `Copied from "${originalSchedule.name}"`, projectId);
+
     return {
       schedule: newSchedule,
       sessionCount: originalSessions?.length || 0,
@@ -340,14 +448,20 @@ export const saveTrainingSessionsForSchedule = async (sessionsGrouped, scheduleI
             group_name: session.groupName,
             group_identifier: `${session.course.course_id}-group-${session.sessionNumber}`,
             session_status: 'scheduled',
-            delivery_method: 'in_person',
-            notes: `Generated by TSC Wizard${session.partSuffix ? ` - ${session.partSuffix} session` : ''}`,
+            delivery_method: toDeliveryMethod(session.deliveryMode),
+            meeting_link: session.meetingLink || null,
+            notes: `Generated by TSC Wizard${session.partSuffix ? ` - ${session.partSuffix} session` : ''}${session.staffing_status === 'unstaffed' ? ` - Unstaffed: ${session.unstaffed_reason}` : ''}`,
+
+            // Trainer assigned by the scheduling engine (TrainerAllocator)
+            instructor_id: session.trainer_id || null,
+            instructor_name: session.trainer_name || null,
 
             // Multi-day session fields
             part_of_total: session.totalParts || 1,
             total_parts: session.totalParts || 1,
             is_multi_day_course: (session.totalParts && session.totalParts > 1) || (session.daySequence && session.daySequence > 1) || false,
-            course_day_sequence: session.daySequence || 1
+            course_day_sequence: session.daySequence || 1,
+            total_course_days: session.totalDays || session.daySequence || 1
           };
           
           sessionsToInsert.push(sessionData);
@@ -395,22 +509,11 @@ export const saveTrainingSessionsForSchedule = async (sessionsGrouped, scheduleI
       console.log(`✅ All ${sessionsToInsert.length} session_identifiers are unique`);
     }
 
-    const { data, error } = await supabase
-      .from('training_sessions')
-      .insert(sessionsToInsert)
-      .select();
-
-    if (error) {
-      console.error('❌ Error saving training sessions:', error);
-      console.error('❌ Error code:', error.code);
-      console.error('❌ Error message:', error.message);
-      console.error('❌ Error details:', error.details);
-      console.error('❌ Error hint:', error.hint);
-      throw error;
-    }
+    // All sessions are saved or none are
+    const { inserted } = await applyTrainingSessionChanges({ scheduleId, inserts: sessionsToInsert }, projectId);
 
-    console.log(`✅ Successfully saved ${data.length} training sessions`);
-    return data;
+    console.log(`✅ Successfully saved ${inserted.length} training sessions`);
+    return inserted;
   } catch (error) {
     console.error('❌ Error in saveTrainingSessionsForSchedule:', error);
     throw error;
@@ -546,6 +649,8 @@ export const loadTrainingSessionsForSchedule = async (scheduleId, projectId) =>
         custom_title: session.session_title || '',
         trainer_id: session.instructor_id || '',
         trainer_name: session.instructor_name || '',
+        deliveryMode: fromDeliveryMethod(session.delivery_method),
+        meetingLink: session.meeting_link || '',
         color: null, // Let ScheduleCalendar handle color assignment
         text_color: null,
         background_color: null,
@@ -556,11 +661,12 @@ export const loadTrainingSessionsForSchedule = async (scheduleId, projectId) =>
         event_id: session.id, // Use session ID as event ID (critical for assignments)
         eventId: `${session.course_id}-session${session.session_number}-${trainingLocation.replace(/\s+/g, '-').toLowerCase()}-${session.functional_area.replace(/\s+/g, '-').toLowerCase()}`, // Stable ID for assignment matching
         id: session.id, // Database ID
+        updated_at: session.updated_at, // Version, for checked assignment writes
         calendarInstance: `${trainingLocation} - Classroom ${session.classroom_number}-${session.functional_area}`,
         
         // Multi-day session fields from new database structure
         totalParts: session.total_parts || 1,
-        totalDays: session.course_day_sequence || 1,
+        totalDays: session.total_course_days || session.course_day_sequence || 1,
         daySequence: session.course_day_sequence || 1,
         isMultiDay: session.is_multi_day_course || false,
         course: {
@@ -698,22 +804,296 @@ export const updateTrainingSession = async (sessionId, updates, projectId) => {
  * Bulk update multiple sessions
  * @param {Array} sessionUpdates - Array of {id, updates} objects
  * @param {string} projectId - The project ID for validation
- * @returns {Promise<Array>} Updated sessions
+ * @returns {Promise<Object>} { updated, inserted, deleted } counts from applyTrainingSessionChanges
  */
 export const bulkUpdateTrainingSessions = async (sessionUpdates, projectId) => {
   if (!projectId) {
     throw new Error('Project ID is required for all session operations');
   }
   try {
-    const promises = sessionUpdates.map(({ id, updates }) => 
-      updateTrainingSession(id, updates, projectId)
-    );
+    // One transaction for all sessions, so a failure leaves every session unchanged
+    const result = await applyTrainingSessionChanges({
+      updates: sessionUpdates.map(({ id, updates }) => ({ ...updates, id }))
+    }, projectId);
 
-    const results = await Promise.all(promises);
-    console.log(`✅ Bulk updated ${results.length} sessions`);
-    return results;
+    console.log(`✅ Bulk updated ${result.updated} sessions`);
+    return result;
   } catch (error) {
     console.error('❌ Error in bulkUpdateTrainingSessions:', error);
     throw error;
   }
-};
\ No newline at end of file
+};
+
+// Row fields that belong to the database row rather than the saved schedule content
+const stripRowMetadata = ({ id, created_at, updated_at, ...row }) => row;
+
+/**
+ * Record a revision of a schedule
+ * Snapshots the schedule's criteria, sessions and learner assignments as they are in the
+ * database now and sets training_schedules.version to the new revision number.
+ * Call after every save of a schedule's sessions.
+ * @param {string} scheduleId - The schedule ID
+ * @param {string|null} note - What the save was, e.g. 'Saved in Schedule Editor'
+ * @param {string} projectId - The project ID for validation
+ * @returns {Promise<Object>} The new training_schedule_revisions row
+ */
+export const createScheduleRevision = async (scheduleId, note = null, projectId) => {
+  if (!projectId) {
+    throw new Error('Project ID is required for all schedule operations');
+  }
+  try {
+    const [scheduleResult, sessionsResult, assignmentsResult, latestResult, authResult] = await Promise.all([
+      supabase.from('training_schedules').select('criteria').eq('id', scheduleId).eq('project_id', projectId).single(),
+      supabase.from('training_sessions').select('*').eq('schedule_id', scheduleId).eq('project_id', projectId).order('start_datetime'),
+      supabase.from('user_assignments').select('*, end_users(name)').eq('schedule_id', scheduleId),
+      supabase.from('training_schedule_revisions').select('revision_number').eq('schedule_id', scheduleId)
+        .order('revision_number', { ascending: false }).limit(1),
+      supabase.auth.getSession()
+    ]);
+
+    const failed = [scheduleResult, sessionsResult, assignmentsResult, latestResult].find(result => result.error);
+    if (failed) {
+      console.error('❌ Error loading schedule for revision:', failed.error);
+      throw failed.error;
+    }
+
+    const criteria = typeof scheduleResult.data.criteria === 'string'
+      ? JSON.parse(scheduleResult.data.criteria)
+      : scheduleResult.data.criteria;
+    const sessions = sessionsResult.data || [];
+    const assignments = (assignmentsResult.data || []).map(({ end_users, ...assignment }) => ({
+      ...assignment,
+      end_user_name: end_users?.name || null
+    }));
+    const revisionNumber = (latestResult.data?.[0]?.revision_number || 0) + 1;
+
+    const { data, error } = await supabase
+      .from('training_schedule_revisions')
+      .insert([{
+        project_id: projectId,
+        schedule_id: scheduleId,
+        revision_number: revisionNumber,
+        note,
+        criteria,
+        sessions,
+        assignments,
+        session_count: sessions.length,
+        assignment_count: assignments.length,
+        created_by: authResult.data?.session?.user?.id || null
+      }])
+      .select('id, schedule_id, revision_number, note, session_count, assignment_count, created_by, created_at')
+      .single();
+
+    if (error) {
+      console.error('❌ Error saving schedule revision:', error);
+      throw error;
+    }
+
+    const { error: versionError } = await supabase
+      .from('training_schedules')
+      .update({ version: String(revisionNumber) })
+      .eq('id', scheduleId)
+      .eq('project_id', projectId);
+
+    if (versionError) {
+      console.error('❌ Error updating schedule version:', versionError);
+      throw versionError;
+    }
+
+    console.log(`✅ Schedule ${scheduleId} revision ${revisionNumber} saved (${sessions.length} sessions, ${assignments.length} assignments)`);
+    return data;
+  } catch (error) {
+    console.error('❌ Error in createScheduleRevision:', error);
+    throw error;
+  }
+};
+
+/**
+ * List the revisions of a schedule, newest first
+ * Snapshots are not included; load one with loadScheduleRevision.
+ * @param {string} scheduleId - The schedule ID
+ * @param {string} projectId - The project ID for validation
+ * @returns {Promise<Array>} Revision summaries
+ */
+export const getScheduleRevisions = async (scheduleId, projectId) => {
+  if (!projectId) {
+    throw new Error('Project ID is required for all schedule operations');
+  }
+  try {
+    const { data, error } = await supabase
+      .from('training_schedule_revisions')
+      .select('id, schedule_id, revision_number, note, session_count, assignment_count, created_by, created_at')
+      .eq('schedule_id', scheduleId)
+      .eq('project_id', projectId)
+      .order('revision_number', { ascending: false });
+
+    if (error) {
+      console.error('❌ Error loading schedule revisions:', error);
+      throw error;
+    }
+
+    return data || [];
+  } catch (error) {
+    console.error('❌ Error in getScheduleRevisions:', error);
+    throw error;
+  }
+};
+
+/**
+ * Load a schedule revision with its snapshot
+ * @param {string} revisionId - The revision ID
+ * @param {string} projectId - The project ID for validation
+ * @returns {Promise<Object>} The revision, including criteria, sessions and assignments
+ */
+export const loadScheduleRevision = async (revisionId, projectId) => {
+  if (!projectId) {
+    throw new Error('Project ID is required for all schedule operations');
+  }
+  try {
+    const { data, error } = await supabase
+      .from('training_schedule_revisions')
+      .select('*')
+      .eq('id', revisionId)
+      .eq('project_id', projectId)
+      .single();
+
+    if (error) {
+      console.error('❌ Error loading schedule revision:', error);
+      throw error;
+    }
+
+    return data;
+  } catch (error) {
+    console.error('❌ Error in loadScheduleRevision:', error);
+    throw error;
+  }
+};
+
+/**
+ * Restore a schedule to an earlier revision
+ * The current state is recorded as a revision first, so nothing is lost. Sessions are matched
+ * by session_identifier: matching sessions keep their IDs (and attendance), missing ones are
+ * recreated and sessions added since are deleted. Learner assignments are brought back to the
+ * revision's. Sessions and assignments are restored in one transaction; if any row fails nothing
+ * is restored and the error carries the rejected rows in .failures, as with
+ * applyTrainingSessionChanges. The restore itself is recorded as a new revision.
+ * @param {string} scheduleId - The schedule ID
+ * @param {string} revisionId - The revision to restore
+ * @param {string} projectId - The project ID for validation
+ * @returns {Promise<Object>} The new revision row
+ */
+export const restoreScheduleRevision = async (scheduleId, revisionId, projectId) => {
+  if (!projectId) {
+    throw new Error('Project ID is required for all schedule operations');
+  }
+  try {
+    const revision = await loadScheduleRevision(revisionId, projectId);
+    if (revision.schedule_id !== scheduleId) {
+      throw new Error('This revision belongs to a different schedule');
+    }
+    console.log(`⏪ Restoring schedule ${scheduleId} to revision ${revision.revision_number}`);
+
+    await createScheduleRevision(scheduleId, `Before restoring revision ${revision.revision_number}`, projectId);
+
+    // Sessions, schedule criteria and learner assignments are restored in one transaction:
+    // update matching sessions, recreate missing ones and delete sessions added since the
+    // revision, then bring the assignments back to the revision's
+    const [{ data: currentSessions, error: sessionsError }, { data: currentAssignments, error: assignmentsError }] = await Promise.all([
+      supabase
+        .from('training_sessions')
+        .select('id, session_identifier')
+        .eq('schedule_id', scheduleId)
+        .eq('project_id', projectId),
+      supabase
+        .from('user_assignments')
+        .select('id, end_user_id, session_id')
+        .eq('schedule_id', scheduleId)
+    ]);
+
+    if (sessionsError) {
+      console.error('❌ Error loading current sessions:', sessionsError);
+      throw sessionsError;
+    }
+    if (assignmentsError) {
+      console.error('❌ Error loading current assignments:', assignmentsError);
+      throw assignmentsError;
+    }
+
+    const currentIdByIdentifier = new Map((currentSessions || []).map(session => [session.session_identifier, session.id]));
+    const restoredIdentifiers = new Set(revision.sessions.map(session => session.session_identifier));
+    const identifierByRevisionId = new Map(revision.sessions.map(session => [String(session.id), session.session_identifier]));
+    const updates = [];
+    const sessionsToInsert = [];
+
+    revision.sessions.forEach(session => {
+      const currentId = currentIdByIdentifier.get(session.session_identifier);
+      if (currentId) {
+        updates.push({ ...stripRowMetadata(session), id: currentId });
+      } else {
+        sessionsToInsert.push(session);
+      }
+    });
+
+    const sessionIdsToDelete = (currentSessions || [])
+      .filter(session => !restoredIdentifiers.has(session.session_identifier))
+      .map(session => session.id);
+
+    // Assignments - keep matching rows, remove the rest and add the revision's missing ones.
+    // Assignments of recreated sessions name the session by session_key; the database fills in
+    // the new session's id.
+    const assignmentKey = (endUserId, sessionKey) => `${endUserId}|${sessionKey}`;
+    const restoredAssignments = revision.assignments
+      .map(({ end_user_name, ...assignment }) => {
+        const identifier = identifierByRevisionId.get(String(assignment.session_id));
+        if (!identifier) return null;
+        const currentId = currentIdByIdentifier.get(identifier);
+        return currentId
+          ? { ...stripRowMetadata(assignment), session_id: currentId }
+          : { ...stripRowMetadata(assignment), session_id: null, session_key: identifier };
+      })
+      .filter(Boolean);
+    const restoredKeys = new Set(restoredAssignments
+      .filter(assignment => assignment.session_id)
+      .map(assignment => assignmentKey(assignment.end_user_id, assignment.session_id)));
+    const currentKeys = new Set((currentAssignments || []).map(assignment => assignmentKey(assignment.end_user_id, assignment.session_id)));
+
+    const assignmentIdsToDelete = (currentAssignments || [])
+      .filter(assignment => !restoredKeys.has(assignmentKey(assignment.end_user_id, assignment.session_id)))
+      .map(assignment => assignment.id);
+    const assignmentsToInsert = restoredAssignments
+      .filter(assignment => !assignment.session_id || !currentKeys.has(assignmentKey(assignment.end_user_id, assignment.session_id)));
+
+    const { error: restoreError } = await supabase.rpc('restore_schedule_revision_changes', {
+      p_project_id: projectId,
+      p_schedule_id: scheduleId,
+      p_session_changes: {
+        updates,
+        inserts: sessionsToInsert.map(stripRowMetadata),
+        deleteIds: sessionIdsToDelete,
+        scheduleChanges: {
+          ...(revision.criteria ? { criteria: JSON.stringify(revision.criteria) } : {}),
+          functional_areas: [...new Set(revision.sessions.map(session => session.functional_area))],
+          training_locations: [...new Set(revision.sessions.map(session => session.training_location))],
+          updated_at: new Date().toISOString()
+        }
+      },
+      p_assignment_changes: {
+        inserts: assignmentsToInsert,
+        deleteIds: assignmentIdsToDelete.map(String)
+      }
+    });
+
+    if (restoreError) {
+      console.error('❌ Error restoring revision:', restoreError);
+      throw toChangeSetError(restoreError, 'The revision was not restored');
+    }
+
+    console.log(`✅ Sessions restored: ${updates.length} updated, ${sessionsToInsert.length} recreated, ${sessionIdsToDelete.length} deleted`);
+    console.log(`✅ Assignments restored: ${assignmentIdsToDelete.length} removed, ${assignmentsToInsert.length} added back`);
+
+    return await createScheduleRevision(scheduleId, `Restored revision ${revision.revision_number}`, projectId);
+  } catch (error) {
+    console.error('❌ Error in restoreScheduleRevision:', error);
+    throw error;
+  }
+};
@@ -16,7 +16,26 @@ if (!supabaseUrl || !supabaseKey) {
 debugInfo('Supabase URL configured:', supabaseUrl);
 debugInfo('Supabase Key configured:', supabaseKey ? '*** (redacted)' : 'undefined');
 
+// Screen currently making changes, sent as x-audit-source so the audit log triggers
+// (audit_log_schema.sql) can record where each change came from
+let auditSource = null;
+
+// Returns the previous source so a screen can put it back when it closes
+export const setAuditSource = (screen) => {
+  const previous = auditSource;
+  auditSource = screen;
+  return previous;
+};
+
+const fetchWithAuditSource = (input, init = {}) => {
+  if (!auditSource) return fetch(input, init);
+  const headers = new Headers(init.headers);
+  headers.set('x-audit-source', auditSource);
+  return fetch(input, { ...init, headers });
+};
+
 export const supabase = createClient(supabaseUrl, supabaseKey, {
   db: { schema: 'public' },
-  auth: { persistSession: true, autoRefreshToken: true }
+  auth: { persistSession: true, autoRefreshToken: true },
+  global: { fetch: fetchWithAuditSource }
 });
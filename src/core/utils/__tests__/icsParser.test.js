@@ -0,0 +1,175 @@
+import {
+  parseIcsDate,
+  parseIcsEvents,
+  getUnsupportedRecurrence,
+  expandIcsOccurrences,
+  getIncompleteRecurrence
+} from '../icsParser.js';
+
+const calendar = (...events) => [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  ...events.flatMap(lines => ['BEGIN:VEVENT', ...lines, 'END:VEVENT']),
+  'END:VCALENDAR'
+].join('\r\n');
+
+const recurring = (start, end, rrule, extra = {}) => ({
+  uid: 'evt-1',
+  start,
+  end,
+  allDay: false,
+  rrule,
+  ...extra
+});
+
+const dayKeys = (occurrences) => occurrences.map(({ start }) =>
+  `${start.getFullYear()}-${start.getMonth() + 1}-${start.getDate()}`
+);
+
+describe('parseIcsDate', () => {
+  it('reads date-only values as local all-day dates', () => {
+    expect(parseIcsDate('20251225', { VALUE: 'DATE' })).toEqual({ date: new Date(2025, 11, 25), allDay: true });
+    expect(parseIcsDate('20251225')).toEqual({ date: new Date(2025, 11, 25), allDay: true });
+  });
+
+  it('reads floating times as local time and Z times as UTC', () => {
+    expect(parseIcsDate('20251225T093000')).toEqual({ date: new Date(2025, 11, 25, 9, 30, 0), allDay: false });
+    expect(parseIcsDate('20251225T093000Z').date.toISOString()).toBe('2025-12-25T09:30:00.000Z');
+  });
+
+  it('returns null for unparseable values', () => {
+    expect(parseIcsDate('25/12/2025')).toBeNull();
+    expect(parseIcsDate('')).toBeNull();
+  });
+});
+
+describe('parseIcsEvents', () => {
+  it('rejects missing and non-calendar content', () => {
+    expect(() => parseIcsEvents('')).toThrow('No calendar content provided');
+    expect(() => parseIcsEvents('hello')).toThrow('not a valid iCalendar');
+  });
+
+  it('reads folded lines, escaped text, rules and excluded dates', () => {
+    const [event] = parseIcsEvents(calendar([
+      'UID:abc-123',
+      'SUMMARY:Site shutdown\\, phase 1',
+      ' (north)',
+      'DTSTART;VALUE=DATE:20250106',
+      'DTEND;VALUE=DATE:20250107',
+      'RRULE:FREQ=WEEKLY;BYDAY=MO;COUNT=4',
+      'EXDATE;VALUE=DATE:20250113,20250120',
+      'STATUS:confirmed',
+      'TRANSP:OPAQUE'
+    ]));
+
+    expect(event).toMatchObject({
+      uid: 'abc-123',
+      summary: 'Site shutdown, phase 1(north)',
+      start: new Date(2025, 0, 6),
+      end: new Date(2025, 0, 7),
+      allDay: true,
+      rrule: { FREQ: 'WEEKLY', BYDAY: 'MO', COUNT: '4' },
+      exdates: [new Date(2025, 0, 13), new Date(2025, 0, 20)],
+      status: 'CONFIRMED',
+      transparency: 'OPAQUE'
+    });
+  });
+
+  it('gives events without DTEND a one-day or zero-length end, and skips events without DTSTART', () => {
+    const events = parseIcsEvents(calendar(
+      ['UID:all-day', 'DTSTART;VALUE=DATE:20251225'],
+      ['UID:timed', 'DTSTART:20251226T100000'],
+      ['UID:no-start', 'SUMMARY:Nothing']
+    ));
+
+    expect(events.map(event => event.uid)).toEqual(['all-day', 'timed']);
+    expect(events[0].end).toEqual(new Date(2025, 11, 26));
+    expect(events[1].end).toEqual(new Date(2025, 11, 26, 10, 0, 0));
+  });
+});
+
+describe('getUnsupportedRecurrence', () => {
+  const start = new Date(2025, 0, 6, 9, 0, 0);
+  const end = new Date(2025, 0, 6, 10, 0, 0);
+
+  it('accepts the supported subset', () => {
+    expect(getUnsupportedRecurrence(recurring(start, end, { FREQ: 'DAILY', INTERVAL: '2' }))).toBeNull();
+    expect(getUnsupportedRecurrence(recurring(start, end, { FREQ: 'WEEKLY', BYDAY: 'MO,WE' }))).toBeNull();
+    expect(getUnsupportedRecurrence(recurring(start, end, { FREQ: 'MONTHLY', BYDAY: '-1MO' }))).toBeNull();
+    expect(getUnsupportedRecurrence(recurring(start, end, { FREQ: 'YEARLY', BYMONTH: '1', BYDAY: '1MO' }))).toBeNull();
+    expect(getUnsupportedRecurrence({ start, end })).toBeNull();
+  });
+
+  it('names the rule part it cannot expand', () => {
+    expect(getUnsupportedRecurrence(recurring(start, end, { FREQ: 'HOURLY' }))).toBe('FREQ=HOURLY');
+    expect(getUnsupportedRecurrence(recurring(start, end, { FREQ: 'MONTHLY', BYSETPOS: '-1' }))).toBe('BYSETPOS=-1');
+    expect(getUnsupportedRecurrence(recurring(start, end, { FREQ: 'MONTHLY', BYMONTHDAY: '15' }))).toBe('BYMONTHDAY=15');
+    expect(getUnsupportedRecurrence(recurring(start, end, { FREQ: 'MONTHLY', BYMONTH: '1' }))).toBe('BYMONTH=1');
+    expect(getUnsupportedRecurrence(recurring(start, end, { FREQ: 'WEEKLY', BYDAY: '2MO' }))).toBe('BYDAY=2MO');
+    expect(getUnsupportedRecurrence(recurring(start, end, { FREQ: 'YEARLY', BYDAY: '1MO' }))).toBe('BYDAY=1MO');
+  });
+});
+
+describe('expandIcsOccurrences', () => {
+  const windowStart = new Date(2025, 0, 1);
+  const windowEnd = new Date(2026, 0, 1);
+
+  it('expands weekly rules on several days with COUNT and EXDATE', () => {
+    // Monday 6 January 2025
+    const event = recurring(new Date(2025, 0, 6, 9, 0, 0), new Date(2025, 0, 6, 10, 0, 0),
+      { FREQ: 'WEEKLY', BYDAY: 'MO,WE', COUNT: '5' },
+      { exdates: [new Date(2025, 0, 8, 9, 0, 0)] });
+
+    const occurrences = expandIcsOccurrences(event, windowStart, windowEnd);
+
+    // COUNT includes the excluded Wednesday
+    expect(dayKeys(occurrences)).toEqual(['2025-1-6', '2025-1-13', '2025-1-15', '2025-1-20']);
+    expect(occurrences[1].end).toEqual(new Date(2025, 0, 13, 10, 0, 0));
+  });
+
+  it('expands nth-weekday monthly rules and stops at UNTIL', () => {
+    const event = recurring(new Date(2025, 0, 27, 9, 0, 0), new Date(2025, 0, 27, 17, 0, 0),
+      { FREQ: 'MONTHLY', BYDAY: '-1MO', UNTIL: '20250430' });
+
+    expect(dayKeys(expandIcsOccurrences(event, windowStart, windowEnd)))
+      .toEqual(['2025-1-27', '2025-2-24', '2025-3-31', '2025-4-28']);
+  });
+
+  it('skips months without the start date', () => {
+    const event = recurring(new Date(2025, 0, 31, 9, 0, 0), new Date(2025, 0, 31, 10, 0, 0),
+      { FREQ: 'MONTHLY', COUNT: '3' });
+
+    expect(dayKeys(expandIcsOccurrences(event, windowStart, windowEnd)))
+      .toEqual(['2025-1-31', '2025-3-31', '2025-5-31']);
+  });
+
+  it('starts rules without COUNT at the window instead of DTSTART', () => {
+    const event = recurring(new Date(2000, 0, 3, 9, 0, 0), new Date(2000, 0, 3, 10, 0, 0), { FREQ: 'DAILY' });
+
+    const occurrences = expandIcsOccurrences(event, new Date(2025, 5, 1), new Date(2025, 5, 4));
+
+    expect(dayKeys(occurrences)).toEqual(['2025-6-1', '2025-6-2', '2025-6-3']);
+  });
+
+  it('keeps only the first occurrence of unsupported rules', () => {
+    const event = recurring(new Date(2025, 0, 6, 9, 0, 0), new Date(2025, 0, 6, 10, 0, 0), { FREQ: 'HOURLY' });
+
+    expect(expandIcsOccurrences(event, windowStart, windowEnd)).toEqual([{ start: event.start, end: event.end }]);
+  });
+});
+
+describe('getIncompleteRecurrence', () => {
+  it('reports unsupported rules and expansions cut short by the occurrence limit', () => {
+    const start = new Date(2025, 0, 1, 9, 0, 0);
+    const end = new Date(2025, 0, 1, 10, 0, 0);
+    const windowStart = new Date(2025, 0, 1);
+
+    expect(getIncompleteRecurrence(recurring(start, end, { FREQ: 'HOURLY' }), windowStart, new Date(2026, 0, 1)))
+      .toBe('FREQ=HOURLY');
+    expect(getIncompleteRecurrence(recurring(start, end, { FREQ: 'DAILY' }), windowStart, new Date(2026, 0, 1)))
+      .toBeNull();
+    expect(getIncompleteRecurrence(recurring(start, end, { FREQ: 'DAILY' }), windowStart, new Date(2030, 0, 1)))
+      .toBe('FREQ=DAILY: too many occurrences to expand');
+    expect(getIncompleteRecurrence({ start, end }, windowStart, new Date(2026, 0, 1))).toBeNull();
+  });
+});
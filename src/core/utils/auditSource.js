@@ -0,0 +1,19 @@
+import { useEffect } from 'react';
+import { setAuditSource } from '@core/services/supabaseClient';
+
+/**
+ * Label the changes a screen makes in the audit log
+ * Sets the x-audit-source header while the screen is mounted and puts the
+ * previous screen's label back when it unmounts (e.g. an editor inside a manager).
+ * @param {string} screen - Screen name shown in the Audit Log, e.g. 'Schedule Editor'
+ */
+export const useAuditSource = (screen) => {
+  useEffect(() => {
+    const previous = setAuditSource(screen);
+    return () => {
+      setAuditSource(previous);
+    };
+  }, [screen]);
+};
+
+export default useAuditSource;
@@ -0,0 +1,295 @@
+import { createEvents } from 'ics';
+import { DELIVERY_MODE, DELIVERY_MODE_LABELS, fromDeliveryMethod } from './scheduling/DeliveryModes.js';
+
+/**
+ * Calendar Events
+ *
+ * Builds the .ics events for training sessions. Shared by the calendar downloads in the app
+ * (calendarInviteGenerator.js) and the calendar feed endpoint (api/calendar-feed.js), so it
+ * must not depend on the browser or the app's Supabase client.
+ *
+ * Every session part has a fixed UID (from its database ID), and SEQUENCE is the schedule's
+ * revision number, so a later export or feed refresh updates the existing events instead of
+ * creating new ones.
+ */
+
+export const CALENDAR_METHOD = {
+  PUBLISH: 'PUBLISH',
+  REQUEST: 'REQUEST',
+  CANCEL: 'CANCEL'
+};
+
+/**
+ * Fixed UID of a session part's calendar event
+ * Built from the session_identifier and part number rather than the row id, because revision
+ * restores and delete-and-reinsert saves give the same session a new id - calendar clients
+ * must see an update of the existing event, not a new one.
+ * @param {Object} session - Calendar session or training_sessions row
+ * @returns {string} UID, the same in every export of the session
+ */
+export const getSessionEventUid = (session) => {
+  if (!session.session_identifier) {
+    return `training-session-${session.id || session.event_id || session.eventId}@training-system`;
+  }
+  const partSuffix = `-part${session.session_part_number || session.sessionPartNumber || 1}`;
+  const key = session.session_identifier.endsWith(partSuffix)
+    ? session.session_identifier
+    : `${session.session_identifier}${partSuffix}`;
+  return `training-session-${key}@training-system`;
+};
+
+/**
+ * SEQUENCE of a schedule's calendar events - the schedule's revision number, which goes up
+ * with every save
+ * @param {Object} schedule - The training schedule
+ * @returns {number} Sequence
+ */
+export const getCalendarSequence = (schedule) => parseInt(schedule?.version, 10) || 0;
+
+/**
+ * Shape a training_sessions row like the calendar sessions the events are built from
+ * @param {Object} row - training_sessions row
+ * @returns {Object} - Session with title, start, end, location, trainer and delivery fields
+ */
+export const fromSessionRow = (row) => ({
+  ...row,
+  title: row.session_title || `${row.course_name} - Group ${row.session_number}`,
+  start: row.start_datetime,
+  end: row.end_datetime,
+  location: row.training_location,
+  trainer_id: row.instructor_id || '',
+  trainer_name: row.instructor_name || '',
+  deliveryMode: fromDeliveryMethod(row.delivery_method),
+  meetingLink: row.meeting_link || ''
+});
+
+/**
+ * Create a calendar event for a training session
+ * @param {Object} session - Training session object
+ * @param {Array} attendees - Users with email addresses the event is for
+ * @param {Object} options
+ * @param {number} options.sequence - Event SEQUENCE (see getCalendarSequence)
+ * @param {boolean} options.cancelled - Build the cancellation of the event
+ * @param {Array} options.roster - People listed in the description (default the attendees)
+ * @returns {Object|null} - Calendar event object, or null for a session without valid dates
+ */
+export const createSessionEvent = (session, attendees, { sequence = 0, cancelled = false, roster = attendees } = {}) => {
+  // Parse session dates
+  const startDate = new Date(session.start);
+  const endDate = new Date(session.end);
+
+  if (isNaN(startDate.getTime()) || isNaN(endDate.getTime())) {
+    return null;
+  }
+
+  // Format dates for ics library (expects [year, month, day, hour, minute])
+  const startArray = [
+    startDate.getFullYear(),
+    startDate.getMonth() + 1,
+    startDate.getDate(),
+    startDate.getHours(),
+    startDate.getMinutes()
+  ];
+
+  const endArray = [
+    endDate.getFullYear(),
+    endDate.getMonth() + 1,
+    endDate.getDate(),
+    endDate.getHours(),
+    endDate.getMinutes()
+  ];
+
+  return {
+    title: session.title || session.course_name || 'Training Session',
+    description: createEventDescription(session, roster),
+    location: getEventLocation(session),
+    ...(session.meetingLink && { url: session.meetingLink }),
+    start: startArray,
+    end: endArray,
+    ...(attendees.length > 0 && {
+      attendees: attendees.map(user => ({
+        name: user.name,
+        email: user.email,
+        rsvp: !cancelled,
+        partstat: 'NEEDS-ACTION',
+        role: 'REQ-PARTICIPANT'
+      }))
+    }),
+    organizer: {
+      name: 'Training Coordinator',
+      email: 'training@company.com' // You can customize this
+    },
+    status: cancelled ? 'CANCELLED' : 'CONFIRMED',
+    busyStatus: cancelled ? 'FREE' : 'BUSY',
+    categories: ['Training'],
+    uid: getSessionEventUid(session),
+    sequence
+  };
+};
+
+/**
+ * IDs of the users assigned to a specific session
+ * @param {Object} session - Training session
+ * @param {Array} assignments - All assignments
+ * @returns {Set} - end_user IDs
+ */
+export const getSessionAttendeeIds = (session, assignments) => {
+  const sessionId = session.eventId || session.id || session.session_identifier;
+  const sessionTitle = session.title;
+
+  const matchingAssignments = assignments.filter(assignment => {
+    // Session-level assignments
+    if (assignment.assignment_level === 'session') {
+      return assignment.session_identifier === sessionId ||
+             assignment.session_id === session.id;
+    }
+
+    // Course-level assignments
+    if (assignment.assignment_level === 'course') {
+      return assignment.course_id === session.course_id;
+    }
+
+    // Group-level assignments
+    if (assignment.assignment_level === 'group' && sessionTitle) {
+      const groupMatch = sessionTitle.match(/Group (\d+)/);
+      if (groupMatch) {
+        const sessionGroupName = `Group${groupMatch[1]}`;
+        return assignment.group_identifier &&
+               assignment.group_identifier.endsWith(sessionGroupName);
+      }
+    }
+
+    // Training location assignments
+    if (assignment.assignment_level === 'training_location') {
+      const sessionLocation = session.training_location ||
+                             (sessionTitle && sessionTitle.includes('|') ?
+                              sessionTitle.split('|')[0].trim() : '');
+      return !assignment.training_location ||
+             assignment.training_location === sessionLocation;
+    }
+
+    return false;
+  });
+
+  return new Set(matchingAssignments.map(a => a.end_user_id));
+};
+
+/**
+ * Build one person's calendar: their sessions only, published rather than sent as invitations,
+ * so no attendees are listed
+ * @param {Array} sessions - The person's sessions
+ * @param {Object} options
+ * @param {Function} options.getSequence - (session) => SEQUENCE of the session's event
+ * @param {string} options.calName - Calendar name shown by calendar clients
+ * @returns {Object} - { content, eventCount }
+ */
+export const buildPersonalCalendar = (sessions, { getSequence = () => 0, calName } = {}) => {
+  const events = sessions
+    .map(session => createSessionEvent(session, [], { sequence: getSequence(session) }))
+    .filter(Boolean);
+
+  const { error, value } = createEvents(events, {
+    method: CALENDAR_METHOD.PUBLISH,
+    ...(calName && { calName })
+  });
+
+  if (error) {
+    throw new Error(`Calendar generation failed: ${error.message}`);
+  }
+
+  return { content: value, eventCount: events.length };
+};
+
+/**
+ * Ask subscribed calendar clients to refresh a calendar regularly
+ * @param {string} content - ICS file content
+ * @param {string} interval - ISO 8601 duration, e.g. 'PT1H'
+ * @returns {string} - ICS content with REFRESH-INTERVAL and X-PUBLISHED-TTL in the header
+ */
+export const withRefreshInterval = (content, interval) =>
+  content
+    .replace(/X-PUBLISHED-TTL:[^\r\n]*\r\n/, '')
+    .replace(
+      'BEGIN:VCALENDAR\r\n',
+      `BEGIN:VCALENDAR\r\nREFRESH-INTERVAL;VALUE=DURATION:${interval}\r\nX-PUBLISHED-TTL:${interval}\r\n`
+    );
+
+/**
+ * Get the event location: the meeting link for virtual sessions, otherwise the training location
+ * @param {Object} session - Session object
+ * @returns {string} - Event location
+ */
+const getEventLocation = (session) => {
+  const location = session.location || session.training_location || '';
+
+  if (session.deliveryMode === DELIVERY_MODE.VIRTUAL) {
+    return session.meetingLink || 'Online';
+  }
+  if (session.deliveryMode === DELIVERY_MODE.HYBRID) {
+    return location ? `${location} (Hybrid)` : 'Hybrid';
+  }
+  return location;
+};
+
+/**
+ * Create event description with course and attendee details
+ * @param {Object} session - Session object
+ * @param {Array} roster - People to list as attendees
+ * @returns {string} - Event description
+ */
+const createEventDescription = (session, roster) => {
+  const lines = [];
+
+  // Course information
+  if (session.course_name) {
+    lines.push(`Course: ${session.course_name}`);
+  }
+
+  if (session.trainer_name) {
+    lines.push(`Trainer: ${session.trainer_name}`);
+  }
+
+  if (session.functional_area) {
+    lines.push(`Department: ${session.functional_area}`);
+  }
+
+  if (session.deliveryMode && session.deliveryMode !== DELIVERY_MODE.CLASSROOM) {
+    lines.push(`Delivery: ${DELIVERY_MODE_LABELS[session.deliveryMode]}`);
+  }
+
+  if (session.meetingLink) {
+    lines.push(`Join online: ${session.meetingLink}`);
+  }
+
+  if (session.max_attendees && roster.length > 0) {
+    lines.push(`Capacity: ${roster.length}/${session.max_attendees}`);
+  }
+
+  // Attendee list
+  if (roster.length > 0) {
+    lines.push('');
+    lines.push('Attendees:');
+    roster.forEach(user => {
+      const role = user.project_role ? ` (${user.project_role})` : '';
+      lines.push(`• ${user.name}${role}`);
+    });
+  }
+
+  lines.push('');
+  lines.push('Generated by Training Needs Database System');
+
+  return lines.join('\\n');
+};
+
+/**
+ * Sanitize filename for file system compatibility
+ * @param {string} filename - Raw filename
+ * @returns {string} - Sanitized filename
+ */
+export const sanitizeFilename = (filename) => {
+  return filename
+    .replace(/[^a-zA-Z0-9\-_]/g, '_')
+    .replace(/_+/g, '_')
+    .replace(/^_+|_+$/g, '')
+    .substring(0, 50);
+};
@@ -1,14 +1,39 @@
 import { createEvents } from 'ics';
+import { zipSync, strToU8 } from 'fflate';
 import { supabase } from '@core/services/supabaseClient';
 import { debugLog, debugError } from './consoleUtils';
+import {
+  CALENDAR_METHOD,
+  getSessionEventUid,
+  getCalendarSequence,
+  fromSessionRow,
+  createSessionEvent,
+  getSessionAttendeeIds,
+  buildPersonalCalendar,
+  sanitizeFilename
+} from './calendarEvents.js';
 
 /**
  * Calendar Invite Generator Utility
  * 
  * Generates .ics calendar files for training schedules with full attendee lists
  * for easy import into Outlook and other calendar applications.
+ *
+ * Events are built by calendarEvents.js, so re-importing a later export updates the existing
+ * meetings instead of creating new ones. generateCalendarUpdates builds just the changes between
+ * two revisions: a METHOD:REQUEST file for moved, changed or newly attended sessions and a
+ * METHOD:CANCEL file for deleted sessions and learners taken off a session.
+ * generatePersonalCalendars builds one calendar per learner and trainer with only their sessions.
  */
 
+export { CALENDAR_METHOD, getSessionEventUid, getCalendarSequence } from './calendarEvents.js';
+
+// Session row fields that show in a calendar event; a change to any of them is sent as an update
+const EVENT_FIELDS = [
+  'training_location', 'classroom_number', 'instructor_id', 'instructor_name',
+  'session_title', 'delivery_method', 'meeting_link'
+];
+
 /**
  * Generate a complete training calendar file for a schedule
  * @param {Object} schedule - The training schedule object
@@ -39,10 +64,16 @@ export const generateTrainingCalendar = async (schedule, sessions, assignments,
     }
     
     // Create calendar events for each session
+    const sequence = getCalendarSequence(schedule);
     const calendarEvents = [];
     
     for (const session of flatSessions) {
-      const sessionEvent = await createSessionEvent(session, assignments, usersWithEmails);
+      const attendees = getSessionAttendees(session, assignments, usersWithEmails);
+      if (attendees.length === 0) {
+        debugLog('⚠️ No attendees found for session:', session.title);
+        continue;
+      }
+      const sessionEvent = createSessionEvent(session, attendees, { sequence });
       if (sessionEvent) {
         calendarEvents.push(sessionEvent);
       }
@@ -53,7 +84,7 @@ export const generateTrainingCalendar = async (schedule, sessions, assignments,
     }
     
     // Generate .ics file content
-    const { error, value } = createEvents(calendarEvents);
+    const { error, value } = createEvents(calendarEvents, { method: CALENDAR_METHOD.REQUEST });
     
     if (error) {
       throw new Error(`Calendar generation failed: ${error.message}`);
@@ -85,6 +116,240 @@ export const generateTrainingCalendar = async (schedule, sessions, assignments,
   }
 };
 
+/**
+ * Generate a personal calendar for every learner and trainer of a schedule, as one zip
+ * Each calendar holds only that person's sessions and lists no other attendees. People without
+ * sessions in the schedule get no file.
+ * @param {Object} schedule - The training schedule object
+ * @param {Array} sessions - Array of training sessions (flat or nested)
+ * @param {Array} assignments - Array of user assignments
+ * @param {Array} trainers - The project's trainers ({ id, name, email })
+ * @param {string} projectId - The project ID for data filtering
+ * @returns {Promise<Object>} - {success, filename, content, learnerCount, trainerCount, error}
+ *   content is the zip file's bytes, with Learners/ and Trainers/ folders of .ics files
+ */
+export const generatePersonalCalendars = async (schedule, sessions, assignments, trainers, projectId) => {
+  if (!projectId) {
+    throw new Error('Project ID is required for calendar generation');
+  }
+  try {
+    debugLog('📅 Generating personal calendars for schedule:', schedule.name);
+
+    const flatSessions = flattenSessions(sessions);
+
+    if (!flatSessions || flatSessions.length === 0) {
+      throw new Error('No sessions found in schedule');
+    }
+
+    const users = await getAssignedUsers(assignments, projectId);
+    const sequence = getCalendarSequence(schedule);
+    const attendeeIdsBySession = new Map(flatSessions.map(session => [session, getSessionAttendeeIds(session, assignments)]));
+    const files = {};
+
+    const addCalendar = (folder, person, personSessions) => {
+      if (personSessions.length === 0) return false;
+      const { content } = buildPersonalCalendar(personSessions, {
+        getSequence: () => sequence,
+        calName: `Training - ${person.name}`
+      });
+      files[`${folder}/${sanitizeFilename(person.name || 'Unknown')}_${String(person.id).slice(0, 8)}.ics`] = strToU8(content);
+      return true;
+    };
+
+    const learnerCount = users
+      .filter(user => addCalendar('Learners', user, flatSessions.filter(session => attendeeIdsBySession.get(session).has(user.id))))
+      .length;
+    const trainerCount = (trainers || [])
+      .filter(trainer => addCalendar('Trainers', trainer, flatSessions.filter(session => session.trainer_id && String(session.trainer_id) === String(trainer.id))))
+      .length;
+
+    if (learnerCount + trainerCount === 0) {
+      throw new Error('No learners or trainers have sessions in this schedule');
+    }
+
+    const filename = `Personal_Calendars_${sanitizeFilename(schedule.name)}_${new Date().toISOString().split('T')[0]}.zip`;
+
+    debugLog('✅ Personal calendars generated:', { filename, learnerCount, trainerCount });
+
+    return {
+      success: true,
+      filename,
+      content: zipSync(files),
+      learnerCount,
+      trainerCount
+    };
+
+  } catch (err) {
+    debugError('❌ Error generating personal calendars:', err);
+    return {
+      success: false,
+      error: err.message
+    };
+  }
+};
+
+/**
+ * Generate the calendar changes between two revisions of a schedule
+ * Sessions are matched by event UID. A new session, or one whose time, place, trainer or
+ * delivery changed, is sent as a REQUEST to everyone now on it; learners added to an otherwise
+ * unchanged session get a REQUEST too. Deleted sessions are cancelled for everyone who was on
+ * them, and learners taken off a session get a CANCEL for just that session.
+ * Events carry the later revision's number as SEQUENCE.
+ * @param {Object} schedule - The training schedule object
+ * @param {Object} fromRevision - Earlier revision snapshot (revision_number, sessions, assignments)
+ * @param {Object} toRevision - Later revision snapshot
+ * @param {string} projectId - The project ID for data filtering
+ * @returns {Promise<Object>} - {success, files, error}
+ *   files: [{ method, filename, content, eventCount, recipients: [{ id, name, email }] }],
+ *   one per method that has events (none when nothing changed for anyone with an email)
+ */
+export const generateCalendarUpdates = async (schedule, fromRevision, toRevision, projectId) => {
+  if (!projectId) {
+    throw new Error('Project ID is required for calendar generation');
+  }
+  try {
+    debugLog(`📅 Generating calendar updates for ${schedule.name}: revision ${fromRevision.revision_number} to ${toRevision.revision_number}`);
+
+    const before = collectRevisionEvents(fromRevision);
+    const after = collectRevisionEvents(toRevision);
+    const usersWithEmails = await getUsersWithEmails(
+      [...(fromRevision.assignments || []), ...(toRevision.assignments || [])],
+      projectId
+    );
+    const usersById = new Map(usersWithEmails.map(user => [user.id, user]));
+    const toUsers = (ids) => [...ids].map(id => usersById.get(id)).filter(Boolean);
+    const sequence = toRevision.revision_number;
+
+    const updates = []; // { session, attendees, recipients }
+    const cancellations = []; // { session, attendees }
+
+    after.forEach(({ session, attendeeIds }, uid) => {
+      const previous = before.get(uid);
+      const attendees = toUsers(attendeeIds);
+
+      if (!previous || hasEventChanged(previous.session, session)) {
+        updates.push({ session, attendees, recipients: attendees });
+      } else {
+        const added = toUsers([...attendeeIds].filter(id => !previous.attendeeIds.has(id)));
+        if (added.length > 0) {
+          updates.push({ session, attendees, recipients: added });
+        }
+      }
+
+      if (previous) {
+        const removed = toUsers([...previous.attendeeIds].filter(id => !attendeeIds.has(id)));
+        if (removed.length > 0) {
+          cancellations.push({ session: previous.session, attendees: removed });
+        }
+      }
+    });
+
+    before.forEach(({ session, attendeeIds }, uid) => {
+      if (!after.has(uid)) {
+        cancellations.push({ session, attendees: toUsers(attendeeIds) });
+      }
+    });
+
+    const revisionRange = `r${fromRevision.revision_number}-r${toRevision.revision_number}`;
+    const files = [
+      buildCalendarFile(
+        CALENDAR_METHOD.REQUEST,
+        updates,
+        `Training_Updates_${sanitizeFilename(schedule.name)}_${revisionRange}.ics`,
+        { sequence }
+      ),
+      buildCalendarFile(
+        CALENDAR_METHOD.CANCEL,
+        cancellations.map(change => ({ ...change, recipients: change.attendees })),
+        `Training_Cancellations_${sanitizeFilename(schedule.name)}_${revisionRange}.ics`,
+        { sequence, cancelled: true }
+      )
+    ].filter(Boolean);
+
+    debugLog('✅ Calendar updates generated:', files.map(file => ({
+      method: file.method,
+      eventCount: file.eventCount,
+      recipientCount: file.recipients.length
+    })));
+
+    return { success: true, files };
+
+  } catch (err) {
+    debugError('❌ Error generating calendar updates:', err);
+    return {
+      success: false,
+      error: err.message
+    };
+  }
+};
+
+/**
+ * Build one .ics file of calendar changes
+ * @param {string} method - CALENDAR_METHOD
+ * @param {Array} changes - [{ session, attendees, recipients }]
+ * @param {string} filename - Filename for download
+ * @param {Object} eventOptions - Options for createSessionEvent
+ * @returns {Object|null} - { method, filename, content, eventCount, recipients }, or null without events
+ */
+const buildCalendarFile = (method, changes, filename, eventOptions) => {
+  const events = [];
+  const recipients = new Map();
+
+  changes.forEach(({ session, attendees, recipients: changeRecipients }) => {
+    if (attendees.length === 0) return;
+    const event = createSessionEvent(session, attendees, eventOptions);
+    if (!event) return;
+    events.push(event);
+    changeRecipients.forEach(user => recipients.set(user.id, user));
+  });
+
+  if (events.length === 0) {
+    return null;
+  }
+
+  const { error, value } = createEvents(events, { method });
+
+  if (error) {
+    throw new Error(`Calendar generation failed: ${error.message}`);
+  }
+
+  return {
+    method,
+    filename,
+    content: value,
+    eventCount: events.length,
+    recipients: [...recipients.values()]
+      .map(({ id, name, email }) => ({ id, name, email }))
+      .sort((a, b) => (a.name || '').localeCompare(b.name || ''))
+  };
+};
+
+/**
+ * Calendar events of a revision snapshot
+ * @param {Object} revision - Revision snapshot (training_sessions and user_assignments rows)
+ * @returns {Map} - UID -> { session, attendeeIds }
+ */
+const collectRevisionEvents = (revision) => {
+  const assignments = revision?.assignments || [];
+  return new Map((revision?.sessions || []).map(row => {
+    const session = fromSessionRow(row);
+    return [getSessionEventUid(session), { session, attendeeIds: getSessionAttendeeIds(session, assignments) }];
+  }));
+};
+
+/**
+ * Whether a session changed in a way its attendees' calendars should show
+ * @param {Object} before - Session in the earlier revision
+ * @param {Object} after - Session in the later revision
+ * @returns {boolean}
+ */
+const hasEventChanged = (before, after) => {
+  const normalise = (value) => (value === undefined || value === '' ? null : String(value));
+  return new Date(before.start).getTime() !== new Date(after.start).getTime() ||
+    new Date(before.end).getTime() !== new Date(after.end).getTime() ||
+    EVENT_FIELDS.some(field => normalise(before[field]) !== normalise(after[field]));
+};
+
 /**
  * Flatten nested session structure into array
  * @param {Object|Array} sessions - Sessions in nested or flat structure
@@ -117,6 +382,42 @@ const flattenSessions = (sessions) => {
   return flatSessions;
 };
 
+/**
+ * Get user details for assignments
+ * @param {Array} assignments - User assignments array
+ * @param {string} projectId - The project ID for data filtering
+ * @returns {Promise<Array>} - Assigned users, with or without email addresses
+ */
+const getAssignedUsers = async (assignments, projectId) => {
+  if (!projectId) {
+    throw new Error('Project ID is required to fetch user details');
+  }
+  if (!assignments || assignments.length === 0) {
+    return [];
+  }
+
+  // Get unique user IDs from assignments
+  const userIds = [...new Set(assignments.map(a => a.end_user_id).filter(Boolean))];
+
+  if (userIds.length === 0) {
+    return [];
+  }
+
+  // Fetch user details including email addresses (with project isolation)
+  const { data, error } = await supabase
+    .from('end_users')
+    .select('id, name, email, project_role, training_location')
+    .in('id', userIds)
+    .eq('project_id', projectId);
+
+  if (error) {
+    debugError('Error fetching assigned users:', error);
+    throw error;
+  }
+
+  return data || [];
+};
+
 /**
  * Get user details with email addresses for assignments
  * @param {Array} assignments - User assignments array
@@ -128,28 +429,7 @@ const getUsersWithEmails = async (assignments, projectId) => {
     throw new Error('Project ID is required to fetch user details');
   }
   try {
-    if (!assignments || assignments.length === 0) {
-      return [];
-    }
-    
-    // Get unique user IDs from assignments
-    const userIds = [...new Set(assignments.map(a => a.end_user_id).filter(Boolean))];
-    
-    if (userIds.length === 0) {
-      return [];
-    }
-    
-    // Fetch user details including email addresses (with project isolation)
-    const { data, error } = await supabase
-      .from('end_users')
-      .select('id, name, email, project_role, training_location')
-      .in('id', userIds)
-      .eq('project_id', projectId);
-    
-    if (error) {
-      debugError('Error fetching user emails:', error);
-      return [];
-    }
+    const data = await getAssignedUsers(assignments, projectId);
     
     // Filter users who have email addresses
     const usersWithEmails = data.filter(user => user.email && user.email.trim() !== '');
@@ -168,88 +448,6 @@ const getUsersWithEmails = async (assignments, projectId) => {
   }
 };
 
-/**
- * Create a calendar event for a training session
- * @param {Object} session - Training session object
- * @param {Array} assignments - All assignments
- * @param {Array} usersWithEmails - Users with email addresses
- * @returns {Object|null} - Calendar event object or null
- */
-const createSessionEvent = async (session, assignments, usersWithEmails) => {
-  try {
-    // Get attendees for this session
-    const attendees = getSessionAttendees(session, assignments, usersWithEmails);
-    
-    if (attendees.length === 0) {
-      debugLog('⚠️ No attendees found for session:', session.title);
-      return null;
-    }
-    
-    // Parse session dates
-    const startDate = new Date(session.start);
-    const endDate = new Date(session.end);
-    
-    if (isNaN(startDate.getTime()) || isNaN(endDate.getTime())) {
-      debugLog('⚠️ Invalid dates for session:', session.title);
-      return null;
-    }
-    
-    // Format dates for ics library (expects [year, month, day, hour, minute])
-    const startArray = [
-      startDate.getFullYear(),
-      startDate.getMonth() + 1,
-      startDate.getDate(),
-      startDate.getHours(),
-      startDate.getMinutes()
-    ];
-    
-    const endArray = [
-      endDate.getFullYear(),
-      endDate.getMonth() + 1,
-      endDate.getDate(),
-      endDate.getHours(),
-      endDate.getMinutes()
-    ];
-    
-    // Create event object
-    const event = {
-      title: session.title || session.course_name || 'Training Session',
-      description: createEventDescription(session, attendees),
-      location: session.location || session.training_location || '',
-      start: startArray,
-      end: endArray,
-      attendees: attendees.map(user => ({
-        name: user.name,
-        email: user.email,
-        rsvp: true,
-        partstat: 'NEEDS-ACTION',
-        role: 'REQ-PARTICIPANT'
-      })),
-      organizer: {
-        name: 'Training Coordinator',
-        email: 'training@company.com' // You can customize this
-      },
-      status: 'CONFIRMED',
-      busyStatus: 'BUSY',
-      categories: ['Training'],
-      uid: `training-${session.id || session.eventId || Date.now()}-${Math.random().toString(36).substr(2, 9)}@training-system`
-    };
-    
-    debugLog('📅 Created calendar event:', {
-      title: event.title,
-      attendeeCount: attendees.length,
-      start: startDate.toISOString(),
-      end: endDate.toISOString()
-    });
-    
-    return event;
-    
-  } catch (err) {
-    debugError('Error creating session event:', err);
-    return null;
-  }
-};
-
 /**
  * Get attendees for a specific session
  * @param {Object} session - Training session
@@ -258,113 +456,19 @@ const createSessionEvent = async (session, assignments, usersWithEmails) => {
  * @returns {Array} - Array of attendee objects
  */
 const getSessionAttendees = (session, assignments, usersWithEmails) => {
-  const sessionId = session.eventId || session.id || session.session_identifier;
-  const sessionTitle = session.title;
-  
-  const matchingAssignments = assignments.filter(assignment => {
-    // Session-level assignments
-    if (assignment.assignment_level === 'session') {
-      return assignment.session_identifier === sessionId ||
-             assignment.session_id === session.id;
-    }
-    
-    // Course-level assignments
-    if (assignment.assignment_level === 'course') {
-      return assignment.course_id === session.course_id;
-    }
-    
-    // Group-level assignments
-    if (assignment.assignment_level === 'group' && sessionTitle) {
-      const groupMatch = sessionTitle.match(/Group (\d+)/);
-      if (groupMatch) {
-        const sessionGroupName = `Group${groupMatch[1]}`;
-        return assignment.group_identifier && 
-               assignment.group_identifier.endsWith(sessionGroupName);
-      }
-    }
-    
-    // Training location assignments
-    if (assignment.assignment_level === 'training_location') {
-      const sessionLocation = session.training_location || 
-                             (sessionTitle && sessionTitle.includes('|') ? 
-                              sessionTitle.split('|')[0].trim() : '');
-      return !assignment.training_location || 
-             assignment.training_location === sessionLocation;
-    }
-    
-    return false;
-  });
-  
-  // Get users with emails for matching assignments
-  const attendeeUserIds = matchingAssignments.map(a => a.end_user_id);
-  const attendees = usersWithEmails.filter(user => attendeeUserIds.includes(user.id));
-  
-  return attendees;
-};
-
-/**
- * Create event description with course and attendee details
- * @param {Object} session - Session object
- * @param {Array} attendees - Array of attendees
- * @returns {string} - Event description
- */
-const createEventDescription = (session, attendees) => {
-  const lines = [];
-  
-  // Course information
-  if (session.course_name) {
-    lines.push(`Course: ${session.course_name}`);
-  }
-  
-  if (session.trainer_name) {
-    lines.push(`Trainer: ${session.trainer_name}`);
-  }
-  
-  if (session.functional_area) {
-    lines.push(`Department: ${session.functional_area}`);
-  }
-  
-  if (session.max_attendees) {
-    lines.push(`Capacity: ${attendees.length}/${session.max_attendees}`);
-  }
-  
-  // Attendee list
-  if (attendees.length > 0) {
-    lines.push('');
-    lines.push('Attendees:');
-    attendees.forEach(user => {
-      const role = user.project_role ? ` (${user.project_role})` : '';
-      lines.push(`• ${user.name}${role}`);
-    });
-  }
-  
-  lines.push('');
-  lines.push('Generated by Training Needs Database System');
-  
-  return lines.join('\\n');
-};
-
-/**
- * Sanitize filename for file system compatibility
- * @param {string} filename - Raw filename
- * @returns {string} - Sanitized filename
- */
-const sanitizeFilename = (filename) => {
-  return filename
-    .replace(/[^a-zA-Z0-9\-_]/g, '_')
-    .replace(/_+/g, '_')
-    .replace(/^_+|_+$/g, '')
-    .substring(0, 50);
+  const attendeeUserIds = getSessionAttendeeIds(session, assignments);
+  return usersWithEmails.filter(user => attendeeUserIds.has(user.id));
 };
 
 /**
  * Download calendar file to user's computer
- * @param {string} content - ICS file content
+ * @param {string|Uint8Array} content - ICS file content, or zip bytes
  * @param {string} filename - Filename for download
+ * @param {string} type - MIME type of the content
  */
-export const downloadCalendarFile = (content, filename) => {
+export const downloadCalendarFile = (content, filename, type = 'text/calendar;charset=utf-8') => {
   try {
-    const blob = new Blob([content], { type: 'text/calendar;charset=utf-8' });
+    const blob = new Blob([content], { type });
     const url = URL.createObjectURL(blob);
     
     const link = document.createElement('a');
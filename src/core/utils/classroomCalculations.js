@@ -3,6 +3,9 @@
  * Used for calculating classroom capacity constraints in the Training Schedule Wizard
  */
 
+import { resolveTrainingLocation } from './scheduling/BlackoutCalendar.js';
+import { BUSY_RESOURCE, getBusyBlockRange } from './scheduling/BusyBlocks.js';
+
 /**
  * Calculate classroom capacity metrics for a given criteria
  * @param {Object} criteria - Training criteria containing scheduling parameters
@@ -149,9 +152,65 @@ export const validateClassroomCapacity = (requiredClassrooms, availableClassroom
  * Track classroom occupancy for scheduling conflicts with specific classroom assignments
  */
 export class ClassroomOccupancyTracker {
-  constructor() {
+  /**
+   * @param {Array} busyBlocks - Busy blocks (resource_busy_blocks rows); classroom blocks are
+   *   treated as occupied time in that classroom, trainer blocks are ignored
+   */
+  constructor(busyBlocks = []) {
     this.occupancy = new Map(); // locationKey -> timeSlot -> Set of occupied classroom numbers
     this.assignments = new Map(); // sessionId -> { locationKey, timeSlot, classroomNumber }
+    this.busyBlocks = [];
+    this.busyByLocation = new Map(); // training location -> [{ start, end, classroomNumber }]
+    this.addBusyBlocks(busyBlocks);
+  }
+
+  /**
+   * Mark classrooms as occupied during busy time booked outside the scheduler
+   * Busy time is kept apart from session assignments, so it never counts towards load balancing
+   * and cannot be released.
+   * @param {Array} busyBlocks - Busy blocks
+   */
+  addBusyBlocks(busyBlocks = []) {
+    (busyBlocks || [])
+      .filter(block => block?.resource_type === BUSY_RESOURCE.CLASSROOM && block.training_location)
+      .forEach(block => {
+        this.busyBlocks.push(block);
+        if (!this.busyByLocation.has(block.training_location)) {
+          this.busyByLocation.set(block.training_location, []);
+        }
+        this.busyByLocation.get(block.training_location).push({
+          ...getBusyBlockRange(block),
+          classroomNumber: Number(block.classroom_number)
+        });
+      });
+  }
+
+  /**
+   * Copy the tracker with its busy time and every reservation
+   * Search-based modes try placements on copies without touching the real tracker.
+   * @returns {ClassroomOccupancyTracker} Independent copy
+   */
+  clone() {
+    const copy = new ClassroomOccupancyTracker(this.busyBlocks);
+    this.occupancy.forEach((locationOccupancy, locationKey) => {
+      copy.occupancy.set(locationKey, new Map(
+        Array.from(locationOccupancy, ([timeSlotKey, classrooms]) => [timeSlotKey, new Set(classrooms)])
+      ));
+    });
+    this.assignments.forEach((assignment, sessionId) => {
+      copy.assignments.set(sessionId, { ...assignment });
+    });
+    return copy;
+  }
+
+  /**
+   * Check whether a location has any occupied time, from sessions or busy blocks
+   * @param {string} locationKey - Training location identifier
+   * @returns {boolean}
+   * @private
+   */
+  _hasOccupancy(locationKey) {
+    return this.occupancy.has(locationKey) || this.busyByLocation.has(resolveTrainingLocation(locationKey));
   }
 
   /**
@@ -185,51 +244,59 @@ export class ClassroomOccupancyTracker {
    * @returns {boolean} True if classroom is available
    */
   isClassroomAvailable(locationKey, startTime, endTime, maxClassrooms) {
-    if (!this.occupancy.has(locationKey)) {
+    if (!this._hasOccupancy(locationKey)) {
       return true;
     }
 
-    // Check classroom availability for the exact requested time slot
-    // This ensures consistency between availability checking and actual reservation
-    const locationOccupancy = this.occupancy.get(locationKey);
-    const requestedTimeSlotKey = this.getTimeSlotKey(startTime, endTime);
-    
-    // First check if the exact time slot exists and how many classrooms are occupied
-    if (locationOccupancy.has(requestedTimeSlotKey)) {
-      const occupiedClassrooms = locationOccupancy.get(requestedTimeSlotKey);
-      const isAvailable = occupiedClassrooms.size < maxClassrooms;
-      
-      if (!isAvailable) {
-        console.log(`🚫 No classroom available at ${locationKey}: ${occupiedClassrooms.size}/${maxClassrooms} classrooms occupied for exact time slot`);
+    // Check every time slot overlapping the requested time (including the exact slot) -
+    // sessions of different lengths in the same time block have different slot keys
+    const overlappingClassrooms = this._getOverlappingClassrooms(locationKey, startTime, endTime);
+
+    // Only classrooms 1..maxClassrooms count - busy time can name classrooms beyond the ones in use
+    let occupiedCount = 0;
+    for (let classroomNum = 1; classroomNum <= maxClassrooms; classroomNum++) {
+      if (overlappingClassrooms.has(classroomNum)) {
+        occupiedCount++;
       }
-      
-      return isAvailable;
     }
+    const isAvailable = occupiedCount < maxClassrooms;
     
-    // If exact time slot doesn't exist, check for any overlapping time slots
+    if (!isAvailable) {
+      console.log(`🚫 No classroom available at ${locationKey}: ${occupiedCount}/${maxClassrooms} classrooms occupied`);
+    }
+    
+    return isAvailable;
+  }
+
+  /**
+   * Collect the classrooms occupied at a location at any point during a time period
+   * @param {string} locationKey - Training location identifier
+   * @param {Date} startTime - Period start time
+   * @param {Date} endTime - Period end time
+   * @returns {Set<number>} Occupied classroom numbers
+   * @private
+   */
+  _getOverlappingClassrooms(locationKey, startTime, endTime) {
     const overlappingClassrooms = new Set();
     
-    for (const [timeSlotKey, occupiedClassroomsSet] of locationOccupancy.entries()) {
-      // Parse the time slot key to get start and end times
+    for (const [timeSlotKey, occupiedClassroomsSet] of (this.occupancy.get(locationKey) || new Map()).entries()) {
       const [timeSlotStart, timeSlotEnd] = this.parseTimeSlotKey(timeSlotKey);
       
-      // Check if this time slot overlaps with our requested time
       if (this.timePeriodsOverlap(startTime, endTime, timeSlotStart, timeSlotEnd)) {
-        // Add all occupied classrooms in this overlapping time slot
         for (const classroomNum of occupiedClassroomsSet) {
           overlappingClassrooms.add(classroomNum);
         }
       }
     }
 
-    // Return true if we have fewer overlapping classrooms than the maximum available
-    const isAvailable = overlappingClassrooms.size < maxClassrooms;
-    
-    if (!isAvailable) {
-      console.log(`🚫 No classroom available at ${locationKey}: ${overlappingClassrooms.size}/${maxClassrooms} classrooms occupied`);
-    }
+    // Classrooms booked elsewhere (imported busy time)
+    (this.busyByLocation.get(resolveTrainingLocation(locationKey)) || []).forEach(busy => {
+      if (this.timePeriodsOverlap(startTime, endTime, busy.start, busy.end)) {
+        overlappingClassrooms.add(busy.classroomNumber);
+      }
+    });
     
-    return isAvailable;
+    return overlappingClassrooms;
   }
 
   /**
@@ -254,26 +321,12 @@ export class ClassroomOccupancyTracker {
    * @returns {number|null} Available classroom number (1-based) or null if none available
    */
   findAvailableClassroom(locationKey, startTime, endTime, maxClassrooms) {
-    if (!this.occupancy.has(locationKey)) {
+    if (!this._hasOccupancy(locationKey)) {
       return 1; // First classroom
     }
 
-    const locationOccupancy = this.occupancy.get(locationKey);
-    
     // Collect all classrooms occupied during overlapping time periods
-    const occupiedClassrooms = new Set();
-    
-    for (const [existingTimeSlot, classroomSet] of locationOccupancy) {
-      const [existingStartStr, existingEndStr] = existingTimeSlot.split('|');
-      const existingStart = new Date(existingStartStr);
-      const existingEnd = new Date(existingEndStr);
-
-      // Check if the time periods overlap
-      if (this.timePeriodsOverlap(startTime, endTime, existingStart, existingEnd)) {
-        // Add all occupied classrooms during this overlapping period
-        classroomSet.forEach(classroom => occupiedClassrooms.add(classroom));
-      }
-    }
+    const occupiedClassrooms = this._getOverlappingClassrooms(locationKey, startTime, endTime);
 
     // Find first available classroom number
     for (let classroomNum = 1; classroomNum <= maxClassrooms; classroomNum++) {
@@ -302,11 +355,12 @@ export class ClassroomOccupancyTracker {
     const locationOccupancy = this.occupancy.get(locationKey);
     const timeSlotKey = this.getTimeSlotKey(startTime, endTime);
     
+    // Classrooms in use during any overlapping slot, not just the identical one
+    const occupiedClassrooms = this._getOverlappingClassrooms(locationKey, startTime, endTime);
+    
     if (!locationOccupancy.has(timeSlotKey)) {
       locationOccupancy.set(timeSlotKey, new Set());
     }
-
-    const occupiedClassrooms = locationOccupancy.get(timeSlotKey);
     
     let classroomNumber = 1;
     
@@ -417,7 +471,7 @@ export class ClassroomOccupancyTracker {
     }
 
     // Reserve the classroom for this time slot
-    occupiedClassrooms.add(classroomNumber);
+    locationOccupancy.get(timeSlotKey).add(classroomNumber);
     
     // Store assignment for tracking
     this.assignments.set(sessionId, {
@@ -433,6 +487,98 @@ export class ClassroomOccupancyTracker {
     return classroomNumber;
   }
 
+  /**
+   * Find one classroom that is free for every part of a multi-part session
+   * Long courses keep the same classroom from the first part to the last.
+   * @param {string} locationKey - Training location identifier
+   * @param {Array} parts - Session parts with start and end
+   * @param {number} maxClassrooms - Maximum classrooms available at location
+   * @returns {number|null} Classroom number free for all parts, or null
+   */
+  findClassroomForParts(locationKey, parts, maxClassrooms) {
+    const occupiedClassrooms = new Set();
+    parts.forEach(part => {
+      this._getOverlappingClassrooms(locationKey, part.start, part.end).forEach(classroom => occupiedClassrooms.add(classroom));
+    });
+
+    for (let classroomNum = 1; classroomNum <= maxClassrooms; classroomNum++) {
+      if (!occupiedClassrooms.has(classroomNum)) {
+        return classroomNum;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Check whether a specific classroom is free for every part of a session
+   * Used when a user moves a session to a chosen classroom rather than the next free one.
+   * @param {string} locationKey - Training location identifier
+   * @param {Array} parts - Session parts with start and end
+   * @param {number|string} classroomNumber - Classroom to check
+   * @returns {boolean} True if no occupied slot overlaps any part in that classroom
+   */
+  isClassroomFreeForParts(locationKey, parts, classroomNumber) {
+    return !parts.some(part =>
+      this._getOverlappingClassrooms(locationKey, part.start, part.end).has(classroomNumber)
+    );
+  }
+
+  /**
+   * Reserve the same classroom for every part of a session
+   * Single-part sessions use reserveClassroom (with its load balancing).
+   * @param {string} locationKey - Training location identifier
+   * @param {Array} parts - Session parts with start, end and sessionId
+   * @param {number} maxClassrooms - Maximum classrooms available at location
+   * @returns {number|null} Assigned classroom number or null if no classroom is free for all parts
+   */
+  reserveClassroomForParts(locationKey, parts, maxClassrooms) {
+    if (parts.length === 1) {
+      return this.reserveClassroom(locationKey, parts[0].start, parts[0].end, parts[0].sessionId, maxClassrooms);
+    }
+
+    const classroomNumber = this.findClassroomForParts(locationKey, parts, maxClassrooms);
+    if (classroomNumber === null) {
+      console.log(`❌ No classroom at ${locationKey} is free for all ${parts.length} parts of ${parts[0].sessionId}`);
+      return null;
+    }
+
+    parts.forEach(part => this.occupyClassroom(locationKey, part.start, part.end, classroomNumber, part.sessionId));
+    console.log(`✅ Reserved classroom ${classroomNumber} at ${locationKey} for all ${parts.length} parts of ${parts[0].sessionId}`);
+    return classroomNumber;
+  }
+
+  /**
+   * Occupy a known classroom for a session that is already scheduled
+   * Used when adding sessions to a saved schedule, so new sessions work around existing ones.
+   * @param {string} locationKey - Training location identifier
+   * @param {Date} startTime - Session start time
+   * @param {Date} endTime - Session end time
+   * @param {number} classroomNumber - Classroom the session already uses
+   * @param {string} sessionId - Unique session identifier
+   */
+  occupyClassroom(locationKey, startTime, endTime, classroomNumber, sessionId) {
+    if (!this.occupancy.has(locationKey)) {
+      this.occupancy.set(locationKey, new Map());
+    }
+
+    const locationOccupancy = this.occupancy.get(locationKey);
+    const timeSlotKey = this.getTimeSlotKey(startTime, endTime);
+    if (!locationOccupancy.has(timeSlotKey)) {
+      locationOccupancy.set(timeSlotKey, new Set());
+    }
+    locationOccupancy.get(timeSlotKey).add(classroomNumber);
+
+    this.assignments.set(sessionId, {
+      locationKey,
+      timeSlot: timeSlotKey,
+      classroomNumber,
+      sessionId,
+      startTime: new Date(startTime),
+      endTime: new Date(endTime)
+    });
+  }
+
   /**
    * Get the number of occupied classrooms for a specific time slot
    * @param {string} locationKey - Training location identifier
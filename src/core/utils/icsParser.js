@@ -0,0 +1,479 @@
+/**
+ * ICS Parser Utility
+ *
+ * Minimal iCalendar (RFC 5545) reader used to import external calendars
+ * (bank holidays, site shutdowns, busy time) into the scheduling system.
+ * Only VEVENT components and the properties the scheduler needs are read.
+ * Recurring events can be expanded into their occurrences (expandIcsOccurrences);
+ * rules outside the supported subset, or cut short by the expansion limits, are
+ * reported by getIncompleteRecurrence.
+ */
+
+/**
+ * Unfold continuation lines (lines starting with a space or tab belong to the previous line)
+ * @param {string} text - Raw ICS file content
+ * @returns {Array<string>} Unfolded content lines
+ */
+const unfoldLines = (text) => {
+  const rawLines = text.replace(/\r\n/g, '\n').replace(/\r/g, '\n').split('\n');
+  const lines = [];
+
+  rawLines.forEach(line => {
+    if ((line.startsWith(' ') || line.startsWith('\t')) && lines.length > 0) {
+      lines[lines.length - 1] += line.slice(1);
+    } else if (line.trim() !== '') {
+      lines.push(line);
+    }
+  });
+
+  return lines;
+};
+
+/**
+ * Split a content line into name, parameters and value
+ * @param {string} line - Unfolded content line (e.g. "DTSTART;VALUE=DATE:20251225")
+ * @returns {Object} { name, params, value }
+ */
+const parseContentLine = (line) => {
+  const colonIndex = line.indexOf(':');
+  if (colonIndex === -1) {
+    return { name: line.toUpperCase(), params: {}, value: '' };
+  }
+
+  const [name, ...paramParts] = line.slice(0, colonIndex).split(';');
+  const params = {};
+  paramParts.forEach(part => {
+    const [key, paramValue = ''] = part.split('=');
+    params[key.toUpperCase()] = paramValue.replace(/^"|"$/g, '');
+  });
+
+  return {
+    name: name.toUpperCase(),
+    params,
+    value: line.slice(colonIndex + 1)
+  };
+};
+
+/**
+ * Unescape ICS text values
+ * @param {string} value - Escaped text value
+ * @returns {string} Plain text
+ */
+const unescapeText = (value) => {
+  return value
+    .replace(/\\n/gi, '\n')
+    .replace(/\\,/g, ',')
+    .replace(/\\;/g, ';')
+    .replace(/\\\\/g, '\\');
+};
+
+/**
+ * Parse an ICS date or date-time value
+ * Floating and TZID times are read as local time, "Z" times as UTC.
+ * @param {string} value - e.g. "20251225", "20251225T093000", "20251225T093000Z"
+ * @param {Object} params - Property parameters (VALUE, TZID)
+ * @returns {Object|null} { date: Date, allDay: boolean } or null if unparseable
+ */
+export const parseIcsDate = (value, params = {}) => {
+  const match = (value || '').trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+  if (!match) {
+    return null;
+  }
+
+  const [, year, month, day, hours, minutes, seconds = '0', utc] = match;
+  const allDay = params.VALUE === 'DATE' || hours === undefined;
+
+  if (allDay) {
+    return { date: new Date(Number(year), Number(month) - 1, Number(day)), allDay: true };
+  }
+
+  const date = utc
+    ? new Date(Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hours), Number(minutes), Number(seconds)))
+    : new Date(Number(year), Number(month) - 1, Number(day), Number(hours), Number(minutes), Number(seconds));
+
+  return { date, allDay: false };
+};
+
+/**
+ * Parse an RRULE value into an object
+ * @param {string} value - e.g. "FREQ=YEARLY;BYMONTH=12"
+ * @returns {Object} Rule parts keyed by upper-case name
+ */
+const parseRecurrenceRule = (value) => {
+  return value.split(';').reduce((rule, part) => {
+    const [key, ruleValue] = part.split('=');
+    if (key) {
+      rule[key.toUpperCase()] = ruleValue;
+    }
+    return rule;
+  }, {});
+};
+
+/**
+ * Parse all VEVENT components from ICS content
+ * @param {string} text - Raw ICS file content
+ * @returns {Array} Array of events: { uid, summary, description, location, start, end, allDay, rrule, exdates, status, transparency, sequence }
+ */
+export const parseIcsEvents = (text) => {
+  if (!text || typeof text !== 'string') {
+    throw new Error('No calendar content provided');
+  }
+
+  if (!text.includes('BEGIN:VCALENDAR')) {
+    throw new Error('File is not a valid iCalendar (.ics) file');
+  }
+
+  const events = [];
+  let current = null;
+
+  unfoldLines(text).forEach(line => {
+    const { name, params, value } = parseContentLine(line);
+
+    if (name === 'BEGIN' && value.toUpperCase() === 'VEVENT') {
+      current = {};
+      return;
+    }
+
+    if (name === 'END' && value.toUpperCase() === 'VEVENT') {
+      if (current && current.start) {
+        // DTEND is optional: all-day events last one day, timed events are instantaneous
+        if (!current.end) {
+          current.end = new Date(current.start);
+          if (current.allDay) {
+            current.end.setDate(current.end.getDate() + 1);
+          }
+        }
+        events.push(current);
+      }
+      current = null;
+      return;
+    }
+
+    if (!current) {
+      return;
+    }
+
+    switch (name) {
+      case 'UID':
+        current.uid = value;
+        break;
+      case 'SUMMARY':
+        current.summary = unescapeText(value);
+        break;
+      case 'DESCRIPTION':
+        current.description = unescapeText(value);
+        break;
+      case 'LOCATION':
+        current.location = unescapeText(value);
+        break;
+      case 'STATUS':
+        current.status = value.toUpperCase();
+        break;
+      case 'TRANSP':
+        current.transparency = value.toUpperCase();
+        break;
+      case 'SEQUENCE':
+        current.sequence = Number(value) || 0;
+        break;
+      case 'RRULE':
+        current.rrule = parseRecurrenceRule(value);
+        break;
+      case 'EXDATE': {
+        // Excluded occurrences of a recurring event, possibly several per line
+        const excluded = value.split(',')
+          .map(part => parseIcsDate(part, params))
+          .filter(Boolean)
+          .map(parsed => parsed.date);
+        current.exdates = [...(current.exdates || []), ...excluded];
+        break;
+      }
+      case 'DTSTART': {
+        const parsed = parseIcsDate(value, params);
+        if (parsed) {
+          current.start = parsed.date;
+          current.allDay = parsed.allDay;
+        }
+        break;
+      }
+      case 'DTEND': {
+        const parsed = parseIcsDate(value, params);
+        if (parsed) {
+          current.end = parsed.date;
+        }
+        break;
+      }
+      default:
+        break;
+    }
+  });
+
+  return events;
+};
+
+// Safety limits for one recurring event: occurrences kept inside the window, and recurrence
+// periods walked (rules without COUNT start walking at the window, not at DTSTART)
+const MAX_OCCURRENCES = 1000;
+const MAX_PERIODS = 10000;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const ICS_WEEKDAYS = { SU: 0, MO: 1, TU: 2, WE: 3, TH: 4, FR: 5, SA: 6 };
+
+const SUPPORTED_FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+
+// Rule parts the expansion does not understand - events using them keep their first occurrence only
+const UNSUPPORTED_RULE_PARTS = ['BYSETPOS', 'BYYEARDAY', 'BYWEEKNO', 'BYHOUR', 'BYMINUTE', 'BYSECOND'];
+
+/**
+ * Copy a date shifted by whole days, months or years, keeping its wall-clock time
+ * @param {Date} date - Date to shift
+ * @param {Object} offset - { days, months, years }
+ * @returns {Date} Shifted date
+ */
+const shiftDate = (date, { days = 0, months = 0, years = 0 }) => new Date(
+  date.getFullYear() + years, date.getMonth() + months, date.getDate() + days,
+  date.getHours(), date.getMinutes(), date.getSeconds()
+);
+
+/**
+ * Last moment a recurrence may start, from its UNTIL value (a date-only UNTIL includes that day)
+ * @param {string} until - RRULE UNTIL value
+ * @returns {Date|null} Inclusive upper bound
+ */
+const parseUntil = (until) => {
+  const parsed = until ? parseIcsDate(until) : null;
+  if (!parsed) return null;
+  return parsed.allDay ? new Date(parsed.date.getFullYear(), parsed.date.getMonth(), parsed.date.getDate(), 23, 59, 59) : parsed.date;
+};
+
+/**
+ * Parse a BYDAY value, e.g. "MO,WE" or "-1MO"
+ * @param {string} value - BYDAY value
+ * @returns {Array|null} [{ weekday, ordinal }] (ordinal null when absent), or null when unparseable
+ */
+const parseByDay = (value) => {
+  if (!value) return [];
+  const days = value.split(',').map(code => {
+    const match = code.trim().toUpperCase().match(/^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/);
+    return match ? { weekday: ICS_WEEKDAYS[match[2]], ordinal: match[1] ? Number(match[1]) : null } : null;
+  });
+  return days.every(Boolean) ? days : null;
+};
+
+/**
+ * The nth (or, for negative ordinals, nth-from-last) weekday of a month
+ * @param {number} year - Year
+ * @param {number} month - Month index (may overflow, e.g. 13 = February next year)
+ * @param {number} weekday - 0 = Sunday
+ * @param {number} ordinal - 1 = first, -1 = last
+ * @param {Date} time - Date whose wall-clock time is kept
+ * @returns {Date|null} Date, or null when the month has no such day (e.g. a fifth Monday)
+ */
+const getNthWeekdayOfMonth = (year, month, weekday, ordinal, time) => {
+  const first = new Date(year, month, 1);
+  const daysInMonth = new Date(first.getFullYear(), first.getMonth() + 1, 0).getDate();
+  let day;
+  if (ordinal > 0) {
+    day = 1 + ((weekday - first.getDay() + 7) % 7) + (ordinal - 1) * 7;
+  } else {
+    const lastWeekday = new Date(first.getFullYear(), first.getMonth(), daysInMonth).getDay();
+    day = daysInMonth - ((lastWeekday - weekday + 7) % 7) + (ordinal + 1) * 7;
+  }
+  if (day < 1 || day > daysInMonth) return null;
+  return new Date(first.getFullYear(), first.getMonth(), day, time.getHours(), time.getMinutes(), time.getSeconds());
+};
+
+/**
+ * Describe the part of an event's RRULE that cannot be expanded
+ * Supported: DAILY, WEEKLY (with BYDAY), MONTHLY and YEARLY on DTSTART's date or on one nth weekday
+ * (e.g. BYDAY=-1MO), with INTERVAL, COUNT, UNTIL and EXDATE. BYMONTH / BYMONTHDAY may only repeat
+ * DTSTART's month and day.
+ * @param {Object} event - Parsed ICS event
+ * @returns {string|null} The unsupported rule part (e.g. "FREQ=HOURLY"), or null when the event can be expanded
+ */
+export const getUnsupportedRecurrence = (event) => {
+  const rule = event?.rrule;
+  if (!rule?.FREQ) return null;
+
+  const frequency = rule.FREQ.toUpperCase();
+  if (!SUPPORTED_FREQUENCIES.includes(frequency)) {
+    return `FREQ=${rule.FREQ}`;
+  }
+
+  const unsupportedPart = UNSUPPORTED_RULE_PARTS.find(part => rule[part] !== undefined);
+  if (unsupportedPart) {
+    return `${unsupportedPart}=${rule[unsupportedPart]}`;
+  }
+  if (rule.BYMONTHDAY !== undefined && (rule.BYDAY !== undefined || Number(rule.BYMONTHDAY) !== event.start.getDate())) {
+    return `BYMONTHDAY=${rule.BYMONTHDAY}`;
+  }
+  if (rule.BYMONTH !== undefined && (frequency !== 'YEARLY' || Number(rule.BYMONTH) !== event.start.getMonth() + 1)) {
+    return `BYMONTH=${rule.BYMONTH}`;
+  }
+
+  if (rule.BYDAY !== undefined) {
+    const byDay = parseByDay(rule.BYDAY);
+    const supported = byDay && (
+      frequency === 'WEEKLY'
+        ? byDay.every(day => day.ordinal === null)
+        : ['MONTHLY', 'YEARLY'].includes(frequency) && byDay.length === 1 && byDay[0].ordinal !== null &&
+          Math.abs(byDay[0].ordinal) >= 1 && Math.abs(byDay[0].ordinal) <= 5 &&
+          (frequency === 'MONTHLY' || rule.BYMONTH !== undefined)
+    );
+    if (!supported) {
+      return `BYDAY=${rule.BYDAY}`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Candidate start times of one recurrence period, in order
+ * @param {Object} event - Parsed ICS event with a supported rrule
+ * @param {number} period - Period index (0 = the period containing DTSTART)
+ * @param {number} interval - RRULE INTERVAL
+ * @param {Array} byDay - Parsed BYDAY
+ * @returns {Array<Date>} Candidates
+ */
+const getPeriodCandidates = (event, period, interval, byDay) => {
+  const { start } = event;
+  switch (event.rrule.FREQ.toUpperCase()) {
+    case 'DAILY':
+      return [shiftDate(start, { days: period * interval })];
+    case 'WEEKLY': {
+      if (byDay.length === 0) {
+        return [shiftDate(start, { days: period * interval * 7 })];
+      }
+      // Weeks start on Monday (the RFC 5545 default WKST)
+      const weekStart = shiftDate(start, { days: period * interval * 7 - ((start.getDay() + 6) % 7) });
+      return byDay
+        .map(({ weekday }) => shiftDate(weekStart, { days: (weekday + 6) % 7 }))
+        .sort((a, b) => a - b);
+    }
+    case 'MONTHLY':
+    case 'YEARLY': {
+      const months = event.rrule.FREQ.toUpperCase() === 'MONTHLY' ? period * interval : period * interval * 12;
+      if (byDay.length > 0) {
+        const candidate = getNthWeekdayOfMonth(start.getFullYear(), start.getMonth() + months, byDay[0].weekday, byDay[0].ordinal, start);
+        return candidate ? [candidate] : [];
+      }
+      const candidate = shiftDate(start, { months });
+      // Months without this date (e.g. the 31st, or 29 February) have no occurrence
+      return candidate.getDate() === start.getDate() ? [candidate] : [];
+    }
+    default:
+      return [];
+  }
+};
+
+/**
+ * First recurrence period that can end after a window start
+ * Periods before it are skipped so that rules starting years before the window are still expanded.
+ * Rules with COUNT are walked from DTSTART, since skipped periods would use up the count.
+ * @param {Object} event - Parsed ICS event with a supported rrule
+ * @param {number} interval - RRULE INTERVAL
+ * @param {Date} windowStart - Window start
+ * @returns {number} Period index (one period early, to stay clear of DST shifts)
+ */
+const getFirstWindowPeriod = (event, interval, windowStart) => {
+  const lookBack = new Date(windowStart.getTime() - (event.end - event.start));
+  if (event.rrule.COUNT !== undefined || lookBack <= event.start) return 0;
+
+  const { start } = event;
+  const days = (lookBack - start) / MS_PER_DAY;
+  const months = (lookBack.getFullYear() - start.getFullYear()) * 12 + lookBack.getMonth() - start.getMonth();
+  const periods = {
+    DAILY: days / interval,
+    WEEKLY: days / (7 * interval),
+    MONTHLY: months / interval,
+    YEARLY: months / (12 * interval)
+  }[event.rrule.FREQ.toUpperCase()] || 0;
+
+  return Math.max(0, Math.floor(periods) - 1);
+};
+
+/**
+ * Expand a recurring event, noting whether a safety limit cut the expansion short
+ * @param {Object} event - Parsed ICS event
+ * @param {Date} windowStart - Occurrences ending before this are dropped
+ * @param {Date} windowEnd - Recurring events are not expanded past this
+ * @returns {Object} { occurrences, truncated }
+ */
+const expandRecurrence = (event, windowStart, windowEnd) => {
+  const duration = event.end - event.start;
+  if (!event.rrule?.FREQ || getUnsupportedRecurrence(event)) {
+    return { occurrences: event.end > windowStart ? [{ start: event.start, end: event.end }] : [], truncated: false };
+  }
+
+  const interval = Math.max(1, Number(event.rrule.INTERVAL) || 1);
+  const count = event.rrule.COUNT !== undefined ? Number(event.rrule.COUNT) : null;
+  const until = parseUntil(event.rrule.UNTIL);
+  const byDay = parseByDay(event.rrule.BYDAY);
+  const excluded = new Set((event.exdates || []).map(date => date.getTime()));
+  const firstPeriod = getFirstWindowPeriod(event, interval, windowStart);
+
+  const occurrences = [];
+  let generated = 0;
+  for (let period = firstPeriod; period < firstPeriod + MAX_PERIODS; period++) {
+    for (const start of getPeriodCandidates(event, period, interval, byDay)) {
+      if (start < event.start) continue;
+      if (start >= windowEnd || (until && start > until) || (count !== null && generated >= count)) {
+        return { occurrences, truncated: false };
+      }
+      generated++;
+      const end = new Date(start.getTime() + duration);
+      if (!excluded.has(start.getTime()) && end > windowStart) {
+        if (occurrences.length >= MAX_OCCURRENCES) {
+          return { occurrences, truncated: true };
+        }
+        occurrences.push({ start, end });
+      }
+    }
+  }
+
+  return { occurrences, truncated: true };
+};
+
+/**
+ * Expand an ICS event into the occurrences that end after a window start
+ * Events whose rule getUnsupportedRecurrence rejects keep their first occurrence only, and at most
+ * MAX_OCCURRENCES occurrences are returned - getIncompleteRecurrence reports both cases.
+ * @param {Object} event - Parsed ICS event
+ * @param {Date} windowStart - Occurrences ending before this are dropped
+ * @param {Date} windowEnd - Recurring events are not expanded past this
+ * @returns {Array} Occurrences: { start, end }
+ */
+export const expandIcsOccurrences = (event, windowStart, windowEnd) =>
+  expandRecurrence(event, windowStart, windowEnd).occurrences;
+
+/**
+ * Describe why a recurring event would not be fully imported for a window
+ * @param {Object} event - Parsed ICS event
+ * @param {Date} windowStart - Window start
+ * @param {Date} windowEnd - Window end
+ * @returns {string|null} The unsupported rule part, a note that the expansion was cut short,
+ *   or null when every occurrence in the window is imported
+ */
+export const getIncompleteRecurrence = (event, windowStart, windowEnd) => {
+  const unsupported = getUnsupportedRecurrence(event);
+  if (unsupported) return unsupported;
+  if (!event?.rrule?.FREQ) return null;
+  return expandRecurrence(event, windowStart, windowEnd).truncated
+    ? `FREQ=${event.rrule.FREQ}: too many occurrences to expand`
+    : null;
+};
+
+/**
+ * Read a File object (from an <input type="file">) as text
+ * @param {File} file - The selected file
+ * @returns {Promise<string>} File content
+ */
+export const readCalendarFile = (file) => {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = (e) => resolve(e.target.result);
+    reader.onerror = () => reject(new Error(`Could not read file ${file?.name || ''}`));
+    reader.readAsText(file);
+  });
+};
@@ -5,4 +5,5 @@ export * from './dateTimeUtils.js';
 export * from './eventIdUtils.js';
 export * from './envValidation.js';
 export * from './calendarInviteGenerator.js';
-export * from './classroomCalculations.js';
\ No newline at end of file
+export * from './classroomCalculations.js';
+export * from './icsParser.js';
\ No newline at end of file
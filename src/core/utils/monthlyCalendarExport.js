@@ -0,0 +1,288 @@
+import * as XLSX from 'xlsx';
+import { getColorByCourseTitle } from './colorUtils.js';
+import { toLocalDateTime } from './dateTimeUtils.js';
+
+/**
+ * Monthly Calendar Export
+ *
+ * Builds the "Monthly Grid" Excel workbook: a wall-planner layout with two month grids side by
+ * side on each sheet, each day's sessions stacked in its cell, and cells filled with the colour
+ * of their course or location. See monthly_calendar_export_implementation_plan.md.
+ *
+ * Works on training_sessions rows; sessions from several schedules can be mixed, in which case
+ * each session is labelled with its schedule_name.
+ */
+
+// What the cell fills are colour-coded by
+export const MONTHLY_GRID_COLOR_BY = {
+  COURSE: 'course',
+  LOCATION: 'location'
+};
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MONTH_COLUMNS = 7;
+const SECOND_MONTH_COLUMN = MONTH_COLUMNS + 1; // One spacer column between the months
+const MAX_SESSIONS_PER_CELL = 5;
+const MAX_LOCATION_LENGTH = 20;
+const SESSION_SEPARATOR = '\n---\n';
+
+const THIN_BORDER = { style: 'thin', color: { rgb: '000000' } };
+const GRID_BORDER = { top: THIN_BORDER, left: THIN_BORDER, right: THIN_BORDER, bottom: THIN_BORDER };
+const FADED_BORDER_SIDE = { style: 'thin', color: { rgb: 'CCCCCC' } };
+const FADED_BORDER = { top: FADED_BORDER_SIDE, left: FADED_BORDER_SIDE, right: FADED_BORDER_SIDE, bottom: FADED_BORDER_SIDE };
+
+/**
+ * Build the Monthly Grid workbook
+ * @param {Array} sessions - training_sessions rows, optionally with schedule_name
+ * @param {Object} options
+ * @param {string} options.colorBy - MONTHLY_GRID_COLOR_BY value
+ * @param {boolean} options.showScheduleName - Label each session with its schedule
+ * @returns {Object} XLSX workbook with the month sheets and a 'Color Legend' sheet
+ */
+export const createMonthlyGridWorkbook = (sessions, { colorBy = MONTHLY_GRID_COLOR_BY.COURSE, showScheduleName = false } = {}) => {
+  const daySessions = sessions
+    .filter(session => !isNaN(new Date(session.start_datetime).getTime()) && !isNaN(new Date(session.end_datetime).getTime()))
+    .flatMap(splitAtMidnight)
+    .sort((a, b) => new Date(a.start_datetime) - new Date(b.start_datetime));
+
+  if (daySessions.length === 0) {
+    throw new Error('The selected schedules have no sessions to show in a monthly grid');
+  }
+
+  const sessionsByDate = groupSessionsByDate(daySessions);
+  const months = getMonthsBetween(
+    new Date(daySessions[0].start_datetime),
+    new Date(daySessions[daySessions.length - 1].start_datetime)
+  );
+  const getColor = (session) => getFillColor(getColorKey(session, colorBy));
+  const workbook = XLSX.utils.book_new();
+
+  for (let i = 0; i < months.length; i += 2) {
+    const pair = months.slice(i, i + 2);
+    const worksheet = { '!merges': [], '!rows': [] };
+
+    pair.forEach((month, index) => {
+      addMonthGrid(worksheet, month, sessionsByDate, index * SECOND_MONTH_COLUMN, { getColor, showScheduleName });
+    });
+
+    const lastColumn = pair.length * MONTH_COLUMNS + (pair.length - 1) - 1;
+    worksheet['!ref'] = XLSX.utils.encode_range({ s: { r: 0, c: 0 }, e: { r: 7, c: lastColumn } });
+    worksheet['!cols'] = Array.from({ length: lastColumn + 1 }, (_, column) =>
+      ({ wch: column === MONTH_COLUMNS ? 2 : 18 })
+    );
+
+    XLSX.utils.book_append_sheet(workbook, worksheet, pair.map(formatMonthShort).join(' & '));
+  }
+
+  addColorLegendSheet(workbook, daySessions, colorBy);
+  return workbook;
+};
+
+/**
+ * Write one month's grid into a worksheet: title row, day-name row, then up to six week rows
+ * @param {Object} worksheet - Worksheet being built
+ * @param {Date} month - First day of the month
+ * @param {Object} sessionsByDate - Sessions keyed by YYYY-MM-DD
+ * @param {number} startCol - Column of the month's Sunday
+ * @param {Object} options - { getColor, showScheduleName }
+ */
+const addMonthGrid = (worksheet, month, sessionsByDate, startCol, { getColor, showScheduleName }) => {
+  const year = month.getFullYear();
+  const monthIndex = month.getMonth();
+  const daysInMonth = new Date(year, monthIndex + 1, 0).getDate();
+  const startDayOfWeek = month.getDay();
+  let monthHasSessions = false;
+
+  worksheet[XLSX.utils.encode_cell({ r: 0, c: startCol })] = {
+    v: month.toLocaleString('en-GB', { month: 'long', year: 'numeric' }),
+    t: 's',
+    s: {
+      font: { bold: true, sz: 14, color: { rgb: 'FFFFFF' } },
+      alignment: { horizontal: 'center' },
+      fill: { fgColor: { rgb: '4472C4' } }
+    }
+  };
+  worksheet['!merges'].push({ s: { r: 0, c: startCol }, e: { r: 0, c: startCol + MONTH_COLUMNS - 1 } });
+
+  DAY_NAMES.forEach((day, index) => {
+    worksheet[XLSX.utils.encode_cell({ r: 1, c: startCol + index })] = {
+      v: day,
+      t: 's',
+      s: {
+        font: { bold: true },
+        alignment: { horizontal: 'center' },
+        fill: { fgColor: { rgb: 'D9D9D9' } },
+        border: GRID_BORDER
+      }
+    };
+  });
+
+  const weekCount = Math.ceil((startDayOfWeek + daysInMonth) / 7);
+  for (let week = 0; week < weekCount; week++) {
+    const row = week + 2;
+    worksheet['!rows'][row] = { hpt: 80 };
+
+    for (let dayOfWeek = 0; dayOfWeek < 7; dayOfWeek++) {
+      const cellRef = XLSX.utils.encode_cell({ r: row, c: startCol + dayOfWeek });
+      const day = week * 7 + dayOfWeek - startDayOfWeek + 1;
+
+      if (day < 1 || day > daysInMonth) {
+        worksheet[cellRef] = { v: '', t: 's', s: { fill: { fgColor: { rgb: 'F2F2F2' } }, border: FADED_BORDER } };
+        continue;
+      }
+
+      const dateSessions = sessionsByDate[toDateKey(new Date(year, monthIndex, day))] || [];
+      monthHasSessions = monthHasSessions || dateSessions.length > 0;
+
+      worksheet[cellRef] = {
+        v: dateSessions.length > 0
+          ? `${day}\n${formatSessionsForDay(dateSessions, showScheduleName)}`
+          : `${day}`,
+        t: 's',
+        s: {
+          alignment: { wrapText: true, vertical: 'top', horizontal: 'left' },
+          fill: { fgColor: { rgb: dateSessions.length > 0 ? getColor(dateSessions[0]) : 'FFFFFF' } },
+          border: GRID_BORDER,
+          font: { sz: 9 }
+        }
+      };
+    }
+  }
+
+  if (!monthHasSessions) {
+    const placeholderRef = XLSX.utils.encode_cell({ r: 1 + Math.ceil(weekCount / 2), c: startCol + 3 });
+    worksheet[placeholderRef].v = `${worksheet[placeholderRef].v}\nNo sessions scheduled`;
+    worksheet[placeholderRef].s.font = { sz: 9, italic: true, color: { rgb: '999999' } };
+  }
+};
+
+/**
+ * Stack a day's sessions in one cell, listing at most MAX_SESSIONS_PER_CELL
+ * @param {Array} sessions - The day's sessions, in start order
+ * @param {boolean} showScheduleName - Label each session with its schedule
+ * @returns {string} Cell text
+ */
+const formatSessionsForDay = (sessions, showScheduleName) => {
+  if (sessions.length <= MAX_SESSIONS_PER_CELL) {
+    return sessions.map(session => formatSessionForCell(session, showScheduleName)).join(SESSION_SEPARATOR);
+  }
+
+  const visible = sessions.slice(0, MAX_SESSIONS_PER_CELL - 1)
+    .map(session => formatSessionForCell(session, showScheduleName))
+    .join(SESSION_SEPARATOR);
+  return `${visible}${SESSION_SEPARATOR}...and ${sessions.length - (MAX_SESSIONS_PER_CELL - 1)} more`;
+};
+
+/**
+ * Format a session for a day cell: time, course (with "Day N" for multi-day courses), group,
+ * location and classroom
+ * @param {Object} session - training_sessions row
+ * @param {boolean} showScheduleName - Add the schedule's name
+ * @returns {string} Session text
+ */
+const formatSessionForCell = (session, showScheduleName) => {
+  const totalDays = session.total_course_days || session.total_parts || 1;
+  const dayLabel = totalDays > 1
+    ? ` - Day ${session.course_day_sequence || session.session_part_number || 1}`
+    : '';
+
+  return [
+    `${formatTime(session.start_datetime)}-${formatTime(session.end_datetime)}`,
+    `${session.course_name || 'Training Session'}${dayLabel}`,
+    session.group_name && `Group: ${session.group_name}`,
+    `Loc: ${abbreviateLocation(session.training_location)}`,
+    session.classroom_number && `CR${session.classroom_number}`,
+    showScheduleName && session.schedule_name && `Schedule: ${session.schedule_name}`
+  ].filter(Boolean).join('\n');
+};
+
+/**
+ * Add the sheet listing the colour of every course or location in the grid
+ * @param {Object} workbook - Workbook being built
+ * @param {Array} sessions - All sessions in the grid
+ * @param {string} colorBy - MONTHLY_GRID_COLOR_BY value
+ */
+const addColorLegendSheet = (workbook, sessions, colorBy) => {
+  const label = colorBy === MONTHLY_GRID_COLOR_BY.LOCATION ? 'Location' : 'Course Name';
+  const counts = new Map();
+  sessions.forEach(session => {
+    const key = getColorKey(session, colorBy);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  });
+
+  const legendData = [...counts.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([key, count]) => ({ [label]: key, 'Color': getFillColor(key), 'Sessions': count }));
+
+  const worksheet = XLSX.utils.json_to_sheet(legendData);
+
+  legendData.forEach((entry, index) => {
+    const colorCell = worksheet[XLSX.utils.encode_cell({ r: index + 1, c: 1 })];
+    colorCell.s = {
+      fill: { fgColor: { rgb: entry.Color } },
+      alignment: { horizontal: 'center' }
+    };
+  });
+  worksheet['!cols'] = [{ wch: 40 }, { wch: 10 }, { wch: 10 }];
+
+  XLSX.utils.book_append_sheet(workbook, worksheet, 'Color Legend');
+};
+
+// The course or location a session's colour comes from
+const getColorKey = (session, colorBy) => colorBy === MONTHLY_GRID_COLOR_BY.LOCATION
+  ? session.training_location || 'TBD'
+  : session.course_name || 'Training Session';
+
+// Same pastel colours as the schedule calendar, as an Excel RGB value
+const getFillColor = (key) => getColorByCourseTitle(key).backgroundColor.replace('#', '').toUpperCase();
+
+/**
+ * Split a session that runs past midnight into one entry per day
+ * @param {Object} session - training_sessions row
+ * @returns {Array} The session's parts, each within one day
+ */
+const splitAtMidnight = (session) => {
+  const parts = [];
+  let start = new Date(session.start_datetime);
+  const end = new Date(session.end_datetime);
+
+  while (toDateKey(start) !== toDateKey(end) && start < end) {
+    const midnight = new Date(start.getFullYear(), start.getMonth(), start.getDate() + 1);
+    parts.push({ ...session, start_datetime: toLocalDateTime(start), end_datetime: toLocalDateTime(midnight) });
+    start = midnight;
+  }
+  if (start < end || parts.length === 0) {
+    parts.push({ ...session, start_datetime: toLocalDateTime(start), end_datetime: toLocalDateTime(end) });
+  }
+
+  return parts;
+};
+
+// Group sessions by their local start date (sessions are already in start order)
+const groupSessionsByDate = (sessions) => sessions.reduce((grouped, session) => {
+  const dateKey = toDateKey(new Date(session.start_datetime));
+  (grouped[dateKey] = grouped[dateKey] || []).push(session);
+  return grouped;
+}, {});
+
+// First day of every month from the first date's month to the last date's, so empty months still get a grid
+const getMonthsBetween = (first, last) => {
+  const months = [];
+  for (let month = new Date(first.getFullYear(), first.getMonth(), 1); month <= last; month = new Date(month.getFullYear(), month.getMonth() + 1, 1)) {
+    months.push(month);
+  }
+  return months;
+};
+
+// Shorten long location names, keeping the part before " - " (usually the site)
+const abbreviateLocation = (location) => {
+  const name = location || 'TBD';
+  if (name.length <= MAX_LOCATION_LENGTH) return name;
+  return `${name.split(' - ')[0].substring(0, MAX_LOCATION_LENGTH)}...`;
+};
+
+const toDateKey = (date) => toLocalDateTime(date).split('T')[0];
+
+const formatTime = (dateTime) => new Date(dateTime).toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit' });
+
+const formatMonthShort = (month) => month.toLocaleString('en-GB', { month: 'short', year: 'numeric' });
@@ -0,0 +1,278 @@
+/**
+ * BackwardScheduler - Schedules each location as late as possible before its go-live date
+ *
+ * Works backwards from each location's deadline (criteria.location_waves):
+ * - Tasks are the same session groups as the ScheduleOptimiser (one per course, location and group)
+ * - Dependent courses are placed first, latest group first, then their prerequisites
+ * - Each task takes the latest slot that ends before the go-live date (or before its dependents
+ *   start, less the minimum gap) and starts inside the location's training window
+ * - Classroom capacity, blackout dates, time blocks, trainer availability, learner hour limits
+ *   and the one-session-at-a-time rule for a group are the same as in the other modes
+ *
+ * Session groups that cannot fit between the window start and the deadline are returned as
+ * unplaced so the location can be flagged, and recorded in the SchedulingDiagnostics collector
+ * when one is supplied.
+ */
+
+import { ScheduleOptimiser } from './ScheduleOptimiser.js';
+import { SequencingTracker, getCourseDependency } from './CourseDependencies.js';
+import { calculateScheduleMetrics } from './ScheduleMetrics.js';
+import { SCHEDULING_CONSTRAINT, formatDiagnosticTime } from './SchedulingDiagnostics.js';
+import { LearnerLoadTracker } from './LearnerLoad.js';
+import { TrainerSearch } from './TrainerAllocator.js';
+import { createCancellationCheck } from './SchedulingCore.js';
+
+// Days searched backwards for a slot before a task is reported as unplaceable
+const MAX_SEARCH_DAYS = 730;
+
+/**
+ * Get a local midnight copy of a date
+ * @param {Date} date - Date
+ * @returns {Date} Midnight of the same day
+ */
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+/**
+ * BackwardScheduler class - reuses the optimiser's tasks, candidate slots and commit step
+ */
+export class BackwardScheduler extends ScheduleOptimiser {
+  /**
+   * Tasks in backward placement order: dependents before prerequisites, later groups first
+   * @returns {Array} Tasks
+   */
+  getBackwardOrder() {
+    const courseRank = (task) => this.courseIndex.get(String(task.course.course_id));
+    return [...this.tasks].sort((a, b) =>
+      courseRank(b) - courseRank(a) ||
+      a.locationName.localeCompare(b.locationName) ||
+      b.sessionGroup.sessionNumber - a.sessionGroup.sessionNumber
+    );
+  }
+
+  /**
+   * Latest time a task may end: the go-live date, or earlier when dependents are already placed
+   * Mirrors SequencingTracker: group N depends on prerequisite group N, and groups beyond the
+   * prerequisite's last group depend on that last group.
+   * @private
+   */
+  _getLatestEnd(task, state) {
+    const { course, locationName, sessionGroup } = task;
+    let latestEnd = this.locationWindows.get(locationName)?.deadline || null;
+    if (!latestEnd) return null;
+
+    const lastGroup = state.groupCounts.get(`${course.course_id}|${locationName}`);
+    const isWorkingDay = (date) => this.isWorkingDay(date, locationName);
+
+    for (const placed of state.placed) {
+      if (placed.task.locationName !== locationName) continue;
+      const dependency = getCourseDependency(placed.task.course);
+      if (!dependency || dependency.prerequisiteId !== String(course.course_id)) continue;
+
+      const dependentGroup = placed.task.sessionGroup.sessionNumber;
+      const dependsOnTask = dependentGroup === sessionGroup.sessionNumber ||
+        (sessionGroup.sessionNumber === lastGroup && dependentGroup > lastGroup);
+      if (!dependsOnTask) continue;
+
+      let limit = new Date(placed.parts[0].start);
+      if (dependency.minGapDays > 0) {
+        // Walk back until the gap holds minGapDays working days; the task must end before that day
+        const cursor = startOfDay(limit);
+        let counted = 0;
+        for (let searched = 0; searched < MAX_SEARCH_DAYS; searched++) {
+          if (isWorkingDay(cursor)) counted++;
+          if (counted >= dependency.minGapDays) break;
+          cursor.setDate(cursor.getDate() - 1);
+        }
+        limit = cursor;
+      }
+
+      if (limit < latestEnd) latestEnd = limit;
+    }
+
+    return latestEnd;
+  }
+
+  /**
+   * Find the latest feasible parts for a task
+   * Prefers the latest slot with a free trainer back to the start of the location's window,
+   * otherwise takes the latest slot that only lacked one, unstaffed (matching the other modes).
+   * @private
+   */
+  _placeTaskBackward(task, state) {
+    const { course, locationName, sessionGroup } = task;
+    const latestEnd = this._getLatestEnd(task, state);
+    if (!latestEnd) return null;
+
+    const deadline = this.locationWindows.get(locationName).deadline;
+    if (latestEnd < deadline) {
+      state.diagnostics?.noteConstraint(
+        course, locationName, sessionGroup, SCHEDULING_CONSTRAINT.PREREQUISITE,
+        `Must end before its dependent course starts (${formatDiagnosticTime(latestEnd)})`
+      );
+    }
+
+    const windowStart = startOfDay(this.locationWindows.get(locationName)?.windowStart || this.startDate);
+    const cohort = state.cohorts.get(`${locationName}|${sessionGroup.sessionNumber}`) || [];
+    let day = startOfDay(latestEnd);
+    const trainerSearch = new TrainerSearch(state.trainerAllocator, course, locationName, {
+      limits: [windowStart],
+      backward: true
+    });
+
+    for (let searched = 0; searched < MAX_SEARCH_DAYS && day >= windowStart; searched++) {
+      if (this.isWorkingDay(day, locationName)) {
+        for (const parts of this._getCandidateParts(task, day).reverse()) {
+          if (parts[parts.length - 1].end > latestEnd) continue;
+
+          if (parts.some(part => cohort.some(busy => part.start < busy.end && part.end > busy.start))) {
+            state.diagnostics?.noteConstraint(
+              course, locationName, sessionGroup, SCHEDULING_CONSTRAINT.GROUP_BUSY,
+              `Group ${sessionGroup.sessionNumber} busy at ${formatDiagnosticTime(parts[0].start)}`
+            );
+            continue;
+          }
+          const learnerConflict = state.learnerLoad.check(sessionGroup.users, parts);
+          if (learnerConflict) {
+            state.diagnostics?.noteConstraint(
+              course, locationName, sessionGroup, SCHEDULING_CONSTRAINT.LEARNER_LOAD, learnerConflict.detail
+            );
+            continue;
+          }
+          if (state.classroomTracker.findClassroomForParts(locationName, parts, task.maxClassrooms) === null) {
+            state.diagnostics?.noteConstraint(
+              course, locationName, sessionGroup, SCHEDULING_CONSTRAINT.CLASSROOM_CAPACITY,
+              `All ${task.maxClassrooms} classroom(s) in use at ${formatDiagnosticTime(parts[0].start)}`
+            );
+            continue;
+          }
+
+          if (!trainerSearch.accepts(parts)) {
+            state.diagnostics?.noteConstraint(
+              course, locationName, sessionGroup, SCHEDULING_CONSTRAINT.TRAINER, trainerSearch.reason
+            );
+            continue;
+          }
+
+          return parts;
+        }
+      } else if (state.diagnostics && this.timeBlockEngine.findBlackoutBetween(day, day, locationName)) {
+        state.diagnostics.noteConstraint(
+          course, locationName, sessionGroup, SCHEDULING_CONSTRAINT.BLACKOUT,
+          `Skipped ${day.toLocaleDateString('en-GB')}`
+        );
+      }
+
+      day.setDate(day.getDate() - 1);
+      if (trainerSearch.isExhausted(day)) break;
+    }
+
+    return trainerSearch.fallback;
+  }
+
+  /**
+   * Build the backward schedule
+   * @param {Object} options - { trainerAllocator, onProgress, diagnostics, signal } - pass a clone of the
+   *   allocator; commit() books trainers for real. Aborting signal (an AbortSignal) stops the run
+   *   between session groups.
+   * @returns {Promise<Object>} { placements, unplaced, metrics }
+   */
+  async schedule({ trainerAllocator = null, onProgress = null, diagnostics = null, signal = null } = {}) {
+    const checkCancelled = createCancellationCheck(signal);
+    const state = {
+      classroomTracker: this.createClassroomTracker(),
+      cohorts: new Map(),
+      placed: [],
+      groupCounts: new Map(),
+      learnerLoad: new LearnerLoadTracker(this.criteria),
+      trainerAllocator,
+      diagnostics
+    };
+    this.tasks.forEach(task => {
+      const key = `${task.course.course_id}|${task.locationName}`;
+      state.groupCounts.set(key, Math.max(state.groupCounts.get(key) || 0, task.sessionGroup.sessionNumber));
+    });
+
+    const order = this.getBackwardOrder();
+    const unplaced = [];
+
+    for (const [index, task] of order.entries()) {
+      await checkCancelled();
+      const { course, locationName, sessionGroup } = task;
+      if (onProgress) {
+        onProgress({ completed: index, total: order.length, label: `${course.course_name} - ${locationName}` });
+      }
+
+      const parts = this._placeTaskBackward(task, state);
+      if (!parts) {
+        console.log(`⚠️ No slot before go-live for ${course.course_name} Group ${sessionGroup.sessionNumber} at ${locationName}`);
+        const trainingWindow = this.locationWindows.get(locationName);
+        diagnostics?.recordUnplaced(
+          course, locationName, sessionGroup, SCHEDULING_CONSTRAINT.GO_LIVE_DEADLINE,
+          trainingWindow?.deadline
+            ? `No slot between ${trainingWindow.windowStart.toLocaleDateString('en-GB')} and go-live on ${trainingWindow.deadline.toLocaleDateString('en-GB')}`
+            : 'Location has no go-live date'
+        );
+        unplaced.push(task);
+        continue;
+      }
+
+      const classroomNumber = state.classroomTracker.reserveClassroomForParts(locationName, parts, task.maxClassrooms);
+      parts.forEach(part => {
+        part.classroomNumber = classroomNumber;
+      });
+
+      const staffing = trainerAllocator ? trainerAllocator.assignTrainer(course, parts, locationName) : null;
+
+      const cohortKey = `${locationName}|${sessionGroup.sessionNumber}`;
+      state.cohorts.set(cohortKey, [...(state.cohorts.get(cohortKey) || []), ...parts]);
+      state.learnerLoad.book(sessionGroup.users, parts);
+      state.placed.push({ task, parts, staffing, sequencingViolations: [] });
+    }
+
+    // Max-gap and same-week rules are only checked once prerequisites are in place
+    const sequencing = new SequencingTracker(this.courses, this.isWorkingDay);
+    [...state.placed]
+      .sort((a, b) => a.parts[0].start - b.parts[0].start)
+      .forEach(placement => {
+        const { course, locationName, sessionGroup } = placement.task;
+        const planStart = placement.parts[0].start;
+        const planEnd = placement.parts[placement.parts.length - 1].end;
+        placement.sequencingViolations = sequencing
+          .checkPlacement(course, locationName, sessionGroup.sessionNumber, planStart, planEnd)
+          .map(violation => violation.message);
+        sequencing.recordSession(course, locationName, sessionGroup.sessionNumber, planStart, planEnd);
+        diagnostics?.recordPlaced(course, locationName, sessionGroup, placement.parts, {
+          staffing: placement.staffing,
+          sequencingViolations: placement.sequencingViolations
+        });
+      });
+
+    const sessions = state.placed.flatMap(({ task, parts, staffing }) => parts.map(part => ({
+      start: part.start,
+      end: part.end,
+      duration: part.duration,
+      location: task.locationName,
+      course: task.course,
+      sessionNumber: task.sessionGroup.sessionNumber,
+      staffing_status: staffing?.staffing_status
+    })));
+
+    console.log(`⏪ Backward scheduling placed ${state.placed.length} of ${order.length} session groups`);
+
+    return {
+      placements: state.placed,
+      unplaced,
+      metrics: calculateScheduleMetrics(sessions, {
+        timeBlockEngine: this.timeBlockEngine,
+        dayNames: this.dayNames,
+        classroomsByLocation: this.classroomsByLocation
+      })
+    };
+  }
+}
+
+export default BackwardScheduler;
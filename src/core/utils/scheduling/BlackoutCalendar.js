@@ -0,0 +1,353 @@
+/**
+ * BlackoutCalendar - Project and training-location level non-working dates
+ *
+ * Holds bank holidays, site shutdowns and freeze periods so that the scheduling
+ * engine never places a session on a blacked-out date. Entries either apply to the
+ * whole project (training_location = null) or to a single training location.
+ *
+ * Entry format (matches the scheduling_blackouts table):
+ * {
+ *   training_location: null | 'UK Training Centre',
+ *   blackout_type: 'date' | 'range' | 'recurring',
+ *   start_date: 'YYYY-MM-DD',
+ *   end_date: 'YYYY-MM-DD' (range/recurring only),
+ *   recurrence: 'yearly' | 'weekly' (recurring only),
+ *   recurrence_until: 'YYYY-MM-DD' (optional),
+ *   label: 'Christmas shutdown'
+ * }
+ */
+
+import { expandIcsOccurrences, getIncompleteRecurrence, getUnsupportedRecurrence } from '../icsParser.js';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// ICS weekday codes by JavaScript day index
+const ICS_WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// How far ahead imported recurring events that cannot be stored as recurring entries are expanded
+export const BLACKOUT_IMPORT_HORIZON_DAYS = 730;
+
+/**
+ * Convert a date to a local YYYY-MM-DD key
+ * @param {Date|string} date - Date object or YYYY-MM-DD string
+ * @returns {string} Local date key
+ */
+export const toDateKey = (date) => {
+  if (typeof date === 'string') {
+    return date.slice(0, 10);
+  }
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+};
+
+/**
+ * Parse a YYYY-MM-DD key into a local Date at midnight
+ * @param {string} dateKey - Date key
+ * @returns {Date} Local date
+ */
+const fromDateKey = (dateKey) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+/**
+ * First and last blacked-out day of an ICS event or occurrence
+ * @param {Date} start - Event start
+ * @param {Date|null} end - Event end
+ * @param {boolean} allDay - Whether the event is all-day
+ * @returns {Object} { startKey, endKey }
+ */
+const getIcsDateSpan = (start, end, allDay) => {
+  const startKey = toDateKey(start);
+  // All-day DTEND is exclusive in ICS, so the last blacked-out day is the day before
+  const lastDay = new Date(end || start);
+  if (allDay && end && end > start) {
+    lastDay.setDate(lastDay.getDate() - 1);
+  }
+  const endKey = toDateKey(lastDay) < startKey ? startKey : toDateKey(lastDay);
+  return { startKey, endKey };
+};
+
+/**
+ * Window that imported recurring events are expanded into
+ * @param {Object} options - { from, horizonDays } - from defaults to today
+ * @returns {Object} { from, windowEnd }
+ */
+const getIcsImportWindow = (options = {}) => {
+  const today = new Date();
+  const {
+    from = new Date(today.getFullYear(), today.getMonth(), today.getDate()),
+    horizonDays = BLACKOUT_IMPORT_HORIZON_DAYS
+  } = options;
+  return { from, windowEnd: new Date(from.getFullYear(), from.getMonth(), from.getDate() + horizonDays) };
+};
+
+/**
+ * Weekdays of an ICS event that can be stored as recurring entries as-is
+ * Only yearly and weekly rules with no INTERVAL, COUNT or EXDATE qualify.
+ * @param {Object} event - Parsed ICS event
+ * @returns {Array|null} Weekdays (0 = Sunday) for weekly rules, [null] for yearly rules,
+ *   or null when the event has to be expanded
+ */
+const getPlainRepeatWeekdays = (event) => {
+  const rule = event.rrule;
+  if (!rule?.FREQ || getUnsupportedRecurrence(event)) return null;
+  if (Number(rule.INTERVAL || 1) !== 1 || rule.COUNT !== undefined || (event.exdates || []).length > 0) return null;
+
+  const frequency = rule.FREQ.toUpperCase();
+  if (frequency === 'YEARLY') {
+    return rule.BYDAY === undefined ? [null] : null;
+  }
+  if (frequency !== 'WEEKLY') return null;
+  if (!rule.BYDAY) return [event.start.getDay()];
+
+  const weekdays = rule.BYDAY.split(',').map(code => ICS_WEEKDAY_CODES.indexOf(code.trim().toUpperCase()));
+  return [...new Set(weekdays)];
+};
+
+/**
+ * Resolve the training location from a scheduling group key
+ * Scheduling groups are keyed "training_location|functional_area"
+ * @param {string} groupKey - Group key or plain location name
+ * @returns {string|null} Training location name
+ */
+export const resolveTrainingLocation = (groupKey) => {
+  if (!groupKey) return null;
+  return String(groupKey).split('|')[0].trim();
+};
+
+/**
+ * BlackoutCalendar class for checking dates against blackout entries
+ */
+export class BlackoutCalendar {
+  constructor(entries = []) {
+    this.entries = (Array.isArray(entries) ? entries : [])
+      .filter(entry => entry && entry.start_date)
+      .map(entry => ({
+        ...entry,
+        blackout_type: entry.blackout_type || 'date',
+        end_date: entry.end_date || entry.start_date
+      }));
+  }
+
+  /**
+   * Check whether an entry applies to a training location
+   * @private
+   */
+  _appliesToLocation(entry, location) {
+    if (!entry.training_location) return true; // Project-wide
+    return entry.training_location === resolveTrainingLocation(location);
+  }
+
+  /**
+   * Check whether a single entry covers a date key
+   * @private
+   */
+  _entryCoversDate(entry, dateKey) {
+    if (entry.recurrence_until && dateKey > entry.recurrence_until) {
+      return false;
+    }
+
+    if (entry.blackout_type !== 'recurring') {
+      return dateKey >= entry.start_date && dateKey <= entry.end_date;
+    }
+
+    if (dateKey < entry.start_date) {
+      return false;
+    }
+
+    if (entry.recurrence === 'weekly') {
+      // Repeat the first occurrence span every 7 days
+      const spanDays = Math.round((fromDateKey(entry.end_date) - fromDateKey(entry.start_date)) / MS_PER_DAY);
+      const daysSinceStart = Math.round((fromDateKey(dateKey) - fromDateKey(entry.start_date)) / MS_PER_DAY);
+      return (daysSinceStart % 7) <= spanDays;
+    }
+
+    // Yearly: compare month-day, allowing spans that wrap the year end (e.g. 24 Dec - 2 Jan)
+    const monthDay = dateKey.slice(5);
+    const startMonthDay = entry.start_date.slice(5);
+    const endMonthDay = entry.end_date.slice(5);
+
+    if (startMonthDay <= endMonthDay) {
+      return monthDay >= startMonthDay && monthDay <= endMonthDay;
+    }
+    return monthDay >= startMonthDay || monthDay <= endMonthDay;
+  }
+
+  /**
+   * Get the blackout entry covering a date at a location
+   * @param {Date|string} date - Date to check
+   * @param {string|null} location - Training location or group key (null = project-wide entries only)
+   * @returns {Object|null} Matching blackout entry or null
+   */
+  getBlackout(date, location = null) {
+    const dateKey = toDateKey(date);
+    return this.entries.find(entry =>
+      (location ? this._appliesToLocation(entry, location) : !entry.training_location) &&
+      this._entryCoversDate(entry, dateKey)
+    ) || null;
+  }
+
+  /**
+   * Check if a date is blacked out at a location
+   * @param {Date|string} date - Date to check
+   * @param {string|null} location - Training location or group key
+   * @returns {boolean} True if no training may happen on this date
+   */
+  isBlackedOut(date, location = null) {
+    return this.getBlackout(date, location) !== null;
+  }
+
+  /**
+   * Find the first blacked-out date between two dates (inclusive)
+   * Used to stop multi-day courses straddling a blackout.
+   * @param {Date} startDate - First day of the course
+   * @param {Date} endDate - Last day of the course
+   * @param {string|null} location - Training location or group key
+   * @returns {Date|null} First blacked-out date or null
+   */
+  findBlackoutBetween(startDate, endDate, location = null) {
+    if (this.entries.length === 0) return null;
+
+    const current = fromDateKey(toDateKey(startDate));
+    const last = fromDateKey(toDateKey(endDate));
+
+    while (current <= last) {
+      if (this.isBlackedOut(current, location)) {
+        return new Date(current);
+      }
+      current.setDate(current.getDate() + 1);
+    }
+
+    return null;
+  }
+
+  /**
+   * List blacked-out dates for a location within a window
+   * @param {string|null} location - Training location or group key
+   * @param {Date|string} fromDate - Window start
+   * @param {Date|string} toDate - Window end
+   * @param {Array} schedulingDays - Only report these weekdays (e.g. ['Monday', ...]); empty = all days
+   * @returns {Array} Array of { date: 'YYYY-MM-DD', label, scope }
+   */
+  getExcludedDates(location, fromDate, toDate, schedulingDays = []) {
+    const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+    const excluded = [];
+
+    const current = fromDateKey(toDateKey(fromDate));
+    const last = fromDateKey(toDateKey(toDate));
+
+    while (current <= last) {
+      const isSchedulingDay = schedulingDays.length === 0 || schedulingDays.includes(dayNames[current.getDay()]);
+      if (isSchedulingDay) {
+        const entry = this.getBlackout(current, location);
+        if (entry) {
+          excluded.push({
+            date: toDateKey(current),
+            label: entry.label || 'Blackout',
+            scope: entry.training_location ? 'location' : 'project'
+          });
+        }
+      }
+      current.setDate(current.getDate() + 1);
+    }
+
+    return excluded;
+  }
+
+  /**
+   * Convert parsed ICS events into blackout entries
+   * Plain yearly and weekly repeats become recurring entries (a weekly rule on several days
+   * becomes one entry per day). Other recurring events (DAILY, MONTHLY, INTERVAL, COUNT, EXDATE,
+   * nth-weekday rules) are expanded into one dated entry per occurrence up to a horizon, each with
+   * its own external_uid ("uid/YYYY-MM-DD"). Events whose rule getUnsupportedRecurrence rejects
+   * keep their first occurrence only.
+   * @param {Array} events - Events from parseIcsEvents
+   * @param {Object} options - { trainingLocation, source, from, horizonDays } - expanded occurrences
+   *   ending before `from` (default today) are dropped
+   * @returns {Array} Blackout entries ready to save
+   */
+  static fromIcsEvents(events, options = {}) {
+    const { trainingLocation = null, source = 'ics' } = options;
+    const { from, windowEnd } = getIcsImportWindow(options);
+
+    return (events || [])
+      .filter(event => event.start && event.status !== 'CANCELLED')
+      .flatMap(event => {
+        const base = {
+          training_location: trainingLocation,
+          label: event.summary || 'Imported blackout',
+          source
+        };
+
+        const weekdays = getPlainRepeatWeekdays(event);
+        if (weekdays) {
+          const { startKey, endKey } = getIcsDateSpan(event.start, event.end, event.allDay);
+          const rule = event.rrule;
+          const untilKey = rule.UNTIL ? `${rule.UNTIL.slice(0, 4)}-${rule.UNTIL.slice(4, 6)}-${rule.UNTIL.slice(6, 8)}` : null;
+          const spanDays = Math.round((fromDateKey(endKey) - fromDateKey(startKey)) / MS_PER_DAY);
+
+          return weekdays.map(weekday => {
+            // Move the first occurrence forward to the first matching weekday on or after DTSTART
+            const first = fromDateKey(startKey);
+            if (weekday !== null) {
+              first.setDate(first.getDate() + (weekday - first.getDay() + 7) % 7);
+            }
+            const last = new Date(first);
+            last.setDate(last.getDate() + spanDays);
+
+            return {
+              ...base,
+              blackout_type: 'recurring',
+              start_date: toDateKey(first),
+              end_date: toDateKey(last),
+              recurrence: rule.FREQ.toUpperCase() === 'YEARLY' ? 'yearly' : 'weekly',
+              recurrence_until: untilKey,
+              external_uid: event.uid && weekdays.length > 1 ? `${event.uid}/${ICS_WEEKDAY_CODES[weekday]}` : (event.uid || null)
+            };
+          });
+        }
+
+        const expand = event.rrule?.FREQ && !getUnsupportedRecurrence(event);
+        const occurrences = expand
+          ? expandIcsOccurrences({ ...event, end: event.end || event.start }, from, windowEnd)
+          : [{ start: event.start, end: event.end }];
+
+        return occurrences.map(occurrence => {
+          const { startKey, endKey } = getIcsDateSpan(occurrence.start, occurrence.end, event.allDay);
+          return {
+            ...base,
+            blackout_type: startKey === endKey ? 'date' : 'range',
+            start_date: startKey,
+            end_date: endKey,
+            recurrence: null,
+            recurrence_until: null,
+            external_uid: event.uid && expand ? `${event.uid}/${startKey}` : (event.uid || null)
+          };
+        });
+      });
+  }
+
+  /**
+   * List the ICS events that fromIcsEvents cannot import completely
+   * Covers unsupported recurrence rules (first occurrence only) and rules whose expansion was cut short.
+   * @param {Array} events - Events from parseIcsEvents
+   * @param {Object} options - Same { from, horizonDays } as fromIcsEvents
+   * @returns {Array} [{ label, rule }]
+   */
+  static findIncompleteIcsEvents(events, options = {}) {
+    const { from, windowEnd } = getIcsImportWindow(options);
+
+    return (events || [])
+      .filter(event => event.start && event.status !== 'CANCELLED' && !getPlainRepeatWeekdays(event))
+      .map(event => ({
+        label: event.summary || 'Imported blackout',
+        rule: getIncompleteRecurrence({ ...event, end: event.end || event.start }, from, windowEnd)
+      }))
+      .filter(event => event.rule);
+  }
+}
+
+export default BlackoutCalendar;
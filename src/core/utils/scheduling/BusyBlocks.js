@@ -0,0 +1,170 @@
+/**
+ * BusyBlocks - Busy time imported from external calendars for trainers and classrooms
+ *
+ * A busy block is a period in which a resource is committed elsewhere:
+ * {
+ *   resource_type: 'trainer' | 'classroom',
+ *   trainer_id: 'uuid',               // trainer blocks
+ *   training_location: 'Manchester',  // classroom blocks
+ *   classroom_number: 2,              // classroom blocks
+ *   start_datetime: 'YYYY-MM-DDTHH:mm:ss',
+ *   end_datetime: 'YYYY-MM-DDTHH:mm:ss',
+ *   all_day: false,
+ *   label: 'Team offsite',
+ *   source: 'ics',
+ *   external_uid: 'event-uid@example.com'
+ * }
+ *
+ * Blocks are created from .ics events: cancelled events and events marked as free time
+ * (TRANSP:TRANSPARENT) are skipped, and recurring events are expanded into one block per
+ * occurrence up to a horizon (see expandIcsOccurrences for the supported rules). The scheduling engine treats blocks as occupied time: the
+ * ClassroomOccupancyTracker never places a session in a busy classroom and the TrainerAllocator
+ * never assigns a busy trainer.
+ */
+
+import { resolveTrainingLocation } from './BlackoutCalendar.js';
+import { expandIcsOccurrences, getIncompleteRecurrence } from '../icsParser.js';
+import { toLocalDateTime } from '../dateTimeUtils.js';
+
+export const BUSY_RESOURCE = {
+  TRAINER: 'trainer',
+  CLASSROOM: 'classroom'
+};
+
+export const BUSY_RESOURCE_LABELS = {
+  trainer: 'Trainer',
+  classroom: 'Classroom'
+};
+
+// How far ahead recurring events are expanded
+export const BUSY_BLOCK_HORIZON_DAYS = 365;
+
+/**
+ * Window that imported recurring events are expanded into
+ * @param {Object} options - { from, horizonDays } - from defaults to today
+ * @returns {Object} { from, windowEnd }
+ */
+const getBusyImportWindow = (options = {}) => {
+  const today = new Date();
+  const {
+    from = new Date(today.getFullYear(), today.getMonth(), today.getDate()),
+    horizonDays = BUSY_BLOCK_HORIZON_DAYS
+  } = options;
+  return { from, windowEnd: new Date(from.getFullYear(), from.getMonth(), from.getDate() + horizonDays) };
+};
+
+/**
+ * ICS events that count as busy time (not cancelled, not marked as free time)
+ * @param {Array} events - Events from parseIcsEvents
+ * @returns {Array} Busy events
+ */
+const getBusyIcsEvents = (events) => (events || []).filter(event =>
+  event.start && event.end > event.start &&
+  event.status !== 'CANCELLED' &&
+  event.transparency !== 'TRANSPARENT'
+);
+
+/**
+ * Convert parsed ICS events into busy blocks for one resource
+ * @param {Array} events - Events from parseIcsEvents
+ * @param {Object} resource - { type, trainerId } or { type, trainingLocation, classroomNumber }
+ * @param {Object} options - { from, horizonDays } - occurrences ending before `from` (default today) are dropped
+ * @returns {Array} Busy blocks ready to save
+ */
+export const busyBlocksFromIcsEvents = (events, resource, options = {}) => {
+  const { from, windowEnd } = getBusyImportWindow(options);
+  const isTrainer = resource.type === BUSY_RESOURCE.TRAINER;
+
+  return getBusyIcsEvents(events)
+    .flatMap(event => expandIcsOccurrences(event, from, windowEnd).map(occurrence => ({
+      resource_type: resource.type,
+      trainer_id: isTrainer ? resource.trainerId : null,
+      training_location: isTrainer ? null : resource.trainingLocation,
+      classroom_number: isTrainer ? null : Number(resource.classroomNumber),
+      start_datetime: toLocalDateTime(occurrence.start),
+      end_datetime: toLocalDateTime(occurrence.end),
+      all_day: Boolean(event.allDay),
+      label: event.summary || 'Busy',
+      source: 'ics',
+      external_uid: event.uid || null
+    })));
+};
+
+/**
+ * List the busy ICS events that busyBlocksFromIcsEvents cannot import completely
+ * Covers unsupported recurrence rules (first occurrence only) and rules whose expansion was cut short.
+ * @param {Array} events - Events from parseIcsEvents
+ * @param {Object} options - Same { from, horizonDays } as busyBlocksFromIcsEvents
+ * @returns {Array} [{ label, rule }]
+ */
+export const findIncompleteBusyIcsEvents = (events, options = {}) => {
+  const { from, windowEnd } = getBusyImportWindow(options);
+  return getBusyIcsEvents(events)
+    .map(event => ({ label: event.summary || 'Busy', rule: getIncompleteRecurrence(event, from, windowEnd) }))
+    .filter(event => event.rule);
+};
+
+/**
+ * Start and end of a busy block as Dates
+ * @param {Object} block - Busy block
+ * @returns {Object} { start, end }
+ */
+export const getBusyBlockRange = (block) => ({
+  start: new Date(block.start_datetime),
+  end: new Date(block.end_datetime)
+});
+
+/**
+ * Busy blocks of one trainer
+ * @param {Array} blocks - Busy blocks
+ * @param {string} trainerId - Trainer ID
+ * @returns {Array} The trainer's blocks
+ */
+export const getTrainerBusyBlocks = (blocks, trainerId) =>
+  (blocks || []).filter(block =>
+    block.resource_type === BUSY_RESOURCE.TRAINER && trainerId && String(block.trainer_id) === String(trainerId)
+  );
+
+/**
+ * Busy blocks of the classrooms at a training location
+ * @param {Array} blocks - Busy blocks
+ * @param {string} location - Training location or scheduling group key
+ * @param {number|string} classroomNumber - Only this classroom (optional)
+ * @returns {Array} Matching blocks
+ */
+export const getClassroomBusyBlocks = (blocks, location, classroomNumber = null) => {
+  const trainingLocation = resolveTrainingLocation(location);
+  return (blocks || []).filter(block =>
+    block.resource_type === BUSY_RESOURCE.CLASSROOM &&
+    block.training_location === trainingLocation &&
+    (classroomNumber === null || Number(block.classroom_number) === Number(classroomNumber))
+  );
+};
+
+/**
+ * First busy block overlapping any of a session's parts
+ * @param {Array} blocks - Busy blocks to check (already narrowed to one resource)
+ * @param {Array} parts - Session parts with start and end
+ * @returns {Object|null} Overlapping block
+ */
+export const findBusyBlockOverlap = (blocks, parts) =>
+  (blocks || []).find(block => {
+    const { start, end } = getBusyBlockRange(block);
+    return parts.some(part => new Date(part.start) < end && new Date(part.end) > start);
+  }) || null;
+
+/**
+ * Describe a busy block for conflict messages
+ * @param {Object} block - Busy block
+ * @returns {string} e.g. "Team offsite (14/03/2026 09:00 - 12:00)"
+ */
+export const formatBusyBlock = (block) => {
+  const { start, end } = getBusyBlockRange(block);
+  const time = { hour: '2-digit', minute: '2-digit' };
+  // All-day blocks end at midnight after their last day
+  const lastDay = new Date(end.getTime() - 1);
+  const period = block.all_day
+    ? [start, lastDay].map(date => date.toLocaleDateString('en-GB')).filter((day, index, days) => days.indexOf(day) === index).join(' - ')
+    : `${start.toLocaleDateString('en-GB')} ${start.toLocaleTimeString('en-GB', time)} - ${end.toLocaleTimeString('en-GB', time)}`;
+  return `${block.label || 'Busy'} (${period})`;
+};
@@ -0,0 +1,92 @@
+/**
+ * CourseDayPatterns - Daily hour caps and day patterns for long (multi-day / multi-week) courses
+ *
+ * Settings are stored on the courses table:
+ * {
+ *   max_hours_per_day: 4,          // course hours per day (default criteria.max_course_hours_per_day, else the full day)
+ *   day_pattern: 'weekly'          // 'consecutive' | 'weekly' | 'fortnightly', default 'consecutive'
+ * }
+ *
+ * - Consecutive courses run on the next scheduling days and never straddle a blackout
+ * - Weekly and fortnightly courses run on the same weekday as their first day, e.g. a 24-hour
+ *   course capped at 6 hours a day with a weekly pattern runs every Tuesday for 4 weeks
+ * Every part of a course keeps the same classroom and trainer.
+ */
+
+export const DAY_PATTERN = {
+  CONSECUTIVE: 'consecutive',
+  WEEKLY: 'weekly',
+  FORTNIGHTLY: 'fortnightly'
+};
+
+export const DAY_PATTERN_LABELS = {
+  consecutive: 'Consecutive days',
+  weekly: 'Same day each week',
+  fortnightly: 'Same day every 2 weeks'
+};
+
+// Calendar days between course days for the repeating patterns
+const DAY_PATTERN_INTERVALS = {
+  weekly: 7,
+  fortnightly: 14
+};
+
+/**
+ * Get a course's day pattern
+ * @param {Object} course - Course object
+ * @returns {string} 'consecutive', 'weekly' or 'fortnightly'
+ */
+export const getCourseDayPattern = (course) => {
+  const pattern = course?.day_pattern;
+  return Object.values(DAY_PATTERN).includes(pattern) ? pattern : DAY_PATTERN.CONSECUTIVE;
+};
+
+/**
+ * Calendar days between course days for a day pattern
+ * @param {string} dayPattern - Day pattern
+ * @returns {number|null} Interval in days, or null for consecutive scheduling days
+ */
+export const getDayPatternInterval = (dayPattern) => DAY_PATTERN_INTERVALS[dayPattern] || null;
+
+/**
+ * Maximum hours of a course taught per day
+ * @param {Object} course - Course object
+ * @param {Object} criteria - Scheduling criteria
+ * @returns {number|null} Hour cap, or null to use every time block of the day
+ */
+export const getCourseDailyHourCap = (course, criteria = {}) => {
+  const cap = Number(course?.max_hours_per_day) || Number(criteria.max_course_hours_per_day);
+  return cap > 0 ? cap : null;
+};
+
+/**
+ * SessionSplitter options for a course's day layout
+ * @param {Object} course - Course object
+ * @param {Object} criteria - Scheduling criteria
+ * @returns {Object} { maxHoursPerDay, dayPattern }
+ */
+export const getCourseDayPlan = (course, criteria = {}) => ({
+  maxHoursPerDay: getCourseDailyHourCap(course, criteria),
+  dayPattern: getCourseDayPattern(course)
+});
+
+/**
+ * Check whether a course's days are laid out differently from back-to-back time blocks
+ * @param {Object} course - Course object
+ * @param {Object} criteria - Scheduling criteria
+ * @returns {boolean} True if the course has an hour cap or a repeating day pattern
+ */
+export const hasCustomDayPlan = (course, criteria = {}) => {
+  const { maxHoursPerDay, dayPattern } = getCourseDayPlan(course, criteria);
+  return maxHoursPerDay !== null || dayPattern !== DAY_PATTERN.CONSECUTIVE;
+};
+
+export default {
+  DAY_PATTERN,
+  DAY_PATTERN_LABELS,
+  getCourseDayPattern,
+  getDayPatternInterval,
+  getCourseDailyHourCap,
+  getCourseDayPlan,
+  hasCustomDayPlan
+};
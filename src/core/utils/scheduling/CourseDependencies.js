@@ -0,0 +1,506 @@
+/**
+ * CourseDependencies - Prerequisite and sequencing rules between courses
+ *
+ * Rules are stored on the courses table:
+ * {
+ *   prerequisite_course_id: 'SAP-101',   // course that must be completed first
+ *   min_gap_days: 2,                     // minimum working days after the prerequisite ends
+ *   max_gap_days: 10,                    // maximum working days after the prerequisite ends
+ *   same_week_as_prerequisite: true      // both courses must fall in the same Mon-Sun week
+ * }
+ *
+ * Rules apply per group: the dependent session for group N at a location follows the
+ * prerequisite session for group N at the same location. When the prerequisite has fewer
+ * groups, the last prerequisite session at that location is used instead.
+ * Working days are the scheduling days that are not blacked out.
+ *
+ * Minimum gaps give the earliest start and maximum gaps / same-week rules the latest start,
+ * so placement searches stay inside that window; a breach is only reported when no slot in
+ * the window was free.
+ */
+
+import { resolveTrainingLocation } from './BlackoutCalendar.js';
+
+const MAX_WORKING_DAY_SEARCH = 3660;
+
+export const SEQUENCING_VIOLATION = {
+  BEFORE_PREREQUISITE: 'PREREQUISITE_ORDER',
+  MIN_GAP: 'MIN_GAP',
+  MAX_GAP: 'MAX_GAP',
+  SAME_WEEK: 'SAME_WEEK'
+};
+
+/**
+ * Get the dependency rule for a course
+ * @param {Object} course - Course object
+ * @returns {Object|null} { prerequisiteId, minGapDays, maxGapDays, sameWeek } or null
+ */
+export const getCourseDependency = (course) => {
+  if (!course?.prerequisite_course_id) return null;
+
+  const toDays = (value) => (value === null || value === undefined || value === '' ? null : Number(value));
+
+  return {
+    prerequisiteId: String(course.prerequisite_course_id),
+    minGapDays: toDays(course.min_gap_days) ?? 0,
+    maxGapDays: toDays(course.max_gap_days),
+    sameWeek: Boolean(course.same_week_as_prerequisite)
+  };
+};
+
+/**
+ * Depth-first ordering of courses by prerequisite
+ * @param {Array} courses - Courses in preferred order
+ * @returns {Object} { ordered, cycle } - cycle is the course ID path when rules are circular
+ * @private
+ */
+const buildDependencyOrder = (courses) => {
+  const byId = new Map(courses.map(course => [String(course.course_id), course]));
+  const ordered = [];
+  const state = new Map(); // courseId -> 'visiting' | 'done'
+  let cycle = null;
+
+  const visit = (course, path) => {
+    const courseId = String(course.course_id);
+    if (state.get(courseId) === 'done') return true;
+    if (state.get(courseId) === 'visiting') {
+      cycle = [...path, courseId];
+      return false;
+    }
+
+    state.set(courseId, 'visiting');
+    const dependency = getCourseDependency(course);
+    const prerequisite = dependency ? byId.get(dependency.prerequisiteId) : null;
+    if (prerequisite && !visit(prerequisite, [...path, courseId])) {
+      return false;
+    }
+    state.set(courseId, 'done');
+    ordered.push(course);
+    return true;
+  };
+
+  for (const course of courses) {
+    if (!visit(course, [])) break;
+  }
+
+  return { ordered, cycle };
+};
+
+/**
+ * Check whether a dependency limits how late the dependent course may start
+ * @param {Object|null} dependency - Rule from getCourseDependency
+ * @returns {boolean}
+ */
+export const hasLatestStartRule = (dependency) =>
+  Boolean(dependency) && (dependency.maxGapDays !== null || dependency.sameWeek);
+
+/**
+ * Move courses with a maximum gap or same-week rule directly after their prerequisite
+ * Otherwise a group working through the courses in order could take other courses in between
+ * and miss the window.
+ * @param {Array} ordered - Courses with prerequisites first
+ * @returns {Array} Reordered courses
+ * @private
+ */
+const keepWindowedDependentsTogether = (ordered) => {
+  const courseIds = new Set(ordered.map(course => String(course.course_id)));
+  const followers = new Map(); // prerequisiteId -> courses that must follow it closely
+  ordered.forEach(course => {
+    const dependency = getCourseDependency(course);
+    if (hasLatestStartRule(dependency) && courseIds.has(dependency.prerequisiteId)) {
+      if (!followers.has(dependency.prerequisiteId)) followers.set(dependency.prerequisiteId, []);
+      followers.get(dependency.prerequisiteId).push(course);
+    }
+  });
+
+  const result = [];
+  const added = new Set();
+  const add = (course) => {
+    const courseId = String(course.course_id);
+    if (added.has(courseId)) return;
+    added.add(courseId);
+    result.push(course);
+    (followers.get(courseId) || []).forEach(add);
+  };
+
+  ordered.forEach(course => {
+    const dependency = getCourseDependency(course);
+    if (!hasLatestStartRule(dependency) || !courseIds.has(dependency.prerequisiteId)) {
+      add(course);
+    }
+  });
+
+  return result;
+};
+
+/**
+ * Order courses so that every prerequisite comes before its dependants
+ * Courses keep their existing (priority) order wherever the rules allow, except that courses
+ * with a maximum gap or same-week rule follow straight after their prerequisite.
+ * Circular dependencies are reported and the original order is kept.
+ * @param {Array} courses - Courses, already sorted by priority
+ * @returns {Array} Ordered courses
+ */
+export const orderCoursesByDependencies = (courses) => {
+  const { ordered, cycle } = buildDependencyOrder(courses);
+
+  if (cycle) {
+    console.warn(`⚠️ Circular course dependency ignored: ${cycle.join(' → ')}`);
+    return [...courses];
+  }
+
+  return keepWindowedDependentsTogether(ordered);
+};
+
+/**
+ * Validate course dependency rules
+ * @param {Array} courses - Courses with dependency rules
+ * @returns {Object} { isValid, errors, warnings }
+ */
+export const validateCourseDependencies = (courses) => {
+  const errors = [];
+  const warnings = [];
+  const courseIds = new Set(courses.map(course => String(course.course_id)));
+
+  courses.forEach(course => {
+    const dependency = getCourseDependency(course);
+    if (!dependency) return;
+
+    if (dependency.prerequisiteId === String(course.course_id)) {
+      errors.push(`${course.course_name} cannot be its own prerequisite`);
+    } else if (!courseIds.has(dependency.prerequisiteId)) {
+      warnings.push(`${course.course_name}: prerequisite ${dependency.prerequisiteId} is not part of this schedule and will be ignored`);
+    }
+
+    if (dependency.minGapDays < 0 || (dependency.maxGapDays !== null && dependency.maxGapDays < 0)) {
+      errors.push(`${course.course_name}: gaps cannot be negative`);
+    }
+    if (dependency.maxGapDays !== null && dependency.maxGapDays < dependency.minGapDays) {
+      errors.push(`${course.course_name}: maximum gap is smaller than minimum gap`);
+    }
+  });
+
+  const { cycle } = buildDependencyOrder(courses);
+  if (cycle) {
+    errors.push(`Circular course dependency: ${cycle.join(' → ')}`);
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    warnings
+  };
+};
+
+/**
+ * Get a local midnight copy of a date
+ * @param {Date} date - Date
+ * @returns {Date} Midnight of the same day
+ */
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+/**
+ * Count working days after one date up to and including another
+ * e.g. Monday → Wednesday = 2 working days (Mon-Fri schedule)
+ * @param {Date} fromDate - Start date (not counted)
+ * @param {Date} toDate - End date (counted)
+ * @param {Function} isWorkingDay - (date) => boolean
+ * @returns {number} Working days (0 if toDate is on or before fromDate's day)
+ */
+export const countWorkingDaysBetween = (fromDate, toDate, isWorkingDay) => {
+  const cursor = startOfDay(fromDate);
+  const end = startOfDay(toDate);
+  let count = 0;
+
+  while (cursor < end) {
+    cursor.setDate(cursor.getDate() + 1);
+    if (isWorkingDay(cursor)) count++;
+  }
+
+  return count;
+};
+
+/**
+ * Find the day that is a number of working days after a date
+ * @param {Date} fromDate - Start date
+ * @param {number} workingDays - Working days to add
+ * @param {Function} isWorkingDay - (date) => boolean
+ * @returns {Date} Midnight of the resulting day
+ */
+export const addWorkingDays = (fromDate, workingDays, isWorkingDay) => {
+  const cursor = startOfDay(fromDate);
+  let added = 0;
+  let searched = 0;
+
+  while (added < workingDays) {
+    cursor.setDate(cursor.getDate() + 1);
+    if (isWorkingDay(cursor)) added++;
+    if (++searched > MAX_WORKING_DAY_SEARCH) {
+      throw new Error(`Could not find ${workingDays} working days after ${fromDate.toLocaleDateString('en-GB')}`);
+    }
+  }
+
+  return cursor;
+};
+
+/**
+ * Check whether two dates fall in the same Monday-Sunday week
+ * @param {Date} a - First date
+ * @param {Date} b - Second date
+ * @returns {boolean}
+ */
+export const isSameWeek = (a, b) => {
+  const mondayOf = (date) => {
+    const monday = startOfDay(date);
+    monday.setDate(monday.getDate() - ((monday.getDay() + 6) % 7));
+    return monday.getTime();
+  };
+  return mondayOf(a) === mondayOf(b);
+};
+
+/**
+ * Build the key identifying a learner group for sequencing
+ * Generated sessions carry "location|functional_area" keys; saved sessions carry both fields separately.
+ * @param {string} location - Location or group key
+ * @param {string} functionalArea - Functional area
+ * @returns {string} Group key
+ */
+export const getSequencingGroupKey = (location, functionalArea = '') => {
+  const locationKey = String(location || '');
+  return locationKey.includes('|') ? locationKey : `${locationKey}|${functionalArea || ''}`;
+};
+
+/**
+ * SequencingTracker - records scheduled courses per group and answers sequencing questions
+ */
+export class SequencingTracker {
+  /**
+   * @param {Array} courses - Courses with dependency rules
+   * @param {Function} isWorkingDay - (date, location) => boolean
+   */
+  constructor(courses = [], isWorkingDay = () => true) {
+    this.courseIds = new Set(courses.map(course => String(course.course_id)));
+    this.isWorkingDay = isWorkingDay;
+    this.records = new Map(); // courseId -> Map(groupKey -> Map(sessionNumber -> { start, end }))
+  }
+
+  /**
+   * Record a scheduled session (or session part)
+   * @param {Object} course - Course object
+   * @param {string} groupKey - Location / group key
+   * @param {number} sessionNumber - Group number
+   * @param {Date} start - Session start
+   * @param {Date} end - Session end
+   */
+  recordSession(course, groupKey, sessionNumber, start, end) {
+    const courseId = String(course.course_id);
+    if (!this.records.has(courseId)) this.records.set(courseId, new Map());
+    const byGroup = this.records.get(courseId);
+    if (!byGroup.has(groupKey)) byGroup.set(groupKey, new Map());
+    const bySession = byGroup.get(groupKey);
+
+    const existing = bySession.get(sessionNumber);
+    bySession.set(sessionNumber, {
+      start: existing && existing.start < start ? existing.start : new Date(start),
+      end: existing && existing.end > end ? existing.end : new Date(end)
+    });
+  }
+
+  /**
+   * Find the prerequisite session that a group's session depends on
+   * @private
+   */
+  _findPrerequisiteRecord(dependency, groupKey, sessionNumber) {
+    const bySession = this.records.get(dependency.prerequisiteId)?.get(groupKey);
+    if (!bySession || bySession.size === 0) return null;
+    if (bySession.has(sessionNumber)) return bySession.get(sessionNumber);
+
+    // Fewer prerequisite groups - depend on the last prerequisite session at this location
+    return Array.from(bySession.values()).reduce((latest, record) => (record.end > latest.end ? record : latest));
+  }
+
+  /**
+   * Earliest time a session may start given its prerequisite
+   * @param {Object} course - Course object
+   * @param {string} groupKey - Location / group key
+   * @param {number} sessionNumber - Group number
+   * @returns {Date|null} Earliest start, or null if unconstrained
+   */
+  getEarliestStart(course, groupKey, sessionNumber) {
+    const dependency = getCourseDependency(course);
+    if (!dependency || !this.courseIds.has(dependency.prerequisiteId)) return null;
+
+    const prerequisite = this._findPrerequisiteRecord(dependency, groupKey, sessionNumber);
+    if (!prerequisite) return null;
+
+    if (dependency.minGapDays <= 0) {
+      return new Date(prerequisite.end);
+    }
+
+    const location = resolveTrainingLocation(groupKey);
+    return addWorkingDays(prerequisite.end, dependency.minGapDays, date => this.isWorkingDay(date, location));
+  }
+
+  /**
+   * Latest time a session may start given its maximum gap and same-week rules
+   * Same-week courses must also end before the returned time (the Monday after the prerequisite's week).
+   * @param {Object} course - Course object
+   * @param {string} groupKey - Location / group key
+   * @param {number} sessionNumber - Group number
+   * @returns {Date|null} Sessions must start before this, or null if unconstrained
+   */
+  getLatestStart(course, groupKey, sessionNumber) {
+    const dependency = getCourseDependency(course);
+    if (!hasLatestStartRule(dependency) || !this.courseIds.has(dependency.prerequisiteId)) return null;
+
+    const prerequisite = this._findPrerequisiteRecord(dependency, groupKey, sessionNumber);
+    if (!prerequisite) return null;
+
+    let latestStart = null;
+    if (dependency.maxGapDays !== null) {
+      // Any time on the last allowed working day - the limit is midnight after it
+      const location = resolveTrainingLocation(groupKey);
+      latestStart = addWorkingDays(prerequisite.end, dependency.maxGapDays, date => this.isWorkingDay(date, location));
+      latestStart.setDate(latestStart.getDate() + 1);
+    }
+    if (dependency.sameWeek) {
+      const nextMonday = startOfDay(prerequisite.start);
+      nextMonday.setDate(nextMonday.getDate() - ((nextMonday.getDay() + 6) % 7) + 7);
+      if (!latestStart || nextMonday < latestStart) latestStart = nextMonday;
+    }
+
+    return latestStart;
+  }
+
+  /**
+   * Check a planned session against its sequencing rules
+   * @param {Object} course - Course object
+   * @param {string} groupKey - Location / group key
+   * @param {number} sessionNumber - Group number
+   * @param {Date} start - First part start
+   * @param {Date} end - Last part end
+   * @returns {Array} Violations ({ type, message })
+   */
+  checkPlacement(course, groupKey, sessionNumber, start, end) {
+    const dependency = getCourseDependency(course);
+    if (!dependency || !this.courseIds.has(dependency.prerequisiteId)) return [];
+
+    const prerequisite = this._findPrerequisiteRecord(dependency, groupKey, sessionNumber);
+    if (!prerequisite) return [];
+
+    return evaluateDependency(course, dependency, prerequisite, { start, end }, (date) =>
+      this.isWorkingDay(date, resolveTrainingLocation(groupKey))
+    );
+  }
+}
+
+/**
+ * Evaluate one dependency between a prerequisite and a dependent session
+ * @private
+ */
+const evaluateDependency = (course, dependency, prerequisite, dependent, isWorkingDay) => {
+  const violations = [];
+  const courseName = course.course_name || course.course_id;
+
+  if (dependent.start < prerequisite.end) {
+    violations.push({
+      type: SEQUENCING_VIOLATION.BEFORE_PREREQUISITE,
+      message: `${courseName} starts before its prerequisite ${dependency.prerequisiteId} has finished`
+    });
+    return violations;
+  }
+
+  const gap = countWorkingDaysBetween(prerequisite.end, dependent.start, isWorkingDay);
+
+  if (gap < dependency.minGapDays) {
+    violations.push({
+      type: SEQUENCING_VIOLATION.MIN_GAP,
+      message: `${courseName} is ${gap} working day(s) after ${dependency.prerequisiteId} (minimum ${dependency.minGapDays})`
+    });
+  }
+
+  if (dependency.maxGapDays !== null && gap > dependency.maxGapDays) {
+    violations.push({
+      type: SEQUENCING_VIOLATION.MAX_GAP,
+      message: `${courseName} is ${gap} working day(s) after ${dependency.prerequisiteId} (maximum ${dependency.maxGapDays})`
+    });
+  }
+
+  if (dependency.sameWeek && !isSameWeek(prerequisite.start, dependent.end)) {
+    violations.push({
+      type: SEQUENCING_VIOLATION.SAME_WEEK,
+      message: `${courseName} is not in the same week as its prerequisite ${dependency.prerequisiteId}`
+    });
+  }
+
+  return violations;
+};
+
+/**
+ * Find sequencing violations in a list of scheduled sessions
+ * Used to re-check schedules after sessions have been moved by hand.
+ * @param {Array} sessions - Session objects (generated or loaded from the database)
+ * @param {Array} courses - Courses with dependency rules
+ * @param {Function} isWorkingDay - (date, location) => boolean
+ * @returns {Array} Violations ({ type, course, prerequisite, location, sessionNumber, message })
+ */
+export const findSequencingViolations = (sessions, courses, isWorkingDay = () => true) => {
+  const coursesById = new Map(courses.map(course => [String(course.course_id), course]));
+  const tracker = new SequencingTracker(courses, isWorkingDay);
+  const dependents = [];
+
+  sessions.forEach(session => {
+    const courseId = String(session.course?.course_id ?? session.course_id);
+    const course = coursesById.get(courseId);
+    if (!course || !session.start || !session.end) return;
+
+    const groupKey = getSequencingGroupKey(session.location || session.training_location, session.functional_area);
+    const sessionNumber = Number(session.sessionNumber ?? session.session_number ?? 1);
+    const start = new Date(session.start);
+    const end = new Date(session.end);
+
+    tracker.recordSession(course, groupKey, sessionNumber, start, end);
+    if (getCourseDependency(course)) {
+      dependents.push({ course, groupKey, sessionNumber });
+    }
+  });
+
+  const violations = [];
+  const checked = new Set();
+
+  dependents.forEach(({ course, groupKey, sessionNumber }) => {
+    const key = `${course.course_id}|${groupKey}|${sessionNumber}`;
+    if (checked.has(key)) return;
+    checked.add(key);
+
+    const record = tracker.records.get(String(course.course_id)).get(groupKey).get(sessionNumber);
+    tracker.checkPlacement(course, groupKey, sessionNumber, record.start, record.end).forEach(violation => {
+      violations.push({
+        ...violation,
+        course: course.course_name || course.course_id,
+        prerequisite: getCourseDependency(course).prerequisiteId,
+        location: groupKey,
+        sessionNumber
+      });
+    });
+  });
+
+  return violations;
+};
+
+export default {
+  getCourseDependency,
+  hasLatestStartRule,
+  orderCoursesByDependencies,
+  validateCourseDependencies,
+  countWorkingDaysBetween,
+  addWorkingDays,
+  isSameWeek,
+  getSequencingGroupKey,
+  findSequencingViolations,
+  SequencingTracker
+};
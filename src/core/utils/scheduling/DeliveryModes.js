@@ -0,0 +1,159 @@
+/**
+ * DeliveryModes - Classroom, virtual and hybrid course delivery
+ *
+ * Delivery settings are stored on the courses table:
+ * {
+ *   delivery_mode: 'classroom' | 'virtual' | 'hybrid',  // default 'classroom'
+ *   virtual_max_attendees: 40,                          // capacity of virtual sessions (default criteria.max_attendees)
+ *   meeting_link: 'https://teams.microsoft.com/...'     // link copied onto virtual and hybrid sessions
+ * }
+ *
+ * - Classroom sessions take a classroom at the learners' training location
+ * - Hybrid sessions take a classroom at the training location and carry a meeting link for remote learners
+ * - Virtual sessions take no classroom: learners from every training location are pooled under the
+ *   "Virtual" location, and each concurrent virtual session gets its own virtual room number
+ */
+
+import { resolveTrainingLocation } from './BlackoutCalendar.js';
+
+export const DELIVERY_MODE = {
+  CLASSROOM: 'classroom',
+  VIRTUAL: 'virtual',
+  HYBRID: 'hybrid'
+};
+
+export const DELIVERY_MODE_LABELS = {
+  classroom: 'Classroom',
+  virtual: 'Virtual',
+  hybrid: 'Hybrid'
+};
+
+// Pseudo training location that pools learners for virtual courses
+export const VIRTUAL_LOCATION = 'Virtual';
+
+// training_sessions.delivery_method values for each delivery mode
+const DELIVERY_METHODS = {
+  classroom: 'in_person',
+  virtual: 'virtual',
+  hybrid: 'hybrid'
+};
+
+/**
+ * Get a course's delivery mode
+ * @param {Object} course - Course object
+ * @returns {string} 'classroom', 'virtual' or 'hybrid'
+ */
+export const getDeliveryMode = (course) => {
+  const mode = course?.delivery_mode;
+  return Object.values(DELIVERY_MODE).includes(mode) ? mode : DELIVERY_MODE.CLASSROOM;
+};
+
+/**
+ * Check whether a course is delivered fully online
+ * @param {Object} course - Course object
+ * @returns {boolean}
+ */
+export const isVirtualCourse = (course) => getDeliveryMode(course) === DELIVERY_MODE.VIRTUAL;
+
+/**
+ * Check whether a location / group key is the pooled virtual location
+ * @param {string} groupKey - Location / group key
+ * @returns {boolean}
+ */
+export const isVirtualLocation = (groupKey) => resolveTrainingLocation(groupKey) === VIRTUAL_LOCATION;
+
+/**
+ * Delivery mode of a session - learners moved to the pooled virtual location are taught
+ * online whatever the course's own delivery mode
+ * @param {Object} course - Course object
+ * @param {string} groupKey - Location / group key the session runs at
+ * @returns {string} 'classroom', 'virtual' or 'hybrid'
+ */
+export const getSessionDeliveryMode = (course, groupKey) =>
+  isVirtualLocation(groupKey) ? DELIVERY_MODE.VIRTUAL : getDeliveryMode(course);
+
+/**
+ * Maximum attendees per session of a course
+ * @param {Object} course - Course object
+ * @param {Object} criteria - Scheduling criteria
+ * @returns {number} Session capacity
+ */
+export const getCourseCapacity = (course, criteria = {}) => {
+  if (isVirtualCourse(course) && Number(course.virtual_max_attendees) > 0) {
+    return Number(course.virtual_max_attendees);
+  }
+  return criteria.max_attendees;
+};
+
+/**
+ * Map a delivery mode to the training_sessions.delivery_method value
+ * @param {string} deliveryMode - Delivery mode
+ * @returns {string} Delivery method
+ */
+export const toDeliveryMethod = (deliveryMode) => DELIVERY_METHODS[deliveryMode] || DELIVERY_METHODS.classroom;
+
+/**
+ * Map a training_sessions.delivery_method value back to a delivery mode
+ * @param {string} deliveryMethod - Delivery method
+ * @returns {string} Delivery mode
+ */
+export const fromDeliveryMethod = (deliveryMethod) =>
+  Object.keys(DELIVERY_METHODS).find(mode => DELIVERY_METHODS[mode] === deliveryMethod) || DELIVERY_MODE.CLASSROOM;
+
+/**
+ * Move learners for virtual courses out of their training locations into a pooled virtual location
+ * Group keys keep their other parts, so "Leeds|Finance" learners join "Virtual|Finance".
+ * @param {Object} groupedEndUsers - Users (one row per user and course) grouped by location key
+ * @param {Array} courses - Courses with delivery settings
+ * @returns {Object} Grouped users with virtual demand pooled
+ */
+export const poolVirtualDemand = (groupedEndUsers, courses) => {
+  const virtualCourseIds = new Set(courses.filter(isVirtualCourse).map(course => course.course_id));
+  if (virtualCourseIds.size === 0) return groupedEndUsers;
+
+  const pooled = {};
+  Object.entries(groupedEndUsers).forEach(([groupKey, users]) => {
+    const [, ...rest] = groupKey.split('|');
+    const virtualKey = [VIRTUAL_LOCATION, ...rest].join('|');
+
+    users.forEach(user => {
+      const key = virtualCourseIds.has(user.course_id) ? virtualKey : groupKey;
+      (pooled[key] = pooled[key] || []).push(user);
+    });
+  });
+
+  return pooled;
+};
+
+/**
+ * Virtual room requirement for the pooled virtual location
+ * Virtual sessions don't use classrooms, so allow one room per session group (no capacity limit).
+ * @param {Array} usersInGroup - Pooled virtual users
+ * @param {Array} courses - Courses with delivery settings
+ * @param {Object} criteria - Scheduling criteria
+ * @returns {Object} { numberOfClassrooms, isVirtual }
+ */
+export const calculateVirtualRooms = (usersInGroup, courses, criteria) => {
+  const numberOfClassrooms = courses.reduce((total, course) => {
+    const attendees = usersInGroup.filter(user => user.course_id === course.course_id).length;
+    const capacity = getCourseCapacity(course, criteria);
+    return total + (attendees > 0 && capacity > 0 ? Math.ceil(attendees / capacity) : 0);
+  }, 0);
+
+  return { numberOfClassrooms: Math.max(numberOfClassrooms, 1), isVirtual: true };
+};
+
+export default {
+  DELIVERY_MODE,
+  DELIVERY_MODE_LABELS,
+  VIRTUAL_LOCATION,
+  getDeliveryMode,
+  isVirtualCourse,
+  isVirtualLocation,
+  getSessionDeliveryMode,
+  getCourseCapacity,
+  toDeliveryMethod,
+  fromDeliveryMethod,
+  poolVirtualDemand,
+  calculateVirtualRooms
+};
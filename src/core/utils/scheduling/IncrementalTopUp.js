@@ -0,0 +1,335 @@
+/**
+ * IncrementalTopUp - Cover learners added after a schedule was saved
+ *
+ * A top-up run works on the saved schedule rather than rebuilding it:
+ * 1. Demand: one row per end user and course (from role-course mappings). A learner's need is
+ *    covered once they have a user_assignments row for the course in this schedule.
+ * 2. Past and locked sessions are fixed - a session group is fixed as soon as any of its parts
+ *    has started or is locked (training_sessions.locked), and fixed groups take no new learners.
+ * 3. Uncovered learners fill spare seats in the remaining future session groups first
+ *    (earliest first, inside the sequencing window of a prerequisite the learner is booked on:
+ *    after its minimum gap in working days and before any maximum gap / same-week limit).
+ * 4. Whatever is left is scheduled as new sessions. Existing sessions are passed to the
+ *    scheduling engine as reservations, so new sessions work around their classrooms and trainers.
+ *    Top-up runs use Course-Complete scheduling, the mode that schedules against the shared
+ *    classroom tracker.
+ *
+ * Everything here works on plain rows (training_sessions, user_assignments, courses), so the
+ * plan can be shown for approval before anything is written.
+ */
+
+import { poolVirtualDemand, isVirtualLocation, calculateVirtualRooms, getCourseCapacity } from './DeliveryModes.js';
+import { SequencingTracker, getCourseDependency, orderCoursesByDependencies, isSameWeek } from './CourseDependencies.js';
+import { BlackoutCalendar, toDateKey } from './BlackoutCalendar.js';
+import { calculateClassroomsNeeded } from '../classroomCalculations.js';
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Scheduling mode used for the new sessions of a top-up run
+export const TOP_UP_SCHEDULING_MODE = 'course_complete';
+
+/**
+ * Location / group key of a saved session ("Location|Functional Area", as the wizard groups learners)
+ * @param {Object} sessionRow - training_sessions row
+ * @returns {string} Group key
+ */
+export const getSessionGroupKey = (sessionRow) =>
+  [sessionRow.training_location, sessionRow.functional_area].filter(Boolean).join('|');
+
+/**
+ * Check whether a saved session is fixed (already started or locked)
+ * @param {Object} sessionRow - training_sessions row
+ * @param {Date} now - Current time
+ * @returns {boolean}
+ */
+export const isSessionFixed = (sessionRow, now = new Date()) =>
+  Boolean(sessionRow.locked) || new Date(sessionRow.start_datetime) < now;
+
+/**
+ * Group saved sessions into session groups (all parts of one course group at one location)
+ * @param {Array} sessionRows - training_sessions rows
+ * @param {Array} courses - Courses with delivery settings
+ * @param {Object} criteria - Scheduling criteria (default capacity)
+ * @param {Date} now - Current time
+ * @returns {Array} Session groups sorted by start:
+ *   { key, courseId, courseName, location, trainingLocation, functionalArea, sessionNumber,
+ *     parts, start, end, capacity, fixed, learners: Set of end user IDs }
+ */
+export const buildSessionGroups = (sessionRows, courses, criteria = {}, now = new Date()) => {
+  const courseById = new Map(courses.map(course => [String(course.course_id), course]));
+  const groups = new Map();
+
+  sessionRows.forEach(row => {
+    const location = getSessionGroupKey(row);
+    const key = `${row.course_id}|${location}|${row.session_number}`;
+    if (!groups.has(key)) {
+      const course = courseById.get(String(row.course_id));
+      groups.set(key, {
+        key,
+        courseId: row.course_id,
+        courseName: row.course_name,
+        location,
+        trainingLocation: row.training_location,
+        functionalArea: row.functional_area,
+        sessionNumber: row.session_number,
+        parts: [],
+        start: null,
+        end: null,
+        capacity: course
+          ? getCourseCapacity(course, { max_attendees: row.max_attendees || criteria.max_attendees })
+          : row.max_attendees || criteria.max_attendees,
+        fixed: false,
+        learners: new Set()
+      });
+    }
+    const group = groups.get(key);
+    group.parts.push(row);
+    group.fixed = group.fixed || isSessionFixed(row, now);
+  });
+
+  return Array.from(groups.values())
+    .map(group => {
+      group.parts.sort((a, b) => new Date(a.start_datetime) - new Date(b.start_datetime));
+      group.start = new Date(group.parts[0].start_datetime);
+      group.end = new Date(group.parts[group.parts.length - 1].end_datetime);
+      return group;
+    })
+    .sort((a, b) => a.start - b.start);
+};
+
+/**
+ * Plan which uncovered learners go into spare seats and which need new sessions
+ * @param {Object} params
+ * @param {Array} params.demandRows - One row per end user and course:
+ *   { id, name, training_location, functional_area, course_id, duration_hrs }
+ * @param {Array} params.sessionRows - The schedule's training_sessions rows
+ * @param {Array} params.assignments - The schedule's user_assignments rows ({ end_user_id, course_id, session_id })
+ * @param {Array} params.courses - Courses with delivery and sequencing settings
+ * @param {Object} params.criteria - Scheduling criteria
+ * @param {Date} params.now - Current time
+ * @returns {Object} {
+ *   uncovered,          // learner-course needs without an assignment
+ *   seatFills,          // [{ endUserId, learnerName, courseId, courseName, group }]
+ *   remainingDemand,    // demand rows for new sessions, grouped by location key
+ *   remainingCount,
+ *   fixedGroups, openGroups
+ * }
+ */
+export const planTopUp = ({ demandRows, sessionRows, assignments = [], courses, criteria = {}, now = new Date() }) => {
+  const groups = buildSessionGroups(sessionRows, courses, criteria, now);
+  const groupBySessionId = new Map();
+  groups.forEach(group => group.parts.forEach(part => groupBySessionId.set(String(part.id), group)));
+
+  // Seats already taken, and the session group each learner is booked on per course
+  const covered = new Set();
+  const bookedGroup = new Map(); // `${endUserId}|${courseId}` -> the learner's session group
+  assignments.forEach(assignment => {
+    covered.add(`${assignment.end_user_id}|${assignment.course_id}`);
+    const group = groupBySessionId.get(String(assignment.session_id));
+    if (!group) return;
+    group.learners.add(String(assignment.end_user_id));
+    bookedGroup.set(`${assignment.end_user_id}|${assignment.course_id}`, group);
+  });
+
+  // Sequencing windows come from the same tracker the scheduling modes use, with each learner
+  // as their own group: the prerequisite group they are booked on is recorded under their ID
+  const schedulingDays = criteria.scheduling_days || [];
+  const blackoutCalendar = new BlackoutCalendar(criteria.blackout_dates || []);
+  const sequencing = new SequencingTracker(courses, (date, location) =>
+    (schedulingDays.length === 0 || schedulingDays.includes(DAY_NAMES[date.getDay()])) &&
+    !blackoutCalendar.isBlackedOut(date, location)
+  );
+
+  const uncoveredRows = demandRows.filter(row => !covered.has(`${row.id}|${row.course_id}`));
+  const grouped = poolVirtualDemand(uncoveredRows.reduce((result, row) => {
+    const key = [row.training_location, row.functional_area].map(value => value?.toString().trim() || 'Unknown').join('|');
+    (result[key] = result[key] || []).push(row);
+    return result;
+  }, {}), courses);
+
+  const openGroups = groups.filter(group => !group.fixed);
+  const seatFills = [];
+  const remainingDemand = {};
+  const pending = new Set(); // `${endUserId}|${courseId}` needs left for new sessions
+
+  // Prerequisites first, so a learner's later courses can follow their earlier ones
+  orderCoursesByDependencies(courses).forEach(course => {
+    const dependency = getCourseDependency(course);
+
+    Object.entries(grouped).forEach(([location, rows]) => {
+      rows.filter(row => String(row.course_id) === String(course.course_id)).forEach(row => {
+        const learnerKey = `${row.id}|${course.course_id}`;
+        const prerequisiteKey = dependency ? `${row.id}|${dependency.prerequisiteId}` : null;
+
+        let earliestStart = null;
+        let latestStart = null;
+        const prerequisiteGroup = prerequisiteKey && !pending.has(prerequisiteKey) ? bookedGroup.get(prerequisiteKey) : null;
+        if (prerequisiteGroup) {
+          const learnerNumber = String(row.id);
+          sequencing.recordSession(
+            { course_id: dependency.prerequisiteId }, location, learnerNumber, prerequisiteGroup.start, prerequisiteGroup.end
+          );
+          earliestStart = sequencing.getEarliestStart(course, location, learnerNumber);
+          latestStart = sequencing.getLatestStart(course, location, learnerNumber);
+        }
+
+        // A prerequisite going into new sessions takes its dependent courses with it
+        const group = prerequisiteKey && pending.has(prerequisiteKey)
+          ? null
+          : openGroups.find(candidate =>
+            String(candidate.courseId) === String(course.course_id) &&
+            candidate.location === location &&
+            candidate.learners.size < candidate.capacity &&
+            !candidate.learners.has(String(row.id)) &&
+            (!earliestStart || candidate.start >= earliestStart) &&
+            (!latestStart || candidate.start < latestStart) &&
+            (!prerequisiteGroup || !dependency.sameWeek || isSameWeek(prerequisiteGroup.start, candidate.end))
+          );
+
+        if (group) {
+          group.learners.add(String(row.id));
+          bookedGroup.set(learnerKey, group);
+          seatFills.push({
+            endUserId: row.id,
+            learnerName: row.name,
+            courseId: course.course_id,
+            courseName: course.course_name,
+            group
+          });
+        } else {
+          pending.add(learnerKey);
+          (remainingDemand[location] = remainingDemand[location] || []).push(row);
+        }
+      });
+    });
+  });
+
+  return {
+    uncovered: uncoveredRows.length,
+    seatFills,
+    remainingDemand,
+    remainingCount: pending.size,
+    fixedGroups: groups.length - openGroups.length,
+    openGroups: openGroups.length
+  };
+};
+
+/**
+ * Criteria for the new sessions of a top-up run: never start before tomorrow
+ * @param {Object} criteria - Saved scheduling criteria
+ * @param {Date} now - Current time
+ * @returns {Object} Criteria with start_date moved forward if it has passed
+ */
+export const getTopUpCriteria = (criteria, now = new Date()) => {
+  const tomorrow = new Date(now);
+  tomorrow.setDate(tomorrow.getDate() + 1);
+  const tomorrowKey = toDateKey(tomorrow);
+  return criteria.start_date && toDateKey(criteria.start_date) >= tomorrowKey
+    ? criteria
+    : { ...criteria, start_date: tomorrowKey };
+};
+
+/**
+ * Saved sessions the new sessions of a top-up run must work around
+ * @param {Array} sessionRows - training_sessions rows
+ * @param {Date} now - Current time
+ * @returns {Array} Reservations { sessionId, location, classroomNumber, start, end, trainerId, duration }
+ */
+export const getTopUpReservations = (sessionRows, now = new Date()) => sessionRows
+  .filter(row => new Date(row.end_datetime) > now)
+  .map(row => {
+    const start = new Date(row.start_datetime);
+    const end = new Date(row.end_datetime);
+    return {
+      sessionId: `existing-${row.id}`,
+      location: getSessionGroupKey(row),
+      classroomNumber: Number(row.classroom_number) || 1,
+      start,
+      end,
+      trainerId: row.instructor_id || null,
+      duration: (end - start) / (60 * 60 * 1000)
+    };
+  });
+
+/**
+ * Classrooms available to the new sessions at each location
+ * The new demand's own requirement, but never fewer classrooms than the schedule already uses there.
+ * @param {Object} remainingDemand - Demand rows grouped by location key
+ * @param {Array} courses - Courses
+ * @param {Object} criteria - Scheduling criteria
+ * @param {Array} sessionRows - training_sessions rows
+ * @returns {Map} locationName -> classroom requirement ({ numberOfClassrooms, ... })
+ */
+export const getTopUpClassroomReqs = (remainingDemand, courses, criteria, sessionRows) => {
+  const classroomsInUse = new Map();
+  sessionRows.forEach(row => {
+    const location = getSessionGroupKey(row);
+    classroomsInUse.set(location, Math.max(classroomsInUse.get(location) || 0, Number(row.classroom_number) || 1));
+  });
+
+  const requirements = new Map();
+  Object.entries(remainingDemand).forEach(([location, rows]) => {
+    let requirement;
+    if (isVirtualLocation(location)) {
+      requirement = calculateVirtualRooms(rows, courses, criteria);
+    } else {
+      const totalTrainingHours = courses.reduce((total, course) => {
+        const attendees = rows.filter(row => row.course_id === course.course_id).length;
+        const duration = Number(course.duration_hrs);
+        return attendees > 0 && !isNaN(duration) ? total + attendees * duration : total;
+      }, 0);
+      requirement = calculateClassroomsNeeded(totalTrainingHours, criteria);
+    }
+    requirements.set(location, {
+      ...requirement,
+      numberOfClassrooms: Math.max(requirement.numberOfClassrooms || 1, classroomsInUse.get(location) || 0)
+    });
+  });
+
+  return requirements;
+};
+
+/**
+ * Number the new session groups after the schedule's existing groups
+ * The engine numbers each course's groups from 1 at every location; saved groups keep their numbers.
+ * @param {Object} result - Scheduling result ({ sessionsGrouped, diagnostics }), updated in place
+ * @param {Array} sessionRows - training_sessions rows
+ * @returns {Object} The result
+ */
+export const renumberTopUpGroups = (result, sessionRows) => {
+  const offsets = new Map();
+  sessionRows.forEach(row => {
+    const key = `${row.course_id}|${getSessionGroupKey(row)}`;
+    offsets.set(key, Math.max(offsets.get(key) || 0, Number(row.session_number) || 0));
+  });
+
+  Object.values(result.sessionsGrouped || {}).forEach(locations => {
+    Object.entries(locations).forEach(([location, classrooms]) => {
+      Object.values(classrooms).flat().forEach(session => {
+        const offset = offsets.get(`${session.course.course_id}|${location}`) || 0;
+        if (!offset) return;
+        const sessionNumber = session.sessionNumber + offset;
+        session.title = session.title?.replace(new RegExp(`Group ${session.sessionNumber}\\b`), `Group ${sessionNumber}`);
+        session.sessionNumber = sessionNumber;
+      });
+    });
+  });
+
+  (result.diagnostics || []).forEach(entry => {
+    entry.sessionNumber += offsets.get(`${entry.courseId}|${entry.location}`) || 0;
+  });
+
+  return result;
+};
+
+export default {
+  TOP_UP_SCHEDULING_MODE,
+  getSessionGroupKey,
+  isSessionFixed,
+  buildSessionGroups,
+  planTopUp,
+  getTopUpCriteria,
+  getTopUpReservations,
+  getTopUpClassroomReqs,
+  renumberTopUpGroups
+};
@@ -0,0 +1,326 @@
+/**
+ * LearnerLoad - Per-learner training load limits and double-booking prevention
+ *
+ * Session groups are formed per course, so one learner can sit in different group numbers for
+ * different courses. Without a per-learner check they could be booked into two courses in the
+ * same time block, or into a whole day of back-to-back training.
+ *
+ * Settings are stored on the scheduling criteria:
+ * {
+ *   learner_max_hours_per_day: 4,       // training hours per learner per day (blank = no limit)
+ *   learner_max_hours_per_week: 12,     // training hours per learner per Monday-Sunday week (blank = no limit)
+ *   allow_learner_overlaps: false       // overlapping sessions for the same learner are never allowed unless true
+ * }
+ *
+ * Learners are identified by end_user_id, falling back to id, on the demand rows.
+ * Hour limits only apply once a learner already has training that day / week, so a course
+ * longer than the limit can still be scheduled on its own.
+ */
+
+import { toDateKey } from './BlackoutCalendar.js';
+
+export const LEARNER_CONFLICT = {
+  OVERLAP: 'overlap',
+  DAILY_HOURS: 'daily_hours',
+  WEEKLY_HOURS: 'weekly_hours'
+};
+
+export const LEARNER_CONFLICT_LABELS = {
+  overlap: 'Learner already in another session',
+  daily_hours: 'Learner daily hour limit',
+  weekly_hours: 'Learner weekly hour limit'
+};
+
+/**
+ * Get the learner a demand or assignment row belongs to
+ * @param {Object} row - Demand row (end user and course) or user_assignments row
+ * @returns {string|null} Learner ID
+ */
+export const getLearnerId = (row) => {
+  const id = row?.end_user_id ?? row?.id;
+  return id === undefined || id === null ? null : String(id);
+};
+
+/**
+ * Get the per-learner limits from the criteria
+ * @param {Object} criteria - Scheduling criteria
+ * @returns {Object} { maxHoursPerDay, maxHoursPerWeek, preventOverlaps }
+ */
+export const getLearnerLimits = (criteria = {}) => {
+  const maxHoursPerDay = Number(criteria.learner_max_hours_per_day);
+  const maxHoursPerWeek = Number(criteria.learner_max_hours_per_week);
+  return {
+    maxHoursPerDay: maxHoursPerDay > 0 ? maxHoursPerDay : null,
+    maxHoursPerWeek: maxHoursPerWeek > 0 ? maxHoursPerWeek : null,
+    preventOverlaps: criteria.allow_learner_overlaps !== true
+  };
+};
+
+/**
+ * Local midnight of the Monday starting a date's week
+ * @private
+ */
+const getWeekStart = (date) => {
+  const weekStart = new Date(date);
+  weekStart.setHours(0, 0, 0, 0);
+  weekStart.setDate(weekStart.getDate() - ((weekStart.getDay() + 6) % 7));
+  return weekStart;
+};
+
+/**
+ * Local midnight after a date
+ * @private
+ */
+const getNextDay = (date) => {
+  const nextDay = new Date(date);
+  nextDay.setHours(0, 0, 0, 0);
+  nextDay.setDate(nextDay.getDate() + 1);
+  return nextDay;
+};
+
+/**
+ * Normalise a session or session part to a booking
+ * @private
+ */
+const toBooking = (session) => {
+  const start = new Date(session.start);
+  const end = new Date(session.end);
+  const duration = Number(session.duration);
+  return {
+    start,
+    end,
+    hours: duration > 0 ? duration : (end - start) / (60 * 60 * 1000),
+    courseId: session.course?.course_id ?? session.course_id ?? null,
+    title: session.title || session.course?.course_name || session.course_name || 'session'
+  };
+};
+
+const sumHours = (bookings) => Math.round(bookings.reduce((total, booking) => total + booking.hours, 0) * 100) / 100;
+
+/**
+ * Check new bookings for one learner against the bookings they already have
+ * @param {Array} existing - Bookings the learner already has
+ * @param {Array} added - Bookings being added (all parts of one course)
+ * @param {Object} limits - Limits from getLearnerLimits
+ * @returns {Object|null} { type, detail, retryAfter } for the first limit broken, or null
+ *   retryAfter is the earliest time the added bookings could start without that conflict
+ */
+const checkBookings = (existing, added, limits) => {
+  if (existing.length === 0) return null;
+
+  for (const booking of added) {
+    if (limits.preventOverlaps) {
+      const overlapping = existing.find(other => booking.start < other.end && booking.end > other.start);
+      if (overlapping) {
+        return {
+          type: LEARNER_CONFLICT.OVERLAP,
+          detail: `already in ${overlapping.title} until ${overlapping.end.toLocaleString('en-GB', { dateStyle: 'short', timeStyle: 'short' })}`,
+          retryAfter: new Date(overlapping.end)
+        };
+      }
+    }
+
+    if (limits.maxHoursPerDay !== null) {
+      const dayKey = toDateKey(booking.start);
+      const sameDay = existing.filter(other => toDateKey(other.start) === dayKey);
+      const addedSameDay = added.filter(other => toDateKey(other.start) === dayKey);
+      const hours = sumHours([...sameDay, ...addedSameDay]);
+      if (sameDay.length > 0 && hours > limits.maxHoursPerDay) {
+        return {
+          type: LEARNER_CONFLICT.DAILY_HOURS,
+          detail: `${hours} hours on ${booking.start.toLocaleDateString('en-GB')} (limit ${limits.maxHoursPerDay})`,
+          retryAfter: getNextDay(booking.start)
+        };
+      }
+    }
+
+    if (limits.maxHoursPerWeek !== null) {
+      const weekStart = getWeekStart(booking.start).getTime();
+      const sameWeek = existing.filter(other => getWeekStart(other.start).getTime() === weekStart);
+      const addedSameWeek = added.filter(other => getWeekStart(other.start).getTime() === weekStart);
+      const hours = sumHours([...sameWeek, ...addedSameWeek]);
+      if (sameWeek.length > 0 && hours > limits.maxHoursPerWeek) {
+        const nextWeek = new Date(weekStart);
+        nextWeek.setDate(nextWeek.getDate() + 7);
+        return {
+          type: LEARNER_CONFLICT.WEEKLY_HOURS,
+          detail: `${hours} hours in the week of ${new Date(weekStart).toLocaleDateString('en-GB')} (limit ${limits.maxHoursPerWeek})`,
+          retryAfter: nextWeek
+        };
+      }
+    }
+  }
+
+  return null;
+};
+
+/**
+ * LearnerLoadTracker class - books learners into sessions during one scheduling run
+ */
+export class LearnerLoadTracker {
+  /**
+   * @param {Object} criteria - Scheduling criteria
+   */
+  constructor(criteria = {}) {
+    this.limits = getLearnerLimits(criteria);
+    this.bookings = new Map(); // learnerId -> bookings
+  }
+
+  /**
+   * Check whether any limit is switched on
+   * @returns {boolean}
+   */
+  isActive() {
+    const { maxHoursPerDay, maxHoursPerWeek, preventOverlaps } = this.limits;
+    return preventOverlaps || maxHoursPerDay !== null || maxHoursPerWeek !== null;
+  }
+
+  /**
+   * Check whether a session group's learners can all take the given parts
+   * @param {Array} users - Demand rows of the session group
+   * @param {Array} parts - Session parts ({ start, end, duration })
+   * @returns {Object|null} { type, learnerId, detail, retryAfter } for the first conflict, or null
+   */
+  check(users = [], parts = []) {
+    if (!this.isActive() || parts.length === 0) return null;
+    const added = parts.map(toBooking);
+
+    let firstConflict = null;
+    for (const user of users) {
+      const learnerId = getLearnerId(user);
+      const conflict = checkBookings(this.bookings.get(learnerId) || [], added, this.limits);
+      // Report the conflict that clears last, so retrying after it clears every learner's conflict of that kind
+      if (conflict && (!firstConflict || conflict.retryAfter > firstConflict.retryAfter)) {
+        firstConflict = { ...conflict, learnerId, detail: `Learner ${user.name || learnerId} ${conflict.detail}` };
+      }
+    }
+    return firstConflict;
+  }
+
+  /**
+   * Book a session group's learners into the given parts
+   * @param {Array} users - Demand rows of the session group
+   * @param {Array} parts - Session parts ({ start, end, duration })
+   */
+  book(users = [], parts = []) {
+    if (!this.isActive()) return;
+    const added = parts.map(toBooking);
+    users.forEach(user => {
+      const learnerId = getLearnerId(user);
+      this.bookings.set(learnerId, [...(this.bookings.get(learnerId) || []), ...added]);
+    });
+  }
+}
+
+/**
+ * Check a manual assignment of one learner against the sessions they are already booked on
+ * Bookings for the courses being assigned are ignored, since the new sessions replace them.
+ * @param {Array} bookedSessions - Sessions the learner is assigned to ({ start, end, course_id })
+ * @param {Array} newSessions - Sessions the learner is being assigned to
+ * @param {Object} criteria - Scheduling criteria
+ * @returns {Object|null} { type, detail, message } for the first conflict, or null
+ */
+export const findLearnerBookingConflict = (bookedSessions = [], newSessions = [], criteria = {}) => {
+  const added = newSessions.map(toBooking);
+  const replacedCourses = new Set(added.map(booking => String(booking.courseId)));
+  const existing = bookedSessions
+    .map(toBooking)
+    .filter(booking => !replacedCourses.has(String(booking.courseId)));
+
+  const conflict = checkBookings(existing, added, getLearnerLimits(criteria));
+  if (!conflict) return null;
+  return { type: conflict.type, detail: conflict.detail, message: `${LEARNER_CONFLICT_LABELS[conflict.type]}: ${conflict.detail}` };
+};
+
+/**
+ * Find learners double-booked or over their hour limits in an existing schedule
+ * @param {Array} sessions - Flat list of sessions ({ id, start, end, duration, title, course_id })
+ * @param {Array} assignments - user_assignments rows ({ end_user_id, session_id }), optionally with end_users.name
+ * @param {Object} criteria - Scheduling criteria
+ * @returns {Array} { type, learnerId, learnerName, date, hours, limit, sessions, message }
+ */
+export const findLearnerConflicts = (sessions = [], assignments = [], criteria = {}) => {
+  const limits = getLearnerLimits(criteria);
+  const sessionsById = new Map();
+  sessions.forEach(session => {
+    const sessionId = session.id ?? session.event_id;
+    if (sessionId !== undefined && sessionId !== null) sessionsById.set(String(sessionId), session);
+  });
+
+  // Each learner's sessions, once each even if assigned twice
+  const learners = new Map();
+  assignments.forEach(assignment => {
+    const session = sessionsById.get(String(assignment.session_id));
+    const learnerId = getLearnerId({ end_user_id: assignment.end_user_id });
+    if (!session || !learnerId) return;
+    if (!learners.has(learnerId)) {
+      learners.set(learnerId, { name: assignment.end_users?.name || learnerId, sessions: new Map() });
+    }
+    learners.get(learnerId).sessions.set(String(assignment.session_id), session);
+  });
+
+  const conflicts = [];
+  learners.forEach(({ name, sessions: learnerSessions }, learnerId) => {
+    const bookings = Array.from(learnerSessions.values())
+      .map(toBooking)
+      .sort((a, b) => a.start - b.start);
+
+    if (limits.preventOverlaps) {
+      for (let i = 0; i < bookings.length; i++) {
+        for (let j = i + 1; j < bookings.length && bookings[j].start < bookings[i].end; j++) {
+          conflicts.push({
+            type: LEARNER_CONFLICT.OVERLAP,
+            learnerId,
+            learnerName: name,
+            date: bookings[j].start,
+            sessions: [bookings[i].title, bookings[j].title],
+            message: `${name} is in ${bookings[i].title} and ${bookings[j].title} at the same time`
+          });
+        }
+      }
+    }
+
+    const checkTotals = (type, limit, keyOf, describe) => {
+      if (limit === null) return;
+      const totals = new Map();
+      bookings.forEach(booking => {
+        const key = keyOf(booking.start);
+        totals.set(key, [...(totals.get(key) || []), booking]);
+      });
+      totals.forEach(periodBookings => {
+        // As when scheduling, a single course longer than the limit is not a breach
+        const hours = sumHours(periodBookings);
+        const courses = new Set(periodBookings.map(booking => booking.courseId ?? booking.title));
+        if (courses.size > 1 && hours > limit) {
+          conflicts.push({
+            type,
+            learnerId,
+            learnerName: name,
+            date: periodBookings[0].start,
+            hours,
+            limit,
+            sessions: periodBookings.map(booking => booking.title),
+            message: `${name} has ${hours} hours of training ${describe(periodBookings[0].start)} (limit ${limit})`
+          });
+        }
+      });
+    };
+
+    checkTotals(LEARNER_CONFLICT.DAILY_HOURS, limits.maxHoursPerDay, toDateKey,
+      date => `on ${date.toLocaleDateString('en-GB')}`);
+    checkTotals(LEARNER_CONFLICT.WEEKLY_HOURS, limits.maxHoursPerWeek, date => getWeekStart(date).getTime(),
+      date => `in the week of ${getWeekStart(date).toLocaleDateString('en-GB')}`);
+  });
+
+  return conflicts.sort((a, b) => a.date - b.date);
+};
+
+export default {
+  LEARNER_CONFLICT,
+  LEARNER_CONFLICT_LABELS,
+  getLearnerId,
+  getLearnerLimits,
+  LearnerLoadTracker,
+  findLearnerBookingConflict,
+  findLearnerConflicts
+};
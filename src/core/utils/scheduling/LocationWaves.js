@@ -0,0 +1,205 @@
+/**
+ * LocationWaves - Per-location go-live waves and training windows
+ *
+ * Waves are stored in the scheduling criteria, keyed by training location:
+ * {
+ *   location_waves: {
+ *     'Manchester': { go_live_date: 'YYYY-MM-DD', train_weeks_before: 4 }
+ *   }
+ * }
+ *
+ * Training at a location must finish before its go-live date, and may start no earlier than
+ * train_weeks_before weeks before it (never before criteria.start_date). Locations without a
+ * wave train from criteria.start_date with no deadline.
+ * Defaults for each location come from the go_live_date and train_weeks_before columns on
+ * training_locations.
+ */
+
+import { resolveTrainingLocation, toDateKey } from './BlackoutCalendar.js';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse a YYYY-MM-DD key into a local Date at midnight
+ * @param {string} dateKey - Date key
+ * @returns {Date|null} Local date, or null when the key is missing or invalid
+ */
+const fromDateKey = (dateKey) => {
+  if (!dateKey) return null;
+  const [year, month, day] = String(dateKey).slice(0, 10).split('-').map(Number);
+  const date = new Date(year, month - 1, day);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Get the wave definition for a location
+ * @param {Object} criteria - Scheduling criteria
+ * @param {string} groupKey - Location / group key
+ * @returns {Object|null} { goLiveDate, trainWeeksBefore } or null when the location has no go-live date
+ */
+export const getLocationWave = (criteria = {}, groupKey) => {
+  const wave = (criteria.location_waves || {})[resolveTrainingLocation(groupKey)];
+  if (!wave?.go_live_date) return null;
+
+  const weeks = wave.train_weeks_before;
+  return {
+    goLiveDate: toDateKey(wave.go_live_date),
+    trainWeeksBefore: weeks === null || weeks === undefined || weeks === '' ? null : Number(weeks)
+  };
+};
+
+/**
+ * Check whether any location has a go-live date
+ * @param {Object} criteria - Scheduling criteria
+ * @returns {boolean}
+ */
+export const hasLocationWaves = (criteria = {}) =>
+  Object.values(criteria.location_waves || {}).some(wave => wave?.go_live_date);
+
+/**
+ * Get the training window for a location
+ * @param {Object} criteria - Scheduling criteria
+ * @param {string} groupKey - Location / group key
+ * @returns {Object} { location, goLiveDate, windowStart, deadline } - deadline is midnight on the
+ *   go-live date (sessions must end by then) or null when the location has no wave
+ */
+export const getLocationWindow = (criteria = {}, groupKey) => {
+  const location = resolveTrainingLocation(groupKey);
+  const programmeStart = fromDateKey(criteria.start_date) || new Date(criteria.start_date);
+  const wave = getLocationWave(criteria, groupKey);
+  const deadline = wave ? fromDateKey(wave.goLiveDate) : null;
+
+  let windowStart = programmeStart;
+  if (deadline && wave.trainWeeksBefore !== null && wave.trainWeeksBefore >= 0) {
+    const earliest = new Date(deadline);
+    earliest.setDate(earliest.getDate() - wave.trainWeeksBefore * 7);
+    if (earliest > windowStart) windowStart = earliest;
+  }
+
+  return {
+    location,
+    goLiveDate: wave?.goLiveDate || null,
+    windowStart,
+    deadline
+  };
+};
+
+/**
+ * Validate the location waves in the criteria
+ * Backward scheduling also needs a go-live date for every selected training location.
+ * @param {Object} criteria - Scheduling criteria
+ * @returns {Object} { errors, warnings }
+ */
+export const validateLocationWaves = (criteria = {}) => {
+  const errors = [];
+  const warnings = [];
+  const programmeStart = fromDateKey(criteria.start_date);
+
+  Object.entries(criteria.location_waves || {}).forEach(([location, wave]) => {
+    if (!wave?.go_live_date) return;
+
+    const goLive = fromDateKey(wave.go_live_date);
+    if (!goLive) {
+      errors.push(`Invalid go-live date for ${location}`);
+      return;
+    }
+
+    const weeks = wave.train_weeks_before;
+    if (weeks !== null && weeks !== undefined && weeks !== '' && !(Number(weeks) > 0)) {
+      errors.push(`Training weeks before go-live for ${location} must be greater than 0`);
+    }
+
+    if (programmeStart && goLive <= programmeStart) {
+      errors.push(`${location} goes live on ${wave.go_live_date}, on or before the training start date`);
+    } else if (programmeStart && Number(weeks) > 0) {
+      const earliest = new Date(goLive);
+      earliest.setDate(earliest.getDate() - Number(weeks) * 7);
+      if (earliest < programmeStart) {
+        const days = Math.round((goLive - programmeStart) / MS_PER_DAY);
+        warnings.push(`${location} can only train for ${days} day(s) before go-live because training starts on ${criteria.start_date}`);
+      }
+    }
+  });
+
+  // Backward scheduling works back from go-live, so every selected location needs one
+  if (criteria.scheduling_mode === 'backward') {
+    const locations = criteria.selected_training_locations || [];
+    const missing = locations.filter(location => !criteria.location_waves?.[location]?.go_live_date);
+    if (locations.length === 0 && !hasLocationWaves(criteria)) {
+      errors.push('Backward scheduling needs a go-live date for each training location');
+    }
+    missing.forEach(location => errors.push(`Backward scheduling needs a go-live date for ${location}`));
+  }
+
+  return { errors, warnings };
+};
+
+/**
+ * Check a generated schedule against each location's training window
+ * @param {Array} sessions - Session objects (start, end, location)
+ * @param {Object} criteria - Scheduling criteria
+ * @param {Array} groupKeys - Location / group keys with training demand
+ * @param {Array} unplaced - Session groups that could not be placed ({ locationName, course, sessionGroup })
+ * @returns {Array} One entry per location with a go-live date:
+ *   { location, goLiveDate, windowStart, firstStart, lastEnd, sessionCount,
+ *     sessionsBeforeWindow, sessionsAfterDeadline, unplacedSessionGroups, unplaced, fits }
+ */
+export const buildWaveReport = (sessions, criteria = {}, groupKeys = [], unplaced = []) => {
+  const report = new Map();
+  const windows = new Map();
+
+  groupKeys.forEach(groupKey => {
+    const trainingWindow = getLocationWindow(criteria, groupKey);
+    if (!trainingWindow.deadline || report.has(trainingWindow.location)) return;
+
+    windows.set(trainingWindow.location, trainingWindow);
+    report.set(trainingWindow.location, {
+      location: trainingWindow.location,
+      goLiveDate: trainingWindow.goLiveDate,
+      windowStart: toDateKey(trainingWindow.windowStart),
+      firstStart: null,
+      lastEnd: null,
+      sessionCount: 0,
+      sessionsBeforeWindow: 0,
+      sessionsAfterDeadline: 0,
+      unplacedSessionGroups: 0,
+      unplaced: [],
+      fits: true
+    });
+  });
+
+  sessions.forEach(session => {
+    const entry = report.get(resolveTrainingLocation(session.location));
+    if (!entry) return;
+
+    const { windowStart, deadline } = windows.get(entry.location);
+    const start = new Date(session.start);
+    const end = new Date(session.end);
+    entry.sessionCount++;
+    if (!entry.firstStart || start < entry.firstStart) entry.firstStart = start;
+    if (!entry.lastEnd || end > entry.lastEnd) entry.lastEnd = end;
+    if (start < windowStart) entry.sessionsBeforeWindow++;
+    if (end > deadline) entry.sessionsAfterDeadline++;
+  });
+
+  unplaced.forEach(task => {
+    const entry = report.get(resolveTrainingLocation(task.locationName));
+    if (!entry) return;
+
+    entry.unplacedSessionGroups++;
+    entry.unplaced.push(`${task.course.course_name} - Group ${task.sessionGroup.sessionNumber}`);
+  });
+
+  return Array.from(report.values()).map(entry => ({
+    ...entry,
+    fits: entry.sessionsBeforeWindow === 0 && entry.sessionsAfterDeadline === 0 && entry.unplacedSessionGroups === 0
+  }));
+};
+
+export default {
+  getLocationWave,
+  hasLocationWaves,
+  getLocationWindow,
+  validateLocationWaves,
+  buildWaveReport
+};
@@ -0,0 +1,272 @@
+/**
+ * MinimumFill - Minimum attendees per session and what happens to under-filled session groups
+ *
+ * Settings are stored on the scheduling criteria:
+ * {
+ *   min_attendees: 6,                                   // smallest session worth running (blank = no minimum)
+ *   fill_policy: 'merge',                               // 'none' | 'balance' | 'merge' | 'virtual' | 'cancel'
+ *   neighbouring_locations: { Leeds: ['York'] }         // where 'merge' may send learners (either direction)
+ * }
+ *
+ * Every policy except 'none' spreads a course's learners evenly over its sessions at a location,
+ * so 21 learners at 20 per session become groups of 11 and 10 rather than 20 and 1.
+ * When even spreading still leaves a group below the minimum, the learners left over after the
+ * full sessions (the tail) are:
+ * - merge: moved to another group key taking the same course - another functional area at the
+ *   same location first, then a neighbouring location
+ * - virtual: moved to the pooled "Virtual" location and taught online
+ * - cancel: left unscheduled and reported in the scheduling diagnostics
+ * Tails that cannot be moved stay where they are and are flagged as under-filled in Review & Adjust.
+ */
+
+import { resolveTrainingLocation } from './BlackoutCalendar.js';
+import { VIRTUAL_LOCATION, isVirtualLocation, getCourseCapacity } from './DeliveryModes.js';
+import { SCHEDULING_CONSTRAINT } from './SchedulingDiagnostics.js';
+
+export const FILL_POLICY = {
+  NONE: 'none',
+  BALANCE: 'balance',
+  MERGE: 'merge',
+  VIRTUAL: 'virtual',
+  CANCEL: 'cancel'
+};
+
+export const FILL_POLICY_LABELS = {
+  none: 'Fill sessions in order (no minimum handling)',
+  balance: 'Balance groups evenly',
+  merge: 'Balance, then merge small groups with neighbouring locations / functional areas',
+  virtual: 'Balance, then move small groups to a virtual session',
+  cancel: 'Balance, then cancel small groups'
+};
+
+export const FILL_ACTION = {
+  MERGED: 'merged',
+  VIRTUAL: 'virtual',
+  CANCELLED: 'cancelled'
+};
+
+/**
+ * Get the fill policy from the criteria
+ * @param {Object} criteria - Scheduling criteria
+ * @returns {string} Fill policy
+ */
+export const getFillPolicy = (criteria = {}) =>
+  Object.values(FILL_POLICY).includes(criteria.fill_policy) ? criteria.fill_policy : FILL_POLICY.NONE;
+
+/**
+ * Get the minimum attendees per session
+ * @param {Object} criteria - Scheduling criteria
+ * @returns {number|null} Minimum, or null when there is none
+ */
+export const getMinAttendees = (criteria = {}) => {
+  const minimum = Number(criteria.min_attendees);
+  return minimum > 0 ? minimum : null;
+};
+
+/**
+ * Check whether session groups should be balanced rather than filled in order
+ * @param {Object} criteria - Scheduling criteria
+ * @returns {boolean}
+ */
+export const shouldBalanceGroups = (criteria = {}) => getFillPolicy(criteria) !== FILL_POLICY.NONE;
+
+/**
+ * Size of the smallest group when learners are spread evenly over the fewest sessions
+ * @param {number} learners - Learners taking the course
+ * @param {number} capacity - Maximum attendees per session
+ * @returns {number} Smallest group size
+ */
+export const getSmallestGroupSize = (learners, capacity) => {
+  if (learners <= 0 || !(capacity > 0)) return 0;
+  return Math.floor(learners / Math.ceil(learners / capacity));
+};
+
+/**
+ * Check whether a session is below the minimum attendees
+ * @param {number} userCount - Learners in the session
+ * @param {Object} criteria - Scheduling criteria
+ * @returns {boolean}
+ */
+export const isUnderFilled = (userCount, criteria = {}) => {
+  const minimum = getMinAttendees(criteria);
+  return minimum !== null && userCount < minimum;
+};
+
+/**
+ * Locations a location may merge learners with
+ * Neighbours work both ways: listing York under Leeds also lets York merge into Leeds.
+ * @param {string} location - Training location
+ * @param {Object} criteria - Scheduling criteria
+ * @returns {Array} Neighbouring locations, those listed for the location first
+ */
+export const getNeighbouringLocations = (location, criteria = {}) => {
+  const neighbours = criteria.neighbouring_locations || {};
+  const listed = neighbours[location] || [];
+  const listing = Object.keys(neighbours).filter(other => (neighbours[other] || []).includes(location));
+  return [...new Set([...listed, ...listing])].filter(other => other !== location);
+};
+
+/**
+ * Group keys that can take a tail from a group key, most preferred first:
+ * the same location with other functional areas, then each neighbouring location in turn
+ * @private
+ */
+const getMergeCandidates = (groupKey, keysWithCourse, criteria) => {
+  const location = resolveTrainingLocation(groupKey);
+  const others = keysWithCourse.filter(key => key !== groupKey);
+  const sameLocation = others.filter(key => resolveTrainingLocation(key) === location);
+  if (isVirtualLocation(groupKey)) return sameLocation;
+
+  const neighbouring = getNeighbouringLocations(location, criteria).flatMap(neighbour =>
+    others.filter(key => resolveTrainingLocation(key) === neighbour)
+  );
+  return [...sameLocation, ...neighbouring];
+};
+
+/**
+ * Apply the fill policy to the demand before scheduling
+ * Tails below the minimum are merged, moved to the virtual location or cancelled; the
+ * 'none' and 'balance' policies leave the demand unchanged.
+ * @param {Object} groupedEndUsers - Users (one row per user and course) grouped by location key
+ * @param {Array} courses - Courses being scheduled
+ * @param {Object} criteria - Scheduling criteria
+ * @returns {Object} { groupedEndUsers, adjustments } where each adjustment is
+ *   { action, courseId, courseName, from, to, learners }
+ */
+export const applyFillPolicy = (groupedEndUsers, courses, criteria = {}) => {
+  const policy = getFillPolicy(criteria);
+  const minimum = getMinAttendees(criteria);
+  if (minimum === null || policy === FILL_POLICY.NONE || policy === FILL_POLICY.BALANCE) {
+    return { groupedEndUsers, adjustments: [] };
+  }
+
+  const grouped = Object.fromEntries(Object.entries(groupedEndUsers).map(([key, users]) => [key, [...users]]));
+  const adjustments = [];
+
+  courses.forEach(course => {
+    const capacity = getCourseCapacity(course, criteria);
+    // A minimum above the session capacity can never be met
+    if (!(capacity >= minimum)) return;
+
+    const learnersAt = (key) => (grouped[key] || []).filter(user => user.course_id === course.course_id);
+    const isTailTooSmall = (learners) => learners > 0 && getSmallestGroupSize(learners, capacity) < minimum;
+
+    // Each move leaves its source group key fully filled, so the loop ends
+    let moved = true;
+    while (moved) {
+      moved = false;
+
+      for (const groupKey of Object.keys(grouped)) {
+        const learners = learnersAt(groupKey);
+        if (!isTailTooSmall(learners.length)) continue;
+
+        const tail = learners.slice(learners.length - (learners.length % capacity));
+        let target = null;
+
+        if (policy === FILL_POLICY.VIRTUAL) {
+          if (isVirtualLocation(groupKey)) continue;
+          target = [VIRTUAL_LOCATION, ...groupKey.split('|').slice(1)].join('|');
+        } else if (policy === FILL_POLICY.MERGE) {
+          const keysWithCourse = Object.keys(grouped).filter(key => learnersAt(key).length > 0);
+          const candidates = getMergeCandidates(groupKey, keysWithCourse, criteria);
+          // Prefer a group key the tail fills up; otherwise pool with another small tail
+          target = candidates.find(key => !isTailTooSmall(learnersAt(key).length + tail.length))
+            || candidates.find(key => isTailTooSmall(learnersAt(key).length))
+            || null;
+          if (!target) continue;
+        }
+
+        const tailRows = new Set(tail);
+        grouped[groupKey] = grouped[groupKey].filter(user => !tailRows.has(user));
+        if (grouped[groupKey].length === 0) delete grouped[groupKey];
+        if (target) grouped[target] = [...(grouped[target] || []), ...tail];
+
+        adjustments.push({
+          action: policy === FILL_POLICY.MERGE ? FILL_ACTION.MERGED
+            : policy === FILL_POLICY.VIRTUAL ? FILL_ACTION.VIRTUAL
+              : FILL_ACTION.CANCELLED,
+          courseId: course.course_id,
+          courseName: course.course_name,
+          from: groupKey,
+          to: target,
+          learners: tail.length
+        });
+        moved = true;
+        break;
+      }
+    }
+  });
+
+  if (adjustments.length > 0) {
+    console.log(`👥 Minimum fill (${policy}): ${adjustments.length} under-filled group(s) adjusted`);
+  }
+
+  return { groupedEndUsers: grouped, adjustments };
+};
+
+/**
+ * Record cancelled tails as unscheduled demand
+ * @param {SchedulingDiagnostics} diagnostics - Collector
+ * @param {Array} adjustments - Adjustments from applyFillPolicy
+ * @param {Object} criteria - Scheduling criteria
+ */
+export const recordCancelledFillDemand = (diagnostics, adjustments = [], criteria = {}) => {
+  adjustments
+    .filter(adjustment => adjustment.action === FILL_ACTION.CANCELLED)
+    .forEach(adjustment => {
+      diagnostics.recordUnplaced(
+        { course_id: adjustment.courseId, course_name: adjustment.courseName },
+        adjustment.from,
+        { sessionNumber: 1, userCount: adjustment.learners },
+        SCHEDULING_CONSTRAINT.MIN_FILL,
+        `${adjustment.learners} learner(s) left over after full sessions, below the minimum of ${getMinAttendees(criteria)}`
+      );
+    });
+};
+
+/**
+ * Seat utilisation of each scheduled session group (multi-part courses counted once)
+ * @param {Array} sessions - Flat list of sessions
+ * @param {Object} criteria - Scheduling criteria
+ * @returns {Array} { key, courseName, location, sessionNumber, deliveryMode, userCount, maxAttendees,
+ *   utilisation, underFilled } sorted by utilisation, emptiest first
+ */
+export const buildUtilisationReport = (sessions, criteria = {}) => {
+  const groups = new Map();
+
+  sessions.forEach(session => {
+    const key = `${session.course?.course_id}|${session.location}|${session.sessionNumber}`;
+    if (groups.has(key)) return;
+
+    const maxAttendees = Number(session.maxAttendees) || 0;
+    const userCount = Number(session.userCount) || 0;
+    groups.set(key, {
+      key,
+      courseName: session.course?.course_name,
+      location: session.location,
+      sessionNumber: session.sessionNumber,
+      deliveryMode: session.deliveryMode,
+      userCount,
+      maxAttendees,
+      utilisation: maxAttendees > 0 ? Math.round((userCount / maxAttendees) * 100) : 0,
+      underFilled: isUnderFilled(userCount, criteria)
+    });
+  });
+
+  return Array.from(groups.values()).sort((a, b) => a.utilisation - b.utilisation);
+};
+
+export default {
+  FILL_POLICY,
+  FILL_POLICY_LABELS,
+  FILL_ACTION,
+  getFillPolicy,
+  getMinAttendees,
+  shouldBalanceGroups,
+  getSmallestGroupSize,
+  isUnderFilled,
+  getNeighbouringLocations,
+  applyFillPolicy,
+  recordCancelledFillDemand,
+  buildUtilisationReport
+};
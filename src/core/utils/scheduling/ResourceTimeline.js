@@ -0,0 +1,308 @@
+/**
+ * ResourceTimeline - Rows, utilisation and move checks for the resource timeline view
+ *
+ * The timeline shows a schedule's sessions with one row per resource: either per training
+ * location and classroom, or per trainer. Each day cell is shaded by how much of the training
+ * day the resource is booked, so room and trainer utilisation is visible at a glance.
+ *
+ * Sessions are the Schedule Editor's calendar sessions (start, end, location, groupName,
+ * trainer_id, trainer_name, locked, ...). All parts of one course group (same course, location,
+ * functional area and group number) move together, keeping the gaps between them, and a move is
+ * only allowed onto scheduling days that are not blacked out (criteria.blackout_dates) when the
+ * target classroom is free for every part (ClassroomOccupancyTracker) and the trainer is not
+ * already teaching at the new times. Imported busy time (BusyBlocks) counts as
+ * booked for both.
+ */
+
+import { ClassroomOccupancyTracker } from '../classroomCalculations.js';
+import { getTimeBlockDefinitions, calculateDuration } from './TimeBlockEngine.js';
+import { BlackoutCalendar, toDateKey } from './BlackoutCalendar.js';
+import { getTrainerBusyBlocks, getClassroomBusyBlocks, findBusyBlockOverlap, formatBusyBlock } from './BusyBlocks.js';
+
+export const TIMELINE_MODE = {
+  ROOMS: 'rooms',
+  TRAINERS: 'trainers'
+};
+
+export const TIMELINE_MODE_LABELS = {
+  rooms: 'Rooms',
+  trainers: 'Trainers'
+};
+
+export const UNASSIGNED_TRAINER_KEY = 'unassigned';
+
+// Training hours in a day when the criteria have no valid time blocks
+const DEFAULT_DAILY_HOURS = 8;
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * Classroom of a calendar session, as the Schedule Editor saves it
+ * @param {Object} session - Calendar session
+ * @returns {string} Classroom number
+ */
+export const getSessionClassroom = (session) =>
+  session.groupName?.match(/Classroom (\w+)/)?.[1] || String(session.classroomNumber || '1');
+
+/**
+ * Key shared by all parts of one course group
+ * @param {Object} session - Calendar session
+ * @returns {string} Course group key
+ */
+export const getCoursePartsKey = (session) =>
+  [
+    session.course?.course_id ?? session.course_id,
+    session.location,
+    session.functional_area,
+    session.sessionNumber
+  ].join('|');
+
+/**
+ * All parts of the course group a session belongs to, in date order
+ * @param {Array} sessions - Calendar sessions
+ * @param {Object} session - One part
+ * @returns {Array} Parts, including the session itself
+ */
+export const getCourseParts = (sessions, session) => {
+  const key = getCoursePartsKey(session);
+  return sessions
+    .filter(other => other === session || getCoursePartsKey(other) === key)
+    .sort((a, b) => new Date(a.start) - new Date(b.start));
+};
+
+/**
+ * Training hours available in one day, from the criteria's time blocks
+ * @param {Object} criteria - Scheduling criteria
+ * @returns {number} Hours
+ */
+export const getDailyCapacityHours = (criteria = {}) => {
+  const hours = getTimeBlockDefinitions(criteria).reduce((total, block) => {
+    try {
+      return total + calculateDuration(block.start, block.end);
+    } catch (error) {
+      return total;
+    }
+  }, 0);
+  return hours > 0 ? hours : DEFAULT_DAILY_HOURS;
+};
+
+/**
+ * Days shown in a timeline window; days that are not scheduling days are left out
+ * @param {Date} windowStart - First day of the window
+ * @param {number} windowDays - Number of calendar days in the window
+ * @param {Object} criteria - Scheduling criteria (scheduling_days)
+ * @returns {Array<Date>} Days at midnight
+ */
+export const getTimelineDays = (windowStart, windowDays, criteria = {}) => {
+  const schedulingDays = criteria.scheduling_days || [];
+  const days = [];
+  for (let offset = 0; offset < windowDays; offset++) {
+    const day = new Date(windowStart.getFullYear(), windowStart.getMonth(), windowStart.getDate() + offset);
+    if (schedulingDays.length === 0 || schedulingDays.includes(DAY_NAMES[day.getDay()])) {
+      days.push(day);
+    }
+  }
+  return days;
+};
+
+/**
+ * The row a session is shown in
+ * @param {Object} session - Calendar session
+ * @param {string} mode - TIMELINE_MODE
+ * @returns {string} Row key
+ */
+export const getTimelineRowKey = (session, mode) =>
+  mode === TIMELINE_MODE.TRAINERS
+    ? String(session.trainer_id || UNASSIGNED_TRAINER_KEY)
+    : `${session.location}|${getSessionClassroom(session)}`;
+
+/**
+ * Build the timeline rows
+ * @param {Array} sessions - Calendar sessions
+ * @param {string} mode - TIMELINE_MODE
+ * @param {Array} trainers - Active trainers ({ id, name }); trainers without sessions get a row too
+ * @returns {Array} Rows sorted by location and classroom, or by trainer name with unassigned last:
+ *   { key, label, group, location, classroom, trainerId, trainerName, sessions }
+ */
+export const buildTimelineRows = (sessions, mode, trainers = []) => {
+  const rows = new Map();
+  const ensureRow = (key, row) => {
+    if (!rows.has(key)) rows.set(key, { key, sessions: [], ...row });
+    return rows.get(key);
+  };
+
+  if (mode === TIMELINE_MODE.TRAINERS) {
+    trainers.forEach(trainer => ensureRow(String(trainer.id), {
+      label: trainer.name,
+      group: null,
+      trainerId: trainer.id,
+      trainerName: trainer.name
+    }));
+  }
+
+  sessions.forEach(session => {
+    const key = getTimelineRowKey(session, mode);
+    const row = mode === TIMELINE_MODE.TRAINERS
+      ? ensureRow(key, {
+        label: session.trainer_id ? (session.trainer_name || 'Unknown trainer') : 'Unassigned',
+        group: null,
+        trainerId: session.trainer_id || null,
+        trainerName: session.trainer_name || ''
+      })
+      : ensureRow(key, {
+        label: `Classroom ${getSessionClassroom(session)}`,
+        group: session.location,
+        location: session.location,
+        classroom: getSessionClassroom(session)
+      });
+    row.sessions.push(session);
+  });
+
+  const classroomOrder = (classroom) => parseInt(classroom, 10) || 0;
+  return [...rows.values()].sort((a, b) => {
+    if (mode === TIMELINE_MODE.TRAINERS) {
+      if (!a.trainerId !== !b.trainerId) return a.trainerId ? -1 : 1;
+      return a.label.localeCompare(b.label);
+    }
+    return a.location.localeCompare(b.location) ||
+      classroomOrder(a.classroom) - classroomOrder(b.classroom) ||
+      a.classroom.localeCompare(b.classroom);
+  });
+};
+
+/**
+ * Hours a row is booked on one day
+ * @param {Object} row - Timeline row
+ * @param {Date} day - Day
+ * @returns {number} Hours
+ */
+export const getRowDayHours = (row, day) => {
+  const dayKey = toDateKey(day);
+  return row.sessions
+    .filter(session => toDateKey(new Date(session.start)) === dayKey)
+    .reduce((total, session) => total + (new Date(session.end) - new Date(session.start)) / (1000 * 60 * 60), 0);
+};
+
+/**
+ * Utilisation of a row over the shown days
+ * @param {Object} row - Timeline row
+ * @param {Array<Date>} days - Days shown
+ * @param {number} dailyHours - Training hours per day
+ * @returns {number} Booked share of the available hours (can be above 1)
+ */
+export const getRowUtilisation = (row, days, dailyHours) => {
+  if (days.length === 0) return 0;
+  const hours = days.reduce((total, day) => total + getRowDayHours(row, day), 0);
+  return hours / (dailyHours * days.length);
+};
+
+const shiftDays = (date, days) => {
+  const shifted = new Date(date);
+  shifted.setDate(shifted.getDate() + days);
+  return shifted;
+};
+
+const overlaps = (a, b) => a.start < b.end && b.start < a.end;
+
+/**
+ * Plan moving a session - and the other parts of its course group - to another row and/or day
+ * @param {Array} sessions - All calendar sessions of the schedule
+ * @param {Object} params
+ * @param {Object} params.session - Session being dragged
+ * @param {Object} params.targetRow - Row it was dropped on
+ * @param {number} params.dayOffset - Days to move by (the parts keep their gaps)
+ * @param {string} params.mode - TIMELINE_MODE
+ * @param {Object} params.criteria - Scheduling criteria (scheduling_days, blackout_dates)
+ * @param {Array} params.busyBlocks - Imported busy time for trainers and classrooms
+ * @returns {Object} { moves: [{ session, changes }], conflicts: [message] } - apply only without conflicts
+ */
+export const planTimelineMove = (sessions, { session, targetRow, dayOffset, mode, criteria = {}, busyBlocks = [] }) => {
+  const parts = getCourseParts(sessions, session);
+  const conflicts = [];
+
+  const locked = parts.filter(part => part.locked);
+  if (locked.length > 0) {
+    conflicts.push(`${locked[0].title} is locked and cannot be moved`);
+    return { moves: [], conflicts };
+  }
+
+  if (mode === TIMELINE_MODE.ROOMS && targetRow.location !== session.location) {
+    conflicts.push(`Sessions can only move between classrooms at ${session.location}`);
+    return { moves: [], conflicts };
+  }
+
+  const moves = parts.map(part => {
+    const changes = {
+      start: shiftDays(part.start, dayOffset),
+      end: shiftDays(part.end, dayOffset)
+    };
+    if (mode === TIMELINE_MODE.ROOMS) {
+      changes.groupName = `${part.location} - Classroom ${targetRow.classroom}`;
+      changes.classroomNumber = targetRow.classroom;
+    } else {
+      changes.trainer_id = targetRow.trainerId || '';
+      changes.trainer_name = targetRow.trainerId ? targetRow.trainerName : '';
+      changes.instructor_id = changes.trainer_id;
+      changes.instructor_name = changes.trainer_name;
+    }
+    return { session: part, changes };
+  });
+
+  const schedulingDays = criteria.scheduling_days || [];
+  if (schedulingDays.length > 0) {
+    moves
+      .filter(({ changes }) => !schedulingDays.includes(DAY_NAMES[changes.start.getDay()]))
+      .forEach(({ session: part, changes }) => {
+        conflicts.push(`${part.title} would fall on ${DAY_NAMES[changes.start.getDay()]}, which is not a scheduling day`);
+      });
+  }
+
+  const blackoutCalendar = new BlackoutCalendar(criteria.blackout_dates || []);
+  moves.forEach(({ session: part, changes }) => {
+    const blackedOut = blackoutCalendar.findBlackoutBetween(changes.start, changes.end, part.location);
+    if (blackedOut) {
+      const { label } = blackoutCalendar.getBlackout(blackedOut, part.location);
+      conflicts.push(`${part.title} would fall on ${blackedOut.toLocaleDateString('en-GB')}, which is blacked out (${label || 'Blackout'})`);
+    }
+  });
+
+  const movedParts = new Set(parts);
+  const others = sessions.filter(other => !movedParts.has(other));
+
+  // Classroom: every part must fit in its classroom at the new times
+  const tracker = new ClassroomOccupancyTracker();
+  others.forEach((other, index) => {
+    tracker.occupyClassroom(other.location, new Date(other.start), new Date(other.end), getSessionClassroom(other), `timeline-${index}`);
+  });
+  moves.forEach(({ session: part, changes }) => {
+    const classroom = mode === TIMELINE_MODE.ROOMS ? targetRow.classroom : getSessionClassroom(part);
+    if (!tracker.isClassroomFreeForParts(part.location, [changes], classroom)) {
+      conflicts.push(`Classroom ${classroom} at ${part.location} is already booked on ${changes.start.toLocaleString('en-GB')}`);
+      return;
+    }
+    const busy = findBusyBlockOverlap(getClassroomBusyBlocks(busyBlocks, part.location, classroom), [changes]);
+    if (busy) {
+      conflicts.push(`Classroom ${classroom} at ${part.location} is booked elsewhere: ${formatBusyBlock(busy)}`);
+    }
+  });
+
+  // Trainer: must not be teaching another session at the new times
+  moves.forEach(({ session: part, changes }) => {
+    const trainerId = mode === TIMELINE_MODE.TRAINERS ? changes.trainer_id : part.trainer_id;
+    if (!trainerId) return;
+    const clash = others.find(other =>
+      String(other.trainer_id) === String(trainerId) &&
+      overlaps(changes, { start: new Date(other.start), end: new Date(other.end) })
+    );
+    const trainerName = mode === TIMELINE_MODE.TRAINERS ? targetRow.trainerName : part.trainer_name || 'The trainer';
+    if (clash) {
+      conflicts.push(`${trainerName} is already teaching ${clash.title} on ${new Date(clash.start).toLocaleString('en-GB')}`);
+      return;
+    }
+    const busy = findBusyBlockOverlap(getTrainerBusyBlocks(busyBlocks, trainerId), [changes]);
+    if (busy) {
+      conflicts.push(`${trainerName} is busy elsewhere: ${formatBusyBlock(busy)}`);
+    }
+  });
+
+  return { moves: conflicts.length > 0 ? [] : moves, conflicts };
+};
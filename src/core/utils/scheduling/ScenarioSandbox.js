@@ -0,0 +1,169 @@
+/**
+ * ScenarioSandbox - What-if comparison of scheduling criteria variants
+ *
+ * A scenario is a named set of overrides on the wizard's criteria, e.g.
+ * {
+ *   id: 'scenario-2',
+ *   name: 'Extra Leeds classroom',
+ *   overrides: {
+ *     max_attendees: 12,
+ *     total_weeks: 6,
+ *     extra_classrooms: { Leeds: 1 }   // added to each Leeds location group's classroom count
+ *   }
+ * }
+ *
+ * Scenarios are scheduled with the same engine as the wizard but are not saved; their
+ * results are summarised into comparable metrics (end date, sessions, classroom utilisation,
+ * trainer hours, unscheduled demand). A scenario is saved as a real schedule by promoting it.
+ */
+
+import { resolveTrainingLocation } from './BlackoutCalendar.js';
+import { initializeSchedulingEngines } from './SchedulingCore.js';
+import { flattenSessions, calculateScheduleMetrics } from './ScheduleMetrics.js';
+import { summariseDiagnostics } from './SchedulingDiagnostics.js';
+
+// Criteria a scenario can override, with the input each needs
+export const SCENARIO_FIELDS = [
+  { key: 'max_attendees', label: 'Max Attendees', type: 'number' },
+  { key: 'total_weeks', label: 'Total Weeks', type: 'number' },
+  { key: 'daily_hours', label: 'Daily Hours', type: 'number' },
+  { key: 'contingency', label: 'Contingency', type: 'number', step: '0.1' },
+  { key: 'start_date', label: 'Start Date', type: 'date' },
+  {
+    key: 'scheduling_mode',
+    label: 'Scheduling Mode',
+    type: 'select',
+    options: {
+      group_complete: 'Complete by Group',
+      course_complete: 'Complete by Course',
+      optimised: 'Optimised (Shortest Programme)',
+      backward: 'Backward from Go-Live'
+    }
+  }
+];
+
+// Compared metrics; better says which direction wins when highlighting the best scenario
+export const SCENARIO_METRICS = [
+  { key: 'endDate', label: 'End Date', better: 'lower' },
+  { key: 'spanDays', label: 'Span (days)', better: 'lower' },
+  { key: 'sessionCount', label: 'Sessions', better: null },
+  { key: 'classroomUtilisation', label: 'Classroom Utilisation %', better: 'higher' },
+  { key: 'trainerHours', label: 'Trainer Hours', better: null },
+  { key: 'unstaffedCount', label: 'Unstaffed Groups', better: 'lower' },
+  { key: 'unscheduledGroups', label: 'Unscheduled Groups', better: 'lower' },
+  { key: 'unscheduledLearners', label: 'Unscheduled Learners', better: 'lower' }
+];
+
+/**
+ * Create a scenario
+ * @param {string} name - Scenario name
+ * @param {Object} overrides - Criteria overrides (see SCENARIO_FIELDS) and extra_classrooms
+ * @returns {Object} { id, name, overrides }
+ */
+export const createScenario = (name, overrides = {}) => ({
+  id: `scenario-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`,
+  name,
+  overrides
+});
+
+/**
+ * Criteria for a scenario: the base criteria with the scenario's overrides
+ * Blank overrides keep the base value.
+ * @param {Object} baseCriteria - Wizard criteria
+ * @param {Object} scenario - Scenario
+ * @returns {Object} Scenario criteria
+ */
+export const getScenarioCriteria = (baseCriteria, scenario) => {
+  const overrides = Object.fromEntries(
+    Object.entries(scenario?.overrides || {}).filter(([, value]) => value !== null && value !== undefined && value !== '')
+  );
+  return { ...baseCriteria, ...overrides };
+};
+
+/**
+ * Add a scenario's extra classrooms to the classroom requirements
+ * @param {Map} locationClassroomReqs - Location group key -> classroom requirement
+ * @param {Object} criteria - Scenario criteria (extra_classrooms by training location)
+ * @returns {Map} Adjusted classroom requirements (the input is not changed)
+ */
+export const applyExtraClassrooms = (locationClassroomReqs, criteria = {}) => {
+  const extraClassrooms = criteria.extra_classrooms || {};
+  const adjusted = new Map();
+
+  locationClassroomReqs.forEach((classroomReq, groupKey) => {
+    const extra = Number(extraClassrooms[resolveTrainingLocation(groupKey)]) || 0;
+    adjusted.set(groupKey, extra === 0 || classroomReq.isVirtual
+      ? classroomReq
+      : { ...classroomReq, numberOfClassrooms: Math.max((classroomReq.numberOfClassrooms || 0) + extra, 1) }
+    );
+  });
+
+  return adjusted;
+};
+
+/**
+ * Summarise a scheduling run for comparison
+ * @param {Object} result - Result of runScheduling
+ * @param {Object} criteria - Criteria the scenario ran with
+ * @param {Array} locationClassroomReqs - [groupKey, classroomReq] entries the scenario ran with
+ * @returns {Object} Scenario metrics (see SCENARIO_METRICS)
+ */
+export const summariseScenarioResult = (result, criteria, locationClassroomReqs = []) => {
+  const sessions = flattenSessions(result.sessionsGrouped);
+  const { timeBlockEngine } = initializeSchedulingEngines(criteria);
+  const classroomsByLocation = new Map(
+    locationClassroomReqs.map(([groupKey, classroomReq]) => [groupKey, classroomReq.numberOfClassrooms || 1])
+  );
+  const metrics = calculateScheduleMetrics(sessions, {
+    timeBlockEngine,
+    dayNames: ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'],
+    classroomsByLocation
+  });
+  const diagnostics = summariseDiagnostics(result.diagnostics || []);
+  const availableHours = metrics.scheduledHours + metrics.idleClassroomHours;
+
+  return {
+    endDate: metrics.lastEnd,
+    spanDays: metrics.spanDays,
+    sessionCount: metrics.sessionCount,
+    sessionGroupCount: metrics.sessionGroupCount,
+    classroomCount: Array.from(classroomsByLocation.values()).reduce((sum, count) => sum + count, 0),
+    classroomUtilisation: availableHours > 0 ? Math.round((metrics.scheduledHours / availableHours) * 100) : 0,
+    trainerHours: Math.round((result.staffingSummary?.hoursByTrainer || [])
+      .reduce((sum, trainer) => sum + trainer.hours, 0) * 100) / 100,
+    unstaffedCount: metrics.unstaffedCount,
+    unscheduledGroups: diagnostics.unplaced,
+    unscheduledLearners: diagnostics.unplacedLearners
+  };
+};
+
+/**
+ * Find the scenario with the best value of each metric
+ * @param {Array} scenarios - Scenarios with metrics
+ * @returns {Object} metric key -> Set of winning scenario ids (empty when all are equal)
+ */
+export const findBestScenarios = (scenarios = []) => {
+  const best = {};
+  const withMetrics = scenarios.filter(scenario => scenario.metrics);
+
+  SCENARIO_METRICS.filter(metric => metric.better).forEach(({ key, better }) => {
+    const values = withMetrics.map(scenario => Number(scenario.metrics[key] ?? NaN));
+    const valid = values.filter(value => !Number.isNaN(value));
+    const target = better === 'lower' ? Math.min(...valid) : Math.max(...valid);
+    best[key] = new Set(valid.length > 1 && valid.some(value => value !== target)
+      ? withMetrics.filter((scenario, index) => values[index] === target).map(scenario => scenario.id)
+      : []);
+  });
+
+  return best;
+};
+
+export default {
+  SCENARIO_FIELDS,
+  SCENARIO_METRICS,
+  createScenario,
+  getScenarioCriteria,
+  applyExtraClassrooms,
+  summariseScenarioResult,
+  findBestScenarios
+};
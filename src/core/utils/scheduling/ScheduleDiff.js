@@ -0,0 +1,159 @@
+/**
+ * ScheduleDiff - Compare two saved revisions of a schedule
+ *
+ * A revision is a snapshot of a schedule's training_sessions and user_assignments rows, e.g.
+ * {
+ *   revision_number: 3,
+ *   sessions: [{ id, session_identifier, start_datetime, end_datetime, training_location,
+ *                classroom_number, instructor_id, instructor_name, ... }],
+ *   assignments: [{ end_user_id, end_user_name, session_id, session_identifier, ... }]
+ * }
+ *
+ * Sessions are matched across revisions by session_identifier, which stays the same when a
+ * session is moved or re-trainered. Each change lists the learners assigned to the session
+ * in either revision, i.e. the assignments the change affects.
+ */
+
+export const SESSION_CHANGE = {
+  ADDED: 'added',
+  REMOVED: 'removed',
+  MOVED: 'moved',
+  RETRAINERED: 'retrainered'
+};
+
+export const SESSION_CHANGE_LABELS = {
+  added: 'Added',
+  removed: 'Removed',
+  moved: 'Moved',
+  retrainered: 'Re-trainered'
+};
+
+// Fields that place a session in time and space; a change to any of them is a move
+const PLACEMENT_FIELDS = ['start_datetime', 'end_datetime', 'training_location', 'classroom_number'];
+
+/**
+ * Stable key of a session row
+ * @param {Object} session - training_sessions row
+ * @returns {string} session_identifier, or the row id for sessions saved without one
+ */
+export const getRevisionSessionKey = (session) => session.session_identifier || `id:${session.id}`;
+
+const normaliseValue = (value) => (value === undefined || value === null || value === '' ? null : String(value));
+
+const getTrainer = (session) => ({
+  id: normaliseValue(session.instructor_id),
+  name: normaliseValue(session.instructor_name)
+});
+
+const isRetrainered = (before, after) => {
+  const from = getTrainer(before);
+  const to = getTrainer(after);
+  return from.id || to.id ? from.id !== to.id : from.name !== to.name;
+};
+
+/**
+ * Learners assigned to each session of a revision
+ * Assignments are matched by session_identifier, falling back to session_id.
+ * @param {Object} revision - Revision snapshot
+ * @returns {Map} session key -> Map of end_user_id -> { end_user_id, name }
+ */
+const collectLearnersBySession = (revision) => {
+  const sessions = revision?.sessions || [];
+  const keys = new Set(sessions.map(getRevisionSessionKey));
+  const keyById = new Map(sessions.map(session => [String(session.id), getRevisionSessionKey(session)]));
+  const learners = new Map();
+
+  (revision?.assignments || []).forEach(assignment => {
+    const key = keys.has(assignment.session_identifier)
+      ? assignment.session_identifier
+      : keyById.get(String(assignment.session_id));
+    if (!key) return;
+
+    if (!learners.has(key)) learners.set(key, new Map());
+    learners.get(key).set(assignment.end_user_id, {
+      end_user_id: assignment.end_user_id,
+      name: assignment.end_user_name || null
+    });
+  });
+
+  return learners;
+};
+
+/**
+ * Diff two revisions of a schedule
+ * @param {Object} fromRevision - Earlier revision
+ * @param {Object} toRevision - Later revision
+ * @returns {Object} { changes, summary }
+ *   changes: [{ key, types, before, after, learners }] ordered by start time
+ *   summary: { added, removed, moved, retrainered, unchanged, affectedAssignments }
+ */
+export const diffScheduleRevisions = (fromRevision, toRevision) => {
+  const beforeSessions = new Map((fromRevision?.sessions || []).map(session => [getRevisionSessionKey(session), session]));
+  const afterSessions = new Map((toRevision?.sessions || []).map(session => [getRevisionSessionKey(session), session]));
+  const beforeLearners = collectLearnersBySession(fromRevision);
+  const afterLearners = collectLearnersBySession(toRevision);
+
+  const changes = [];
+  let unchanged = 0;
+
+  new Set([...beforeSessions.keys(), ...afterSessions.keys()]).forEach(key => {
+    const before = beforeSessions.get(key) || null;
+    const after = afterSessions.get(key) || null;
+    const types = [];
+
+    if (!before) {
+      types.push(SESSION_CHANGE.ADDED);
+    } else if (!after) {
+      types.push(SESSION_CHANGE.REMOVED);
+    } else {
+      if (PLACEMENT_FIELDS.some(field => normaliseValue(before[field]) !== normaliseValue(after[field]))) {
+        types.push(SESSION_CHANGE.MOVED);
+      }
+      if (isRetrainered(before, after)) {
+        types.push(SESSION_CHANGE.RETRAINERED);
+      }
+    }
+
+    if (types.length === 0) {
+      unchanged++;
+      return;
+    }
+
+    const learners = new Map(beforeLearners.get(key) || []);
+    (afterLearners.get(key) || new Map()).forEach((learner, endUserId) => {
+      learners.set(endUserId, { ...learner, name: learner.name || learners.get(endUserId)?.name || null });
+    });
+    changes.push({
+      key,
+      types,
+      before,
+      after,
+      learners: Array.from(learners.values()).map(learner => ({ ...learner, name: learner.name || `User ${learner.end_user_id}` }))
+    });
+  });
+
+  changes.sort((a, b) =>
+    new Date((a.after || a.before).start_datetime) - new Date((b.after || b.before).start_datetime)
+  );
+
+  const countType = (type) => changes.filter(change => change.types.includes(type)).length;
+
+  return {
+    changes,
+    summary: {
+      added: countType(SESSION_CHANGE.ADDED),
+      removed: countType(SESSION_CHANGE.REMOVED),
+      moved: countType(SESSION_CHANGE.MOVED),
+      retrainered: countType(SESSION_CHANGE.RETRAINERED),
+      unchanged,
+      affectedAssignments: changes.reduce((sum, change) => sum + change.learners.length, 0)
+    }
+  };
+};
+
+export default {
+  SESSION_CHANGE,
+  SESSION_CHANGE_LABELS,
+  getRevisionSessionKey,
+  diffScheduleRevisions
+};
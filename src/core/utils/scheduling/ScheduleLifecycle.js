@@ -0,0 +1,101 @@
+/**
+ * ScheduleLifecycle - Status lifecycle of a saved training schedule
+ *
+ *   draft -> under_review -> published -> in_delivery -> closed
+ *
+ * A draft is edited freely. Once published, learners have been told their sessions, so
+ * session times are locked: any change has to go through a change request that lists the
+ * assignments it affects. Closed schedules are read-only.
+ *
+ * Each transition names the ProjectContext permission it needs (hasPermission(action)).
+ * The same rules are enforced by transition_schedule_status in schedule_lifecycle_schema.sql.
+ */
+
+export const SCHEDULE_STATUS = {
+  DRAFT: 'draft',
+  UNDER_REVIEW: 'under_review',
+  PUBLISHED: 'published',
+  IN_DELIVERY: 'in_delivery',
+  CLOSED: 'closed'
+};
+
+export const SCHEDULE_STATUS_LABELS = {
+  draft: 'Draft',
+  under_review: 'Under Review',
+  published: 'Published',
+  in_delivery: 'In Delivery',
+  closed: 'Closed'
+};
+
+export const SCHEDULE_STATUS_COLORS = {
+  draft: { backgroundColor: '#e9ecef', color: '#495057' },
+  under_review: { backgroundColor: '#fff3cd', color: '#856404' },
+  published: { backgroundColor: '#d4edda', color: '#155724' },
+  in_delivery: { backgroundColor: '#cce5ff', color: '#004085' },
+  closed: { backgroundColor: '#343a40', color: '#ffffff' }
+};
+
+export const SCHEDULE_TRANSITIONS = [
+  { from: 'draft', to: 'under_review', label: 'Submit for Review', permission: 'write' },
+  { from: 'under_review', to: 'draft', label: 'Return to Draft', permission: 'write' },
+  { from: 'under_review', to: 'published', label: 'Publish', permission: 'admin' },
+  { from: 'published', to: 'under_review', label: 'Withdraw', permission: 'admin' },
+  { from: 'published', to: 'in_delivery', label: 'Start Delivery', permission: 'admin' },
+  { from: 'in_delivery', to: 'closed', label: 'Close', permission: 'admin' }
+];
+
+/**
+ * Status of a schedule row
+ * Schedules saved before the lifecycle existed have the free-text status 'active' and are drafts.
+ * @param {string} status - training_schedules.status
+ * @returns {string} One of SCHEDULE_STATUS
+ */
+export const normaliseScheduleStatus = (status) =>
+  Object.values(SCHEDULE_STATUS).includes(status) ? status : SCHEDULE_STATUS.DRAFT;
+
+/**
+ * Transitions the current user can make from a status
+ * @param {string} status - Current status
+ * @param {Function} hasPermission - ProjectContext hasPermission(action)
+ * @returns {Array} Transitions from SCHEDULE_TRANSITIONS
+ */
+export const getAvailableTransitions = (status, hasPermission) =>
+  SCHEDULE_TRANSITIONS.filter(transition =>
+    transition.from === normaliseScheduleStatus(status) && hasPermission(transition.permission)
+  );
+
+/**
+ * Whether a status change is allowed at all
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {Object|null} The transition, or null
+ */
+export const findTransition = (from, to) =>
+  SCHEDULE_TRANSITIONS.find(transition => transition.from === normaliseScheduleStatus(from) && transition.to === to) || null;
+
+/**
+ * Published and in-delivery schedules only change through change requests
+ * @param {string} status - Schedule status
+ * @returns {boolean}
+ */
+export const isScheduleLocked = (status) =>
+  [SCHEDULE_STATUS.PUBLISHED, SCHEDULE_STATUS.IN_DELIVERY].includes(normaliseScheduleStatus(status));
+
+/**
+ * Closed schedules cannot be changed at all
+ * @param {string} status - Schedule status
+ * @returns {boolean}
+ */
+export const isScheduleReadOnly = (status) => normaliseScheduleStatus(status) === SCHEDULE_STATUS.CLOSED;
+
+export default {
+  SCHEDULE_STATUS,
+  SCHEDULE_STATUS_LABELS,
+  SCHEDULE_STATUS_COLORS,
+  SCHEDULE_TRANSITIONS,
+  normaliseScheduleStatus,
+  getAvailableTransitions,
+  findTransition,
+  isScheduleLocked,
+  isScheduleReadOnly
+};
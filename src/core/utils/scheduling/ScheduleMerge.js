@@ -0,0 +1,454 @@
+/**
+ * ScheduleMerge - Merge an editor's unsaved session changes with changes saved by other people
+ *
+ * The editor keeps a baseline from when it loaded the schedule:
+ * - baseSessions: Map of session id -> training_sessions row as loaded; its updated_at is the version
+ * - baseDrafts: Map of session_identifier -> the editor's own save row for the session as loaded
+ *
+ * The drafts and the rows the editor saves come out of the same conversion, so comparing them
+ * shows what this editor changed. Comparing the loaded rows with the rows in the database now
+ * shows what everybody else changed.
+ *
+ * Field by field: a change on one side only is kept, the same change on both sides is fine and
+ * different changes to the same field are a conflict for the user to resolve. Sessions someone
+ * else deleted are not recreated, and sessions someone else added are not removed, unless the
+ * user chooses so.
+ *
+ * The User Assignments screen adds and removes learner assignments the same way: an assignment
+ * someone else changed is not removed, and a learner is not assigned to a session someone else
+ * changed, unless the user chooses so.
+ */
+
+export const MERGE_CONFLICT = {
+  BOTH_CHANGED: 'both_changed',
+  DELETED_ELSEWHERE: 'deleted_elsewhere',
+  CHANGED_ELSEWHERE: 'changed_elsewhere',
+  ASSIGNMENT_CHANGED_ELSEWHERE: 'assignment_changed_elsewhere',
+  SESSION_CHANGED_ELSEWHERE: 'session_changed_elsewhere'
+};
+
+export const MERGE_CONFLICT_LABELS = {
+  both_changed: 'You and someone else both changed this session',
+  deleted_elsewhere: 'You changed this session, but someone else deleted it',
+  changed_elsewhere: 'You deleted this session, but someone else changed it',
+  assignment_changed_elsewhere: 'You removed this assignment, but someone else changed it',
+  session_changed_elsewhere: 'You assigned a learner to this session, but someone else changed the session'
+};
+
+// Session columns people edit; the rest of a save row is derived from these
+export const MERGE_FIELD_LABELS = {
+  session_title: 'Title',
+  start_datetime: 'Start',
+  end_datetime: 'End',
+  duration_hours: 'Duration (hours)',
+  training_location: 'Location',
+  classroom_number: 'Classroom',
+  instructor_id: 'Trainer ID',
+  instructor_name: 'Trainer',
+  max_attendees: 'Capacity',
+  notes: 'Notes',
+  color_theme: 'Colour',
+  delivery_method: 'Delivery',
+  meeting_link: 'Meeting link',
+  locked: 'Locked'
+};
+
+// Assignment columns shown when an assignment conflicts
+export const ASSIGNMENT_MERGE_FIELD_LABELS = {
+  assignment_level: 'Level',
+  course_id: 'Course',
+  group_identifier: 'Group',
+  session_identifier: 'Session',
+  training_location: 'Location',
+  assignment_status: 'Status',
+  attendance_status: 'Attendance',
+  notes: 'Notes'
+};
+
+const MERGE_FIELDS = Object.keys(MERGE_FIELD_LABELS);
+const ASSIGNMENT_FIELDS = Object.keys(ASSIGNMENT_MERGE_FIELD_LABELS);
+const DATETIME_FIELDS = ['start_datetime', 'end_datetime'];
+
+const sameValue = (field, a, b) => {
+  const empty = (value) => value === null || value === undefined || value === '';
+  if (empty(a) || empty(b)) return empty(a) && empty(b);
+  if (DATETIME_FIELDS.includes(field)) return new Date(a).getTime() === new Date(b).getTime();
+  return String(a) === String(b);
+};
+
+/**
+ * Whether two updated_at values are the same version of a row
+ * @param {string} a - updated_at
+ * @param {string} b - updated_at
+ * @returns {boolean}
+ */
+export const isSameVersion = (a, b) => {
+  if (!a || !b) return !a && !b;
+  return new Date(a).getTime() === new Date(b).getTime();
+};
+
+/**
+ * Whether the editor has changed a session since it loaded
+ * @param {Object} draft - Save row for the session as loaded
+ * @param {Object} mine - Save row for the session now
+ * @returns {boolean}
+ */
+export const hasLocalSessionChanges = (draft, mine) => {
+  if (!draft) return true;
+  return MERGE_FIELDS.some(field => field in mine && !sameValue(field, draft[field], mine[field]));
+};
+
+/**
+ * Merge one session field by field
+ * @param {Object} params
+ * @param {Object} params.base - training_sessions row as loaded
+ * @param {Object} params.draft - The editor's save row as loaded (falls back to base)
+ * @param {Object} params.mine - The editor's save row now
+ * @param {Object} params.theirs - training_sessions row in the database now
+ * @returns {Object} { row, remoteFields, conflicts }
+ *   row is mine with the fields only others changed taken from theirs;
+ *   conflicts: [{ field, base, mine, theirs }] for fields both sides changed differently
+ */
+export const mergeSessionFields = ({ base, draft, mine, theirs }) => {
+  const row = { ...mine };
+  const remoteFields = [];
+  const conflicts = [];
+
+  MERGE_FIELDS.forEach(field => {
+    if (!(field in mine) || sameValue(field, base[field], theirs[field])) return;
+
+    const before = (draft || base)[field];
+    if (sameValue(field, before, mine[field])) {
+      row[field] = theirs[field];
+      remoteFields.push(field);
+    } else if (!sameValue(field, mine[field], theirs[field])) {
+      conflicts.push({ field, base: before, mine: mine[field], theirs: theirs[field] });
+    }
+  });
+
+  return { row, remoteFields, conflicts };
+};
+
+/**
+ * Merge a change set from the Schedule Editor with the sessions in the database now
+ * @param {Object} params
+ * @param {Map} params.baseSessions - id -> training_sessions row as loaded
+ * @param {Map} params.baseDrafts - session_identifier -> save row as loaded
+ * @param {Array} params.currentSessions - The schedule's training_sessions rows now
+ * @param {Object} params.changeSet - { updates, inserts, deleteIds, scheduleChanges }; inserts keep
+ *   the id of the session they were loaded as, if any, so deleted sessions can be recognised
+ * @returns {Object} - pass it to resolveSessionConflicts for the change set to save {
+ *   changeSet,          // merged change set without the conflicting sessions
+ *   expectedVersions,   // { [id]: updated_at } for applyTrainingSessionChanges
+ *   conflicts,          // [{ id, type, title, fields, mine, theirs, expectedVersion }]
+ *   mergedFromOthers,   // [{ title, fields }] others' changes kept alongside the editor's
+ *   keptFromOthers,     // titles of sessions others added, which the editor does not have
+ *   removedByOthers     // titles of sessions others deleted that the editor had not changed
+ * }
+ */
+export const mergeSessionChangeSet = ({ baseSessions, baseDrafts, currentSessions, changeSet }) => {
+  const current = new Map(currentSessions.map(session => [String(session.id), session]));
+  const expectedVersions = {};
+  const conflicts = [];
+  const mergedFromOthers = [];
+  const keptFromOthers = [];
+  const removedByOthers = [];
+  const updates = [];
+  const inserts = [];
+  const deleteIds = [];
+
+  (changeSet.updates || []).forEach(mine => {
+    const id = String(mine.id);
+    const base = baseSessions.get(id);
+    const theirs = current.get(id);
+
+    if (!base || !theirs || isSameVersion(base.updated_at, theirs.updated_at)) {
+      updates.push(mine);
+      if (theirs) expectedVersions[id] = theirs.updated_at;
+      return;
+    }
+
+    const { row, remoteFields, conflicts: fields } = mergeSessionFields({
+      base,
+      draft: baseDrafts.get(mine.session_identifier),
+      mine,
+      theirs
+    });
+
+    if (fields.length > 0) {
+      conflicts.push({
+        id,
+        type: MERGE_CONFLICT.BOTH_CHANGED,
+        title: mine.session_title,
+        fields,
+        mine: row,
+        theirs,
+        expectedVersion: theirs.updated_at
+      });
+      return;
+    }
+
+    updates.push(row);
+    expectedVersions[id] = theirs.updated_at;
+    if (remoteFields.length > 0) {
+      mergedFromOthers.push({ title: mine.session_title, fields: remoteFields });
+    }
+  });
+
+  (changeSet.inserts || []).forEach(mine => {
+    const id = mine.id ? String(mine.id) : null;
+    if (!id || !baseSessions.has(id) || current.has(id)) {
+      inserts.push(mine);
+      return;
+    }
+
+    // Loaded from the database, now gone: deleted by someone else
+    const draft = baseDrafts.get(mine.session_identifier);
+    if (!hasLocalSessionChanges(draft, mine)) {
+      removedByOthers.push(mine.session_title);
+      return;
+    }
+
+    conflicts.push({
+      id,
+      type: MERGE_CONFLICT.DELETED_ELSEWHERE,
+      title: mine.session_title,
+      fields: MERGE_FIELDS
+        .filter(field => field in mine && !sameValue(field, draft?.[field], mine[field]))
+        .map(field => ({ field, base: draft?.[field] ?? null, mine: mine[field], theirs: null })),
+      mine,
+      theirs: null,
+      expectedVersion: null
+    });
+  });
+
+  (changeSet.deleteIds || []).forEach(deleteId => {
+    const id = String(deleteId);
+    const base = baseSessions.get(id);
+    const theirs = current.get(id);
+
+    if (!base) {
+      keptFromOthers.push(theirs?.session_title || id);
+      return;
+    }
+
+    if (theirs && !isSameVersion(base.updated_at, theirs.updated_at)) {
+      conflicts.push({
+        id,
+        type: MERGE_CONFLICT.CHANGED_ELSEWHERE,
+        title: theirs.session_title,
+        fields: MERGE_FIELDS
+          .filter(field => !sameValue(field, base[field], theirs[field]))
+          .map(field => ({ field, base: base[field], mine: null, theirs: theirs[field] })),
+        mine: null,
+        theirs,
+        expectedVersion: theirs.updated_at
+      });
+      return;
+    }
+
+    deleteIds.push(deleteId);
+    if (theirs) expectedVersions[id] = theirs.updated_at;
+  });
+
+  return {
+    changeSet: { ...changeSet, updates, inserts, deleteIds },
+    expectedVersions,
+    conflicts,
+    mergedFromOthers,
+    keptFromOthers,
+    removedByOthers
+  };
+};
+
+/**
+ * Apply the user's choices for the conflicts of a merge
+ * @param {Object} merge - Result of mergeSessionChangeSet
+ * @param {Object} resolutions - { [conflict id]: 'mine' | 'theirs' }; unresolved conflicts keep theirs
+ * @returns {Object} { changeSet, expectedVersions, keptTheirs } - keptTheirs counts conflicts resolved as theirs
+ */
+export const resolveSessionConflicts = (merge, resolutions = {}) => {
+  const updates = [...merge.changeSet.updates];
+  const inserts = [...merge.changeSet.inserts];
+  const deleteIds = [...merge.changeSet.deleteIds];
+  const expectedVersions = { ...merge.expectedVersions };
+  let keptTheirs = 0;
+
+  merge.conflicts.forEach(conflict => {
+    const keepMine = resolutions[conflict.id] === 'mine';
+    if (!keepMine) keptTheirs += 1;
+
+    if (conflict.type === MERGE_CONFLICT.BOTH_CHANGED) {
+      const row = { ...conflict.mine };
+      if (!keepMine) {
+        conflict.fields.forEach(({ field, theirs }) => { row[field] = theirs; });
+      }
+      updates.push(row);
+      expectedVersions[conflict.id] = conflict.expectedVersion;
+    } else if (conflict.type === MERGE_CONFLICT.DELETED_ELSEWHERE) {
+      if (keepMine) inserts.push(conflict.mine);
+    } else if (keepMine) {
+      deleteIds.push(conflict.id);
+      expectedVersions[conflict.id] = conflict.expectedVersion;
+    }
+  });
+
+  return {
+    changeSet: {
+      ...merge.changeSet,
+      updates,
+      // Recreated sessions get new ids
+      inserts: inserts.map(({ id, ...row }) => row),
+      deleteIds
+    },
+    expectedVersions,
+    keptTheirs
+  };
+};
+
+/**
+ * Merge a change set from the User Assignments screen with the assignments and sessions in the
+ * database now
+ * @param {Object} params
+ * @param {Map} params.baseAssignments - id -> user_assignments row as loaded
+ * @param {Map} params.baseSessions - id -> session as loaded, with training_sessions column names for
+ *   the fields the user sees; its updated_at is the version
+ * @param {Array} params.currentAssignments - The assignments to delete as they are in the database now
+ * @param {Array} params.currentSessions - The sessions assigned to as they are in the database now
+ * @param {Object} params.changeSet - { inserts, deleteIds }
+ * @param {Function} params.describe - (assignment row) => title shown for the assignment
+ * @returns {Object} - pass it to resolveAssignmentConflicts for the change set to save {
+ *   changeSet,               // merged change set without the conflicting rows
+ *   expectedVersions,        // { [assignment id]: updated_at } for applyUserAssignmentChanges
+ *   expectedSessionVersions, // { [session id]: updated_at } for applyUserAssignmentChanges
+ *   conflicts,               // [{ id, type, title, fields, mine, theirs, expectedVersion }] as for sessions
+ *   mergedFromOthers,        // always empty; assignments are not merged field by field
+ *   keptFromOthers,          // always empty; assignments others added are never removed
+ *   removedByOthers          // titles of assignments others removed, or whose session they deleted
+ * }
+ */
+export const mergeAssignmentChangeSet = ({
+  baseAssignments,
+  baseSessions,
+  currentAssignments,
+  currentSessions,
+  changeSet,
+  describe = (assignment) => assignment.session_identifier || String(assignment.id ?? assignment.session_id)
+}) => {
+  const current = new Map(currentAssignments.map(assignment => [String(assignment.id), assignment]));
+  const sessions = new Map(currentSessions.map(session => [String(session.id), session]));
+  const expectedVersions = {};
+  const expectedSessionVersions = {};
+  const conflicts = [];
+  const removedByOthers = [];
+  const inserts = [];
+  const deleteIds = [];
+
+  (changeSet.deleteIds || []).forEach(deleteId => {
+    const id = String(deleteId);
+    const base = baseAssignments.get(id);
+    const theirs = current.get(id);
+
+    if (!theirs) {
+      removedByOthers.push(describe(base || { id }));
+      return;
+    }
+
+    if (base && !isSameVersion(base.updated_at, theirs.updated_at)) {
+      conflicts.push({
+        id,
+        type: MERGE_CONFLICT.ASSIGNMENT_CHANGED_ELSEWHERE,
+        title: describe(theirs),
+        fields: ASSIGNMENT_FIELDS
+          .filter(field => !sameValue(field, base[field], theirs[field]))
+          .map(field => ({ field, base: base[field], mine: null, theirs: theirs[field] })),
+        mine: null,
+        theirs,
+        expectedVersion: theirs.updated_at
+      });
+      return;
+    }
+
+    deleteIds.push(deleteId);
+    expectedVersions[id] = theirs.updated_at;
+  });
+
+  (changeSet.inserts || []).forEach((mine, index) => {
+    const sessionId = mine.session_id ? String(mine.session_id) : null;
+    const base = sessionId ? baseSessions.get(sessionId) : null;
+    if (!base) {
+      inserts.push(mine);
+      return;
+    }
+
+    const theirs = sessions.get(sessionId);
+    if (!theirs) {
+      removedByOthers.push(describe(mine));
+      return;
+    }
+
+    // Only changes to what the user saw of the session matter, e.g. not its notes
+    const fields = isSameVersion(base.updated_at, theirs.updated_at) ? [] : MERGE_FIELDS
+      .filter(field => field in base && !sameValue(field, base[field], theirs[field]))
+      .map(field => ({ field, base: base[field], mine: base[field], theirs: theirs[field] }));
+
+    if (fields.length > 0) {
+      conflicts.push({
+        id: `insert-${index}`,
+        type: MERGE_CONFLICT.SESSION_CHANGED_ELSEWHERE,
+        title: describe(mine),
+        fields,
+        mine,
+        theirs,
+        expectedVersion: theirs.updated_at
+      });
+      return;
+    }
+
+    inserts.push(mine);
+    expectedSessionVersions[sessionId] = theirs.updated_at;
+  });
+
+  return {
+    changeSet: { ...changeSet, inserts, deleteIds },
+    expectedVersions,
+    expectedSessionVersions,
+    conflicts,
+    mergedFromOthers: [],
+    keptFromOthers: [],
+    removedByOthers
+  };
+};
+
+/**
+ * Apply the user's choices for the conflicts of an assignment merge
+ * @param {Object} merge - Result of mergeAssignmentChangeSet
+ * @param {Object} resolutions - { [conflict id]: 'mine' | 'theirs' }; unresolved conflicts keep theirs
+ * @returns {Object} { changeSet, expectedVersions, expectedSessionVersions, keptTheirs }
+ */
+export const resolveAssignmentConflicts = (merge, resolutions = {}) => {
+  const inserts = [...merge.changeSet.inserts];
+  const deleteIds = [...merge.changeSet.deleteIds];
+  const expectedVersions = { ...merge.expectedVersions };
+  const expectedSessionVersions = { ...merge.expectedSessionVersions };
+  let keptTheirs = 0;
+
+  merge.conflicts.forEach(conflict => {
+    if (resolutions[conflict.id] !== 'mine') {
+      keptTheirs += 1;
+    } else if (conflict.type === MERGE_CONFLICT.ASSIGNMENT_CHANGED_ELSEWHERE) {
+      deleteIds.push(conflict.id);
+      expectedVersions[conflict.id] = conflict.expectedVersion;
+    } else {
+      inserts.push(conflict.mine);
+      expectedSessionVersions[String(conflict.mine.session_id)] = conflict.expectedVersion;
+    }
+  });
+
+  return {
+    changeSet: { ...merge.changeSet, inserts, deleteIds },
+    expectedVersions,
+    expectedSessionVersions,
+    keptTheirs
+  };
+};
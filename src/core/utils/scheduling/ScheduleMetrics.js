@@ -0,0 +1,130 @@
+/**
+ * ScheduleMetrics - Measures how compact a generated schedule is
+ *
+ * Used to compare scheduling modes, e.g. the optimiser against the greedy modes:
+ * - Span: calendar days from the first session start to the last session end
+ * - Classroom idle time: classroom hours left unused on working days between the
+ *   first and last session at each location
+ * - Sequencing breaches: session groups outside their maximum gap / same-week window
+ */
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Get a local midnight copy of a date
+ * @param {Date} date - Date
+ * @returns {Date} Midnight of the same day
+ */
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+/**
+ * Flatten sessionsGrouped (functional area -> location -> classroom -> sessions) into a list
+ * @param {Object} sessionsGrouped - Grouped sessions as produced by the scheduling modes
+ * @returns {Array} Session objects
+ */
+export const flattenSessions = (sessionsGrouped) => {
+  return Object.values(sessionsGrouped || {})
+    .flatMap(locations => Object.values(locations || {}))
+    .flatMap(classrooms => Object.values(classrooms || {}))
+    .flatMap(sessions => sessions || []);
+};
+
+/**
+ * Calculate span, idle time and coverage metrics for a schedule
+ * @param {Array} sessions - Session objects (start, end, duration, location, course, sessionNumber,
+ *   staffing_status, sequencingViolations)
+ * @param {Object} context - { timeBlockEngine, dayNames, classroomsByLocation }
+ * @returns {Object} Schedule metrics
+ */
+export const calculateScheduleMetrics = (sessions, context) => {
+  const { timeBlockEngine, dayNames, classroomsByLocation = new Map() } = context;
+
+  const metrics = {
+    sessionCount: sessions.length,
+    sessionGroupCount: 0,
+    firstStart: null,
+    lastEnd: null,
+    spanDays: 0,
+    scheduledHours: 0,
+    idleClassroomHours: 0,
+    unstaffedCount: 0,
+    sequencingViolationCount: 0
+  };
+
+  if (sessions.length === 0) return metrics;
+
+  const byLocation = new Map();
+  const sessionGroups = new Map(); // course|location|group -> staffing status
+  const breachedGroups = new Set(); // course|location|group with a sequencing violation
+
+  sessions.forEach(session => {
+    const start = new Date(session.start);
+    const end = new Date(session.end);
+    const hours = Number(session.duration) || (end - start) / (60 * 60 * 1000);
+
+    if (!metrics.firstStart || start < metrics.firstStart) metrics.firstStart = start;
+    if (!metrics.lastEnd || end > metrics.lastEnd) metrics.lastEnd = end;
+    metrics.scheduledHours += hours;
+
+    const location = byLocation.get(session.location) || { first: start, last: end, hours: 0 };
+    if (start < location.first) location.first = start;
+    if (end > location.last) location.last = end;
+    location.hours += hours;
+    byLocation.set(session.location, location);
+
+    const groupKey = `${session.course?.course_id ?? session.course_id}|${session.location}|${session.sessionNumber}`;
+    if (!sessionGroups.has(groupKey) || session.staffing_status === 'unstaffed') {
+      sessionGroups.set(groupKey, session.staffing_status);
+    }
+    if (session.sequencingViolations?.length > 0) {
+      breachedGroups.add(groupKey);
+    }
+  });
+
+  byLocation.forEach(({ first, last, hours }, location) => {
+    const classrooms = classroomsByLocation.get(location) || 1;
+    const dailyHours = timeBlockEngine.getMaxDailyHours(location);
+    let workingDays = 0;
+    for (let day = startOfDay(first); day <= last; day.setDate(day.getDate() + 1)) {
+      if (timeBlockEngine.isSchedulableDate(day, location, dayNames)) workingDays++;
+    }
+    metrics.idleClassroomHours += Math.max(0, workingDays * dailyHours * classrooms - hours);
+  });
+
+  metrics.sessionGroupCount = sessionGroups.size;
+  metrics.unstaffedCount = Array.from(sessionGroups.values()).filter(status => status === 'unstaffed').length;
+  metrics.sequencingViolationCount = breachedGroups.size;
+  metrics.spanDays = Math.round((startOfDay(metrics.lastEnd) - startOfDay(metrics.firstStart)) / MS_PER_DAY) + 1;
+  metrics.scheduledHours = Math.round(metrics.scheduledHours * 100) / 100;
+  metrics.idleClassroomHours = Math.round(metrics.idleClassroomHours * 100) / 100;
+
+  return metrics;
+};
+
+/**
+ * Compare two sets of schedule metrics (sort comparator - negative when a is better)
+ * Priority: more session groups scheduled, fewer sequencing breaches, fewer unstaffed, shorter span,
+ * less classroom idle time - a fully staffed schedule beats a shorter one with unstaffed groups.
+ * @param {Object} a - Schedule metrics
+ * @param {Object} b - Schedule metrics
+ * @returns {number} Comparison result
+ */
+export const compareScheduleMetrics = (a, b) => {
+  if (a.sessionGroupCount !== b.sessionGroupCount) return b.sessionGroupCount - a.sessionGroupCount;
+  if ((a.sequencingViolationCount || 0) !== (b.sequencingViolationCount || 0)) {
+    return (a.sequencingViolationCount || 0) - (b.sequencingViolationCount || 0);
+  }
+  if (a.unstaffedCount !== b.unstaffedCount) return a.unstaffedCount - b.unstaffedCount;
+  if (a.spanDays !== b.spanDays) return a.spanDays - b.spanDays;
+  return a.idleClassroomHours - b.idleClassroomHours;
+};
+
+export default {
+  flattenSessions,
+  calculateScheduleMetrics,
+  compareScheduleMetrics
+};
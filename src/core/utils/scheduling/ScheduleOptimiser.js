@@ -0,0 +1,565 @@
+/**
+ * ScheduleOptimiser - Search-based scheduling that minimises programme duration
+ *
+ * The greedy modes place sessions in a fixed order (group by group, or course by course),
+ * which can leave classroom-days empty in the middle of a roll-out. The optimiser treats
+ * the order as something to search over:
+ * - A task is one session group of a course at a location
+ * - A task order is decoded into a schedule by placing each task at its earliest feasible
+ *   slot, using the same TimeBlockEngine, SessionSplitter, ClassroomOccupancyTracker,
+ *   SequencingTracker and TrainerAllocator rules as the greedy modes
+ * - Local search (swapping and moving tasks) keeps the order with the fewest unstaffed groups,
+ *   then the shortest calendar span and least classroom idle time, found within the time budget
+ *
+ * As in Complete by Group mode, a group (same location and group number) never attends two
+ * sessions at once, and prerequisite courses are always placed before their dependents.
+ * No learner is booked into overlapping sessions or past their hour limits (see LearnerLoad).
+ * Each location's tasks start no earlier than its go-live wave window (see LocationWaves).
+ * Decoding with a SchedulingDiagnostics collector records why each task landed where it did.
+ */
+
+import { ClassroomOccupancyTracker } from '../classroomCalculations.js';
+import { SequencingTracker, getCourseDependency, hasLatestStartRule } from './CourseDependencies.js';
+import { createSessionGroups, createSessionObject, createEnhancedGroupName } from './SchedulingCore.js';
+import { calculateScheduleMetrics, compareScheduleMetrics } from './ScheduleMetrics.js';
+import { toDateKey } from './BlackoutCalendar.js';
+import { getLocationWindow } from './LocationWaves.js';
+import { getCourseCapacity } from './DeliveryModes.js';
+import { shouldBalanceGroups } from './MinimumFill.js';
+import { getCourseDayPlan } from './CourseDayPatterns.js';
+import { LearnerLoadTracker } from './LearnerLoad.js';
+import { SCHEDULING_CONSTRAINT, formatDiagnosticTime } from './SchedulingDiagnostics.js';
+import { TrainerSearch } from './TrainerAllocator.js';
+
+export const DEFAULT_OPTIMISER_TIME_BUDGET_SECONDS = 10;
+export const MAX_OPTIMISER_TIME_BUDGET_SECONDS = 120;
+
+// Working days searched for a slot before a task is reported as unplaceable
+const MAX_SEARCH_DAYS = 730;
+
+// Hand control back to the browser this often so the page stays responsive
+const YIELD_INTERVAL_MS = 50;
+
+// Return to the best order after this many iterations without improvement
+const RESTART_AFTER_ITERATIONS = 200;
+
+/**
+ * Small seeded random number generator (mulberry32) so runs are reproducible
+ * @param {number} seed - Seed value
+ * @returns {Function} Function returning numbers in [0, 1)
+ */
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Get a local midnight copy of a date
+ * @param {Date} date - Date
+ * @returns {Date} Midnight of the same day
+ */
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+/**
+ * Resolve the optimiser time budget from the criteria, in milliseconds
+ * @param {Object} criteria - Scheduling criteria
+ * @returns {number} Time budget in milliseconds
+ */
+export const getOptimiserTimeBudgetMs = (criteria = {}) => {
+  const seconds = Number(criteria.optimiser_time_budget_seconds) || DEFAULT_OPTIMISER_TIME_BUDGET_SECONDS;
+  return Math.min(Math.max(seconds, 1), MAX_OPTIMISER_TIME_BUDGET_SECONDS) * 1000;
+};
+
+/**
+ * ScheduleOptimiser class for searching task orders
+ */
+export class ScheduleOptimiser {
+  /**
+   * @param {Object} config - Optimiser configuration
+   * @param {Array} config.courses - Courses in priority / prerequisite order
+   * @param {Object} config.groupedEndUsers - Users grouped by location key
+   * @param {Object} config.criteria - Scheduling criteria
+   * @param {Map} config.locationClassroomReqs - Classroom requirements per location key
+   * @param {TimeBlockEngine} config.timeBlockEngine - Time block engine
+   * @param {SessionSplitter} config.sessionSplitter - Session splitter
+   * @param {Array} config.dayNames - Day names indexed by Date.getDay()
+   * @param {ClassroomOccupancyTracker} config.classroomTracker - Occupancy already booked (imported busy
+   *   time, reserved sessions); every decode starts from a copy, so those classrooms are never used
+   */
+  constructor({ courses, groupedEndUsers, criteria, locationClassroomReqs, timeBlockEngine, sessionSplitter, dayNames, classroomTracker = null }) {
+    this.courses = courses;
+    this.classroomTracker = classroomTracker;
+    this.criteria = criteria;
+    this.locationClassroomReqs = locationClassroomReqs;
+    this.timeBlockEngine = timeBlockEngine;
+    this.sessionSplitter = sessionSplitter;
+    this.dayNames = dayNames;
+    this.startDate = startOfDay(new Date(criteria.start_date));
+    this.splitCache = new Map();
+    this.courseIndex = new Map(courses.map((course, index) => [String(course.course_id), index]));
+    this.isWorkingDay = (date, location) => timeBlockEngine.isSchedulableDate(date, location, dayNames);
+    this.classroomsByLocation = new Map(
+      Object.keys(groupedEndUsers).map(location => [location, locationClassroomReqs.get(location)?.numberOfClassrooms || 1])
+    );
+    // Locations in a later go-live wave can't start before their window opens
+    this.locationWindows = new Map(
+      Object.keys(groupedEndUsers).map(location => [location, getLocationWindow(criteria, location)])
+    );
+    this.tasks = this._buildTasks(groupedEndUsers);
+
+    console.log(`🧮 ScheduleOptimiser initialized with ${this.tasks.length} session groups`);
+  }
+
+  /**
+   * Scratch classroom tracker holding the occupancy that was booked before scheduling
+   * @returns {ClassroomOccupancyTracker} Tracker to place a trial schedule on
+   */
+  createClassroomTracker() {
+    return this.classroomTracker ? this.classroomTracker.clone() : new ClassroomOccupancyTracker();
+  }
+
+  /**
+   * Build one task per session group of each course at each location
+   * @private
+   */
+  _buildTasks(groupedEndUsers) {
+    const tasks = [];
+
+    for (const locationName in groupedEndUsers) {
+      for (const course of this.courses) {
+        const duration = Number(course.duration_hrs);
+        if (!duration || duration <= 0) continue;
+
+        const courseUsers = groupedEndUsers[locationName].filter(user => user.course_id === course.course_id);
+        createSessionGroups(
+          courseUsers, getCourseCapacity(course, this.criteria), { balanced: shouldBalanceGroups(this.criteria) }
+        ).forEach(sessionGroup => {
+          tasks.push({
+            id: `${course.course_id}|${locationName}|${sessionGroup.sessionNumber}`,
+            course,
+            locationName,
+            sessionGroup,
+            duration,
+            maxClassrooms: this.classroomsByLocation.get(locationName),
+            hasLatestStart: hasLatestStartRule(getCourseDependency(course))
+          });
+        });
+      }
+    }
+
+    return tasks;
+  }
+
+  /**
+   * Starting orders that mirror the greedy modes plus a longest-first heuristic
+   * @returns {Array} [{ name, order }]
+   */
+  getInitialOrders() {
+    const courseRank = (task) => this.courseIndex.get(String(task.course.course_id));
+    const byGroup = [...this.tasks].sort((a, b) =>
+      a.locationName.localeCompare(b.locationName) ||
+      a.sessionGroup.sessionNumber - b.sessionGroup.sessionNumber ||
+      courseRank(a) - courseRank(b)
+    );
+    const byCourse = [...this.tasks].sort((a, b) =>
+      courseRank(a) - courseRank(b) ||
+      a.locationName.localeCompare(b.locationName) ||
+      a.sessionGroup.sessionNumber - b.sessionGroup.sessionNumber
+    );
+    const longestFirst = [...byCourse].sort((a, b) => b.duration - a.duration);
+
+    return [
+      { name: 'group_order', order: byGroup },
+      { name: 'course_order', order: byCourse },
+      { name: 'longest_first', order: longestFirst }
+    ];
+  }
+
+  /**
+   * Candidate session parts for a task on a given day
+   * Single-block courses may use any block long enough; longer courses follow the SessionSplitter.
+   * @private
+   */
+  _getCandidateParts(task, day) {
+    const { course, sessionGroup, locationName, duration } = task;
+    const dayPlan = getCourseDayPlan(course, this.criteria);
+    let templates;
+
+    if (duration <= this.sessionSplitter.getDailyHours(locationName, dayPlan.maxHoursPerDay) &&
+        this.timeBlockEngine.findSingleBlockFit(duration, locationName)) {
+      templates = this.timeBlockEngine.getTimeBlocks(locationName)
+        .filter(block => block.duration >= duration)
+        .map(block => {
+          const start = this.timeBlockEngine.setDateToBlockStart(day, block.id, locationName);
+          return [{
+            part: 1,
+            totalParts: 1,
+            day: 1,
+            totalDays: 1,
+            start,
+            end: new Date(start.getTime() + (duration * 60 * 60 * 1000)),
+            duration,
+            blockId: block.id,
+            blockName: block.name
+          }];
+        });
+    } else {
+      // Splitting depends only on duration, day, location and day plan - cache it across decodes
+      const cacheKey = `${duration}|${toDateKey(day)}|${locationName}|${dayPlan.maxHoursPerDay}|${dayPlan.dayPattern}`;
+      if (!this.splitCache.has(cacheKey)) {
+        this.splitCache.set(cacheKey, this.sessionSplitter.splitCourse(duration, {
+          startDate: day,
+          dayNames: this.dayNames,
+          location: locationName,
+          ...dayPlan
+        }));
+      }
+      templates = [this.splitCache.get(cacheKey)];
+    }
+
+    const slug = course.course_name.replace(/\s+/g, '-').toLowerCase();
+    return templates.map(parts => parts.map(part => ({
+      ...part,
+      start: new Date(part.start),
+      end: new Date(part.end),
+      title: part.totalParts > 1
+        ? `${course.course_name} - Group ${sessionGroup.sessionNumber} Part ${part.part}`
+        : `${course.course_name} - Group ${sessionGroup.sessionNumber}`,
+      sessionId: `${slug}-${sessionGroup.sessionNumber}-part${part.part}-${part.start.getTime()}`
+    })));
+  }
+
+  /**
+   * Find the earliest feasible parts for a task
+   * Prefers the first slot with a free trainer before the go-live deadline (or the max-gap /
+   * same-week limit), otherwise takes the first slot that only lacked one, unstaffed
+   * (matching the greedy modes).
+   * @private
+   */
+  _placeTask(task, state) {
+    const { course, locationName, sessionGroup } = task;
+    const earliest = state.sequencing.getEarliestStart(course, locationName, sessionGroup.sessionNumber);
+    const cohort = state.cohorts.get(`${locationName}|${sessionGroup.sessionNumber}`) || [];
+    const trainerSearch = new TrainerSearch(state.trainerAllocator, course, locationName, {
+      limits: [
+        this.locationWindows.get(locationName)?.deadline,
+        state.sequencing.getLatestStart(course, locationName, sessionGroup.sessionNumber)
+      ]
+    });
+
+    const windowStart = startOfDay(this.locationWindows.get(locationName)?.windowStart || this.startDate);
+    if (earliest && earliest > windowStart) {
+      state.diagnostics?.noteConstraint(
+        course, locationName, sessionGroup, SCHEDULING_CONSTRAINT.PREREQUISITE,
+        `Cannot start before ${formatDiagnosticTime(earliest)}`
+      );
+    }
+    let day = startOfDay(earliest && earliest > windowStart ? earliest : windowStart);
+    day = this.timeBlockEngine.getNextValidDate(day, this.dayNames, locationName);
+
+    for (let searched = 0; searched < MAX_SEARCH_DAYS; searched++) {
+      for (const parts of this._getCandidateParts(task, day)) {
+        if (earliest && parts[0].start < earliest) continue;
+
+        if (parts.some(part => cohort.some(busy => part.start < busy.end && part.end > busy.start))) {
+          state.diagnostics?.noteConstraint(
+            course, locationName, sessionGroup, SCHEDULING_CONSTRAINT.GROUP_BUSY,
+            `Group ${sessionGroup.sessionNumber} busy at ${formatDiagnosticTime(parts[0].start)}`
+          );
+          continue;
+        }
+        const learnerConflict = state.learnerLoad.check(sessionGroup.users, parts);
+        if (learnerConflict) {
+          state.diagnostics?.noteConstraint(
+            course, locationName, sessionGroup, SCHEDULING_CONSTRAINT.LEARNER_LOAD, learnerConflict.detail
+          );
+          continue;
+        }
+        if (state.classroomTracker.findClassroomForParts(locationName, parts, task.maxClassrooms) === null) {
+          state.diagnostics?.noteConstraint(
+            course, locationName, sessionGroup, SCHEDULING_CONSTRAINT.CLASSROOM_CAPACITY,
+            `All ${task.maxClassrooms} classroom(s) in use at ${formatDiagnosticTime(parts[0].start)}`
+          );
+          continue;
+        }
+
+        if (!trainerSearch.accepts(parts)) {
+          state.diagnostics?.noteConstraint(
+            course, locationName, sessionGroup, SCHEDULING_CONSTRAINT.TRAINER, trainerSearch.reason
+          );
+          continue;
+        }
+
+        return parts;
+      }
+
+      const nextDay = new Date(day);
+      nextDay.setDate(nextDay.getDate() + 1);
+      day = this.timeBlockEngine.getNextValidDate(nextDay, this.dayNames, locationName);
+      if (trainerSearch.isExhausted(day)) return trainerSearch.fallback;
+
+      const skippedBlackout = state.diagnostics && this.timeBlockEngine.findBlackoutBetween(nextDay, day, locationName);
+      if (skippedBlackout) {
+        state.diagnostics.noteConstraint(
+          course, locationName, sessionGroup, SCHEDULING_CONSTRAINT.BLACKOUT,
+          `Skipped ${skippedBlackout.toLocaleDateString('en-GB')}`
+        );
+      }
+    }
+
+    return trainerSearch.fallback;
+  }
+
+  /**
+   * Decode a task order into a schedule
+   * Tasks whose prerequisite course still has unplaced groups at the same location wait
+   * until it has been placed; once ready, tasks with a maximum gap / same-week window jump the queue.
+   * @param {Array} order - Tasks in placement order
+   * @param {TrainerAllocator|null} trainerAllocator - Allocator to book trainers on (use a clone, which keeps the trainer bookings of reserved sessions)
+   * @param {SchedulingDiagnostics|null} diagnostics - Collector to record placements in (leave out while searching)
+   * @returns {Object} { placements, unplaced, metrics }
+   */
+  decode(order, trainerAllocator = null, diagnostics = null) {
+    const state = {
+      classroomTracker: this.createClassroomTracker(),
+      sequencing: new SequencingTracker(this.courses, this.isWorkingDay),
+      cohorts: new Map(),
+      learnerLoad: new LearnerLoadTracker(this.criteria),
+      trainerAllocator,
+      diagnostics
+    };
+    const pending = new Map();
+    order.forEach(task => {
+      const key = `${task.course.course_id}|${task.locationName}`;
+      pending.set(key, (pending.get(key) || 0) + 1);
+    });
+
+    const remaining = [...order];
+    const placements = [];
+    const unplaced = [];
+
+    const isReady = (task) => {
+      const dependency = getCourseDependency(task.course);
+      return !dependency || !pending.get(`${dependency.prerequisiteId}|${task.locationName}`);
+    };
+
+    while (remaining.length > 0) {
+      let index = remaining.findIndex(isReady);
+      if (index === -1) index = 0; // Circular rules - validateCourseDependencies reports these
+
+      // Ready tasks with a maximum gap / same-week rule go first, tightest window first,
+      // so other tasks don't take the slots inside their window
+      let tightestStart = null;
+      remaining.forEach((task, taskIndex) => {
+        if (!task.hasLatestStart || !isReady(task)) return;
+        const latestStart = state.sequencing.getLatestStart(task.course, task.locationName, task.sessionGroup.sessionNumber);
+        if (latestStart && (!tightestStart || latestStart < tightestStart)) {
+          tightestStart = latestStart;
+          index = taskIndex;
+        }
+      });
+
+      const [task] = remaining.splice(index, 1);
+      const { course, locationName, sessionGroup } = task;
+      const pendingKey = `${course.course_id}|${locationName}`;
+      pending.set(pendingKey, pending.get(pendingKey) - 1);
+
+      const parts = this._placeTask(task, state);
+      if (!parts) {
+        diagnostics?.recordUnplaced(
+          course, locationName, sessionGroup, SCHEDULING_CONSTRAINT.SEARCH_LIMIT,
+          `No slot found within ${MAX_SEARCH_DAYS} days`
+        );
+        unplaced.push(task);
+        continue;
+      }
+
+      const classroomNumber = state.classroomTracker.reserveClassroomForParts(locationName, parts, task.maxClassrooms);
+      parts.forEach(part => {
+        part.classroomNumber = classroomNumber;
+      });
+
+      const staffing = trainerAllocator ? trainerAllocator.assignTrainer(course, parts, locationName) : null;
+
+      const planStart = parts[0].start;
+      const planEnd = parts[parts.length - 1].end;
+      const sequencingViolations = state.sequencing
+        .checkPlacement(course, locationName, sessionGroup.sessionNumber, planStart, planEnd)
+        .map(violation => violation.message);
+      state.sequencing.recordSession(course, locationName, sessionGroup.sessionNumber, planStart, planEnd);
+
+      const cohortKey = `${locationName}|${sessionGroup.sessionNumber}`;
+      state.cohorts.set(cohortKey, [...(state.cohorts.get(cohortKey) || []), ...parts]);
+      state.learnerLoad.book(sessionGroup.users, parts);
+
+      diagnostics?.recordPlaced(course, locationName, sessionGroup, parts, { staffing, sequencingViolations });
+      placements.push({ task, parts, staffing, sequencingViolations });
+    }
+
+    const sessions = placements.flatMap(({ task, parts, staffing, sequencingViolations }) => parts.map(part => ({
+      start: part.start,
+      end: part.end,
+      duration: part.duration,
+      location: task.locationName,
+      course: task.course,
+      sessionNumber: task.sessionGroup.sessionNumber,
+      staffing_status: staffing?.staffing_status,
+      sequencingViolations
+    })));
+
+    return {
+      placements,
+      unplaced,
+      metrics: calculateScheduleMetrics(sessions, {
+        timeBlockEngine: this.timeBlockEngine,
+        dayNames: this.dayNames,
+        classroomsByLocation: this.classroomsByLocation
+      })
+    };
+  }
+
+  /**
+   * Swap two tasks or move one task to another position
+   * @private
+   */
+  _mutate(order, random) {
+    const next = [...order];
+    const from = Math.floor(random() * next.length);
+    const to = Math.floor(random() * next.length);
+
+    if (random() < 0.5) {
+      [next[from], next[to]] = [next[to], next[from]];
+    } else {
+      const [task] = next.splice(from, 1);
+      next.splice(to, 0, task);
+    }
+
+    return next;
+  }
+
+  /**
+   * Search task orders within a time budget
+   * @param {Object} options - { timeBudgetMs, trainerAllocator, seed, onProgress, signal } - aborting
+   *   signal (an AbortSignal) stops the search the next time it yields
+   * @returns {Promise<Object>} { order, result, startingOrder, iterations, elapsedMs }
+   */
+  async optimise({ timeBudgetMs, trainerAllocator = null, seed = 1, onProgress = null, signal = null } = {}) {
+    const startedAt = Date.now();
+    const random = createRandom(seed);
+    const decodeOrder = (order) => this.decode(order, trainerAllocator ? trainerAllocator.clone() : null);
+
+    let best = null;
+    for (const { name, order } of this.getInitialOrders()) {
+      const result = decodeOrder(order);
+      console.log(`🧮 Starting order ${name}: ${result.metrics.spanDays} days, ${result.metrics.idleClassroomHours} idle classroom hours`);
+      if (!best || compareScheduleMetrics(result.metrics, best.result.metrics) < 0) {
+        best = { order, result, startingOrder: name };
+      }
+    }
+
+    let current = best;
+    let iterations = 0;
+    let sinceImprovement = 0;
+    let lastYield = Date.now();
+
+    while (this.tasks.length > 1 && Date.now() - startedAt < timeBudgetMs) {
+      const order = this._mutate(current.order, random);
+      const result = decodeOrder(order);
+      iterations++;
+      sinceImprovement++;
+
+      // Accept equal moves too so the search can cross plateaus
+      if (compareScheduleMetrics(result.metrics, current.result.metrics) <= 0) {
+        current = { ...current, order, result };
+      }
+      if (compareScheduleMetrics(result.metrics, best.result.metrics) < 0) {
+        best = { ...best, order, result };
+        sinceImprovement = 0;
+      }
+      if (sinceImprovement >= RESTART_AFTER_ITERATIONS) {
+        current = best;
+        sinceImprovement = 0;
+      }
+
+      if (Date.now() - lastYield >= YIELD_INTERVAL_MS) {
+        await new Promise(resolve => setTimeout(resolve, 0));
+        signal?.throwIfAborted();
+        lastYield = Date.now();
+        if (onProgress) {
+          onProgress({ iterations, elapsedMs: lastYield - startedAt, timeBudgetMs, best: best.result.metrics });
+        }
+      }
+    }
+
+    const elapsedMs = Date.now() - startedAt;
+    console.log(`🧮 Optimiser finished after ${iterations} iterations in ${elapsedMs}ms: ${best.result.metrics.spanDays} days`);
+
+    return { ...best, iterations, elapsedMs };
+  }
+
+  /**
+   * Write a decoded schedule into sessionsGrouped, reserving classrooms and trainers for real
+   * Placements are replayed in decode order, so classroom numbers and trainers match the search.
+   * @param {Array} placements - Placements from decode()
+   * @param {Object} target - { sessionsGrouped, functionalArea, classroomTracker, trainerAllocator }
+   */
+  commit(placements, { sessionsGrouped, functionalArea, classroomTracker, trainerAllocator = null }) {
+    for (const { task, parts, sequencingViolations } of placements) {
+      const { course, locationName, sessionGroup, maxClassrooms } = task;
+      const staffing = trainerAllocator ? trainerAllocator.assignTrainer(course, parts, locationName) : null;
+
+      // Every part of a session keeps one classroom
+      const assignedClassroom = classroomTracker.reserveClassroomForParts(locationName, parts, maxClassrooms);
+      if (assignedClassroom === null) {
+        console.error(`❌ Failed to reserve classroom for ${parts[0].sessionId} despite optimiser check`);
+        continue;
+      }
+
+      for (const sessionPart of parts) {
+        const sessionObj = createSessionObject(sessionPart, course, {
+          groupName: createEnhancedGroupName(locationName, {
+            userRange: sessionGroup.userRange,
+            classroomNumber: assignedClassroom,
+            totalGroups: 1
+          }),
+          functionalArea,
+          location: locationName,
+          classroomNumber: assignedClassroom,
+          groupType: ['training_location'],
+          maxAttendees: getCourseCapacity(course, this.criteria),
+          userCount: sessionGroup.userCount,
+          userRange: sessionGroup.userRange,
+          sessionNumber: sessionGroup.sessionNumber,
+          staffing,
+          sequencingViolations
+        });
+
+        if (!sessionsGrouped[functionalArea]) {
+          sessionsGrouped[functionalArea] = {};
+        }
+        if (!sessionsGrouped[functionalArea][locationName]) {
+          sessionsGrouped[functionalArea][locationName] = {};
+        }
+
+        const classroomKey = `Classroom ${assignedClassroom}`;
+        if (!sessionsGrouped[functionalArea][locationName][classroomKey]) {
+          sessionsGrouped[functionalArea][locationName][classroomKey] = [];
+        }
+
+        sessionsGrouped[functionalArea][locationName][classroomKey].push(sessionObj);
+      }
+    }
+  }
+}
+
+export default ScheduleOptimiser;
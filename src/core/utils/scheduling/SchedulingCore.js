@@ -7,6 +7,16 @@
 
 import { TimeBlockEngine } from './TimeBlockEngine.js';
 import { SessionSplitter } from './SessionSplitter.js';
+import { BlackoutCalendar } from './BlackoutCalendar.js';
+import { findSequencingViolations } from './CourseDependencies.js';
+import { validateLocationWaves } from './LocationWaves.js';
+import { getDeliveryMode, getSessionDeliveryMode } from './DeliveryModes.js';
+import { findLearnerConflicts } from './LearnerLoad.js';
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// How long a cancellable run works before yielding to the event loop
+const CANCEL_CHECK_INTERVAL_MS = 50;
 
 /**
  * Create a standardized session object
@@ -26,6 +36,7 @@ export const createSessionObject = (sessionPart, course, options = {}) => {
     userCount = 0,
     userRange = '1-1'
   } = options;
+  const deliveryMode = getSessionDeliveryMode(course, location);
   
   return {
     // Session identification
@@ -42,7 +53,8 @@ export const createSessionObject = (sessionPart, course, options = {}) => {
       course_id: course.course_id,
       course_name: course.course_name,
       duration_hrs: course.duration_hrs,
-      priority: course.priority || 999
+      priority: course.priority || 999,
+      delivery_mode: getDeliveryMode(course)
     },
     
     // Session metadata
@@ -63,6 +75,10 @@ export const createSessionObject = (sessionPart, course, options = {}) => {
     location: location,
     classroomNumber: classroomNumber,
     
+    // Delivery (classroom, virtual or hybrid) and the meeting link for remote learners
+    deliveryMode,
+    meetingLink: deliveryMode === 'classroom' ? null : (course.meeting_link || null),
+    
     // Capacity
     maxAttendees: maxAttendees,
     userCount: userCount,
@@ -70,7 +86,13 @@ export const createSessionObject = (sessionPart, course, options = {}) => {
     
     // Time block information
     blockId: sessionPart.blockId,
-    blockName: sessionPart.blockName
+    blockName: sessionPart.blockName,
+    
+    // Trainer assignment (trainer_id, trainer_name, staffing_status, unstaffed_reason)
+    ...(options.staffing || {}),
+    
+    // Course sequencing rules this session could not satisfy
+    sequencingViolations: options.sequencingViolations || []
   };
 };
 
@@ -97,18 +119,29 @@ export const validateSchedulingCriteria = (criteria) => {
     }
   });
   
-  // Time block validation based on preference
-  const preference = criteria.scheduling_preference || 'both';
-  
-  if (preference === 'both' || preference === 'am_only') {
-    if (!criteria.start_time_am || !criteria.end_time_am) {
-      errors.push('Block 1 times required for current scheduling preference');
+  // Time block validation: named time blocks, or the legacy AM / PM fields based on preference
+  if (Array.isArray(criteria.time_blocks) && criteria.time_blocks.length > 0) {
+    const blockLists = [['', criteria.time_blocks], ...Object.entries(criteria.location_time_blocks || {}).map(([location, blocks]) => [` at ${location}`, blocks || []])];
+    blockLists.forEach(([suffix, blocks]) => {
+      blocks.forEach((block, index) => {
+        if (!block.start || !block.end) {
+          errors.push(`${block.name || `Block ${index + 1}`}${suffix} needs a start and end time`);
+        }
+      });
+    });
+  } else {
+    const preference = criteria.scheduling_preference || 'both';
+    
+    if (preference === 'both' || preference === 'am_only') {
+      if (!criteria.start_time_am || !criteria.end_time_am) {
+        errors.push('Block 1 times required for current scheduling preference');
+      }
     }
-  }
-  
-  if (preference === 'both' || preference === 'pm_only') {
-    if (!criteria.start_time_pm || !criteria.end_time_pm) {
-      errors.push('Block 2 times required for current scheduling preference');
+    
+    if (preference === 'both' || preference === 'pm_only') {
+      if (!criteria.start_time_pm || !criteria.end_time_pm) {
+        errors.push('Block 2 times required for current scheduling preference');
+      }
     }
   }
   
@@ -130,6 +163,24 @@ export const validateSchedulingCriteria = (criteria) => {
     }
   }
   
+  // Blackout date validation
+  if (criteria.blackout_dates !== undefined && !Array.isArray(criteria.blackout_dates)) {
+    errors.push('Blackout dates must be a list of blackout entries');
+  } else if (Array.isArray(criteria.blackout_dates)) {
+    criteria.blackout_dates.forEach(entry => {
+      if (!entry.start_date) {
+        warnings.push(`Blackout "${entry.label || 'Unnamed'}" has no start date and will be ignored`);
+      } else if (entry.end_date && entry.end_date < entry.start_date) {
+        errors.push(`Blackout "${entry.label || entry.start_date}" ends before it starts`);
+      }
+    });
+  }
+  
+  // Go-live wave validation
+  const waveValidation = validateLocationWaves(criteria);
+  errors.push(...waveValidation.errors);
+  warnings.push(...waveValidation.warnings);
+  
   return {
     isValid: errors.length === 0,
     errors,
@@ -186,15 +237,20 @@ export const calculateSessionsNeeded = (users, maxAttendees) => {
  * Create session groups for a course
  * @param {Array} users - Users requiring the course
  * @param {number} maxAttendees - Maximum attendees per session
+ * @param {Object} options - { balanced } spread users evenly (21 users at 20 per session
+ *   gives groups of 11 and 10 rather than 20 and 1)
  * @returns {Array} Array of session groups
  */
-export const createSessionGroups = (users, maxAttendees) => {
+export const createSessionGroups = (users, maxAttendees, { balanced = false } = {}) => {
   const groups = [];
   const sessionsNeeded = calculateSessionsNeeded(users, maxAttendees);
+  const baseSize = balanced ? Math.floor(users.length / sessionsNeeded) : maxAttendees;
+  const largerGroups = balanced ? users.length % sessionsNeeded : 0;
   
+  let startIndex = 0;
   for (let sessionNum = 1; sessionNum <= sessionsNeeded; sessionNum++) {
-    const startIndex = (sessionNum - 1) * maxAttendees;
-    const endIndex = Math.min(sessionNum * maxAttendees, users.length);
+    const groupSize = baseSize + (sessionNum <= largerGroups ? 1 : 0);
+    const endIndex = Math.min(startIndex + groupSize, users.length);
     const sessionUsers = users.slice(startIndex, endIndex);
     
     groups.push({
@@ -203,6 +259,7 @@ export const createSessionGroups = (users, maxAttendees) => {
       userCount: sessionUsers.length,
       userRange: `${startIndex + 1}-${endIndex}`
     });
+    startIndex = endIndex;
   }
   
   return groups;
@@ -235,6 +292,24 @@ export const initializeSchedulingEngines = (criteria) => {
   }
 };
 
+/**
+ * Create the check a scheduling mode runs between courses to stop a cancelled run
+ * Runs on the main thread yield to the event loop now and then, so a cancel click can be handled.
+ * @param {AbortSignal|null} signal - Signal of the caller's AbortController, or null when the run cannot be cancelled
+ * @returns {Function} async () => void - throws the signal's reason once it has been aborted
+ */
+export const createCancellationCheck = (signal) => {
+  let lastYield = Date.now();
+  return async () => {
+    if (!signal) return;
+    if (Date.now() - lastYield >= CANCEL_CHECK_INTERVAL_MS) {
+      await new Promise(resolve => setTimeout(resolve, 0));
+      lastYield = Date.now();
+    }
+    signal.throwIfAborted();
+  };
+};
+
 /**
  * Log course priority order for debugging
  * @param {Array} courses - Sorted courses array
@@ -293,10 +368,19 @@ export const formatSessionTitle = (courseName, sessionNumber, sessionPart, group
 
 /**
  * Validate session schedule for conflicts
+ * Pass course dependency rules to also check prerequisite / gap / same-week sequencing,
+ * e.g. after sessions have been moved by hand in the Schedule Editor.
  * @param {Array} sessions - Array of session objects
+ * @param {Object} options - Optional { courses, schedulingDays, blackoutDates } for sequencing checks
  * @returns {Object} Validation result with conflicts
  */
-export const validateSessionSchedule = (sessions) => {
+export const validateSessionSchedule = (sessions, options = {}) => {
+  const {
+    courses = [],
+    schedulingDays = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'],
+    blackoutDates = []
+  } = options;
+  
   const conflicts = [];
   const warnings = [];
   
@@ -338,6 +422,24 @@ export const validateSessionSchedule = (sessions) => {
     }
   });
   
+  // Check course prerequisite and sequencing rules
+  if (courses.length > 0) {
+    const blackoutCalendar = new BlackoutCalendar(blackoutDates);
+    const isWorkingDay = (date, location) =>
+      schedulingDays.includes(DAY_NAMES[date.getDay()]) && !blackoutCalendar.isBlackedOut(date, location);
+    
+    findSequencingViolations(sessions, courses, isWorkingDay).forEach(violation => {
+      conflicts.push({
+        type: `SEQUENCING_${violation.type}`,
+        course: violation.course,
+        prerequisite: violation.prerequisite,
+        location: violation.location,
+        sessionNumber: violation.sessionNumber,
+        message: violation.message
+      });
+    });
+  }
+  
   // Check for very short sessions
   sessions.forEach(session => {
     if (session.duration < 0.5) {
@@ -358,6 +460,29 @@ export const validateSessionSchedule = (sessions) => {
   };
 };
 
+/**
+ * Validate learner bookings in a session schedule
+ * Finds learners assigned to overlapping sessions, or to more training in a day / week
+ * than the criteria allow, e.g. after assignments have been made by hand.
+ * @param {Array} sessions - Array of session objects with their database id (or event_id)
+ * @param {Object} options - { assignments, criteria } where assignments are user_assignments rows
+ * @returns {Object} Validation result with conflicts
+ */
+export const validateLearnerSchedule = (sessions, options = {}) => {
+  const { assignments = [], criteria = {} } = options;
+
+  const conflicts = findLearnerConflicts(sessions, assignments, criteria).map(conflict => ({
+    ...conflict,
+    type: `LEARNER_${conflict.type.toUpperCase()}`
+  }));
+
+  return {
+    isValid: conflicts.length === 0,
+    conflicts,
+    learnersChecked: new Set(assignments.map(assignment => String(assignment.end_user_id))).size
+  };
+};
+
 export default {
   createSessionObject,
   validateSchedulingCriteria,
@@ -366,8 +491,10 @@ export default {
   calculateSessionsNeeded,
   createSessionGroups,
   initializeSchedulingEngines,
+  createCancellationCheck,
   logCoursePriorityOrder,
   createEnhancedGroupName,
   formatSessionTitle,
-  validateSessionSchedule
+  validateSessionSchedule,
+  validateLearnerSchedule
 };
\ No newline at end of file
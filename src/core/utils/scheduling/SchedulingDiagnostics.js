@@ -0,0 +1,253 @@
+/**
+ * SchedulingDiagnostics - Structured log of why each session group was placed where it was
+ *
+ * Every scheduling mode records into one collector per run:
+ * - placed session groups with their slot, trainer and the constraints that held them back
+ * - unplaced session groups with the reason they were left unscheduled
+ *
+ * One entry per course, location and group:
+ * {
+ *   status: 'placed' | 'unplaced',
+ *   location, courseId, courseName, sessionNumber, learners,
+ *   start, end, parts, classrooms: [1, 2], trainer, staffingStatus,
+ *   constraints: [{ constraint, label, count, detail }],   // binding constraints, most frequent first
+ *   reason, detail                                           // unplaced only
+ * }
+ *
+ * The log is plain data so it can cross the scheduling worker boundary.
+ */
+
+import { getLocationWindow } from './LocationWaves.js';
+import { STAFFING_STATUS } from './TrainerAllocator.js';
+
+export const SCHEDULING_CONSTRAINT = {
+  CLASSROOM_CAPACITY: 'classroom_capacity',
+  PREREQUISITE: 'prerequisite',
+  GROUP_BUSY: 'group_busy',
+  BLACKOUT: 'blackout',
+  TRAINER: 'trainer',
+  SEQUENCING_RULE: 'sequencing_rule',
+  GO_LIVE_DEADLINE: 'go_live_deadline',
+  SEARCH_LIMIT: 'search_limit',
+  UNKNOWN_COURSE: 'unknown_course',
+  MIN_FILL: 'min_fill',
+  LEARNER_LOAD: 'learner_load'
+};
+
+export const SCHEDULING_CONSTRAINT_LABELS = {
+  classroom_capacity: 'All classrooms occupied',
+  prerequisite: 'Waiting for prerequisite / minimum gap',
+  group_busy: 'Group already in another session',
+  blackout: 'Blackout date',
+  trainer: 'No qualified trainer available',
+  sequencing_rule: 'Maximum gap / same-week rule broken',
+  go_live_deadline: 'Go-live deadline',
+  search_limit: 'No slot found within the search limit',
+  unknown_course: 'Course not in the course list',
+  min_fill: 'Cancelled - below minimum attendees',
+  learner_load: 'Learner already booked / at hour limit'
+};
+
+export const DIAGNOSTIC_STATUS = {
+  PLACED: 'placed',
+  UNPLACED: 'unplaced'
+};
+
+/**
+ * Format a date and time for a diagnostic detail, e.g. "05/03/2025, 13:00"
+ * @param {Date} date - Date
+ * @returns {string} Formatted date and time
+ */
+export const formatDiagnosticTime = (date) => new Date(date).toLocaleString('en-GB', {
+  day: '2-digit',
+  month: '2-digit',
+  year: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+/**
+ * SchedulingDiagnostics class - collects entries during one scheduling run
+ */
+export class SchedulingDiagnostics {
+  /**
+   * @param {Object} criteria - Scheduling criteria (used for go-live deadlines)
+   */
+  constructor(criteria = {}) {
+    this.criteria = criteria;
+    this.entries = new Map();
+  }
+
+  /**
+   * Get or create the entry for a session group
+   * @private
+   */
+  _getEntry(course, locationName, sessionGroup) {
+    const key = `${course.course_id}|${locationName}|${sessionGroup.sessionNumber}`;
+    if (!this.entries.has(key)) {
+      this.entries.set(key, {
+        status: null,
+        location: locationName,
+        courseId: course.course_id,
+        courseName: course.course_name,
+        sessionNumber: sessionGroup.sessionNumber,
+        learners: sessionGroup.userCount || 0,
+        start: null,
+        end: null,
+        parts: 0,
+        classrooms: [],
+        trainer: null,
+        staffingStatus: null,
+        constraints: new Map(),
+        reason: null,
+        detail: null
+      });
+    }
+    return this.entries.get(key);
+  }
+
+  /**
+   * Note a constraint that held a session group back
+   * Repeated notes of the same constraint are counted; the first detail is kept.
+   * @param {Object} course - Course object
+   * @param {string} locationName - Location / group key
+   * @param {Object} sessionGroup - { sessionNumber, userCount }
+   * @param {string} constraint - SCHEDULING_CONSTRAINT value
+   * @param {string|null} detail - What the constraint was, e.g. the blocked date
+   */
+  noteConstraint(course, locationName, sessionGroup, constraint, detail = null) {
+    const entry = this._getEntry(course, locationName, sessionGroup);
+    const existing = entry.constraints.get(constraint);
+    if (existing) {
+      existing.count++;
+    } else {
+      entry.constraints.set(constraint, { constraint, label: SCHEDULING_CONSTRAINT_LABELS[constraint], count: 1, detail });
+    }
+  }
+
+  /**
+   * Record where a session group was placed
+   * Unstaffed sessions, sequencing breaches and sessions after go-live are noted automatically.
+   * @param {Object} course - Course object
+   * @param {string} locationName - Location / group key
+   * @param {Object} sessionGroup - { sessionNumber, userCount }
+   * @param {Array} parts - Session parts ({ start, end, classroomNumber })
+   * @param {Object} options - { staffing, sequencingViolations }
+   */
+  recordPlaced(course, locationName, sessionGroup, parts, { staffing = null, sequencingViolations = [] } = {}) {
+    const entry = this._getEntry(course, locationName, sessionGroup);
+    entry.status = DIAGNOSTIC_STATUS.PLACED;
+    entry.start = new Date(parts[0].start);
+    entry.end = new Date(parts[parts.length - 1].end);
+    entry.parts = parts.length;
+    entry.classrooms = [...new Set(parts.map(part => part.classroomNumber).filter(Boolean))];
+    entry.trainer = staffing?.trainer_name || null;
+    entry.staffingStatus = staffing?.staffing_status || null;
+
+    if (staffing?.staffing_status === STAFFING_STATUS.UNSTAFFED) {
+      this.noteConstraint(course, locationName, sessionGroup, SCHEDULING_CONSTRAINT.TRAINER, staffing.unstaffed_reason || null);
+    }
+    sequencingViolations.forEach(message => {
+      this.noteConstraint(course, locationName, sessionGroup, SCHEDULING_CONSTRAINT.SEQUENCING_RULE, message);
+    });
+
+    const { deadline } = getLocationWindow(this.criteria, locationName);
+    if (deadline && entry.end > deadline) {
+      this.noteConstraint(
+        course, locationName, sessionGroup, SCHEDULING_CONSTRAINT.GO_LIVE_DEADLINE,
+        `Ends after go-live on ${deadline.toLocaleDateString('en-GB')}`
+      );
+    }
+  }
+
+  /**
+   * Record a session group that could not be scheduled
+   * @param {Object} course - Course object
+   * @param {string} locationName - Location / group key
+   * @param {Object} sessionGroup - { sessionNumber, userCount }
+   * @param {string} reason - SCHEDULING_CONSTRAINT value that left it unscheduled
+   * @param {string|null} detail - Explanation shown with the reason
+   */
+  recordUnplaced(course, locationName, sessionGroup, reason, detail = null) {
+    const entry = this._getEntry(course, locationName, sessionGroup);
+    entry.status = DIAGNOSTIC_STATUS.UNPLACED;
+    entry.reason = reason;
+    entry.detail = detail;
+  }
+
+  /**
+   * Get the diagnostic log
+   * Entries that were only noted (never placed or reported unplaced) are left out.
+   * @returns {Array} Entries sorted by location, course and group
+   */
+  getLog() {
+    return Array.from(this.entries.values())
+      .filter(entry => entry.status)
+      .map(entry => ({
+        ...entry,
+        constraints: Array.from(entry.constraints.values()).sort((a, b) => b.count - a.count)
+      }))
+      .sort((a, b) =>
+        a.location.localeCompare(b.location) ||
+        String(a.courseName).localeCompare(String(b.courseName)) ||
+        a.sessionNumber - b.sessionNumber
+      );
+  }
+}
+
+/**
+ * Record learners whose course is missing from the course list as unscheduled demand
+ * @param {SchedulingDiagnostics} diagnostics - Collector
+ * @param {Object} groupedEndUsers - Users (one row per user and course) grouped by location key
+ * @param {Array} courses - Courses being scheduled
+ */
+export const recordUnknownCourseDemand = (diagnostics, groupedEndUsers, courses) => {
+  const courseIds = new Set(courses.map(course => String(course.course_id)));
+
+  Object.entries(groupedEndUsers).forEach(([locationName, users]) => {
+    const unknown = new Map();
+    users.forEach(user => {
+      if (!user.course_id || courseIds.has(String(user.course_id))) return;
+      unknown.set(user.course_id, (unknown.get(user.course_id) || 0) + 1);
+    });
+
+    unknown.forEach((learners, courseId) => {
+      diagnostics.recordUnplaced(
+        { course_id: courseId, course_name: courseId },
+        locationName,
+        { sessionNumber: 1, userCount: learners },
+        SCHEDULING_CONSTRAINT.UNKNOWN_COURSE,
+        `${learners} learner(s) need course ${courseId}, which is not in the course list`
+      );
+    });
+  });
+};
+
+/**
+ * Summarise a diagnostic log
+ * @param {Array} log - Entries from SchedulingDiagnostics.getLog()
+ * @returns {Object} { sessionGroups, placed, unplaced, unplacedLearners, constrained, byConstraint }
+ *   byConstraint maps each constraint to the number of session groups it affected
+ */
+export const summariseDiagnostics = (log = []) => {
+  const byConstraint = {};
+  log.forEach(entry => {
+    const constraints = new Set(entry.constraints.map(item => item.constraint));
+    if (entry.reason) constraints.add(entry.reason);
+    constraints.forEach(constraint => {
+      byConstraint[constraint] = (byConstraint[constraint] || 0) + 1;
+    });
+  });
+
+  const unplaced = log.filter(entry => entry.status === DIAGNOSTIC_STATUS.UNPLACED);
+  return {
+    sessionGroups: log.length,
+    placed: log.length - unplaced.length,
+    unplaced: unplaced.length,
+    unplacedLearners: unplaced.reduce((sum, entry) => sum + entry.learners, 0),
+    constrained: log.filter(entry => entry.constraints.length > 0 || entry.reason).length,
+    byConstraint
+  };
+};
+
+export default SchedulingDiagnostics;
@@ -1,11 +1,16 @@
 /**
  * SessionSplitter - Intelligent session duration splitting
  * 
- * Handles splitting any course duration (1-24 hours) across available time blocks
- * and multiple days as needed. Replaces hardcoded 4/8-hour logic.
+ * Handles splitting any course duration across available time blocks and as many days
+ * as needed. Replaces hardcoded 4/8-hour logic.
+ * Multi-day courses are placed on consecutive scheduling days that never straddle a blackout,
+ * or on the same weekday each week / fortnight for courses with a repeating day pattern.
+ * A daily hour cap (see CourseDayPatterns) limits how much of each day a course uses.
+ * Uses the time blocks of the session's location, so sites with different days split differently.
  */
 
 import { TimeBlockEngine } from './TimeBlockEngine.js';
+import { DAY_PATTERN, getDayPatternInterval } from './CourseDayPatterns.js';
 
 /**
  * SessionSplitter class for intelligent course duration splitting
@@ -37,80 +42,102 @@ export class SessionSplitter {
       courseName = 'Course',
       sessionNumber = 1,
       startDate = new Date(),
-      dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday']
+      dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'],
+      location = null,
+      maxHoursPerDay = null,
+      dayPattern = DAY_PATTERN.CONSECUTIVE
     } = options;
     
     if (duration <= 0) {
       throw new Error(`Invalid course duration: ${duration} hours`);
     }
     
-    if (duration > 24) {
-      console.warn(`⚠️ Course duration ${duration} hours exceeds maximum 24 hours, truncating`);
-      duration = 24;
-    }
-    
     console.log(`✂️ Splitting ${duration}-hour course into session parts`);
     
     // Determine splitting strategy
-    const strategy = this._determineSplittingStrategy(duration);
-    console.log(`📋 Using splitting strategy: ${strategy.type}`);
+    const strategy = this._determineSplittingStrategy(duration, location, maxHoursPerDay);
+    console.log(`📋 Using splitting strategy: ${strategy.type}${strategy.totalDays > 1 ? ` (${strategy.totalDays} days, ${dayPattern})` : ''}`);
     
     // Generate session parts based on strategy
     return this._generateSessionParts(duration, strategy, {
       courseName,
       sessionNumber,
       startDate,
-      dayNames
+      dayNames,
+      location,
+      dayPattern
     });
   }
   
+  /**
+   * Get the hours of a course that can be taught per day at a location
+   * @param {string|null} location - Training location or group key
+   * @param {number|null} maxHoursPerDay - Course daily hour cap (null = every time block)
+   * @returns {number} Hours per course day
+   */
+  getDailyHours(location = null, maxHoursPerDay = null) {
+    const maxDailyHours = this.timeBlockEngine.getMaxDailyHours(location);
+    return maxHoursPerDay > 0 ? Math.min(maxHoursPerDay, maxDailyHours) : maxDailyHours;
+  }
+  
   /**
    * Determine the best splitting strategy for a given duration
    * @param {number} duration - Course duration in hours
+   * @param {string|null} location - Training location or group key
+   * @param {number|null} maxHoursPerDay - Course daily hour cap
    * @returns {Object} Splitting strategy
    * @private
    */
-  _determineSplittingStrategy(duration) {
-    // Strategy 1: Single time block (fits entirely in one block)
-    const singleBlockFit = this.timeBlockEngine.findSingleBlockFit(duration);
-    if (singleBlockFit) {
-      return {
-        type: 'SINGLE_BLOCK',
-        block: singleBlockFit,
-        totalParts: 1,
-        totalDays: 1
-      };
-    }
+  _determineSplittingStrategy(duration, location = null, maxHoursPerDay = null) {
+    const timeBlocks = this.timeBlockEngine.getTimeBlocks(location);
+    const dailyHours = this.getDailyHours(location, maxHoursPerDay);
     
-    // Strategy 2: Same day split (fits in multiple blocks on same day)
-    if (this.timeBlockEngine.canFitInSingleDay(duration)) {
+    if (duration <= dailyHours) {
+      // Strategy 1: Single time block (fits entirely in one block)
+      const singleBlockFit = this.timeBlockEngine.findSingleBlockFit(duration, location);
+      if (singleBlockFit) {
+        return {
+          type: 'SINGLE_BLOCK',
+          block: singleBlockFit,
+          timeBlocks,
+          dailyHours,
+          totalParts: 1,
+          totalDays: 1
+        };
+      }
+      
+      // Strategy 2: Same day split (fits in multiple blocks on same day)
       return {
         type: 'SAME_DAY_SPLIT',
-        totalParts: this._calculatePartsForSameDay(duration),
+        timeBlocks,
+        dailyHours,
+        totalParts: this._calculatePartsForSameDay(duration, timeBlocks),
         totalDays: 1
       };
     }
     
     // Strategy 3: Multi-day split (requires multiple days)
-    const daysNeeded = this.timeBlockEngine.calculateDaysNeeded(duration);
     return {
       type: 'MULTI_DAY_SPLIT',
-      totalParts: this._calculatePartsForMultiDay(duration),
-      totalDays: daysNeeded
+      timeBlocks,
+      dailyHours,
+      totalParts: this._calculatePartsForMultiDay(duration, timeBlocks, dailyHours),
+      totalDays: Math.ceil(duration / dailyHours)
     };
   }
   
   /**
    * Calculate number of parts needed for same-day splitting
    * @param {number} duration - Course duration in hours
+   * @param {Array} timeBlocks - Time blocks of the day
    * @returns {number} Number of parts needed
    * @private
    */
-  _calculatePartsForSameDay(duration) {
+  _calculatePartsForSameDay(duration, timeBlocks = this.timeBlocks) {
     let remainingDuration = duration;
     let parts = 0;
     
-    for (const block of this.timeBlocks) {
+    for (const block of timeBlocks) {
       if (remainingDuration <= 0) break;
       
       if (remainingDuration >= block.duration) {
@@ -130,17 +157,20 @@ export class SessionSplitter {
   /**
    * Calculate number of parts needed for multi-day splitting
    * @param {number} duration - Course duration in hours
+   * @param {Array} timeBlocks - Time blocks of each day
+   * @param {number} dailyHours - Course hours per day (defaults to every time block)
    * @returns {number} Number of parts needed
    * @private
    */
-  _calculatePartsForMultiDay(duration) {
-    const fullDays = Math.floor(duration / this.maxDailyHours);
-    const remainingHours = duration % this.maxDailyHours;
+  _calculatePartsForMultiDay(duration, timeBlocks = this.timeBlocks, dailyHours = null) {
+    const hoursPerDay = dailyHours || timeBlocks.reduce((total, block) => total + block.duration, 0);
+    const fullDays = Math.floor(duration / hoursPerDay);
+    const remainingHours = duration % hoursPerDay;
     
-    let totalParts = fullDays * this.timeBlocks.length;
+    let totalParts = fullDays * this._calculatePartsForSameDay(hoursPerDay, timeBlocks);
     
     if (remainingHours > 0) {
-      totalParts += this._calculatePartsForSameDay(remainingHours);
+      totalParts += this._calculatePartsForSameDay(remainingHours, timeBlocks);
     }
     
     return totalParts;
@@ -155,8 +185,6 @@ export class SessionSplitter {
    * @private
    */
   _generateSessionParts(duration, strategy, options) {
-    const { courseName, sessionNumber, startDate, dayNames } = options;
-    
     switch (strategy.type) {
       case 'SINGLE_BLOCK':
         return this._generateSingleBlockParts(duration, strategy, options);
@@ -177,12 +205,12 @@ export class SessionSplitter {
    * @private
    */
   _generateSingleBlockParts(duration, strategy, options) {
-    const { courseName, sessionNumber, startDate, dayNames } = options;
+    const { courseName, sessionNumber, startDate, dayNames, location } = options;
     const block = strategy.block;
     
     // Find next valid scheduling date
-    const sessionDate = this.timeBlockEngine.getNextValidDate(startDate, dayNames);
-    const sessionStart = this.timeBlockEngine.setDateToBlockStart(sessionDate, block.id);
+    const sessionDate = this.timeBlockEngine.getNextValidDate(startDate, dayNames, location);
+    const sessionStart = this.timeBlockEngine.setDateToBlockStart(sessionDate, block.id, location);
     const sessionEnd = new Date(sessionStart.getTime() + (duration * 60 * 60 * 1000));
     
     return [{
@@ -205,19 +233,19 @@ export class SessionSplitter {
    * @private
    */
   _generateSameDayParts(duration, strategy, options) {
-    const { courseName, sessionNumber, startDate, dayNames } = options;
+    const { courseName, sessionNumber, startDate, dayNames, location } = options;
     const parts = [];
     let remainingDuration = duration;
     let partNumber = 1;
     
     // Find next valid scheduling date
-    const sessionDate = this.timeBlockEngine.getNextValidDate(startDate, dayNames);
+    const sessionDate = this.timeBlockEngine.getNextValidDate(startDate, dayNames, location);
     
-    for (const block of this.timeBlocks) {
+    for (const block of strategy.timeBlocks) {
       if (remainingDuration <= 0) break;
       
       const partDuration = Math.min(remainingDuration, block.duration);
-      const partStart = this.timeBlockEngine.setDateToBlockStart(sessionDate, block.id);
+      const partStart = this.timeBlockEngine.setDateToBlockStart(sessionDate, block.id, location);
       const partEnd = new Date(partStart.getTime() + (partDuration * 60 * 60 * 1000));
       
       parts.push({
@@ -246,29 +274,29 @@ export class SessionSplitter {
    * @private
    */
   _generateMultiDayParts(duration, strategy, options) {
-    const { courseName, sessionNumber, startDate, dayNames } = options;
+    const { courseName, sessionNumber, startDate, dayNames, location, dayPattern } = options;
     const parts = [];
     let remainingDuration = duration;
     let partNumber = 1;
     let dayNumber = 1;
     
-    let currentDate = new Date(startDate);
+    // Pick all course days up front so the course never straddles a blackout
+    const courseDays = this._findCourseDays(startDate, strategy.totalDays, dayNames, location, dayPattern);
     
-    while (remainingDuration > 0) {
-      // Find next valid scheduling date
-      currentDate = this.timeBlockEngine.getNextValidDate(currentDate, dayNames);
+    for (const currentDate of courseDays) {
+      if (remainingDuration <= 0) break;
       
       // Calculate how much duration to allocate to this day
-      const dayDuration = Math.min(remainingDuration, this.maxDailyHours);
+      const dayDuration = Math.min(remainingDuration, strategy.dailyHours);
       
       // Split this day's duration across available time blocks
       let dayRemainingDuration = dayDuration;
       
-      for (const block of this.timeBlocks) {
+      for (const block of strategy.timeBlocks) {
         if (dayRemainingDuration <= 0) break;
         
         const partDuration = Math.min(dayRemainingDuration, block.duration);
-        const partStart = this.timeBlockEngine.setDateToBlockStart(currentDate, block.id);
+        const partStart = this.timeBlockEngine.setDateToBlockStart(currentDate, block.id, location);
         const partEnd = new Date(partStart.getTime() + (partDuration * 60 * 60 * 1000));
         
         parts.push({
@@ -291,20 +319,109 @@ export class SessionSplitter {
       
       remainingDuration -= dayDuration;
       dayNumber++;
-      
-      // Move to next day
-      currentDate.setDate(currentDate.getDate() + 1);
     }
     
     return parts;
   }
   
   /**
-   * Validate that session parts don't exceed maximum constraints
+   * Find the scheduling days for a multi-day course
+   * @param {Date} startDate - Earliest start date
+   * @param {number} daysNeeded - Number of course days
+   * @param {Array} dayNames - Array of day names
+   * @param {string|null} location - Training location or group key
+   * @param {string} dayPattern - 'consecutive', 'weekly' or 'fortnightly'
+   * @returns {Array<Date>} Course days
+   * @private
+   */
+  _findCourseDays(startDate, daysNeeded, dayNames, location, dayPattern = DAY_PATTERN.CONSECUTIVE) {
+    const interval = getDayPatternInterval(dayPattern);
+    return interval
+      ? this._findRepeatingCourseDays(startDate, daysNeeded, dayNames, location, interval)
+      : this._findConsecutiveCourseDays(startDate, daysNeeded, dayNames, location);
+  }
+  
+  /**
+   * Find consecutive scheduling days for a multi-day course
+   * Days follow the normal scheduling-day pattern (weekends are skipped as usual), but if a
+   * blackout falls between the first and last course day the whole course moves past it.
+   * @private
+   */
+  _findConsecutiveCourseDays(startDate, daysNeeded, dayNames, location) {
+    let firstDay = this.timeBlockEngine.getNextValidDate(startDate, dayNames, location);
+    
+    while (true) {
+      const days = [new Date(firstDay)];
+      let blackoutDate = null;
+      let candidate = new Date(firstDay);
+      
+      while (days.length < daysNeeded) {
+        candidate.setDate(candidate.getDate() + 1);
+        
+        if (this.timeBlockEngine.findBlackoutBetween(candidate, candidate, location)) {
+          blackoutDate = new Date(candidate);
+          break;
+        }
+        
+        if (this.timeBlockEngine.isSchedulableDate(candidate, location, dayNames)) {
+          days.push(new Date(candidate));
+        }
+      }
+      
+      if (!blackoutDate) {
+        return days;
+      }
+      
+      console.log(`📅 Multi-day course would straddle blackout on ${blackoutDate.toLocaleDateString('en-GB')}${location ? ` at ${location}` : ''}, moving start`);
+      const dayAfterBlackout = new Date(blackoutDate);
+      dayAfterBlackout.setDate(dayAfterBlackout.getDate() + 1);
+      firstDay = this.timeBlockEngine.getNextValidDate(dayAfterBlackout, dayNames, location);
+    }
+  }
+  
+  /**
+   * Find course days repeating every interval days (same weekday each week or fortnight)
+   * Blackouts between course days don't matter, but if a course day itself can't be used the
+   * whole course starts on the next scheduling day instead.
+   * @private
+   */
+  _findRepeatingCourseDays(startDate, daysNeeded, dayNames, location, interval) {
+    let firstDay = this.timeBlockEngine.getNextValidDate(startDate, dayNames, location);
+    
+    while (true) {
+      const days = [new Date(firstDay)];
+      let unavailableDate = null;
+      
+      while (days.length < daysNeeded) {
+        const candidate = new Date(days[days.length - 1]);
+        candidate.setDate(candidate.getDate() + interval);
+        
+        if (!this.timeBlockEngine.isSchedulableDate(candidate, location, dayNames)) {
+          unavailableDate = candidate;
+          break;
+        }
+        days.push(candidate);
+      }
+      
+      if (!unavailableDate) {
+        return days;
+      }
+      
+      console.log(`📅 Course day ${unavailableDate.toLocaleDateString('en-GB')}${location ? ` at ${location}` : ''} is not available, moving start`);
+      const nextDay = new Date(firstDay);
+      nextDay.setDate(nextDay.getDate() + 1);
+      firstDay = this.timeBlockEngine.getNextValidDate(nextDay, dayNames, location);
+    }
+  }
+  
+  /**
+   * Validate session parts: sequential numbering, no overlaps and within the daily hour cap
+   * Courses may run for any number of hours and days.
    * @param {Array} parts - Session parts to validate
+   * @param {Object} options - Optional { maxHoursPerDay, location } to check the daily hour cap
    * @returns {Object} Validation result
    */
-  validateSessionParts(parts) {
+  validateSessionParts(parts, options = {}) {
     const errors = [];
     const warnings = [];
     
@@ -313,18 +430,26 @@ export class SessionSplitter {
       return { isValid: false, errors, warnings };
     }
     
-    // Check total duration consistency
     const totalDuration = parts.reduce((sum, part) => sum + part.duration, 0);
-    const maxAllowedDuration = 24; // 3 days × 8 hours max
+    const maxDay = Math.max(...parts.map(part => part.day));
     
-    if (totalDuration > maxAllowedDuration) {
-      errors.push(`Total duration ${totalDuration} hours exceeds maximum ${maxAllowedDuration} hours`);
-    }
+    // Check each course day stays within the hours available to the course
+    const dailyHours = this.getDailyHours(options.location || null, options.maxHoursPerDay || null);
+    const hoursByDay = new Map();
+    parts.forEach(part => hoursByDay.set(part.day, (hoursByDay.get(part.day) || 0) + part.duration));
+    hoursByDay.forEach((hours, day) => {
+      if (hours > dailyHours + 1e-9) {
+        errors.push(`Day ${day} has ${hours} hours, maximum per day is ${dailyHours} hours`);
+      }
+    });
     
-    // Check day sequence
-    const maxDay = Math.max(...parts.map(part => part.day));
-    if (maxDay > 3) {
-      errors.push(`Course spans ${maxDay} days, maximum allowed is 3 days`);
+    // Check parts run in order without overlapping
+    const ordered = [...parts].sort((a, b) => a.part - b.part);
+    for (let i = 1; i < ordered.length; i++) {
+      if (ordered[i].start < ordered[i - 1].end) {
+        errors.push(`Part ${ordered[i].part} starts before part ${ordered[i - 1].part} ends`);
+        break;
+      }
     }
     
     // Check part numbering
@@ -3,8 +3,21 @@
  * 
  * Replaces hardcoded AM/PM logic with flexible time block parsing from criteria.
  * Supports any time configuration defined in the Define Criteria page.
+ * Honours project and training-location blackout dates (criteria.blackout_dates).
+ *
+ * Time blocks come from criteria.time_blocks, an ordered list of named blocks:
+ *   [{ name: 'Morning', start: '09:00', end: '12:00', break_before_minutes: 0, break_after_minutes: 15 }]
+ * Break buffers are kept free inside the block, so sessions run from start + break_before
+ * to end - break_after. criteria.location_time_blocks ({ [training_location]: [...] }) overrides
+ * the list for individual training locations. Criteria saved before time_blocks existed fall back
+ * to the start_time_am / end_time_am and start_time_pm / end_time_pm fields.
  */
 
+import { BlackoutCalendar, resolveTrainingLocation } from './BlackoutCalendar.js';
+
+// Safety limit when searching for the next schedulable date (~10 years of days)
+const MAX_DATE_SEARCH_DAYS = 3660;
+
 /**
  * Parse time string (24-hour format) to hour decimal
  * @param {string} timeStr - Time in format "HH:MM" (e.g., "08:00", "13:30")
@@ -41,6 +54,69 @@ export const calculateDuration = (startTime, endTime) => {
   return end - start;
 };
 
+/**
+ * Format decimal hours as a 24-hour time string
+ * @param {number} hours - Time as decimal hours (e.g., 13.5)
+ * @returns {string} Time in "HH:MM" format (e.g., "13:30")
+ */
+export const formatHoursToTime = (hours) => {
+  const totalMinutes = Math.round(hours * 60);
+  return `${String(Math.floor(totalMinutes / 60)).padStart(2, '0')}:${String(totalMinutes % 60).padStart(2, '0')}`;
+};
+
+/**
+ * Get the ordered time block definitions for criteria
+ * Uses criteria.time_blocks when set, otherwise converts the legacy AM / PM fields.
+ * @param {Object} criteria - Scheduling criteria
+ * @returns {Array} Time block definitions ({ name, start, end, break_before_minutes, break_after_minutes })
+ */
+export const getTimeBlockDefinitions = (criteria = {}) => {
+  if (Array.isArray(criteria.time_blocks) && criteria.time_blocks.length > 0) {
+    return criteria.time_blocks;
+  }
+  
+  const preference = criteria.scheduling_preference || 'both';
+  const definitions = [];
+  
+  if ((preference === 'both' || preference === 'am_only') && criteria.start_time_am && criteria.end_time_am) {
+    definitions.push({ name: 'Morning', start: criteria.start_time_am, end: criteria.end_time_am });
+  }
+  if ((preference === 'both' || preference === 'pm_only') && criteria.start_time_pm && criteria.end_time_pm) {
+    definitions.push({ name: 'Afternoon', start: criteria.start_time_pm, end: criteria.end_time_pm });
+  }
+  
+  return definitions;
+};
+
+/**
+ * Get the legacy two-slot time parameters (first and second time block) for the scheduling modes
+ * The scheduling engine itself reads every time block from the criteria.
+ * @param {Object} criteria - Scheduling criteria
+ * @returns {Object} { schedulingPreference, amStartHour, amStartMin, pmStartHour, pmStartMin, amBlockHours, pmBlockHours }
+ */
+export const getLegacyTimeSettings = (criteria = {}) => {
+  const toHours = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours + minutes / 60;
+  };
+  const [firstBlock, secondBlock] = getTimeBlockDefinitions(criteria);
+  const settings = {
+    schedulingPreference: criteria.scheduling_preference || 'both',
+    amStartHour: 0, amStartMin: 0, pmStartHour: 0, pmStartMin: 0, amBlockHours: 0, pmBlockHours: 0
+  };
+
+  if (firstBlock) {
+    [settings.amStartHour, settings.amStartMin] = firstBlock.start.split(':').map(Number);
+    settings.amBlockHours = toHours(firstBlock.end) - toHours(firstBlock.start);
+  }
+  if (secondBlock) {
+    [settings.pmStartHour, settings.pmStartMin] = secondBlock.start.split(':').map(Number);
+    settings.pmBlockHours = toHours(secondBlock.end) - toHours(secondBlock.start);
+  }
+
+  return settings;
+};
+
 /**
  * TimeBlockEngine class for managing flexible time blocks
  */
@@ -49,149 +125,209 @@ export class TimeBlockEngine {
     this.criteria = criteria;
     this.schedulingPreference = criteria.scheduling_preference || 'both';
     this.schedulingDays = criteria.scheduling_days || [];
+    this.blackoutCalendar = new BlackoutCalendar(criteria.blackout_dates || []);
     
-    // Parse time blocks from criteria
-    this.timeBlocks = this._parseTimeBlocks();
-    this.maxDailyHours = this._calculateMaxDailyHours();
+    // Parse time blocks from criteria (default list plus per-location overrides)
+    this.invalidBlocks = [];
+    this.timeBlocks = this._parseTimeBlocks(getTimeBlockDefinitions(criteria));
+    this.maxDailyHours = this._calculateMaxDailyHours(this.timeBlocks);
+    
+    if (this.timeBlocks.length === 0) {
+      throw new Error('No valid time blocks found in criteria. Please check time configuration.');
+    }
+    
+    this.locationTimeBlocks = new Map();
+    Object.entries(criteria.location_time_blocks || {}).forEach(([location, definitions]) => {
+      if (!Array.isArray(definitions) || definitions.length === 0) return;
+      const blocks = this._parseTimeBlocks(definitions, location);
+      if (blocks.length > 0) {
+        this.locationTimeBlocks.set(location, blocks);
+      } else {
+        console.warn(`⚠️ No valid time blocks for ${location}, using the default time blocks`);
+      }
+    });
     
     console.log('🕒 TimeBlockEngine initialized:', {
       schedulingPreference: this.schedulingPreference,
       timeBlocks: this.timeBlocks,
+      locationTimeBlocks: Object.fromEntries(this.locationTimeBlocks),
       maxDailyHours: this.maxDailyHours,
-      schedulingDays: this.schedulingDays
+      schedulingDays: this.schedulingDays,
+      blackoutEntries: this.blackoutCalendar.entries.length
     });
   }
   
   /**
-   * Parse time blocks from criteria
+   * Parse time block definitions into chronologically ordered blocks with ids 1..N
+   * @param {Array} definitions - Time block definitions
+   * @param {string|null} location - Training location the definitions belong to (for warnings)
+   * @returns {Array} Time blocks
    * @private
    */
-  _parseTimeBlocks() {
+  _parseTimeBlocks(definitions, location = null) {
     const blocks = [];
     
-    // Block 1 (traditionally "morning")
-    if ((this.schedulingPreference === 'both' || this.schedulingPreference === 'am_only') &&
-        this.criteria.start_time_am && this.criteria.end_time_am) {
+    definitions.forEach((definition, index) => {
+      const name = definition.name?.trim() || `Block ${index + 1}`;
       try {
-        const duration = calculateDuration(this.criteria.start_time_am, this.criteria.end_time_am);
-        blocks.push({
-          id: 1,
-          name: 'Block 1',
-          start: this.criteria.start_time_am,
-          end: this.criteria.end_time_am,
-          startHours: parseTimeToHours(this.criteria.start_time_am),
-          endHours: parseTimeToHours(this.criteria.end_time_am),
-          duration: duration
-        });
-      } catch (error) {
-        console.warn('⚠️ Invalid Block 1 time configuration:', error.message);
-      }
-    }
-    
-    // Block 2 (traditionally "afternoon")
-    if ((this.schedulingPreference === 'both' || this.schedulingPreference === 'pm_only') &&
-        this.criteria.start_time_pm && this.criteria.end_time_pm) {
-      try {
-        const duration = calculateDuration(this.criteria.start_time_pm, this.criteria.end_time_pm);
+        calculateDuration(definition.start, definition.end);
+        
+        const breakBeforeMinutes = Math.max(0, Number(definition.break_before_minutes) || 0);
+        const breakAfterMinutes = Math.max(0, Number(definition.break_after_minutes) || 0);
+        const startMinutes = Math.round(parseTimeToHours(definition.start) * 60) + breakBeforeMinutes;
+        const endMinutes = Math.round(parseTimeToHours(definition.end) * 60) - breakAfterMinutes;
+        
+        if (endMinutes <= startMinutes) {
+          throw new Error(`Breaks leave no training time between ${definition.start} and ${definition.end}`);
+        }
+        
         blocks.push({
-          id: 2,
-          name: 'Block 2',
-          start: this.criteria.start_time_pm,
-          end: this.criteria.end_time_pm,
-          startHours: parseTimeToHours(this.criteria.start_time_pm),
-          endHours: parseTimeToHours(this.criteria.end_time_pm),
-          duration: duration
+          name,
+          start: formatHoursToTime(startMinutes / 60),
+          end: formatHoursToTime(endMinutes / 60),
+          startHours: startMinutes / 60,
+          endHours: endMinutes / 60,
+          duration: (endMinutes - startMinutes) / 60,
+          windowStart: definition.start,
+          windowEnd: definition.end,
+          breakBeforeMinutes,
+          breakAfterMinutes
         });
       } catch (error) {
-        console.warn('⚠️ Invalid Block 2 time configuration:', error.message);
+        console.warn(`⚠️ Invalid ${name} time configuration${location ? ` for ${location}` : ''}:`, error.message);
+        this.invalidBlocks.push(`${name}${location ? ` at ${location}` : ''}: ${error.message}`);
       }
-    }
-    
-    if (blocks.length === 0) {
-      throw new Error('No valid time blocks found in criteria. Please check time configuration.');
-    }
+    });
     
-    return blocks;
+    return blocks
+      .sort((a, b) => a.startHours - b.startHours)
+      .map((block, index) => ({ id: index + 1, ...block }));
   }
   
   /**
    * Calculate maximum hours available per day
    * @private
    */
-  _calculateMaxDailyHours() {
-    return this.timeBlocks.reduce((total, block) => total + block.duration, 0);
+  _calculateMaxDailyHours(timeBlocks) {
+    return timeBlocks.reduce((total, block) => total + block.duration, 0);
+  }
+  
+  /**
+   * Get the time blocks that apply at a location
+   * @private
+   */
+  _getBlocksFor(location) {
+    const trainingLocation = resolveTrainingLocation(location);
+    return (trainingLocation && this.locationTimeBlocks.get(trainingLocation)) || this.timeBlocks;
   }
   
   /**
    * Get available time blocks
+   * @param {string|null} location - Training location or group key (null = default time blocks)
    * @returns {Array} Array of time block objects
    */
-  getTimeBlocks() {
-    return [...this.timeBlocks];
+  getTimeBlocks(location = null) {
+    return [...this._getBlocksFor(location)];
   }
   
   /**
    * Get maximum daily hours available
+   * @param {string|null} location - Training location or group key
    * @returns {number} Maximum hours per day
    */
-  getMaxDailyHours() {
-    return this.maxDailyHours;
+  getMaxDailyHours(location = null) {
+    return location ? this._calculateMaxDailyHours(this._getBlocksFor(location)) : this.maxDailyHours;
   }
   
   /**
    * Check if a duration can fit in a single time block
    * @param {number} duration - Duration in hours
+   * @param {string|null} location - Training location or group key
    * @returns {Object|null} Time block that can fit the duration, or null
    */
-  findSingleBlockFit(duration) {
-    return this.timeBlocks.find(block => block.duration >= duration) || null;
+  findSingleBlockFit(duration, location = null) {
+    return this._getBlocksFor(location).find(block => block.duration >= duration) || null;
   }
   
   /**
    * Check if a duration can fit in a single day across multiple blocks
    * @param {number} duration - Duration in hours
+   * @param {string|null} location - Training location or group key
    * @returns {boolean} True if duration fits in one day
    */
-  canFitInSingleDay(duration) {
-    return duration <= this.maxDailyHours;
+  canFitInSingleDay(duration, location = null) {
+    return duration <= this.getMaxDailyHours(location);
   }
   
   /**
    * Calculate how many days are needed for a given duration
    * @param {number} duration - Duration in hours
+   * @param {string|null} location - Training location or group key
    * @returns {number} Number of days needed
    */
-  calculateDaysNeeded(duration) {
+  calculateDaysNeeded(duration, location = null) {
     if (duration <= 0) return 0;
-    return Math.ceil(duration / this.maxDailyHours);
+    return Math.ceil(duration / this.getMaxDailyHours(location));
+  }
+  
+  /**
+   * Check whether training may take place on a date at a location
+   * @param {Date} date - Date to check
+   * @param {string|null} location - Training location or group key (null = project-wide blackouts only)
+   * @param {Array} dayNames - Array of day names ['Sunday', 'Monday', ...]
+   * @returns {boolean} True if the date is a scheduling day and not blacked out
+   */
+  isSchedulableDate(date, location = null, dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday']) {
+    return this.schedulingDays.includes(dayNames[date.getDay()]) &&
+      !this.blackoutCalendar.isBlackedOut(date, location);
   }
   
   /**
    * Get the next valid scheduling date from a given date
+   * Skips non-scheduling weekdays and blacked-out dates for the location.
    * @param {Date} fromDate - Starting date
    * @param {Array} dayNames - Array of day names ['Sunday', 'Monday', ...]
+   * @param {string|null} location - Training location or group key
    * @returns {Date} Next valid scheduling date
    */
-  getNextValidDate(fromDate, dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday']) {
+  getNextValidDate(fromDate, dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'], location = null) {
     const date = new Date(fromDate);
+    let daysSearched = 0;
     
-    while (!this.schedulingDays.includes(dayNames[date.getDay()])) {
+    while (!this.isSchedulableDate(date, location, dayNames)) {
       date.setDate(date.getDate() + 1);
+      daysSearched++;
+      
+      if (daysSearched > MAX_DATE_SEARCH_DAYS) {
+        throw new Error(`No schedulable date found after ${fromDate.toLocaleDateString('en-GB')}${location ? ` for ${location}` : ''}. Check scheduling days and blackout dates.`);
+      }
     }
     
     return date;
   }
   
+  /**
+   * Find the first blacked-out date between two dates (inclusive)
+   * @param {Date} startDate - Start of the period
+   * @param {Date} endDate - End of the period
+   * @param {string|null} location - Training location or group key
+   * @returns {Date|null} First blacked-out date, or null if the period is clear
+   */
+  findBlackoutBetween(startDate, endDate, location = null) {
+    return this.blackoutCalendar.findBlackoutBetween(startDate, endDate, location);
+  }
+  
   /**
    * Set time on a date to match a time block start
    * @param {Date} date - Date to modify
-   * @param {number} blockId - Time block ID (1 or 2)
+   * @param {number} blockId - Time block ID (1 = first block of the day)
+   * @param {string|null} location - Training location or group key
    * @returns {Date} Modified date with time set
    */
-  setDateToBlockStart(date, blockId = 1) {
-    const block = this.timeBlocks.find(b => b.id === blockId);
+  setDateToBlockStart(date, blockId = 1, location = null) {
+    const block = this._getBlocksFor(location).find(b => b.id === blockId);
     if (!block) {
-      throw new Error(`Time block ${blockId} not found`);
+      throw new Error(`Time block ${blockId} not found${location ? ` for ${location}` : ''}`);
     }
     
     const [hours, minutes] = block.start.split(':').map(Number);
@@ -203,10 +339,11 @@ export class TimeBlockEngine {
   /**
    * Get time block that contains a specific time
    * @param {number} timeHours - Time in decimal hours (e.g., 9.5 for 09:30)
+   * @param {string|null} location - Training location or group key
    * @returns {Object|null} Time block containing the time, or null
    */
-  getBlockContainingTime(timeHours) {
-    return this.timeBlocks.find(block => 
+  getBlockContainingTime(timeHours, location = null) {
+    return this._getBlocksFor(location).find(block => 
       timeHours >= block.startHours && timeHours < block.endHours
     ) || null;
   }
@@ -223,27 +360,32 @@ export class TimeBlockEngine {
       errors.push('No time blocks configured');
     }
     
+    this.invalidBlocks.forEach(message => errors.push(`Invalid time block ${message}`));
+    
     if (this.schedulingDays.length === 0) {
       errors.push('No scheduling days configured');
     }
     
-    // Check for overlapping time blocks
-    if (this.timeBlocks.length > 1) {
-      for (let i = 0; i < this.timeBlocks.length - 1; i++) {
-        const current = this.timeBlocks[i];
-        const next = this.timeBlocks[i + 1];
+    const blockSets = [[null, this.timeBlocks], ...this.locationTimeBlocks.entries()];
+    blockSets.forEach(([location, timeBlocks]) => {
+      const suffix = location ? ` at ${location}` : '';
+      
+      // Check for overlapping time blocks (including their break buffers)
+      for (let i = 0; i < timeBlocks.length - 1; i++) {
+        const current = timeBlocks[i];
+        const next = timeBlocks[i + 1];
         
-        if (current.endHours > next.startHours) {
-          errors.push(`Time blocks overlap: ${current.name} ends at ${current.end}, ${next.name} starts at ${next.start}`);
+        if (parseTimeToHours(current.windowEnd) > parseTimeToHours(next.windowStart)) {
+          errors.push(`Time blocks overlap${suffix}: ${current.name} ends at ${current.windowEnd}, ${next.name} starts at ${next.windowStart}`);
         }
       }
-    }
-    
-    // Check for very short time blocks
-    this.timeBlocks.forEach(block => {
-      if (block.duration < 1) {
-        warnings.push(`Time block ${block.name} is very short (${block.duration} hours)`);
-      }
+      
+      // Check for very short time blocks
+      timeBlocks.forEach(block => {
+        if (block.duration < 1) {
+          warnings.push(`Time block ${block.name}${suffix} is very short (${block.duration} hours)`);
+        }
+      });
     });
     
     return {
@@ -0,0 +1,467 @@
+/**
+ * TrainerAllocator - Assigns qualified trainers to sessions while the schedule is built
+ *
+ * Trainers are matched against a course through their specializations and must
+ * satisfy every constraint for ALL parts of a session (the same trainer teaches
+ * a multi-part course from start to finish):
+ * - Home location: trainers with a home_location only teach at that location (or online)
+ * - Availability: weekly teaching windows and unavailable periods (trainer_availability)
+ * - Busy time: commitments imported from the trainer's own calendar (resource_busy_blocks)
+ * - Capacity: max_hours_per_day / max_hours_per_week
+ * - No double booking: a trainer is never in two sessions at the same time
+ *
+ * Sessions that cannot be staffed are reported back with a reason so that the
+ * caller can mark them as "unstaffed" rather than dropping them. Every scheduling
+ * mode first moves a session group to other slots with a TrainerSearch, and only
+ * leaves it unstaffed when no slot in its search window has a free trainer.
+ */
+
+import { resolveTrainingLocation, toDateKey } from './BlackoutCalendar.js';
+import { VIRTUAL_LOCATION } from './DeliveryModes.js';
+import { BUSY_RESOURCE, getBusyBlockRange } from './BusyBlocks.js';
+
+export const STAFFING_STATUS = {
+  STAFFED: 'staffed',
+  UNSTAFFED: 'unstaffed'
+};
+
+const REJECTION_LABELS = {
+  location: 'based at another location',
+  availability: 'outside availability',
+  busy: 'busy elsewhere',
+  booked: 'already teaching',
+  daily_hours: 'daily hour limit reached',
+  weekly_hours: 'weekly hour limit reached'
+};
+
+/**
+ * Convert an 'HH:MM[:SS]' time string into minutes after midnight
+ * @param {string} time - Time string
+ * @returns {number|null} Minutes after midnight
+ */
+const timeToMinutes = (time) => {
+  if (!time) return null;
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return hours * 60 + (minutes || 0);
+};
+
+/**
+ * Get the date key of the Monday starting the week containing a date
+ * @param {Date} date - Date
+ * @returns {string} Week key
+ */
+const toWeekKey = (date) => {
+  const monday = new Date(date);
+  const offset = (monday.getDay() + 6) % 7;
+  monday.setDate(monday.getDate() - offset);
+  return toDateKey(monday);
+};
+
+/**
+ * Normalise a label for case-insensitive specialization matching
+ * @param {*} value - Value to normalise
+ * @returns {string} Normalised label
+ */
+const normaliseLabel = (value) => String(value ?? '').trim().toLowerCase();
+
+// Slots passed over for want of a trainer before a TrainerSearch settles for the first of them
+const MAX_TRAINER_SEARCH_SLOTS = 200;
+
+/**
+ * TrainerAllocator class for assigning trainers during scheduling
+ */
+export class TrainerAllocator {
+  /**
+   * @param {Array} trainers - Rows from the trainers table
+   * @param {Array} availability - Rows from the trainer_availability table
+   * @param {Array} busyBlocks - Rows from the resource_busy_blocks table (classroom blocks are ignored)
+   */
+  constructor(trainers = [], availability = [], busyBlocks = []) {
+    this.trainers = (trainers || []).filter(trainer => trainer && trainer.active !== false);
+    this.availability = availability || [];
+    this.busyBlocks = busyBlocks || [];
+    this.availabilityByTrainer = new Map();
+    this.busyByTrainer = new Map(); // trainerId -> [{ start, end }]
+    this.bookings = new Map(); // trainerId -> [{ start, end, duration, sessionId }]
+    this.unstaffed = [];
+
+    (availability || []).forEach(window => {
+      if (!this.availabilityByTrainer.has(window.trainer_id)) {
+        this.availabilityByTrainer.set(window.trainer_id, { weekly: [], unavailable: [] });
+      }
+      const windows = this.availabilityByTrainer.get(window.trainer_id);
+      if (window.window_type === 'unavailable') {
+        windows.unavailable.push(window);
+      } else {
+        windows.weekly.push(window);
+      }
+    });
+
+    this.busyBlocks
+      .filter(block => block.resource_type === BUSY_RESOURCE.TRAINER && block.trainer_id)
+      .forEach(block => {
+        if (!this.busyByTrainer.has(block.trainer_id)) {
+          this.busyByTrainer.set(block.trainer_id, []);
+        }
+        this.busyByTrainer.get(block.trainer_id).push(getBusyBlockRange(block));
+      });
+
+    console.log(`👩‍🏫 TrainerAllocator initialized with ${this.trainers.length} active trainers`);
+  }
+
+  /**
+   * Whether any trainers are available for allocation
+   * @returns {boolean}
+   */
+  hasTrainers() {
+    return this.trainers.length > 0;
+  }
+
+  /**
+   * Check whether a trainer is qualified to teach a course
+   * Specializations are matched (case-insensitively) against the course name, course ID,
+   * functional area and application. Trainers without specializations can teach any course.
+   * @param {Object} trainer - Trainer row
+   * @param {Object} course - Course object
+   * @returns {boolean}
+   */
+  isQualified(trainer, course) {
+    const specializations = (trainer.specializations || []).map(normaliseLabel).filter(Boolean);
+    if (specializations.length === 0) return true;
+
+    const courseLabels = [course.course_name, course.course_id, course.functional_area, course.application]
+      .map(normaliseLabel)
+      .filter(Boolean);
+
+    return specializations.some(spec => courseLabels.includes(spec));
+  }
+
+  /**
+   * Whether any trainer is qualified to teach a course, busy or not
+   * @param {Object} course - Course object
+   * @returns {boolean}
+   */
+  hasQualifiedTrainer(course) {
+    return this.trainers.some(trainer => this.isQualified(trainer, course));
+  }
+
+  /**
+   * Find the first constraint that stops a trainer teaching all session parts
+   * @param {Object} trainer - Trainer row
+   * @param {Array} sessionParts - Session parts with start, end and duration
+   * @param {string|null} location - Training location or group key
+   * @returns {string|null} Rejection reason key, or null if the trainer can teach
+   * @private
+   */
+  _findRejection(trainer, sessionParts, location) {
+    const trainingLocation = resolveTrainingLocation(location);
+    // Virtual sessions can be taught from any location
+    if (trainer.home_location && trainingLocation && trainingLocation !== VIRTUAL_LOCATION &&
+      trainer.home_location !== trainingLocation) {
+      return 'location';
+    }
+
+    if (!sessionParts.every(part => this._isWithinAvailability(trainer.id, part.start, part.end))) {
+      return 'availability';
+    }
+
+    const busy = this.busyByTrainer.get(trainer.id) || [];
+    if (sessionParts.some(part => busy.some(period => part.start < period.end && part.end > period.start))) {
+      return 'busy';
+    }
+
+    const bookings = this.bookings.get(trainer.id) || [];
+    const overlapsBooking = sessionParts.some(part =>
+      bookings.some(booking => part.start < booking.end && part.end > booking.start)
+    );
+    if (overlapsBooking) {
+      return 'booked';
+    }
+
+    if (trainer.max_hours_per_day && this._exceedsLimit(bookings, sessionParts, toDateKey, Number(trainer.max_hours_per_day))) {
+      return 'daily_hours';
+    }
+
+    if (trainer.max_hours_per_week && this._exceedsLimit(bookings, sessionParts, toWeekKey, Number(trainer.max_hours_per_week))) {
+      return 'weekly_hours';
+    }
+
+    return null;
+  }
+
+  /**
+   * Check a time range against a trainer's availability windows
+   * @private
+   */
+  _isWithinAvailability(trainerId, start, end) {
+    const windows = this.availabilityByTrainer.get(trainerId);
+    if (!windows) return true;
+
+    const dateKey = toDateKey(start);
+    const startMinutes = start.getHours() * 60 + start.getMinutes();
+    const endMinutes = end.getHours() * 60 + end.getMinutes();
+
+    const isUnavailable = windows.unavailable.some(period => {
+      const periodEnd = period.end_date || period.start_date;
+      if (dateKey < period.start_date || dateKey > periodEnd) return false;
+      if (!period.start_time || !period.end_time) return true; // Whole days
+      return startMinutes < timeToMinutes(period.end_time) && endMinutes > timeToMinutes(period.start_time);
+    });
+    if (isUnavailable) return false;
+
+    // No weekly windows means available during all scheduling hours
+    if (windows.weekly.length === 0) return true;
+
+    return windows.weekly.some(window =>
+      Number(window.day_of_week) === start.getDay() &&
+      (!window.start_date || dateKey >= window.start_date) &&
+      (!window.end_date || dateKey <= window.end_date) &&
+      startMinutes >= timeToMinutes(window.start_time) &&
+      endMinutes <= timeToMinutes(window.end_time)
+    );
+  }
+
+  /**
+   * Check whether adding session parts would exceed an hours limit per period
+   * @private
+   */
+  _exceedsLimit(bookings, sessionParts, periodKeyFn, limit) {
+    const hoursByPeriod = new Map();
+    [...bookings, ...sessionParts].forEach(item => {
+      const key = periodKeyFn(item.start);
+      hoursByPeriod.set(key, (hoursByPeriod.get(key) || 0) + Number(item.duration || 0));
+    });
+
+    return sessionParts.some(part => hoursByPeriod.get(periodKeyFn(part.start)) > limit);
+  }
+
+  /**
+   * Total hours booked for a trainer in the week of a date
+   * @private
+   */
+  _weeklyHours(trainerId, date) {
+    const weekKey = toWeekKey(date);
+    return (this.bookings.get(trainerId) || [])
+      .filter(booking => toWeekKey(booking.start) === weekKey)
+      .reduce((sum, booking) => sum + Number(booking.duration || 0), 0);
+  }
+
+  /**
+   * Find a trainer for a session without booking them
+   * Trainers based at the session's location are preferred, then the least-loaded trainer that week.
+   * @param {Object} course - Course object
+   * @param {Array} sessionParts - Session parts with start, end and duration
+   * @param {string|null} location - Training location or group key
+   * @returns {Object} { trainer, reason }
+   */
+  findTrainer(course, sessionParts, location = null) {
+    const qualified = this.trainers.filter(trainer => this.isQualified(trainer, course));
+
+    if (qualified.length === 0) {
+      return { trainer: null, reason: `No trainer is qualified to teach ${course.course_name}` };
+    }
+
+    const trainingLocation = resolveTrainingLocation(location);
+    const rejections = {};
+    const candidates = [];
+
+    qualified.forEach(trainer => {
+      const rejection = this._findRejection(trainer, sessionParts, location);
+      if (rejection) {
+        rejections[rejection] = (rejections[rejection] || 0) + 1;
+      } else {
+        candidates.push(trainer);
+      }
+    });
+
+    if (candidates.length === 0) {
+      const details = Object.entries(rejections)
+        .map(([key, count]) => `${count} ${REJECTION_LABELS[key]}`)
+        .join(', ');
+      const subject = qualified.length === 1
+        ? 'The only qualified trainer cannot'
+        : `None of the ${qualified.length} qualified trainers can`;
+      return {
+        trainer: null,
+        reason: `${subject} teach this session (${details})`
+      };
+    }
+
+    candidates.sort((a, b) => {
+      const aHome = a.home_location === trainingLocation ? 0 : 1;
+      const bHome = b.home_location === trainingLocation ? 0 : 1;
+      if (aHome !== bHome) return aHome - bHome;
+
+      const loadDiff = this._weeklyHours(a.id, sessionParts[0].start) - this._weeklyHours(b.id, sessionParts[0].start);
+      if (loadDiff !== 0) return loadDiff;
+
+      return String(a.name).localeCompare(String(b.name));
+    });
+
+    return { trainer: candidates[0], reason: null };
+  }
+
+  /**
+   * Book a trainer for session parts
+   * @param {Object} trainer - Trainer row
+   * @param {Array} sessionParts - Session parts with start, end and duration
+   */
+  bookTrainer(trainer, sessionParts) {
+    if (!this.bookings.has(trainer.id)) {
+      this.bookings.set(trainer.id, []);
+    }
+    sessionParts.forEach(part => {
+      this.bookings.get(trainer.id).push({
+        start: new Date(part.start),
+        end: new Date(part.end),
+        duration: part.duration,
+        sessionId: part.sessionId
+      });
+    });
+  }
+
+  /**
+   * Find and book a trainer for a session
+   * @param {Object} course - Course object
+   * @param {Array} sessionParts - Session parts with start, end and duration
+   * @param {string|null} location - Training location or group key
+   * @returns {Object} Staffing details to merge into each session object
+   */
+  assignTrainer(course, sessionParts, location = null) {
+    const { trainer, reason } = this.findTrainer(course, sessionParts, location);
+
+    if (!trainer) {
+      console.log(`   👤 Unstaffed: ${course.course_name} at ${location} - ${reason}`);
+      this.unstaffed.push({
+        course_name: course.course_name,
+        location,
+        start: sessionParts[0]?.start,
+        reason
+      });
+      return {
+        trainer_id: '',
+        trainer_name: '',
+        staffing_status: STAFFING_STATUS.UNSTAFFED,
+        unstaffed_reason: reason
+      };
+    }
+
+    this.bookTrainer(trainer, sessionParts);
+    console.log(`   👤 Assigned trainer ${trainer.name} to ${course.course_name}`);
+
+    return {
+      trainer_id: trainer.id,
+      trainer_name: trainer.name,
+      staffing_status: STAFFING_STATUS.STAFFED,
+      unstaffed_reason: null
+    };
+  }
+
+  /**
+   * Copy the allocator, including its current bookings
+   * Lets a caller try out alternative schedules without touching the real bookings.
+   * @returns {TrainerAllocator} Independent copy
+   */
+  clone() {
+    const copy = new TrainerAllocator(this.trainers, this.availability, this.busyBlocks);
+    this.bookings.forEach((bookings, trainerId) => {
+      copy.bookings.set(trainerId, bookings.map(booking => ({ ...booking })));
+    });
+    copy.unstaffed = [...this.unstaffed];
+    return copy;
+  }
+
+  /**
+   * Get a summary of trainer allocation
+   * @returns {Object} Summary with hours per trainer and unstaffed sessions
+   */
+  getSummary() {
+    const hoursByTrainer = this.trainers.map(trainer => ({
+      trainer_id: trainer.id,
+      trainer_name: trainer.name,
+      hours: (this.bookings.get(trainer.id) || []).reduce((sum, booking) => sum + Number(booking.duration || 0), 0)
+    }));
+
+    return {
+      totalTrainers: this.trainers.length,
+      hoursByTrainer,
+      unstaffedCount: this.unstaffed.length,
+      unstaffed: [...this.unstaffed]
+    };
+  }
+}
+
+/**
+ * TrainerSearch - Moves one session group between slots until a qualified trainer is free
+ *
+ * The caller offers slots in the order it tries them (later slots, or earlier ones when
+ * scheduling backwards). A slot without a free trainer is passed over and the first such
+ * slot is kept as the fallback; once the next slot would be past the search limit (the
+ * go-live deadline or the max-gap / same-week limit) the caller places the group in the
+ * fallback slot unstaffed. Courses no trainer is qualified for are not searched at all.
+ */
+export class TrainerSearch {
+  /**
+   * @param {TrainerAllocator|null} trainerAllocator - Allocator holding the current bookings
+   * @param {Object} course - Course object
+   * @param {string|null} location - Training location or group key
+   * @param {Object} options - { limits: Dates (or nulls) the search must not pass - the earliest
+   *   applies, or the latest when backward; backward: slots are offered latest first }
+   */
+  constructor(trainerAllocator, course, location = null, { limits = [], backward = false } = {}) {
+    this.trainerAllocator = trainerAllocator;
+    this.course = course;
+    this.location = location;
+    this.backward = backward;
+    this.limit = limits
+      .filter(Boolean)
+      .sort((a, b) => (backward ? b - a : a - b))[0] || null;
+    this.active = Boolean(trainerAllocator?.hasQualifiedTrainer(course));
+    this.fallback = null;
+    this.reason = null;
+    this.passedOver = 0;
+  }
+
+  /**
+   * Check a slot: it can go ahead when a trainer is free, or when the course needs no search
+   * Otherwise it is passed over, and kept as the fallback if it is the first.
+   * @param {Array} sessionParts - Session parts with start, end and duration
+   * @param {*} slot - What to keep as the fallback (defaults to the parts)
+   * @returns {boolean} Whether the slot can be used
+   */
+  accepts(sessionParts, slot = sessionParts) {
+    if (!this.active) return true;
+
+    const { trainer, reason } = this.trainerAllocator.findTrainer(this.course, sessionParts, this.location);
+    if (trainer) return true;
+
+    this.reason = reason;
+    this.fallback = this.fallback || slot;
+    this.passedOver++;
+    return false;
+  }
+
+  /**
+   * Whether to stop searching and use the fallback slot
+   * @param {Date|null} nextStart - Start of the next slot the caller would try
+   * @returns {boolean} True once a fallback exists and the next slot is past the limit
+   *   (or too many slots have been passed over)
+   */
+  isExhausted(nextStart) {
+    if (!this.fallback) return false;
+    if (this.passedOver >= MAX_TRAINER_SEARCH_SLOTS) return true;
+    if (!this.limit || !nextStart) return false;
+    return this.backward ? nextStart < this.limit : nextStart >= this.limit;
+  }
+
+  /**
+   * Stop searching - every later slot is accepted, staffed or not
+   * Used when the fallback slot has since been taken.
+   */
+  stop() {
+    this.active = false;
+    this.fallback = null;
+  }
+}
+
+export default TrainerAllocator;
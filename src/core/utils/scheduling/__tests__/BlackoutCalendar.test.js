@@ -0,0 +1,110 @@
+import { BlackoutCalendar, resolveTrainingLocation, toDateKey } from '../BlackoutCalendar.js';
+
+describe('toDateKey and resolveTrainingLocation', () => {
+  it('builds local date keys', () => {
+    expect(toDateKey(new Date(2025, 0, 6, 23, 30))).toBe('2025-01-06');
+    expect(toDateKey('2025-01-06T10:00:00')).toBe('2025-01-06');
+  });
+
+  it('reads the training location from a scheduling group key', () => {
+    expect(resolveTrainingLocation('UK Training Centre|Finance')).toBe('UK Training Centre');
+    expect(resolveTrainingLocation('Leeds')).toBe('Leeds');
+    expect(resolveTrainingLocation(null)).toBeNull();
+  });
+});
+
+describe('BlackoutCalendar', () => {
+  const calendar = new BlackoutCalendar([
+    { training_location: null, blackout_type: 'date', start_date: '2025-05-05', label: 'Bank holiday' },
+    { training_location: 'Leeds', blackout_type: 'range', start_date: '2025-06-02', end_date: '2025-06-04', label: 'Site move' },
+    { training_location: null, blackout_type: 'recurring', recurrence: 'yearly', start_date: '2024-12-24', end_date: '2025-01-02', label: 'Christmas' },
+    { training_location: null, blackout_type: 'recurring', recurrence: 'weekly', start_date: '2025-03-07', end_date: '2025-03-07', recurrence_until: '2025-03-31', label: 'Friday freeze' }
+  ]);
+
+  it('applies project-wide entries everywhere and location entries only at that location', () => {
+    expect(calendar.getBlackout('2025-05-05', 'Leeds|HR').label).toBe('Bank holiday');
+    expect(calendar.isBlackedOut('2025-06-03', 'Leeds|HR')).toBe(true);
+    expect(calendar.isBlackedOut('2025-06-03', 'York|HR')).toBe(false);
+    expect(calendar.isBlackedOut('2025-06-03')).toBe(false);
+  });
+
+  it('repeats yearly entries across the year end', () => {
+    expect(calendar.isBlackedOut('2026-12-31')).toBe(true);
+    expect(calendar.isBlackedOut('2027-01-02')).toBe(true);
+    expect(calendar.isBlackedOut('2027-01-03')).toBe(false);
+    expect(calendar.isBlackedOut('2024-01-01')).toBe(false);
+  });
+
+  it('repeats weekly entries until recurrence_until', () => {
+    expect(calendar.isBlackedOut('2025-03-14')).toBe(true);
+    expect(calendar.isBlackedOut('2025-03-13')).toBe(false);
+    expect(calendar.isBlackedOut('2025-04-04')).toBe(false);
+  });
+
+  it('finds the first blacked-out day of a span', () => {
+    expect(calendar.findBlackoutBetween(new Date(2025, 4, 1), new Date(2025, 4, 9))).toEqual(new Date(2025, 4, 5));
+    expect(calendar.findBlackoutBetween(new Date(2025, 4, 6), new Date(2025, 4, 9))).toBeNull();
+    expect(new BlackoutCalendar().findBlackoutBetween(new Date(2025, 4, 1), new Date(2025, 4, 9))).toBeNull();
+  });
+
+  it('lists excluded scheduling days with their scope', () => {
+    expect(calendar.getExcludedDates('Leeds', '2025-06-01', '2025-06-08', ['Monday', 'Wednesday'])).toEqual([
+      { date: '2025-06-02', label: 'Site move', scope: 'location' },
+      { date: '2025-06-04', label: 'Site move', scope: 'location' }
+    ]);
+  });
+});
+
+describe('BlackoutCalendar.fromIcsEvents', () => {
+  const from = new Date(2025, 0, 1);
+
+  it('imports single and multi-day all-day events, treating DTEND as exclusive', () => {
+    const entries = BlackoutCalendar.fromIcsEvents([
+      { uid: 'a', summary: 'Bank holiday', start: new Date(2025, 4, 5), end: new Date(2025, 4, 6), allDay: true },
+      { uid: 'b', summary: 'Shutdown', start: new Date(2025, 7, 4), end: new Date(2025, 7, 9), allDay: true },
+      { uid: 'c', summary: 'Cancelled', start: new Date(2025, 7, 4), end: new Date(2025, 7, 5), allDay: true, status: 'CANCELLED' }
+    ], { trainingLocation: 'Leeds', from });
+
+    expect(entries).toEqual([
+      expect.objectContaining({ training_location: 'Leeds', blackout_type: 'date', start_date: '2025-05-05', end_date: '2025-05-05', external_uid: 'a', source: 'ics' }),
+      expect.objectContaining({ blackout_type: 'range', start_date: '2025-08-04', end_date: '2025-08-08', external_uid: 'b' })
+    ]);
+  });
+
+  it('stores plain weekly rules as one recurring entry per weekday', () => {
+    const entries = BlackoutCalendar.fromIcsEvents([{
+      uid: 'w', summary: 'Stand-down', start: new Date(2025, 0, 6), end: new Date(2025, 0, 7), allDay: true,
+      rrule: { FREQ: 'WEEKLY', BYDAY: 'MO,FR', UNTIL: '20250331' }
+    }], { from });
+
+    expect(entries.map(({ start_date, recurrence, recurrence_until, external_uid }) =>
+      ({ start_date, recurrence, recurrence_until, external_uid })
+    )).toEqual([
+      { start_date: '2025-01-06', recurrence: 'weekly', recurrence_until: '2025-03-31', external_uid: 'w/MO' },
+      { start_date: '2025-01-10', recurrence: 'weekly', recurrence_until: '2025-03-31', external_uid: 'w/FR' }
+    ]);
+  });
+
+  it('expands other recurring rules into dated entries inside the horizon', () => {
+    const entries = BlackoutCalendar.fromIcsEvents([{
+      uid: 'm', summary: 'Month end', start: new Date(2024, 10, 25), end: new Date(2024, 10, 26), allDay: true,
+      rrule: { FREQ: 'MONTHLY', BYDAY: '-1MO' }
+    }], { from, horizonDays: 90 });
+
+    expect(entries.map(entry => entry.external_uid)).toEqual(['m/2025-01-27', 'm/2025-02-24', 'm/2025-03-31']);
+    expect(entries.every(entry => entry.blackout_type === 'date')).toBe(true);
+  });
+
+  it('reports events that cannot be imported completely', () => {
+    const events = [
+      { summary: 'Hourly', start: new Date(2025, 0, 6, 9), end: new Date(2025, 0, 6, 10), rrule: { FREQ: 'HOURLY' } },
+      { summary: 'Daily', start: new Date(2025, 0, 6, 9), end: new Date(2025, 0, 6, 10), rrule: { FREQ: 'DAILY' } },
+      { summary: 'Yearly', start: new Date(2025, 0, 1), end: new Date(2025, 0, 2), allDay: true, rrule: { FREQ: 'YEARLY' } }
+    ];
+
+    expect(BlackoutCalendar.findIncompleteIcsEvents(events, { from, horizonDays: 365 }))
+      .toEqual([{ label: 'Hourly', rule: 'FREQ=HOURLY' }]);
+    expect(BlackoutCalendar.findIncompleteIcsEvents(events, { from, horizonDays: 2000 }).map(event => event.label))
+      .toEqual(['Hourly', 'Daily']);
+  });
+});
@@ -0,0 +1,119 @@
+import {
+  BUSY_RESOURCE,
+  busyBlocksFromIcsEvents,
+  findIncompleteBusyIcsEvents,
+  getBusyBlockRange,
+  getTrainerBusyBlocks,
+  getClassroomBusyBlocks,
+  findBusyBlockOverlap,
+  formatBusyBlock
+} from '../BusyBlocks.js';
+
+// Monday 2 June 2025
+const event = (fields = {}) => ({
+  uid: 'evt-1',
+  summary: 'Team offsite',
+  start: new Date(2025, 5, 2, 9, 0, 0),
+  end: new Date(2025, 5, 2, 12, 0, 0),
+  allDay: false,
+  ...fields
+});
+
+const block = (fields = {}) => ({
+  resource_type: BUSY_RESOURCE.TRAINER,
+  trainer_id: 't1',
+  start_datetime: '2025-06-02T09:00:00',
+  end_datetime: '2025-06-02T12:00:00',
+  all_day: false,
+  label: 'Team offsite',
+  ...fields
+});
+
+const from = new Date(2025, 5, 1);
+
+describe('busyBlocksFromIcsEvents', () => {
+  it('creates trainer and classroom blocks in local time', () => {
+    expect(busyBlocksFromIcsEvents([event()], { type: BUSY_RESOURCE.TRAINER, trainerId: 't1' }, { from })).toEqual([{
+      resource_type: 'trainer',
+      trainer_id: 't1',
+      training_location: null,
+      classroom_number: null,
+      start_datetime: '2025-06-02T09:00:00',
+      end_datetime: '2025-06-02T12:00:00',
+      all_day: false,
+      label: 'Team offsite',
+      source: 'ics',
+      external_uid: 'evt-1'
+    }]);
+
+    expect(busyBlocksFromIcsEvents([event({ summary: undefined })],
+      { type: BUSY_RESOURCE.CLASSROOM, trainingLocation: 'Leeds', classroomNumber: '2' }, { from })[0]
+    ).toMatchObject({ trainer_id: null, training_location: 'Leeds', classroom_number: 2, label: 'Busy' });
+  });
+
+  it('skips cancelled, free-time, zero-length and past events', () => {
+    const blocks = busyBlocksFromIcsEvents([
+      event({ status: 'CANCELLED' }),
+      event({ transparency: 'TRANSPARENT' }),
+      event({ end: new Date(2025, 5, 2, 9, 0, 0) }),
+      event({ start: new Date(2025, 4, 30, 9, 0, 0), end: new Date(2025, 4, 30, 12, 0, 0) })
+    ], { type: BUSY_RESOURCE.TRAINER, trainerId: 't1' }, { from });
+
+    expect(blocks).toEqual([]);
+  });
+
+  it('expands recurring events up to the horizon', () => {
+    const blocks = busyBlocksFromIcsEvents([event({ rrule: { FREQ: 'WEEKLY' } })],
+      { type: BUSY_RESOURCE.TRAINER, trainerId: 't1' }, { from, horizonDays: 21 });
+
+    expect(blocks.map(b => b.start_datetime)).toEqual(['2025-06-02T09:00:00', '2025-06-09T09:00:00', '2025-06-16T09:00:00']);
+  });
+
+  it('reports busy events that cannot be imported completely', () => {
+    expect(findIncompleteBusyIcsEvents([
+      event({ summary: 'Hourly', rrule: { FREQ: 'HOURLY' } }),
+      event({ summary: 'Cancelled hourly', rrule: { FREQ: 'HOURLY' }, status: 'CANCELLED' }),
+      event({ summary: 'Weekly', rrule: { FREQ: 'WEEKLY' } })
+    ], { from })).toEqual([{ label: 'Hourly', rule: 'FREQ=HOURLY' }]);
+  });
+});
+
+describe('busy block lookups', () => {
+  const blocks = [
+    block(),
+    block({ trainer_id: 7 }),
+    block({ resource_type: BUSY_RESOURCE.CLASSROOM, trainer_id: null, training_location: 'Leeds', classroom_number: 1 }),
+    block({ resource_type: BUSY_RESOURCE.CLASSROOM, trainer_id: null, training_location: 'Leeds', classroom_number: '2' })
+  ];
+
+  it('selects blocks by trainer and by classroom', () => {
+    expect(getTrainerBusyBlocks(blocks, 't1')).toEqual([blocks[0]]);
+    expect(getTrainerBusyBlocks(blocks, '7')).toEqual([blocks[1]]);
+    expect(getTrainerBusyBlocks(blocks, null)).toEqual([]);
+    expect(getClassroomBusyBlocks(blocks, 'Leeds|Finance')).toEqual([blocks[2], blocks[3]]);
+    expect(getClassroomBusyBlocks(blocks, 'Leeds', 2)).toEqual([blocks[3]]);
+    expect(getClassroomBusyBlocks(blocks, 'York')).toEqual([]);
+  });
+
+  it('finds the block overlapping a session part', () => {
+    const part = (startHour, endHour) => ({
+      start: new Date(2025, 5, 2, startHour, 0, 0),
+      end: new Date(2025, 5, 2, endHour, 0, 0)
+    });
+
+    expect(getBusyBlockRange(blocks[0])).toEqual({ start: part(9, 12).start, end: part(9, 12).end });
+    expect(findBusyBlockOverlap([blocks[0]], [part(13, 15), part(11, 13)])).toBe(blocks[0]);
+    expect(findBusyBlockOverlap([blocks[0]], [part(12, 15)])).toBeNull();
+    expect(findBusyBlockOverlap(null, [part(9, 12)])).toBeNull();
+  });
+});
+
+describe('formatBusyBlock', () => {
+  it('describes timed and all-day blocks', () => {
+    expect(formatBusyBlock(block())).toBe('Team offsite (02/06/2025 09:00 - 12:00)');
+    expect(formatBusyBlock(block({ all_day: true, start_datetime: '2025-06-02T00:00:00', end_datetime: '2025-06-03T00:00:00' })))
+      .toBe('Team offsite (02/06/2025)');
+    expect(formatBusyBlock(block({ all_day: true, label: null, start_datetime: '2025-06-02T00:00:00', end_datetime: '2025-06-04T00:00:00' })))
+      .toBe('Busy (02/06/2025 - 03/06/2025)');
+  });
+});
@@ -0,0 +1,192 @@
+import {
+  SEQUENCING_VIOLATION,
+  SequencingTracker,
+  getCourseDependency,
+  orderCoursesByDependencies,
+  validateCourseDependencies,
+  countWorkingDaysBetween,
+  addWorkingDays,
+  isSameWeek,
+  getSequencingGroupKey,
+  findSequencingViolations
+} from '../CourseDependencies.js';
+
+const isWeekday = (date) => date.getDay() !== 0 && date.getDay() !== 6;
+
+// Monday 2 June 2025
+const at = (day, hours = 9) => new Date(2025, 5, day, hours, 0, 0);
+
+const course = (course_id, rule = {}) => ({ course_id, course_name: `Course ${course_id}`, ...rule });
+
+describe('getCourseDependency', () => {
+  it('reads the rule with defaults', () => {
+    expect(getCourseDependency(course('B', { prerequisite_course_id: 'A', max_gap_days: '5' }))).toEqual({
+      prerequisiteId: 'A', minGapDays: 0, maxGapDays: 5, sameWeek: false
+    });
+    expect(getCourseDependency(course('A'))).toBeNull();
+  });
+});
+
+describe('orderCoursesByDependencies', () => {
+  it('puts prerequisites first and otherwise keeps the priority order', () => {
+    const ordered = orderCoursesByDependencies([
+      course('C', { prerequisite_course_id: 'B' }),
+      course('X'),
+      course('B', { prerequisite_course_id: 'A' }),
+      course('A')
+    ]);
+
+    expect(ordered.map(c => c.course_id)).toEqual(['A', 'B', 'C', 'X']);
+  });
+
+  it('moves windowed dependants straight after their prerequisite', () => {
+    const ordered = orderCoursesByDependencies([
+      course('A'),
+      course('X'),
+      course('B', { prerequisite_course_id: 'A', same_week_as_prerequisite: true })
+    ]);
+
+    expect(ordered.map(c => c.course_id)).toEqual(['A', 'B', 'X']);
+  });
+
+  it('keeps the original order when the rules are circular', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const courses = [course('A', { prerequisite_course_id: 'B' }), course('B', { prerequisite_course_id: 'A' })];
+
+    expect(orderCoursesByDependencies(courses)).toEqual(courses);
+    expect(warn).toHaveBeenCalled();
+    warn.mockRestore();
+  });
+});
+
+describe('validateCourseDependencies', () => {
+  it('reports invalid rules as errors and missing prerequisites as warnings', () => {
+    const result = validateCourseDependencies([
+      course('A', { prerequisite_course_id: 'A' }),
+      course('B', { prerequisite_course_id: 'Z' }),
+      course('C', { prerequisite_course_id: 'B', min_gap_days: 5, max_gap_days: 2 })
+    ]);
+
+    expect(result.isValid).toBe(false);
+    expect(result.errors).toEqual([
+      'Course A cannot be its own prerequisite',
+      'Course C: maximum gap is smaller than minimum gap',
+      'Circular course dependency: A → A'
+    ]);
+    expect(result.warnings).toEqual(['Course B: prerequisite Z is not part of this schedule and will be ignored']);
+  });
+
+  it('reports circular rules', () => {
+    const result = validateCourseDependencies([
+      course('A', { prerequisite_course_id: 'B' }),
+      course('B', { prerequisite_course_id: 'A' })
+    ]);
+
+    expect(result.errors).toEqual(['Circular course dependency: A → B → A']);
+  });
+});
+
+describe('working-day helpers', () => {
+  it('counts and adds working days, skipping weekends', () => {
+    // Friday 6 June → Tuesday 10 June
+    expect(countWorkingDaysBetween(at(6), at(10), isWeekday)).toBe(2);
+    expect(countWorkingDaysBetween(at(6, 17), at(6, 9), isWeekday)).toBe(0);
+    expect(addWorkingDays(at(6, 17), 1, isWeekday)).toEqual(new Date(2025, 5, 9));
+    expect(addWorkingDays(at(6), 0, isWeekday)).toEqual(new Date(2025, 5, 6));
+  });
+
+  it('gives up when no working day can be found', () => {
+    expect(() => addWorkingDays(at(2), 1, () => false)).toThrow('Could not find 1 working days');
+  });
+
+  it('compares Monday-Sunday weeks', () => {
+    expect(isSameWeek(at(2), at(8, 20))).toBe(true);
+    expect(isSameWeek(at(8), at(9))).toBe(false);
+  });
+
+  it('builds group keys from a location and functional area', () => {
+    expect(getSequencingGroupKey('Leeds', 'HR')).toBe('Leeds|HR');
+    expect(getSequencingGroupKey('Leeds|HR', 'Finance')).toBe('Leeds|HR');
+    expect(getSequencingGroupKey('Leeds')).toBe('Leeds|');
+  });
+});
+
+describe('SequencingTracker', () => {
+  const prerequisite = course('A');
+
+  const trackerFor = (rule, isWorkingDay = isWeekday) => {
+    const dependent = course('B', { prerequisite_course_id: 'A', ...rule });
+    const tracker = new SequencingTracker([prerequisite, dependent], isWorkingDay);
+    // Prerequisite for group 1 runs on Thursday 5 June
+    tracker.recordSession(prerequisite, 'Leeds|HR', 1, at(5, 9), at(5, 17));
+    return { tracker, dependent };
+  };
+
+  it('returns the prerequisite end when there is no minimum gap', () => {
+    const { tracker, dependent } = trackerFor({});
+
+    expect(tracker.getEarliestStart(dependent, 'Leeds|HR', 1)).toEqual(at(5, 17));
+    expect(tracker.getLatestStart(dependent, 'Leeds|HR', 1)).toBeNull();
+  });
+
+  it('turns minimum and maximum gaps into a working-day window', () => {
+    const { tracker, dependent } = trackerFor({ min_gap_days: 1, max_gap_days: 2 });
+
+    expect(tracker.getEarliestStart(dependent, 'Leeds|HR', 1)).toEqual(new Date(2025, 5, 6));
+    // Monday 9 June is the last allowed day, so sessions must start before Tuesday
+    expect(tracker.getLatestStart(dependent, 'Leeds|HR', 1)).toEqual(new Date(2025, 5, 10));
+  });
+
+  it('skips days the working-day check rejects', () => {
+    const { tracker, dependent } = trackerFor({ min_gap_days: 1 }, date => isWeekday(date) && date.getDate() !== 6);
+
+    expect(tracker.getEarliestStart(dependent, 'Leeds|HR', 1)).toEqual(new Date(2025, 5, 9));
+  });
+
+  it('ends same-week windows on the Monday after the prerequisite week', () => {
+    const { tracker, dependent } = trackerFor({ same_week_as_prerequisite: true, max_gap_days: 10 });
+
+    expect(tracker.getLatestStart(dependent, 'Leeds|HR', 1)).toEqual(new Date(2025, 5, 9));
+  });
+
+  it('falls back to the last prerequisite session when the prerequisite has fewer groups', () => {
+    const { tracker, dependent } = trackerFor({});
+    tracker.recordSession(prerequisite, 'Leeds|HR', 2, at(3, 9), at(3, 17));
+
+    expect(tracker.getEarliestStart(dependent, 'Leeds|HR', 3)).toEqual(at(5, 17));
+    expect(tracker.getEarliestStart(dependent, 'York|HR', 1)).toBeNull();
+  });
+
+  it('merges parts of one session into a single span', () => {
+    const { tracker, dependent } = trackerFor({});
+    tracker.recordSession(prerequisite, 'Leeds|HR', 1, at(4, 9), at(4, 12));
+
+    expect(tracker.records.get('A').get('Leeds|HR').get(1)).toEqual({ start: at(4, 9), end: at(5, 17) });
+    expect(tracker.getEarliestStart(dependent, 'Leeds|HR', 1)).toEqual(at(5, 17));
+  });
+
+  it('reports placements that break the rules', () => {
+    const { tracker, dependent } = trackerFor({ min_gap_days: 1, max_gap_days: 2, same_week_as_prerequisite: true });
+    const types = (start, end) => tracker.checkPlacement(dependent, 'Leeds|HR', 1, start, end).map(v => v.type);
+
+    expect(types(at(5, 9), at(5, 12))).toEqual([SEQUENCING_VIOLATION.BEFORE_PREREQUISITE]);
+    expect(types(at(5, 17), at(5, 18))).toEqual([SEQUENCING_VIOLATION.MIN_GAP]);
+    expect(types(at(6), at(6, 17))).toEqual([]);
+    expect(types(at(10), at(10, 17))).toEqual([SEQUENCING_VIOLATION.MAX_GAP, SEQUENCING_VIOLATION.SAME_WEEK]);
+  });
+});
+
+describe('findSequencingViolations', () => {
+  it('checks saved sessions per group', () => {
+    const courses = [course('A'), course('B', { prerequisite_course_id: 'A', min_gap_days: 1 })];
+    const sessions = [
+      { course_id: 'A', training_location: 'Leeds', functional_area: 'HR', session_number: 1, start: at(5, 9), end: at(5, 17) },
+      { course_id: 'B', training_location: 'Leeds', functional_area: 'HR', session_number: 1, start: at(5, 17), end: at(5, 18) },
+      { course_id: 'B', location: 'Leeds|HR', sessionNumber: 2, start: at(6, 9), end: at(6, 17) }
+    ];
+
+    expect(findSequencingViolations(sessions, courses, isWeekday)).toEqual([
+      expect.objectContaining({ type: SEQUENCING_VIOLATION.MIN_GAP, course: 'Course B', prerequisite: 'A', location: 'Leeds|HR', sessionNumber: 1 })
+    ]);
+  });
+});
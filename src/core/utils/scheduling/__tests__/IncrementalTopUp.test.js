@@ -0,0 +1,194 @@
+import {
+  getSessionGroupKey,
+  isSessionFixed,
+  buildSessionGroups,
+  planTopUp,
+  getTopUpCriteria,
+  getTopUpReservations,
+  renumberTopUpGroups
+} from '../IncrementalTopUp.js';
+
+const WEEKDAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'];
+
+const sessionRow = (id, course_id, session_number, start_datetime, end_datetime, fields = {}) => ({
+  id,
+  course_id,
+  course_name: `Course ${course_id}`,
+  training_location: 'London',
+  functional_area: 'Finance',
+  session_number,
+  start_datetime,
+  end_datetime,
+  max_attendees: 10,
+  classroom_number: 1,
+  ...fields
+});
+
+const demandRow = (id, course_id) => ({ id, name: `Learner ${id}`, training_location: 'London', functional_area: 'Finance', course_id });
+
+const now = new Date(2025, 2, 1);
+
+describe('session groups', () => {
+  it('builds keys and fixed flags from saved rows', () => {
+    expect(getSessionGroupKey({ training_location: 'London', functional_area: 'Finance' })).toBe('London|Finance');
+    expect(getSessionGroupKey({ training_location: 'London' })).toBe('London');
+    expect(isSessionFixed({ start_datetime: '2025-02-28T09:00:00' }, now)).toBe(true);
+    expect(isSessionFixed({ start_datetime: '2025-03-03T09:00:00', locked: true }, now)).toBe(true);
+    expect(isSessionFixed({ start_datetime: '2025-03-03T09:00:00' }, now)).toBe(false);
+  });
+
+  it('groups the parts of one course group and fixes the group once any part is fixed', () => {
+    const groups = buildSessionGroups([
+      sessionRow('b1', 'B', 1, '2025-03-04T09:00:00', '2025-03-04T12:00:00'),
+      sessionRow('a2', 'A', 1, '2025-03-03T13:00:00', '2025-03-03T16:00:00', { locked: true }),
+      sessionRow('a1', 'A', 1, '2025-03-03T09:00:00', '2025-03-03T12:00:00')
+    ], [{ course_id: 'A' }, { course_id: 'B' }], {}, now);
+
+    expect(groups.map(group => group.key)).toEqual(['A|London|Finance|1', 'B|London|Finance|1']);
+    expect(groups[0].parts.map(part => part.id)).toEqual(['a1', 'a2']);
+    expect(groups[0]).toMatchObject({
+      start: new Date(2025, 2, 3, 9, 0, 0),
+      end: new Date(2025, 2, 3, 16, 0, 0),
+      capacity: 10,
+      fixed: true
+    });
+    expect(groups[1].fixed).toBe(false);
+  });
+});
+
+describe('planTopUp', () => {
+  it('fills spare seats in open groups, earliest first, and leaves the rest for new sessions', () => {
+    const plan = planTopUp({
+      demandRows: [demandRow('u1', 'A'), demandRow('u2', 'A'), demandRow('u3', 'A'), demandRow('u4', 'A')],
+      sessionRows: [
+        sessionRow('p1', 'A', 1, '2025-02-27T09:00:00', '2025-02-27T12:00:00'),
+        sessionRow('a2', 'A', 2, '2025-03-05T09:00:00', '2025-03-05T12:00:00', { max_attendees: 2 }),
+        sessionRow('a3', 'A', 3, '2025-03-04T09:00:00', '2025-03-04T12:00:00', { max_attendees: 2 })
+      ],
+      assignments: [
+        { end_user_id: 'u1', course_id: 'A', session_id: 'p1' },
+        { end_user_id: 'x1', course_id: 'A', session_id: 'a3' }
+      ],
+      courses: [{ course_id: 'A', course_name: 'Course A' }],
+      criteria: { scheduling_days: WEEKDAYS },
+      now
+    });
+
+    expect(plan).toMatchObject({ uncovered: 3, remainingCount: 0, fixedGroups: 1, openGroups: 2 });
+    expect(plan.seatFills.map(fill => [fill.endUserId, fill.group.key])).toEqual([
+      ['u2', 'A|London|Finance|3'],
+      ['u3', 'A|London|Finance|2'],
+      ['u4', 'A|London|Finance|2']
+    ]);
+  });
+
+  describe('sequencing windows', () => {
+    // Prerequisite A on Friday 7 March; open groups of B on Mon 10, Tue 11, Thu 13 and Mon 17 March
+    const sessionRows = [
+      sessionRow('a1', 'A', 1, '2025-03-07T09:00:00', '2025-03-07T12:00:00'),
+      sessionRow('b1', 'B', 1, '2025-03-10T09:00:00', '2025-03-10T12:00:00'),
+      sessionRow('b2', 'B', 2, '2025-03-11T13:00:00', '2025-03-11T16:00:00'),
+      sessionRow('b3', 'B', 3, '2025-03-13T13:00:00', '2025-03-13T16:00:00'),
+      sessionRow('b4', 'B', 4, '2025-03-17T13:00:00', '2025-03-17T16:00:00')
+    ];
+
+    const planFor = (rule, criteria = {}) => planTopUp({
+      demandRows: [demandRow('u1', 'B')],
+      sessionRows,
+      assignments: [{ end_user_id: 'u1', course_id: 'A', session_id: 'a1' }],
+      courses: [
+        { course_id: 'A', course_name: 'Course A' },
+        { course_id: 'B', course_name: 'Course B', prerequisite_course_id: 'A', ...rule }
+      ],
+      criteria: { scheduling_days: WEEKDAYS, ...criteria },
+      now
+    });
+
+    const filledGroup = (plan) => plan.seatFills.map(fill => fill.group.key)[0] || null;
+
+    it('counts minimum gaps in working days', () => {
+      expect(filledGroup(planFor({ min_gap_days: 1 }))).toBe('B|London|Finance|1');
+      expect(filledGroup(planFor({ min_gap_days: 2 }))).toBe('B|London|Finance|2');
+    });
+
+    it('skips blacked-out days when counting the gap', () => {
+      const plan = planFor({ min_gap_days: 1 }, { blackout_dates: [{ start_date: '2025-03-10', label: 'Holiday' }] });
+
+      expect(filledGroup(plan)).toBe('B|London|Finance|2');
+    });
+
+    it('only fills groups before the maximum gap runs out', () => {
+      expect(filledGroup(planFor({ min_gap_days: 3, max_gap_days: 5 }))).toBe('B|London|Finance|3');
+
+      const plan = planFor({ min_gap_days: 3, max_gap_days: 3 });
+      expect(plan.seatFills).toEqual([]);
+      expect(plan.remainingDemand).toEqual({ 'London|Finance': [demandRow('u1', 'B')] });
+    });
+
+    it('only fills groups in the prerequisite week for same-week rules', () => {
+      expect(planFor({ same_week_as_prerequisite: true }).remainingCount).toBe(1);
+    });
+  });
+
+  it('sends dependent courses to new sessions with their prerequisite', () => {
+    const plan = planTopUp({
+      demandRows: [demandRow('u1', 'A'), demandRow('u1', 'B')],
+      sessionRows: [sessionRow('b1', 'B', 1, '2025-03-10T09:00:00', '2025-03-10T12:00:00')],
+      courses: [
+        { course_id: 'B', course_name: 'Course B', prerequisite_course_id: 'A' },
+        { course_id: 'A', course_name: 'Course A' }
+      ],
+      criteria: { scheduling_days: WEEKDAYS },
+      now
+    });
+
+    expect(plan.seatFills).toEqual([]);
+    expect(plan.remainingCount).toBe(2);
+  });
+});
+
+describe('top-up run settings', () => {
+  it('never starts new sessions before tomorrow', () => {
+    const today = new Date(2025, 2, 5, 15, 0, 0);
+
+    expect(getTopUpCriteria({ start_date: '2025-03-01', max_attendees: 10 }, today))
+      .toEqual({ start_date: '2025-03-06', max_attendees: 10 });
+    expect(getTopUpCriteria({ start_date: '2025-03-20' }, today)).toEqual({ start_date: '2025-03-20' });
+    expect(getTopUpCriteria({}, today)).toEqual({ start_date: '2025-03-06' });
+  });
+
+  it('reserves the classrooms and trainers of sessions that have not ended', () => {
+    const reservations = getTopUpReservations([
+      sessionRow('old', 'A', 1, '2025-02-27T09:00:00', '2025-02-27T12:00:00'),
+      sessionRow('s1', 'A', 2, '2025-03-03T09:00:00', '2025-03-03T12:30:00', { classroom_number: 2, instructor_id: 't1' })
+    ], now);
+
+    expect(reservations).toEqual([{
+      sessionId: 'existing-s1',
+      location: 'London|Finance',
+      classroomNumber: 2,
+      start: new Date(2025, 2, 3, 9, 0, 0),
+      end: new Date(2025, 2, 3, 12, 30, 0),
+      trainerId: 't1',
+      duration: 3.5
+    }]);
+  });
+
+  it('numbers new groups after the saved groups of the same course and location', () => {
+    const session = { course: { course_id: 'A' }, sessionNumber: 1, title: 'Course A - Group 1' };
+    const other = { course: { course_id: 'A' }, sessionNumber: 1, title: 'Course A - Group 1' };
+    const diagnostics = [{ courseId: 'A', location: 'London|Finance', sessionNumber: 2 }];
+
+    renumberTopUpGroups({
+      sessionsGrouped: { 'Finance': { 'London|Finance': { 1: [session] }, 'Leeds|Finance': { 1: [other] } } },
+      diagnostics
+    }, [
+      sessionRow('a1', 'A', 1, '2025-03-03T09:00:00', '2025-03-03T12:00:00'),
+      sessionRow('a3', 'A', 3, '2025-03-04T09:00:00', '2025-03-04T12:00:00')
+    ]);
+
+    expect(session).toMatchObject({ sessionNumber: 4, title: 'Course A - Group 4' });
+    expect(other).toMatchObject({ sessionNumber: 1, title: 'Course A - Group 1' });
+    expect(diagnostics[0].sessionNumber).toBe(5);
+  });
+});
@@ -0,0 +1,137 @@
+import {
+  LEARNER_CONFLICT,
+  getLearnerId,
+  getLearnerLimits,
+  LearnerLoadTracker,
+  findLearnerBookingConflict,
+  findLearnerConflicts
+} from '../LearnerLoad.js';
+
+// Monday 2 June 2025
+const part = (day, startHour, endHour, fields = {}) => ({
+  start: new Date(2025, 5, day, startHour, 0, 0),
+  end: new Date(2025, 5, day, endHour, 0, 0),
+  duration: endHour - startHour,
+  ...fields
+});
+
+const learners = [{ end_user_id: 'u1', name: 'Ann' }, { end_user_id: 'u2', name: 'Bob' }];
+
+describe('getLearnerId and getLearnerLimits', () => {
+  it('identifies learners by end_user_id, then id', () => {
+    expect(getLearnerId({ end_user_id: 7, id: 'row' })).toBe('7');
+    expect(getLearnerId({ id: 'u1' })).toBe('u1');
+    expect(getLearnerId({})).toBeNull();
+  });
+
+  it('treats blank limits as no limit and prevents overlaps unless allowed', () => {
+    expect(getLearnerLimits({ learner_max_hours_per_day: '4', learner_max_hours_per_week: '' })).toEqual({
+      maxHoursPerDay: 4, maxHoursPerWeek: null, preventOverlaps: true
+    });
+    expect(getLearnerLimits({ allow_learner_overlaps: true }).preventOverlaps).toBe(false);
+  });
+});
+
+describe('LearnerLoadTracker', () => {
+  it('does nothing when every limit is off', () => {
+    const tracker = new LearnerLoadTracker({ allow_learner_overlaps: true });
+    tracker.book(learners, [part(2, 9, 12)]);
+
+    expect(tracker.isActive()).toBe(false);
+    expect(tracker.check(learners, [part(2, 9, 12)])).toBeNull();
+  });
+
+  it('reports overlaps with the time the learner is free again', () => {
+    const tracker = new LearnerLoadTracker();
+    tracker.book([learners[0]], [part(2, 9, 12, { title: 'SAP Basics' })]);
+
+    const conflict = tracker.check(learners, [part(2, 11, 13)]);
+
+    expect(conflict).toMatchObject({ type: LEARNER_CONFLICT.OVERLAP, learnerId: 'u1', retryAfter: part(2, 9, 12).end });
+    expect(conflict.detail).toMatch(/^Learner Ann already in SAP Basics until/);
+    expect(tracker.check(learners, [part(2, 12, 13)])).toBeNull();
+  });
+
+  it('reports the conflict that clears last across the group', () => {
+    const tracker = new LearnerLoadTracker();
+    tracker.book([learners[0]], [part(2, 9, 11)]);
+    tracker.book([learners[1]], [part(2, 10, 12)]);
+
+    expect(tracker.check(learners, [part(2, 9, 12)])).toMatchObject({ learnerId: 'u2', retryAfter: part(2, 10, 12).end });
+  });
+
+  it('moves to the next day or week when an hour limit is reached', () => {
+    const tracker = new LearnerLoadTracker({ learner_max_hours_per_day: 4, learner_max_hours_per_week: 8 });
+    tracker.book(learners, [part(2, 9, 12)]);
+
+    expect(tracker.check(learners, [part(2, 13, 15)])).toMatchObject({
+      type: LEARNER_CONFLICT.DAILY_HOURS,
+      retryAfter: new Date(2025, 5, 3)
+    });
+
+    tracker.book(learners, [part(3, 9, 13)]);
+    expect(tracker.check(learners, [part(4, 9, 11)])).toMatchObject({
+      type: LEARNER_CONFLICT.WEEKLY_HOURS,
+      retryAfter: new Date(2025, 5, 9)
+    });
+  });
+
+  it('lets a course longer than the limit run when the learner has nothing else that day', () => {
+    const tracker = new LearnerLoadTracker({ learner_max_hours_per_day: 4 });
+
+    expect(tracker.check(learners, [part(2, 9, 17)])).toBeNull();
+  });
+});
+
+describe('findLearnerBookingConflict', () => {
+  it('checks a manual assignment against the learner\'s other courses only', () => {
+    const booked = [part(2, 9, 12, { course_id: 'A', title: 'Course A' }), part(3, 9, 12, { course_id: 'B', title: 'Course B' })];
+
+    expect(findLearnerBookingConflict(booked, [part(2, 10, 11, { course_id: 'A' })])).toBeNull();
+    expect(findLearnerBookingConflict(booked, [part(3, 10, 11, { course_id: 'A' })])).toMatchObject({
+      type: LEARNER_CONFLICT.OVERLAP,
+      message: expect.stringMatching(/^Learner already in another session: already in Course B/)
+    });
+  });
+});
+
+describe('findLearnerConflicts', () => {
+  const sessions = [
+    part(2, 9, 12, { id: 's1', title: 'Course A', course_id: 'A' }),
+    part(2, 11, 13, { id: 's2', title: 'Course B', course_id: 'B' }),
+    part(3, 9, 17, { id: 's3', title: 'Course C', course_id: 'C' })
+  ];
+
+  it('finds double bookings once per pair of sessions', () => {
+    const conflicts = findLearnerConflicts(sessions, [
+      { end_user_id: 'u1', session_id: 's1', end_users: { name: 'Ann' } },
+      { end_user_id: 'u1', session_id: 's2' },
+      { end_user_id: 'u1', session_id: 's2' },
+      { end_user_id: 'u2', session_id: 's3' },
+      { end_user_id: 'u2', session_id: 'missing' }
+    ]);
+
+    expect(conflicts).toEqual([expect.objectContaining({
+      type: LEARNER_CONFLICT.OVERLAP,
+      learnerId: 'u1',
+      learnerName: 'Ann',
+      sessions: ['Course A', 'Course B'],
+      message: 'Ann is in Course A and Course B at the same time'
+    })]);
+  });
+
+  it('reports hour limits only when several courses add up to more than the limit', () => {
+    const conflicts = findLearnerConflicts(sessions, [
+      { end_user_id: 'u1', session_id: 's1' },
+      { end_user_id: 'u1', session_id: 's2' },
+      { end_user_id: 'u1', session_id: 's3' }
+    ], { allow_learner_overlaps: true, learner_max_hours_per_day: 4 });
+
+    expect(conflicts).toEqual([expect.objectContaining({
+      type: LEARNER_CONFLICT.DAILY_HOURS,
+      hours: 5,
+      limit: 4,
+      sessions: ['Course A', 'Course B']
+    })]);
+  });
+});
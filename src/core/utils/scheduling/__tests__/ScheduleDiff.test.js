@@ -0,0 +1,102 @@
+import { SESSION_CHANGE, getRevisionSessionKey, diffScheduleRevisions } from '../ScheduleDiff.js';
+
+const session = (session_identifier, fields = {}) => ({
+  id: `row-${session_identifier}`,
+  session_identifier,
+  start_datetime: '2025-06-02T09:00:00',
+  end_datetime: '2025-06-02T12:00:00',
+  training_location: 'Leeds',
+  classroom_number: 1,
+  instructor_id: 't1',
+  instructor_name: 'Ann Trainer',
+  ...fields
+});
+
+describe('getRevisionSessionKey', () => {
+  it('uses the session identifier, falling back to the row id', () => {
+    expect(getRevisionSessionKey({ id: 5, session_identifier: 'S-1' })).toBe('S-1');
+    expect(getRevisionSessionKey({ id: 5 })).toBe('id:5');
+  });
+});
+
+describe('diffScheduleRevisions', () => {
+  it('classifies added, removed, moved and re-trainered sessions', () => {
+    const { changes, summary } = diffScheduleRevisions({
+      sessions: [
+        session('kept'),
+        session('moved'),
+        session('retrainered'),
+        session('both'),
+        session('removed', { start_datetime: '2025-06-01T09:00:00' })
+      ]
+    }, {
+      sessions: [
+        session('kept', { id: 'new-row' }),
+        session('moved', { classroom_number: '2' }),
+        session('retrainered', { instructor_id: 't2', instructor_name: 'Bob Trainer' }),
+        session('both', { start_datetime: '2025-06-03T09:00:00', instructor_id: '' }),
+        session('added', { start_datetime: '2025-06-04T09:00:00' })
+      ]
+    });
+
+    expect(changes.map(change => [change.key, change.types])).toEqual([
+      ['removed', [SESSION_CHANGE.REMOVED]],
+      ['moved', [SESSION_CHANGE.MOVED]],
+      ['retrainered', [SESSION_CHANGE.RETRAINERED]],
+      ['both', [SESSION_CHANGE.MOVED, SESSION_CHANGE.RETRAINERED]],
+      ['added', [SESSION_CHANGE.ADDED]]
+    ]);
+    expect(changes[0].after).toBeNull();
+    expect(changes[4].before).toBeNull();
+    expect(summary).toEqual({ added: 1, removed: 1, moved: 2, retrainered: 2, unchanged: 1, affectedAssignments: 0 });
+  });
+
+  it('compares trainer names when neither revision has trainer ids', () => {
+    const before = session('S-1', { instructor_id: null, instructor_name: 'Ann Trainer' });
+
+    expect(diffScheduleRevisions({ sessions: [before] }, { sessions: [{ ...before }] }).summary.unchanged).toBe(1);
+    expect(diffScheduleRevisions({ sessions: [before] }, { sessions: [{ ...before, instructor_name: 'Bob Trainer' }] }).summary.retrainered)
+      .toBe(1);
+  });
+
+  it('treats null, empty and missing fields alike', () => {
+    const before = session('S-1', { classroom_number: null, instructor_id: null });
+    const after = session('S-1', { classroom_number: '', instructor_id: undefined });
+
+    expect(diffScheduleRevisions({ sessions: [before] }, { sessions: [after] }).summary.unchanged).toBe(1);
+  });
+
+  it('lists the learners assigned to a changed session in either revision', () => {
+    const { changes, summary } = diffScheduleRevisions({
+      sessions: [session('S-1'), session('S-2')],
+      assignments: [
+        { end_user_id: 'u1', end_user_name: 'Ann', session_identifier: 'S-1' },
+        { end_user_id: 'u2', session_id: 'row-S-1' },
+        { end_user_id: 'u3', end_user_name: 'Cat', session_identifier: 'S-2' }
+      ]
+    }, {
+      sessions: [session('S-1', { start_datetime: '2025-06-02T10:00:00' }), session('S-2')],
+      assignments: [
+        { end_user_id: 'u1', session_identifier: 'S-1' },
+        { end_user_id: 'u4', end_user_name: 'Dan', session_id: 'row-S-1' },
+        { end_user_id: 'u5', session_id: 'missing' }
+      ]
+    });
+
+    expect(changes).toHaveLength(1);
+    expect(changes[0].learners).toEqual([
+      { end_user_id: 'u1', name: 'Ann' },
+      { end_user_id: 'u2', name: 'User u2' },
+      { end_user_id: 'u4', name: 'Dan' }
+    ]);
+    expect(summary.affectedAssignments).toBe(3);
+  });
+
+  it('handles missing revisions', () => {
+    expect(diffScheduleRevisions(null, { sessions: [session('S-1')] }).summary.added).toBe(1);
+    expect(diffScheduleRevisions(undefined, undefined)).toEqual({
+      changes: [],
+      summary: { added: 0, removed: 0, moved: 0, retrainered: 0, unchanged: 0, affectedAssignments: 0 }
+    });
+  });
+});
@@ -0,0 +1,228 @@
+import {
+  MERGE_CONFLICT,
+  isSameVersion,
+  hasLocalSessionChanges,
+  mergeSessionFields,
+  mergeSessionChangeSet,
+  resolveSessionConflicts,
+  mergeAssignmentChangeSet,
+  resolveAssignmentConflicts
+} from '../ScheduleMerge.js';
+
+const V1 = '2025-06-01T10:00:00.000Z';
+const V2 = '2025-06-01T11:00:00.000Z';
+
+const sessionRow = (id, fields = {}) => ({
+  id,
+  session_identifier: `S-${id}`,
+  session_title: `Session ${id}`,
+  start_datetime: '2025-06-02T09:00:00',
+  end_datetime: '2025-06-02T12:00:00',
+  training_location: 'Leeds',
+  classroom_number: 1,
+  instructor_name: 'Ann',
+  notes: '',
+  updated_at: V1,
+  ...fields
+});
+
+// The editor's save row for a session: the same fields, without the version
+const saveRow = (row, fields = {}) => {
+  const { updated_at, ...rest } = row;
+  return { ...rest, ...fields };
+};
+
+describe('isSameVersion and hasLocalSessionChanges', () => {
+  it('compares versions as instants', () => {
+    expect(isSameVersion('2025-06-01T10:00:00Z', '2025-06-01T11:00:00+01:00')).toBe(true);
+    expect(isSameVersion(V1, V2)).toBe(false);
+    expect(isSameVersion(null, undefined)).toBe(true);
+    expect(isSameVersion(V1, null)).toBe(false);
+  });
+
+  it('ignores empty values and equal instants written differently', () => {
+    const draft = saveRow(sessionRow('1'));
+
+    expect(hasLocalSessionChanges(draft, { ...draft, notes: null, start_datetime: '2025-06-02T09:00:00.000' })).toBe(false);
+    expect(hasLocalSessionChanges(draft, { ...draft, classroom_number: 2 })).toBe(true);
+    expect(hasLocalSessionChanges(undefined, draft)).toBe(true);
+  });
+});
+
+describe('mergeSessionFields', () => {
+  it('keeps changes made on one side and reports different changes to the same field', () => {
+    const base = sessionRow('1');
+    const theirs = sessionRow('1', { classroom_number: 2, notes: 'Bring laptops', instructor_name: 'Bob', updated_at: V2 });
+    const mine = saveRow(base, { training_location: 'York', notes: 'Bring laptops', instructor_name: 'Cat' });
+
+    const { row, remoteFields, conflicts } = mergeSessionFields({ base, draft: null, mine, theirs });
+
+    expect(row).toMatchObject({ training_location: 'York', classroom_number: 2, notes: 'Bring laptops', instructor_name: 'Cat' });
+    expect(remoteFields).toEqual(['classroom_number']);
+    expect(conflicts).toEqual([{ field: 'instructor_name', base: 'Ann', mine: 'Cat', theirs: 'Bob' }]);
+  });
+});
+
+describe('mergeSessionChangeSet', () => {
+  const base = [sessionRow('1'), sessionRow('2'), sessionRow('3'), sessionRow('4'), sessionRow('5')];
+  const baseSessions = new Map(base.map(row => [row.id, row]));
+  const baseDrafts = new Map(base.map(row => [row.session_identifier, saveRow(row)]));
+
+  it('merges, keeps and reports sessions changed, added or deleted by others', () => {
+    const merge = mergeSessionChangeSet({
+      baseSessions,
+      baseDrafts,
+      currentSessions: [
+        sessionRow('1', { classroom_number: 3, updated_at: V2 }),
+        sessionRow('2', { instructor_name: 'Bob', updated_at: V2 }),
+        // 3 and 4 deleted by someone else
+        sessionRow('5', { notes: 'Moved', updated_at: V2 }),
+        sessionRow('6', { updated_at: V2 }),
+        sessionRow('7', { updated_at: V1 })
+      ],
+      changeSet: {
+        updates: [
+          saveRow(base[0], { notes: 'Mine' }),
+          saveRow(base[1], { instructor_name: 'Cat' }),
+          saveRow(sessionRow('7'), { notes: 'New' })
+        ],
+        inserts: [saveRow(base[2]), saveRow(base[3], { classroom_number: 2 }), { session_title: 'Brand new' }],
+        deleteIds: ['5', '6'],
+        scheduleChanges: { status: 'draft' }
+      }
+    });
+
+    expect(merge.changeSet.updates.map(row => [row.id, row.classroom_number, row.notes])).toEqual([
+      ['1', 3, 'Mine'],
+      ['7', 1, 'New']
+    ]);
+    expect(merge.changeSet.inserts).toEqual([{ session_title: 'Brand new' }]);
+    expect(merge.changeSet.deleteIds).toEqual([]);
+    expect(merge.changeSet.scheduleChanges).toEqual({ status: 'draft' });
+    expect(merge.expectedVersions).toEqual({ 1: V2, 7: V1 });
+    expect(merge.mergedFromOthers).toEqual([{ title: 'Session 1', fields: ['classroom_number'] }]);
+    expect(merge.removedByOthers).toEqual(['Session 3']);
+    expect(merge.keptFromOthers).toEqual(['Session 6']);
+
+    expect(merge.conflicts.map(conflict => [conflict.id, conflict.type])).toEqual([
+      ['2', MERGE_CONFLICT.BOTH_CHANGED],
+      ['4', MERGE_CONFLICT.DELETED_ELSEWHERE],
+      ['5', MERGE_CONFLICT.CHANGED_ELSEWHERE]
+    ]);
+    expect(merge.conflicts[1].fields).toEqual([{ field: 'classroom_number', base: 1, mine: 2, theirs: null }]);
+    expect(merge.conflicts[2].fields).toEqual([{ field: 'notes', base: '', mine: null, theirs: 'Moved' }]);
+  });
+
+  it('passes unchanged sessions straight through', () => {
+    const merge = mergeSessionChangeSet({
+      baseSessions,
+      baseDrafts,
+      currentSessions: base,
+      changeSet: { updates: [saveRow(base[0], { notes: 'Mine' })], inserts: [], deleteIds: ['2'] }
+    });
+
+    expect(merge.conflicts).toEqual([]);
+    expect(merge.changeSet.deleteIds).toEqual(['2']);
+    expect(merge.expectedVersions).toEqual({ 1: V1, 2: V1 });
+  });
+
+  describe('resolveSessionConflicts', () => {
+    const merge = mergeSessionChangeSet({
+      baseSessions,
+      baseDrafts,
+      currentSessions: [
+        sessionRow('2', { instructor_name: 'Bob', updated_at: V2 }),
+        sessionRow('5', { notes: 'Moved', updated_at: V2 })
+      ],
+      changeSet: {
+        updates: [saveRow(base[1], { instructor_name: 'Cat' })],
+        inserts: [saveRow(base[3], { classroom_number: 2 })],
+        deleteIds: ['5']
+      }
+    });
+
+    it('keeps theirs for unresolved conflicts', () => {
+      const resolved = resolveSessionConflicts(merge);
+
+      expect(resolved.keptTheirs).toBe(3);
+      expect(resolved.changeSet.updates).toEqual([expect.objectContaining({ id: '2', instructor_name: 'Bob' })]);
+      expect(resolved.changeSet.inserts).toEqual([]);
+      expect(resolved.changeSet.deleteIds).toEqual([]);
+      expect(resolved.expectedVersions).toEqual({ 2: V2 });
+    });
+
+    it('applies mine where chosen and recreates deleted sessions without their old id', () => {
+      const resolved = resolveSessionConflicts(merge, { 2: 'mine', 4: 'mine', 5: 'mine' });
+
+      expect(resolved.keptTheirs).toBe(0);
+      expect(resolved.changeSet.updates).toEqual([expect.objectContaining({ id: '2', instructor_name: 'Cat' })]);
+      expect(resolved.changeSet.inserts).toHaveLength(1);
+      expect(resolved.changeSet.inserts[0]).not.toHaveProperty('id');
+      expect(resolved.changeSet.inserts[0].classroom_number).toBe(2);
+      expect(resolved.changeSet.deleteIds).toEqual(['5']);
+      expect(resolved.expectedVersions).toEqual({ 2: V2, 5: V2 });
+    });
+  });
+});
+
+describe('mergeAssignmentChangeSet', () => {
+  const assignment = (id, fields = {}) => ({
+    id, end_user_id: `u${id}`, session_id: 's1', session_identifier: 'S-s1', assignment_status: 'assigned', updated_at: V1, ...fields
+  });
+  const session = (id, fields = {}) => ({ id, start_datetime: '2025-06-02T09:00:00', training_location: 'Leeds', updated_at: V1, ...fields });
+
+  const baseAssignments = new Map([['a1', assignment('a1')], ['a2', assignment('a2')], ['a3', assignment('a3')]]);
+  const baseSessions = new Map([['s1', session('s1')], ['s2', session('s2')], ['s3', session('s3')]]);
+
+  const merge = mergeAssignmentChangeSet({
+    baseAssignments,
+    baseSessions,
+    currentAssignments: [assignment('a1'), assignment('a2', { assignment_status: 'confirmed', updated_at: V2 })],
+    currentSessions: [
+      session('s1', { notes: 'Changed', updated_at: V2 }),
+      session('s2', { training_location: 'York', updated_at: V2 })
+    ],
+    changeSet: {
+      deleteIds: ['a1', 'a2', 'a3'],
+      inserts: [
+        { end_user_id: 'u9', session_id: 's1', session_identifier: 'S-s1' },
+        { end_user_id: 'u9', session_id: 's2', session_identifier: 'S-s2' },
+        { end_user_id: 'u9', session_id: 's3', session_identifier: 'S-s3' },
+        { end_user_id: 'u9', session_id: 'new-session' }
+      ]
+    }
+  });
+
+  it('deletes unchanged assignments and reports those changed or removed by others', () => {
+    expect(merge.changeSet.deleteIds).toEqual(['a1']);
+    expect(merge.expectedVersions).toEqual({ a1: V1 });
+    expect(merge.conflicts[0]).toMatchObject({
+      id: 'a2',
+      type: MERGE_CONFLICT.ASSIGNMENT_CHANGED_ELSEWHERE,
+      title: 'S-s1',
+      fields: [{ field: 'assignment_status', base: 'assigned', mine: null, theirs: 'confirmed' }]
+    });
+    expect(merge.removedByOthers).toEqual(['S-s1', 'S-s3']);
+  });
+
+  it('only holds back learners assigned to sessions whose visible fields others changed', () => {
+    expect(merge.changeSet.inserts.map(row => row.session_id)).toEqual(['s1', 'new-session']);
+    expect(merge.expectedSessionVersions).toEqual({ s1: V2 });
+    expect(merge.conflicts[1]).toMatchObject({
+      id: 'insert-1',
+      type: MERGE_CONFLICT.SESSION_CHANGED_ELSEWHERE,
+      fields: [{ field: 'training_location', base: 'Leeds', mine: 'Leeds', theirs: 'York' }]
+    });
+  });
+
+  it('applies the user\'s choices', () => {
+    expect(resolveAssignmentConflicts(merge).keptTheirs).toBe(2);
+
+    const resolved = resolveAssignmentConflicts(merge, { a2: 'mine', 'insert-1': 'mine' });
+    expect(resolved.keptTheirs).toBe(0);
+    expect(resolved.changeSet.deleteIds).toEqual(['a1', 'a2']);
+    expect(resolved.changeSet.inserts.map(row => row.session_id)).toEqual(['s1', 'new-session', 's2']);
+    expect(resolved.expectedVersions).toEqual({ a1: V1, a2: V2 });
+    expect(resolved.expectedSessionVersions).toEqual({ s1: V2, s2: V2 });
+  });
+});
@@ -0,0 +1,101 @@
+import { flattenSessions, calculateScheduleMetrics, compareScheduleMetrics } from '../ScheduleMetrics.js';
+
+const WEEKDAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'];
+
+// Eight-hour days, Monday to Friday
+const timeBlockEngine = {
+  getMaxDailyHours: () => 8,
+  isSchedulableDate: (date, location, dayNames) => dayNames.includes(WEEKDAYS[date.getDay() - 1])
+};
+
+// Monday 2 June 2025
+const session = (courseId, location, sessionNumber, day, startHour, endHour, fields = {}) => ({
+  course: { course_id: courseId },
+  location,
+  sessionNumber,
+  start: new Date(2025, 5, day, startHour, 0, 0),
+  end: new Date(2025, 5, day, endHour, 0, 0),
+  duration: endHour - startHour,
+  ...fields
+});
+
+describe('flattenSessions', () => {
+  it('flattens functional area, location and classroom groupings', () => {
+    const a = session('A', 'Leeds', 1, 2, 9, 12);
+    const b = session('B', 'Leeds', 1, 3, 9, 12);
+    const c = session('A', 'York', 1, 2, 9, 12);
+
+    expect(flattenSessions({ Finance: { Leeds: { 1: [a], 2: [b] } }, HR: { York: { 1: [c] } } })).toEqual([a, b, c]);
+    expect(flattenSessions(null)).toEqual([]);
+  });
+});
+
+describe('calculateScheduleMetrics', () => {
+  const context = { timeBlockEngine, dayNames: WEEKDAYS, classroomsByLocation: new Map([['Leeds', 2]]) };
+
+  it('returns empty metrics for an empty schedule', () => {
+    expect(calculateScheduleMetrics([], context)).toMatchObject({ sessionCount: 0, spanDays: 0, firstStart: null });
+  });
+
+  it('measures span, hours and classroom idle time on working days', () => {
+    const metrics = calculateScheduleMetrics([
+      // Leeds: Friday 6 to Monday 9 June, two classrooms, two working days
+      session('A', 'Leeds', 1, 6, 9, 17),
+      session('B', 'Leeds', 1, 9, 9, 13),
+      // York: one classroom, one working day
+      session('A', 'York', 1, 3, 9, 15)
+    ], context);
+
+    expect(metrics).toMatchObject({
+      sessionCount: 3,
+      sessionGroupCount: 3,
+      firstStart: new Date(2025, 5, 3, 9, 0, 0),
+      lastEnd: new Date(2025, 5, 9, 13, 0, 0),
+      spanDays: 7,
+      scheduledHours: 18,
+      // Leeds 2 days x 8 hours x 2 classrooms - 12 hours, York 8 - 6
+      idleClassroomHours: 22
+    });
+  });
+
+  it('counts session groups, not parts, as unstaffed or out of sequence', () => {
+    const metrics = calculateScheduleMetrics([
+      session('A', 'Leeds', 1, 2, 9, 12, { staffing_status: 'staffed' }),
+      session('A', 'Leeds', 1, 3, 9, 12, { staffing_status: 'unstaffed' }),
+      session('A', 'Leeds', 2, 4, 9, 12, { staffing_status: 'unstaffed' }),
+      session('B', 'Leeds', 1, 5, 9, 12, { sequencingViolations: [{ type: 'MAX_GAP' }] }),
+      session('B', 'Leeds', 1, 6, 9, 12, { sequencingViolations: [{ type: 'MAX_GAP' }] })
+    ], context);
+
+    expect(metrics).toMatchObject({ sessionCount: 5, sessionGroupCount: 3, unstaffedCount: 2, sequencingViolationCount: 1 });
+  });
+});
+
+describe('compareScheduleMetrics', () => {
+  const metrics = (fields) => ({
+    sessionGroupCount: 10, sequencingViolationCount: 0, unstaffedCount: 0, spanDays: 20, idleClassroomHours: 50, ...fields
+  });
+
+  const best = (...candidates) => [...candidates].sort(compareScheduleMetrics)[0];
+
+  it('ranks more groups, then fewer breaches, then fewer unstaffed groups first', () => {
+    const moreGroups = metrics({ sessionGroupCount: 11, sequencingViolationCount: 3 });
+    const fewerBreaches = metrics({ unstaffedCount: 4 });
+    const staffed = metrics({ sequencingViolationCount: 1, spanDays: 40 });
+
+    expect(best(metrics({}), moreGroups)).toBe(moreGroups);
+    expect(best(metrics({ sequencingViolationCount: 1 }), fewerBreaches)).toBe(fewerBreaches);
+    expect(best(metrics({ sequencingViolationCount: 1, unstaffedCount: 1, spanDays: 10 }), staffed)).toBe(staffed);
+  });
+
+  it('prefers a fully staffed schedule over a shorter one, then shorter spans and less idle time', () => {
+    const staffed = metrics({ spanDays: 30 });
+    const shorter = metrics({ spanDays: 15, idleClassroomHours: 90 });
+    const lessIdle = metrics({ idleClassroomHours: 10 });
+
+    expect(best(metrics({ unstaffedCount: 1, spanDays: 10 }), staffed)).toBe(staffed);
+    expect(best(metrics({}), shorter)).toBe(shorter);
+    expect(best(metrics({}), lessIdle)).toBe(lessIdle);
+    expect(compareScheduleMetrics(metrics({}), metrics({}))).toBe(0);
+  });
+});
@@ -0,0 +1,204 @@
+import { TrainerAllocator, TrainerSearch, STAFFING_STATUS } from '../TrainerAllocator.js';
+
+// Monday 2 June 2025
+const part = (day, startHour, endHour) => ({
+  start: new Date(2025, 5, day, startHour, 0, 0),
+  end: new Date(2025, 5, day, endHour, 0, 0),
+  duration: endHour - startHour
+});
+
+const course = { course_id: 'SAP-101', course_name: 'SAP Basics', functional_area: 'Finance' };
+
+const trainer = (id, fields = {}) => ({ id, name: `Trainer ${id}`, specializations: [], ...fields });
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('TrainerAllocator', () => {
+  it('ignores inactive trainers', () => {
+    const allocator = new TrainerAllocator([trainer('t1', { active: false })]);
+
+    expect(allocator.hasTrainers()).toBe(false);
+  });
+
+  it('matches specializations case-insensitively against the course', () => {
+    const allocator = new TrainerAllocator();
+
+    expect(allocator.isQualified(trainer('t1'), course)).toBe(true);
+    expect(allocator.isQualified(trainer('t1', { specializations: [' finance '] }), course)).toBe(true);
+    expect(allocator.isQualified(trainer('t1', { specializations: ['HR'] }), course)).toBe(false);
+  });
+
+  it('explains why no trainer can teach a session', () => {
+    const allocator = new TrainerAllocator([
+      trainer('t1', { home_location: 'York' }),
+      trainer('t2', { max_hours_per_day: 4 })
+    ]);
+
+    expect(allocator.findTrainer(course, [part(2, 9, 17)], 'Leeds|Finance')).toEqual({
+      trainer: null,
+      reason: 'None of the 2 qualified trainers can teach this session (1 based at another location, 1 daily hour limit reached)'
+    });
+    expect(new TrainerAllocator([trainer('t1', { specializations: ['HR'] })]).findTrainer(course, [part(2, 9, 12)]).reason)
+      .toBe('No trainer is qualified to teach SAP Basics');
+  });
+
+  it('lets home-based trainers teach virtual sessions', () => {
+    const allocator = new TrainerAllocator([trainer('t1', { home_location: 'York' })]);
+
+    expect(allocator.findTrainer(course, [part(2, 9, 12)], 'Virtual|Finance').trainer.id).toBe('t1');
+  });
+
+  it('checks weekly windows and unavailable periods', () => {
+    const allocator = new TrainerAllocator([trainer('t1')], [
+      { trainer_id: 't1', window_type: 'weekly', day_of_week: 1, start_time: '09:00', end_time: '13:00' },
+      { trainer_id: 't1', window_type: 'unavailable', start_date: '2025-06-09' }
+    ]);
+
+    expect(allocator.findTrainer(course, [part(2, 9, 12)]).trainer).not.toBeNull();
+    expect(allocator.findTrainer(course, [part(2, 12, 15)]).trainer).toBeNull();
+    expect(allocator.findTrainer(course, [part(3, 9, 12)]).trainer).toBeNull();
+    expect(allocator.findTrainer(course, [part(9, 9, 12)]).reason).toContain('outside availability');
+  });
+
+  it('keeps trainers out of their imported busy time', () => {
+    const allocator = new TrainerAllocator([trainer('t1')], [], [
+      { resource_type: 'trainer', trainer_id: 't1', start_datetime: '2025-06-02T10:00:00', end_datetime: '2025-06-02T11:00:00' },
+      { resource_type: 'classroom', training_location: 'Leeds', classroom_number: 1, start_datetime: '2025-06-03T09:00:00', end_datetime: '2025-06-03T17:00:00' }
+    ]);
+
+    expect(allocator.findTrainer(course, [part(2, 9, 12)]).reason).toContain('busy elsewhere');
+    expect(allocator.findTrainer(course, [part(2, 11, 14)]).trainer).not.toBeNull();
+    expect(allocator.findTrainer(course, [part(3, 9, 12)]).trainer).not.toBeNull();
+  });
+
+  it('never double books and respects weekly hour limits', () => {
+    const allocator = new TrainerAllocator([trainer('t1', { max_hours_per_week: 10 })]);
+    allocator.bookTrainer(allocator.trainers[0], [part(2, 9, 17)]);
+
+    expect(allocator.findTrainer(course, [part(2, 16, 18)]).reason).toContain('already teaching');
+    expect(allocator.findTrainer(course, [part(3, 9, 11)]).trainer).not.toBeNull();
+    expect(allocator.findTrainer(course, [part(3, 9, 12)]).reason).toContain('weekly hour limit reached');
+    // The following week starts a new limit
+    expect(allocator.findTrainer(course, [part(9, 9, 12)]).trainer).not.toBeNull();
+  });
+
+  it('prefers trainers based at the location, then the least-loaded trainer', () => {
+    const allocator = new TrainerAllocator([trainer('a'), trainer('b'), trainer('c', { home_location: 'Leeds' })]);
+
+    expect(allocator.findTrainer(course, [part(2, 9, 12)], 'Leeds|Finance').trainer.id).toBe('c');
+    expect(allocator.findTrainer(course, [part(2, 9, 12)], 'York|Finance').trainer.id).toBe('a');
+
+    allocator.bookTrainer(allocator.trainers[0], [part(3, 9, 12)]);
+    expect(allocator.findTrainer(course, [part(2, 9, 12)], 'York|Finance').trainer.id).toBe('b');
+  });
+
+  it('books assigned trainers and records unstaffed sessions', () => {
+    const allocator = new TrainerAllocator([trainer('t1')]);
+
+    expect(allocator.assignTrainer(course, [part(2, 9, 12)], 'Leeds')).toEqual({
+      trainer_id: 't1',
+      trainer_name: 'Trainer t1',
+      staffing_status: STAFFING_STATUS.STAFFED,
+      unstaffed_reason: null
+    });
+    expect(allocator.assignTrainer(course, [part(2, 10, 11)], 'Leeds')).toMatchObject({
+      trainer_id: '',
+      staffing_status: STAFFING_STATUS.UNSTAFFED,
+      unstaffed_reason: 'The only qualified trainer cannot teach this session (1 already teaching)'
+    });
+
+    expect(allocator.getSummary()).toMatchObject({
+      totalTrainers: 1,
+      hoursByTrainer: [{ trainer_id: 't1', trainer_name: 'Trainer t1', hours: 3 }],
+      unstaffedCount: 1
+    });
+  });
+
+  it('clones bookings without sharing them', () => {
+    const allocator = new TrainerAllocator([trainer('t1')]);
+    allocator.bookTrainer(allocator.trainers[0], [part(2, 9, 12)]);
+
+    const copy = allocator.clone();
+    copy.bookTrainer(copy.trainers[0], [part(3, 9, 12)]);
+
+    expect(allocator.bookings.get('t1')).toHaveLength(1);
+    expect(copy.bookings.get('t1')).toHaveLength(2);
+  });
+});
+
+describe('TrainerSearch', () => {
+  const bookedAllocator = () => {
+    const allocator = new TrainerAllocator([trainer('t1')]);
+    allocator.bookTrainer(allocator.trainers[0], [part(2, 9, 17)]);
+    return allocator;
+  };
+
+  it('accepts every slot when no trainer is qualified', () => {
+    const allocator = new TrainerAllocator([trainer('t1', { specializations: ['HR'] })]);
+    const search = new TrainerSearch(allocator, course);
+
+    expect(search.active).toBe(false);
+    expect(search.accepts([part(2, 9, 12)])).toBe(true);
+    expect(new TrainerSearch(null, course).accepts([part(2, 9, 12)])).toBe(true);
+  });
+
+  it('passes over busy slots and keeps the first as the fallback', () => {
+    const search = new TrainerSearch(bookedAllocator(), course, 'Leeds', { limits: [null, new Date(2025, 5, 4)] });
+    const first = [part(2, 9, 12)];
+
+    expect(search.accepts(first, { slot: 1 })).toBe(false);
+    expect(search.accepts([part(2, 13, 16)], { slot: 2 })).toBe(false);
+    expect(search.fallback).toEqual({ slot: 1 });
+    expect(search.passedOver).toBe(2);
+    expect(search.reason).toContain('already teaching');
+    expect(search.accepts([part(3, 9, 12)])).toBe(true);
+  });
+
+  it('is exhausted once the next slot passes the earliest limit', () => {
+    const search = new TrainerSearch(bookedAllocator(), course, 'Leeds', {
+      limits: [new Date(2025, 5, 10), new Date(2025, 5, 4)]
+    });
+
+    expect(search.isExhausted(new Date(2025, 5, 5))).toBe(false);
+    search.accepts([part(2, 9, 12)]);
+    expect(search.isExhausted(new Date(2025, 5, 3))).toBe(false);
+    expect(search.isExhausted(new Date(2025, 5, 4))).toBe(true);
+  });
+
+  it('uses the latest limit when searching backward', () => {
+    const search = new TrainerSearch(bookedAllocator(), course, 'Leeds', {
+      limits: [new Date(2025, 4, 20), new Date(2025, 4, 26)],
+      backward: true
+    });
+    search.accepts([part(2, 9, 12)]);
+
+    expect(search.limit).toEqual(new Date(2025, 4, 26));
+    expect(search.isExhausted(new Date(2025, 4, 27))).toBe(false);
+    expect(search.isExhausted(new Date(2025, 4, 25))).toBe(true);
+  });
+
+  it('gives up after too many slots without a limit', () => {
+    const search = new TrainerSearch(bookedAllocator(), course);
+    for (let i = 0; i < 199; i++) search.accepts([part(2, 9, 12)]);
+
+    expect(search.isExhausted(null)).toBe(false);
+    search.accepts([part(2, 9, 12)]);
+    expect(search.isExhausted(null)).toBe(true);
+  });
+
+  it('accepts every slot once stopped', () => {
+    const search = new TrainerSearch(bookedAllocator(), course);
+    search.accepts([part(2, 9, 12)]);
+    search.stop();
+
+    expect(search.fallback).toBeNull();
+    expect(search.isExhausted(new Date(2030, 0, 1))).toBe(false);
+    expect(search.accepts([part(2, 9, 12)])).toBe(true);
+  });
+});
@@ -5,8 +5,173 @@
  */
 
 // Core engines
-export { TimeBlockEngine, parseTimeToHours, calculateDuration } from './TimeBlockEngine.js';
+export {
+  TimeBlockEngine,
+  parseTimeToHours,
+  calculateDuration,
+  formatHoursToTime,
+  getTimeBlockDefinitions,
+  getLegacyTimeSettings
+} from './TimeBlockEngine.js';
 export { SessionSplitter } from './SessionSplitter.js';
+export { BlackoutCalendar, BLACKOUT_IMPORT_HORIZON_DAYS, resolveTrainingLocation, toDateKey } from './BlackoutCalendar.js';
+export { TrainerAllocator, TrainerSearch, STAFFING_STATUS } from './TrainerAllocator.js';
+export {
+  BUSY_RESOURCE,
+  BUSY_RESOURCE_LABELS,
+  BUSY_BLOCK_HORIZON_DAYS,
+  busyBlocksFromIcsEvents,
+  findIncompleteBusyIcsEvents,
+  getBusyBlockRange,
+  getTrainerBusyBlocks,
+  getClassroomBusyBlocks,
+  findBusyBlockOverlap,
+  formatBusyBlock
+} from './BusyBlocks.js';
+export {
+  SequencingTracker,
+  SEQUENCING_VIOLATION,
+  getCourseDependency,
+  orderCoursesByDependencies,
+  validateCourseDependencies,
+  findSequencingViolations,
+  getSequencingGroupKey
+} from './CourseDependencies.js';
+export {
+  ScheduleOptimiser,
+  getOptimiserTimeBudgetMs,
+  DEFAULT_OPTIMISER_TIME_BUDGET_SECONDS,
+  MAX_OPTIMISER_TIME_BUDGET_SECONDS
+} from './ScheduleOptimiser.js';
+export { flattenSessions, calculateScheduleMetrics, compareScheduleMetrics } from './ScheduleMetrics.js';
+export { BackwardScheduler } from './BackwardScheduler.js';
+export {
+  DELIVERY_MODE,
+  DELIVERY_MODE_LABELS,
+  VIRTUAL_LOCATION,
+  getDeliveryMode,
+  isVirtualCourse,
+  isVirtualLocation,
+  getSessionDeliveryMode,
+  getCourseCapacity,
+  toDeliveryMethod,
+  fromDeliveryMethod,
+  poolVirtualDemand,
+  calculateVirtualRooms
+} from './DeliveryModes.js';
+export {
+  DAY_PATTERN,
+  DAY_PATTERN_LABELS,
+  getCourseDayPattern,
+  getDayPatternInterval,
+  getCourseDailyHourCap,
+  getCourseDayPlan,
+  hasCustomDayPlan
+} from './CourseDayPatterns.js';
+export {
+  FILL_POLICY,
+  FILL_POLICY_LABELS,
+  FILL_ACTION,
+  getFillPolicy,
+  getMinAttendees,
+  shouldBalanceGroups,
+  getSmallestGroupSize,
+  isUnderFilled,
+  getNeighbouringLocations,
+  applyFillPolicy,
+  recordCancelledFillDemand,
+  buildUtilisationReport
+} from './MinimumFill.js';
+export {
+  LEARNER_CONFLICT,
+  LEARNER_CONFLICT_LABELS,
+  getLearnerId,
+  getLearnerLimits,
+  LearnerLoadTracker,
+  findLearnerBookingConflict,
+  findLearnerConflicts
+} from './LearnerLoad.js';
+export {
+  SCENARIO_FIELDS,
+  SCENARIO_METRICS,
+  createScenario,
+  getScenarioCriteria,
+  applyExtraClassrooms,
+  summariseScenarioResult,
+  findBestScenarios
+} from './ScenarioSandbox.js';
+export {
+  SESSION_CHANGE,
+  SESSION_CHANGE_LABELS,
+  getRevisionSessionKey,
+  diffScheduleRevisions
+} from './ScheduleDiff.js';
+export {
+  SCHEDULE_STATUS,
+  SCHEDULE_STATUS_LABELS,
+  SCHEDULE_STATUS_COLORS,
+  SCHEDULE_TRANSITIONS,
+  normaliseScheduleStatus,
+  getAvailableTransitions,
+  findTransition,
+  isScheduleLocked,
+  isScheduleReadOnly
+} from './ScheduleLifecycle.js';
+export {
+  MERGE_CONFLICT,
+  MERGE_CONFLICT_LABELS,
+  MERGE_FIELD_LABELS,
+  ASSIGNMENT_MERGE_FIELD_LABELS,
+  isSameVersion,
+  hasLocalSessionChanges,
+  mergeSessionFields,
+  mergeSessionChangeSet,
+  resolveSessionConflicts,
+  mergeAssignmentChangeSet,
+  resolveAssignmentConflicts
+} from './ScheduleMerge.js';
+export {
+  TIMELINE_MODE,
+  TIMELINE_MODE_LABELS,
+  UNASSIGNED_TRAINER_KEY,
+  getSessionClassroom,
+  getCoursePartsKey,
+  getCourseParts,
+  getDailyCapacityHours,
+  getTimelineDays,
+  getTimelineRowKey,
+  buildTimelineRows,
+  getRowDayHours,
+  getRowUtilisation,
+  planTimelineMove
+} from './ResourceTimeline.js';
+export {
+  getLocationWave,
+  hasLocationWaves,
+  getLocationWindow,
+  validateLocationWaves,
+  buildWaveReport
+} from './LocationWaves.js';
+export {
+  SchedulingDiagnostics,
+  SCHEDULING_CONSTRAINT,
+  SCHEDULING_CONSTRAINT_LABELS,
+  DIAGNOSTIC_STATUS,
+  recordUnknownCourseDemand,
+  formatDiagnosticTime,
+  summariseDiagnostics
+} from './SchedulingDiagnostics.js';
+export {
+  TOP_UP_SCHEDULING_MODE,
+  getSessionGroupKey,
+  isSessionFixed,
+  buildSessionGroups,
+  planTopUp,
+  getTopUpCriteria,
+  getTopUpReservations,
+  getTopUpClassroomReqs,
+  renumberTopUpGroups
+} from './IncrementalTopUp.js';
 
 // Common utilities
 export {
@@ -17,10 +182,12 @@ export {
   calculateSessionsNeeded,
   createSessionGroups,
   initializeSchedulingEngines,
+  createCancellationCheck,
   logCoursePriorityOrder,
   createEnhancedGroupName,
   formatSessionTitle,
-  validateSessionSchedule
+  validateSessionSchedule,
+  validateLearnerSchedule
 } from './SchedulingCore.js';
 
 // Default export for convenience
@@ -0,0 +1,381 @@
+import jsPDF from 'jspdf';
+import autoTable from 'jspdf-autotable';
+import { getSessionAttendeeIds, sanitizeFilename } from './calendarEvents.js';
+import { DELIVERY_MODE, DELIVERY_MODE_LABELS } from './scheduling/DeliveryModes.js';
+
+/**
+ * Session Pack Generator
+ *
+ * Builds the printable PDF pack for running a schedule's sessions:
+ * - door sheets: one page per classroom per day, listing the sessions held there
+ * - sign-in sheets: one page per session, with the assigned learners and signature columns
+ * - trainer briefs: one page per session, with course details, the learners' roles and their
+ *   previous absences
+ */
+
+export const SESSION_PACK_SECTIONS = {
+  DOOR_SHEETS: 'doorSheets',
+  SIGN_IN_SHEETS: 'signInSheets',
+  TRAINER_BRIEFS: 'trainerBriefs'
+};
+
+// Blank rows at the end of each sign-in sheet for learners who turn up unassigned
+const WALK_IN_ROWS = 3;
+const MARGIN = 15;
+const HEADER_COLOR = [66, 96, 146];
+
+/**
+ * Narrow a schedule's sessions to a pack's date range and location
+ * @param {Array} sessions - Calendar sessions
+ * @param {Object} filters
+ * @param {string} filters.startDate - First day, YYYY-MM-DD (optional)
+ * @param {string} filters.endDate - Last day, YYYY-MM-DD (optional)
+ * @param {string} filters.location - Training location (optional)
+ * @returns {Array} Matching sessions in start order
+ */
+export const filterPackSessions = (sessions, { startDate = '', endDate = '', location = '' } = {}) => {
+  return (sessions || [])
+    .filter(session => !isNaN(new Date(session.start).getTime()))
+    .filter(session => !location || getSessionLocation(session) === location)
+    .filter(session => !startDate || toDateKey(session.start) >= startDate)
+    .filter(session => !endDate || toDateKey(session.start) <= endDate)
+    .sort((a, b) => new Date(a.start) - new Date(b.start));
+};
+
+/**
+ * Training locations of a schedule's sessions, for choosing a pack's location
+ * @param {Array} sessions - Calendar sessions
+ * @returns {Array} Location names, sorted
+ */
+export const getPackLocations = (sessions) =>
+  [...new Set((sessions || []).map(getSessionLocation).filter(Boolean))].sort();
+
+/**
+ * Generate a session pack PDF
+ * @param {Object} params
+ * @param {Object} params.schedule - The training schedule
+ * @param {Array} params.sessions - Sessions in the pack (see filterPackSessions)
+ * @param {Array} params.assignments - Schedule assignments, with end_users
+ * @param {Array} params.courses - courses rows for the sessions' courses
+ * @param {Array} params.absences - Learners' absence records (attendanceService.getAttendeeAbsences)
+ * @param {Array} params.sections - SESSION_PACK_SECTIONS values to include
+ * @returns {Object} - { success, filename, pdf, pageCount, error }
+ */
+export const generateSessionPack = ({ schedule, sessions, assignments = [], courses = [], absences = [], sections }) => {
+  try {
+    if (!sessions || sessions.length === 0) {
+      throw new Error('No sessions match the selected dates and location');
+    }
+    if (!sections || sections.length === 0) {
+      throw new Error('Choose at least one part of the pack to generate');
+    }
+
+    const pdf = new jsPDF();
+    const context = {
+      schedule,
+      courses: new Map(courses.map(course => [course.course_id, course])),
+      absences,
+      getLearners: (session) => getSessionLearners(session, assignments)
+    };
+    let firstPage = true;
+    const addPage = () => {
+      if (!firstPage) pdf.addPage();
+      firstPage = false;
+    };
+
+    if (sections.includes(SESSION_PACK_SECTIONS.DOOR_SHEETS)) {
+      groupByRoomAndDay(sessions).forEach(roomDay => {
+        addPage();
+        addDoorSheet(pdf, roomDay, context);
+      });
+    }
+
+    if (sections.includes(SESSION_PACK_SECTIONS.SIGN_IN_SHEETS)) {
+      sessions.forEach(session => {
+        addPage();
+        addSignInSheet(pdf, session, context);
+      });
+    }
+
+    if (sections.includes(SESSION_PACK_SECTIONS.TRAINER_BRIEFS)) {
+      sessions.forEach(session => {
+        addPage();
+        addTrainerBrief(pdf, session, context);
+      });
+    }
+
+    addPageFooters(pdf, schedule);
+
+    const timestamp = new Date().toISOString().slice(0, 10);
+    return {
+      success: true,
+      filename: `Session_Pack_${sanitizeFilename(schedule?.name || 'Schedule')}_${timestamp}.pdf`,
+      pdf,
+      pageCount: pdf.getNumberOfPages()
+    };
+  } catch (error) {
+    console.error('❌ Error in generateSessionPack:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Door sheet: the room, the date, and the sessions held there that day
+ * @param {jsPDF} pdf - Document, on a new page
+ * @param {Object} roomDay - { location, classroom, day, sessions }
+ * @param {Object} context - Pack context
+ */
+const addDoorSheet = (pdf, roomDay, context) => {
+  const pageWidth = pdf.internal.pageSize.getWidth();
+
+  pdf.setFont('helvetica', 'bold');
+  pdf.setFontSize(32);
+  pdf.text(roomDay.location, pageWidth / 2, 45, { align: 'center', maxWidth: pageWidth - MARGIN * 2 });
+  pdf.setFontSize(26);
+  pdf.text(roomDay.classroom, pageWidth / 2, 65, { align: 'center' });
+  pdf.setFont('helvetica', 'normal');
+  pdf.setFontSize(18);
+  pdf.text(formatDate(roomDay.day, { weekday: 'long' }), pageWidth / 2, 82, { align: 'center' });
+
+  autoTable(pdf, {
+    head: [['Time', 'Course', 'Trainer', 'Learners']],
+    body: roomDay.sessions.map(session => [
+      formatTimeRange(session),
+      getCourseLabel(session),
+      session.trainer_name || 'TBC',
+      context.getLearners(session).length
+    ]),
+    startY: 100,
+    margin: { left: MARGIN, right: MARGIN },
+    styles: { fontSize: 14, cellPadding: 4 },
+    headStyles: { fillColor: HEADER_COLOR },
+    columnStyles: { 0: { cellWidth: 40 }, 3: { cellWidth: 32, halign: 'center' } }
+  });
+};
+
+/**
+ * Sign-in sheet: a session's assigned learners with signature columns
+ * @param {jsPDF} pdf - Document, on a new page
+ * @param {Object} session - Calendar session
+ * @param {Object} context - Pack context
+ */
+const addSignInSheet = (pdf, session, context) => {
+  const learners = context.getLearners(session);
+  let currentY = addSessionHeading(pdf, 'Sign-in Sheet', session);
+
+  if (session.max_attendees || session.max_participants) {
+    pdf.text(`Assigned: ${learners.length} / ${session.max_attendees || session.max_participants}`, MARGIN, currentY);
+    currentY += 8;
+  }
+
+  autoTable(pdf, {
+    head: [['#', 'Name', 'Role', 'Signature (Start)', 'Signature (End)']],
+    body: [
+      ...learners.map((learner, index) => [index + 1, learner.name, learner.project_role || '', '', '']),
+      ...Array.from({ length: WALK_IN_ROWS }, (_, index) => [learners.length + index + 1, '', '', '', ''])
+    ],
+    startY: currentY,
+    margin: { left: MARGIN, right: MARGIN },
+    styles: { fontSize: 10, minCellHeight: 10, valign: 'middle' },
+    headStyles: { fillColor: HEADER_COLOR },
+    columnStyles: { 0: { cellWidth: 10 }, 3: { cellWidth: 40 }, 4: { cellWidth: 40 } },
+    theme: 'grid'
+  });
+};
+
+/**
+ * Trainer brief: course details, the learners and their roles, and their previous absences
+ * @param {jsPDF} pdf - Document, on a new page
+ * @param {Object} session - Calendar session
+ * @param {Object} context - Pack context
+ */
+const addTrainerBrief = (pdf, session, context) => {
+  const learners = context.getLearners(session);
+  const course = context.courses.get(session.course_id) || {};
+  const learnerIds = new Set(learners.map(learner => String(learner.id)));
+  const absences = context.absences.filter(absence =>
+    learnerIds.has(String(absence.attendee_id)) &&
+    new Date(absence.session.start_datetime) < new Date(session.start)
+  );
+  const currentY = addSessionHeading(pdf, 'Trainer Brief', session);
+
+  const prerequisite = course.prerequisite_course_id
+    ? context.courses.get(course.prerequisite_course_id)?.course_name || course.prerequisite_course_id
+    : '';
+  const details = [
+    ['Course ID', session.course_id || course.course_id || ''],
+    ['Application', course.application || ''],
+    ['Functional Area', session.functional_area || course.functional_area || ''],
+    ['Course Duration', course.duration_hrs ? `${course.duration_hrs} hours` : ''],
+    ['Prerequisite', prerequisite],
+    ['Delivery', session.deliveryMode ? DELIVERY_MODE_LABELS[session.deliveryMode] : ''],
+    ['Join Online', session.deliveryMode !== DELIVERY_MODE.CLASSROOM ? session.meetingLink || '' : ''],
+    ['Notes', session.notes || '']
+  ].filter(([, value]) => value);
+
+  autoTable(pdf, {
+    body: details,
+    startY: currentY,
+    margin: { left: MARGIN, right: MARGIN },
+    styles: { fontSize: 10 },
+    columnStyles: { 0: { fontStyle: 'bold', cellWidth: 40 } },
+    theme: 'plain'
+  });
+
+  const absenceCounts = absences.reduce((counts, absence) => {
+    counts.set(String(absence.attendee_id), (counts.get(String(absence.attendee_id)) || 0) + 1);
+    return counts;
+  }, new Map());
+
+  autoTable(pdf, {
+    head: [['Learner', 'Role', 'Location', 'Previous Absences']],
+    body: learners.length > 0
+      ? learners.map(learner => [
+        learner.name,
+        learner.project_role || '',
+        learner.training_location || '',
+        absenceCounts.get(String(learner.id)) || ''
+      ])
+      : [[{ content: 'No learners are assigned to this session yet', colSpan: 4 }]],
+    startY: pdf.lastAutoTable.finalY + 8,
+    margin: { left: MARGIN, right: MARGIN },
+    styles: { fontSize: 9 },
+    headStyles: { fillColor: HEADER_COLOR },
+    columnStyles: { 3: { cellWidth: 35, halign: 'center' } }
+  });
+
+  if (absences.length > 0) {
+    const names = new Map(learners.map(learner => [String(learner.id), learner.name]));
+
+    autoTable(pdf, {
+      head: [['Learner', 'Missed Session', 'Date', 'Status', 'Notes']],
+      body: absences.map(absence => [
+        names.get(String(absence.attendee_id)),
+        absence.session.session_title || absence.session.course_name,
+        formatDate(absence.session.start_datetime),
+        absence.status?.status_name || '',
+        absence.notes || ''
+      ]),
+      startY: pdf.lastAutoTable.finalY + 8,
+      margin: { left: MARGIN, right: MARGIN },
+      styles: { fontSize: 8 },
+      headStyles: { fillColor: [192, 80, 77] }
+    });
+  }
+};
+
+/**
+ * Heading shared by sign-in sheets and trainer briefs
+ * @param {jsPDF} pdf - Document, on a new page
+ * @param {string} title - Page title
+ * @param {Object} session - Calendar session
+ * @returns {number} Y position below the heading
+ */
+const addSessionHeading = (pdf, title, session) => {
+  pdf.setFont('helvetica', 'bold');
+  pdf.setFontSize(18);
+  pdf.text(title, MARGIN, 20);
+  pdf.setFontSize(14);
+  pdf.text(getCourseLabel(session), MARGIN, 30, { maxWidth: pdf.internal.pageSize.getWidth() - MARGIN * 2 });
+
+  pdf.setFont('helvetica', 'normal');
+  pdf.setFontSize(11);
+  pdf.text(`${formatDate(session.start, { weekday: 'long' })}, ${formatTimeRange(session)}`, MARGIN, 40);
+  pdf.text(`${getSessionLocation(session) || 'TBD'} - ${getSessionClassroom(session)}`, MARGIN, 47);
+  pdf.text(`Trainer: ${session.trainer_name || 'TBC'}`, MARGIN, 54);
+
+  return 62;
+};
+
+// Schedule name and page numbers at the foot of every page
+const addPageFooters = (pdf, schedule) => {
+  const pageCount = pdf.getNumberOfPages();
+  const pageWidth = pdf.internal.pageSize.getWidth();
+  const pageHeight = pdf.internal.pageSize.getHeight();
+
+  for (let page = 1; page <= pageCount; page++) {
+    pdf.setPage(page);
+    pdf.setFont('helvetica', 'normal');
+    pdf.setFontSize(8);
+    pdf.setTextColor(120);
+    pdf.text(schedule?.name || '', MARGIN, pageHeight - 8);
+    pdf.text(`Page ${page} of ${pageCount}`, pageWidth - MARGIN, pageHeight - 8, { align: 'right' });
+    pdf.setTextColor(0);
+  }
+};
+
+/**
+ * Group sessions into one entry per classroom per day, in location, date and room order
+ * @param {Array} sessions - Calendar sessions in start order
+ * @returns {Array} - { location, classroom, date (YYYY-MM-DD), day (Date), sessions }
+ */
+const groupByRoomAndDay = (sessions) => {
+  const roomDays = new Map();
+
+  sessions.forEach(session => {
+    const location = getSessionLocation(session) || 'TBD';
+    const classroom = getSessionClassroom(session);
+    const date = toDateKey(session.start);
+    const key = `${location}|${date}|${classroom}`;
+
+    if (!roomDays.has(key)) {
+      roomDays.set(key, { location, classroom, date, day: new Date(session.start), sessions: [] });
+    }
+    roomDays.get(key).sessions.push(session);
+  });
+
+  return [...roomDays.values()].sort((a, b) =>
+    a.location.localeCompare(b.location) ||
+    a.date.localeCompare(b.date) ||
+    a.classroom.localeCompare(b.classroom, undefined, { numeric: true })
+  );
+};
+
+/**
+ * The learners assigned to a session, by name
+ * @param {Object} session - Calendar session
+ * @param {Array} assignments - Schedule assignments, with end_users
+ * @returns {Array} end_users of the assigned learners
+ */
+const getSessionLearners = (session, assignments) => {
+  const attendeeIds = getSessionAttendeeIds(session, assignments);
+  const learners = new Map();
+
+  assignments.forEach(assignment => {
+    if (attendeeIds.has(assignment.end_user_id) && !learners.has(assignment.end_user_id)) {
+      learners.set(assignment.end_user_id, {
+        id: assignment.end_user_id,
+        name: `User ${assignment.end_user_id}`,
+        ...assignment.end_users
+      });
+    }
+  });
+
+  return [...learners.values()].sort((a, b) => a.name.localeCompare(b.name));
+};
+
+// Course name with "Day N of M" for multi-day courses
+const getCourseLabel = (session) => {
+  const courseName = session.course_name || session.title || 'Training Session';
+  return session.totalDays > 1
+    ? `${courseName} - Day ${session.daySequence || 1} of ${session.totalDays}`
+    : courseName;
+};
+
+const getSessionLocation = (session) => session._location || session.training_location || session.location || '';
+
+const getSessionClassroom = (session) => session._classroom ||
+  (session.classroom_number ? `Classroom ${session.classroom_number}` : 'Classroom');
+
+const toDateKey = (date) => {
+  const value = new Date(date);
+  return `${value.getFullYear()}-${String(value.getMonth() + 1).padStart(2, '0')}-${String(value.getDate()).padStart(2, '0')}`;
+};
+
+const formatDate = (date, options = {}) =>
+  new Date(date).toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric', ...options });
+
+const formatTimeRange = (session) => {
+  const format = (date) => new Date(date).toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit' });
+  return `${format(session.start)} - ${format(session.end)}`;
+};
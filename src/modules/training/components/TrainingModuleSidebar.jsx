@@ -114,6 +114,11 @@ const TrainingModuleSidebar = ({ isOpen, onToggle }) => {
                   Reports
                 </NavLink>
               </li>
+              <li>
+                <NavLink to="/audit-log" className="sidebar-link">
+                  Audit Log
+                </NavLink>
+              </li>
             </ul>
           </li>
 
@@ -1,8 +1,9 @@
 import React, { useState, useEffect } from 'react';
 import { supabase } from '@core/services/supabaseClient';
+import { getTrainerBusyBlocks, findBusyBlockOverlap, formatBusyBlock } from '@core/utils/scheduling/index.js';
 import './BulkTrainerAssign.css';
 
-const BulkTrainerAssign = ({ isOpen, onClose, selectedEvents, sessions, onApply }) => {
+const BulkTrainerAssign = ({ isOpen, onClose, selectedEvents, sessions, onApply, busyBlocks = [] }) => {
   const [selectedTrainer, setSelectedTrainer] = useState('');
   const [trainers, setTrainers] = useState([]);
   const [loading, setLoading] = useState(false);
@@ -77,9 +78,19 @@ const BulkTrainerAssign = ({ isOpen, onClose, selectedEvents, sessions, onApply
       }
     }
 
-    // Check trainer availability (if we had that data)
-    // This is a placeholder for future implementation
-    
+    // Check the trainer's imported busy time
+    const trainerBusy = getTrainerBusyBlocks(busyBlocks, trainerId);
+    selectedSessionsData.forEach(session => {
+      const block = findBusyBlockOverlap(trainerBusy, [session]);
+      if (block) {
+        conflicts.push({
+          type: 'trainer_busy',
+          sessions: [session],
+          message: `Trainer is busy elsewhere during "${session.title}": ${formatBusyBlock(block)}`
+        });
+      }
+    });
+
     return conflicts;
   };
 
@@ -235,7 +246,7 @@ const BulkTrainerAssign = ({ isOpen, onClose, selectedEvents, sessions, onApply
                 <p><strong>Trainer:</strong> {selectedTrainerData?.name}</p>
                 <p><strong>Events to update:</strong> {selectedEvents.size}</p>
                 {conflicts.length > 0 && (
-                  <p className="warning"><strong>Conflicts:</strong> {conflicts.length} time conflicts detected</p>
+                  <p className="warning"><strong>Conflicts:</strong> {conflicts.length} conflicts detected</p>
                 )}
               </div>
               
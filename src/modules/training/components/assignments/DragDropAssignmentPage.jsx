@@ -1,15 +1,21 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { useSearchParams } from 'react-router-dom';
 import { supabase } from '@core/services/supabaseClient';
 import { useProject } from '@core/contexts/ProjectContext';
 import DragDropAssignmentPanel from './DragDropAssignmentPanel';
 import ScheduleSelector from '../schedule-manager/ScheduleSelector';
+import CollaboratorsIndicator from '../schedule-manager/CollaboratorsIndicator';
+import { useScheduleCollaboration } from '@modules/training/hooks/useScheduleCollaboration';
 import { loadTrainingSessionsForSchedule } from '@core/services/scheduleService';
 import { SimpleAuthService } from '@auth/services/simpleAuthService';
 import { debugLog, debugWarn, debugError } from '@core/utils/consoleUtils';
+import { useAuditSource } from '@core/utils/auditSource';
 import './DragDropAssignmentPage.css';
 
+const REMOTE_REFRESH_DELAY_MS = 1000;
+
 const DragDropAssignmentPage = () => {
+  useAuditSource('User Assignments');
   const [searchParams] = useSearchParams();
   const { currentProject } = useProject();
   const [currentSchedule, setCurrentSchedule] = useState(null);
@@ -19,6 +25,11 @@ const DragDropAssignmentPage = () => {
   const [showScheduleSelector, setShowScheduleSelector] = useState(true);
   const [hasInitialized, setHasInitialized] = useState(false);
 
+  // Live updates: ids of the open schedule's sessions and assignments, to recognise deletes
+  const knownIdsRef = useRef(new Set());
+  const remoteRefreshTimerRef = useRef(null);
+  const remoteRefreshRef = useRef(() => {});
+
   debugLog('🎯 DragDropAssignmentPage loaded');
 
   useEffect(() => {
@@ -346,6 +357,48 @@ const DragDropAssignmentPage = () => {
     }
   };
 
+  const loadKnownIds = async (scheduleId) => {
+    const results = await Promise.all([
+      supabase.from('training_sessions').select('id').eq('schedule_id', scheduleId),
+      supabase.from('user_assignments').select('id').eq('schedule_id', scheduleId)
+    ]);
+    const failed = results.find(result => result.error);
+    if (failed) {
+      debugWarn('⚠️ Could not load ids for live updates:', failed.error);
+      return;
+    }
+    knownIdsRef.current = new Set(results.flatMap(result => result.data || []).map(row => String(row.id)));
+  };
+
+  useEffect(() => {
+    if (currentSchedule?.id) {
+      loadKnownIds(currentSchedule.id);
+    }
+  }, [currentSchedule?.id]);
+
+  useEffect(() => () => clearTimeout(remoteRefreshTimerRef.current), []);
+
+  remoteRefreshRef.current = () => {
+    debugLog('🔄 Schedule changed by someone else - refreshing');
+    handleAssignmentUpdate();
+    if (currentSchedule?.id) {
+      loadKnownIds(currentSchedule.id);
+    }
+  };
+
+  // Another coordinator's sessions moves and assignments reload the panel, once per burst of changes
+  const handleRemoteChange = ({ eventType, old }) => {
+    if (eventType === 'DELETE' && !knownIdsRef.current.has(String(old?.id))) return;
+    clearTimeout(remoteRefreshTimerRef.current);
+    remoteRefreshTimerRef.current = setTimeout(() => remoteRefreshRef.current(), REMOTE_REFRESH_DELAY_MS);
+  };
+
+  const { collaborators, connected } = useScheduleCollaboration(currentSchedule?.id, {
+    screen: 'User Assignments',
+    onSessionChange: handleRemoteChange,
+    onAssignmentChange: handleRemoteChange
+  });
+
   if (loading) {
     return (
       <div className="drag-drop-assignment-page loading">
@@ -407,13 +460,18 @@ const DragDropAssignmentPage = () => {
 
   // Show the main drag-drop interface
   return (
-    <DragDropAssignmentPanel
-      schedule={currentSchedule}
-      currentSchedule={currentSchedule}
-      onScheduleChange={handleScheduleChange}
-      onAssignmentUpdate={handleAssignmentUpdate}
-      onClose={handleBackToSelector}
-    />
+    <>
+      <div className="drag-drop-collaborators">
+        <CollaboratorsIndicator collaborators={collaborators} connected={connected} />
+      </div>
+      <DragDropAssignmentPanel
+        schedule={currentSchedule}
+        currentSchedule={currentSchedule}
+        onScheduleChange={handleScheduleChange}
+        onAssignmentUpdate={handleAssignmentUpdate}
+        onClose={handleBackToSelector}
+      />
+    </>
   );
 };
 
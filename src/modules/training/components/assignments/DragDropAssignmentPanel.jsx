@@ -11,10 +11,19 @@ import CalendarDayControls from '../calendar/CalendarDayControls';
 import UserContextMenu from './UserContextMenu';
 import AssignmentStatsModal from './AssignmentStatsModal';
 import AssignmentExportDialog from './AssignmentExportDialog';
+import PersonalCalendarsModal from './PersonalCalendarsModal';
+import SessionPackDialog from './SessionPackDialog';
+import ScheduleMergeModal from '../schedule-manager/ScheduleMergeModal';
 import { generateEventIdFromSession } from '@core/utils/eventIdUtils';
 import { handleGenerateAssignmentCalendar, flattenSessionsFromObject, validateCalendarRequirements } from './assignmentCalendarUtils';
 import { AuthService } from '@auth/services/authService';
 import { ActionValidators } from '@auth/utils/policyEnforcement.jsx';
+import { applyUserAssignmentChanges } from '@core/services/scheduleService';
+import {
+  findLearnerBookingConflict,
+  mergeAssignmentChangeSet,
+  resolveAssignmentConflicts
+} from '@core/utils/scheduling/index.js';
 
 
 // Utility function to generate stable session identifiers (matches ScheduleEditor and ScheduleCalendar)
@@ -193,6 +202,8 @@ const DragDropAssignmentPanel = ({
 
   // Export dialog state
   const [showExportDialog, setShowExportDialog] = useState(false);
+  const [showPersonalCalendars, setShowPersonalCalendars] = useState(false);
+  const [showSessionPacks, setShowSessionPacks] = useState(false);
 
   // Stakeholder access control state
   const [userRole, setUserRole] = useState(null);
@@ -203,6 +214,9 @@ const DragDropAssignmentPanel = ({
   const [assignedTrainingLocations, setAssignedTrainingLocations] = useState([]);
   const [isStakeholder, setIsStakeholder] = useState(false);
 
+  // Assignment changes waiting for the user to resolve conflicts: { merge, resolve }
+  const [pendingMerge, setPendingMerge] = useState(null);
+
   // Calendar day visibility controls
   const [visibleDays, setVisibleDays] = useState(() => {
     // Load from localStorage or default to business days (Mon-Fri)
@@ -580,6 +594,89 @@ const DragDropAssignmentPanel = ({
     window.location.reload();
   };
 
+  const describeAssignment = (assignment) => {
+    const learner = [
+      ...userCategories.allCoursesNeeded,
+      ...Object.values(userCategories.someCoursesNeeded).flat(),
+      ...userCategories.unassigned,
+      ...userCategories.partiallyAssigned
+    ].find(user => String(user.id) === String(assignment.end_user_id));
+    const session = getAllSessionsFlat().find(s => String(s.id) === String(assignment.session_id));
+    return `${assignment.end_users?.name || learner?.name || `Learner ${assignment.end_user_id}`} - ${session?.title || assignment.course_id || 'course'}`;
+  };
+
+  // Resolves with the user's choices, or null if they cancel
+  const askToMergeAssignments = (merge) => new Promise(resolve => setPendingMerge({ merge, resolve }));
+
+  // All assignment writes go through here. The change set is merged with what other people saved
+  // since this screen loaded the schedule: assignments they changed are not removed, and learners
+  // are not added to sessions they changed, unless the user chooses so in the merge dialog. The
+  // rest is written in one transaction, and only if nothing changed again in the meantime.
+  const commitAssignmentChanges = async ({ inserts = [], deleteIds = [] }) => {
+    const sessionIds = [...new Set(inserts.map(row => row.session_id).filter(Boolean))];
+    const [assignmentResult, sessionResult] = await Promise.all([
+      deleteIds.length > 0
+        ? supabase.from('user_assignments').select('*').eq('schedule_id', schedule.id)
+        : { data: [] },
+      sessionIds.length > 0
+        ? supabase.from('training_sessions').select('*').eq('schedule_id', schedule.id).in('id', sessionIds)
+        : { data: [] }
+    ]);
+    if (assignmentResult.error) throw assignmentResult.error;
+    if (sessionResult.error) throw sessionResult.error;
+
+    const merge = mergeAssignmentChangeSet({
+      baseAssignments: new Map(assignments.map(assignment => [String(assignment.id), assignment])),
+      baseSessions: new Map(getAllSessionsFlat().filter(session => session.id).map(session => [String(session.id), {
+        updated_at: session.updated_at,
+        session_title: session.title,
+        start_datetime: session.start,
+        end_datetime: session.end,
+        training_location: session.training_location,
+        instructor_name: session.trainer_name
+      }])),
+      currentAssignments: (assignmentResult.data || []).filter(assignment => deleteIds.some(id => String(id) === String(assignment.id))),
+      currentSessions: sessionResult.data || [],
+      changeSet: { inserts, deleteIds },
+      describe: describeAssignment
+    });
+
+    let resolutions = {};
+    if (merge.conflicts.length > 0) {
+      resolutions = await askToMergeAssignments(merge);
+      if (!resolutions) {
+        throw new Error('Someone else changed these assignments - nothing was saved');
+      }
+    }
+
+    const { changeSet, expectedVersions, expectedSessionVersions } = resolveAssignmentConflicts(merge, resolutions);
+    try {
+      return await applyUserAssignmentChanges(
+        { scheduleId: schedule.id, ...changeSet, expectedVersions, expectedSessionVersions },
+        currentProject?.id || schedule.project_id
+      );
+    } catch (error) {
+      const failures = error.failures || [];
+      if (failures.length > 0 && failures.every(failure => failure.conflict)) {
+        throw new Error('Someone else changed these assignments at the same moment - nothing was saved, please try again');
+      }
+      throw error;
+    }
+  };
+
+  // Ids of the loaded assignments that match, for removing them through commitAssignmentChanges
+  const getAssignmentIds = (matches) => assignments.filter(matches).map(assignment => assignment.id);
+
+  const handleAssignmentMergeResolved = (resolutions) => {
+    pendingMerge?.resolve(resolutions);
+    setPendingMerge(null);
+  };
+
+  const handleAssignmentMergeCancelled = () => {
+    pendingMerge?.resolve(null);
+    setPendingMerge(null);
+  };
+
   // Direct assignment function to bypass parsing issues during auto-assignment
   const directUserAssignment = async (userId, assignmentData, sessionData) => {
     console.log('🎯 DIRECT ASSIGNMENT:', { userId, assignmentData, sessionData });
@@ -625,15 +722,7 @@ const DragDropAssignmentPanel = ({
 
       console.log('🔍 Assignment record:', assignmentRecord);
 
-      const { data, error } = await supabase
-        .from('user_assignments')
-        .insert(assignmentRecord)
-        .select();
-
-      if (error) {
-        console.error('❌ Direct assignment error:', error);
-        throw error;
-      }
+      const { inserted: data } = await commitAssignmentChanges({ inserts: [assignmentRecord] });
 
       console.log('✅ Direct assignment successful:', data);
       
@@ -649,6 +738,29 @@ const DragDropAssignmentPanel = ({
     }
   };
 
+  // Check a user's existing sessions against the learner limits in the schedule criteria
+  // (no overlapping sessions, max training hours per day / week)
+  const getLearnerLoadConflict = (userId, targetSessions) => {
+    let criteria = {};
+    try {
+      if (schedule?.criteria) {
+        const parsedCriteria = typeof schedule.criteria === 'string' ?
+          JSON.parse(schedule.criteria) : schedule.criteria;
+        criteria = parsedCriteria?.default || parsedCriteria || {};
+      }
+    } catch (err) {
+      debugError('Error parsing criteria:', err);
+    }
+
+    const sessionsById = new Map(getAllSessionsFlat().map(session => [String(session.id), session]));
+    const bookedSessions = assignments
+      .filter(assignment => assignment.end_user_id === parseInt(userId) && assignment.session_id)
+      .map(assignment => sessionsById.get(String(assignment.session_id)))
+      .filter(Boolean);
+
+    return findLearnerBookingConflict(bookedSessions, targetSessions, criteria);
+  };
+
   const getScheduleCourses = () => {
     if (!schedule?.sessions) return [];
     
@@ -1269,12 +1381,7 @@ const DragDropAssignmentPanel = ({
               notes: `Assigned via bulk drag-and-drop to ${sessionData?.title || 'session'}`
             };
             
-            const { data, error } = await supabase
-              .from('user_assignments')
-              .insert([insertData])
-              .select('*');
-            
-            if (error) throw error;
+            await commitAssignmentChanges({ inserts: [insertData] });
             
             results.successful.push(userId);
           } catch (err) {
@@ -1398,16 +1505,15 @@ const DragDropAssignmentPanel = ({
             console.log('🔄 REASSIGNMENT - Removing conflicting group assignments within same course');
             
             // Remove conflicting assignments from database - ONLY for the same course
-            const { error: deleteError } = await supabase
-              .from('user_assignments')
-              .delete()
-              .eq('end_user_id', parseInt(userId))
-              .eq('schedule_id', schedule.id)
-              .eq('course_id', targetCourseId); // Only remove assignments for this specific course
-            
-            if (deleteError) {
+            try {
+              await commitAssignmentChanges({
+                deleteIds: userAssignments
+                  .filter(assignment => assignment.course_id === targetCourseId)
+                  .map(assignment => assignment.id)
+              });
+            } catch (deleteError) {
               console.error('❌ Error removing conflicting course assignments:', deleteError);
-              throw new Error('Failed to remove existing course assignments');
+              throw new Error(`Failed to remove existing course assignments: ${deleteError.message}`);
             }
             
             // Remove from local state - ONLY for the same course
@@ -1576,33 +1682,9 @@ const DragDropAssignmentPanel = ({
       console.log(`🔄 INSERT DATA:`, insertData);
       
       
-      // Try insert with join first
-      console.log(`🔄 CALLING SUPABASE INSERT...`);
-      let { data, error } = await supabase
-        .from('user_assignments')
-        .insert([insertData])
-        .select(`
-          *,
-          end_users (id, name, email, project_role, training_location)
-        `);
-      
-      console.log(`🔄 SUPABASE RESULT:`, { data, error });
-      
-      if (error) {
-        console.log(`🔄 INSERT WITH JOIN FAILED:`, error.message);
-        debugWarn('Assignment with join failed, trying basic insert:', error.message);
-        const { data: basicData, error: basicError } = await supabase
-          .from('user_assignments')
-          .insert([insertData])
-          .select('*');
-        
-        console.log(`🔄 BASIC INSERT RESULT:`, { basicData, basicError });
-        
-        if (basicError) throw basicError;
-        data = basicData; // Use the basic data for state update
-      } else {
-        console.log(`🔄 INSERT WITH JOIN SUCCEEDED`);
-      }
+      console.log(`🔄 SAVING ASSIGNMENT...`);
+      const { inserted: data } = await commitAssignmentChanges({ inserts: [insertData] });
+      console.log(`🔄 SAVE RESULT:`, data);
       
       // Update local assignments state
       console.log(`🔄 BEFORE UPDATE: Current assignments: ${assignments.length}, Adding: ${(data || []).length}`);
@@ -1726,6 +1808,11 @@ const DragDropAssignmentPanel = ({
       
       console.log(`🔍 Found ${matchingSessions.length} matching sessions for multi-course assignment`);
       
+      const learnerConflict = getLearnerLoadConflict(userId, matchingSessions);
+      if (learnerConflict) {
+        throw new Error(`Cannot assign to Group ${targetGroupNumber} - ${learnerConflict.message}`);
+      }
+      
       // Group sessions by course to avoid duplicate assignments
       const sessionsByCourse = new Map();
       matchingSessions.forEach(session => {
@@ -1740,7 +1827,7 @@ const DragDropAssignmentPanel = ({
       
       
       // Create assignments for all sessions
-      const assignmentPromises = [];
+      const assignmentRows = [];
       
       for (const [courseId, courseSessions] of sessionsByCourse) {
         for (const session of courseSessions) {
@@ -1794,47 +1881,14 @@ const DragDropAssignmentPanel = ({
           
           // Create the assignment
           console.log(`🔍 DATABASE INSERT ATTEMPT:`, courseAssignmentData);
-          
-          const assignmentPromise = supabase
-            .from('user_assignments')
-            .insert([courseAssignmentData])
-            .select('*')
-            .then(result => {
-              if (result.error) {
-                console.error(`❌ DATABASE INSERT FAILED:`, result.error);
-                console.error(`❌ Failed data:`, courseAssignmentData);
-              } else {
-                console.log(`✅ DATABASE INSERT SUCCESS:`, result.data);
-              }
-              return result;
-            });
-            
-          assignmentPromises.push(assignmentPromise);
+          assignmentRows.push(courseAssignmentData);
         }
       }
       
-      // Execute all assignments
-      console.log(`🔍 Executing ${assignmentPromises.length} assignment promises...`);
-      const results = await Promise.all(assignmentPromises);
-      
-      // Check for errors and collect successful assignments
-      console.log(`🔍 Processing ${results.length} assignment results...`);
-      const successfulAssignments = [];
-      const errors = [];
-      
-      results.forEach((result, index) => {
-        if (result.error) {
-          errors.push(result.error);
-          debugError('❌ Assignment creation failed:', result.error);
-        } else {
-          console.log(`✅ Assignment ${index + 1} successful:`, result.data);
-          successfulAssignments.push(...(result.data || []));
-        }
-      });
-      
-      if (errors.length > 0) {
-        debugWarn(`⚠️ ${errors.length} assignments failed, ${successfulAssignments.length} succeeded`);
-      }
+      // Save all assignments together - all of them or none
+      console.log(`🔍 Saving ${assignmentRows.length} assignments...`);
+      const { inserted: successfulAssignments } = await commitAssignmentChanges({ inserts: assignmentRows });
+      console.log(`✅ DATABASE INSERT SUCCESS:`, successfulAssignments);
       
       
       // Update local assignments state with successful assignments
@@ -1927,8 +1981,13 @@ const DragDropAssignmentPanel = ({
       
       console.log(`🔍 Found ${matchingSessions.length} matching sessions for single-course assignment`);
       
+      const learnerConflict = getLearnerLoadConflict(userId, matchingSessions);
+      if (learnerConflict) {
+        throw new Error(`Cannot assign to Group ${targetGroupNumber} - ${learnerConflict.message}`);
+      }
+      
       // Create assignments for all sessions of this course
-      const assignmentPromises = [];
+      const assignmentRows = [];
       
       for (const session of matchingSessions) {
         const sessionId = getSessionId(session);
@@ -1980,48 +2039,17 @@ const DragDropAssignmentPanel = ({
         };
         
         console.log(`🔍 Creating assignment for session: ${session.title}`);
-        assignmentPromises.push(
-          supabase.from('user_assignments').insert(courseAssignmentData)
-        );
+        assignmentRows.push(courseAssignmentData);
       }
       
-      // Execute all assignments
-      console.log(`🔍 Executing ${assignmentPromises.length} assignment promises...`);
-      const results = await Promise.allSettled(assignmentPromises);
-      const successfulAssignments = [];
-      const failedAssignments = [];
-      
-      console.log(`🔍 Assignment results:`, results);
-      
-      results.forEach((result, index) => {
-        if (result.status === 'fulfilled' && !result.value.error) {
-          console.log(`✅ Assignment ${index} succeeded`);
-          successfulAssignments.push({
-            assignment_level: 'session',
-            course_id: targetCourseId,
-            session_identifier: matchingSessions[index].eventId || matchingSessions[index].id,
-            training_location: targetLocation,
-            functional_area: targetFunctionalArea,
-            group_identifier: assignmentData.groupIdentifier
-          });
-        } else {
-          console.log(`❌ Assignment ${index} failed:`, result);
-          failedAssignments.push({
-            session: matchingSessions[index].title,
-            error: result.reason || result.value?.error
-          });
-        }
-      });
+      // Save all assignments of the course together - all of them or none
+      console.log(`🔍 Saving ${assignmentRows.length} assignments...`);
+      const { inserted: successfulAssignments } = await commitAssignmentChanges({ inserts: assignmentRows });
       
       console.log(`🔍 Single-course assignment complete:`, {
-        successful: successfulAssignments.length,
-        failed: failedAssignments.length
+        successful: successfulAssignments.length
       });
       
-      if (failedAssignments.length > 0) {
-        console.warn('⚠️ Some single-course assignments failed:', failedAssignments);
-      }
-      
       return successfulAssignments;
       
     } catch (err) {
@@ -2065,31 +2093,21 @@ const DragDropAssignmentPanel = ({
         groupNumber
       });
 
-      // First, let's check what assignments exist for debugging
-      const { data: existingAssignments, error: checkError } = await supabase
-        .from('user_assignments')
-        .select('*')
-        .eq('schedule_id', schedule.id)
-        .eq('end_user_id', userInfo.userId || userInfo.end_user_id);
-
-      if (!checkError) {
-        console.log('🔍 Found existing assignments for this user:', existingAssignments);
-      }
+      // The user's assignments as loaded; removals are checked against what others saved since
+      const endUserId = String(userInfo.userId || userInfo.end_user_id);
+      const existingAssignments = assignments.filter(a => String(a.end_user_id) === endUserId);
+      console.log('🔍 Found existing assignments for this user:', existingAssignments);
 
       // STRATEGY: Remove from group means removing ALL assignments (group-level AND session-level)
       // that belong to sessions in this group at this training location
 
-      // Step 1: Delete group-level assignments (if any exist with group_identifier)
-      const { data: deletedGroupAssignments } = await supabase
-        .from('user_assignments')
-        .delete()
-        .eq('schedule_id', schedule.id)
-        .eq('end_user_id', userInfo.userId || userInfo.end_user_id)
-        .eq('assignment_level', 'group')
-        .like('group_identifier', `%-Group${groupNumber}`)
-        .select();
+      // Step 1: Group-level assignments (if any exist with group_identifier)
+      const groupAssignmentIds = existingAssignments
+        .filter(a => a.assignment_level === 'group' && a.group_identifier?.endsWith(`-Group${groupNumber}`))
+        .map(a => a.id);
+      let sessionAssignmentIds = [];
 
-      console.log('🔍 Deleted group-level assignments:', deletedGroupAssignments?.length || 0);
+      console.log('🔍 Group-level assignments to delete:', groupAssignmentIds.length);
 
       // Step 2: Find all session identifiers for this group and delete session-level assignments
       // Get all sessions that belong to this group at this training location
@@ -2123,26 +2141,18 @@ const DragDropAssignmentPanel = ({
         console.log('🔍 Course IDs in this group:', groupCourseIds);
 
         if (groupCourseIds.length > 0) {
-          const { data: deletedSessionAssignments, error: sessionError } = await supabase
-            .from('user_assignments')
-            .delete()
-            .eq('schedule_id', schedule.id)
-            .eq('end_user_id', userInfo.userId || userInfo.end_user_id)
-            .eq('assignment_level', 'session')
-            .in('course_id', groupCourseIds)
-            .select();
-
-          if (sessionError) {
-            console.error('❌ Error removing session-level assignments:', sessionError);
-            throw sessionError;
-          }
+          sessionAssignmentIds = existingAssignments
+            .filter(a => a.assignment_level === 'session' && groupCourseIds.includes(a.course_id))
+            .map(a => a.id);
 
-          console.log('🔍 Deleted session-level assignments:', deletedSessionAssignments?.length || 0);
-          console.log('🔍 Deleted records:', deletedSessionAssignments);
+          console.log('🔍 Session-level assignments to delete:', sessionAssignmentIds.length);
         }
       }
 
-      const totalDeleted = (deletedGroupAssignments?.length || 0);
+      // Both steps in one change set - all removed or none
+      const { deleted: totalDeleted } = await commitAssignmentChanges({
+        deleteIds: [...groupAssignmentIds, ...sessionAssignmentIds]
+      });
       console.log('✅ Successfully removed user from group');
       console.log('🔍 Total records deleted:', totalDeleted);
       
@@ -2181,35 +2191,15 @@ const DragDropAssignmentPanel = ({
         course_id: courseId
       });
 
-      // First, check existing assignments for debugging
-      const { data: existingAssignments, error: checkError } = await supabase
-        .from('user_assignments')
-        .select('*')
-        .eq('schedule_id', schedule.id)
-        .eq('end_user_id', userInfo.userId || userInfo.end_user_id);
-
-      if (!checkError) {
-        console.log('🔍 Found existing assignments for this user:', existingAssignments);
-      }
-
       // Delete all assignments for this user for this specific course (both session-level and course-level)
       // NOTE: We do NOT filter by training_location because existing assignments have NULL values
-      const { data: deletedData, error } = await supabase
-        .from('user_assignments')
-        .delete()
-        .eq('schedule_id', schedule.id)
-        .eq('end_user_id', userInfo.userId || userInfo.end_user_id)
-        .eq('course_id', courseId)
-        .select();
-
-      if (error) {
-        console.error('❌ Error removing user from course:', error);
-        throw error;
-      }
+      const endUserId = String(userInfo.userId || userInfo.end_user_id);
+      const { deleted } = await commitAssignmentChanges({
+        deleteIds: getAssignmentIds(a => String(a.end_user_id) === endUserId && a.course_id === courseId)
+      });
 
       console.log('✅ Successfully removed user from course');
-      console.log('🔍 Number of records deleted:', deletedData?.length || 0);
-      console.log('🔍 Deleted records:', deletedData);
+      console.log('🔍 Number of records deleted:', deleted);
       
       // Refresh the assignment data
       await initializeAssignmentData();
@@ -2268,15 +2258,8 @@ const DragDropAssignmentPanel = ({
       setLoading(true);
       setError(null);
 
-      // Delete all assignments for this schedule
-      const { error } = await supabase
-        .from('user_assignments')
-        .delete()
-        .eq('schedule_id', schedule.id);
-
-      if (error) {
-        throw new Error(`Failed to remove assignments: ${error.message}`);
-      }
+      // Delete all assignments for this schedule as loaded - ones others added since are kept
+      await commitAssignmentChanges({ deleteIds: getAssignmentIds(() => true) });
 
       // Refresh the assignment data
       await initializeAssignmentData();
@@ -2568,12 +2551,14 @@ const DragDropAssignmentPanel = ({
           // Process group change
           if (proposedGroup && proposedGroup !== currentGroup) {
             // Remove user from current assignments
-            const { error: deleteError } = await supabase
-              .from('user_assignments')
-              .delete()
-              .eq('schedule_id', schedule.id)
-              .eq('end_user_id', user.id)
-              .eq('group_identifier', currentGroup);
+            let deleteError = null;
+            try {
+              await commitAssignmentChanges({
+                deleteIds: getAssignmentIds(a => String(a.end_user_id) === String(user.id) && a.group_identifier === currentGroup)
+              });
+            } catch (error) {
+              deleteError = error;
+            }
               
             if (deleteError) {
               results.failed++;
@@ -2665,6 +2650,7 @@ const DragDropAssignmentPanel = ({
       schedule,
       sessions,
       assignments,
+      currentProject?.id || schedule.project_id,
       setGeneratingCalendar,
       setCalendarError
     );
@@ -3221,6 +3207,16 @@ const DragDropAssignmentPanel = ({
         console.log(`⚠️ GROUP CAPACITY FULL: Group ${groupNum} at ${userLocation} (${totalGroupAssigned}/${maxAttendees})`);
       }
       
+      // Skip groups whose sessions clash with the user's other training or hour limits
+      const learnerConflict = hasGroupCapacity && getLearnerLoadConflict(
+        user.id,
+        allCourses.flatMap(courseKey => locationSessions[courseKey][groupNum])
+      );
+      if (learnerConflict) {
+        console.log(`⚠️ Group ${groupNum} at ${userLocation}: ${user.name} - ${learnerConflict.message}`);
+        continue;
+      }
+      
       if (hasGroupCapacity) {
         // Reduced logging for assignment decisions
         
@@ -3339,6 +3335,12 @@ const DragDropAssignmentPanel = ({
       
       console.log(`  Group ${groupNum} capacity: ${currentAssigned}/${maxAttendees} (${currentAssigned < maxAttendees ? 'AVAILABLE' : 'FULL'})`);
       
+      const learnerConflict = currentAssigned < maxAttendees && getLearnerLoadConflict(user.id, sessions);
+      if (learnerConflict) {
+        console.log(`  Group ${groupNum}: ${user.name} - ${learnerConflict.message}`);
+        continue;
+      }
+      
       if (currentAssigned < maxAttendees) {
         console.log(`🎯 CAPACITY FOUND - Assigning ${user.name} to course ${courseId}, group ${groupNum} at ${userLocation} - ALL PARTS`);
         
@@ -3962,6 +3964,24 @@ const DragDropAssignmentPanel = ({
             >
               {generatingCalendar ? '🔄 Generating...' : '🗓️ Generate Training Calendar'}
             </button>
+
+            <button
+              onClick={() => setShowPersonalCalendars(true)}
+              disabled={!schedule || !getAllSessionsFlat()?.length}
+              className="personal-calendars-btn"
+              title="Download or share calendars with only each learner's and trainer's own sessions"
+            >
+              📆 Personal Calendars
+            </button>
+
+            <button
+              onClick={() => setShowSessionPacks(true)}
+              disabled={!schedule || !getAllSessionsFlat()?.length}
+              className="session-packs-btn"
+              title="Print door sheets, sign-in sheets and trainer briefs"
+            >
+              🖨️ Session Packs
+            </button>
             
             <button
               onClick={handleShowExportDialog}
@@ -4225,6 +4245,35 @@ const DragDropAssignmentPanel = ({
             assignments={assignments}
           />
         )}
+
+        {/* Personal Calendars */}
+        <PersonalCalendarsModal
+          isOpen={showPersonalCalendars}
+          onClose={() => setShowPersonalCalendars(false)}
+          schedule={schedule}
+          sessions={getAllSessionsFlat()}
+          assignments={assignments}
+        />
+
+        {/* Session Packs */}
+        <SessionPackDialog
+          isOpen={showSessionPacks}
+          onClose={() => setShowSessionPacks(false)}
+          schedule={schedule}
+          sessions={getAllSessionsFlat()}
+          assignments={assignments}
+        />
+
+        {/* Assignment changes that conflict with other people's */}
+        <ScheduleMergeModal
+          isOpen={!!pendingMerge}
+          merge={pendingMerge?.merge}
+          itemName="assignment"
+          saveLabel="Save Assignments"
+          cancelLabel="Cancel"
+          onCancel={handleAssignmentMergeCancelled}
+          onResolve={handleAssignmentMergeResolved}
+        />
       </div>
     </DndContext>
   );
@@ -0,0 +1,253 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { useProject } from '@core/contexts/ProjectContext';
+import { generatePersonalCalendars, downloadCalendarFile } from '@core/utils/calendarInviteGenerator';
+import { getSessionAttendeeIds } from '@core/utils/calendarEvents';
+import { getActiveTrainers } from '../../services/trainerService';
+import {
+  getCalendarFeeds,
+  createCalendarFeed,
+  revokeCalendarFeed,
+  getCalendarFeedUrl
+} from '../../services/calendarFeedService';
+import './PersonalCalendarsModal.css';
+
+// Schedule statuses whose sessions appear in calendar feeds (see calendar_feeds_schema.sql)
+const FEED_STATUSES = ['published', 'in_delivery', 'closed'];
+
+/**
+ * Personal calendars for a schedule's learners and trainers
+ * Downloads one .ics per person (only their sessions) as a zip, and creates the calendar feed
+ * links people subscribe to so their calendars follow schedule changes.
+ */
+const PersonalCalendarsModal = ({ isOpen, onClose, schedule, sessions, assignments }) => {
+  const { currentProject } = useProject();
+  const projectId = currentProject?.id || schedule?.project_id;
+  const [trainers, setTrainers] = useState([]);
+  const [feeds, setFeeds] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [working, setWorking] = useState(null); // 'zip' or the key of the person being updated
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (isOpen && projectId) {
+      loadPeople();
+    }
+  }, [isOpen, projectId]);
+
+  const loadPeople = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const [trainerList, feedList] = await Promise.all([
+        getActiveTrainers(projectId),
+        getCalendarFeeds(projectId)
+      ]);
+      setTrainers(trainerList);
+      setFeeds(feedList);
+    } catch (err) {
+      console.error('❌ Error loading personal calendars:', err);
+      setError(`Trainers and calendar feeds could not be loaded: ${err.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Everyone with sessions in this schedule, learners first
+  const people = useMemo(() => {
+    const sessionList = sessions || [];
+    const assignmentList = assignments || [];
+    const learners = new Map();
+    const sessionCounts = new Map();
+
+    assignmentList.forEach(assignment => {
+      if (!learners.has(assignment.end_user_id)) {
+        learners.set(assignment.end_user_id, assignment.end_users?.name || `User ${assignment.end_user_id}`);
+      }
+    });
+    sessionList.forEach(session => {
+      getSessionAttendeeIds(session, assignmentList).forEach(id => {
+        sessionCounts.set(id, (sessionCounts.get(id) || 0) + 1);
+      });
+    });
+
+    const learnerRows = [...learners.entries()]
+      .filter(([id]) => sessionCounts.has(id))
+      .map(([id, name]) => ({ key: `learner-${id}`, kind: 'learner', id, name, sessionCount: sessionCounts.get(id) }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+
+    const trainerRows = trainers
+      .map(trainer => ({
+        key: `trainer-${trainer.id}`,
+        kind: 'trainer',
+        id: trainer.id,
+        name: trainer.name,
+        sessionCount: sessionList.filter(session => session.trainer_id && String(session.trainer_id) === String(trainer.id)).length
+      }))
+      .filter(trainer => trainer.sessionCount > 0);
+
+    return [...learnerRows, ...trainerRows];
+  }, [sessions, assignments, trainers]);
+
+  const getFeed = (person) => feeds.find(feed => person.kind === 'trainer'
+    ? String(feed.trainer_id) === String(person.id)
+    : String(feed.end_user_id) === String(person.id));
+
+  const handleDownloadZip = async () => {
+    setWorking('zip');
+    setError(null);
+    setMessage(null);
+
+    const result = await generatePersonalCalendars(schedule, sessions, assignments, trainers, projectId);
+    setWorking(null);
+
+    if (!result.success) {
+      setError(`Personal calendars could not be generated: ${result.error}`);
+      return;
+    }
+    downloadCalendarFile(result.content, result.filename, 'application/zip');
+    setMessage(`✅ Downloaded ${result.learnerCount} learner and ${result.trainerCount} trainer calendar(s)`);
+  };
+
+  const copyFeedUrl = async (feed, person) => {
+    try {
+      await navigator.clipboard.writeText(getCalendarFeedUrl(feed.token));
+      setMessage(`✅ Calendar feed link for ${person.name} copied`);
+    } catch (err) {
+      window.prompt(`Calendar feed link for ${person.name}:`, getCalendarFeedUrl(feed.token));
+    }
+  };
+
+  const handleCreateFeed = async (person) => {
+    setWorking(person.key);
+    setError(null);
+    try {
+      const feed = await createCalendarFeed(
+        person.kind === 'trainer' ? { trainerId: person.id } : { endUserId: person.id },
+        projectId
+      );
+      setFeeds(prev => [...prev, feed]);
+      await copyFeedUrl(feed, person);
+    } catch (err) {
+      setError(`A calendar feed for ${person.name} could not be created: ${err.message}`);
+    } finally {
+      setWorking(null);
+    }
+  };
+
+  const handleRevokeFeed = async (person, feed) => {
+    const confirmed = window.confirm(
+      `Revoke ${person.name}'s calendar feed?\n\n` +
+      'Calendars subscribed to the current link stop updating. A new link can be created afterwards.'
+    );
+    if (!confirmed) return;
+
+    setWorking(person.key);
+    setError(null);
+    try {
+      await revokeCalendarFeed(feed.id, projectId);
+      setFeeds(prev => prev.filter(other => other.id !== feed.id));
+      setMessage(`✅ Calendar feed for ${person.name} revoked`);
+    } catch (err) {
+      setError(`The calendar feed for ${person.name} could not be revoked: ${err.message}`);
+    } finally {
+      setWorking(null);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="personal-calendars-modal-overlay">
+      <div className="personal-calendars-modal">
+        <div className="modal-header">
+          <h3>📆 Personal Calendars</h3>
+          <button onClick={onClose} className="close-btn">×</button>
+        </div>
+
+        <div className="personal-calendars-body">
+          <p className="personal-calendars-intro">
+            Each learner and trainer gets a calendar with only their own sessions. Download them all as
+            individual .ics files, or send someone their feed link to subscribe to: their calendar then
+            picks up schedule changes by itself.
+          </p>
+
+          {!FEED_STATUSES.includes(schedule?.status) && (
+            <div className="personal-calendars-notice">
+              Feeds only show schedules once they are published, so this schedule's sessions will appear
+              in subscribed calendars after it is published.
+            </div>
+          )}
+
+          {error && <div className="error-message">{error}</div>}
+          {message && <div className="success-message">{message}</div>}
+
+          <div className="personal-calendars-actions">
+            <button
+              onClick={handleDownloadZip}
+              className="personal-calendars-zip-btn"
+              disabled={!!working || loading || people.length === 0}
+            >
+              {working === 'zip' ? '⏳ Generating...' : '📦 Download All (.zip)'}
+            </button>
+            <span>{people.filter(person => person.kind === 'learner').length} learner(s), {people.filter(person => person.kind === 'trainer').length} trainer(s)</span>
+          </div>
+
+          {loading ? (
+            <div className="loading-state">📆 Loading trainers and calendar feeds...</div>
+          ) : people.length === 0 ? (
+            <div className="empty-state">
+              <p>No learners or trainers have sessions in this schedule yet.</p>
+            </div>
+          ) : (
+            <table className="personal-calendars-table">
+              <thead>
+                <tr>
+                  <th>Name</th>
+                  <th>Role</th>
+                  <th>Sessions</th>
+                  <th>Calendar feed</th>
+                </tr>
+              </thead>
+              <tbody>
+                {people.map(person => {
+                  const feed = getFeed(person);
+                  return (
+                    <tr key={person.key}>
+                      <td>{person.name}</td>
+                      <td>{person.kind === 'trainer' ? 'Trainer' : 'Learner'}</td>
+                      <td>{person.sessionCount}</td>
+                      <td className="personal-calendars-feed">
+                        {feed ? (
+                          <>
+                            <button onClick={() => copyFeedUrl(feed, person)} disabled={!!working}>
+                              🔗 Copy Link
+                            </button>
+                            <a href={getCalendarFeedUrl(feed.token, true)}>Subscribe</a>
+                            <button
+                              onClick={() => handleRevokeFeed(person, feed)}
+                              className="personal-calendars-revoke-btn"
+                              disabled={!!working}
+                            >
+                              {working === person.key ? '⏳' : 'Revoke'}
+                            </button>
+                          </>
+                        ) : (
+                          <button onClick={() => handleCreateFeed(person)} disabled={!!working}>
+                            {working === person.key ? '⏳ Creating...' : '➕ Create Feed Link'}
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PersonalCalendarsModal;
@@ -0,0 +1,196 @@
+import React, { useState, useMemo } from 'react';
+import { supabase } from '@core/services/supabaseClient';
+import { useProject } from '@core/contexts/ProjectContext';
+import { getSessionAttendeeIds } from '@core/utils/calendarEvents';
+import {
+  generateSessionPack,
+  filterPackSessions,
+  getPackLocations,
+  SESSION_PACK_SECTIONS
+} from '@core/utils/sessionPackGenerator';
+import { getAttendeeAbsences } from '../../services/attendanceService';
+import './SessionPackDialog.css';
+
+const SECTION_OPTIONS = [
+  {
+    id: SESSION_PACK_SECTIONS.DOOR_SHEETS,
+    label: 'Door sheets',
+    description: 'One page per classroom per day, listing the sessions held there'
+  },
+  {
+    id: SESSION_PACK_SECTIONS.SIGN_IN_SHEETS,
+    label: 'Sign-in sheets',
+    description: 'One page per session, with the assigned learners and signature columns'
+  },
+  {
+    id: SESSION_PACK_SECTIONS.TRAINER_BRIEFS,
+    label: 'Trainer briefs',
+    description: "One page per session, with course details, learners' roles and previous absences"
+  }
+];
+
+/**
+ * Printable session packs for a schedule
+ * Generates a PDF of door sheets, sign-in sheets and trainer briefs for the schedule's sessions,
+ * optionally narrowed to a date range and a training location.
+ */
+const SessionPackDialog = ({ isOpen, onClose, schedule, sessions, assignments }) => {
+  const { currentProject } = useProject();
+  const projectId = currentProject?.id || schedule?.project_id;
+  const [filters, setFilters] = useState({ startDate: '', endDate: '', location: '' });
+  const [sections, setSections] = useState(SECTION_OPTIONS.map(option => option.id));
+  const [generating, setGenerating] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  const locations = useMemo(() => getPackLocations(sessions), [sessions]);
+  const packSessions = useMemo(() => filterPackSessions(sessions, filters), [sessions, filters]);
+
+  const handleFilterChange = (field, value) => {
+    setFilters(prev => ({ ...prev, [field]: value }));
+    setMessage(null);
+  };
+
+  const toggleSection = (sectionId) => {
+    setSections(prev => prev.includes(sectionId)
+      ? prev.filter(id => id !== sectionId)
+      : [...prev, sectionId]);
+  };
+
+  // All of the project's courses, so trainer briefs can also name prerequisites
+  const loadCourses = async () => {
+    const { data, error: coursesError } = await supabase
+      .from('courses')
+      .select('*')
+      .eq('project_id', projectId);
+
+    if (coursesError) throw coursesError;
+    return data || [];
+  };
+
+  const loadAbsences = async () => {
+    if (!sections.includes(SESSION_PACK_SECTIONS.TRAINER_BRIEFS)) {
+      return [];
+    }
+
+    const learnerIds = new Set();
+    packSessions.forEach(session => {
+      getSessionAttendeeIds(session, assignments || []).forEach(id => learnerIds.add(id));
+    });
+    return getAttendeeAbsences([...learnerIds], projectId);
+  };
+
+  const handleGenerate = async () => {
+    setGenerating(true);
+    setError(null);
+    setMessage(null);
+
+    try {
+      const [courses, absences] = await Promise.all([loadCourses(), loadAbsences()]);
+      const result = generateSessionPack({
+        schedule,
+        sessions: packSessions,
+        assignments: assignments || [],
+        courses,
+        absences,
+        sections: SECTION_OPTIONS.map(option => option.id).filter(id => sections.includes(id))
+      });
+
+      if (!result.success) {
+        setError(`The session pack could not be generated: ${result.error}`);
+        return;
+      }
+
+      result.pdf.save(result.filename);
+      setMessage(`✅ Downloaded ${result.filename} (${result.pageCount} page(s))`);
+    } catch (err) {
+      console.error('❌ Error generating session pack:', err);
+      setError(`The session pack could not be generated: ${err.message}`);
+    } finally {
+      setGenerating(false);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="session-pack-modal-overlay">
+      <div className="session-pack-modal">
+        <div className="modal-header">
+          <h3>🖨️ Session Packs</h3>
+          <button onClick={onClose} className="close-btn">×</button>
+        </div>
+
+        <div className="session-pack-body">
+          <p className="session-pack-intro">
+            Print everything needed to run this schedule's sessions. Leave the dates and location empty
+            to include the whole schedule.
+          </p>
+
+          {error && <div className="error-message">{error}</div>}
+          {message && <div className="success-message">{message}</div>}
+
+          <div className="session-pack-filters">
+            <label>
+              From
+              <input
+                type="date"
+                value={filters.startDate}
+                onChange={(e) => handleFilterChange('startDate', e.target.value)}
+              />
+            </label>
+            <label>
+              To
+              <input
+                type="date"
+                value={filters.endDate}
+                onChange={(e) => handleFilterChange('endDate', e.target.value)}
+              />
+            </label>
+            <label>
+              Location
+              <select
+                value={filters.location}
+                onChange={(e) => handleFilterChange('location', e.target.value)}
+              >
+                <option value="">All locations</option>
+                {locations.map(location => (
+                  <option key={location} value={location}>{location}</option>
+                ))}
+              </select>
+            </label>
+          </div>
+
+          <div className="session-pack-sections">
+            {SECTION_OPTIONS.map(option => (
+              <label key={option.id} className="session-pack-section">
+                <input
+                  type="checkbox"
+                  checked={sections.includes(option.id)}
+                  onChange={() => toggleSection(option.id)}
+                />
+                <span>
+                  <strong>{option.label}</strong>
+                  <small>{option.description}</small>
+                </span>
+              </label>
+            ))}
+          </div>
+
+          <div className="session-pack-actions">
+            <span>{packSessions.length} session(s) in the pack</span>
+            <button
+              onClick={handleGenerate}
+              className="session-pack-generate-btn"
+              disabled={generating || packSessions.length === 0 || sections.length === 0}
+            >
+              {generating ? '⏳ Generating...' : '📄 Generate PDF'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SessionPackDialog;
@@ -13,6 +13,7 @@ import { debugLog, debugWarn, debugError } from '@core/utils/consoleUtils';
  * @param {Object} schedule - The training schedule object
  * @param {Array} sessions - Array of training sessions (flat or nested)
  * @param {Array} assignments - Array of user assignments
+ * @param {string} projectId - The project ID for data filtering
  * @param {Function} setGeneratingCalendar - State setter for loading state
  * @param {Function} setCalendarError - State setter for error messages
  * @returns {Promise<void>}
@@ -21,6 +22,7 @@ export const handleGenerateAssignmentCalendar = async (
   schedule,
   sessions,
   assignments,
+  projectId,
   setGeneratingCalendar,
   setCalendarError
 ) => {
@@ -50,7 +52,7 @@ export const handleGenerateAssignmentCalendar = async (
     }
     
     // Generate calendar file
-    const result = await generateTrainingCalendar(schedule, flatSessions, assignments);
+    const result = await generateTrainingCalendar(schedule, flatSessions, assignments, projectId);
     
     if (!result.success) {
       throw new Error(result.error);
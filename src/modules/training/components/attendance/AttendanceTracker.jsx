@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import { useProject } from '@core/contexts/ProjectContext';
+import { useAuditSource } from '@core/utils/auditSource';
 import { SimpleAuthService } from '@auth/services/simpleAuthService';
 import {
   getSessionsForAttendance,
@@ -12,6 +13,7 @@ import {
 import './AttendanceTracker.css';
 
 const AttendanceTracker = () => {
+  useAuditSource('Attendance Tracker');
   const { currentProject } = useProject();
   const [user, setUser] = useState(null);
   
@@ -0,0 +1,314 @@
+import React, { useState, useEffect } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { useProject } from '@core/contexts/ProjectContext';
+import { supabase } from '@core/services/supabaseClient';
+import { ExcelService } from '@core/services/excelService';
+import {
+  AUDIT_TABLES,
+  AUDIT_ACTIONS,
+  getAuditEntries,
+  getAuditFieldChanges,
+  buildAuditExportRows
+} from '../../services/auditService';
+import './AuditLogViewer.css';
+
+const PAGE_SIZE = 500;
+const EXPORT_LIMIT = 10000;
+
+const EMPTY_FILTERS = {
+  scheduleId: '',
+  sessionId: '',
+  endUserId: '',
+  actor: '',
+  table: '',
+  fromDate: '',
+  toDate: ''
+};
+
+/**
+ * Audit Log - who changed which session, assignment or attendance record, and when
+ * Filters by schedule, session, learner, the user who made the change, record type and date.
+ * A schedule, session or learner can be preselected with ?schedule=, ?session= or ?learner=.
+ */
+const AuditLogViewer = () => {
+  const { currentProject } = useProject();
+  const [searchParams] = useSearchParams();
+  const [filters, setFilters] = useState({
+    ...EMPTY_FILTERS,
+    scheduleId: searchParams.get('schedule') || '',
+    sessionId: searchParams.get('session') || '',
+    endUserId: searchParams.get('learner') || ''
+  });
+  const [entries, setEntries] = useState([]);
+  const [hasMore, setHasMore] = useState(false);
+  const [schedules, setSchedules] = useState([]);
+  const [sessions, setSessions] = useState([]);
+  const [learners, setLearners] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [exporting, setExporting] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Filter options
+  useEffect(() => {
+    if (!currentProject) return;
+
+    Promise.all([
+      supabase.from('training_schedules').select('id, name').eq('project_id', currentProject.id).order('created_at', { ascending: false }),
+      supabase.from('end_users').select('id, name').eq('project_id', currentProject.id).order('name')
+    ]).then(([schedulesResult, learnersResult]) => {
+      const failed = [schedulesResult, learnersResult].find(result => result.error);
+      if (failed) {
+        console.error('❌ Error loading audit filters:', failed.error);
+        setError('Filter options could not be loaded');
+        return;
+      }
+      setSchedules(schedulesResult.data || []);
+      setLearners(learnersResult.data || []);
+    });
+  }, [currentProject]);
+
+  // Sessions of the selected schedule
+  useEffect(() => {
+    if (!currentProject || !filters.scheduleId) {
+      setSessions([]);
+      return;
+    }
+
+    supabase
+      .from('training_sessions')
+      .select('id, session_title, start_datetime')
+      .eq('schedule_id', filters.scheduleId)
+      .eq('project_id', currentProject.id)
+      .order('start_datetime')
+      .then(({ data, error }) => {
+        if (error) {
+          console.error('❌ Error loading sessions for audit filter:', error);
+          return;
+        }
+        setSessions(data || []);
+      });
+  }, [currentProject, filters.scheduleId]);
+
+  useEffect(() => {
+    if (currentProject) {
+      loadEntries();
+    }
+  }, [currentProject, filters]);
+
+  const loadEntries = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const result = await getAuditEntries(filters, currentProject.id, PAGE_SIZE);
+      setEntries(result.entries);
+      setHasMore(result.hasMore);
+    } catch (err) {
+      console.error('Error loading audit log:', err);
+      setError(`Failed to load the audit log: ${err.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleFilterChange = (field, value) => {
+    setFilters(prev => ({
+      ...prev,
+      [field]: value,
+      // A session belongs to one schedule
+      ...(field === 'scheduleId' ? { sessionId: '' } : {})
+    }));
+  };
+
+  const handleExport = async () => {
+    try {
+      setExporting(true);
+      const { entries: allEntries, hasMore: truncated } = await getAuditEntries(filters, currentProject.id, EXPORT_LIMIT);
+
+      if (allEntries.length === 0) {
+        alert('No audit entries found for the selected filters.');
+        return;
+      }
+
+      await ExcelService.exportWorkbook(
+        buildAuditExportRows(allEntries),
+        `audit-log-${new Date().toISOString().split('T')[0]}.xlsx`,
+        { sheetName: 'Audit Log' }
+      );
+
+      if (truncated) {
+        alert(`Only the latest ${EXPORT_LIMIT} entries were exported. Narrow the filters to export older entries.`);
+      }
+    } catch (err) {
+      console.error('Error exporting audit log:', err);
+      alert('Failed to export the audit log: ' + err.message);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  if (!currentProject) {
+    return (
+      <div className="audit-log-viewer">
+        <div className="no-project-state">
+          <h3>No Project Selected</h3>
+          <p>Please select a project to view its audit log.</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="audit-log-viewer">
+      <div className="audit-header">
+        <h2>🧾 Audit Log</h2>
+        <p className="audit-description">
+          Every change to training sessions, learner assignments and attendance records, with who made it,
+          when, from which screen, and the values before and after.
+        </p>
+      </div>
+
+      {error && (
+        <div className="audit-error">
+          ⚠️ {error}
+        </div>
+      )}
+
+      <div className="audit-filters">
+        <div className="audit-filters-grid">
+          <div className="audit-filter">
+            <label htmlFor="audit-schedule">Schedule</label>
+            <select id="audit-schedule" value={filters.scheduleId} onChange={(e) => handleFilterChange('scheduleId', e.target.value)}>
+              <option value="">All schedules</option>
+              {schedules.map(schedule => (
+                <option key={schedule.id} value={schedule.id}>{schedule.name}</option>
+              ))}
+            </select>
+          </div>
+          <div className="audit-filter">
+            <label htmlFor="audit-session">Session</label>
+            <select
+              id="audit-session"
+              value={filters.sessionId}
+              onChange={(e) => handleFilterChange('sessionId', e.target.value)}
+              disabled={!filters.scheduleId}
+              title={filters.scheduleId ? undefined : 'Choose a schedule first'}
+            >
+              <option value="">All sessions</option>
+              {sessions.map(session => (
+                <option key={session.id} value={session.id}>
+                  {session.session_title} ({new Date(session.start_datetime).toLocaleString('en-GB', { dateStyle: 'short', timeStyle: 'short' })})
+                </option>
+              ))}
+            </select>
+          </div>
+          <div className="audit-filter">
+            <label htmlFor="audit-learner">Learner</label>
+            <select id="audit-learner" value={filters.endUserId} onChange={(e) => handleFilterChange('endUserId', e.target.value)}>
+              <option value="">All learners</option>
+              {learners.map(learner => (
+                <option key={learner.id} value={learner.id}>{learner.name}</option>
+              ))}
+            </select>
+          </div>
+          <div className="audit-filter">
+            <label htmlFor="audit-actor">Changed By</label>
+            <input
+              id="audit-actor"
+              type="text"
+              value={filters.actor}
+              onChange={(e) => handleFilterChange('actor', e.target.value)}
+              placeholder="Email contains..."
+            />
+          </div>
+          <div className="audit-filter">
+            <label htmlFor="audit-table">Record Type</label>
+            <select id="audit-table" value={filters.table} onChange={(e) => handleFilterChange('table', e.target.value)}>
+              <option value="">All records</option>
+              {Object.entries(AUDIT_TABLES).map(([table, label]) => (
+                <option key={table} value={table}>{label}</option>
+              ))}
+            </select>
+          </div>
+          <div className="audit-filter">
+            <label htmlFor="audit-from">From</label>
+            <input id="audit-from" type="date" value={filters.fromDate} onChange={(e) => handleFilterChange('fromDate', e.target.value)} />
+          </div>
+          <div className="audit-filter">
+            <label htmlFor="audit-to">To</label>
+            <input id="audit-to" type="date" value={filters.toDate} onChange={(e) => handleFilterChange('toDate', e.target.value)} />
+          </div>
+        </div>
+
+        <div className="audit-filter-actions">
+          <button className="audit-reset-btn" onClick={() => setFilters(EMPTY_FILTERS)}>
+            Reset Filters
+          </button>
+          <button className="audit-export-btn" onClick={handleExport} disabled={exporting || loading}>
+            {exporting ? '⏳ Exporting...' : '📊 Export to Excel'}
+          </button>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="loading-state">
+          <h3>Loading audit log...</h3>
+        </div>
+      ) : entries.length === 0 ? (
+        <div className="audit-empty">
+          No changes have been recorded for these filters.
+        </div>
+      ) : (
+        <>
+          {hasMore && (
+            <div className="audit-notice">
+              Showing the latest {PAGE_SIZE} entries. Narrow the filters to see older changes, or export to Excel.
+            </div>
+          )}
+          <table className="audit-table">
+            <thead>
+              <tr>
+                <th>When</th>
+                <th>Changed By</th>
+                <th>Screen</th>
+                <th>Record</th>
+                <th>Session</th>
+                <th>Learner</th>
+                <th>Changes</th>
+              </tr>
+            </thead>
+            <tbody>
+              {entries.map(entry => (
+                <tr key={entry.id}>
+                  <td className="audit-when">{new Date(entry.created_at).toLocaleString('en-GB')}</td>
+                  <td>{entry.actor_email || (entry.actor_id ? `User ${entry.actor_id.substring(0, 8)}` : 'System')}</td>
+                  <td>{entry.source_screen || '-'}</td>
+                  <td>
+                    <span className={`audit-action audit-action-${entry.action}`}>
+                      {AUDIT_TABLES[entry.table_name] || entry.table_name} {(AUDIT_ACTIONS[entry.action] || entry.action).toLowerCase()}
+                    </span>
+                  </td>
+                  <td>{entry.session_title || '-'}</td>
+                  <td>{entry.end_user_name || '-'}</td>
+                  <td>
+                    <ul className="audit-changes">
+                      {getAuditFieldChanges(entry).map(change => (
+                        <li key={change.field}>
+                          <strong>{change.field}</strong>:{' '}
+                          {change.before !== null && <span className="audit-before">{change.before}</span>}
+                          {change.before !== null && change.after !== null && ' → '}
+                          {change.after !== null && <span className="audit-after">{change.after}</span>}
+                        </li>
+                      ))}
+                    </ul>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default AuditLogViewer;
@@ -2,6 +2,12 @@ import React, { useState, useEffect } from 'react';
 import { supabase } from '@core/services/supabaseClient';
 import ScheduleSelector from '../schedule-manager/ScheduleSelector';
 import AssignmentWorkspace from '../assignments/AssignmentWorkspace';
+import {
+  SCHEDULE_STATUS_LABELS,
+  normaliseScheduleStatus,
+  isScheduleLocked,
+  isScheduleReadOnly
+} from '@core/utils/scheduling/index.js';
 import './CalendarSidebar.css';
 
 const CalendarSidebar = ({ isOpen, onClose, currentSchedule, onScheduleChange, onAssignmentUpdate }) => {
@@ -16,6 +22,31 @@ const CalendarSidebar = ({ isOpen, onClose, currentSchedule, onScheduleChange, o
   // Data state
   const [schedules, setSchedules] = useState([]);
   const [assignments, setAssignments] = useState([]);
+  const [scheduleStatus, setScheduleStatus] = useState(null);
+
+  // Published, in-delivery and closed schedules are changed through change requests in the Schedule Editor
+  const assignmentsLocked = isScheduleLocked(scheduleStatus) || isScheduleReadOnly(scheduleStatus);
+  const lockedMessage = `This schedule is ${SCHEDULE_STATUS_LABELS[normaliseScheduleStatus(scheduleStatus)].toLowerCase()}. ` +
+    'Its sessions and assignments can only be changed through a change request in the Schedule Editor.';
+
+  // The schedule passed in may not carry its status, so read the current one
+  useEffect(() => {
+    if (!selectedSchedule?.id) {
+      setScheduleStatus(null);
+      return;
+    }
+    supabase
+      .from('training_schedules')
+      .select('status')
+      .eq('id', selectedSchedule.id)
+      .single()
+      .then(({ data, error }) => {
+        if (error) {
+          console.warn('⚠️ Could not load schedule status:', error.message);
+        }
+        setScheduleStatus(data?.status || selectedSchedule.status || null);
+      });
+  }, [selectedSchedule?.id]);
 
   useEffect(() => {
     if (currentSchedule) {
@@ -211,6 +242,9 @@ const CalendarSidebar = ({ isOpen, onClose, currentSchedule, onScheduleChange, o
 
   // Create assignment
   const createAssignment = async (assignmentData) => {
+    if (assignmentsLocked) {
+      throw new Error(lockedMessage);
+    }
     console.log('🔥 CalendarSidebar.createAssignment called with:', {
       userId: assignmentData.userId,
       level: assignmentData.level,
@@ -304,6 +338,10 @@ const CalendarSidebar = ({ isOpen, onClose, currentSchedule, onScheduleChange, o
 
   // Remove assignment
   const removeAssignment = async (assignmentId) => {
+    if (assignmentsLocked) {
+      alert(lockedMessage);
+      return;
+    }
     console.log('🗑️ Removing assignment:', assignmentId);
     
     try {
@@ -350,6 +388,10 @@ const CalendarSidebar = ({ isOpen, onClose, currentSchedule, onScheduleChange, o
       console.warn('⚠️ No schedule selected for fixing assignments');
       return;
     }
+    if (assignmentsLocked) {
+      alert(lockedMessage);
+      return;
+    }
     
     const confirmFix = window.confirm(`Do you want to fix NULL assignments for schedule "${selectedSchedule.name}"? This will update assignments with missing location data.`);
     if (!confirmFix) {
@@ -458,6 +500,10 @@ const CalendarSidebar = ({ isOpen, onClose, currentSchedule, onScheduleChange, o
       console.warn('⚠️ No schedule selected for clearing assignments');
       return;
     }
+    if (assignmentsLocked) {
+      alert(lockedMessage);
+      return;
+    }
     
     const confirmClear = window.confirm(`Are you sure you want to clear ALL assignments for schedule "${selectedSchedule.name}"? This cannot be undone.`);
     if (!confirmClear) {
@@ -633,19 +679,25 @@ const CalendarSidebar = ({ isOpen, onClose, currentSchedule, onScheduleChange, o
                   </div>
                 )}
                 
+                {assignmentsLocked && (
+                  <div style={{ margin: '0 0 15px 0', padding: '12px 15px', backgroundColor: '#fff3cd', border: '1px solid #ffeaa7', borderRadius: '5px', color: '#856404', fontSize: '14px' }}>
+                    🔒 {lockedMessage}
+                  </div>
+                )}
+
                 {/* Assignment Management Buttons */}
                 <div className="assignment-actions" style={{ marginBottom: '20px', display: 'flex', gap: '10px', flexWrap: 'wrap' }}>
                   <button 
                     onClick={fixNullAssignments}
                     className="fix-assignments-btn"
-                    disabled={loading}
+                    disabled={loading || assignmentsLocked}
                     style={{
                       backgroundColor: '#28a745',
                       color: 'white',
                       padding: '8px 16px',
                       border: 'none',
                       borderRadius: '4px',
-                      cursor: loading ? 'not-allowed' : 'pointer',
+                      cursor: loading || assignmentsLocked ? 'not-allowed' : 'pointer',
                       fontSize: '14px',
                       fontWeight: '500',
                       opacity: loading ? 0.6 : 1
@@ -657,14 +709,14 @@ const CalendarSidebar = ({ isOpen, onClose, currentSchedule, onScheduleChange, o
                   <button 
                     onClick={clearAllAssignments}
                     className="clear-all-btn"
-                    disabled={loading || assignments.length === 0}
+                    disabled={loading || assignmentsLocked || assignments.length === 0}
                     style={{
                       backgroundColor: '#dc3545',
                       color: 'white',
                       padding: '8px 16px',
                       border: 'none',
                       borderRadius: '4px',
-                      cursor: assignments.length > 0 && !loading ? 'pointer' : 'not-allowed',
+                      cursor: assignments.length > 0 && !loading && !assignmentsLocked ? 'pointer' : 'not-allowed',
                       fontSize: '14px',
                       fontWeight: '500',
                       opacity: loading ? 0.6 : 1
@@ -7,6 +7,7 @@ import interactionPlugin from '@fullcalendar/interaction';
 import { getColorByCourseTitle } from '@core/utils/colorUtils';
 import { supabase } from '@core/services/supabaseClient';
 import { generateEventIdFromSession } from '@core/utils/eventIdUtils';
+import { DELIVERY_MODE, DELIVERY_MODE_LABELS } from '@core/utils/scheduling/index.js';
 // Temporarily enable debug logging for classroom troubleshooting
 import { debugLog, debugWarn, debugError } from '@core/utils/consoleUtils';
 import './EnhancedScheduleCalendar.css';
@@ -532,6 +533,30 @@ const EnhancedScheduleCalendar = ({
               </div>
             )}
             
+            {session.deliveryMode && session.deliveryMode !== DELIVERY_MODE.CLASSROOM && (
+              <div className="event-row event-delivery-row">
+                <span className="event-label">Delivery:</span>
+                <span className="event-value">
+                  {DELIVERY_MODE_LABELS[session.deliveryMode]}
+                  {session.meetingLink && (
+                    <>
+                      {' - '}
+                      <a
+                        href={session.meetingLink}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        onClick={(e) => e.stopPropagation()}
+                        onPointerDown={(e) => e.stopPropagation()}
+                        title={session.meetingLink}
+                      >
+                        Join
+                      </a>
+                    </>
+                  )}
+                </span>
+              </div>
+            )}
+            
             {startTime && endTime && (
               <div className="event-row event-time-row">
                 <span className="event-label">Time:</span>
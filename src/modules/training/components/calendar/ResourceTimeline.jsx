@@ -0,0 +1,254 @@
+import React, { useMemo, useState } from 'react';
+import { DndContext, PointerSensor, useSensor, useSensors, useDraggable, useDroppable } from '@dnd-kit/core';
+import { CSS } from '@dnd-kit/utilities';
+import {
+  TIMELINE_MODE,
+  getDailyCapacityHours,
+  getTimelineDays,
+  getTimelineRowKey,
+  getSessionClassroom,
+  buildTimelineRows,
+  getRowDayHours,
+  getRowUtilisation,
+  planTimelineMove,
+  toDateKey
+} from '@core/utils/scheduling/index.js';
+import './ResourceTimeline.css';
+
+const WINDOW_DAYS = 14;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+const formatTime = (date) => new Date(date).toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit' });
+
+const getUtilisationLevel = (ratio) => {
+  if (ratio <= 0) return 'none';
+  if (ratio <= 0.5) return 'low';
+  if (ratio <= 0.85) return 'medium';
+  if (ratio <= 1) return 'high';
+  return 'over';
+};
+
+const TimelineSession = ({ id, session, mode, disabled }) => {
+  const { attributes, listeners, setNodeRef, transform, isDragging } = useDraggable({
+    id,
+    data: { session },
+    disabled: disabled || session.locked
+  });
+
+  const detail = mode === TIMELINE_MODE.ROOMS
+    ? (session.trainer_name || 'No trainer')
+    : `${session.location} - Classroom ${getSessionClassroom(session)}`;
+
+  return (
+    <div
+      ref={setNodeRef}
+      className={`timeline-session${isDragging ? ' dragging' : ''}${session.locked ? ' locked' : ''}`}
+      style={{ backgroundColor: session.color || '#007bff', transform: CSS.Translate.toString(transform) }}
+      title={`${session.title}\n${formatTime(session.start)} - ${formatTime(session.end)}\n${detail}${session.locked ? '\n🔒 Locked' : ''}`}
+      {...listeners}
+      {...attributes}
+    >
+      <span className="timeline-session-time">{formatTime(session.start)}</span> {session.title}
+    </div>
+  );
+};
+
+const TimelineCell = ({ id, row, day, hours, dailyHours, children }) => {
+  const { isOver, setNodeRef } = useDroppable({ id, data: { row, day } });
+
+  return (
+    <div
+      ref={setNodeRef}
+      className={`timeline-cell utilisation-${getUtilisationLevel(hours / dailyHours)}${isOver ? ' drop-target' : ''}`}
+      title={hours > 0 ? `${Math.round(hours * 10) / 10} of ${dailyHours} hours booked` : undefined}
+    >
+      {children}
+    </div>
+  );
+};
+
+/**
+ * Resource timeline of a schedule's sessions
+ * One row per classroom (grouped by training location) or per trainer, one column per
+ * scheduling day, with each day shaded by how much of it the room or trainer is booked.
+ * Dragging a session to another row or day moves every part of its course group.
+ * @param {Object} sessions - functional_area -> training_location -> classroom -> [sessions]
+ * @param {string} mode - TIMELINE_MODE
+ * @param {Object} criteria - Schedule criteria (time blocks, scheduling days and blackout dates)
+ * @param {Array} trainers - Active trainers, so trainers without sessions get a row
+ * @param {Array} busyBlocks - Imported trainer and classroom busy time; moves into it are refused
+ * @param {boolean} readOnly - Sessions cannot be moved
+ * @param {Function} onSessionsMoved - ([{ session, changes }]) => void
+ */
+const ResourceTimeline = ({ sessions, mode = TIMELINE_MODE.ROOMS, criteria, trainers = [], busyBlocks = [], readOnly = false, onSessionsMoved }) => {
+  const flatSessions = useMemo(() => Object.values(sessions || {})
+    .flatMap(locations => Object.values(locations || {}))
+    .flatMap(classrooms => Object.values(classrooms || {}))
+    .flatMap(sessionList => sessionList || [])
+    .filter(session => session?.start && session?.end), [sessions]);
+
+  const [windowStart, setWindowStart] = useState(() => {
+    const starts = flatSessions.map(session => new Date(session.start).getTime()).filter(time => !isNaN(time));
+    return startOfDay(starts.length > 0 ? new Date(Math.min(...starts)) : new Date());
+  });
+  const [message, setMessage] = useState(null);
+
+  const dailyHours = getDailyCapacityHours(criteria || {});
+  const days = useMemo(() => getTimelineDays(windowStart, WINDOW_DAYS, criteria || {}), [windowStart, criteria]);
+  const rows = useMemo(() => buildTimelineRows(flatSessions, mode, trainers), [flatSessions, mode, trainers]);
+
+  const sensors = useSensors(
+    useSensor(PointerSensor, { activationConstraint: { distance: 5 } })
+  );
+
+  const moveWindow = (direction) => {
+    setWindowStart(prev => new Date(prev.getFullYear(), prev.getMonth(), prev.getDate() + direction * WINDOW_DAYS));
+  };
+
+  const handleDragEnd = ({ active, over }) => {
+    if (!over) return;
+    const { session } = active.data.current;
+    const { row, day } = over.data.current;
+
+    const dayOffset = Math.round((day - startOfDay(new Date(session.start))) / MS_PER_DAY);
+    if (dayOffset === 0 && row.key === getTimelineRowKey(session, mode)) return;
+
+    const { moves, conflicts } = planTimelineMove(flatSessions, {
+      session,
+      targetRow: row,
+      dayOffset,
+      mode,
+      criteria: criteria || {},
+      busyBlocks
+    });
+
+    if (conflicts.length > 0) {
+      setMessage({ type: 'error', title: `${session.title} was not moved`, lines: conflicts });
+      return;
+    }
+
+    onSessionsMoved(moves);
+    setMessage({
+      type: 'success',
+      title: moves.length > 1
+        ? `Moved all ${moves.length} parts of ${session.course?.course_name || session.title} to ${row.label}`
+        : `Moved ${session.title} to ${row.label}`,
+      lines: []
+    });
+  };
+
+  const sessionIds = new Map(flatSessions.map((session, index) => [session, `timeline-session-${index}`]));
+
+  return (
+    <div className="resource-timeline">
+      <div className="timeline-toolbar">
+        <div className="timeline-nav">
+          <button onClick={() => moveWindow(-1)}>‹ Previous</button>
+          <span>
+            {days.length > 0
+              ? `${days[0].toLocaleDateString('en-GB')} - ${days[days.length - 1].toLocaleDateString('en-GB')}`
+              : 'No scheduling days in this period'}
+          </span>
+          <button onClick={() => moveWindow(1)}>Next ›</button>
+        </div>
+        <div className="timeline-legend">
+          <span>Booked ({dailyHours}h day):</span>
+          <span className="timeline-legend-swatch utilisation-low">≤ 50%</span>
+          <span className="timeline-legend-swatch utilisation-medium">≤ 85%</span>
+          <span className="timeline-legend-swatch utilisation-high">≤ 100%</span>
+          <span className="timeline-legend-swatch utilisation-over">Over</span>
+        </div>
+      </div>
+
+      {readOnly ? (
+        <p className="timeline-hint">🔒 Sessions cannot be moved while the schedule is locked.</p>
+      ) : (
+        <p className="timeline-hint">
+          Drag a session to another {mode === TIMELINE_MODE.ROOMS ? 'classroom' : 'trainer'} or day. All parts of a multi-day course move together.
+        </p>
+      )}
+
+      {message && (
+        <div className={`timeline-message ${message.type}`}>
+          <strong>{message.type === 'error' ? '⚠️' : '✅'} {message.title}</strong>
+          <button className="timeline-message-close" onClick={() => setMessage(null)}>×</button>
+          {message.lines.length > 0 && (
+            <ul>
+              {message.lines.map((line, index) => <li key={index}>{line}</li>)}
+            </ul>
+          )}
+        </div>
+      )}
+
+      {rows.length === 0 ? (
+        <div className="empty-schedule">
+          <p>No sessions to show.</p>
+        </div>
+      ) : (
+        <DndContext sensors={sensors} onDragEnd={handleDragEnd}>
+          <div
+            className="timeline-grid"
+            style={{ gridTemplateColumns: `200px repeat(${days.length}, minmax(110px, 1fr))` }}
+          >
+            <div className="timeline-corner">{mode === TIMELINE_MODE.ROOMS ? 'Classroom' : 'Trainer'}</div>
+            {days.map(day => (
+              <div key={toDateKey(day)} className="timeline-day-header">
+                <span>{day.toLocaleDateString('en-GB', { weekday: 'short' })}</span>
+                <span>{day.toLocaleDateString('en-GB', { day: 'numeric', month: 'short' })}</span>
+              </div>
+            ))}
+
+            {rows.map((row, index) => {
+              const utilisation = getRowUtilisation(row, days, dailyHours);
+              return (
+                <React.Fragment key={row.key}>
+                  {row.group && row.group !== rows[index - 1]?.group && (
+                    <div className="timeline-group-header" style={{ gridColumn: `1 / span ${days.length + 1}` }}>
+                      📍 {row.group}
+                    </div>
+                  )}
+                  <div className="timeline-row-header">
+                    <span>{row.label}</span>
+                    <span className={`timeline-row-utilisation utilisation-${getUtilisationLevel(utilisation)}`}>
+                      {Math.round(utilisation * 100)}%
+                    </span>
+                  </div>
+                  {days.map(day => {
+                    const dayKey = toDateKey(day);
+                    const daySessions = row.sessions
+                      .filter(session => toDateKey(new Date(session.start)) === dayKey)
+                      .sort((a, b) => new Date(a.start) - new Date(b.start));
+                    return (
+                      <TimelineCell
+                        key={dayKey}
+                        id={`${row.key}::${dayKey}`}
+                        row={row}
+                        day={day}
+                        hours={getRowDayHours(row, day)}
+                        dailyHours={dailyHours}
+                      >
+                        {daySessions.map(session => (
+                          <TimelineSession
+                            key={sessionIds.get(session)}
+                            id={sessionIds.get(session)}
+                            session={session}
+                            mode={mode}
+                            disabled={readOnly}
+                          />
+                        ))}
+                      </TimelineCell>
+                    );
+                  })}
+                </React.Fragment>
+              );
+            })}
+          </div>
+        </DndContext>
+      )}
+    </div>
+  );
+};
+
+export default ResourceTimeline;
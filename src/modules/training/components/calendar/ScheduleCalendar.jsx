@@ -5,7 +5,17 @@ import dayGridPlugin from '@fullcalendar/daygrid';
 import interactionPlugin from '@fullcalendar/interaction';
 import SessionEditModal from '../schedule-manager/SessionEditModal';
 import { getColorByCourseTitle } from '@core/utils/colorUtils';
+import {
+  DELIVERY_MODE,
+  DELIVERY_MODE_LABELS,
+  isVirtualLocation,
+  BUSY_RESOURCE,
+  getClassroomBusyBlocks,
+  formatBusyBlock
+} from '@core/utils/scheduling/index.js';
 import { supabase } from '@core/services/supabaseClient';
+import { useProject } from '@core/contexts/ProjectContext';
+import { getBusyBlocks } from '@modules/training/services/busyBlockService';
 import { addWeeks, startOfWeek, format } from 'date-fns';
 import './ScheduleCalendar.css';
 
@@ -31,10 +41,55 @@ const generateStableSessionId = (session, location = null) => {
   return `${courseId}-session${sessionNumber}-${groupName}-${functionalArea}${partSuffix}${locationSuffix}`;
 };
 
-const ScheduleCalendar = ({ sessions, onSessionUpdated, criteria, selectionMode = false, selectedEventIds = [], onEventSelection }) => {
+/**
+ * Greyed-out background events for imported busy time behind one classroom's calendar:
+ * the classroom's own bookings elsewhere and commitments of the trainers teaching in it
+ * @param {Array} busyBlocks - Busy blocks for the project
+ * @param {string} location - Training location of the calendar
+ * @param {string} classroomName - e.g. "Classroom 2"
+ * @param {Array} sessionList - Sessions shown in the calendar
+ * @returns {Array} FullCalendar background events
+ */
+const getBusyBackgroundEvents = (busyBlocks, location, classroomName, sessionList) => {
+  const classroomNumber = classroomName.match(/Classroom (\w+)/)?.[1];
+  const trainerNames = new Map();
+  sessionList.forEach(session => {
+    const trainerId = session.trainer_id || session.instructor_id;
+    if (trainerId) {
+      trainerNames.set(String(trainerId), session.trainer_name || session.instructor_name || 'Trainer');
+    }
+  });
+
+  const toBackgroundEvent = (block, title, kind) => ({
+    id: `busy-${kind}-${block.id}`,
+    title,
+    start: block.start_datetime,
+    end: block.end_datetime,
+    display: 'background',
+    classNames: ['busy-block-event', `busy-block-${kind}`],
+    extendedProps: { busyBlock: block }
+  });
+
+  const classroomBlocks = classroomNumber ? getClassroomBusyBlocks(busyBlocks, location, classroomNumber) : [];
+  const trainerBlocks = busyBlocks.filter(block =>
+    block.resource_type === BUSY_RESOURCE.TRAINER && trainerNames.has(String(block.trainer_id))
+  );
+
+  return [
+    ...classroomBlocks.map(block => toBackgroundEvent(block, `Room booked: ${formatBusyBlock(block)}`, 'classroom')),
+    ...trainerBlocks.map(block =>
+      toBackgroundEvent(block, `${trainerNames.get(String(block.trainer_id))} busy: ${formatBusyBlock(block)}`, 'trainer')
+    )
+  ];
+};
+
+const ScheduleCalendar = ({ sessions, onSessionUpdated, criteria, selectionMode = false, selectedEventIds = [], onEventSelection, timesLocked = false, busyBlocks: busyBlocksProp = null }) => {
   const [editingSession, setEditingSession] = useState(null);
   const [isModalOpen, setIsModalOpen] = useState(false);
   const [locationDisplayOrders, setLocationDisplayOrders] = useState({});
+  const [loadedBusyBlocks, setLoadedBusyBlocks] = useState([]);
+  const busyBlocks = busyBlocksProp || loadedBusyBlocks;
+  const { currentProject } = useProject();
   const calendarRefs = useRef({});
   const workingSessionsRef = useRef(null); // Persist working sessions across re-renders
   const hasInitializedSessionsRef = useRef(false); // Track if we've initialized working sessions
@@ -179,6 +234,15 @@ const ScheduleCalendar = ({ sessions, onSessionUpdated, criteria, selectionMode
     fetchLocationDisplayOrders();
   }, []); // Empty dependency array - only run once on mount
 
+  // Imported trainer and classroom busy time, shown greyed out behind the sessions
+  // (loaded here unless the parent passes its own copy)
+  useEffect(() => {
+    if (busyBlocksProp || !currentProject?.id) return;
+    getBusyBlocks(currentProject.id)
+      .then(setLoadedBusyBlocks)
+      .catch(err => console.warn('Could not load busy time:', err));
+  }, [currentProject?.id, Boolean(busyBlocksProp)]);
+
   // Initialize working sessions ONCE and persist them across re-renders
   // This prevents the calendar from refreshing when switching windows
   useEffect(() => {
@@ -279,7 +343,8 @@ const ScheduleCalendar = ({ sessions, onSessionUpdated, criteria, selectionMode
               title: updatedSession.custom_title || updatedSession.title,
               custom_title: updatedSession.custom_title,
               trainer_name: updatedSession.trainer_name,
-              instructor_name: updatedSession.instructor_name
+              instructor_name: updatedSession.instructor_name,
+              meetingLink: updatedSession.meetingLink
             };
 
             workingSessionsRef.current = updatedSessions;
@@ -339,6 +404,10 @@ const ScheduleCalendar = ({ sessions, onSessionUpdated, criteria, selectionMode
 
 
   const renderEventContent = (eventInfo) => {
+    if (eventInfo.event.extendedProps.busyBlock) {
+      return <div className="busy-block-label" title={eventInfo.event.title}>{eventInfo.event.title}</div>;
+    }
+
     const session = eventInfo.event.extendedProps;
     const trainerName = session.trainer_name || session.instructor_name;
     const location = session.location;
@@ -396,12 +465,40 @@ const ScheduleCalendar = ({ sessions, onSessionUpdated, criteria, selectionMode
               <span className="event-value">{trainerName}</span>
             </div>
           )}
+          {!trainerName && session.staffing_status === 'unstaffed' && (
+            <div className="event-row event-trainer-row" title={session.unstaffed_reason || ''}>
+              <span className="event-label">Trainer:</span>
+              <span className="event-value">⚠️ Unstaffed</span>
+            </div>
+          )}
           {location && location !== 'TBD' && (
             <div className="event-row event-location-row">
               <span className="event-label">Location:</span>
               <span className="event-value">{location}</span>
             </div>
           )}
+          {session.deliveryMode && session.deliveryMode !== DELIVERY_MODE.CLASSROOM && (
+            <div className="event-row event-delivery-row">
+              <span className="event-label">Delivery:</span>
+              <span className="event-value">
+                {DELIVERY_MODE_LABELS[session.deliveryMode]}
+                {session.meetingLink && (
+                  <>
+                    {' - '}
+                    <a
+                      href={session.meetingLink}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      onClick={(e) => e.stopPropagation()}
+                      title={session.meetingLink}
+                    >
+                      Join
+                    </a>
+                  </>
+                )}
+              </span>
+            </div>
+          )}
           {startTime && endTime && (
             <div className="event-row event-time-row">
               <span className="event-label">Time:</span>
@@ -744,7 +841,7 @@ const ScheduleCalendar = ({ sessions, onSessionUpdated, criteria, selectionMode
       {sortedLocationEntries.map(([location, classrooms]) => (
         <div key={location} className="calendar-group">
           <h3 style={{ color: '#495057', borderBottom: '2px solid #007bff', paddingBottom: '8px', marginBottom: '20px' }}>
-            📍 {location}
+            {isVirtualLocation(location) ? '💻' : '📍'} {location}
           </h3>
           {Object.entries(classrooms).map(([classroomName, sessionList]) => (
             <div key={classroomName} className="calendar-block" style={{isolation: 'isolate', marginBottom: '25px'}}>
@@ -793,7 +890,7 @@ const ScheduleCalendar = ({ sessions, onSessionUpdated, criteria, selectionMode
                 slotMaxTime="21:00:00"
                 height={800}
                 contentHeight={800}
-                editable={true}
+                editable={!timesLocked} // Published schedules only move through change requests
                 eventDrop={handleEventUpdate}
                 eventResize={handleEventUpdate}
                 eventDragStart={(info) => {
@@ -819,8 +916,8 @@ const ScheduleCalendar = ({ sessions, onSessionUpdated, criteria, selectionMode
                   start: '07:00:00',
                   end: '21:00:00'
                 }}
-                eventStartEditable={true}
-                eventDurationEditable={true}
+                eventStartEditable={!timesLocked}
+                eventDurationEditable={!timesLocked}
                 dragScroll={true}
                 longPressDelay={100}
                 eventLongPressDelay={100}
@@ -874,7 +971,7 @@ const ScheduleCalendar = ({ sessions, onSessionUpdated, criteria, selectionMode
                     </div>
                   );
                 }}
-                events={sessionList.map((session, index) => {
+                events={[...sessionList.map((session, index) => {
                   // Create a deep copy of the session to prevent shared references
                   const sessionCopy = JSON.parse(JSON.stringify(session));
                   // Restore Date objects
@@ -906,7 +1003,9 @@ const ScheduleCalendar = ({ sessions, onSessionUpdated, criteria, selectionMode
                     start: sessionCopy.start,
                     end: sessionCopy.end,
                     backgroundColor: sessionColor.backgroundColor,
-                    borderColor: sessionColor.borderColor,
+                    borderColor: sessionCopy.staffing_status === 'unstaffed' && !sessionCopy.trainer_name
+                      ? '#dc3545'
+                      : sessionColor.borderColor,
                     textColor: sessionColor.textColor,
                     extendedProps: {
                       ...sessionCopy,
@@ -925,7 +1024,7 @@ const ScheduleCalendar = ({ sessions, onSessionUpdated, criteria, selectionMode
                       originalStart: sessionCopy.start?.getTime ? sessionCopy.start.getTime() : null
                     }
                   };
-                })}
+                }), ...getBusyBackgroundEvents(busyBlocks, location, classroomName, sessionList)]}
                 eventClick={handleEventClick}
                 eventContent={renderEventContent}
                 eventTimeFormat={{
@@ -947,8 +1046,10 @@ const ScheduleCalendar = ({ sessions, onSessionUpdated, criteria, selectionMode
         isOpen={isModalOpen}
         onClose={handleModalClose}
         onSave={handleSessionSave}
-        onDelete={handleSessionDelete}
+        onDelete={timesLocked ? null : handleSessionDelete}
         criteria={criteria?.default || criteria}
+        timesLocked={timesLocked}
+        busyBlocks={busyBlocks}
       />
       
       {/* Removed bulk operation modals - TSC Wizard is read-only */}
@@ -965,6 +1066,8 @@ export default React.memo(ScheduleCalendar, (prevProps, nextProps) => {
   // Check if props are equal (if all are same, return true = skip re-render)
   const propsAreEqual =
     prevProps.selectionMode === nextProps.selectionMode &&
+    prevProps.timesLocked === nextProps.timesLocked &&
+    prevProps.busyBlocks === nextProps.busyBlocks &&
     (prevProps.selectedEventIds || []).length === (nextProps.selectedEventIds || []).length &&
     JSON.stringify(prevProps.criteria) === JSON.stringify(nextProps.criteria) &&
     prevProps.sessions === nextProps.sessions; // Check if sessions reference is same
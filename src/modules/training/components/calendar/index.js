@@ -3,4 +3,5 @@ export { default as ScheduleCalendar } from './ScheduleCalendar.jsx';
 export { default as TrainingSessionCalendar } from './TrainingSessionCalendar.jsx';
 export { default as EnhancedScheduleCalendar } from './EnhancedScheduleCalendar.jsx';
 export { default as CalendarDayControls } from './CalendarDayControls.jsx';
-export { default as CalendarSidebar } from './CalendarSidebar.jsx';
\ No newline at end of file
+export { default as CalendarSidebar } from './CalendarSidebar.jsx';
+export { default as ResourceTimeline } from './ResourceTimeline.jsx';
\ No newline at end of file
@@ -0,0 +1,238 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { supabase } from '@core/services/supabaseClient';
+import { useProject } from '@core/contexts/ProjectContext';
+import { readCalendarFile } from '@core/utils/icsParser';
+import {
+  BUSY_RESOURCE,
+  BUSY_RESOURCE_LABELS,
+  BUSY_BLOCK_HORIZON_DAYS,
+  getTrainerBusyBlocks,
+  getClassroomBusyBlocks,
+  formatBusyBlock
+} from '@core/utils/scheduling/index.js';
+import {
+  importBusyBlocksFromIcs,
+  deleteBusyBlock,
+  clearResourceBusyBlocks
+} from '../../services/busyBlockService';
+import './AddCourseToScheduleModal.css';
+import './BusyTimeImportModal.css';
+
+/**
+ * Import busy time from external calendars
+ * Attaches the events of an .ics file to a trainer or to one classroom at a training location.
+ * The scheduler treats the imported periods as occupied and the calendars show them greyed out.
+ */
+const BusyTimeImportModal = ({ isOpen, onClose, trainers = [], busyBlocks = [], onBusyBlocksChanged }) => {
+  const { currentProject } = useProject();
+  const [resourceType, setResourceType] = useState(BUSY_RESOURCE.TRAINER);
+  const [trainerId, setTrainerId] = useState('');
+  const [trainingLocation, setTrainingLocation] = useState('');
+  const [classroomNumber, setClassroomNumber] = useState(1);
+  const [trainingLocations, setTrainingLocations] = useState([]);
+  const [importing, setImporting] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (isOpen && currentProject) {
+      fetchTrainingLocations();
+    }
+  }, [isOpen, currentProject]);
+
+  const fetchTrainingLocations = async () => {
+    const { data, error: locationsError } = await supabase
+      .from('training_locations')
+      .select('name')
+      .eq('project_id', currentProject.id)
+      .eq('active', true)
+      .order('display_order');
+
+    if (locationsError) {
+      console.error('Error fetching training locations:', locationsError);
+      return;
+    }
+    setTrainingLocations((data || []).map(location => location.name));
+  };
+
+  const resource = resourceType === BUSY_RESOURCE.TRAINER
+    ? { type: resourceType, trainerId }
+    : { type: resourceType, trainingLocation, classroomNumber: Number(classroomNumber) };
+  const resourceSelected = resourceType === BUSY_RESOURCE.TRAINER
+    ? Boolean(trainerId)
+    : Boolean(trainingLocation) && Number(classroomNumber) > 0;
+  const resourceName = resourceType === BUSY_RESOURCE.TRAINER
+    ? trainers.find(trainer => trainer.id === trainerId)?.name
+    : `Classroom ${classroomNumber} at ${trainingLocation}`;
+
+  const resourceBlocks = useMemo(() => {
+    if (!resourceSelected) return [];
+    return resourceType === BUSY_RESOURCE.TRAINER
+      ? getTrainerBusyBlocks(busyBlocks, trainerId)
+      : getClassroomBusyBlocks(busyBlocks, trainingLocation, classroomNumber);
+  }, [busyBlocks, resourceType, trainerId, trainingLocation, classroomNumber, resourceSelected]);
+
+  const handleImport = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setImporting(true);
+    setError(null);
+    setMessage(null);
+
+    try {
+      const content = await readCalendarFile(file);
+      const { imported, replaced, incomplete } = await importBusyBlocksFromIcs(content, resource, currentProject.id);
+      setMessage(
+        `✅ Imported ${imported.length} busy period${imported.length === 1 ? '' : 's'} for ${resourceName} from ${file.name}` +
+        (replaced ? ` (${replaced} from an earlier import replaced)` : '') +
+        (incomplete.length > 0
+          ? ` ⚠️ Not every occurrence was imported for ${incomplete.length} repeating event${incomplete.length === 1 ? '' : 's'}: ` +
+            incomplete.map(event => `${event.label} (${event.rule})`).join(', ')
+          : '')
+      );
+      await onBusyBlocksChanged?.();
+    } catch (err) {
+      console.error('❌ Error importing busy time:', err);
+      setError(`Import failed: ${err.message}`);
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const handleDelete = async (blockId) => {
+    try {
+      await deleteBusyBlock(blockId, currentProject.id);
+      await onBusyBlocksChanged?.();
+    } catch (err) {
+      setError(`Failed to remove busy time: ${err.message}`);
+    }
+  };
+
+  const handleClear = async () => {
+    if (!window.confirm(`Remove all ${resourceBlocks.length} busy periods for ${resourceName}?`)) return;
+
+    try {
+      await clearResourceBusyBlocks(resource, currentProject.id);
+      setMessage(null);
+      await onBusyBlocksChanged?.();
+    } catch (err) {
+      setError(`Failed to remove busy time: ${err.message}`);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="modal-overlay">
+      <div className="modal-content add-course-modal busy-time-modal">
+        <div className="modal-header">
+          <h2>📥 Import Busy Time</h2>
+          <button onClick={onClose} className="close-btn" disabled={importing}>×</button>
+        </div>
+
+        <div className="modal-body">
+          <p className="busy-time-intro">
+            Import an .ics export of a trainer's calendar or a room's booking calendar. Scheduling will
+            not use the trainer or classroom during those events, and the calendar shows them greyed
+            out. Recurring events are imported for the next {BUSY_BLOCK_HORIZON_DAYS} days; events
+            marked as free time are ignored. Importing the same calendar again replaces its events.
+          </p>
+
+          {error && <div className="error-message">{error}</div>}
+          {message && <div className="busy-time-message">{message}</div>}
+
+          <div className="busy-time-resource">
+            {Object.values(BUSY_RESOURCE).map(type => (
+              <label key={type}>
+                <input
+                  type="radio"
+                  name="busy-resource-type"
+                  checked={resourceType === type}
+                  onChange={() => { setResourceType(type); setMessage(null); }}
+                />
+                {' '}{BUSY_RESOURCE_LABELS[type]}
+              </label>
+            ))}
+          </div>
+
+          <div className="busy-time-fields">
+            {resourceType === BUSY_RESOURCE.TRAINER ? (
+              <label>
+                Trainer
+                <select value={trainerId} onChange={e => setTrainerId(e.target.value)}>
+                  <option value="">Choose Trainer</option>
+                  {trainers.map(trainer => (
+                    <option key={trainer.id} value={trainer.id}>{trainer.name}</option>
+                  ))}
+                </select>
+              </label>
+            ) : (
+              <>
+                <label>
+                  Training Location
+                  <select value={trainingLocation} onChange={e => setTrainingLocation(e.target.value)}>
+                    <option value="">Choose Location</option>
+                    {trainingLocations.map(location => (
+                      <option key={location} value={location}>{location}</option>
+                    ))}
+                  </select>
+                </label>
+                <label>
+                  Classroom
+                  <input
+                    type="number"
+                    min="1"
+                    value={classroomNumber}
+                    onChange={e => setClassroomNumber(e.target.value)}
+                  />
+                </label>
+              </>
+            )}
+            <label>
+              Calendar file
+              <input
+                type="file"
+                accept=".ics,text/calendar"
+                onChange={handleImport}
+                disabled={!resourceSelected || importing || !currentProject?.id}
+              />
+            </label>
+          </div>
+
+          {importing && <div className="loading-state">📥 Importing busy time...</div>}
+
+          {resourceSelected && (
+            <div className="busy-time-list">
+              <div className="busy-time-list-header">
+                <h3>Busy time for {resourceName}</h3>
+                {resourceBlocks.length > 0 && (
+                  <button type="button" className="cancel-btn" onClick={handleClear}>Remove All</button>
+                )}
+              </div>
+              {resourceBlocks.length === 0 ? (
+                <p className="busy-time-empty">No busy time imported yet.</p>
+              ) : (
+                <table className="busy-time-table">
+                  <tbody>
+                    {resourceBlocks.map(block => (
+                      <tr key={block.id}>
+                        <td>{formatBusyBlock(block)}</td>
+                        <td className="busy-time-remove">
+                          <button type="button" onClick={() => handleDelete(block.id)}>Remove</button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default BusyTimeImportModal;
@@ -0,0 +1,42 @@
+import React from 'react';
+import './CollaboratorsIndicator.css';
+
+const getInitials = (email) => {
+  const name = (email || '?').split('@')[0];
+  const parts = name.split(/[._-]+/).filter(Boolean);
+  return (parts.length > 1 ? parts[0][0] + parts[1][0] : name.slice(0, 2)).toUpperCase();
+};
+
+/**
+ * Who else has this schedule open, and whether live updates are on
+ * @param {Array} collaborators - From useScheduleCollaboration
+ * @param {boolean} connected - Whether the realtime subscription is active
+ */
+const CollaboratorsIndicator = ({ collaborators = [], connected }) => (
+  <span className="collaborators-indicator">
+    <span
+      className={`collaborators-status ${connected ? 'live' : 'offline'}`}
+      title={connected
+        ? 'Changes other people save appear here as they happen'
+        : 'Live updates are off - reload to see changes other people have saved'}
+    >
+      {connected ? '● Live' : '○ Offline'}
+    </span>
+    {collaborators.map(collaborator => (
+      <span
+        key={collaborator.key}
+        className="collaborator-avatar"
+        title={`${collaborator.email}${collaborator.screen ? ` - ${collaborator.screen}` : ''}`}
+      >
+        {getInitials(collaborator.email)}
+      </span>
+    ))}
+    {collaborators.length > 0 && (
+      <span className="collaborators-label">
+        {collaborators.length === 1 ? '1 other person editing' : `${collaborators.length} others editing`}
+      </span>
+    )}
+  </span>
+);
+
+export default CollaboratorsIndicator;
@@ -0,0 +1,310 @@
+import React, { useState, useEffect } from 'react';
+import { useProject } from '@core/contexts/ProjectContext';
+import {
+  getScheduleChangeRequests,
+  submitScheduleChangeRequest,
+  approveScheduleChangeRequest,
+  rejectScheduleChangeRequest
+} from '../../services/scheduleLifecycleService';
+import { SCHEDULE_STATUS_LABELS, normaliseScheduleStatus } from '@core/utils/scheduling/index.js';
+import ScheduleChangesTable, { formatDateTime } from './ScheduleChangesTable';
+import './AddCourseToScheduleModal.css';
+import './ScheduleHistoryModal.css';
+import './ScheduleChangeRequestsModal.css';
+
+const describeFailures = (error) => error.failures?.length > 0
+  ? `${error.message}: ${error.failures.map(failure => `${failure.session_identifier || failure.operation} - ${failure.message}`).join('; ')}`
+  : error.message;
+
+/**
+ * Change requests for a published or in-delivery schedule
+ * With a proposal (the editor's unsaved changes, diffed against the saved sessions) it raises a
+ * new request; owners and admins can apply it straight away. Below that it lists the schedule's
+ * requests, which owners and admins approve (applying the changes) or reject.
+ */
+const ScheduleChangeRequestsModal = ({
+  isOpen,
+  onClose,
+  schedule,
+  proposal = null, // { changeSet, changes, summary }
+  hasUnsavedChanges = false,
+  onSubmitted,
+  onApplied
+}) => {
+  const { currentProject, hasPermission } = useProject();
+  const projectId = currentProject?.id || schedule?.project_id;
+  const canApprove = hasPermission('admin');
+  const [requests, setRequests] = useState([]);
+  const [reason, setReason] = useState('');
+  const [expandedId, setExpandedId] = useState(null);
+  const [status, setStatus] = useState('idle'); // 'idle', 'loading', 'submitting', 'deciding'
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (isOpen && schedule && projectId) {
+      setReason('');
+      setError(null);
+      loadRequests();
+    }
+  }, [isOpen, schedule?.id, projectId]);
+
+  const loadRequests = async () => {
+    setStatus('loading');
+    try {
+      setRequests(await getScheduleChangeRequests(schedule.id, projectId));
+    } catch (err) {
+      console.error('❌ Error loading change requests:', err);
+      setError(`Change requests could not be loaded: ${err.message}`);
+    } finally {
+      setStatus('idle');
+    }
+  };
+
+  const handleSubmit = async (applyNow) => {
+    setStatus('submitting');
+    setError(null);
+    try {
+      const request = await submitScheduleChangeRequest({
+        scheduleId: schedule.id,
+        reason,
+        changeSet: proposal.changeSet,
+        changes: proposal.changes
+      }, projectId);
+
+      if (!applyNow) {
+        setStatus('idle');
+        onSubmitted(request);
+        return;
+      }
+
+      try {
+        const revision = await approveScheduleChangeRequest(request, 'Applied when raised', projectId);
+        setStatus('idle');
+        onApplied(revision);
+      } catch (err) {
+        // The request is saved as pending, so the changes are not lost
+        setStatus('idle');
+        onSubmitted(request);
+        alert(`The change request was saved but could not be applied: ${describeFailures(err)}`);
+      }
+    } catch (err) {
+      console.error('❌ Error raising change request:', err);
+      setError(`Change request could not be saved: ${err.message}`);
+      setStatus('idle');
+    }
+  };
+
+  const handleApprove = async (request) => {
+    const confirmed = window.confirm(
+      `Approve this change request and apply it?\n\n"${request.reason}"\n\n` +
+      `${request.changes.length} session change(s), ${request.affected_count} learner assignment(s) affected.`
+    );
+    if (!confirmed) return;
+
+    setStatus('deciding');
+    setError(null);
+    try {
+      const revision = await approveScheduleChangeRequest(request, null, projectId);
+      setStatus('idle');
+      onApplied(revision);
+    } catch (err) {
+      console.error('❌ Error approving change request:', err);
+      setError(`Change request could not be applied, nothing was changed: ${describeFailures(err)}`);
+      setStatus('idle');
+    }
+  };
+
+  const handleReject = async (request) => {
+    const note = window.prompt('Reason for rejecting this change request (optional):', '');
+    if (note === null) return;
+
+    setStatus('deciding');
+    setError(null);
+    try {
+      await rejectScheduleChangeRequest(request.id, note.trim() || null, projectId);
+      await loadRequests();
+    } catch (err) {
+      console.error('❌ Error rejecting change request:', err);
+      setError(`Change request could not be rejected: ${err.message}`);
+      setStatus('idle');
+    }
+  };
+
+  if (!isOpen) return null;
+
+  const busy = status !== 'idle';
+
+  return (
+    <div className="modal-overlay">
+      <div className="modal-content add-course-modal history-modal">
+        <div className="modal-header">
+          <h2>📝 Change Requests</h2>
+          <button onClick={onClose} className="close-btn" disabled={busy}>×</button>
+        </div>
+
+        <div className="modal-body">
+          {error && <div className="error-message">{error}</div>}
+
+          <div className="history-notice">
+            This schedule is {SCHEDULE_STATUS_LABELS[normaliseScheduleStatus(schedule.status)].toLowerCase()}. Session
+            changes are applied only through an approved change request, so the learners affected can be told.
+          </div>
+
+          {proposal && (
+            <div className="history-section">
+              <h3>New Change Request</h3>
+              <div className="history-summary">
+                <strong>{proposal.summary.added}</strong> added •{' '}
+                <strong>{proposal.summary.removed}</strong> removed •{' '}
+                <strong>{proposal.summary.moved}</strong> moved •{' '}
+                <strong>{proposal.summary.retrainered}</strong> re-trainered •{' '}
+                <strong>{proposal.summary.affectedAssignments}</strong> learner assignment(s) affected
+              </div>
+
+              {proposal.changes.length === 0 ? (
+                <div className="empty-state">
+                  <p>Only session details such as colours or notes have changed. A change request is still needed to save them.</p>
+                </div>
+              ) : (
+                <ScheduleChangesTable changes={proposal.changes} />
+              )}
+
+              <div className="form-group change-request-reason">
+                <label htmlFor="change-request-reason">Reason for the change: *</label>
+                <textarea
+                  id="change-request-reason"
+                  value={reason}
+                  onChange={(e) => setReason(e.target.value)}
+                  placeholder="e.g. Trainer unavailable on 14 March"
+                  rows="3"
+                  disabled={busy}
+                />
+              </div>
+
+              <div className="modal-actions">
+                <button
+                  type="button"
+                  className="cancel-btn"
+                  onClick={() => handleSubmit(false)}
+                  disabled={busy || !reason.trim()}
+                >
+                  {status === 'submitting' ? '⏳ Saving...' : '📝 Submit for Approval'}
+                </button>
+                {canApprove && (
+                  <button
+                    type="button"
+                    className="add-btn"
+                    onClick={() => handleSubmit(true)}
+                    disabled={busy || !reason.trim()}
+                  >
+                    {status === 'submitting' ? '⏳ Applying...' : '✅ Submit and Apply'}
+                  </button>
+                )}
+              </div>
+            </div>
+          )}
+
+          <div className="history-section">
+            <h3>Requests</h3>
+
+            {status === 'loading' && (
+              <div className="loading-state">
+                <div>📝 Loading change requests...</div>
+              </div>
+            )}
+
+            {status !== 'loading' && requests.length === 0 && (
+              <div className="empty-state">
+                <p>No change requests have been raised for this schedule.</p>
+              </div>
+            )}
+
+            {requests.length > 0 && (
+              <table className="history-table">
+                <thead>
+                  <tr>
+                    <th>Raised</th>
+                    <th>Reason</th>
+                    <th>Status</th>
+                    <th>Sessions</th>
+                    <th>Assignments</th>
+                    <th></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {requests.map(request => (
+                    <React.Fragment key={request.id}>
+                      <tr>
+                        <td>{formatDateTime(request.requested_at)}</td>
+                        <td>
+                          {request.reason}
+                          {request.decision_note && (
+                            <div className="change-request-note">Decision: {request.decision_note}</div>
+                          )}
+                        </td>
+                        <td>
+                          <span className={`change-request-status change-request-${request.status}`}>
+                            {request.status}
+                          </span>
+                        </td>
+                        <td>{request.changes.length}</td>
+                        <td>{request.affected_count}</td>
+                        <td className="change-request-actions">
+                          <button
+                            type="button"
+                            className="history-restore-btn"
+                            onClick={() => setExpandedId(expandedId === request.id ? null : request.id)}
+                          >
+                            {expandedId === request.id ? 'Hide' : 'Details'}
+                          </button>
+                          {canApprove && request.status === 'pending' && (
+                            <>
+                              <button
+                                type="button"
+                                className="history-restore-btn change-request-approve"
+                                onClick={() => handleApprove(request)}
+                                disabled={busy || hasUnsavedChanges}
+                                title={hasUnsavedChanges ? 'Save or discard your own changes first' : 'Apply these changes'}
+                              >
+                                ✅ Approve
+                              </button>
+                              <button
+                                type="button"
+                                className="history-restore-btn change-request-reject"
+                                onClick={() => handleReject(request)}
+                                disabled={busy}
+                              >
+                                🚫 Reject
+                              </button>
+                            </>
+                          )}
+                        </td>
+                      </tr>
+                      {expandedId === request.id && (
+                        <tr>
+                          <td colSpan="6">
+                            {request.changes.length === 0
+                              ? 'Only session details such as colours or notes change.'
+                              : <ScheduleChangesTable changes={request.changes} />}
+                          </td>
+                        </tr>
+                      )}
+                    </React.Fragment>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+
+          <div className="modal-actions">
+            <button type="button" onClick={onClose} className="cancel-btn" disabled={busy}>
+              Close
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ScheduleChangeRequestsModal;
@@ -0,0 +1,59 @@
+import React from 'react';
+import { SESSION_CHANGE_LABELS } from '@core/utils/scheduling/index.js';
+import './ScheduleHistoryModal.css';
+
+const MAX_LEARNERS_SHOWN = 5;
+
+const formatDateTime = (date) => new Date(date).toLocaleString('en-GB', { dateStyle: 'medium', timeStyle: 'short' });
+
+const describePlacement = (session) => {
+  if (!session) return '-';
+  const trainer = session.instructor_name ? ` • ${session.instructor_name}` : ' • No trainer';
+  return `${formatDateTime(session.start_datetime)} • ${session.training_location} Classroom ${session.classroom_number}${trainer}`;
+};
+
+const describeLearners = (learners) => {
+  if (learners.length === 0) return '-';
+  const names = learners.slice(0, MAX_LEARNERS_SHOWN).map(learner => learner.name).join(', ');
+  return learners.length > MAX_LEARNERS_SHOWN ? `${names} +${learners.length - MAX_LEARNERS_SHOWN} more` : names;
+};
+
+/**
+ * Session changes from diffScheduleRevisions, with the learners each change affects
+ * Shared by the revision history and change request modals.
+ */
+const ScheduleChangesTable = ({ changes }) => (
+  <table className="history-table">
+    <thead>
+      <tr>
+        <th>Change</th>
+        <th>Session</th>
+        <th>Before</th>
+        <th>After</th>
+        <th>Learners Affected</th>
+      </tr>
+    </thead>
+    <tbody>
+      {changes.map(change => (
+        <tr key={change.key}>
+          <td>
+            {change.types.map(type => (
+              <span key={type} className={`history-change history-change-${type}`}>
+                {SESSION_CHANGE_LABELS[type]}
+              </span>
+            ))}
+          </td>
+          <td>{(change.after || change.before).session_title}</td>
+          <td>{describePlacement(change.before)}</td>
+          <td>{describePlacement(change.after)}</td>
+          <td title={change.learners.map(learner => learner.name).join(', ')}>
+            {describeLearners(change.learners)}
+          </td>
+        </tr>
+      ))}
+    </tbody>
+  </table>
+);
+
+export { formatDateTime };
+export default ScheduleChangesTable;
@@ -1,18 +1,57 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
 import { supabase } from '@core/services/supabaseClient';
 import { useProject } from '@core/contexts/ProjectContext';
+import { useAuditSource } from '@core/utils/auditSource';
 import ScheduleCalendar from '../calendar/ScheduleCalendar';
+import ResourceTimeline from '../calendar/ResourceTimeline';
 import AddCourseToScheduleModal from './AddCourseToScheduleModal';
+import TopUpScheduleModal from './TopUpScheduleModal';
+import ScheduleHistoryModal from './ScheduleHistoryModal';
+import BusyTimeImportModal from './BusyTimeImportModal';
+import ScheduleChangeRequestsModal from './ScheduleChangeRequestsModal';
+import ScheduleMergeModal from './ScheduleMergeModal';
+import CollaboratorsIndicator from './CollaboratorsIndicator';
+import { toCalendarSession, addCalendarSession, removeCalendarSessions, groupSessionsForCalendar } from './sessionCalendarUtils';
+import { useScheduleCollaboration } from '@modules/training/hooks/useScheduleCollaboration';
 import { ensureEventId, generateEventIdFromSession } from '@core/utils/eventIdUtils';
 import { toLocalDateTime } from '@core/utils/dateTimeUtils';
-import { saveScheduleAs } from '@core/services/scheduleService';
+import { saveScheduleAs, createScheduleRevision, applyTrainingSessionChanges } from '@core/services/scheduleService';
 import { getColorPaletteOptions } from '@core/utils/colorUtils';
+import {
+  validateSessionSchedule,
+  validateLearnerSchedule,
+  toDeliveryMethod,
+  diffScheduleRevisions,
+  SCHEDULE_STATUS_LABELS,
+  SCHEDULE_STATUS_COLORS,
+  normaliseScheduleStatus,
+  getAvailableTransitions,
+  isScheduleLocked,
+  isScheduleReadOnly,
+  isSameVersion,
+  hasLocalSessionChanges,
+  mergeSessionChangeSet,
+  resolveSessionConflicts,
+  TIMELINE_MODE,
+  TIMELINE_MODE_LABELS,
+  getTrainerBusyBlocks,
+  findBusyBlockOverlap,
+  formatBusyBlock
+} from '@core/utils/scheduling/index.js';
+import { transitionScheduleStatus } from '../../services/scheduleLifecycleService';
+import { getBusyBlocks } from '../../services/busyBlockService';
 import './AddCourseToScheduleModal.css'; // Import modal styles
+import './ScheduleChangeRequestsModal.css';
 import './ScheduleEditor.css'; // Import ScheduleEditor styles
 
 // Get the modern color palette
 const colorPalette = getColorPaletteOptions();
 
+// Live collaboration
+const REMOTE_BATCH_DELAY_MS = 500;
+const ASSIGNMENTS_REFRESH_DELAY_MS = 1000;
+const MAX_REMOTE_NOTICES = 20;
+
 // Utility function to generate stable session identifiers
 const generateStableSessionId = (session) => {
   const courseId = session.course_id || session.course?.course_id || 'unknown';
@@ -45,14 +84,18 @@ const generateStableSessionId = (session) => {
   return `${courseId}-session${sessionNumber}-${groupName}-${functionalArea}${partSuffix}`;
 };
 
-const ScheduleEditor = ({ schedule, onSave, onBack }) => {
-  const { currentProject } = useProject();
+const ScheduleEditor = ({ schedule, onSave, onBack, onReload }) => {
+  useAuditSource('Schedule Editor');
+  const { currentProject, hasPermission } = useProject();
   const [sessionsForCalendar, setSessionsForCalendar] = useState({});
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
   const [hasChanges, setHasChanges] = useState(false);
   const [hasInitialized, setHasInitialized] = useState(false);
   const [showAddCourseModal, setShowAddCourseModal] = useState(false);
+  const [showTopUpModal, setShowTopUpModal] = useState(false);
+  const [showHistoryModal, setShowHistoryModal] = useState(false);
+  const [showBusyTimeModal, setShowBusyTimeModal] = useState(false);
   const [showSaveAsModal, setShowSaveAsModal] = useState(false);
   const [saveAsForm, setSaveAsForm] = useState({ name: '', description: '' });
   const [saveAsLoading, setSaveAsLoading] = useState(false);
@@ -63,12 +106,39 @@ const ScheduleEditor = ({ schedule, onSave, onBack }) => {
   const [bulkColor, setBulkColor] = useState('');
   const [bulkTrainer, setBulkTrainer] = useState('');
   const [trainers, setTrainers] = useState([]);
+  const [busyBlocks, setBusyBlocks] = useState([]); // Imported trainer and classroom busy time
   const [bulkSaving, setBulkSaving] = useState(false);
   const [calendarKey, setCalendarKey] = useState(0); // Force re-render key
+  const [courseRules, setCourseRules] = useState([]);
+  const [learnerAssignments, setLearnerAssignments] = useState([]);
+  const [saveFailures, setSaveFailures] = useState([]); // Rows rejected by the last save
+  const [viewMode, setViewMode] = useState('calendar'); // 'calendar' or a TIMELINE_MODE
+
+  // Lifecycle: published and in-delivery schedules change only through change requests
+  const scheduleStatus = normaliseScheduleStatus(schedule?.status);
+  const scheduleLocked = isScheduleLocked(scheduleStatus);
+  const scheduleReadOnly = isScheduleReadOnly(scheduleStatus);
+  const [proposingChange, setProposingChange] = useState(false);
+  const [changeProposal, setChangeProposal] = useState(null);
+  const [showChangeRequestsModal, setShowChangeRequestsModal] = useState(false);
+  const [transitioning, setTransitioning] = useState(false);
+  const timesLocked = scheduleReadOnly || (scheduleLocked && !proposingChange);
 
   // CRITICAL: Store initial sessions in ref to prevent prop changes from re-rendering calendar
   const initialSessionsRef = React.useRef(null);
 
+  // Live collaboration: the sessions as last loaded or saved tell this editor's changes apart from
+  // changes other people save while it is open
+  const baseSessionsRef = useRef(new Map()); // id -> training_sessions row
+  const baseDraftsRef = useRef(new Map()); // session_identifier -> the editor's save row for it
+  const remoteChangesRef = useRef([]); // Realtime session changes waiting to be applied
+  const remoteTimerRef = useRef(null);
+  const assignmentsTimerRef = useRef(null);
+  const [remoteNotices, setRemoteNotices] = useState([]);
+  const [liveRevision, setLiveRevision] = useState(0); // Remounts the calendar when remote changes are applied
+  const [pendingMerge, setPendingMerge] = useState(null); // Save waiting for the user to resolve conflicts
+  const applyRemoteRef = useRef(() => {});
+
   // Initialize sessions once on mount - DO NOT re-run when schedule prop changes
   useEffect(() => {
     console.log('🔍 ScheduleEditor useEffect running - hasInitialized:', hasInitialized);
@@ -107,6 +177,10 @@ const ScheduleEditor = ({ schedule, onSave, onBack }) => {
         setSessionsForCalendar(schedule.sessions);
       }
 
+      // A restored edit keeps merging against the sessions it started from
+      const storedBaseline = savedUnsavedSessions && sessionStorage.getItem(`session-baseline-${schedule.id}`);
+      setBaseline(storedBaseline ? JSON.parse(storedBaseline) : (schedule.sessionRows || []));
+
       setLoading(false);
       setHasInitialized(true);
       console.log('✅ ScheduleEditor initialization complete');
@@ -144,6 +218,164 @@ const ScheduleEditor = ({ schedule, onSave, onBack }) => {
     fetchTrainers();
   }, [currentProject]);
 
+  // Imported busy time, so trainer assignments and timeline moves respect commitments made elsewhere
+  const fetchBusyBlocks = async () => {
+    if (!currentProject) {
+      setBusyBlocks([]);
+      return;
+    }
+
+    try {
+      setBusyBlocks(await getBusyBlocks(currentProject.id));
+    } catch (error) {
+      console.warn('Could not fetch busy time:', error);
+      setBusyBlocks([]);
+    }
+  };
+
+  useEffect(() => {
+    fetchBusyBlocks();
+  }, [currentProject]);
+
+  // Sessions picked in selection mode, matched the same way as the bulk save
+  const selectedSessions = useMemo(() => {
+    if (selectedEventIds.length === 0) return [];
+    return Object.values(sessionsForCalendar || {})
+      .flatMap(locations => Object.values(locations || {}))
+      .flatMap(classrooms => Object.values(classrooms || {}))
+      .flatMap(sessions => (Array.isArray(sessions) ? sessions : []))
+      .filter(session =>
+        selectedEventIds.includes(session.id) ||
+        selectedEventIds.includes(session.eventId) ||
+        selectedEventIds.includes(session.event_id)
+      );
+  }, [sessionsForCalendar, selectedEventIds]);
+
+  // Trainers with imported busy time during any selected session
+  const busyTrainerIds = useMemo(() => new Set(
+    trainers
+      .filter(trainer => findBusyBlockOverlap(getTrainerBusyBlocks(busyBlocks, trainer.id), selectedSessions))
+      .map(trainer => trainer.id)
+  ), [trainers, busyBlocks, selectedSessions]);
+
+  // Fetch course prerequisite / sequencing rules for validating hand-edited sessions
+  useEffect(() => {
+    const fetchCourseRules = async () => {
+      try {
+        if (!currentProject) {
+          setCourseRules([]);
+          return;
+        }
+
+        const { data, error } = await supabase
+          .from('courses')
+          .select('course_id, course_name, prerequisite_course_id, min_gap_days, max_gap_days, same_week_as_prerequisite')
+          .eq('project_id', currentProject.id);
+
+        if (error) {
+          console.warn('Could not fetch course sequencing rules:', error);
+          setCourseRules([]);
+        } else {
+          setCourseRules(data || []);
+        }
+      } catch (error) {
+        console.error('Error fetching course sequencing rules:', error);
+        setCourseRules([]);
+      }
+    };
+
+    fetchCourseRules();
+  }, [currentProject]);
+
+  // Fetch learner assignments for checking double-bookings and learner hour limits
+  // (again whenever someone changes the schedule's assignments)
+  const fetchLearnerAssignments = async () => {
+    try {
+      if (!schedule?.id) {
+        setLearnerAssignments([]);
+        return;
+      }
+
+      const { data, error } = await supabase
+        .from('user_assignments')
+        .select('end_user_id, session_id, end_users(name)')
+        .eq('schedule_id', schedule.id)
+        .not('session_id', 'is', null);
+
+      if (error) {
+        console.warn('Could not fetch learner assignments:', error);
+        setLearnerAssignments([]);
+      } else {
+        setLearnerAssignments(data || []);
+      }
+    } catch (error) {
+      console.error('Error fetching learner assignments:', error);
+      setLearnerAssignments([]);
+    }
+  };
+
+  useEffect(() => {
+    fetchLearnerAssignments();
+  }, [schedule?.id]);
+
+  // Other people's saves arrive in bursts (one event per row), so they are applied together
+  const { collaborators, connected } = useScheduleCollaboration(schedule?.id, {
+    screen: 'Schedule Editor',
+    onSessionChange: (payload) => {
+      remoteChangesRef.current.push(payload);
+      clearTimeout(remoteTimerRef.current);
+      remoteTimerRef.current = setTimeout(() => applyRemoteRef.current(), REMOTE_BATCH_DELAY_MS);
+    },
+    onAssignmentChange: () => {
+      clearTimeout(assignmentsTimerRef.current);
+      assignmentsTimerRef.current = setTimeout(fetchLearnerAssignments, ASSIGNMENTS_REFRESH_DELAY_MS);
+    }
+  });
+
+  useEffect(() => () => {
+    clearTimeout(remoteTimerRef.current);
+    clearTimeout(assignmentsTimerRef.current);
+  }, []);
+
+  // Re-check prerequisite, gap and same-week rules whenever sessions are moved
+  const sequencingConflicts = useMemo(() => {
+    if (!courseRules.some(course => course.prerequisite_course_id)) return [];
+
+    const flatSessions = Object.values(sessionsForCalendar || {})
+      .flatMap(trainingLocations => Object.values(trainingLocations || {}))
+      .flatMap(classrooms => Object.values(classrooms || {}))
+      .flatMap(sessions => sessions || [])
+      .filter(session => session.start && session.end)
+      .map(session => ({ ...session, start: new Date(session.start), end: new Date(session.end) }));
+
+    const { conflicts } = validateSessionSchedule(flatSessions, {
+      courses: courseRules,
+      schedulingDays: schedule?.criteria?.scheduling_days,
+      blackoutDates: schedule?.criteria?.blackout_dates
+    });
+
+    return conflicts.filter(conflict => conflict.type.startsWith('SEQUENCING_'));
+  }, [sessionsForCalendar, courseRules, schedule?.criteria]);
+
+  // Re-check learner double-bookings and hour limits whenever sessions are moved
+  const learnerConflicts = useMemo(() => {
+    if (learnerAssignments.length === 0) return [];
+
+    const flatSessions = Object.values(sessionsForCalendar || {})
+      .flatMap(trainingLocations => Object.values(trainingLocations || {}))
+      .flatMap(classrooms => Object.values(classrooms || {}))
+      .flatMap(sessions => sessions || [])
+      .filter(session => session.start && session.end)
+      .map(session => ({ ...session, start: new Date(session.start), end: new Date(session.end) }));
+
+    const { conflicts } = validateLearnerSchedule(flatSessions, {
+      assignments: learnerAssignments,
+      criteria: schedule?.criteria || {}
+    });
+
+    return conflicts;
+  }, [sessionsForCalendar, learnerAssignments, schedule?.criteria]);
+
   const handleSessionUpdate = async (updatedSession) => {
     try {
       console.log('🔄 ScheduleEditor: Handling session update:', updatedSession);
@@ -362,8 +594,8 @@ const ScheduleEditor = ({ schedule, onSave, onBack }) => {
 
     console.log('✅ Updated both initialSessionsRef and sessionsForCalendar state');
 
-    // Save trainer assignments to database immediately
-    if (updatedSession.trainer_id || updatedSession.instructor_id) {
+    // Save trainer assignments to database immediately - on a locked schedule they wait for the change request
+    if (!scheduleLocked && (updatedSession.trainer_id || updatedSession.instructor_id)) {
       try {
         const { updateTrainingSession } = await import('@core/services/scheduleService');
         const sessionId = updatedSession.id || updatedSession.event_id;
@@ -415,6 +647,21 @@ const ScheduleEditor = ({ schedule, onSave, onBack }) => {
   const handleBulkSave = async () => {
     if (selectedEventIds.length === 0) return;
     
+    if (bulkTrainer && busyTrainerIds.has(bulkTrainer)) {
+      const trainerBusy = getTrainerBusyBlocks(busyBlocks, bulkTrainer);
+      const busySessions = selectedSessions
+        .map(session => ({ session, block: findBusyBlockOverlap(trainerBusy, [session]) }))
+        .filter(({ block }) => block);
+      const trainerName = trainers.find(t => t.id === bulkTrainer)?.name || 'This trainer';
+      const confirmed = window.confirm(
+        `${trainerName} is busy elsewhere during ${busySessions.length} of the selected sessions:\n\n` +
+        busySessions.slice(0, 5).map(({ session, block }) => `• ${session.title}: ${formatBusyBlock(block)}`).join('\n') +
+        (busySessions.length > 5 ? `\n...and ${busySessions.length - 5} more` : '') +
+        '\n\nAssign them anyway?'
+      );
+      if (!confirmed) return;
+    }
+
     try {
       setBulkSaving(true);
       
@@ -474,7 +721,7 @@ const ScheduleEditor = ({ schedule, onSave, onBack }) => {
       
       // Apply bulk updates to database
       console.log('💾 DEBUG: Sending updates to database:', sessionUpdates);
-      const updateResults = await bulkUpdateTrainingSessions(sessionUpdates);
+      const updateResults = await bulkUpdateTrainingSessions(sessionUpdates, currentProject?.id || schedule.project_id);
       console.log('✅ DEBUG: Database update results:', updateResults);
       
       // Update local sessions data with a completely fresh object structure to ensure React re-renders
@@ -540,359 +787,555 @@ const ScheduleEditor = ({ schedule, onSave, onBack }) => {
     }
   };
 
-  const saveChanges = async () => {
-    try {
-      setSaving(true);
-
-      // Debug: Log the sessions structure before conversion
-      console.log('📊 DEBUG: sessionsForCalendar structure before save:', {
-        keys: Object.keys(sessionsForCalendar),
-        totalFunctionalAreas: Object.keys(sessionsForCalendar).length,
-        structure: Object.entries(sessionsForCalendar).map(([functionalArea, locations]) => ({
-          functionalArea,
-          locations: Object.keys(locations || {}),
-          totalSessions: Object.values(locations || {})
-            .flatMap(classrooms => Object.values(classrooms || {}))
-            .flatMap(sessions => sessions || []).length
-        }))
+  // Sessions without dates or a title cannot be saved
+  const isSavableSession = (session) => {
+    // Filter out invalid sessions
+    if (!session) {
+      console.warn('⚠️ Skipping null/undefined session');
+      return false;
+    }
+    if (!session.start || !session.end) {
+      console.warn('⚠️ Skipping session with missing dates:', {
+        title: session.title,
+        start: session.start,
+        end: session.end,
+        eventId: session.eventId
       });
+      return false;
+    }
+    if (!session.title && !session.course?.course_name) {
+      console.warn('⚠️ Skipping session with no title or course name:', session);
+      return false;
+    }
+    return true;
+  };
 
-      // Debug: Log ALL session times before conversion to database format
-      console.log('🕐 DEBUG: ALL SESSION TIMES BEFORE CONVERSION:');
-      console.log('🔍 sessionsForCalendar keys:', Object.keys(sessionsForCalendar));
-      let sessionCounter = 0;
-      Object.entries(sessionsForCalendar).forEach(([functionalArea, locations]) => {
-        console.log(`🔍 Functional Area: ${functionalArea}`, typeof locations);
-        console.log(`🔍 Locations keys:`, Object.keys(locations || {}));
-        Object.entries(locations || {}).forEach(([location, classrooms]) => {
-          console.log(`  🔍 Location: ${location}`, typeof classrooms);
-          console.log(`  🔍 Classrooms keys:`, Object.keys(classrooms || {}));
-          Object.entries(classrooms || {}).forEach(([classroom, sessions]) => {
-            console.log(`    🔍 Classroom: ${classroom}`, typeof sessions, 'isArray:', Array.isArray(sessions));
-            if (Array.isArray(sessions)) {
-              console.log(`    🔍 Sessions count: ${sessions.length}`);
-              sessions.forEach((session, index) => {
-                const startDate = session.start instanceof Date ? session.start : new Date(session.start);
-                const endDate = session.end instanceof Date ? session.end : new Date(session.end);
-                console.log(`   [${sessionCounter++}] ${session.title || 'Untitled'}`);
-                console.log(`      START: ${startDate.toLocaleString()} (Hour: ${startDate.getHours()})`);
-                console.log(`      END: ${endDate.toLocaleString()}`);
-                console.log(`      Location: ${functionalArea}/${location}/${classroom}`);
-              });
-            } else {
-              console.error(`    ❌ Expected array but got:`, typeof sessions);
-            }
-          });
-        });
-      });
+  // Convert a calendar session to the training_sessions row the editor saves for it
+  const toSessionRow = (session) => {
+    // Extract classroom number from group name if available
+    const classroomMatch = session.groupName?.match(/Classroom (\w+)/);
+    const classroomNumber = classroomMatch ? classroomMatch[1] : '1';
 
-      // Convert sessions back to normalized format for new database structure
-      // Handle TSC Wizard structure: functional_area -> training_location -> classroom -> [sessions]
-      const allSessionsBeforeFilter = Object.values(sessionsForCalendar)
-        .flatMap(locations => Object.values(locations)) // functional_area -> training_location
-        .flatMap(classrooms => Object.values(classrooms)) // training_location -> classroom
-        .flatMap(sessionList => sessionList); // classroom -> [sessions]
+    // CRITICAL: Extract session_part_number FIRST so we can use it in generateStableSessionId
+    const sessionPartNumber = session.session_part_number ||
+      (session.title?.match(/Part (\d+)/)?.[1] ? parseInt(session.title.match(/Part (\d+)/)?.[1]) : 1);
 
-      console.log(`🔍 FLATMAP RESULT: Found ${allSessionsBeforeFilter.length} sessions before filter`);
-      allSessionsBeforeFilter.slice(0, 3).forEach((s, i) => {
-        console.log(`  [${i}]`, s?.title, 'has start:', !!s?.start, 'has end:', !!s?.end);
-      });
+    // Build session object with part number for generateStableSessionId
+    const sessionWithPartNumber = {
+      ...session,
+      session_part_number: sessionPartNumber
+    };
 
-      const sessionsToSave = allSessionsBeforeFilter
-        .filter(session => {
-          // Filter out invalid sessions
-          if (!session) {
-            console.warn('⚠️ Skipping null/undefined session');
-            return false;
-          }
-          if (!session.start || !session.end) {
-            console.warn('⚠️ Skipping session with missing dates:', {
-              title: session.title,
-              start: session.start,
-              end: session.end,
-              eventId: session.eventId
-            });
-            return false;
-          }
-          if (!session.title && !session.course?.course_name) {
-            console.warn('⚠️ Skipping session with no title or course name:', session);
-            return false;
-          }
-          return true;
-        })
-        .map(session => {
-          console.log('💾 Converting session for save to new structure:', {
-            title: session.title,
-            eventId: session.eventId,
-            event_id: session.event_id,
-            originalStart: session.originalStart,
-            newStart: session.start,
-            partNumber: session.title?.match(/Part (\d+)/)?.[1]
-          });
+    // Generate stable identifier
+    const generatedIdentifier = generateStableSessionId(sessionWithPartNumber);
 
-          // Extract classroom number from group name if available
-          const classroomMatch = session.groupName?.match(/Classroom (\w+)/);
-          const classroomNumber = classroomMatch ? classroomMatch[1] : '1';
+    // CRITICAL FIX: Check if existing identifier is broken (missing part number)
+    // If identifier doesn't have "-part" suffix, regenerate it
+    let finalIdentifier = session.session_identifier || session.eventId || generatedIdentifier;
+    const identifierHasPartNumber = finalIdentifier && finalIdentifier.includes('-part');
 
-          // CRITICAL: Extract session_part_number FIRST so we can use it in generateStableSessionId
-          const sessionPartNumber = session.session_part_number ||
-            (session.title?.match(/Part (\d+)/)?.[1] ? parseInt(session.title.match(/Part (\d+)/)?.[1]) : 1);
+    if (!identifierHasPartNumber) {
+      console.log(`🔧 Regenerating identifier for "${session.title}" (missing part number)`);
+      finalIdentifier = generatedIdentifier; // Force regeneration
+    }
 
-          // Build session object with part number for generateStableSessionId
-          const sessionWithPartNumber = {
-            ...session,
-            session_part_number: sessionPartNumber
-          };
+    return {
+      // Use existing session ID if this is an update, otherwise generate new one
+      id: session.event_id, // This should be the session ID from training_sessions table
+      schedule_id: schedule.id,
+      course_id: session.course?.id || session.course?.course_id || null,
+      course_name: session.course?.course_name || session.title?.split(' - ')[0] || 'Unknown Course',
+      session_number: session.sessionNumber || 1,
+      session_title: session.title || 'Untitled Session',
+      session_part_number: sessionPartNumber,
+      classroom_number: classroomNumber,
+      training_location: session.location || 'TBD',
+      functional_area: session.functional_area || 'General',
+      start_datetime: (() => {
+        const startDate = new Date(session.start);
+        if (isNaN(startDate.getTime())) {
+          console.error('❌ Invalid start date for session:', session.title, 'start:', session.start);
+          throw new Error(`Invalid start date for session "${session.title}": ${session.start}`);
+        }
+        return toLocalDateTime(startDate);
+      })(),
+      end_datetime: (() => {
+        const endDate = new Date(session.end);
+        if (isNaN(endDate.getTime())) {
+          console.error('❌ Invalid end date for session:', session.title, 'end:', session.end);
+          throw new Error(`Invalid end date for session "${session.title}": ${session.end}`);
+        }
+        return toLocalDateTime(endDate);
+      })(),
+      duration_hours: session.duration || ((new Date(session.end) - new Date(session.start)) / (1000 * 60 * 60)) || 1,
+      max_attendees: session.max_participants || 10,
+      current_attendees: session.current_participants || 0,
+      instructor_id: session.trainer_id || null,
+      instructor_name: session.trainer_name || '',
+      color_theme: session.color || '#007bff',
+      text_color: session.text_color || '#ffffff',
+      background_color: session.background_color || '#007bff20',
+      notes: session.notes || '',
+      session_status: 'scheduled',
+      project_id: currentProject?.id || schedule.project_id,
+
+      // New database fields to maintain compatibility with TSC Wizard
+      // CRITICAL: Use finalIdentifier which regenerates broken identifiers without part numbers
+      session_identifier: finalIdentifier,
+      group_name: session.groupName || `${session.location || 'TBD'} - Classroom ${classroomNumber}`,
+      group_identifier: `${session.course?.course_id || 'unknown'}-group-${session.sessionNumber || 1}`,
+      delivery_method: toDeliveryMethod(session.deliveryMode),
+      meeting_link: session.meetingLink || null,
+      locked: session.locked || false,
+
+      // Multi-day session fields
+      part_of_total: session.totalParts || 1,
+      total_parts: session.totalParts || 1,
+      is_multi_day_course: (session.totalParts && session.totalParts > 1) || false,
+      course_day_sequence: session.daySequence || 1,
+      total_course_days: session.totalDays || session.daySequence || 1
+    };
+  };
 
-          // Generate stable identifier
-          const generatedIdentifier = generateStableSessionId(sessionWithPartNumber);
+  // Save rows for every session in the calendar structure
+  const toSessionRows = (sessionsByArea) => Object.values(sessionsByArea || {})
+    .flatMap(locations => Object.values(locations || {}))
+    .flatMap(classrooms => Object.values(classrooms || {}))
+    .flatMap(sessionList => sessionList || [])
+    .filter(isSavableSession)
+    .map(toSessionRow);
+
+  // Saved with the unsaved sessions, so a restored edit still knows what it started from
+  const storeBaseline = () => {
+    sessionStorage.setItem(`session-baseline-${schedule.id}`, JSON.stringify([...baseSessionsRef.current.values()]));
+  };
 
-          // CRITICAL FIX: Check if existing identifier is broken (missing part number)
-          // If identifier doesn't have "-part" suffix, regenerate it
-          let finalIdentifier = session.session_identifier || session.eventId || generatedIdentifier;
-          const identifierHasPartNumber = finalIdentifier && finalIdentifier.includes('-part');
+  // Take the sessions in the database as the baseline for the next save. The drafts come from the
+  // same conversion as the rows the editor saves, so comparing them shows only real edits.
+  const setBaseline = (rows, calendarSessions = groupSessionsForCalendar(rows)) => {
+    baseSessionsRef.current = new Map(rows.map(row => [String(row.id), row]));
+    baseDraftsRef.current = new Map(toSessionRows(calendarSessions).map(row => [row.session_identifier, row]));
+    storeBaseline();
+  };
 
-          if (!identifierHasPartNumber) {
-            console.log(`🔧 Regenerating identifier for "${session.title}" (missing part number)`);
-            finalIdentifier = generatedIdentifier; // Force regeneration
-          }
+  // Apply the session changes other people saved, in batches. Sessions this editor has not touched
+  // follow the database; changes to sessions edited here are listed and resolved when saving.
+  const applyRemoteSessionChanges = () => {
+    const payloads = remoteChangesRef.current;
+    remoteChangesRef.current = [];
+    if (payloads.length === 0) return;
+
+    let nextSessions = sessionsForCalendar;
+    let calendarChanged = false;
+    const notices = [];
+
+    const localSessions = Object.values(sessionsForCalendar)
+      .flatMap(locations => Object.values(locations || {}))
+      .flatMap(classrooms => Object.values(classrooms || {}))
+      .flatMap(sessionList => sessionList || [])
+      .filter(isSavableSession);
+    const byIdentifier = new Map(localSessions.map(session => [toSessionRow(session).session_identifier, session]));
+    const findLocal = (id, identifier) =>
+      localSessions.find(session => session.event_id && String(session.event_id) === id) || byIdentifier.get(identifier) || null;
+
+    const replaceLocal = (local, row) => {
+      const remote = toCalendarSession(row);
+      const draft = toSessionRow(remote);
+      const withoutLocal = local ? removeCalendarSessions(nextSessions, session => session === local) : nextSessions;
+      nextSessions = addCalendarSession(withoutLocal, remote);
+      baseSessionsRef.current.set(String(row.id), row);
+      baseDraftsRef.current.set(draft.session_identifier, draft);
+      calendarChanged = true;
+    };
 
-          return {
-            // Use existing session ID if this is an update, otherwise generate new one
-            id: session.event_id, // This should be the session ID from training_sessions table
-            schedule_id: schedule.id,
-            course_id: session.course?.id || session.course?.course_id || null,
-            course_name: session.course?.course_name || session.title?.split(' - ')[0] || 'Unknown Course',
-            session_number: session.sessionNumber || 1,
-            session_title: session.title || 'Untitled Session',
-            session_part_number: sessionPartNumber,
-            classroom_number: classroomNumber,
-            training_location: session.location || 'TBD',
-            functional_area: session.functional_area || 'General',
-            start_datetime: (() => {
-              const startDate = new Date(session.start);
-              if (isNaN(startDate.getTime())) {
-                console.error('❌ Invalid start date for session:', session.title, 'start:', session.start);
-                throw new Error(`Invalid start date for session "${session.title}": ${session.start}`);
-              }
-              return toLocalDateTime(startDate);
-            })(),
-            end_datetime: (() => {
-              const endDate = new Date(session.end);
-              if (isNaN(endDate.getTime())) {
-                console.error('❌ Invalid end date for session:', session.title, 'end:', session.end);
-                throw new Error(`Invalid end date for session "${session.title}": ${session.end}`);
-              }
-              return toLocalDateTime(endDate);
-            })(),
-            duration_hours: session.duration || ((new Date(session.end) - new Date(session.start)) / (1000 * 60 * 60)) || 1,
-            max_attendees: session.max_participants || 10,
-            current_attendees: session.current_participants || 0,
-            instructor_id: session.trainer_id || null,
-            instructor_name: session.trainer_name || '',
-            color_theme: session.color || '#007bff',
-            text_color: session.text_color || '#ffffff',
-            background_color: session.background_color || '#007bff20',
-            notes: session.notes || '',
-            session_status: 'scheduled',
-            project_id: currentProject?.id || schedule.project_id,
-
-            // New database fields to maintain compatibility with TSC Wizard
-            // CRITICAL: Use finalIdentifier which regenerates broken identifiers without part numbers
-            session_identifier: finalIdentifier,
-            group_name: session.groupName || `${session.location || 'TBD'} - Classroom ${classroomNumber}`,
-            group_identifier: `${session.course?.course_id || 'unknown'}-group-${session.sessionNumber || 1}`,
-            delivery_method: 'in_person',
-
-            // Multi-day session fields
-            part_of_total: session.totalParts || 1,
-            total_parts: session.totalParts || 1,
-            is_multi_day_course: (session.totalParts && session.totalParts > 1) || false,
-            course_day_sequence: session.daySequence || 1
-          };
-        });
+    payloads.forEach(({ eventType, new: row, old }) => {
+      const id = String(eventType === 'DELETE' ? old?.id : row?.id);
+      const base = baseSessionsRef.current.get(id);
 
-      console.log('💾 Sessions prepared for new database structure:', sessionsToSave);
-      
-      // CRITICAL CHECK: Prevent accidental deletion of all sessions
-      if (sessionsToSave.length === 0) {
-        console.error('🚨 CRITICAL: No sessions to save! This would delete all existing sessions.');
-        console.error('🚨 DEBUG: Original sessions structure:', sessionsForCalendar);
-        alert('⚠️ CRITICAL ERROR: No sessions found to save. This would delete all your existing sessions. Save operation cancelled.');
+      if (eventType === 'DELETE') {
+        if (!base) return; // Not one of this schedule's sessions
+        const local = findLocal(id, base.session_identifier);
+        if (!local) {
+          baseSessionsRef.current.delete(id); // Removed here as well
+          return;
+        }
+        const mine = toSessionRow(local);
+        if (hasLocalSessionChanges(baseDraftsRef.current.get(mine.session_identifier), mine)) {
+          notices.push(`${mine.session_title}: deleted by someone else while you were changing it - you will choose which to keep when you save`);
+          return;
+        }
+        nextSessions = removeCalendarSessions(nextSessions, session => session === local);
+        baseSessionsRef.current.delete(id);
+        baseDraftsRef.current.delete(mine.session_identifier);
+        calendarChanged = true;
+        notices.push(`${mine.session_title}: deleted by someone else`);
         return;
       }
 
-      // Step 1: Query existing sessions for this schedule
-      console.log('🔍 Querying existing sessions for schedule:', schedule.id);
-      const { data: existingSessions, error: queryError } = await supabase
-        .from('training_sessions')
-        .select('*')
-        .eq('schedule_id', schedule.id);
+      if (base && isSameVersion(base.updated_at, row.updated_at)) return; // Already up to date
 
-      if (queryError) {
-        console.error('❌ Error querying existing sessions:', queryError);
-        throw queryError;
+      const local = findLocal(id, row.session_identifier);
+      if (!local) {
+        if (base) {
+          notices.push(`${row.session_title}: changed by someone else after you removed it - you will choose which to keep when you save`);
+        } else {
+          replaceLocal(null, row);
+          notices.push(`${row.session_title}: added by someone else`);
+        }
+        return;
       }
 
-      console.log(`📊 Found ${existingSessions?.length || 0} existing sessions in database`);
+      const mine = toSessionRow(local);
+      if (!hasLocalSessionChanges(toSessionRow(toCalendarSession(row)), mine)) {
+        // Same as here - usually this editor's own save coming back
+        baseSessionsRef.current.set(id, row);
+        baseDraftsRef.current.set(mine.session_identifier, mine);
+        return;
+      }
+      if (hasLocalSessionChanges(baseDraftsRef.current.get(mine.session_identifier), mine)) {
+        notices.push(`${row.session_title}: changed by someone else while you were changing it - you will choose which to keep when you save`);
+        return;
+      }
+      replaceLocal(local, row);
+      notices.push(`${row.session_title}: updated by someone else`);
+    });
 
-      // Step 2: Build lookup maps using session_identifier as stable key
-      const existingSessionMap = new Map();
-      (existingSessions || []).forEach(session => {
-        existingSessionMap.set(session.session_identifier, session);
-      });
+    if (calendarChanged) {
+      initialSessionsRef.current = nextSessions;
+      setSessionsForCalendar(nextSessions);
+      setLiveRevision(prev => prev + 1);
+      if (hasChanges) {
+        sessionStorage.setItem(`unsaved-sessions-${schedule.id}`, JSON.stringify(nextSessions));
+      }
+    }
+    storeBaseline();
+    if (notices.length > 0) {
+      setRemoteNotices(prev => [...prev, ...notices].slice(-MAX_REMOTE_NOTICES));
+    }
+  };
+  // Timers call the latest version, which sees the current sessions
+  applyRemoteRef.current = applyRemoteSessionChanges;
+
+  // Compare the editor's sessions with the saved ones and build the change set that
+  // applyTrainingSessionChanges (or a change request) applies. Returns null if there is nothing to save.
+  const buildSessionChangeSet = async () => {
+    // Debug: Log the sessions structure before conversion
+    console.log('📊 DEBUG: sessionsForCalendar structure before save:', {
+      keys: Object.keys(sessionsForCalendar),
+      totalFunctionalAreas: Object.keys(sessionsForCalendar).length,
+      structure: Object.entries(sessionsForCalendar).map(([functionalArea, locations]) => ({
+        functionalArea,
+        locations: Object.keys(locations || {}),
+        totalSessions: Object.values(locations || {})
+          .flatMap(classrooms => Object.values(classrooms || {}))
+          .flatMap(sessions => sessions || []).length
+      }))
+    });
 
-      const newSessionMap = new Map();
-      sessionsToSave.forEach(session => {
-        newSessionMap.set(session.session_identifier, session);
+    // Debug: Log ALL session times before conversion to database format
+    console.log('🕐 DEBUG: ALL SESSION TIMES BEFORE CONVERSION:');
+    console.log('🔍 sessionsForCalendar keys:', Object.keys(sessionsForCalendar));
+    let sessionCounter = 0;
+    Object.entries(sessionsForCalendar).forEach(([functionalArea, locations]) => {
+      console.log(`🔍 Functional Area: ${functionalArea}`, typeof locations);
+      console.log(`🔍 Locations keys:`, Object.keys(locations || {}));
+      Object.entries(locations || {}).forEach(([location, classrooms]) => {
+        console.log(`  🔍 Location: ${location}`, typeof classrooms);
+        console.log(`  🔍 Classrooms keys:`, Object.keys(classrooms || {}));
+        Object.entries(classrooms || {}).forEach(([classroom, sessions]) => {
+          console.log(`    🔍 Classroom: ${classroom}`, typeof sessions, 'isArray:', Array.isArray(sessions));
+          if (Array.isArray(sessions)) {
+            console.log(`    🔍 Sessions count: ${sessions.length}`);
+            sessions.forEach((session, index) => {
+              const startDate = session.start instanceof Date ? session.start : new Date(session.start);
+              const endDate = session.end instanceof Date ? session.end : new Date(session.end);
+              console.log(`   [${sessionCounter++}] ${session.title || 'Untitled'}`);
+              console.log(`      START: ${startDate.toLocaleString()} (Hour: ${startDate.getHours()})`);
+              console.log(`      END: ${endDate.toLocaleString()}`);
+              console.log(`      Location: ${functionalArea}/${location}/${classroom}`);
+            });
+          } else {
+            console.error(`    ❌ Expected array but got:`, typeof sessions);
+          }
+        });
       });
+    });
 
-      // Step 3: Categorize sessions into UPDATE, INSERT, DELETE
-      const sessionsToUpdate = [];
-      const sessionsToInsert = [];
-      const sessionIdsToDelete = [];
-
-      // Identify sessions to UPDATE or INSERT
-      sessionsToSave.forEach(newSession => {
-        const existingSession = existingSessionMap.get(newSession.session_identifier);
-        if (existingSession) {
-          // Session exists - UPDATE it (preserve the ID to maintain foreign key relationships)
-          sessionsToUpdate.push({
-            ...newSession,
-            id: existingSession.id  // Keep the existing ID to preserve attendee assignments
-          });
-        } else {
-          // Session is new - INSERT it
-          sessionsToInsert.push(newSession);
-        }
-      });
+    // Convert sessions back to normalized format for new database structure
+    // Handle TSC Wizard structure: functional_area -> training_location -> classroom -> [sessions]
+    const allSessionsBeforeFilter = Object.values(sessionsForCalendar)
+      .flatMap(locations => Object.values(locations)) // functional_area -> training_location
+      .flatMap(classrooms => Object.values(classrooms)) // training_location -> classroom
+      .flatMap(sessionList => sessionList); // classroom -> [sessions]
 
-      // Identify sessions to DELETE (in database but not in new sessions)
-      (existingSessions || []).forEach(existingSession => {
-        if (!newSessionMap.has(existingSession.session_identifier)) {
-          sessionIdsToDelete.push(existingSession.id);
-        }
+    console.log(`🔍 FLATMAP RESULT: Found ${allSessionsBeforeFilter.length} sessions before filter`);
+    allSessionsBeforeFilter.slice(0, 3).forEach((s, i) => {
+      console.log(`  [${i}]`, s?.title, 'has start:', !!s?.start, 'has end:', !!s?.end);
+    });
+
+    const sessionsToSave = allSessionsBeforeFilter
+      .filter(isSavableSession)
+      .map(session => {
+        console.log('💾 Converting session for save to new structure:', {
+          title: session.title,
+          eventId: session.eventId,
+          event_id: session.event_id,
+          originalStart: session.originalStart,
+          newStart: session.start,
+          partNumber: session.title?.match(/Part (\d+)/)?.[1]
+        });
+
+        return toSessionRow(session);
       });
 
-      console.log('📋 UPSERT Operation Summary:');
-      console.log(`   🔄 Sessions to UPDATE: ${sessionsToUpdate.length}`);
-      console.log(`   ➕ Sessions to INSERT: ${sessionsToInsert.length}`);
-      console.log(`   🗑️ Sessions to DELETE: ${sessionIdsToDelete.length}`);
-
-      // Step 4: Execute UPDATE operations (preserve IDs and attendee relationships)
-      if (sessionsToUpdate.length > 0) {
-        console.log('🔄 Updating existing sessions...');
-        for (const session of sessionsToUpdate) {
-          // CRITICAL FIX: Exclude session_identifier from updates to preserve the original stable reference
-          // This prevents breaking user assignment links when sessions are moved or edited
-          const { id, session_identifier, ...sessionData } = session;
-
-          const { error: updateError } = await supabase
-            .from('training_sessions')
-            .update(sessionData)  // session_identifier NOT included, database keeps original value
-            .eq('id', id);
-
-          if (updateError) {
-            console.error(`❌ Error updating session ${id}:`, updateError);
-            throw updateError;
-          }
-        }
-        console.log(`✅ Updated ${sessionsToUpdate.length} sessions (session_identifiers preserved, attendee assignments intact)`);
-      }
+    console.log('💾 Sessions prepared for new database structure:', sessionsToSave);
+    
+    // CRITICAL CHECK: Prevent accidental deletion of all sessions
+    if (sessionsToSave.length === 0) {
+      console.error('🚨 CRITICAL: No sessions to save! This would delete all existing sessions.');
+      console.error('🚨 DEBUG: Original sessions structure:', sessionsForCalendar);
+      alert('⚠️ CRITICAL ERROR: No sessions found to save. This would delete all your existing sessions. Save operation cancelled.');
+      return null;
+    }
 
-      // Step 5: Execute INSERT operations (new sessions)
-      let insertedSessions = [];
-      if (sessionsToInsert.length > 0) {
-        console.log('➕ Inserting new sessions...');
-        // Debug: Log sample sessions with times being saved
-        console.log('🔍 Sample NEW sessions being inserted:');
-        sessionsToInsert.slice(0, 5).forEach(s => {
-          console.log(`   💾 ${s.session_title}:`, {
-            start_datetime: s.start_datetime,
-            end_datetime: s.end_datetime,
-            training_location: s.training_location,
-            classroom_number: s.classroom_number,
-            group_name: s.group_name
-          });
-        });
+    // Step 1: Query existing sessions for this schedule
+    console.log('🔍 Querying existing sessions for schedule:', schedule.id);
+    const { data: existingSessions, error: queryError } = await supabase
+      .from('training_sessions')
+      .select('*')
+      .eq('schedule_id', schedule.id);
 
-        const { data, error: insertError } = await supabase
-          .from('training_sessions')
-          .insert(sessionsToInsert.map(session => {
-            // Remove the id field for new inserts (let database generate)
-            const { id, ...sessionWithoutId } = session;
-            return sessionWithoutId;
-          }))
-          .select();
+    if (queryError) {
+      console.error('❌ Error querying existing sessions:', queryError);
+      throw queryError;
+    }
 
-        if (insertError) {
-          console.error('❌ Error inserting new sessions:', insertError);
-          throw insertError;
-        }
+    console.log(`📊 Found ${existingSessions?.length || 0} existing sessions in database`);
 
-        insertedSessions = data || [];
-        console.log(`✅ Inserted ${insertedSessions.length} new sessions`);
-      }
+    // Step 2: Build lookup maps using session_identifier as stable key
+    const existingSessionMap = new Map();
+    (existingSessions || []).forEach(session => {
+      existingSessionMap.set(session.session_identifier, session);
+    });
 
-      // Step 6: Execute DELETE operations (removed sessions)
-      if (sessionIdsToDelete.length > 0) {
-        console.log('🗑️ Deleting removed sessions...');
-        const { error: deleteError } = await supabase
-          .from('training_sessions')
-          .delete()
-          .in('id', sessionIdsToDelete);
-
-        if (deleteError) {
-          console.error('❌ Error deleting removed sessions:', deleteError);
-          throw deleteError;
-        }
-        console.log(`✅ Deleted ${sessionIdsToDelete.length} removed sessions`);
+    const newSessionMap = new Map();
+    sessionsToSave.forEach(session => {
+      newSessionMap.set(session.session_identifier, session);
+    });
+
+    // Step 3: Categorize sessions into UPDATE, INSERT, DELETE
+    const sessionsToUpdate = [];
+    const sessionsToInsert = [];
+    const sessionIdsToDelete = [];
+
+    // Identify sessions to UPDATE or INSERT
+    sessionsToSave.forEach(newSession => {
+      const existingSession = existingSessionMap.get(newSession.session_identifier);
+      if (existingSession) {
+        // Session exists - UPDATE it (preserve the ID to maintain foreign key relationships)
+        sessionsToUpdate.push({
+          ...newSession,
+          id: existingSession.id  // Keep the existing ID to preserve attendee assignments
+        });
+      } else {
+        // Session is new - INSERT it
+        sessionsToInsert.push(newSession);
       }
+    });
 
-      console.log('✅ All session changes saved successfully (UPSERT complete)');
+    // Identify sessions to DELETE (in database but not in new sessions)
+    (existingSessions || []).forEach(existingSession => {
+      if (!newSessionMap.has(existingSession.session_identifier)) {
+        sessionIdsToDelete.push(existingSession.id);
+      }
+    });
 
-      // Step 3: Update schedule metadata (updated timestamp)
-      const { error: scheduleError } = await supabase
-        .from('training_schedules')
-        .update({ 
+    console.log('📋 UPSERT Operation Summary:');
+    console.log(`   🔄 Sessions to UPDATE: ${sessionsToUpdate.length}`);
+    console.log(`   ➕ Sessions to INSERT: ${sessionsToInsert.length}`);
+    console.log(`   🗑️ Sessions to DELETE: ${sessionIdsToDelete.length}`);
+
+    return {
+      existingSessions: existingSessions || [],
+      sessionsToUpdate,
+      sessionsToInsert,
+      changeSet: {
+        updates: sessionsToUpdate,
+        inserts: sessionsToInsert.map(({ id, ...sessionWithoutId }) => sessionWithoutId),
+        deleteIds: sessionIdsToDelete,
+        scheduleChanges: {
           updated_at: toLocalDateTime(new Date()),
           // Update functional areas and training locations based on current sessions
           functional_areas: [...new Set(sessionsToSave.map(s => s.functional_area))],
           training_locations: [...new Set(sessionsToSave.map(s => s.training_location))]
-        })
-        .eq('id', schedule.id);
-
-      if (scheduleError) {
-        console.error('❌ Error updating schedule metadata:', scheduleError);
-        throw scheduleError;
+        }
       }
+    };
+  };
 
-      console.log('✅ Schedule metadata updated successfully');
+  // A locked schedule's changes are diffed against the saved sessions and raised as a change request
+  const proposeChangeRequest = ({ existingSessions, sessionsToUpdate, sessionsToInsert, changeSet }) => {
+    const assignments = learnerAssignments.map(({ end_users, ...assignment }) => ({
+      ...assignment,
+      end_user_name: end_users?.name || null
+    }));
+    const { changes, summary } = diffScheduleRevisions(
+      { sessions: existingSessions, assignments },
+      { sessions: [...sessionsToUpdate, ...sessionsToInsert], assignments }
+    );
+    setChangeProposal({ changeSet, changes, summary });
+    setShowChangeRequestsModal(true);
+  };
 
-      // Keep the current calendar view - don't revert to original
-      // The sessionsForCalendar already contains the user's changes
-      setHasChanges(false);
+  const reportSaveError = (error) => {
+    console.error('❌ Error saving schedule:', error);
+    const failures = error.failures || [];
+    alert(failures.length > 0 && failures.every(failure => failure.conflict)
+      ? 'Failed to save schedule: someone else saved some of these sessions at the same moment. Nothing was saved - save again to merge their changes with yours.'
+      : failures.length > 0
+        ? `Failed to save schedule: ${failures.length} session change(s) were rejected. Nothing was saved - see the list above the calendar, fix those sessions and save again.`
+        : `Failed to save schedule: ${error.message}\n\nIf the connection dropped, reload the schedule to see whether the save went through.`);
+  };
 
-      // Clear unsaved changes from sessionStorage since we've saved to database
-      const sessionStorageKey = `unsaved-sessions-${schedule.id}`;
-      sessionStorage.removeItem(sessionStorageKey);
-      console.log('🗑️ Cleared unsaved sessions from sessionStorage');
+  // Step 5: Apply all UPDATE, INSERT and DELETE operations and the schedule metadata in one
+  // transaction - if any row fails nothing is written and the saved schedule stays as it was.
+  // session_identifier is sent for error reporting only; the database keeps the original value
+  // so attendee assignment links survive sessions being moved or edited. Each session is only
+  // written if it is still the version the merge saw; otherwise the save is rejected as a conflict.
+  const commitSessionChanges = async (merge, resolutions = {}) => {
+    const { changeSet, expectedVersions, keptTheirs } = resolveSessionConflicts(merge, resolutions);
 
-      alert('✅ Schedule saved successfully!');
-      
-      // Optionally refresh parent component (for schedule list updates)
-      if (onSave) {
-        onSave();
+    try {
+      await applyTrainingSessionChanges(
+        { scheduleId: schedule.id, ...changeSet, expectedVersions },
+        currentProject?.id || schedule.project_id
+      );
+    } catch (error) {
+      const describeRow = (failure) => {
+        const row = failure.operation === 'update' ? changeSet.updates[failure.index]
+          : failure.operation === 'insert' ? changeSet.inserts[failure.index]
+          : null;
+        if (row) return `${row.session_title} (${row.training_location}, ${new Date(row.start_datetime).toLocaleString('en-GB')})`;
+        return failure.operation === 'delete' ? 'Removing deleted sessions' : 'Schedule details';
+      };
+      setSaveFailures((error.failures || []).map(failure => ({
+        operation: failure.operation,
+        row: describeRow(failure),
+        message: failure.conflict ? `${failure.message} while you were saving - save again to merge` : failure.message
+      })));
+      throw error;
+    }
+
+    console.log('✅ All session changes saved successfully (UPSERT complete)');
+    console.log('✅ Schedule metadata updated successfully');
+
+    const revision = await createScheduleRevision(schedule.id, 'Saved in Schedule Editor', currentProject?.id || schedule.project_id);
+
+    // Keep the current calendar view - don't revert to original
+    // The sessionsForCalendar already contains the user's changes
+    setHasChanges(false);
+    setRemoteNotices([]);
+
+    // Clear unsaved changes from sessionStorage since we've saved to database
+    const sessionStorageKey = `unsaved-sessions-${schedule.id}`;
+    sessionStorage.removeItem(sessionStorageKey);
+    console.log('🗑️ Cleared unsaved sessions from sessionStorage');
+
+    // The calendar does not show what was kept from other people yet - load the saved schedule
+    const keptFromOthers = merge.mergedFromOthers.length + merge.keptFromOthers.length + merge.removedByOthers.length + keptTheirs;
+    if (keptFromOthers > 0 && onReload) {
+      alert(`✅ Schedule saved successfully as revision ${revision.revision_number}!\n\nChanges other people made were kept as well. The schedule will reload to show them.`);
+      onReload();
+      return;
+    }
+
+    // The saved sessions are the baseline for the next save
+    const { data: savedSessions, error: reloadError } = await supabase
+      .from('training_sessions')
+      .select('*')
+      .eq('schedule_id', schedule.id);
+    if (reloadError) {
+      console.warn('Could not refresh the saved sessions:', reloadError);
+    } else {
+      setBaseline(savedSessions || [], sessionsForCalendar);
+    }
+
+    alert(`✅ Schedule saved successfully as revision ${revision.revision_number}!`);
+
+    // Optionally refresh parent component (for schedule list updates)
+    if (onSave) {
+      onSave();
+    }
+  };
+
+  const saveChanges = async () => {
+    try {
+      setSaving(true);
+      setSaveFailures([]);
+
+      const built = await buildSessionChangeSet();
+      if (!built) return;
+
+      if (scheduleLocked) {
+        proposeChangeRequest(built);
+        return;
+      }
+
+      // Step 4: Merge with what other people saved since this editor loaded the schedule. Their changes
+      // to other sessions and fields are kept; sessions both sides changed go to the user to resolve.
+      // Inserts keep their ids here so sessions someone else deleted can be recognised.
+      const merge = mergeSessionChangeSet({
+        baseSessions: baseSessionsRef.current,
+        baseDrafts: baseDraftsRef.current,
+        currentSessions: built.existingSessions,
+        changeSet: { ...built.changeSet, inserts: built.sessionsToInsert }
+      });
+
+      if (merge.conflicts.length > 0) {
+        setPendingMerge(merge);
+        return;
       }
 
+      await commitSessionChanges(merge);
     } catch (error) {
-      console.error('❌ Error saving schedule:', error);
-      alert(`Failed to save schedule: ${error.message}`);
+      reportSaveError(error);
     } finally {
       setSaving(false);
     }
   };
 
+  const handleMergeResolved = async (resolutions) => {
+    try {
+      setSaving(true);
+      await commitSessionChanges(pendingMerge, resolutions);
+    } catch (error) {
+      reportSaveError(error);
+    } finally {
+      setSaving(false);
+      setPendingMerge(null);
+    }
+  };
+
+  // Sessions moved in the resource timeline. The calendar remounts from the editor's sessions when
+  // it is shown again, so only the editor state needs updating.
+  const handleTimelineMove = (moves) => {
+    const movedSessions = new Set(moves.map(({ session }) => session));
+    let newSessions = removeCalendarSessions(sessionsForCalendar, session => movedSessions.has(session));
+    moves.forEach(({ session, changes }) => {
+      newSessions = addCalendarSession(newSessions, {
+        ...session,
+        // A new classroom changes the generated identifier - keep the saved one so the move is an update
+        session_identifier: toSessionRow(session).session_identifier,
+        ...changes
+      });
+    });
+
+    initialSessionsRef.current = newSessions;
+    setSessionsForCalendar(newSessions);
+    setHasChanges(true);
+    sessionStorage.setItem(`unsaved-sessions-${schedule.id}`, JSON.stringify(newSessions));
+  };
+
   const handleCourseAdded = (newSessions) => {
     console.log('🆕 Adding new course sessions:', newSessions);
     
@@ -996,6 +1439,91 @@ const ScheduleEditor = ({ schedule, onSave, onBack }) => {
     alert(`✅ Course added successfully! ${newSessions.length} session${newSessions.length !== 1 ? 's' : ''} created.`);
   };
 
+  const handleTopUp = () => {
+    if (scheduleLocked || scheduleReadOnly) {
+      alert(`This schedule is ${SCHEDULE_STATUS_LABELS[scheduleStatus].toLowerCase()}. Learners can only be topped up while it is a draft or under review.`);
+      return;
+    }
+    // The top-up writes straight to the database, so the editor must not hold unsaved edits
+    if (hasChanges) {
+      alert('Please save or discard your changes before topping up new learners.');
+      return;
+    }
+    setShowTopUpModal(true);
+  };
+
+  const handleTopUpApplied = ({ filledSeats, newSessions, newSessionAssignments }) => {
+    setShowTopUpModal(false);
+    alert(`✅ Top-up saved!\n\n${filledSeats} learner(s) added to existing sessions\n${newSessions} new session(s) created with ${newSessionAssignments} learner assignment(s)`);
+
+    // Reload the schedule so the editor shows the new sessions
+    sessionStorage.removeItem(`unsaved-sessions-${schedule.id}`);
+    if (onReload) {
+      onReload();
+    }
+  };
+
+  const handleRevisionRestored = (revision) => {
+    setShowHistoryModal(false);
+    alert(`✅ Schedule restored. The restore was saved as revision ${revision.revision_number}.`);
+
+    // Reload the schedule so the editor shows the restored sessions
+    sessionStorage.removeItem(`unsaved-sessions-${schedule.id}`);
+    if (onReload) {
+      onReload();
+    }
+  };
+
+  const handleTransition = async (transition) => {
+    if (hasChanges) {
+      alert('Please save or discard your changes before changing the schedule status.');
+      return;
+    }
+    const confirmed = window.confirm(
+      `${transition.label}: move this schedule from ${SCHEDULE_STATUS_LABELS[transition.from]} to ${SCHEDULE_STATUS_LABELS[transition.to]}?` +
+      (isScheduleLocked(transition.to) && !scheduleLocked
+        ? '\n\nSession times will be locked. Later changes will need an approved change request.'
+        : '')
+    );
+    if (!confirmed) return;
+
+    try {
+      setTransitioning(true);
+      await transitionScheduleStatus(schedule.id, transition.to, currentProject?.id || schedule.project_id);
+      if (onReload) {
+        onReload();
+      }
+    } catch (error) {
+      console.error('❌ Error changing schedule status:', error);
+      alert(`Failed to change schedule status: ${error.message}`);
+    } finally {
+      setTransitioning(false);
+    }
+  };
+
+  // The proposed changes are saved as a request; the editor goes back to the schedule as published
+  const handleChangeRequestSubmitted = () => {
+    setShowChangeRequestsModal(false);
+    setChangeProposal(null);
+    alert('📝 Change request submitted. The changes will be applied when an owner or admin approves it.');
+
+    sessionStorage.removeItem(`unsaved-sessions-${schedule.id}`);
+    if (onReload) {
+      onReload();
+    }
+  };
+
+  const handleChangeRequestApplied = (revision) => {
+    setShowChangeRequestsModal(false);
+    setChangeProposal(null);
+    alert(`✅ Change request applied and saved as revision ${revision.revision_number}.`);
+
+    sessionStorage.removeItem(`unsaved-sessions-${schedule.id}`);
+    if (onReload) {
+      onReload();
+    }
+  };
+
   const handleSaveAs = () => {
     // Initialize form with default name
     setSaveAsForm({
@@ -1017,7 +1545,8 @@ const ScheduleEditor = ({ schedule, onSave, onBack }) => {
       const result = await saveScheduleAs(
         schedule.id,
         saveAsForm.name.trim(),
-        saveAsForm.description.trim() || null
+        saveAsForm.description.trim() || null,
+        currentProject?.id || schedule.project_id
       );
 
       console.log('✅ Schedule copied successfully:', result);
@@ -1068,7 +1597,11 @@ const ScheduleEditor = ({ schedule, onSave, onBack }) => {
           <div className="schedule-metadata">
             <span>Created: {new Date(schedule.created_at).toLocaleDateString('en-GB')}</span>
             <span>•</span>
-            <span>Version: {schedule.version ? new Date(schedule.version).toLocaleDateString('en-GB') : 'v1.0'}</span>
+            <span>Revision: {schedule.version || '1'}</span>
+            <span>•</span>
+            <span className="schedule-status-badge" style={SCHEDULE_STATUS_COLORS[scheduleStatus]}>
+              {scheduleLocked && '🔒 '}{SCHEDULE_STATUS_LABELS[scheduleStatus]}
+            </span>
             <span>•</span>
             <span
               title="Click to copy full schedule ID"
@@ -1077,18 +1610,74 @@ const ScheduleEditor = ({ schedule, onSave, onBack }) => {
             >
               ID: {schedule.id.substring(0, 8)}... (click to copy full)
             </span>
+            <span>•</span>
+            <CollaboratorsIndicator collaborators={collaborators} connected={connected} />
             {hasChanges && <span className="changes-indicator">• Unsaved changes</span>}
           </div>
         </div>
 
         <div className="header-actions">
+          {getAvailableTransitions(scheduleStatus, hasPermission).map(transition => (
+            <button
+              key={transition.to}
+              onClick={() => handleTransition(transition)}
+              className="lifecycle-btn"
+              disabled={saving || transitioning}
+              title={`Move to ${SCHEDULE_STATUS_LABELS[transition.to]}`}
+            >
+              {transition.label}
+            </button>
+          ))}
+          {scheduleLocked && (
+            <>
+              <button
+                onClick={() => setProposingChange(!proposingChange)}
+                className={proposingChange ? 'select-btn active' : 'select-btn'}
+                disabled={saving}
+                title="Unlock session times to draft a change request"
+              >
+                {proposingChange ? '🔒 Stop Proposing' : '✏️ Propose Change'}
+              </button>
+              <button
+                onClick={() => { setChangeProposal(null); setShowChangeRequestsModal(true); }}
+                className="change-requests-btn"
+                disabled={saving}
+                title="Review change requests for this schedule"
+              >
+                📝 Change Requests
+              </button>
+            </>
+          )}
           <button 
             onClick={() => setShowAddCourseModal(true)} 
             className="add-course-btn"
-            disabled={saving}
+            disabled={saving || timesLocked}
           >
             ➕ Add Course
           </button>
+          <button
+            onClick={handleTopUp}
+            className="top-up-btn"
+            disabled={saving || scheduleLocked || scheduleReadOnly}
+            title="Add learners who joined since this schedule was saved"
+          >
+            🔄 Top Up Learners
+          </button>
+          <button
+            onClick={() => setShowHistoryModal(true)}
+            className="history-btn"
+            disabled={saving}
+            title="Compare or restore saved revisions of this schedule"
+          >
+            🕘 History
+          </button>
+          <button
+            onClick={() => setShowBusyTimeModal(true)}
+            className="busy-time-btn"
+            title="Import trainer and classroom busy time from .ics calendars"
+          >
+            📥 Busy Time
+          </button>
           <button 
             onClick={handleSaveAs} 
             className="save-as-btn"
@@ -1104,8 +1693,8 @@ const ScheduleEditor = ({ schedule, onSave, onBack }) => {
           <button 
             onClick={toggleSelectionMode}
             className={selectionMode ? 'select-btn active' : 'select-btn'}
-            disabled={saving}
-            title="Toggle selection mode"
+            disabled={saving || scheduleLocked || scheduleReadOnly}
+            title={scheduleLocked || scheduleReadOnly ? 'Bulk changes are not available once a schedule is published' : 'Toggle selection mode'}
           >
             {selectionMode ? '✅ Exit Select' : '☑️ Select'}
           </button>
@@ -1157,6 +1746,7 @@ const ScheduleEditor = ({ schedule, onSave, onBack }) => {
                   {trainers.map((trainer) => (
                     <option key={trainer.id} value={trainer.id}>
                       {trainer.name} {trainer.email && `(${trainer.email})`}
+                      {busyTrainerIds.has(trainer.id) && ' - busy elsewhere'}
                     </option>
                   ))}
                 </select>
@@ -1178,31 +1768,124 @@ const ScheduleEditor = ({ schedule, onSave, onBack }) => {
           <button 
             onClick={saveChanges} 
             className="save-btn" 
-            disabled={!hasChanges || saving}
+            disabled={!hasChanges || saving || scheduleReadOnly}
           >
-            {saving ? '⏳ Saving...' : '💾 Save Changes'}
+            {saving ? '⏳ Saving...' : scheduleLocked ? '📝 Request Change' : '💾 Save Changes'}
           </button>
         </div>
       </div>
 
       <div className="editor-instructions">
-        <p>
-          <strong>Instructions:</strong> Drag sessions to reschedule them. 
-          Click and drag the edges to resize session duration. 
-          Changes are tracked automatically.
-        </p>
+        {scheduleReadOnly ? (
+          <p>
+            <strong>Closed:</strong> This schedule has finished delivery and can no longer be changed.
+          </p>
+        ) : timesLocked ? (
+          <p>
+            <strong>🔒 {SCHEDULE_STATUS_LABELS[scheduleStatus]}:</strong> Session times are locked.
+            Click <em>Propose Change</em> to move sessions, then <em>Request Change</em> to send the
+            changes and the learners they affect for approval.
+          </p>
+        ) : (
+          <p>
+            <strong>Instructions:</strong> Drag sessions to reschedule them. 
+            Click and drag the edges to resize session duration. 
+            Changes are tracked automatically.
+          </p>
+        )}
       </div>
 
+      {sequencingConflicts.length > 0 && (
+        <div style={{ margin: '0 0 15px 0', padding: '12px 15px', backgroundColor: '#fff3cd', border: '1px solid #ffeaa7', borderRadius: '5px', color: '#856404' }}>
+          <strong>⚠️ {sequencingConflicts.length} course sequencing issue{sequencingConflicts.length === 1 ? '' : 's'}</strong>
+          <ul style={{ margin: '8px 0 0 0', paddingLeft: '20px' }}>
+            {sequencingConflicts.map((conflict, index) => (
+              <li key={`${conflict.type}-${conflict.location}-${conflict.sessionNumber}-${index}`}>
+                {conflict.message} <span style={{ color: '#6c757d' }}>({conflict.location}, Group {conflict.sessionNumber})</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {saveFailures.length > 0 && (
+        <div style={{ margin: '0 0 15px 0', padding: '12px 15px', backgroundColor: '#f8d7da', border: '1px solid #f5c6cb', borderRadius: '5px', color: '#721c24' }}>
+          <strong>❌ The last save was rolled back - {saveFailures.length} change{saveFailures.length === 1 ? '' : 's'} failed</strong>
+          <p style={{ margin: '6px 0 0 0' }}>The saved schedule is unchanged. Your edits are still here; fix these rows and save again.</p>
+          <ul style={{ margin: '8px 0 0 0', paddingLeft: '20px' }}>
+            {saveFailures.map((failure, index) => (
+              <li key={`${failure.operation}-${index}`}>
+                {failure.row}: {failure.message}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {remoteNotices.length > 0 && (
+        <div style={{ margin: '0 0 15px 0', padding: '12px 15px', backgroundColor: '#fff3cd', border: '1px solid #ffeaa7', borderRadius: '5px', color: '#856404' }}>
+          <strong>👥 Changes from other editors</strong>
+          <button
+            onClick={() => setRemoteNotices([])}
+            style={{ float: 'right', background: 'none', border: 'none', color: '#856404', cursor: 'pointer', textDecoration: 'underline' }}
+          >
+            Dismiss
+          </button>
+          <ul style={{ margin: '8px 0 0 0', paddingLeft: '20px' }}>
+            {remoteNotices.map((notice, index) => (
+              <li key={index}>{notice}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {learnerConflicts.length > 0 && (
+        <div style={{ margin: '0 0 15px 0', padding: '12px 15px', backgroundColor: '#fff3cd', border: '1px solid #ffeaa7', borderRadius: '5px', color: '#856404' }}>
+          <strong>⚠️ {learnerConflicts.length} learner booking issue{learnerConflicts.length === 1 ? '' : 's'}</strong>
+          <ul style={{ margin: '8px 0 0 0', paddingLeft: '20px' }}>
+            {learnerConflicts.map((conflict, index) => (
+              <li key={`${conflict.type}-${conflict.learnerId}-${index}`}>
+                {conflict.message}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
       <div className="editor-content">
-        {sessionsForCalendar && Object.keys(sessionsForCalendar).length > 0 ? (
+        <div className="editor-view-toggle">
+          {[['calendar', '📅 Calendar'], ...Object.values(TIMELINE_MODE).map(mode => [mode, `📊 ${TIMELINE_MODE_LABELS[mode]} Timeline`])].map(([mode, label]) => (
+            <button
+              key={mode}
+              className={viewMode === mode ? 'active' : ''}
+              onClick={() => setViewMode(mode)}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+
+        {viewMode !== 'calendar' ? (
+          <ResourceTimeline
+            sessions={sessionsForCalendar}
+            mode={viewMode}
+            criteria={schedule.criteria}
+            trainers={trainers}
+            busyBlocks={busyBlocks}
+            readOnly={timesLocked}
+            onSessionsMoved={handleTimelineMove}
+          />
+        ) : sessionsForCalendar && Object.keys(sessionsForCalendar).length > 0 ? (
           <ScheduleCalendar
-            key="schedule-calendar-singleton"
+            key={`schedule-calendar-singleton-${liveRevision}`} // The calendar only reads sessions on mount
             sessions={sessionsForCalendar}
             onSessionUpdated={handleSessionUpdate}
             criteria={schedule.criteria}
             selectionMode={selectionMode}
             selectedEventIds={selectedEventIds}
             onEventSelection={handleEventSelection}
+            timesLocked={timesLocked}
+            busyBlocks={busyBlocks}
           />
         ) : (
           <div className="empty-schedule">
@@ -1264,6 +1947,55 @@ const ScheduleEditor = ({ schedule, onSave, onBack }) => {
         onCourseAdded={handleCourseAdded}
       />
 
+      {/* Top Up New Learners Modal */}
+      <TopUpScheduleModal
+        isOpen={showTopUpModal}
+        onClose={() => setShowTopUpModal(false)}
+        schedule={schedule}
+        onApplied={handleTopUpApplied}
+      />
+
+      {/* Revision History Modal */}
+      <ScheduleHistoryModal
+        isOpen={showHistoryModal}
+        onClose={() => setShowHistoryModal(false)}
+        schedule={schedule}
+        hasUnsavedChanges={hasChanges}
+        restoreLockedReason={scheduleLocked || scheduleReadOnly
+          ? `This schedule is ${SCHEDULE_STATUS_LABELS[scheduleStatus].toLowerCase()}, so earlier revisions cannot be restored. Raise a change request instead.`
+          : null}
+        onRestored={handleRevisionRestored}
+      />
+
+      {/* Busy Time Import Modal */}
+      <BusyTimeImportModal
+        isOpen={showBusyTimeModal}
+        onClose={() => setShowBusyTimeModal(false)}
+        trainers={trainers}
+        busyBlocks={busyBlocks}
+        onBusyBlocksChanged={fetchBusyBlocks}
+      />
+
+      {/* Change Requests Modal */}
+      <ScheduleChangeRequestsModal
+        isOpen={showChangeRequestsModal}
+        onClose={() => { setShowChangeRequestsModal(false); setChangeProposal(null); }}
+        schedule={schedule}
+        proposal={changeProposal}
+        hasUnsavedChanges={hasChanges}
+        onSubmitted={handleChangeRequestSubmitted}
+        onApplied={handleChangeRequestApplied}
+      />
+
+      {/* Merge Modal */}
+      <ScheduleMergeModal
+        isOpen={!!pendingMerge}
+        merge={pendingMerge}
+        saving={saving}
+        onCancel={() => setPendingMerge(null)}
+        onResolve={handleMergeResolved}
+      />
+
       {/* Save As Modal */}
       {showSaveAsModal && (
         <div className="modal-overlay">
@@ -0,0 +1,277 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { useProject } from '@core/contexts/ProjectContext';
+import {
+  getScheduleRevisions,
+  loadScheduleRevision,
+  restoreScheduleRevision
+} from '@core/services/scheduleService';
+import { diffScheduleRevisions } from '@core/utils/scheduling/index.js';
+import { generateCalendarUpdates, downloadCalendarFile, CALENDAR_METHOD } from '@core/utils/calendarInviteGenerator';
+import ScheduleChangesTable, { formatDateTime } from './ScheduleChangesTable';
+import './AddCourseToScheduleModal.css';
+import './ScheduleHistoryModal.css';
+
+/**
+ * Revision history for a saved schedule
+ * Lists the schedule's revisions, shows the sessions added, removed, moved or re-trainered
+ * between any two of them (with the learners each change affects), downloads the calendar
+ * updates and cancellations for that change and restores a revision.
+ */
+const ScheduleHistoryModal = ({ isOpen, onClose, schedule, hasUnsavedChanges = false, restoreLockedReason = null, onRestored }) => {
+  const { currentProject } = useProject();
+  const projectId = currentProject?.id || schedule?.project_id;
+  const [revisions, setRevisions] = useState([]);
+  const [snapshots, setSnapshots] = useState({}); // revision id -> full revision
+  const [fromId, setFromId] = useState(null);
+  const [toId, setToId] = useState(null);
+  const [status, setStatus] = useState('idle'); // 'idle', 'loading', 'comparing', 'restoring', 'generating'
+  const [error, setError] = useState(null);
+  const [calendarFiles, setCalendarFiles] = useState(null);
+
+  useEffect(() => {
+    if (isOpen && schedule && projectId) {
+      loadRevisions();
+    }
+  }, [isOpen, schedule?.id, projectId]);
+
+  const loadRevisions = async () => {
+    setStatus('loading');
+    setError(null);
+    setSnapshots({});
+
+    try {
+      const list = await getScheduleRevisions(schedule.id, projectId);
+      setRevisions(list);
+      setToId(list[0]?.id || null);
+      setFromId(list[1]?.id || null);
+      setStatus('idle');
+    } catch (err) {
+      console.error('❌ Error loading schedule history:', err);
+      setError(`Schedule history could not be loaded: ${err.message}`);
+      setStatus('idle');
+    }
+  };
+
+  // Load the two snapshots being compared
+  useEffect(() => {
+    const missing = [fromId, toId].filter(id => id && !snapshots[id]);
+    if (!isOpen || missing.length === 0) return;
+
+    setStatus('comparing');
+    Promise.all(missing.map(id => loadScheduleRevision(id, projectId)))
+      .then(loaded => {
+        setSnapshots(prev => ({ ...prev, ...Object.fromEntries(loaded.map(revision => [revision.id, revision])) }));
+        setStatus('idle');
+      })
+      .catch(err => {
+        console.error('❌ Error loading revisions to compare:', err);
+        setError(`Revisions could not be loaded: ${err.message}`);
+        setStatus('idle');
+      });
+  }, [isOpen, fromId, toId]);
+
+  const diff = useMemo(() => {
+    if (!snapshots[fromId] || !snapshots[toId]) return null;
+    // Always compare the earlier revision against the later one
+    const [earlier, later] = [snapshots[fromId], snapshots[toId]]
+      .sort((a, b) => a.revision_number - b.revision_number);
+    return { earlier, later, ...diffScheduleRevisions(earlier, later) };
+  }, [snapshots, fromId, toId]);
+
+  useEffect(() => {
+    setCalendarFiles(null);
+  }, [fromId, toId]);
+
+  const handleCalendarUpdates = async () => {
+    setStatus('generating');
+    setError(null);
+
+    const result = await generateCalendarUpdates(schedule, diff.earlier, diff.later, projectId);
+    setStatus('idle');
+
+    if (!result.success) {
+      setError(`Calendar updates could not be generated: ${result.error}`);
+      return;
+    }
+    result.files.forEach(file => downloadCalendarFile(file.content, file.filename));
+    setCalendarFiles(result.files);
+  };
+
+  const handleRestore = async (revision) => {
+    const confirmed = window.confirm(
+      `Restore revision ${revision.revision_number}?\n\n` +
+      'Sessions and learner assignments will be put back as they were in that revision. ' +
+      'The current schedule is saved as a revision first, so this can be undone.'
+    );
+    if (!confirmed) return;
+
+    setStatus('restoring');
+    setError(null);
+    try {
+      const restored = await restoreScheduleRevision(schedule.id, revision.id, projectId);
+      setStatus('idle');
+      onRestored(restored);
+    } catch (err) {
+      console.error('❌ Error restoring revision:', err);
+      setError(`Revision ${revision.revision_number} could not be restored: ${err.message}. Reload the schedule before trying again.`);
+      setStatus('idle');
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="modal-overlay">
+      <div className="modal-content add-course-modal history-modal">
+        <div className="modal-header">
+          <h2>🕘 Schedule History</h2>
+          <button onClick={onClose} className="close-btn" disabled={status === 'restoring'}>×</button>
+        </div>
+
+        <div className="modal-body">
+          {error && <div className="error-message">{error}</div>}
+
+          {hasUnsavedChanges && (
+            <div className="history-notice">
+              This schedule has unsaved changes. Save or discard them before restoring a revision.
+            </div>
+          )}
+
+          {restoreLockedReason && (
+            <div className="history-notice">{restoreLockedReason}</div>
+          )}
+
+          {status === 'loading' && (
+            <div className="loading-state">
+              <div>🕘 Loading revisions...</div>
+            </div>
+          )}
+
+          {status !== 'loading' && revisions.length === 0 && (
+            <div className="empty-state">
+              <p>No revisions have been saved for this schedule yet. A revision is recorded every time the schedule is saved.</p>
+            </div>
+          )}
+
+          {revisions.length > 0 && (
+            <div className="history-section">
+              <h3>Revisions</h3>
+              <table className="history-table">
+                <thead>
+                  <tr>
+                    <th>From</th>
+                    <th>To</th>
+                    <th>Revision</th>
+                    <th>Saved</th>
+                    <th>Note</th>
+                    <th>Sessions</th>
+                    <th>Assignments</th>
+                    <th></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {revisions.map((revision, index) => (
+                    <tr key={revision.id}>
+                      <td>
+                        <input type="radio" name="history-from" checked={fromId === revision.id} onChange={() => setFromId(revision.id)} />
+                      </td>
+                      <td>
+                        <input type="radio" name="history-to" checked={toId === revision.id} onChange={() => setToId(revision.id)} />
+                      </td>
+                      <td>{revision.revision_number}{index === 0 && ' (current)'}</td>
+                      <td>{formatDateTime(revision.created_at)}</td>
+                      <td>{revision.note || '-'}</td>
+                      <td>{revision.session_count}</td>
+                      <td>{revision.assignment_count}</td>
+                      <td>
+                        {index > 0 && (
+                          <button
+                            type="button"
+                            className="history-restore-btn"
+                            onClick={() => handleRestore(revision)}
+                            disabled={status !== 'idle' || hasUnsavedChanges || !!restoreLockedReason}
+                          >
+                            {status === 'restoring' ? '⏳' : '⏪ Restore'}
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {status === 'comparing' && (
+            <div className="loading-state">
+              <div>🔍 Comparing revisions...</div>
+            </div>
+          )}
+
+          {diff && fromId !== toId && (
+            <div className="history-section">
+              <h3>Changes from revision {diff.earlier.revision_number} to revision {diff.later.revision_number}</h3>
+              <div className="history-summary">
+                <strong>{diff.summary.added}</strong> added •{' '}
+                <strong>{diff.summary.removed}</strong> removed •{' '}
+                <strong>{diff.summary.moved}</strong> moved •{' '}
+                <strong>{diff.summary.retrainered}</strong> re-trainered •{' '}
+                <strong>{diff.summary.unchanged}</strong> unchanged •{' '}
+                <strong>{diff.summary.affectedAssignments}</strong> learner assignment(s) affected
+              </div>
+
+              {diff.changes.length === 0 ? (
+                <div className="empty-state">
+                  <p>✅ No session changes between these revisions.</p>
+                </div>
+              ) : (
+                <ScheduleChangesTable changes={diff.changes} />
+              )}
+
+              <div className="history-calendar">
+                <button
+                  type="button"
+                  className="history-calendar-btn"
+                  onClick={handleCalendarUpdates}
+                  disabled={status !== 'idle'}
+                  title="Download .ics files that update, add or cancel these sessions in attendees' calendars"
+                >
+                  {status === 'generating' ? '⏳ Generating...' : '📅 Download Calendar Updates'}
+                </button>
+                <span className="history-calendar-hint">
+                  Only the people affected by these changes are included, covering moved, added and deleted sessions and learners added or removed.
+                </span>
+              </div>
+
+              {calendarFiles && calendarFiles.length === 0 && (
+                <div className="empty-state">
+                  <p>✅ No calendar changes for anyone with an email address.</p>
+                </div>
+              )}
+
+              {calendarFiles && calendarFiles.map(file => (
+                <div key={file.method} className="history-calendar-file">
+                  <strong>
+                    {file.method === CALENDAR_METHOD.CANCEL ? '🚫 Cancellations' : '📨 Updates'}
+                  </strong>{' '}
+                  ({file.filename}): {file.eventCount} session(s) for {file.recipients.length} people
+                  <div className="history-calendar-recipients">
+                    {file.recipients.map(recipient => recipient.email).join('; ')}
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+
+          <div className="modal-actions">
+            <button type="button" onClick={onClose} className="cancel-btn" disabled={status === 'restoring'}>
+              Close
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ScheduleHistoryModal;
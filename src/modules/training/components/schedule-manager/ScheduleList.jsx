@@ -1,5 +1,6 @@
 import React from 'react';
 import { format } from 'date-fns';
+import { SCHEDULE_STATUS_LABELS, SCHEDULE_STATUS_COLORS, normaliseScheduleStatus } from '@core/utils/scheduling/index.js';
 
 const ScheduleList = ({ 
   schedules, 
@@ -98,6 +99,12 @@ const ScheduleList = ({
                 
                 <div className="table-cell name-cell">
                   <div className="schedule-name">{schedule.name}</div>
+                  <span
+                    className="schedule-status-badge"
+                    style={SCHEDULE_STATUS_COLORS[normaliseScheduleStatus(schedule.status)]}
+                  >
+                    {SCHEDULE_STATUS_LABELS[normaliseScheduleStatus(schedule.status)]}
+                  </span>
                 </div>
                 
                 <div className="table-cell date-cell">
@@ -116,7 +123,7 @@ const ScheduleList = ({
                 
                 <div className="table-cell version-cell">
                   <span className="version-badge">
-                    {schedule.version ? formatDate(schedule.version) : 'v1.0'}
+                    v{schedule.version || '1'}
                   </span>
                 </div>
                 
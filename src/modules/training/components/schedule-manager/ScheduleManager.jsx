@@ -2,13 +2,16 @@ import React, { useState, useEffect } from 'react';
 import { useLocation } from 'react-router-dom';
 import { supabase } from '@core/services/supabaseClient';
 import { useProject } from '@core/contexts/ProjectContext';
+import { useAuditSource } from '@core/utils/auditSource';
 import ScheduleList from './ScheduleList';
 import ExcelExportDialog from '@shared/components/ExcelExportDialog';
 import ExcelImportWizard from '@shared/components/ExcelImportWizard';
 import ScheduleEditor from './ScheduleEditor';
+import { groupSessionsForCalendar } from './sessionCalendarUtils';
 import './ScheduleManager.css';
 
 const ScheduleManager = () => {
+  useAuditSource('Schedule Manager');
   const location = useLocation();
   const { currentProject } = useProject();
   const [schedules, setSchedules] = useState([]);
@@ -17,6 +20,7 @@ const ScheduleManager = () => {
   const [selectedSchedules, setSelectedSchedules] = useState([]);
   const [currentView, setCurrentView] = useState('list'); // 'list', 'edit', 'export', 'import'
   const [currentSchedule, setCurrentSchedule] = useState(null);
+  const [editorLoadCount, setEditorLoadCount] = useState(0);
   const [searchTerm, setSearchTerm] = useState('');
   const [filterDate, setFilterDate] = useState('');
 
@@ -63,6 +67,7 @@ const ScheduleManager = () => {
           updated_at, 
           criteria, 
           status, 
+          version, 
           functional_areas, 
           training_locations,
           session_count:training_sessions(count)
@@ -117,73 +122,13 @@ const ScheduleManager = () => {
       }
 
       // Transform sessions to match TSC Wizard structure: functional_area -> training_location -> classroom -> [sessions]
-      const sessionsGroupedByStructure = {};
-      
-      (sessionsData || []).forEach(session => {
-        const functionalArea = session.functional_area;
-        const trainingLocation = session.training_location;
-        const classroomKey = `Classroom ${session.classroom_number}`;
-        
-        // Initialize nested structure
-        if (!sessionsGroupedByStructure[functionalArea]) {
-          sessionsGroupedByStructure[functionalArea] = {};
-        }
-        if (!sessionsGroupedByStructure[functionalArea][trainingLocation]) {
-          sessionsGroupedByStructure[functionalArea][trainingLocation] = {};
-        }
-        if (!sessionsGroupedByStructure[functionalArea][trainingLocation][classroomKey]) {
-          sessionsGroupedByStructure[functionalArea][trainingLocation][classroomKey] = [];
-        }
-        
-        // Transform session to match calendar format
-        const startDate = new Date(session.start_datetime);
-        const endDate = new Date(session.end_datetime);
-        
-        const calendarSession = {
-          course_id: session.course_id,
-          course_name: session.course_name,
-          sessionNumber: session.session_number,
-          group_type: [], // Will be populated based on criteria
-          groupName: `${session.training_location} - Classroom ${session.classroom_number}`,
-          start: startDate,
-          end: endDate,
-          duration: session.duration_hours || 1,
-          functional_area: session.functional_area,
-          location: session.training_location,
-          title: session.session_title || `${session.course_name} - Group ${session.session_number}`,
-          custom_title: session.session_title || '',
-          trainer_id: session.instructor_id || '',
-          trainer_name: session.instructor_name || '',
-          color: null, // Let ScheduleCalendar handle color assignment
-          text_color: null,
-          background_color: null,
-          notes: session.notes || '',
-          max_participants: session.max_attendees,
-          current_participants: session.current_attendees,
-          event_id: session.id, // Use session ID as event ID
-          eventId: `${session.course_id}-session${session.session_number}-${trainingLocation.replace(/\s+/g, '-').toLowerCase()}-${session.functional_area.replace(/\s+/g, '-').toLowerCase()}`,
-          calendarInstance: `${trainingLocation} - Classroom ${session.classroom_number}-${session.functional_area}`,
-          
-          // Multi-day session fields from new database structure
-          totalParts: session.total_parts || 1,
-          totalDays: session.course_day_sequence || 1,
-          daySequence: session.course_day_sequence || 1,
-          isMultiDay: session.is_multi_day_course || false,
-          course: {
-            id: session.course_id,
-            course_id: session.course_id,
-            course_name: session.course_name,
-            duration_hrs: session.duration_hours || 1
-          }
-        };
-        
-        sessionsGroupedByStructure[functionalArea][trainingLocation][classroomKey].push(calendarSession);
-      });
+      const sessionsGroupedByStructure = groupSessionsForCalendar(sessionsData);
 
       // Combine schedule with sessions in TSC Wizard format
       const scheduleWithSessions = {
         ...scheduleData,
-        sessions: sessionsGroupedByStructure // Use TSC Wizard structure
+        sessions: sessionsGroupedByStructure, // Use TSC Wizard structure
+        sessionRows: sessionsData || [] // As loaded, so the editor can tell what others change while it is open
       };
 
       console.log('✅ Loaded schedule with sessions in TSC Wizard format:', {
@@ -193,6 +138,7 @@ const ScheduleManager = () => {
       });
 
       setCurrentSchedule(scheduleWithSessions);
+      setEditorLoadCount(count => count + 1);
       setCurrentView('edit');
     } catch (err) {
       console.error('❌ Error loading schedule:', err);
@@ -328,7 +274,7 @@ const ScheduleManager = () => {
 
       {currentView === 'edit' && currentSchedule && (
         <ScheduleEditor
-          key={`schedule-editor-${currentSchedule.id}`}
+          key={`schedule-editor-${currentSchedule.id}-${editorLoadCount}`}
           schedule={currentSchedule}
           onSave={() => {
             // Don't refresh schedules immediately to avoid resetting editor state
@@ -340,6 +286,7 @@ const ScheduleManager = () => {
             fetchSchedules();
             handleBack();
           }}
+          onReload={() => loadScheduleForEdit(currentSchedule.id)}
         />
       )}
 
@@ -0,0 +1,187 @@
+import React, { useState, useEffect } from 'react';
+import {
+  MERGE_CONFLICT,
+  MERGE_CONFLICT_LABELS,
+  MERGE_FIELD_LABELS,
+  ASSIGNMENT_MERGE_FIELD_LABELS
+} from '@core/utils/scheduling/index.js';
+import { formatDateTime } from './ScheduleChangesTable';
+import './AddCourseToScheduleModal.css';
+import './ScheduleHistoryModal.css';
+import './ScheduleMergeModal.css';
+
+const fieldLabel = (field) => MERGE_FIELD_LABELS[field] || ASSIGNMENT_MERGE_FIELD_LABELS[field] || field;
+
+// What keeping each side means, per conflict type
+const CHOICE_LABELS = {
+  [MERGE_CONFLICT.BOTH_CHANGED]: { mine: 'Keep my version', theirs: 'Keep their version' },
+  [MERGE_CONFLICT.DELETED_ELSEWHERE]: { mine: 'Keep my version (recreate it)', theirs: 'Leave it deleted' },
+  [MERGE_CONFLICT.CHANGED_ELSEWHERE]: { mine: 'Delete it anyway', theirs: 'Keep their version' },
+  [MERGE_CONFLICT.ASSIGNMENT_CHANGED_ELSEWHERE]: { mine: 'Remove it anyway', theirs: 'Keep their version' },
+  [MERGE_CONFLICT.SESSION_CHANGED_ELSEWHERE]: { mine: 'Assign anyway', theirs: 'Do not assign' }
+};
+
+const formatValue = (field, value) => {
+  if (value === null || value === undefined || value === '') return '-';
+  if (field === 'start_datetime' || field === 'end_datetime') return formatDateTime(value);
+  return String(value);
+};
+
+/**
+ * Shown when saving the Schedule Editor would overwrite sessions someone else saved since the
+ * editor loaded, or when assignment changes on the User Assignments screen meet assignments or
+ * sessions someone else changed. For each conflict the user keeps their version or the other one;
+ * everything that does not conflict is merged automatically and listed for information.
+ */
+const ScheduleMergeModal = ({
+  isOpen,
+  merge, // from mergeSessionChangeSet or mergeAssignmentChangeSet
+  itemName = 'session', // what the conflicts are about, for the headings
+  saveLabel = 'Save Merged Schedule',
+  cancelLabel = 'Back to Editing',
+  saving = false,
+  onCancel,
+  onResolve // (resolutions: { [conflict id]: 'mine' | 'theirs' })
+}) => {
+  const [resolutions, setResolutions] = useState({});
+
+  useEffect(() => {
+    if (isOpen) {
+      setResolutions({});
+    }
+  }, [isOpen, merge]);
+
+  if (!isOpen || !merge) return null;
+
+  const unresolved = merge.conflicts.filter(conflict => !resolutions[conflict.id]).length;
+  const setAll = (choice) => setResolutions(
+    Object.fromEntries(merge.conflicts.map(conflict => [conflict.id, choice]))
+  );
+
+  return (
+    <div className="modal-overlay">
+      <div className="modal-content add-course-modal history-modal">
+        <div className="modal-header">
+          <h2>👥 Merge Changes</h2>
+          <button onClick={onCancel} className="close-btn" disabled={saving}>×</button>
+        </div>
+
+        <div className="modal-body">
+          <div className="history-notice">
+            Someone else saved changes to this schedule after you opened it. Choose which version to keep
+            for each {itemName} below. Nothing has been saved yet.
+          </div>
+
+          {(merge.mergedFromOthers.length > 0 || merge.keptFromOthers.length > 0 || merge.removedByOthers.length > 0) && (
+            <div className="history-summary">
+              <strong>Merged automatically:</strong>
+              <ul className="merge-auto-list">
+                {merge.mergedFromOthers.map(({ title, fields }, index) => (
+                  <li key={`merged-${index}`}>
+                    {title}: their change to {fields.map(fieldLabel).join(', ')} is kept with yours
+                  </li>
+                ))}
+                {merge.keptFromOthers.map((title, index) => (
+                  <li key={`kept-${index}`}>{title}: added by someone else, kept</li>
+                ))}
+                {merge.removedByOthers.map((title, index) => (
+                  <li key={`removed-${index}`}>{title}: deleted by someone else, stays deleted</li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          <div className="history-section">
+            <div className="merge-section-header">
+              <h3>{merge.conflicts.length} conflicting {itemName}{merge.conflicts.length === 1 ? '' : 's'}</h3>
+              <span>
+                <button type="button" className="history-restore-btn" onClick={() => setAll('mine')} disabled={saving}>
+                  Keep all mine
+                </button>{' '}
+                <button type="button" className="history-restore-btn" onClick={() => setAll('theirs')} disabled={saving}>
+                  Keep all theirs
+                </button>
+              </span>
+            </div>
+
+            {merge.conflicts.map(conflict => (
+              <div key={conflict.id} className="merge-conflict">
+                <div className="merge-conflict-title">
+                  <strong>{conflict.title}</strong>
+                  <span>{MERGE_CONFLICT_LABELS[conflict.type]}</span>
+                </div>
+
+                {conflict.fields.length > 0 && (
+                  <table className="history-table">
+                    <thead>
+                      <tr>
+                        <th>Field</th>
+                        <th>When you opened it</th>
+                        <th>Yours</th>
+                        <th>Theirs</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {conflict.fields.map(({ field, base, mine, theirs }) => (
+                        <tr key={field}>
+                          <td>{fieldLabel(field)}</td>
+                          <td>{formatValue(field, base)}</td>
+                          <td>
+                            {conflict.type === MERGE_CONFLICT.CHANGED_ELSEWHERE ? 'Deleted'
+                              : conflict.type === MERGE_CONFLICT.ASSIGNMENT_CHANGED_ELSEWHERE ? 'Removed'
+                              : formatValue(field, mine)}
+                          </td>
+                          <td>{conflict.type === MERGE_CONFLICT.DELETED_ELSEWHERE ? 'Deleted' : formatValue(field, theirs)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+
+                <div className="merge-choice">
+                  <label>
+                    <input
+                      type="radio"
+                      name={`merge-${conflict.id}`}
+                      checked={resolutions[conflict.id] === 'mine'}
+                      onChange={() => setResolutions(prev => ({ ...prev, [conflict.id]: 'mine' }))}
+                      disabled={saving}
+                    />
+                    {CHOICE_LABELS[conflict.type].mine}
+                  </label>
+                  <label>
+                    <input
+                      type="radio"
+                      name={`merge-${conflict.id}`}
+                      checked={resolutions[conflict.id] === 'theirs'}
+                      onChange={() => setResolutions(prev => ({ ...prev, [conflict.id]: 'theirs' }))}
+                      disabled={saving}
+                    />
+                    {CHOICE_LABELS[conflict.type].theirs}
+                  </label>
+                </div>
+              </div>
+            ))}
+          </div>
+
+          <div className="modal-actions">
+            <button type="button" onClick={onCancel} className="cancel-btn" disabled={saving}>
+              {cancelLabel}
+            </button>
+            <button
+              type="button"
+              className="add-btn"
+              onClick={() => onResolve(resolutions)}
+              disabled={saving || unresolved > 0}
+              title={unresolved > 0 ? `Choose a version for ${unresolved} more ${itemName}(s)` : 'Save with these choices'}
+            >
+              {saving ? '⏳ Saving...' : `💾 ${saveLabel}`}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ScheduleMergeModal;
@@ -1,9 +1,17 @@
 import React, { useState, useEffect } from 'react';
 import { supabase } from '@core/services/supabaseClient';
 import { getColorPaletteOptions, getColorByCourseTitle, getContrastTextColor } from '@core/utils/colorUtils';
+import {
+  DELIVERY_MODE,
+  DELIVERY_MODE_LABELS,
+  getTrainerBusyBlocks,
+  getClassroomBusyBlocks,
+  findBusyBlockOverlap,
+  formatBusyBlock
+} from '@core/utils/scheduling/index.js';
 import './SessionEditModal.css';
 
-const SessionEditModal = ({ session, isOpen, onClose, onSave, onDelete, criteria }) => {
+const SessionEditModal = ({ session, isOpen, onClose, onSave, onDelete, criteria, timesLocked = false, busyBlocks = [] }) => {
   const [formData, setFormData] = useState({
     title: '',
     custom_title: '',
@@ -13,6 +21,8 @@ const SessionEditModal = ({ session, isOpen, onClose, onSave, onDelete, criteria
     trainer_name: '',
     color: '#007bff',
     location: '',
+    meetingLink: '',
+    locked: false,
     max_participants: '',
     current_participants: 0
   });
@@ -50,6 +60,8 @@ const SessionEditModal = ({ session, isOpen, onClose, onSave, onDelete, criteria
         trainer_name: session.trainer_name || '',
         color: defaultColor,
         location: session.location || '',
+        meetingLink: session.meetingLink || '',
+        locked: Boolean(session.locked),
         max_participants: session.max_participants || criteria?.max_attendees || '',
         current_participants: session.current_participants || 0
       });
@@ -90,6 +102,18 @@ const SessionEditModal = ({ session, isOpen, onClose, onSave, onDelete, criteria
     });
   };
 
+  // Imported busy time overlapping the session's current times
+  const sessionTimes = formData.start && formData.end ? [{ start: formData.start, end: formData.end }] : [];
+  const isTrainerBusy = (trainerId) =>
+    sessionTimes.length > 0 && Boolean(findBusyBlockOverlap(getTrainerBusyBlocks(busyBlocks, trainerId), sessionTimes));
+  const trainerBusyBlock = sessionTimes.length > 0
+    ? findBusyBlockOverlap(getTrainerBusyBlocks(busyBlocks, formData.trainer_id), sessionTimes)
+    : null;
+  const classroomNumber = session?.classroomName?.match(/Classroom (\w+)/)?.[1] || session?.classroomNumber;
+  const classroomBusyBlock = sessionTimes.length > 0 && classroomNumber
+    ? findBusyBlockOverlap(getClassroomBusyBlocks(busyBlocks, session?.location, classroomNumber), sessionTimes)
+    : null;
+
   const handleColorSelect = (color) => {
     setFormData({ ...formData, color });
   };
@@ -164,6 +188,8 @@ const SessionEditModal = ({ session, isOpen, onClose, onSave, onDelete, criteria
         text_color: getContrastTextColor(formData.color),
         background_color: formData.color + '20', // Add transparency
         location: formData.location,
+        meetingLink: formData.meetingLink || null,
+        locked: formData.locked,
         max_participants: formData.max_participants ? parseInt(formData.max_participants) : null,
         current_participants: parseInt(formData.current_participants) || 0,
         // Preserve original identifying information for matching
@@ -287,6 +313,8 @@ const SessionEditModal = ({ session, isOpen, onClose, onSave, onDelete, criteria
                   required
                   value={formData.start}
                   onChange={(e) => setFormData({ ...formData, start: e.target.value })}
+                  disabled={timesLocked}
+                  title={timesLocked ? 'Session times are locked while the schedule is published' : undefined}
                 />
               </div>
               <div className="form-group">
@@ -297,6 +325,8 @@ const SessionEditModal = ({ session, isOpen, onClose, onSave, onDelete, criteria
                   required
                   value={formData.end}
                   onChange={(e) => setFormData({ ...formData, end: e.target.value })}
+                  disabled={timesLocked}
+                  title={timesLocked ? 'Session times are locked while the schedule is published' : undefined}
                 />
               </div>
               <div className="form-group">
@@ -318,6 +348,29 @@ const SessionEditModal = ({ session, isOpen, onClose, onSave, onDelete, criteria
                   placeholder="Training location..."
                 />
               </div>
+              {session?.deliveryMode && session.deliveryMode !== DELIVERY_MODE.CLASSROOM && (
+                <div className="form-group">
+                  <label htmlFor="meeting-link">Meeting Link ({DELIVERY_MODE_LABELS[session.deliveryMode]})</label>
+                  <input
+                    type="url"
+                    id="meeting-link"
+                    value={formData.meetingLink}
+                    onChange={(e) => setFormData({ ...formData, meetingLink: e.target.value })}
+                    placeholder="https://..."
+                  />
+                </div>
+              )}
+              <div className="form-group">
+                <label htmlFor="session-locked">
+                  <input
+                    type="checkbox"
+                    id="session-locked"
+                    checked={formData.locked}
+                    onChange={(e) => setFormData({ ...formData, locked: e.target.checked })}
+                  />
+                  {' '}🔒 Locked (top-ups won't add learners)
+                </label>
+              </div>
               <div className="form-group">
                 <label htmlFor="trainer">Trainer</label>
                 <select
@@ -329,6 +382,7 @@ const SessionEditModal = ({ session, isOpen, onClose, onSave, onDelete, criteria
                   {trainers.map(trainer => (
                     <option key={trainer.id} value={trainer.id}>
                       {trainer.name} {trainer.email && `(${trainer.email})`}
+                      {isTrainerBusy(trainer.id) && ' - busy elsewhere'}
                     </option>
                   ))}
                 </select>
@@ -360,6 +414,16 @@ const SessionEditModal = ({ session, isOpen, onClose, onSave, onDelete, criteria
                 })()}
               </div>
             )}
+            {(trainerBusyBlock || classroomBusyBlock) && (
+              <div className="busy-time-warning">
+                {trainerBusyBlock && (
+                  <div>⚠️ {formData.trainer_name || 'The trainer'} is busy elsewhere: {formatBusyBlock(trainerBusyBlock)}</div>
+                )}
+                {classroomBusyBlock && (
+                  <div>⚠️ Classroom {classroomNumber} at {session.location} is booked elsewhere: {formatBusyBlock(classroomBusyBlock)}</div>
+                )}
+              </div>
+            )}
           </div>
 
           <div className="form-section">
@@ -0,0 +1,309 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { useProject } from '@core/contexts/ProjectContext';
+import {
+  TOP_UP_SCHEDULING_MODE,
+  planTopUp,
+  getTopUpCriteria,
+  getTopUpReservations,
+  getTopUpClassroomReqs,
+  renumberTopUpGroups,
+  getLegacyTimeSettings,
+  flattenSessions,
+  DIAGNOSTIC_STATUS
+} from '@core/utils/scheduling/index.js';
+import { saveTrainingSessionsForSchedule, createScheduleRevision } from '@core/services/scheduleService';
+import { loadTrainerSchedulingData } from '@modules/training/services/trainerService';
+import { getBusyBlocks } from '@modules/training/services/busyBlockService';
+import { loadTopUpData, saveTopUpAssignments } from '@modules/training/services/topUpService';
+import { useSchedulingEngine, SCHEDULING_CANCELLED } from '@modules/training/hooks/useSchedulingEngine';
+import SchedulingDiagnosticsPanel from '../tsc-wizard/SchedulingDiagnosticsPanel';
+import './AddCourseToScheduleModal.css';
+import './TopUpScheduleModal.css';
+
+const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const formatDateTime = (date) => new Date(date).toLocaleString('en-GB', { dateStyle: 'medium', timeStyle: 'short' });
+
+/**
+ * Incremental top-up for a saved schedule
+ * Covers learners added since the schedule was saved: past and locked sessions are left alone,
+ * spare seats in future sessions are filled first and only the remaining learners get new
+ * sessions. The proposed changes are shown for approval before anything is written.
+ */
+const TopUpScheduleModal = ({ isOpen, onClose, schedule, onApplied }) => {
+  const { currentProject } = useProject();
+  const schedulingEngine = useSchedulingEngine();
+  const [status, setStatus] = useState('idle'); // 'idle', 'planning', 'review', 'applying'
+  const [error, setError] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [proposal, setProposal] = useState(null);
+
+  useEffect(() => {
+    if (isOpen && schedule && currentProject?.id) {
+      buildProposal();
+    }
+    if (!isOpen) {
+      schedulingEngine.cancelScheduling();
+    }
+  }, [isOpen, schedule?.id, currentProject?.id]);
+
+  const buildProposal = async () => {
+    setStatus('planning');
+    setError(null);
+    setProposal(null);
+    setProgress(null);
+
+    try {
+      const now = new Date();
+      const data = await loadTopUpData(schedule, currentProject.id);
+      const plan = planTopUp({ ...data, now });
+      console.log(`🔄 Top-up plan: ${plan.uncovered} uncovered, ${plan.seatFills.length} seats filled, ${plan.remainingCount} need new sessions`);
+
+      let scheduling = null;
+      if (plan.remainingCount > 0) {
+        const criteria = getTopUpCriteria(data.criteria, now);
+        const functionalArea = criteria.functionalArea || 'General';
+        const locationClassroomReqs = getTopUpClassroomReqs(plan.remainingDemand, data.courses, criteria, data.sessionRows);
+
+        const sessionsGrouped = { [functionalArea]: {} };
+        locationClassroomReqs.forEach((requirement, groupName) => {
+          sessionsGrouped[functionalArea][groupName] = {};
+          for (let classroomNum = 1; classroomNum <= requirement.numberOfClassrooms; classroomNum++) {
+            sessionsGrouped[functionalArea][groupName][`Classroom ${classroomNum}`] = [];
+          }
+        });
+
+        let trainerData = null;
+        if (criteria.assign_trainers !== false) {
+          const { trainers, availability } = await loadTrainerSchedulingData(currentProject.id);
+          if (trainers.length > 0) trainerData = { trainers, availability };
+        }
+        const busyBlocks = await getBusyBlocks(currentProject.id);
+
+        const result = await schedulingEngine.runScheduling({
+          mode: TOP_UP_SCHEDULING_MODE,
+          groupedEndUsers: plan.remainingDemand,
+          courses: data.courses,
+          criteria,
+          sessionsGrouped,
+          functionalArea,
+          locationClassroomReqs: Array.from(locationClassroomReqs.entries()),
+          timeSettings: getLegacyTimeSettings(criteria),
+          dayNames,
+          trainerData,
+          busyBlocks,
+          reservedSessions: getTopUpReservations(data.sessionRows, now)
+        }, { onProgress: setProgress });
+
+        scheduling = { ...renumberTopUpGroups(result, data.sessionRows), criteria, functionalArea };
+      }
+
+      setProposal({ data, plan, scheduling, now });
+      setStatus('review');
+    } catch (err) {
+      if (err.message === SCHEDULING_CANCELLED) return;
+      console.error('❌ Error planning top-up:', err);
+      setError(err.message);
+      setStatus('idle');
+    }
+  };
+
+  const newSessions = useMemo(
+    () => flattenSessions(proposal?.scheduling?.sessionsGrouped).sort((a, b) => new Date(a.start) - new Date(b.start)),
+    [proposal]
+  );
+
+  // Seat fills grouped by the session group they go into
+  const filledGroups = useMemo(() => {
+    const byGroup = new Map();
+    (proposal?.plan.seatFills || []).forEach(fill => {
+      if (!byGroup.has(fill.group.key)) byGroup.set(fill.group.key, { group: fill.group, learners: [] });
+      byGroup.get(fill.group.key).learners.push(fill.learnerName);
+    });
+    return Array.from(byGroup.values());
+  }, [proposal]);
+
+  const handleApprove = async () => {
+    const { data, plan, scheduling, now } = proposal;
+    setStatus('applying');
+    setError(null);
+
+    try {
+      await saveTopUpAssignments(plan.seatFills, schedule.id, currentProject.id);
+
+      let newAssignments = [];
+      let savedSessions = [];
+      if (scheduling && newSessions.length > 0) {
+        savedSessions = await saveTrainingSessionsForSchedule(
+          scheduling.sessionsGrouped, schedule.id, scheduling.functionalArea, scheduling.criteria, currentProject.id
+        );
+
+        // Book the remaining learners into the sessions just created
+        const followUp = planTopUp({
+          demandRows: Object.values(plan.remainingDemand).flat(),
+          sessionRows: savedSessions,
+          courses: data.courses,
+          criteria: scheduling.criteria,
+          now
+        });
+        newAssignments = await saveTopUpAssignments(followUp.seatFills, schedule.id, currentProject.id);
+      }
+
+      await createScheduleRevision(schedule.id, 'Top-up of new learners', currentProject.id);
+
+      onApplied({
+        filledSeats: plan.seatFills.length,
+        newSessions: savedSessions.length,
+        newSessionAssignments: newAssignments.length
+      });
+    } catch (err) {
+      // Anything already written stays - planning again starts from what is now in the database
+      console.error('❌ Error applying top-up:', err);
+      setError(`Top-up could not be saved: ${err.message}. Changes already saved are kept - run the top-up again to cover the rest.`);
+      setProposal(null);
+      setStatus('idle');
+    }
+  };
+
+  const handleClose = () => {
+    schedulingEngine.cancelScheduling();
+    setStatus('idle');
+    setProposal(null);
+    onClose();
+  };
+
+  if (!isOpen) return null;
+
+  const plan = proposal?.plan;
+  const unscheduled = (proposal?.scheduling?.diagnostics || []).filter(entry => entry.status === DIAGNOSTIC_STATUS.UNPLACED);
+  const hasChanges = plan && (plan.seatFills.length > 0 || newSessions.length > 0);
+
+  return (
+    <div className="modal-overlay">
+      <div className="modal-content add-course-modal top-up-modal">
+        <div className="modal-header">
+          <h2>🔄 Top Up New Learners</h2>
+          <button onClick={handleClose} className="close-btn">×</button>
+        </div>
+
+        <div className="modal-body">
+          {error && <div className="error-message">{error}</div>}
+
+          {status === 'planning' && (
+            <div className="loading-state">
+              <div>🔄 Finding learners who are not yet in a session...</div>
+              {progress && (
+                <div className="top-up-progress">
+                  {progress.label || `${progress.completed} of ${progress.total}`}
+                </div>
+              )}
+            </div>
+          )}
+
+          {plan && (
+            <>
+              <div className="top-up-summary">
+                <div><strong>{plan.uncovered}</strong> learner course need(s) not yet covered by an assignment</div>
+                <div><strong>{plan.fixedGroups}</strong> past or locked session group(s) left unchanged</div>
+                <div>
+                  <strong>{plan.seatFills.length}</strong> learner(s) added to spare seats in{' '}
+                  <strong>{filledGroups.length}</strong> future session group(s)
+                </div>
+                <div>
+                  <strong>{newSessions.length}</strong> new session(s) for{' '}
+                  <strong>{plan.remainingCount}</strong> remaining learner course need(s)
+                </div>
+              </div>
+
+              {!hasChanges && unscheduled.length === 0 && (
+                <div className="empty-state">
+                  <p>✅ Every learner is already covered by this schedule.</p>
+                </div>
+              )}
+
+              {filledGroups.length > 0 && (
+                <div className="top-up-section">
+                  <h3>Spare Seats Filled</h3>
+                  <table className="top-up-table">
+                    <thead>
+                      <tr>
+                        <th>Course</th>
+                        <th>Location</th>
+                        <th>Group</th>
+                        <th>Starts</th>
+                        <th>Seats</th>
+                        <th>Learners Added</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {filledGroups.map(({ group, learners }) => (
+                        <tr key={group.key}>
+                          <td>{group.courseName}</td>
+                          <td>{group.location}</td>
+                          <td>{group.sessionNumber}</td>
+                          <td>{formatDateTime(group.start)}</td>
+                          <td>{group.learners.size - learners.length} → {group.learners.size} / {group.capacity}</td>
+                          <td>{learners.join(', ')}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+
+              {newSessions.length > 0 && (
+                <div className="top-up-section">
+                  <h3>New Sessions</h3>
+                  <table className="top-up-table">
+                    <thead>
+                      <tr>
+                        <th>Session</th>
+                        <th>Location</th>
+                        <th>Start</th>
+                        <th>End</th>
+                        <th>Classroom</th>
+                        <th>Trainer</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {newSessions.map(session => (
+                        <tr key={`${session.sessionId}-${session.location}`}>
+                          <td>{session.title}</td>
+                          <td>{session.location}</td>
+                          <td>{formatDateTime(session.start)}</td>
+                          <td>{formatDateTime(session.end)}</td>
+                          <td>{session.classroomNumber}</td>
+                          <td>{session.trainer_name || '-'}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+
+              {proposal.scheduling && (
+                <SchedulingDiagnosticsPanel diagnostics={proposal.scheduling.diagnostics || []} />
+              )}
+            </>
+          )}
+
+          <div className="modal-actions">
+            <button type="button" onClick={handleClose} className="cancel-btn" disabled={status === 'applying'}>
+              Cancel
+            </button>
+            <button
+              type="button"
+              onClick={handleApprove}
+              className="add-btn"
+              disabled={status !== 'review' || !hasChanges}
+            >
+              {status === 'applying' ? '⏳ Saving...' : '✅ Approve & Save'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TopUpScheduleModal;
@@ -0,0 +1,114 @@
+/**
+ * Session Calendar Utilities
+ * Convert training_sessions rows to the calendar structure the Schedule Editor works on:
+ * functional_area -> training_location -> classroom -> [sessions]
+ * Used when a schedule is loaded and when another user's changes arrive while it is open.
+ */
+
+import { fromDeliveryMethod } from '@core/utils/scheduling/index.js';
+
+/**
+ * Convert a training_sessions row to a calendar session
+ * @param {Object} session - training_sessions row
+ * @returns {Object} Calendar session
+ */
+export const toCalendarSession = (session) => {
+  const trainingLocation = session.training_location;
+
+  return {
+    course_id: session.course_id,
+    course_name: session.course_name,
+    sessionNumber: session.session_number,
+    group_type: [], // Will be populated based on criteria
+    groupName: `${session.training_location} - Classroom ${session.classroom_number}`,
+    start: new Date(session.start_datetime),
+    end: new Date(session.end_datetime),
+    duration: session.duration_hours || 1,
+    functional_area: session.functional_area,
+    location: session.training_location,
+    title: session.session_title || `${session.course_name} - Group ${session.session_number}`,
+    custom_title: session.session_title || '',
+    trainer_id: session.instructor_id || '',
+    trainer_name: session.instructor_name || '',
+    deliveryMode: fromDeliveryMethod(session.delivery_method),
+    meetingLink: session.meeting_link || '',
+    locked: session.locked || false,
+    color: null, // Let ScheduleCalendar handle color assignment
+    text_color: null,
+    background_color: null,
+    notes: session.notes || '',
+    max_participants: session.max_attendees,
+    current_participants: session.current_attendees,
+    event_id: session.id, // Use session ID as event ID
+    eventId: `${session.course_id}-session${session.session_number}-${trainingLocation.replace(/\s+/g, '-').toLowerCase()}-${session.functional_area.replace(/\s+/g, '-').toLowerCase()}`,
+    calendarInstance: `${trainingLocation} - Classroom ${session.classroom_number}-${session.functional_area}`,
+
+    // Multi-day session fields from new database structure
+    totalParts: session.total_parts || 1,
+    totalDays: session.total_course_days || session.course_day_sequence || 1,
+    daySequence: session.course_day_sequence || 1,
+    isMultiDay: session.is_multi_day_course || false,
+    course: {
+      id: session.course_id,
+      course_id: session.course_id,
+      course_name: session.course_name,
+      duration_hrs: session.duration_hours || 1
+    }
+  };
+};
+
+/**
+ * Add a calendar session to the nested structure
+ * Returns a new structure; the levels along the session's path are copied, the rest is shared.
+ * @param {Object} sessionsByArea - functional_area -> training_location -> classroom -> [sessions]
+ * @param {Object} calendarSession - Session from toCalendarSession
+ * @returns {Object} New structure
+ */
+export const addCalendarSession = (sessionsByArea, calendarSession) => {
+  const functionalArea = calendarSession.functional_area;
+  const trainingLocation = calendarSession.location;
+  const classroomKey = calendarSession.groupName.split(' - ').pop();
+
+  const locations = { ...(sessionsByArea[functionalArea] || {}) };
+  const classrooms = { ...(locations[trainingLocation] || {}) };
+  classrooms[classroomKey] = [...(classrooms[classroomKey] || []), calendarSession];
+  locations[trainingLocation] = classrooms;
+
+  return { ...sessionsByArea, [functionalArea]: locations };
+};
+
+/**
+ * Remove the calendar sessions that match a predicate
+ * Empty classrooms, locations and functional areas are removed too.
+ * @param {Object} sessionsByArea - functional_area -> training_location -> classroom -> [sessions]
+ * @param {Function} predicate - (calendarSession) => true to remove
+ * @returns {Object} New structure, or the same object if nothing matched
+ */
+export const removeCalendarSessions = (sessionsByArea, predicate) => {
+  let removed = false;
+  const result = {};
+
+  Object.entries(sessionsByArea).forEach(([functionalArea, locations]) => {
+    const keptLocations = {};
+    Object.entries(locations || {}).forEach(([trainingLocation, classrooms]) => {
+      const keptClassrooms = {};
+      Object.entries(classrooms || {}).forEach(([classroom, sessions]) => {
+        const kept = (sessions || []).filter(session => !predicate(session));
+        if (kept.length !== (sessions || []).length) removed = true;
+        if (kept.length > 0) keptClassrooms[classroom] = kept;
+      });
+      if (Object.keys(keptClassrooms).length > 0) keptLocations[trainingLocation] = keptClassrooms;
+    });
+    if (Object.keys(keptLocations).length > 0) result[functionalArea] = keptLocations;
+  });
+
+  return removed ? result : sessionsByArea;
+};
+
+/**
+ * Group training_sessions rows into the calendar structure
+ * @param {Array} sessions - training_sessions rows
+ * @returns {Object} functional_area -> training_location -> classroom -> [sessions]
+ */
+export const groupSessionsForCalendar = (sessions) =>
+  (sessions || []).reduce((grouped, session) => addCalendarSession(grouped, toCalendarSession(session)), {});
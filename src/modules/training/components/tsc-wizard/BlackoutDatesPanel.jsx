@@ -0,0 +1,300 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { useProject } from '@core/contexts/ProjectContext';
+import { readCalendarFile } from '@core/utils/icsParser';
+import { BlackoutCalendar } from '@core/utils/scheduling/BlackoutCalendar';
+import {
+  getSchedulingBlackouts,
+  createSchedulingBlackouts,
+  deleteSchedulingBlackout,
+  importBlackoutsFromIcs
+} from '@modules/training/services/blackoutService';
+
+const emptyBlackout = {
+  label: '',
+  blackout_type: 'date',
+  start_date: '',
+  end_date: '',
+  recurrence: 'yearly',
+  training_location: ''
+};
+
+/**
+ * Blackout dates panel for the Define Criteria stage
+ * Manages project / location blackout calendars and previews the dates they exclude.
+ */
+const BlackoutDatesPanel = ({
+  criteria,
+  selectedLocations,
+  availableLocations,
+  onBlackoutsChange
+}) => {
+  const { currentProject } = useProject();
+  const [blackouts, setBlackouts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [newBlackout, setNewBlackout] = useState(emptyBlackout);
+  const [importLocation, setImportLocation] = useState('');
+  const [importMessage, setImportMessage] = useState('');
+
+  const refreshBlackouts = async () => {
+    if (!currentProject?.id) return;
+    try {
+      setLoading(true);
+      const data = await getSchedulingBlackouts(currentProject.id);
+      setBlackouts(data);
+      onBlackoutsChange(data);
+      setError(null);
+    } catch (err) {
+      console.error('❌ Error loading blackout dates:', err);
+      setError('Blackout dates could not be loaded. Sessions will only avoid non-scheduling days.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    refreshBlackouts();
+  }, [currentProject?.id]);
+
+  const handleAdd = async () => {
+    if (!newBlackout.start_date) {
+      alert('Please choose a start date for the blackout');
+      return;
+    }
+    if (newBlackout.blackout_type !== 'date' && newBlackout.end_date && newBlackout.end_date < newBlackout.start_date) {
+      alert('The blackout end date must be on or after the start date');
+      return;
+    }
+
+    try {
+      await createSchedulingBlackouts({
+        label: newBlackout.label.trim() || 'Blackout',
+        blackout_type: newBlackout.blackout_type,
+        start_date: newBlackout.start_date,
+        end_date: newBlackout.blackout_type === 'date' ? newBlackout.start_date : (newBlackout.end_date || newBlackout.start_date),
+        recurrence: newBlackout.blackout_type === 'recurring' ? newBlackout.recurrence : null,
+        training_location: newBlackout.training_location || null,
+        source: 'manual'
+      }, currentProject.id);
+      setNewBlackout(emptyBlackout);
+      await refreshBlackouts();
+    } catch (err) {
+      alert(`Failed to add blackout: ${err.message}`);
+    }
+  };
+
+  const handleDelete = async (blackoutId) => {
+    try {
+      await deleteSchedulingBlackout(blackoutId, currentProject.id);
+      await refreshBlackouts();
+    } catch (err) {
+      alert(`Failed to delete blackout: ${err.message}`);
+    }
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const content = await readCalendarFile(file);
+      const { imported, skipped, unsupported } = await importBlackoutsFromIcs(content, currentProject.id, importLocation || null);
+      setImportMessage(
+        `✅ Imported ${imported.length} blackout${imported.length === 1 ? '' : 's'} from ${file.name}${skipped ? ` (${skipped} already present)` : ''}` +
+        (unsupported.length > 0
+          ? ` ⚠️ Not every date was imported for ${unsupported.length} repeating event${unsupported.length === 1 ? '' : 's'}: ` +
+            unsupported.map(event => `${event.label} (${event.rule})`).join(', ')
+          : '')
+      );
+      await refreshBlackouts();
+    } catch (err) {
+      setImportMessage(`❌ Import failed: ${err.message}`);
+    }
+  };
+
+  // Dates excluded per selected location within the scheduling window
+  const excludedByLocation = useMemo(() => {
+    if (!criteria.start_date || blackouts.length === 0) return [];
+
+    const calendar = new BlackoutCalendar(blackouts);
+    const windowStart = new Date(criteria.start_date);
+    const windowEnd = new Date(windowStart);
+    windowEnd.setDate(windowEnd.getDate() + (Number(criteria.total_weeks) || 1) * 7);
+
+    return selectedLocations.map(location => ({
+      location,
+      dates: calendar.getExcludedDates(location, windowStart, windowEnd, criteria.scheduling_days || [])
+    }));
+  }, [blackouts, selectedLocations, criteria.start_date, criteria.total_weeks, criteria.scheduling_days]);
+
+  const describeBlackout = (blackout) => {
+    const range = blackout.end_date && blackout.end_date !== blackout.start_date
+      ? `${blackout.start_date} → ${blackout.end_date}`
+      : blackout.start_date;
+    const recurrence = blackout.blackout_type === 'recurring' ? ` (repeats ${blackout.recurrence})` : '';
+    return `${range}${recurrence}`;
+  };
+
+  return (
+    <fieldset style={{ marginBottom: '20px', padding: '15px', border: '1px solid #ccc', borderRadius: '5px' }}>
+      <legend style={{ fontWeight: 'bold', color: '#333' }}>📅 BLACKOUT DATES</legend>
+
+      <div style={{ marginBottom: '10px', fontSize: '14px', color: '#666', fontStyle: 'italic' }}>
+        Bank holidays, site shutdowns and freeze periods. No sessions are scheduled on these dates and
+        multi-day courses are never split across them.
+      </div>
+
+      {error && (
+        <div style={{ marginBottom: '10px', padding: '10px', backgroundColor: '#fff3cd', border: '1px solid #ffeaa7', borderRadius: '4px', color: '#856404' }}>
+          ⚠️ {error}
+        </div>
+      )}
+
+      {/* Existing blackouts */}
+      {loading ? (
+        <div style={{ padding: '10px' }}>Loading blackout dates...</div>
+      ) : blackouts.length === 0 ? (
+        <div style={{ padding: '10px', color: '#666' }}>No blackout dates defined for this project.</div>
+      ) : (
+        <table style={{ width: '100%', borderCollapse: 'collapse', marginBottom: '15px', fontSize: '14px' }}>
+          <thead>
+            <tr style={{ backgroundColor: '#f8f9fa', textAlign: 'left' }}>
+              <th style={{ padding: '6px' }}>Label</th>
+              <th style={{ padding: '6px' }}>Dates</th>
+              <th style={{ padding: '6px' }}>Applies To</th>
+              <th style={{ padding: '6px' }}>Source</th>
+              <th style={{ padding: '6px' }}></th>
+            </tr>
+          </thead>
+          <tbody>
+            {blackouts.map(blackout => (
+              <tr key={blackout.id} style={{ borderTop: '1px solid #e9ecef' }}>
+                <td style={{ padding: '6px' }}>{blackout.label}</td>
+                <td style={{ padding: '6px' }}>{describeBlackout(blackout)}</td>
+                <td style={{ padding: '6px' }}>{blackout.training_location || 'All locations'}</td>
+                <td style={{ padding: '6px' }}>{blackout.source === 'ics' ? '.ics import' : 'Manual'}</td>
+                <td style={{ padding: '6px', textAlign: 'right' }}>
+                  <button type="button" onClick={() => handleDelete(blackout.id)}>Remove</button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {/* Add blackout */}
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '10px', alignItems: 'flex-end', marginBottom: '15px' }}>
+        <label>
+          Label:
+          <input
+            type="text"
+            value={newBlackout.label}
+            placeholder="e.g. Christmas shutdown"
+            onChange={e => setNewBlackout({ ...newBlackout, label: e.target.value })}
+          />
+        </label>
+        <label>
+          Type:
+          <select
+            value={newBlackout.blackout_type}
+            onChange={e => setNewBlackout({ ...newBlackout, blackout_type: e.target.value })}
+          >
+            <option value="date">Single date</option>
+            <option value="range">Date range</option>
+            <option value="recurring">Recurring closure</option>
+          </select>
+        </label>
+        <label>
+          {newBlackout.blackout_type === 'date' ? 'Date:' : 'From:'}
+          <input
+            type="date"
+            value={newBlackout.start_date}
+            onChange={e => setNewBlackout({ ...newBlackout, start_date: e.target.value })}
+          />
+        </label>
+        {newBlackout.blackout_type !== 'date' && (
+          <label>
+            To:
+            <input
+              type="date"
+              value={newBlackout.end_date}
+              onChange={e => setNewBlackout({ ...newBlackout, end_date: e.target.value })}
+            />
+          </label>
+        )}
+        {newBlackout.blackout_type === 'recurring' && (
+          <label>
+            Repeats:
+            <select
+              value={newBlackout.recurrence}
+              onChange={e => setNewBlackout({ ...newBlackout, recurrence: e.target.value })}
+            >
+              <option value="yearly">Every year</option>
+              <option value="weekly">Every week</option>
+            </select>
+          </label>
+        )}
+        <label>
+          Applies To:
+          <select
+            value={newBlackout.training_location}
+            onChange={e => setNewBlackout({ ...newBlackout, training_location: e.target.value })}
+          >
+            <option value="">All locations</option>
+            {availableLocations.map(location => (
+              <option key={location} value={location}>{location}</option>
+            ))}
+          </select>
+        </label>
+        <button type="button" onClick={handleAdd} disabled={!currentProject?.id}>➕ Add Blackout</button>
+      </div>
+
+      {/* ICS import */}
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '10px', alignItems: 'center', marginBottom: '15px' }}>
+        <strong>Import from .ics:</strong>
+        <select value={importLocation} onChange={e => setImportLocation(e.target.value)}>
+          <option value="">All locations</option>
+          {availableLocations.map(location => (
+            <option key={location} value={location}>{location}</option>
+          ))}
+        </select>
+        <input type="file" accept=".ics,text/calendar" onChange={handleImport} disabled={!currentProject?.id} />
+        {importMessage && <span style={{ fontSize: '14px' }}>{importMessage}</span>}
+      </div>
+
+      {/* Excluded dates preview */}
+      {excludedByLocation.length > 0 && (
+        <div style={{ padding: '10px', backgroundColor: '#f8f9fa', border: '1px solid #dee2e6', borderRadius: '5px' }}>
+          <h4 style={{ margin: '0 0 10px 0', fontSize: '15px' }}>
+            🚫 Dates excluded in the scheduling window ({criteria.total_weeks} weeks from {criteria.start_date})
+          </h4>
+          {excludedByLocation.map(({ location, dates }) => (
+            <div key={location} style={{ marginBottom: '8px', fontSize: '14px' }}>
+              <strong>{location}:</strong>{' '}
+              {dates.length === 0
+                ? <span style={{ color: '#155724' }}>no scheduling days excluded</span>
+                : dates.map(excluded => (
+                  <span
+                    key={excluded.date}
+                    title={`${excluded.label} (${excluded.scope === 'project' ? 'project-wide' : 'location'})`}
+                    style={{
+                      display: 'inline-block',
+                      margin: '2px 4px 2px 0',
+                      padding: '2px 6px',
+                      backgroundColor: excluded.scope === 'project' ? '#f8d7da' : '#fff3cd',
+                      borderRadius: '3px'
+                    }}
+                  >
+                    {new Date(excluded.date).toLocaleDateString('en-GB')} – {excluded.label}
+                  </span>
+                ))}
+            </div>
+          ))}
+        </div>
+      )}
+    </fieldset>
+  );
+};
+
+export default BlackoutDatesPanel;
@@ -0,0 +1,142 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { useProject } from '@core/contexts/ProjectContext';
+import { getLocationWindow, validateLocationWaves } from '@core/utils/scheduling/index.js';
+import { getLocationWaveDefaults, saveLocationWaveDefaults } from '@modules/training/services/locationWaveService';
+
+const cellStyle = { padding: '6px' };
+
+/**
+ * Go-live waves panel for the Define Criteria stage
+ * Edits each selected location's go-live date and training window (criteria.location_waves).
+ * Locations start with the go-live dates recorded on training_locations.
+ */
+const LocationWavesPanel = ({
+  criteria,
+  selectedLocations,
+  onWavesChange
+}) => {
+  const { currentProject } = useProject();
+  const [defaults, setDefaults] = useState({});
+  const [message, setMessage] = useState('');
+  const [saving, setSaving] = useState(false);
+  const waves = criteria.location_waves || {};
+
+  useEffect(() => {
+    if (!currentProject?.id) return;
+    getLocationWaveDefaults(currentProject.id)
+      .then(setDefaults)
+      .catch(() => setMessage('Go-live dates could not be loaded from the training locations.'));
+  }, [currentProject?.id]);
+
+  // Fill newly selected locations from their training location defaults
+  useEffect(() => {
+    const missing = selectedLocations.filter(location => !waves[location] && defaults[location]);
+    if (missing.length === 0) return;
+
+    const next = { ...waves };
+    missing.forEach(location => {
+      next[location] = { ...defaults[location] };
+    });
+    onWavesChange(next);
+  }, [defaults, selectedLocations, waves]);
+
+  const updateWave = (location, key, value) => {
+    onWavesChange({
+      ...waves,
+      [location]: { go_live_date: '', train_weeks_before: '', ...waves[location], [key]: value }
+    });
+  };
+
+  const handleSaveDefaults = async () => {
+    try {
+      setSaving(true);
+      const selectedWaves = Object.fromEntries(
+        selectedLocations.filter(location => waves[location]).map(location => [location, waves[location]])
+      );
+      const count = await saveLocationWaveDefaults(selectedWaves, currentProject.id);
+      setDefaults(prev => ({ ...prev, ...selectedWaves }));
+      setMessage(`✅ Saved go-live dates for ${count} location(s).`);
+    } catch (error) {
+      setMessage(`❌ Could not save go-live dates: ${error.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const validation = useMemo(() => validateLocationWaves(criteria), [criteria]);
+
+  if (selectedLocations.length === 0) return null;
+
+  return (
+    <fieldset style={{ marginBottom: '20px', padding: '15px', border: '1px solid #ccc', borderRadius: '5px' }}>
+      <legend style={{ fontWeight: 'bold', color: '#333' }}>Go-Live Waves:</legend>
+
+      <div style={{ marginBottom: '10px', fontSize: '14px', color: '#666', fontStyle: 'italic' }}>
+        Training at a location must finish before its go-live date and starts no earlier than the
+        given number of weeks before it. Leave the go-live date empty to train from the start date
+        with no deadline.
+      </div>
+
+      <table style={{ width: '100%', borderCollapse: 'collapse', marginBottom: '10px', fontSize: '14px' }}>
+        <thead>
+          <tr style={{ backgroundColor: '#f8f9fa', textAlign: 'left' }}>
+            <th style={cellStyle}>Location</th>
+            <th style={cellStyle}>Go-Live Date</th>
+            <th style={cellStyle}>Train No Earlier Than (weeks before)</th>
+            <th style={cellStyle}>Training Window</th>
+          </tr>
+        </thead>
+        <tbody>
+          {selectedLocations.map(location => {
+            const wave = waves[location] || {};
+            const trainingWindow = wave.go_live_date ? getLocationWindow(criteria, location) : null;
+            // Training ends the day before go-live
+            const lastDay = trainingWindow ? new Date(trainingWindow.deadline) : null;
+            if (lastDay) lastDay.setDate(lastDay.getDate() - 1);
+
+            return (
+              <tr key={location} style={{ borderTop: '1px solid #e9ecef' }}>
+                <td style={cellStyle}>{location}</td>
+                <td style={cellStyle}>
+                  <input
+                    type="date"
+                    value={wave.go_live_date || ''}
+                    onChange={e => updateWave(location, 'go_live_date', e.target.value)}
+                  />
+                </td>
+                <td style={cellStyle}>
+                  <input
+                    type="number"
+                    min="1"
+                    value={wave.train_weeks_before ?? ''}
+                    onChange={e => updateWave(location, 'train_weeks_before', e.target.value === '' ? '' : Number(e.target.value))}
+                    style={{ width: '70px' }}
+                  />
+                </td>
+                <td style={cellStyle}>
+                  {trainingWindow
+                    ? `${trainingWindow.windowStart.toLocaleDateString('en-GB')} – ${lastDay.toLocaleDateString('en-GB')}`
+                    : 'From start date, no deadline'}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+
+      <button type="button" onClick={handleSaveDefaults} disabled={saving || !currentProject?.id}>
+        {saving ? 'Saving...' : '💾 Save as Location Defaults'}
+      </button>
+      {message && <div style={{ marginTop: '8px', fontSize: '14px' }}>{message}</div>}
+
+      {(validation.errors.length > 0 || validation.warnings.length > 0) && (
+        <div style={{ marginTop: '10px', padding: '10px', backgroundColor: '#fff3cd', border: '1px solid #ffeaa7', borderRadius: '4px', color: '#856404', fontSize: '14px' }}>
+          {validation.errors.map(error => <div key={error}>❌ {error}</div>)}
+          {validation.warnings.map(warning => <div key={warning}>⚠️ {warning}</div>)}
+        </div>
+      )}
+    </fieldset>
+  );
+};
+
+export default LocationWavesPanel;
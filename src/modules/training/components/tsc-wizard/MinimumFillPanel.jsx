@@ -0,0 +1,100 @@
+import React from 'react';
+import { FILL_POLICY, FILL_POLICY_LABELS } from '@core/utils/scheduling/index.js';
+
+const cellStyle = { padding: '6px' };
+
+const POLICY_HELP = {
+  none: 'Learners fill each session up to the maximum in turn, so the last session at a location may only have one or two learners.',
+  balance: 'Learners are spread evenly over the sessions a course needs at each location, e.g. 21 learners at 20 per session become groups of 11 and 10.',
+  merge: 'Groups are balanced. Learners left below the minimum join the same course for another functional area at their location, then at a neighbouring location.',
+  virtual: 'Groups are balanced. Learners left below the minimum are moved to a virtual session shared with other locations.',
+  cancel: 'Groups are balanced. Learners left below the minimum are not scheduled and are listed as unscheduled demand on the Review screen.'
+};
+
+/**
+ * Minimum session fill panel for the Define Criteria stage
+ * Edits criteria.min_attendees, criteria.fill_policy and, for the merge policy,
+ * criteria.neighbouring_locations (which locations may share under-filled sessions).
+ */
+const MinimumFillPanel = ({
+  criteria,
+  selectedLocations,
+  onChange
+}) => {
+  const policy = criteria.fill_policy || FILL_POLICY.NONE;
+  const neighbours = criteria.neighbouring_locations || {};
+
+  const toggleNeighbour = (location, neighbour, checked) => {
+    const current = neighbours[location] || [];
+    onChange('neighbouring_locations', {
+      ...neighbours,
+      [location]: checked ? [...current, neighbour] : current.filter(other => other !== neighbour)
+    });
+  };
+
+  return (
+    <fieldset style={{ marginBottom: '20px', padding: '15px', border: '1px solid #ccc', borderRadius: '5px' }}>
+      <legend style={{ fontWeight: 'bold', color: '#333' }}>Minimum Session Fill:</legend>
+
+      <div style={{ display: 'flex', gap: '15px', flexWrap: 'wrap', alignItems: 'center' }}>
+        <label style={{ display: 'flex', alignItems: 'center', gap: '5px' }}>
+          Min Attendees:
+          <input
+            type="number"
+            min="1"
+            placeholder="None"
+            value={criteria.min_attendees ?? ''}
+            onChange={e => onChange('min_attendees', e.target.value === '' ? null : Number(e.target.value))}
+            style={{ width: '80px' }}
+          />
+        </label>
+
+        <label style={{ display: 'flex', alignItems: 'center', gap: '5px' }}>
+          Under-filled sessions:
+          <select value={policy} onChange={e => onChange('fill_policy', e.target.value)}>
+            {Object.values(FILL_POLICY).map(value => (
+              <option key={value} value={value}>{FILL_POLICY_LABELS[value]}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <div style={{ marginTop: '10px', fontSize: '14px', color: '#666', fontStyle: 'italic' }}>
+        {POLICY_HELP[policy]}
+        {!criteria.min_attendees && policy !== FILL_POLICY.NONE && policy !== FILL_POLICY.BALANCE &&
+          ' Set a minimum number of attendees for this to apply.'}
+      </div>
+
+      {policy === FILL_POLICY.MERGE && selectedLocations.length > 1 && (
+        <table style={{ width: '100%', borderCollapse: 'collapse', marginTop: '10px', fontSize: '14px' }}>
+          <thead>
+            <tr style={{ textAlign: 'left', backgroundColor: '#f8f9fa' }}>
+              <th style={cellStyle}>Location</th>
+              <th style={cellStyle}>Neighbouring Locations</th>
+            </tr>
+          </thead>
+          <tbody>
+            {selectedLocations.map(location => (
+              <tr key={location} style={{ borderTop: '1px solid #e9ecef' }}>
+                <td style={cellStyle}>{location}</td>
+                <td style={cellStyle}>
+                  {selectedLocations.filter(other => other !== location).map(other => (
+                    <label key={other} style={{ marginRight: '10px' }}>
+                      <input
+                        type="checkbox"
+                        checked={(neighbours[location] || []).includes(other)}
+                        onChange={e => toggleNeighbour(location, other, e.target.checked)}
+                      /> {other}
+                    </label>
+                  ))}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </fieldset>
+  );
+};
+
+export default MinimumFillPanel;
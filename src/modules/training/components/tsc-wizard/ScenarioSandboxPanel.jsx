@@ -0,0 +1,284 @@
+import React, { useState, useMemo } from 'react';
+import {
+  SCENARIO_FIELDS,
+  SCENARIO_METRICS,
+  createScenario,
+  findBestScenarios
+} from '@core/utils/scheduling/index.js';
+
+const cellStyle = { padding: '6px' };
+
+const buttonStyle = {
+  padding: '6px 14px',
+  color: 'white',
+  border: 'none',
+  borderRadius: '4px',
+  cursor: 'pointer'
+};
+
+const emptyDraft = () => ({ name: '', overrides: {}, extraClassrooms: {} });
+
+const formatMetric = (key, value) => {
+  if (value === null || value === undefined) return '-';
+  if (key === 'endDate') return new Date(value).toLocaleDateString('en-GB');
+  if (key === 'classroomUtilisation') return `${value}%`;
+  return value;
+};
+
+const describeOverrides = (scenario) => {
+  const { extra_classrooms: extraClassrooms = {}, ...overrides } = scenario.overrides;
+  const changes = SCENARIO_FIELDS
+    .filter(field => overrides[field.key] !== undefined)
+    .map(field => `${field.label}: ${field.options ? field.options[overrides[field.key]] : overrides[field.key]}`);
+  Object.entries(extraClassrooms).forEach(([location, extra]) => {
+    changes.push(`${location}: ${extra > 0 ? '+' : ''}${extra} classroom(s)`);
+  });
+  return changes.length > 0 ? changes.join(', ') : 'Current criteria';
+};
+
+/**
+ * Scenario sandbox for the Review & Adjust stage
+ * Runs named variants of the criteria through the scheduling engine without saving them,
+ * compares their metrics in one table and promotes a chosen scenario to a saved schedule.
+ * onRunScenario(scenario, onProgress) resolves to { criteria, sessionsGrouped, metrics };
+ * onPromoteScenario(run, scheduleName) saves a run as a schedule.
+ */
+const ScenarioSandboxPanel = ({
+  criteria,
+  onRunScenario,
+  onPromoteScenario,
+  onCancel
+}) => {
+  const [scenarios, setScenarios] = useState(() => [createScenario('Current criteria')]);
+  const [runs, setRuns] = useState({}); // scenario id -> { criteria, sessionsGrouped, metrics } or { error }
+  const [running, setRunning] = useState(null);
+  const [promoting, setPromoting] = useState(null);
+  const [draft, setDraft] = useState(emptyDraft);
+
+  const locations = criteria.selected_training_locations || [];
+  const best = useMemo(
+    () => findBestScenarios(scenarios.map(scenario => ({ id: scenario.id, metrics: runs[scenario.id]?.metrics }))),
+    [scenarios, runs]
+  );
+
+  const setDraftOverride = (key, value) => {
+    setDraft(prev => ({ ...prev, overrides: { ...prev.overrides, [key]: value } }));
+  };
+
+  const setDraftClassrooms = (location, value) => {
+    setDraft(prev => ({ ...prev, extraClassrooms: { ...prev.extraClassrooms, [location]: value } }));
+  };
+
+  const addScenario = () => {
+    const overrides = Object.fromEntries(
+      Object.entries(draft.overrides).filter(([, value]) => value !== '' && value !== null && value !== undefined)
+    );
+    const extraClassrooms = Object.fromEntries(
+      Object.entries(draft.extraClassrooms).filter(([, value]) => Number(value))
+        .map(([location, value]) => [location, Number(value)])
+    );
+    if (Object.keys(extraClassrooms).length > 0) overrides.extra_classrooms = extraClassrooms;
+
+    setScenarios(prev => [...prev, createScenario(draft.name.trim() || `Scenario ${prev.length + 1}`, overrides)]);
+    setDraft(emptyDraft());
+  };
+
+  const removeScenario = (scenarioId) => {
+    setScenarios(prev => prev.filter(scenario => scenario.id !== scenarioId));
+    setRuns(prev => {
+      const { [scenarioId]: removed, ...rest } = prev;
+      return rest;
+    });
+  };
+
+  // Scenarios run one after another - the scheduling engine runs one schedule at a time
+  const runScenarios = async () => {
+    const pending = scenarios.filter(scenario => !runs[scenario.id]?.metrics);
+    for (let index = 0; index < pending.length; index++) {
+      const scenario = pending[index];
+      setRunning({ index: index + 1, total: pending.length, name: scenario.name, progress: null });
+      try {
+        const run = await onRunScenario(scenario, progress => setRunning(prev => prev && { ...prev, progress }));
+        setRuns(prev => ({ ...prev, [scenario.id]: run }));
+      } catch (error) {
+        console.error(`❌ Scenario "${scenario.name}" failed:`, error);
+        setRuns(prev => ({ ...prev, [scenario.id]: { error: error.message } }));
+        if (error.message === 'Scheduling cancelled') break;
+      }
+    }
+    setRunning(null);
+  };
+
+  const promoteScenario = async (scenario) => {
+    const scheduleName = window.prompt('Name for the new schedule:', `Training Schedule - ${scenario.name}`);
+    if (!scheduleName?.trim()) return;
+
+    setPromoting(scenario.id);
+    try {
+      await onPromoteScenario(runs[scenario.id], scheduleName.trim());
+      alert(`✅ Scenario "${scenario.name}" saved as schedule "${scheduleName.trim()}".\n\nUse the Schedule Manager to edit or assign users.`);
+    } catch (error) {
+      console.error('❌ Error promoting scenario:', error);
+      alert(`Failed to save scenario: ${error.message}`);
+    } finally {
+      setPromoting(null);
+    }
+  };
+
+  const pendingCount = scenarios.filter(scenario => !runs[scenario.id]?.metrics).length;
+
+  return (
+    <fieldset style={{ marginBottom: '20px', padding: '15px', border: '1px solid #ccc', borderRadius: '5px' }}>
+      <legend style={{ fontWeight: 'bold', color: '#333' }}>🧪 Scenario Sandbox:</legend>
+      <p style={{ margin: '0 0 10px 0', fontSize: '14px', color: '#666', fontStyle: 'italic' }}>
+        Try other criteria without saving them, e.g. a larger class size or an extra classroom at one location.
+        Scenarios use the same learners and courses as this schedule.
+      </p>
+
+      <div style={{ display: 'flex', gap: '10px', flexWrap: 'wrap', alignItems: 'center' }}>
+        <label style={{ display: 'flex', alignItems: 'center', gap: '5px' }}>
+          Name:
+          <input
+            type="text"
+            value={draft.name}
+            placeholder={`Scenario ${scenarios.length + 1}`}
+            onChange={e => setDraft(prev => ({ ...prev, name: e.target.value }))}
+          />
+        </label>
+        {SCENARIO_FIELDS.map(field => (
+          <label key={field.key} style={{ display: 'flex', alignItems: 'center', gap: '5px' }}>
+            {field.label}:
+            {field.type === 'select' ? (
+              <select
+                value={draft.overrides[field.key] ?? ''}
+                onChange={e => setDraftOverride(field.key, e.target.value)}
+              >
+                <option value="">{field.options[criteria[field.key]] || 'Current'}</option>
+                {Object.entries(field.options).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            ) : (
+              <input
+                type={field.type}
+                step={field.step}
+                value={draft.overrides[field.key] ?? ''}
+                placeholder={criteria[field.key] !== undefined ? String(criteria[field.key]) : ''}
+                onChange={e => setDraftOverride(
+                  field.key,
+                  field.type === 'number' && e.target.value !== '' ? Number(e.target.value) : e.target.value
+                )}
+                style={{ width: field.type === 'number' ? '70px' : undefined }}
+              />
+            )}
+          </label>
+        ))}
+      </div>
+
+      {locations.length > 0 && (
+        <div style={{ display: 'flex', gap: '10px', flexWrap: 'wrap', alignItems: 'center', marginTop: '10px' }}>
+          <span>Extra classrooms:</span>
+          {locations.map(location => (
+            <label key={location} style={{ display: 'flex', alignItems: 'center', gap: '5px' }}>
+              {location}
+              <input
+                type="number"
+                step="1"
+                placeholder="0"
+                value={draft.extraClassrooms[location] ?? ''}
+                onChange={e => setDraftClassrooms(location, e.target.value)}
+                style={{ width: '60px' }}
+              />
+            </label>
+          ))}
+        </div>
+      )}
+
+      <div style={{ display: 'flex', gap: '10px', marginTop: '10px' }}>
+        <button onClick={addScenario} disabled={!!running} style={{ ...buttonStyle, backgroundColor: '#007bff' }}>
+          ➕ Add Scenario
+        </button>
+        <button
+          onClick={runScenarios}
+          disabled={!!running || pendingCount === 0}
+          style={{ ...buttonStyle, backgroundColor: pendingCount === 0 ? '#6c757d' : '#28a745' }}
+        >
+          ▶️ Run {pendingCount} Scenario{pendingCount === 1 ? '' : 's'}
+        </button>
+        {running && (
+          <button onClick={onCancel} style={{ ...buttonStyle, backgroundColor: '#6c757d' }}>
+            Cancel
+          </button>
+        )}
+      </div>
+
+      {running && (
+        <div style={{ marginTop: '10px', fontSize: '14px', color: '#666' }}>
+          🔄 Running scenario {running.index} of {running.total}: {running.name}
+          {running.progress?.label && ` - ${running.progress.label}`}
+        </div>
+      )}
+
+      <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '14px', backgroundColor: 'white', marginTop: '15px' }}>
+        <thead>
+          <tr style={{ textAlign: 'left', backgroundColor: '#f8f9fa' }}>
+            <th style={cellStyle}>Scenario</th>
+            {SCENARIO_METRICS.map(metric => (
+              <th key={metric.key} style={cellStyle}>{metric.label}</th>
+            ))}
+            <th style={cellStyle}></th>
+          </tr>
+        </thead>
+        <tbody>
+          {scenarios.map(scenario => {
+            const run = runs[scenario.id];
+            return (
+              <tr key={scenario.id} style={{ borderTop: '1px solid #e9ecef' }}>
+                <td style={cellStyle}>
+                  <strong>{scenario.name}</strong>
+                  <div style={{ fontSize: '12px', color: '#6c757d' }}>{describeOverrides(scenario)}</div>
+                </td>
+                {run?.error ? (
+                  <td colSpan={SCENARIO_METRICS.length} style={{ ...cellStyle, color: '#dc3545' }}>❌ {run.error}</td>
+                ) : (
+                  SCENARIO_METRICS.map(metric => (
+                    <td
+                      key={metric.key}
+                      style={{
+                        ...cellStyle,
+                        backgroundColor: best[metric.key]?.has(scenario.id) ? '#d4edda' : undefined,
+                        fontWeight: best[metric.key]?.has(scenario.id) ? 'bold' : 'normal'
+                      }}
+                    >
+                      {run?.metrics ? formatMetric(metric.key, run.metrics[metric.key]) : '-'}
+                    </td>
+                  ))
+                )}
+                <td style={{ ...cellStyle, whiteSpace: 'nowrap' }}>
+                  {run?.metrics && (
+                    <button
+                      onClick={() => promoteScenario(scenario)}
+                      disabled={!!running || promoting === scenario.id}
+                      style={{ ...buttonStyle, backgroundColor: '#28a745', marginRight: '5px' }}
+                    >
+                      {promoting === scenario.id ? 'Saving...' : '💾 Save as Schedule'}
+                    </button>
+                  )}
+                  <button
+                    onClick={() => removeScenario(scenario.id)}
+                    disabled={!!running}
+                    style={{ ...buttonStyle, backgroundColor: '#dc3545' }}
+                  >
+                    Remove
+                  </button>
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </fieldset>
+  );
+};
+
+export default ScenarioSandboxPanel;
@@ -0,0 +1,191 @@
+import React, { useState, useMemo } from 'react';
+import * as XLSX from 'xlsx';
+import {
+  DIAGNOSTIC_STATUS,
+  SCHEDULING_CONSTRAINT_LABELS,
+  summariseDiagnostics
+} from '@core/utils/scheduling/index.js';
+
+const cellStyle = { padding: '6px', verticalAlign: 'top' };
+
+const FILTERS = {
+  problems: 'Unscheduled and constrained',
+  unplaced: 'Unscheduled only',
+  all: 'All session groups'
+};
+
+const formatDateTime = (date) => (date ? new Date(date).toLocaleString('en-GB', { dateStyle: 'medium', timeStyle: 'short' }) : '');
+
+/**
+ * Describe an entry's binding constraints (or its unscheduled reason) as one line each
+ */
+const describeEntry = (entry) => {
+  const lines = entry.constraints.map(item =>
+    `${item.label}${item.count > 1 ? ` (x${item.count})` : ''}${item.detail ? ` - ${item.detail}` : ''}`
+  );
+  if (entry.status === DIAGNOSTIC_STATUS.UNPLACED) {
+    lines.unshift(`${SCHEDULING_CONSTRAINT_LABELS[entry.reason] || entry.reason}${entry.detail ? ` - ${entry.detail}` : ''}`);
+  }
+  return lines;
+};
+
+/**
+ * Download the diagnostic log as an Excel workbook (summary, full log, unscheduled demand)
+ */
+const exportDiagnosticsToExcel = (diagnostics, summary) => {
+  const toRow = (entry) => ({
+    Status: entry.status === DIAGNOSTIC_STATUS.PLACED ? 'Placed' : 'Unscheduled',
+    Location: entry.location,
+    'Course ID': entry.courseId,
+    Course: entry.courseName,
+    Group: entry.sessionNumber,
+    Learners: entry.learners,
+    Start: formatDateTime(entry.start),
+    End: formatDateTime(entry.end),
+    Parts: entry.parts || '',
+    Classrooms: entry.classrooms.join(', '),
+    Trainer: entry.trainer || '',
+    'Unscheduled Reason': entry.reason ? SCHEDULING_CONSTRAINT_LABELS[entry.reason] || entry.reason : '',
+    'Unscheduled Detail': entry.detail || '',
+    'Binding Constraints': entry.constraints.map(item => item.label).join('; '),
+    'Constraint Details': entry.constraints
+      .map(item => `${item.label}${item.count > 1 ? ` (x${item.count})` : ''}${item.detail ? `: ${item.detail}` : ''}`)
+      .join('; ')
+  });
+
+  const summaryData = [
+    { Measure: 'Session groups', Value: summary.sessionGroups },
+    { Measure: 'Placed', Value: summary.placed },
+    { Measure: 'Unscheduled', Value: summary.unplaced },
+    { Measure: 'Unscheduled learners', Value: summary.unplacedLearners },
+    { Measure: 'Held back by a constraint', Value: summary.constrained },
+    ...Object.entries(summary.byConstraint).map(([constraint, count]) => ({
+      Measure: `Session groups affected: ${SCHEDULING_CONSTRAINT_LABELS[constraint] || constraint}`,
+      Value: count
+    }))
+  ];
+
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(summaryData), 'Summary');
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(diagnostics.map(toRow)), 'Diagnostic Log');
+  XLSX.utils.book_append_sheet(
+    workbook,
+    XLSX.utils.json_to_sheet(diagnostics.filter(entry => entry.status === DIAGNOSTIC_STATUS.UNPLACED).map(toRow)),
+    'Unscheduled Demand'
+  );
+
+  XLSX.writeFile(workbook, `scheduling_diagnostics_${new Date().toISOString().slice(0, 10)}.xlsx`);
+};
+
+/**
+ * Scheduling diagnostics for the Review stage
+ * Shows where each course, location and group was placed, which constraints held it back,
+ * and which demand was left unscheduled and why.
+ */
+const SchedulingDiagnosticsPanel = ({ diagnostics = [] }) => {
+  const [filter, setFilter] = useState('problems');
+  const [expanded, setExpanded] = useState(false);
+  const summary = useMemo(() => summariseDiagnostics(diagnostics), [diagnostics]);
+
+  const visibleEntries = useMemo(() => diagnostics.filter(entry => {
+    if (filter === 'unplaced') return entry.status === DIAGNOSTIC_STATUS.UNPLACED;
+    if (filter === 'problems') return entry.status === DIAGNOSTIC_STATUS.UNPLACED || entry.constraints.length > 0;
+    return true;
+  }), [diagnostics, filter]);
+
+  if (diagnostics.length === 0) return null;
+
+  const hasUnplaced = summary.unplaced > 0;
+
+  return (
+    <div style={{
+      marginBottom: '20px',
+      padding: '16px',
+      backgroundColor: hasUnplaced ? '#fff3cd' : '#e7f3ff',
+      border: `1px solid ${hasUnplaced ? '#ffeaa7' : '#b8daff'}`,
+      borderRadius: '8px',
+      color: hasUnplaced ? '#856404' : '#004085'
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: '10px' }}>
+        <strong>
+          📋 {hasUnplaced
+            ? `${summary.unplaced} session group(s) left unscheduled (${summary.unplacedLearners} learners)`
+            : `All ${summary.placed} session groups scheduled`}
+          {summary.constrained > 0 && ` - ${summary.constrained} held back by a constraint`}
+        </strong>
+        <div style={{ display: 'flex', gap: '8px' }}>
+          <button type="button" onClick={() => setExpanded(!expanded)}>
+            {expanded ? 'Hide Diagnostics' : 'Show Diagnostics'}
+          </button>
+          <button type="button" onClick={() => exportDiagnosticsToExcel(diagnostics, summary)}>
+            📊 Download Excel
+          </button>
+        </div>
+      </div>
+
+      {Object.keys(summary.byConstraint).length > 0 && (
+        <p style={{ margin: '6px 0 0 0', fontSize: '14px' }}>
+          {Object.entries(summary.byConstraint)
+            .sort(([, a], [, b]) => b - a)
+            .map(([constraint, count]) => `${SCHEDULING_CONSTRAINT_LABELS[constraint] || constraint}: ${count}`)
+            .join(' · ')}
+        </p>
+      )}
+
+      {expanded && (
+        <>
+          <div style={{ margin: '10px 0', fontSize: '14px' }}>
+            <label>
+              Show:{' '}
+              <select value={filter} onChange={e => setFilter(e.target.value)}>
+                {Object.entries(FILTERS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </label>
+            <span style={{ marginLeft: '10px' }}>{visibleEntries.length} of {diagnostics.length} session groups</span>
+          </div>
+
+          <div style={{ maxHeight: '400px', overflowY: 'auto' }}>
+            <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '14px', backgroundColor: 'white' }}>
+              <thead>
+                <tr style={{ textAlign: 'left', backgroundColor: '#f8f9fa' }}>
+                  <th style={cellStyle}>Status</th>
+                  <th style={cellStyle}>Location</th>
+                  <th style={cellStyle}>Course</th>
+                  <th style={cellStyle}>Group</th>
+                  <th style={cellStyle}>Learners</th>
+                  <th style={cellStyle}>Scheduled</th>
+                  <th style={cellStyle}>Classroom</th>
+                  <th style={cellStyle}>Trainer</th>
+                  <th style={cellStyle}>Why</th>
+                </tr>
+              </thead>
+              <tbody>
+                {visibleEntries.map(entry => (
+                  <tr key={`${entry.courseId}-${entry.location}-${entry.sessionNumber}`} style={{ borderTop: '1px solid #e9ecef' }}>
+                    <td style={cellStyle}>{entry.status === DIAGNOSTIC_STATUS.PLACED ? '✅ Placed' : '❌ Unscheduled'}</td>
+                    <td style={cellStyle}>{entry.location}</td>
+                    <td style={cellStyle}>{entry.courseName}</td>
+                    <td style={cellStyle}>{entry.sessionNumber}</td>
+                    <td style={cellStyle}>{entry.learners}</td>
+                    <td style={cellStyle}>
+                      {entry.start ? `${formatDateTime(entry.start)} - ${formatDateTime(entry.end)}` : '-'}
+                    </td>
+                    <td style={cellStyle}>{entry.classrooms.join(', ') || '-'}</td>
+                    <td style={cellStyle}>{entry.trainer || '-'}</td>
+                    <td style={cellStyle}>
+                      {describeEntry(entry).map(line => <div key={line}>{line}</div>)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default SchedulingDiagnosticsPanel;
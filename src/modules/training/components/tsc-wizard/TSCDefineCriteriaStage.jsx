@@ -2,6 +2,11 @@ import React, { useState, useEffect } from 'react';
 import { supabase } from '@core/services/supabaseClient';
 import { useProject } from '@core/contexts/ProjectContext';
 import { calculateClassroomsNeeded, validateClassroomCapacity } from '@core/utils/classroomCalculations';
+import { getTimeBlockDefinitions } from '@core/utils/scheduling/TimeBlockEngine';
+import BlackoutDatesPanel from './BlackoutDatesPanel';
+import TimeBlocksPanel, { DEFAULT_TIME_BLOCKS } from './TimeBlocksPanel';
+import LocationWavesPanel from './LocationWavesPanel';
+import MinimumFillPanel from './MinimumFillPanel';
 
 const TSCDefineCriteriaStage = ({ 
   criteria, 
@@ -14,26 +19,39 @@ const TSCDefineCriteriaStage = ({
   const { currentProject } = useProject();
   const defaultValues = {
     max_attendees: 10,
+    min_attendees: null, // Smallest session worth running (null = no minimum)
+    fill_policy: 'none', // 'none', 'balance', 'merge', 'virtual', 'cancel' - see MinimumFill
+    neighbouring_locations: {}, // Locations that may share under-filled sessions (merge policy)
     total_weeks: 5,
     daily_hours: 6,
     days_per_week: 5,
     contingency: 1,
     start_date: new Date().toISOString().split('T')[0], // Today's date in YYYY-MM-DD format
-    scheduling_preference: 'both', // 'both', 'am_only', 'pm_only'
-    scheduling_mode: 'group_complete', // 'group_complete', 'course_complete'
-    start_time_am: '09:30',
-    end_time_am: '12:30',
-    start_time_pm: '13:30',
-    end_time_pm: '16:30',
+    scheduling_preference: 'both', // Legacy AM / PM preference, superseded by time_blocks
+    scheduling_mode: 'group_complete', // 'group_complete', 'course_complete', 'optimised', 'backward'
+    optimiser_time_budget_seconds: 10, // Search time for the optimised mode
+    max_course_hours_per_day: null, // Default daily hour cap for multi-day courses (null = full day)
+    learner_max_hours_per_day: null, // Training hours per learner per day (null = no limit)
+    learner_max_hours_per_week: null, // Training hours per learner per week (null = no limit)
+    allow_learner_overlaps: false, // Allow a learner to be booked into overlapping sessions
+    assign_trainers: true, // Assign qualified trainers while scheduling
+    time_blocks: DEFAULT_TIME_BLOCKS, // Ordered daily time blocks with optional break buffers
+    location_time_blocks: {}, // Per training location overrides of time_blocks
+    location_waves: {}, // Per training location go-live date and training window
     scheduling_days: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'],
     selected_functional_areas: [],
-    selected_training_locations: []
+    selected_training_locations: [],
+    blackout_dates: []
   };
 
   // Initialize with existing criteria or defaults
-  const [formValues, setFormValues] = useState({
-    ...defaultValues,
-    ...criteria
+  const [formValues, setFormValues] = useState(() => {
+    const initialValues = { ...defaultValues, ...criteria };
+    // Criteria saved before named time blocks only have AM / PM times
+    if (!criteria?.time_blocks && (criteria?.start_time_am || criteria?.start_time_pm)) {
+      initialValues.time_blocks = getTimeBlockDefinitions(criteria);
+    }
+    return initialValues;
   });
 
   // Selection data state
@@ -151,35 +169,7 @@ const TSCDefineCriteriaStage = ({
   }, [formValues, criteria, setCriteria]); // Run when formValues or criteria change
 
   const handleChange = (key, value) => {
-    let newValues = { ...formValues, [key]: value };
-    
-    // Handle scheduling preference changes
-    if (key === 'scheduling_preference') {
-      // Clear or set default times based on preference
-      if (value === 'am_only') {
-        newValues = {
-          ...newValues,
-          start_time_pm: '',
-          end_time_pm: ''
-        };
-      } else if (value === 'pm_only') {
-        newValues = {
-          ...newValues,
-          start_time_am: '',
-          end_time_am: ''
-        };
-      } else if (value === 'both') {
-        // Restore defaults if switching back to both
-        if (!newValues.start_time_am || !newValues.end_time_am) {
-          newValues.start_time_am = '09:30';
-          newValues.end_time_am = '12:30';
-        }
-        if (!newValues.start_time_pm || !newValues.end_time_pm) {
-          newValues.start_time_pm = '13:30';
-          newValues.end_time_pm = '16:30';
-        }
-      }
-    }
+    const newValues = { ...formValues, [key]: value };
     
     setFormValues(newValues);
     // Auto-save changes to parent component
@@ -198,6 +188,33 @@ const TSCDefineCriteriaStage = ({
     });
   };
 
+  const handleTimeBlocksChange = (timeBlockValues) => {
+    setFormValues(prev => {
+      const newValues = { ...prev, ...timeBlockValues };
+      // Auto-save changes to parent component
+      setCriteria(newValues);
+      return newValues;
+    });
+  };
+
+  const handleWavesChange = (waves) => {
+    setFormValues(prev => {
+      const newValues = { ...prev, location_waves: waves };
+      // Auto-save changes to parent component
+      setCriteria(newValues);
+      return newValues;
+    });
+  };
+
+  const handleBlackoutsChange = (blackouts) => {
+    setFormValues(prev => {
+      const newValues = { ...prev, blackout_dates: blackouts };
+      // Auto-save changes to parent component
+      setCriteria(newValues);
+      return newValues;
+    });
+  };
+
   // Handle functional area selection
   const handleFunctionalAreaChange = (area, checked) => {
     let newAreas;
@@ -302,6 +319,7 @@ const TSCDefineCriteriaStage = ({
               ...course,
               course_id: course.course_id,
               course_name: course.course_name,
+              end_user_id: user.id,
               mapping_status: mapping.status,
               unique_key: `${user.id}-${mapping.course_id}`
             };
@@ -691,48 +709,63 @@ const TSCDefineCriteriaStage = ({
         <input type="date" value={formValues.start_date} onChange={e => handleChange('start_date', e.target.value)} />
       </label>
 
-      <fieldset style={{ marginBottom: '20px', padding: '15px', border: '1px solid #ccc', borderRadius: '5px' }}>
-        <legend style={{ fontWeight: 'bold', color: '#333' }}>Scheduling Preference:</legend>
-        <div style={{ display: 'flex', gap: '15px', flexWrap: 'wrap' }}>
-          <label style={{ display: 'flex', alignItems: 'center', gap: '5px' }}>
-            <input 
-              type="radio" 
-              name="scheduling_preference" 
-              value="both"
-              checked={formValues.scheduling_preference === 'both'}
-              onChange={e => handleChange('scheduling_preference', e.target.value)}
-            />
-            Both AM & PM Sessions
-          </label>
-          <label style={{ display: 'flex', alignItems: 'center', gap: '5px' }}>
-            <input 
-              type="radio" 
-              name="scheduling_preference" 
-              value="am_only"
-              checked={formValues.scheduling_preference === 'am_only'}
-              onChange={e => handleChange('scheduling_preference', e.target.value)}
-            />
-            Morning Only
-          </label>
-          <label style={{ display: 'flex', alignItems: 'center', gap: '5px' }}>
-            <input 
-              type="radio" 
-              name="scheduling_preference" 
-              value="pm_only"
-              checked={formValues.scheduling_preference === 'pm_only'}
-              onChange={e => handleChange('scheduling_preference', e.target.value)}
-            />
-            Afternoon Only
-          </label>
-        </div>
-        
-        {/* Helpful text */}
-        <div style={{ marginTop: '10px', fontSize: '14px', color: '#666', fontStyle: 'italic' }}>
-          {formValues.scheduling_preference === 'both' && "Schedule training sessions in both morning and afternoon time slots."}
-          {formValues.scheduling_preference === 'am_only' && "Schedule training sessions only in the morning hours."}
-          {formValues.scheduling_preference === 'pm_only' && "Schedule training sessions only in the afternoon hours."}
-        </div>
-      </fieldset>
+      <label title="Longer courses are spread over more days. Courses can set their own cap on the Courses page.">
+        Max Course Hours Per Day:
+        <input
+          type="number"
+          min="0.5"
+          step="0.5"
+          placeholder="Full day"
+          value={formValues.max_course_hours_per_day ?? ''}
+          onChange={e => handleChange('max_course_hours_per_day', e.target.value === '' ? null : Number(e.target.value))}
+        />
+      </label>
+
+      <label title="Limits across all courses, so a learner is not booked into a whole day or week of back-to-back training.">
+        Learner Max Hours Per Day:
+        <input
+          type="number"
+          min="0.5"
+          step="0.5"
+          placeholder="No limit"
+          value={formValues.learner_max_hours_per_day ?? ''}
+          onChange={e => handleChange('learner_max_hours_per_day', e.target.value === '' ? null : Number(e.target.value))}
+        />
+      </label>
+
+      <label title="Limits across all courses, so a learner is not booked into a whole day or week of back-to-back training.">
+        Learner Max Hours Per Week:
+        <input
+          type="number"
+          min="0.5"
+          step="0.5"
+          placeholder="No limit"
+          value={formValues.learner_max_hours_per_week ?? ''}
+          onChange={e => handleChange('learner_max_hours_per_week', e.target.value === '' ? null : Number(e.target.value))}
+        />
+      </label>
+
+      <label>
+        <input
+          type="checkbox"
+          checked={formValues.allow_learner_overlaps === true}
+          onChange={e => handleChange('allow_learner_overlaps', e.target.checked)}
+        />
+        Allow a learner to be booked into overlapping sessions
+      </label>
+
+      <TimeBlocksPanel
+        timeBlocks={formValues.time_blocks}
+        locationTimeBlocks={formValues.location_time_blocks}
+        selectedLocations={formValues.selected_training_locations}
+        onTimeBlocksChange={handleTimeBlocksChange}
+      />
+
+      <LocationWavesPanel
+        criteria={formValues}
+        selectedLocations={formValues.selected_training_locations}
+        onWavesChange={handleWavesChange}
+      />
 
       {/* Scheduling Mode */}
       <fieldset style={{ marginBottom: '20px', padding: '15px', border: '2px solid #007bff', borderRadius: '8px' }}>
@@ -758,70 +791,74 @@ const TSCDefineCriteriaStage = ({
             />
             Complete by Course (Synchronized Classrooms)
           </label>
+          <label style={{ display: 'flex', alignItems: 'center', gap: '5px' }}>
+            <input 
+              type="radio" 
+              name="scheduling_mode" 
+              value="optimised"
+              checked={formValues.scheduling_mode === 'optimised'}
+              onChange={e => handleChange('scheduling_mode', e.target.value)}
+            />
+            Optimised (Shortest Programme)
+          </label>
+          <label style={{ display: 'flex', alignItems: 'center', gap: '5px' }}>
+            <input 
+              type="radio" 
+              name="scheduling_mode" 
+              value="backward"
+              checked={formValues.scheduling_mode === 'backward'}
+              onChange={e => handleChange('scheduling_mode', e.target.value)}
+            />
+            Backward from Go-Live (As Late As Possible)
+          </label>
         </div>
         
+        {formValues.scheduling_mode === 'optimised' && (
+          <label style={{ display: 'flex', alignItems: 'center', gap: '5px', marginTop: '10px' }}>
+            Time budget (seconds):
+            <input
+              type="number"
+              min="1"
+              max="120"
+              value={formValues.optimiser_time_budget_seconds ?? 10}
+              onChange={e => handleChange('optimiser_time_budget_seconds', Number(e.target.value))}
+              style={{ width: '80px' }}
+            />
+          </label>
+        )}
+        
         {/* Helpful text */}
         <div style={{ marginTop: '10px', fontSize: '14px', color: '#666', fontStyle: 'italic' }}>
           {formValues.scheduling_mode === 'group_complete' && "Each classroom operates independently. Groups complete all courses before moving to the next group. Maximum concurrency: 2 classrooms = 2 groups trained simultaneously."}
           {formValues.scheduling_mode === 'course_complete' && "All classrooms work on the same course simultaneously. Complete one course across all groups before moving to the next course. All groups progress together."}
+          {formValues.scheduling_mode === 'optimised' && "Searches for the order that finishes the roll-out soonest with the fewest empty classroom hours, within the time budget. The result is compared with both modes above and the better schedule is kept."}
+          {formValues.scheduling_mode === 'backward' && "Works back from each location's go-live date, packing sessions as late as possible inside its training window so learning is fresh at go-live. Needs a go-live date for every selected location; locations whose demand cannot fit are flagged on the Review screen."}
         </div>
       </fieldset>
 
-      {/* Morning Time - Show if preference is 'both' or 'am_only' */}
-      {(formValues.scheduling_preference === 'both' || formValues.scheduling_preference === 'am_only') && (
-        <div style={{ 
-          marginBottom: '15px', 
-          padding: '10px', 
-          backgroundColor: '#f8f9fa', 
-          border: '1px solid #e9ecef', 
-          borderRadius: '5px' 
-        }}>
-          <label style={{ fontWeight: 'bold', color: '#495057' }}>Morning Time:</label>
-          <div style={{ marginTop: '5px' }}>
-            <input 
-              type="time" 
-              value={formValues.start_time_am} 
-              onChange={e => handleChange('start_time_am', e.target.value)} 
-              style={{ marginRight: '10px' }}
-            />
-            to
-            <input 
-              type="time" 
-              value={formValues.end_time_am} 
-              onChange={e => handleChange('end_time_am', e.target.value)} 
-              style={{ marginLeft: '10px' }}
-            />
-          </div>
+      {/* Trainer Assignment */}
+      <fieldset style={{ marginBottom: '20px', padding: '15px', border: '1px solid #ccc', borderRadius: '5px' }}>
+        <legend style={{ fontWeight: 'bold', color: '#333' }}>Trainer Assignment:</legend>
+        <label style={{ display: 'flex', alignItems: 'center', gap: '5px' }}>
+          <input
+            type="checkbox"
+            checked={formValues.assign_trainers !== false}
+            onChange={e => handleChange('assign_trainers', e.target.checked)}
+          />
+          Assign a qualified trainer to every session
+        </label>
+        <div style={{ marginTop: '10px', fontSize: '14px', color: '#666', fontStyle: 'italic' }}>
+          {formValues.assign_trainers !== false
+            ? "Trainers are matched on specializations, availability, maximum hours per day/week and home location. Sessions no trainer can cover are flagged as unstaffed for review."
+            : "Sessions are scheduled without trainers. Assign trainers later in the Schedule Manager."}
         </div>
-      )}
+      </fieldset>
 
-      {/* Afternoon Time - Show if preference is 'both' or 'pm_only' */}
-      {(formValues.scheduling_preference === 'both' || formValues.scheduling_preference === 'pm_only') && (
-        <div style={{ 
-          marginBottom: '15px', 
-          padding: '10px', 
-          backgroundColor: '#f8f9fa', 
-          border: '1px solid #e9ecef', 
-          borderRadius: '5px' 
-        }}>
-          <label style={{ fontWeight: 'bold', color: '#495057' }}>Afternoon Time:</label>
-          <div style={{ marginTop: '5px' }}>
-            <input 
-              type="time" 
-              value={formValues.start_time_pm} 
-              onChange={e => handleChange('start_time_pm', e.target.value)} 
-              style={{ marginRight: '10px' }}
-            />
-            to
-            <input 
-              type="time" 
-              value={formValues.end_time_pm} 
-              onChange={e => handleChange('end_time_pm', e.target.value)} 
-              style={{ marginLeft: '10px' }}
-            />
-          </div>
-        </div>
-      )}
+      <MinimumFillPanel
+        criteria={formValues}
+        selectedLocations={formValues.selected_training_locations}
+        onChange={handleChange}
+      />
 
         <fieldset>
           <legend>Scheduling Days:</legend>
@@ -837,6 +874,13 @@ const TSCDefineCriteriaStage = ({
         </fieldset>
       </fieldset>
 
+      <BlackoutDatesPanel
+        criteria={formValues}
+        selectedLocations={formValues.selected_training_locations}
+        availableLocations={availableTrainingLocations}
+        onBlackoutsChange={handleBlackoutsChange}
+      />
+
       <div style={{ marginTop: '20px', display: 'flex', justifyContent: 'flex-end', gap: '10px' }}>
         <button onClick={handleSubmit}>Next</button>
       </div>
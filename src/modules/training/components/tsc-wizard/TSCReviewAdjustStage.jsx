@@ -1,15 +1,124 @@
-import React, { useEffect, useState } from 'react';
+import React, { useEffect, useState, useMemo } from 'react';
 import ScheduleCalendar from '../calendar/ScheduleCalendar';
+import SchedulingDiagnosticsPanel from './SchedulingDiagnosticsPanel';
+import ScenarioSandboxPanel from './ScenarioSandboxPanel';
 import { supabase } from '@core/services/supabaseClient';
+import {
+  STAFFING_STATUS,
+  FILL_ACTION,
+  DELIVERY_MODE_LABELS,
+  flattenSessions,
+  getMinAttendees,
+  buildUtilisationReport
+} from '@core/utils/scheduling/index.js';
+
+/**
+ * Collect trainer staffing outcomes from the generated sessions
+ * Multi-part courses are counted once (all parts share one trainer).
+ */
+const summariseStaffing = (sessionsForCalendar) => {
+  const courses = new Map();
+
+  Object.values(sessionsForCalendar || {}).forEach(locations => {
+    Object.values(locations || {}).forEach(classrooms => {
+      Object.values(classrooms || {}).forEach(sessions => {
+        (sessions || []).forEach(session => {
+          if (!session.staffing_status) return;
+          const key = `${session.course?.course_id}|${session.location}|${session.sessionNumber}`;
+          const existing = courses.get(key);
+          if (!existing || new Date(session.start) < new Date(existing.start)) {
+            courses.set(key, session);
+          }
+        });
+      });
+    });
+  });
+
+  const all = Array.from(courses.values());
+  return {
+    assessed: all.length,
+    unstaffed: all
+      .filter(session => session.staffing_status === STAFFING_STATUS.UNSTAFFED)
+      .sort((a, b) => new Date(a.start) - new Date(b.start))
+  };
+};
+
+/**
+ * Collect the course sequencing rules the engine could not satisfy
+ * (maximum gap / same week) - one entry per message.
+ */
+const collectSequencingViolations = (sessionsForCalendar) => {
+  const messages = new Set();
+
+  Object.values(sessionsForCalendar || {}).forEach(locations => {
+    Object.values(locations || {}).forEach(classrooms => {
+      Object.values(classrooms || {}).forEach(sessions => {
+        (sessions || []).forEach(session => {
+          (session.sequencingViolations || []).forEach(message => {
+            messages.add(`${message} (${session.location}, Group ${session.sessionNumber})`);
+          });
+        });
+      });
+    });
+  });
+
+  return Array.from(messages);
+};
+
+const MODE_LABELS = {
+  optimised: 'Optimised',
+  course_complete: 'Complete by Course',
+  group_complete: 'Complete by Group',
+  backward: 'Backward from Go-Live'
+};
+
+/**
+ * Describe why a location's training does not fit its go-live window
+ */
+const describeWaveProblems = (entry) => {
+  const problems = [];
+  if (entry.unplacedSessionGroups > 0) problems.push(`${entry.unplacedSessionGroups} session group(s) could not fit before go-live`);
+  if (entry.sessionsAfterDeadline > 0) problems.push(`${entry.sessionsAfterDeadline} session(s) end after go-live`);
+  if (entry.sessionsBeforeWindow > 0) problems.push(`${entry.sessionsBeforeWindow} session(s) start before the training window`);
+  return problems.join(', ');
+};
+
+/**
+ * Describe what the minimum-fill policy did with an under-filled group
+ */
+const describeFillAdjustment = (adjustment) => {
+  if (adjustment.action === FILL_ACTION.MERGED) return `merged into ${adjustment.to}`;
+  if (adjustment.action === FILL_ACTION.VIRTUAL) return `moved to a virtual session (${adjustment.to})`;
+  return 'cancelled';
+};
 
 const TSCReviewAdjustStage = ({
   sessionsForCalendar,
   onSessionUpdated,
   onFinish,
-  criteria
+  criteria,
+  optimisationReport = null,
+  waveReport = [],
+  diagnostics = [],
+  fillAdjustments = [],
+  onRunScenario = null,
+  onPromoteScenario = null,
+  onCancelScenario = null
 }) => {
   // Schedule name state
   const [scheduleName, setScheduleName] = useState(`Training Schedule - ${new Date().toISOString().slice(0, 10)}`);
+  const staffing = useMemo(() => summariseStaffing(sessionsForCalendar), [sessionsForCalendar]);
+  const sequencingViolations = useMemo(() => collectSequencingViolations(sessionsForCalendar), [sessionsForCalendar]);
+  const utilisation = useMemo(
+    () => buildUtilisationReport(flattenSessions(sessionsForCalendar), criteria),
+    [sessionsForCalendar, criteria]
+  );
+  const underFilled = utilisation.filter(entry => entry.underFilled);
+  const minAttendees = getMinAttendees(criteria);
+  const totalSeats = utilisation.reduce((total, entry) => total + entry.maxAttendees, 0);
+  const averageUtilisation = totalSeats > 0
+    ? Math.round((utilisation.reduce((total, entry) => total + entry.userCount, 0) / totalSeats) * 100)
+    : 0;
 
 
   useEffect(() => {
@@ -114,6 +223,245 @@ const TSCReviewAdjustStage = ({
         </div>
       </div>
 
+      {/* Where each session group was placed, what held it back and what was left unscheduled */}
+      <SchedulingDiagnosticsPanel diagnostics={diagnostics} />
+
+      {/* Optimised mode compared with the greedy modes */}
+      {optimisationReport && (
+        <div style={{
+          marginBottom: '20px',
+          padding: '16px',
+          backgroundColor: '#e7f3ff',
+          border: '1px solid #b8daff',
+          borderRadius: '8px',
+          color: '#004085'
+        }}>
+          <strong>
+            🧮 {optimisationReport.selectedMode === 'optimised'
+              ? `Optimised schedule: ${optimisationReport.improvement.spanDays} day(s) shorter and ${optimisationReport.improvement.idleClassroomHours} fewer idle classroom hours than ${MODE_LABELS[optimisationReport.bestGreedyMode]}`
+              : `The optimiser did not beat ${MODE_LABELS[optimisationReport.bestGreedyMode]} within the time budget, so that schedule was kept`}
+          </strong>
+          <p style={{ margin: '6px 0 10px 0', fontSize: '14px' }}>
+            {optimisationReport.iterations} schedules tried in {(optimisationReport.elapsedMs / 1000).toFixed(1)}s
+            (budget {optimisationReport.timeBudgetSeconds}s).
+            {optimisationReport.unplacedSessionGroups > 0 && ` ⚠️ ${optimisationReport.unplacedSessionGroups} session group(s) could not be placed.`}
+          </p>
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '14px', backgroundColor: 'white' }}>
+            <thead>
+              <tr style={{ textAlign: 'left', backgroundColor: '#f8f9fa' }}>
+                <th style={{ padding: '6px' }}>Mode</th>
+                <th style={{ padding: '6px' }}>Sessions</th>
+                <th style={{ padding: '6px' }}>First Session</th>
+                <th style={{ padding: '6px' }}>Last Session</th>
+                <th style={{ padding: '6px' }}>Span (days)</th>
+                <th style={{ padding: '6px' }}>Idle Classroom Hours</th>
+              </tr>
+            </thead>
+            <tbody>
+              {[['optimised', optimisationReport.optimised], ...Object.entries(optimisationReport.greedy)].map(([mode, metrics]) => (
+                <tr
+                  key={mode}
+                  style={{
+                    borderTop: '1px solid #e9ecef',
+                    fontWeight: mode === optimisationReport.selectedMode ? 'bold' : 'normal'
+                  }}
+                >
+                  <td style={{ padding: '6px' }}>{MODE_LABELS[mode]}{mode === optimisationReport.selectedMode && ' ✓'}</td>
+                  <td style={{ padding: '6px' }}>{metrics.sessionGroupCount}</td>
+                  <td style={{ padding: '6px' }}>{metrics.firstStart ? new Date(metrics.firstStart).toLocaleDateString('en-GB') : '-'}</td>
+                  <td style={{ padding: '6px' }}>{metrics.lastEnd ? new Date(metrics.lastEnd).toLocaleDateString('en-GB') : '-'}</td>
+                  <td style={{ padding: '6px' }}>{metrics.spanDays}</td>
+                  <td style={{ padding: '6px' }}>{metrics.idleClassroomHours}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* Go-live waves - training must fit each location's window before go-live */}
+      {waveReport.length > 0 && (
+        <div style={{
+          marginBottom: '20px',
+          padding: '16px',
+          backgroundColor: waveReport.every(entry => entry.fits) ? '#e7f3ff' : '#fff3cd',
+          border: `1px solid ${waveReport.every(entry => entry.fits) ? '#b8daff' : '#ffeaa7'}`,
+          borderRadius: '8px',
+          color: waveReport.every(entry => entry.fits) ? '#004085' : '#856404'
+        }}>
+          <strong>
+            🚀 {waveReport.every(entry => entry.fits)
+              ? `Training fits the go-live window at all ${waveReport.length} location(s)`
+              : `${waveReport.filter(entry => !entry.fits).length} location(s) cannot fit their training before go-live`}
+          </strong>
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '14px', backgroundColor: 'white', marginTop: '10px' }}>
+            <thead>
+              <tr style={{ textAlign: 'left', backgroundColor: '#f8f9fa' }}>
+                <th style={{ padding: '6px' }}>Location</th>
+                <th style={{ padding: '6px' }}>Training Window</th>
+                <th style={{ padding: '6px' }}>Go-Live</th>
+                <th style={{ padding: '6px' }}>First Session</th>
+                <th style={{ padding: '6px' }}>Last Session</th>
+                <th style={{ padding: '6px' }}>Status</th>
+              </tr>
+            </thead>
+            <tbody>
+              {waveReport.map(entry => (
+                <tr key={entry.location} style={{ borderTop: '1px solid #e9ecef' }}>
+                  <td style={{ padding: '6px' }}>{entry.location}</td>
+                  <td style={{ padding: '6px' }}>From {new Date(entry.windowStart).toLocaleDateString('en-GB')}</td>
+                  <td style={{ padding: '6px' }}>{new Date(entry.goLiveDate).toLocaleDateString('en-GB')}</td>
+                  <td style={{ padding: '6px' }}>{entry.firstStart ? new Date(entry.firstStart).toLocaleDateString('en-GB') : '-'}</td>
+                  <td style={{ padding: '6px' }}>{entry.lastEnd ? new Date(entry.lastEnd).toLocaleDateString('en-GB') : '-'}</td>
+                  <td style={{ padding: '6px' }} title={entry.unplaced.join('\n')}>
+                    {entry.fits ? '✅ Fits' : `⚠️ ${describeWaveProblems(entry)}`}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* Trainer staffing outcome */}
+      {staffing.assessed > 0 && (
+        staffing.unstaffed.length === 0 ? (
+          <div style={{
+            marginBottom: '20px',
+            padding: '12px 16px',
+            backgroundColor: '#d4edda',
+            border: '1px solid #c3e6cb',
+            borderRadius: '8px',
+            color: '#155724'
+          }}>
+            👩‍🏫 All {staffing.assessed} sessions have a qualified trainer assigned.
+          </div>
+        ) : (
+          <div style={{
+            marginBottom: '20px',
+            padding: '16px',
+            backgroundColor: '#fff3cd',
+            border: '1px solid #ffeaa7',
+            borderRadius: '8px',
+            color: '#856404'
+          }}>
+            <strong>⚠️ {staffing.unstaffed.length} of {staffing.assessed} sessions are unstaffed</strong>
+            <p style={{ margin: '6px 0 10px 0', fontSize: '14px' }}>
+              No qualified trainer could cover these sessions. Add trainers or availability, or assign a trainer manually after saving.
+            </p>
+            <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '14px', backgroundColor: 'white' }}>
+              <thead>
+                <tr style={{ textAlign: 'left', backgroundColor: '#f8f9fa' }}>
+                  <th style={{ padding: '6px' }}>Course</th>
+                  <th style={{ padding: '6px' }}>Group</th>
+                  <th style={{ padding: '6px' }}>Location</th>
+                  <th style={{ padding: '6px' }}>Starts</th>
+                  <th style={{ padding: '6px' }}>Reason</th>
+                </tr>
+              </thead>
+              <tbody>
+                {staffing.unstaffed.map(session => (
+                  <tr key={`${session.course?.course_id}-${session.location}-${session.sessionNumber}`} style={{ borderTop: '1px solid #e9ecef' }}>
+                    <td style={{ padding: '6px' }}>{session.course?.course_name}</td>
+                    <td style={{ padding: '6px' }}>{session.sessionNumber}</td>
+                    <td style={{ padding: '6px' }}>{session.location}</td>
+                    <td style={{ padding: '6px' }}>{new Date(session.start).toLocaleString('en-GB', { dateStyle: 'medium', timeStyle: 'short' })}</td>
+                    <td style={{ padding: '6px' }}>{session.unstaffed_reason}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )
+      )}
+
+      {/* Course sequencing rules that could not be met */}
+      {sequencingViolations.length > 0 && (
+        <div style={{
+          marginBottom: '20px',
+          padding: '16px',
+          backgroundColor: '#fff3cd',
+          border: '1px solid #ffeaa7',
+          borderRadius: '8px',
+          color: '#856404'
+        }}>
+          <strong>🔗 {sequencingViolations.length} course sequencing rule{sequencingViolations.length === 1 ? '' : 's'} could not be met</strong>
+          <p style={{ margin: '6px 0 10px 0', fontSize: '14px' }}>
+            Prerequisites always run first, but these courses could not be placed within their maximum gap or in the same week.
+          </p>
+          <ul style={{ margin: 0, paddingLeft: '20px', fontSize: '14px' }}>
+            {sequencingViolations.map(message => (
+              <li key={message}>{message}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {/* Seat utilisation per session group and what the minimum-fill policy changed */}
+      {utilisation.length > 0 && (
+        <div style={{
+          marginBottom: '20px',
+          padding: '16px',
+          backgroundColor: underFilled.length === 0 ? '#e7f3ff' : '#fff3cd',
+          border: `1px solid ${underFilled.length === 0 ? '#b8daff' : '#ffeaa7'}`,
+          borderRadius: '8px',
+          color: underFilled.length === 0 ? '#004085' : '#856404'
+        }}>
+          <strong>
+            👥 {utilisation.length} session group(s), {averageUtilisation}% of seats filled
+            {minAttendees !== null && (underFilled.length === 0
+              ? ` - all meet the minimum of ${minAttendees}`
+              : ` - ${underFilled.length} below the minimum of ${minAttendees}`)}
+          </strong>
+          {fillAdjustments.length > 0 && (
+            <ul style={{ margin: '6px 0 0 0', paddingLeft: '20px', fontSize: '14px' }}>
+              {fillAdjustments.map((adjustment, index) => (
+                <li key={`${adjustment.courseId}-${adjustment.from}-${index}`}>
+                  {adjustment.courseName}: {adjustment.learners} learner(s) at {adjustment.from} {describeFillAdjustment(adjustment)}
+                </li>
+              ))}
+            </ul>
+          )}
+          <div style={{ maxHeight: '300px', overflowY: 'auto', marginTop: '10px' }}>
+            <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '14px', backgroundColor: 'white' }}>
+              <thead>
+                <tr style={{ textAlign: 'left', backgroundColor: '#f8f9fa' }}>
+                  <th style={{ padding: '6px' }}>Course</th>
+                  <th style={{ padding: '6px' }}>Location</th>
+                  <th style={{ padding: '6px' }}>Group</th>
+                  <th style={{ padding: '6px' }}>Delivery</th>
+                  <th style={{ padding: '6px' }}>Learners</th>
+                  <th style={{ padding: '6px' }}>Utilisation</th>
+                </tr>
+              </thead>
+              <tbody>
+                {utilisation.map(entry => (
+                  <tr
+                    key={entry.key}
+                    style={{ borderTop: '1px solid #e9ecef', backgroundColor: entry.underFilled ? '#fff3cd' : 'transparent' }}
+                  >
+                    <td style={{ padding: '6px' }}>{entry.courseName}</td>
+                    <td style={{ padding: '6px' }}>{entry.location}</td>
+                    <td style={{ padding: '6px' }}>{entry.sessionNumber}</td>
+                    <td style={{ padding: '6px' }}>{DELIVERY_MODE_LABELS[entry.deliveryMode] || '-'}</td>
+                    <td style={{ padding: '6px' }}>{entry.userCount} / {entry.maxAttendees}</td>
+                    <td style={{ padding: '6px' }}>{entry.utilisation}%{entry.underFilled && ' ⚠️'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      {onRunScenario && (
+        <ScenarioSandboxPanel
+          criteria={criteria}
+          onRunScenario={onRunScenario}
+          onPromoteScenario={onPromoteScenario}
+          onCancel={onCancelScenario}
+        />
+      )}
 
       {sessionsForCalendar && Object.keys(sessionsForCalendar).length > 0 ? (
         <ScheduleCalendar sessions={sessionsForCalendar} onSessionUpdated={onSessionUpdated} />
@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { supabase } from '@core/services/supabaseClient';
 import { useProject } from '@core/contexts/ProjectContext';
+import { useAuditSource } from '@core/utils/auditSource';
 
 import TSCDefineCriteriaStage from './TSCDefineCriteriaStage';
 import TSCFetchDataStage from './TSCFetchDataStage';
@@ -10,14 +11,29 @@ import './TSCWizard.css';
 import { useNavigate, useLocation } from 'react-router-dom';
 import { 
   calculateClassroomsNeeded, 
-  ClassroomOccupancyTracker,
   validateClassroomCapacity 
 } from '@core/utils/classroomCalculations';
 import { getCurrentLocalDateTime } from '@core/utils/dateTimeUtils';
-import { useSchedulingEngine } from '@modules/training/hooks/useSchedulingEngine';
+import {
+  getTimeBlockDefinitions,
+  getLegacyTimeSettings,
+  validateLocationWaves,
+  poolVirtualDemand,
+  applyFillPolicy,
+  isVirtualLocation,
+  calculateVirtualRooms,
+  applyExtraClassrooms,
+  getScenarioCriteria,
+  summariseScenarioResult
+} from '@core/utils/scheduling/index.js';
+import { loadTrainerSchedulingData } from '@modules/training/services/trainerService';
+import { getBusyBlocks } from '@modules/training/services/busyBlockService';
+import { useSchedulingEngine, SCHEDULING_CANCELLED } from '@modules/training/hooks/useSchedulingEngine';
 import { 
   saveTrainingSchedule, 
-  saveTrainingSessionsForSchedule
+  saveTrainingSessionsForSchedule,
+  deleteTrainingSchedule,
+  createScheduleRevision
 } from '@core/services/scheduleService';
 
 const visibleStageTitles = [
@@ -25,7 +41,14 @@ const visibleStageTitles = [
   'Review & Adjust'
 ];
 
+const PROGRESS_PHASE_LABELS = {
+  scheduling: '📅 Scheduling',
+  baseline: '📏 Baseline',
+  optimising: '🧮 Optimising'
+};
+
 const TSCWizard = () => {
+  useAuditSource('Schedule Creator');
   const navigate = useNavigate();
   const location = useLocation();
   const schedulingEngine = useSchedulingEngine();
@@ -37,6 +60,11 @@ const TSCWizard = () => {
   const [selectedFunctionalArea, setSelectedFunctionalArea] = useState('default');
   const [criteria, setCriteria] = useState({});
   const [sessionsForCalendar, setSessionsForCalendar] = useState({});
+  const [optimisationReport, setOptimisationReport] = useState(null);
+  const [waveReport, setWaveReport] = useState([]);
+  const [schedulingDiagnostics, setSchedulingDiagnostics] = useState([]);
+  const [fillAdjustments, setFillAdjustments] = useState([]);
+  const [schedulingProgress, setSchedulingProgress] = useState(null);
   const [schedulesList, setSchedulesList] = useState([]);
   const [loadingSchedules, setLoadingSchedules] = useState(false);
   const [endUsers, setEndUsers] = useState([]);
@@ -139,6 +167,157 @@ const TSCWizard = () => {
 
   // NOTE: User assignments are now handled via the Drag & Drop Assignment interface
 
+  /**
+   * Build a scheduling request from criteria and the end users chosen in Define Criteria
+   * Used for the wizard's own run and for each scenario in the scenario sandbox.
+   * @param {Object} currentCriteria - Criteria to schedule with
+   * @param {Array} courses - Project courses
+   * @returns {Promise<Object>} { request, warnings, minimumFillAdjustments }
+   */
+  const buildSchedulingRequest = async (currentCriteria, courses) => {
+    // Check required criteria fields and time blocks
+    const schedulingPreference = currentCriteria.scheduling_preference || 'both';
+    const requiredFields = ['start_date', 'max_attendees'];
+    for (const field of requiredFields) {
+      if (!currentCriteria[field]) {
+        throw new Error(`Missing required criteria field: ${field}`);
+      }
+    }
+
+    const timeBlockDefinitions = getTimeBlockDefinitions(currentCriteria);
+    if (timeBlockDefinitions.length === 0 || timeBlockDefinitions.some(block => !block.start || !block.end)) {
+      throw new Error('Every time block needs a start and end time. Please check the time blocks in the Define Criteria stage.');
+    }
+
+    const waveValidation = validateLocationWaves(currentCriteria);
+    if (waveValidation.errors.length > 0) {
+      throw new Error(`Please check the go-live waves in the Define Criteria stage:\n${waveValidation.errors.join('\n')}`);
+    }
+
+    // Complete scheduling logic (from TSCProcessDataStage)
+    const sessionsGrouped = {};
+    const locationClassroomReqs = new Map();
+    const warnings = [];
+    
+    // Learners for virtual courses are pooled across training locations, then groups below
+    // the minimum attendees are merged, moved online or cancelled as the fill policy says
+    const { groupedEndUsers, adjustments: minimumFillAdjustments } = applyFillPolicy(
+      poolVirtualDemand(endUsers.reduce((groups, user) => {
+        const key = groupingKeys.map(k => user[k]?.toString().trim() || 'Unknown').join('|');
+        (groups[key] = groups[key] || []).push(user);
+        return groups;
+      }, {}), courses),
+      courses,
+      currentCriteria
+    );
+
+    // First pass: Calculate classroom requirements per location
+    for (const groupName in groupedEndUsers) {
+      const usersInGroup = groupedEndUsers[groupName];
+      let totalTrainingHours = 0;
+
+      // Virtual sessions don't take classrooms
+      if (isVirtualLocation(groupName)) {
+        locationClassroomReqs.set(groupName, calculateVirtualRooms(usersInGroup, courses, currentCriteria));
+        continue;
+      }
+      
+      // Calculate total training hours for this group
+      for (const course of courses) {
+        const attendees = usersInGroup.filter(user => user.course_id === course.course_id).length;
+        const duration = Number(course.duration_hrs);
+        if (attendees > 0 && !isNaN(duration)) {
+          totalTrainingHours += attendees * duration;
+        }
+      }
+      
+      // Calculate classroom requirements for this location
+      const classroomReq = calculateClassroomsNeeded(totalTrainingHours, currentCriteria);
+      locationClassroomReqs.set(groupName, classroomReq);
+      
+      // Validate classroom capacity
+      const validation = validateClassroomCapacity(classroomReq.numberOfClassrooms);
+      if (validation.severity === 'warning' || validation.severity === 'error') {
+        warnings.push({
+          location: groupName,
+          message: validation.message,
+          severity: validation.severity,
+          classroomsNeeded: classroomReq.numberOfClassrooms
+        });
+      }
+    }
+
+    // Scenarios can add classrooms at a location
+    const classroomReqs = applyExtraClassrooms(locationClassroomReqs, currentCriteria);
+
+    const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+    // Legacy two-slot time parameters (first and second time block); the scheduling
+    // engine itself reads every time block from the criteria
+    const {
+      amStartHour, amStartMin, pmStartHour, pmStartMin, amBlockHours, pmBlockHours
+    } = getLegacyTimeSettings(currentCriteria);
+
+    const functionalArea = currentCriteria.functionalArea || 'General';
+    if (!sessionsGrouped[functionalArea]) {
+      sessionsGrouped[functionalArea] = {};
+    }
+
+    // Get scheduling mode from criteria
+    const schedulingMode = currentCriteria.scheduling_mode || 'course_complete';
+    
+    for (const groupName in groupedEndUsers) {
+      // Initialize location in the structure
+      if (!sessionsGrouped[functionalArea][groupName]) {
+        sessionsGrouped[functionalArea][groupName] = {};
+      }
+      
+      // Get the number of classrooms needed for this location
+      const maxClassrooms = classroomReqs.get(groupName)?.numberOfClassrooms || 1;
+      
+      // Initialize all classrooms for this location
+      for (let classroomNum = 1; classroomNum <= maxClassrooms; classroomNum++) {
+        const classroomKey = `Classroom ${classroomNum}`;
+        if (!sessionsGrouped[functionalArea][groupName][classroomKey]) {
+          sessionsGrouped[functionalArea][groupName][classroomKey] = [];
+        }
+      }
+    }
+
+    // Trainer-aware scheduling: assign qualified trainers while sessions are placed
+    let trainerData = null;
+    if (currentCriteria.assign_trainers !== false) {
+      const { trainers, availability } = await loadTrainerSchedulingData(currentProject.id);
+      if (trainers.length > 0) {
+        trainerData = { trainers, availability };
+      } else {
+        console.warn('⚠️ No active trainers found - sessions will be scheduled without trainers');
+      }
+    }
+
+    // Trainer commitments and classroom bookings imported from external calendars
+    const busyBlocks = await getBusyBlocks(currentProject.id);
+
+    return {
+      request: {
+        mode: schedulingMode,
+        groupedEndUsers,
+        courses,
+        criteria: currentCriteria,
+        sessionsGrouped,
+        functionalArea,
+        locationClassroomReqs: Array.from(classroomReqs.entries()),
+        timeSettings: { schedulingPreference, amStartHour, amStartMin, pmStartHour, pmStartMin, amBlockHours, pmBlockHours },
+        dayNames,
+        trainerData,
+        busyBlocks,
+        fillAdjustments: minimumFillAdjustments
+      },
+      warnings,
+      minimumFillAdjustments
+    };
+  };
+
   const processDataInBackground = async (courses, projectRoles) => {
     try {
       let currentCriteria = criteria[selectedFunctionalArea];
@@ -170,474 +349,35 @@ const TSCWizard = () => {
         throw new Error('No grouping keys defined');
       }
       
-      // Check required criteria fields based on scheduling preference
-      const schedulingPreference = currentCriteria.scheduling_preference || 'both';
-      const baseRequiredFields = ['start_date', 'max_attendees'];
-      const timeRequiredFields = [];
-      
-      if (schedulingPreference === 'both') {
-        timeRequiredFields.push('start_time_am', 'end_time_am', 'start_time_pm', 'end_time_pm');
-      } else if (schedulingPreference === 'am_only') {
-        timeRequiredFields.push('start_time_am', 'end_time_am');
-      } else if (schedulingPreference === 'pm_only') {
-        timeRequiredFields.push('start_time_pm', 'end_time_pm');
-      }
-
-      const requiredFields = [...baseRequiredFields, ...timeRequiredFields];
-      for (const field of requiredFields) {
-        if (!currentCriteria[field]) {
-          throw new Error(`Missing required criteria field: ${field}`);
-        }
-      }
-
-      // Complete scheduling logic (from TSCProcessDataStage)
-      const sessionsGrouped = {};
-      const classroomTracker = new ClassroomOccupancyTracker();
-      const locationClassroomReqs = new Map();
-      const warnings = [];
-      
-      const groupedEndUsers = endUsers.reduce((groups, user) => {
-        const key = groupingKeys.map(k => user[k]?.toString().trim() || 'Unknown').join('|');
-        (groups[key] = groups[key] || []).push(user);
-        return groups;
-      }, {});
-
-      // First pass: Calculate classroom requirements per location
-      for (const groupName in groupedEndUsers) {
-        const usersInGroup = groupedEndUsers[groupName];
-        let totalTrainingHours = 0;
-        
-        // Calculate total training hours for this group
-        for (const course of courses) {
-          const attendees = usersInGroup.filter(user => user.course_id === course.course_id).length;
-          const duration = Number(course.duration_hrs);
-          if (attendees > 0 && !isNaN(duration)) {
-            totalTrainingHours += attendees * duration;
-          }
-        }
-        
-        // Calculate classroom requirements for this location
-        const classroomReq = calculateClassroomsNeeded(totalTrainingHours, currentCriteria);
-        locationClassroomReqs.set(groupName, classroomReq);
-        
-        // Validate classroom capacity
-        const validation = validateClassroomCapacity(classroomReq.numberOfClassrooms);
-        if (validation.severity === 'warning' || validation.severity === 'error') {
-          warnings.push({
-            location: groupName,
-            message: validation.message,
-            severity: validation.severity,
-            classroomsNeeded: classroomReq.numberOfClassrooms
-          });
-        }
-      }
-
-      const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
-
-      // Parse time slots based on scheduling preference
-      let amStartHour = 0, amStartMin = 0, amEndHour = 0, amEndMin = 0;
-      let pmStartHour = 0, pmStartMin = 0, pmEndHour = 0, pmEndMin = 0;
-      let amBlockHours = 0, pmBlockHours = 0;
-
-      if (schedulingPreference === 'both' || schedulingPreference === 'am_only') {
-        [amStartHour, amStartMin] = currentCriteria.start_time_am.split(':').map(Number);
-        [amEndHour, amEndMin] = currentCriteria.end_time_am.split(':').map(Number);
-        amBlockHours = (amEndHour + amEndMin / 60) - (amStartHour + amStartMin / 60);
-      }
-
-      if (schedulingPreference === 'both' || schedulingPreference === 'pm_only') {
-        [pmStartHour, pmStartMin] = currentCriteria.start_time_pm.split(':').map(Number);
-        [pmEndHour, pmEndMin] = currentCriteria.end_time_pm.split(':').map(Number);
-        pmBlockHours = (pmEndHour + pmEndMin / 60) - (pmStartHour + pmStartMin / 60);
-      }
-
-      // Group-Complete scheduling function moved to useSchedulingEngine hook
-      // (Original 300+ line implementation removed for better maintainability)
-      
-      // Legacy function wrapper for backwards compatibility during transition
-      const scheduleByGroupComplete_REMOVED = async (
-        groupedEndUsers, courses, currentCriteria, sessionsGrouped, 
-        functionalArea, locationClassroomReqs, classroomTracker,
-        schedulingPreference, amStartHour, amStartMin, pmStartHour, pmStartMin,
-        amBlockHours, pmBlockHours, dayNames
-      ) => {
-        console.log('🎯 Starting Group-Complete scheduling mode - FIXED');
-        
-        for (const groupName in groupedEndUsers) {
-          const usersInGroup = groupedEndUsers[groupName];
-          const maxClassrooms = locationClassroomReqs.get(groupName)?.numberOfClassrooms || 1;
-          
-          console.log(`📍 Processing location: ${groupName} with ${maxClassrooms} classrooms`);
-          
-          // Get all session groups needed for this location
-          const sessionGroupsForLocation = [];
-          
-          for (const course of courses) {
-            const courseUsers = usersInGroup.filter(user => user.course_id === course.course_id);
-            const attendees = courseUsers.length;
-            
-            if (attendees > 0) {
-              const sessionsNeeded = Math.ceil(attendees / currentCriteria.max_attendees);
-              
-              // Create session groups with specific user ranges
-              for (let sessionNum = 1; sessionNum <= sessionsNeeded; sessionNum++) {
-                const startIndex = (sessionNum - 1) * currentCriteria.max_attendees;
-                const endIndex = Math.min(sessionNum * currentCriteria.max_attendees, attendees) - 1;
-                const sessionUsers = courseUsers.slice(startIndex, endIndex + 1);
-                
-                sessionGroupsForLocation.push({
-                  course,
-                  sessionNumber: sessionNum,
-                  userCount: sessionUsers.length,
-                  userRange: `${startIndex + 1}-${endIndex + 1}`,
-                  users: sessionUsers,
-                  originalGroupName: groupName
-                });
-              }
-            }
-          }
-          
-          console.log(`📚 Group ${groupName} needs ${sessionGroupsForLocation.length} session groups across ${maxClassrooms} classrooms`);
-          
-          // Distribute session groups across available classrooms
-          const classroomQueues = [];
-          for (let i = 1; i <= maxClassrooms; i++) {
-            classroomQueues.push({
-              classroomNum: i,
-              sessionGroups: [],
-              totalSessions: 0
-            });
-          }
-          
-          // Distribute individual session groups to balance load across classrooms
-          for (const sessionGroup of sessionGroupsForLocation) {
-            const targetClassroom = classroomQueues.reduce((min, classroom) => 
-              classroom.totalSessions < min.totalSessions ? classroom : min
-            );
-            
-            const enhancedSessionGroup = {
-              ...sessionGroup,
-              classroomNum: targetClassroom.classroomNum,
-              enhancedGroupName: `${groupName} Group ${sessionGroup.userRange} Classroom ${targetClassroom.classroomNum}`
-            };
-            
-            targetClassroom.sessionGroups.push(enhancedSessionGroup);
-            targetClassroom.totalSessions += 1;
-            
-            console.log(`📋 Assigned ${sessionGroup.course.course_name} Session ${sessionGroup.sessionNumber} (Users ${sessionGroup.userRange}) to Classroom ${targetClassroom.classroomNum}`);
-          }
-          
-          // Schedule sessions for each classroom independently
-          for (const classroom of classroomQueues) {
-            if (classroom.sessionGroups.length === 0) continue;
-            
-            const classroomKey = `Classroom ${classroom.classroomNum}`;
-            
-            // Initialize start time for this classroom
-            let currentDate = new Date(currentCriteria.start_date);
-            while (!currentCriteria.scheduling_days.includes(dayNames[currentDate.getDay()])) {
-              currentDate.setDate(currentDate.getDate() + 1);
-            }
-            
-            let currentSessionStartTime = new Date(currentDate);
-            if (schedulingPreference === 'pm_only') {
-              currentSessionStartTime.setHours(pmStartHour, pmStartMin, 0, 0);
-            } else {
-              currentSessionStartTime.setHours(amStartHour, amStartMin, 0, 0);
-            }
-            
-            // Ensure the structure exists
-            if (!sessionsGrouped[functionalArea]) {
-              sessionsGrouped[functionalArea] = {};
-            }
-            if (!sessionsGrouped[functionalArea][groupName]) {
-              sessionsGrouped[functionalArea][groupName] = {};
-            }
-            if (!sessionsGrouped[functionalArea][groupName][classroomKey]) {
-              sessionsGrouped[functionalArea][groupName][classroomKey] = [];
-            }
-            
-            // Schedule each session group
-            for (const sessionGroup of classroom.sessionGroups) {
-              const { course, sessionNumber } = sessionGroup;
-              const duration = Number(course.duration_hrs);
-              
-              // Handle AM/PM scheduling and session splitting
-              let sessionParts = [];
-              
-              if (schedulingPreference === 'both') {
-                const currentHour = currentSessionStartTime.getHours() + currentSessionStartTime.getMinutes() / 60;
-                const amEndHour = amStartHour + amBlockHours;
-                const pmStartHour_actual = pmStartHour + pmStartMin / 60;
-                const pmEndHour = pmStartHour + pmBlockHours;
-                
-                // Check if session fits in current time block
-                if (currentHour >= amStartHour && currentHour + duration <= amEndHour) {
-                  // Fits in AM
-                  sessionParts = [{
-                    start: new Date(currentSessionStartTime),
-                    end: new Date(currentSessionStartTime.getTime() + (duration * 60 * 60 * 1000)),
-                    duration: duration,
-                    part: 1,
-                    partSuffix: 'AM'
-                  }];
-                } else if (currentHour >= pmStartHour_actual && currentHour + duration <= pmEndHour) {
-                  // Fits in PM
-                  sessionParts = [{
-                    start: new Date(currentSessionStartTime),
-                    end: new Date(currentSessionStartTime.getTime() + (duration * 60 * 60 * 1000)),
-                    duration: duration,
-                    part: 1,
-                    partSuffix: 'PM'
-                  }];
-                } else if (currentHour >= amStartHour && currentHour < amEndHour && duration > (amEndHour - currentHour)) {
-                  // Split across AM/PM
-                  const amDuration = amEndHour - currentHour;
-                  const pmDuration = duration - amDuration;
-                  
-                  if (pmDuration <= pmBlockHours) {
-                    const amEndTime = new Date(currentSessionStartTime);
-                    amEndTime.setHours(amStartHour + Math.floor(amBlockHours), Math.floor((amBlockHours % 1) * 60), 0, 0);
-                    
-                    const pmStartTime = new Date(currentSessionStartTime);
-                    pmStartTime.setHours(pmStartHour, pmStartMin, 0, 0);
-                    
-                    sessionParts = [
-                      {
-                        start: new Date(currentSessionStartTime),
-                        end: new Date(amEndTime),
-                        duration: amDuration,
-                        part: 1,
-                        partSuffix: 'AM'
-                      },
-                      {
-                        start: new Date(pmStartTime),
-                        end: new Date(pmStartTime.getTime() + (pmDuration * 60 * 60 * 1000)),
-                        duration: pmDuration,
-                        part: 2,
-                        partSuffix: 'PM'
-                      }
-                    ];
-                  } else {
-                    // Move to PM slot if it fits
-                    if (duration <= pmBlockHours) {
-                      const pmStartTime = new Date(currentSessionStartTime);
-                      pmStartTime.setHours(pmStartHour, pmStartMin, 0, 0);
-                      sessionParts = [{
-                        start: pmStartTime,
-                        end: new Date(pmStartTime.getTime() + (duration * 60 * 60 * 1000)),
-                        duration: duration,
-                        part: 1,
-                        partSuffix: 'PM'
-                      }];
-                      currentSessionStartTime = pmStartTime;
-                    } else {
-                      // Move to next day
-                      do {
-                        currentSessionStartTime.setDate(currentSessionStartTime.getDate() + 1);
-                      } while (!currentCriteria.scheduling_days.includes(dayNames[currentSessionStartTime.getDay()]));
-                      currentSessionStartTime.setHours(amStartHour, amStartMin, 0, 0);
-                      
-                      sessionParts = [{
-                        start: new Date(currentSessionStartTime),
-                        end: new Date(currentSessionStartTime.getTime() + (duration * 60 * 60 * 1000)),
-                        duration: duration,
-                        part: 1,
-                        partSuffix: ''
-                      }];
-                    }
-                  }
-                } else {
-                  // Try PM slot for sessions that fit
-                  if (duration <= pmBlockHours) {
-                    const pmStartTime = new Date(currentSessionStartTime);
-                    pmStartTime.setHours(pmStartHour, pmStartMin, 0, 0);
-                    sessionParts = [{
-                      start: pmStartTime,
-                      end: new Date(pmStartTime.getTime() + (duration * 60 * 60 * 1000)),
-                      duration: duration,
-                      part: 1,
-                      partSuffix: 'PM'
-                    }];
-                    currentSessionStartTime = pmStartTime;
-                  } 
-                  // Force split for 8-hour sessions
-                  else if (duration === 8 && (amBlockHours + pmBlockHours) >= duration) {
-                    const amDuration = amBlockHours;
-                    const pmDuration = duration - amBlockHours;
-                    
-                    // Reset to AM start
-                    currentSessionStartTime.setHours(amStartHour, amStartMin, 0, 0);
-                    
-                    const amEndTime = new Date(currentSessionStartTime);
-                    amEndTime.setHours(amStartHour + Math.floor(amBlockHours), Math.floor((amBlockHours % 1) * 60), 0, 0);
-                    
-                    const pmStartTime = new Date(currentSessionStartTime);
-                    pmStartTime.setHours(pmStartHour, pmStartMin, 0, 0);
-                    
-                    sessionParts = [
-                      {
-                        start: new Date(currentSessionStartTime),
-                        end: new Date(amEndTime),
-                        duration: amDuration,
-                        part: 1,
-                        partSuffix: 'AM'
-                      },
-                      {
-                        start: new Date(pmStartTime),
-                        end: new Date(pmStartTime.getTime() + (pmDuration * 60 * 60 * 1000)),
-                        duration: pmDuration,
-                        part: 2,
-                        partSuffix: 'PM'
-                      }
-                    ];
-                    console.log(`🔄 Group mode: Force splitting ${duration}hr session: ${amDuration}hrs AM + ${pmDuration}hrs PM`);
-                  } else {
-                    // Move to next day
-                    do {
-                      currentSessionStartTime.setDate(currentSessionStartTime.getDate() + 1);
-                    } while (!currentCriteria.scheduling_days.includes(dayNames[currentSessionStartTime.getDay()]));
-                    currentSessionStartTime.setHours(amStartHour, amStartMin, 0, 0);
-                    
-                    sessionParts = [{
-                      start: new Date(currentSessionStartTime),
-                      end: new Date(currentSessionStartTime.getTime() + (duration * 60 * 60 * 1000)),
-                      duration: duration,
-                      part: 1,
-                      partSuffix: ''
-                    }];
-                  }
-                }
-              } else {
-                // Single time block (AM only or PM only)
-                sessionParts = [{
-                  start: new Date(currentSessionStartTime),
-                  end: new Date(currentSessionStartTime.getTime() + (duration * 60 * 60 * 1000)),
-                  duration: duration,
-                  part: 1,
-                  partSuffix: schedulingPreference === 'am_only' ? 'AM' : schedulingPreference === 'pm_only' ? 'PM' : ''
-                }];
-              }
-              
-              // Create session objects for each part
-              for (const part of sessionParts) {
-                const sessionId = `${course.course_id}-${sessionNumber}-classroom${classroom.classroomNum}-part${part.part}-${part.start.getTime()}`;
-                const partTitle = sessionParts.length > 1 ?
-                  `${course.course_name} - Group ${sessionNumber} Part ${part.part} ${part.partSuffix} (${sessionGroup.enhancedGroupName})` :
-                  `${course.course_name} - Group ${sessionNumber} (${sessionGroup.enhancedGroupName})`;
-                
-                const sessionObj = {
-                  sessionId: sessionId,
-                  title: partTitle,
-                  start: part.start,
-                  end: part.end,
-                  course,
-                  sessionNumber: sessionNumber,
-                  sessionPartNumber: part.part,
-                  partSuffix: part.partSuffix,
-                  groupType: ['training_location'],
-                  groupName: sessionGroup.enhancedGroupName,
-                  duration: part.duration,
-                  functional_area: functionalArea,
-                  location: groupName,
-                  classroomNumber: classroom.classroomNum,
-                  userCount: sessionGroup.userCount,
-                  userRange: sessionGroup.userRange
-                };
-                
-                sessionsGrouped[functionalArea][groupName][classroomKey].push(sessionObj);
-              }
-              
-              // Advance time for next session
-              const lastPart = sessionParts[sessionParts.length - 1];
-              currentSessionStartTime = new Date(lastPart.end);
-              
-              // If we're in both mode and just finished AM, try PM next
-              if (schedulingPreference === 'both' && sessionParts[0].partSuffix === 'AM' && sessionParts.length === 1) {
-                const currentHour = currentSessionStartTime.getHours() + currentSessionStartTime.getMinutes() / 60;
-                const pmStartHour_actual = pmStartHour + pmStartMin / 60;
-                
-                // If we finished AM session and can move to PM
-                if (currentHour <= pmStartHour_actual) {
-                  currentSessionStartTime.setHours(pmStartHour, pmStartMin, 0, 0);
-                } else {
-                  // Move to next day
-                  do {
-                    currentSessionStartTime.setDate(currentSessionStartTime.getDate() + 1);
-                  } while (!currentCriteria.scheduling_days.includes(dayNames[currentSessionStartTime.getDay()]));
-                  currentSessionStartTime.setHours(amStartHour, amStartMin, 0, 0);
-                }
-              } else if (sessionParts.length === 1) {
-                // Move to next appropriate time slot
-                do {
-                  currentSessionStartTime.setDate(currentSessionStartTime.getDate() + 1);
-                } while (!currentCriteria.scheduling_days.includes(dayNames[currentSessionStartTime.getDay()]));
-                
-                if (schedulingPreference === 'pm_only') {
-                  currentSessionStartTime.setHours(pmStartHour, pmStartMin, 0, 0);
-                } else {
-                  currentSessionStartTime.setHours(amStartHour, amStartMin, 0, 0);
-                }
-              }
-            }
-          }
-        }
-        
-        console.log('✅ Group-Complete scheduling completed');
-      };
-
-      const functionalArea = currentCriteria.functionalArea || 'General';
-      if (!sessionsGrouped[functionalArea]) {
-        sessionsGrouped[functionalArea] = {};
+      const { request, minimumFillAdjustments } = await buildSchedulingRequest(currentCriteria, courses);
+
+      // Run the selected scheduling mode in the scheduling engine worker so the page stays responsive
+      setOptimisationReport(null);
+      setWaveReport([]);
+      setSchedulingDiagnostics([]);
+      setFillAdjustments(minimumFillAdjustments);
+      setSchedulingProgress(null);
+      const result = await schedulingEngine.runScheduling(request, { onProgress: setSchedulingProgress });
+
+      setOptimisationReport(result.optimisationReport);
+      setWaveReport(result.waveReport || []);
+      setSchedulingDiagnostics(result.diagnostics || []);
+
+      const unfitLocations = (result.waveReport || []).filter(entry => !entry.fits);
+      if (unfitLocations.length > 0) {
+        console.warn(`⚠️ Training does not fit the go-live window at: ${unfitLocations.map(entry => entry.location).join(', ')}`);
       }
 
-      // Get scheduling mode from criteria
-      const schedulingMode = currentCriteria.scheduling_mode || 'course_complete';
-      
-      for (const groupName in groupedEndUsers) {
-        // Initialize location in the structure
-        if (!sessionsGrouped[functionalArea][groupName]) {
-          sessionsGrouped[functionalArea][groupName] = {};
-        }
-        
-        // Get the number of classrooms needed for this location
-        const maxClassrooms = locationClassroomReqs.get(groupName)?.numberOfClassrooms || 1;
-        
-        // Initialize all classrooms for this location
-        for (let classroomNum = 1; classroomNum <= maxClassrooms; classroomNum++) {
-          const classroomKey = `Classroom ${classroomNum}`;
-          if (!sessionsGrouped[functionalArea][groupName][classroomKey]) {
-            sessionsGrouped[functionalArea][groupName][classroomKey] = [];
-          }
-        }
-      }
-
-      // Apply different scheduling logic based on mode using extracted scheduling engine
-      const { scheduleByGroupComplete, scheduleByCourseComplete } = schedulingEngine;
-      
-      if (schedulingMode === 'group_complete') {
-        // Mode 1: Group-Complete (Independent Classrooms)
-        await scheduleByGroupComplete(
-          groupedEndUsers, courses, currentCriteria, sessionsGrouped, 
-          functionalArea, locationClassroomReqs, classroomTracker,
-          schedulingPreference, amStartHour, amStartMin, pmStartHour, pmStartMin,
-          amBlockHours, pmBlockHours, dayNames
-        );
-      } else {
-        // Mode 2: Course-Complete (Synchronized Classrooms)  
-        await scheduleByCourseComplete(
-          groupedEndUsers, courses, currentCriteria, sessionsGrouped,
-          functionalArea, locationClassroomReqs, classroomTracker,
-          schedulingPreference, amStartHour, amStartMin, pmStartHour, pmStartMin,
-          amBlockHours, pmBlockHours, dayNames
-        );
+      if (result.staffingSummary) {
+        const { staffingSummary } = result;
+        console.log(`👩‍🏫 Trainer allocation: ${staffingSummary.unstaffedCount} unstaffed sessions`, staffingSummary.hoursByTrainer);
       }
 
       console.log('📊 Generated sessions for calendar view...');
       console.log('ℹ️ Sessions will be saved to database from Review & Adjust screen');
       
-      setSessionsForCalendar(sessionsGrouped);
-      return sessionsGrouped;
+      setSessionsForCalendar(result.sessionsGrouped);
+      return result.sessionsGrouped;
     } catch (error) {
       console.error('❌ Process error:', error.message);
       throw error;
@@ -682,12 +422,17 @@ const TSCWizard = () => {
         setVisibleStage(1); // Go directly to Review & Adjust (now stage 1)
         console.log('✅ Successfully moved to stage 1');
       } catch (error) {
-        console.error('❌ Background processing failed:', error);
-        console.error('❌ Error details:', error.message);
-        // Stay on current stage if there's an error
-        alert(`Processing failed: ${error.message}`);
+        // Stay on current stage if there's an error or the user cancelled
+        if (error.message === SCHEDULING_CANCELLED) {
+          console.log('🛑 Processing cancelled by user');
+        } else {
+          console.error('❌ Background processing failed:', error);
+          console.error('❌ Error details:', error.message);
+          alert(`Processing failed: ${error.message}`);
+        }
       } finally {
         setProcessingInBackground(false);
+        setSchedulingProgress(null);
         console.log('🏁 Background processing complete');
       }
     } else {
@@ -699,6 +444,28 @@ const TSCWizard = () => {
     setVisibleStage(prev => Math.max(prev - 1, 0));
   };
 
+  // Save a schedule and its sessions; the sessions are saved all-or-nothing, so if they fail
+  // the empty schedule record is removed again rather than left in the Schedule Manager
+  const saveNewSchedule = async (scheduleCriteria, sessionsGrouped, newScheduleName, revisionNote) => {
+    const scheduleId = await saveTrainingSchedule(
+      scheduleCriteria,
+      selectedFunctionalArea,
+      newScheduleName,
+      currentProject.id
+    );
+
+    try {
+      await saveTrainingSessionsForSchedule(sessionsGrouped, scheduleId, selectedFunctionalArea, scheduleCriteria, currentProject.id);
+    } catch (error) {
+      await deleteTrainingSchedule(scheduleId, currentProject.id)
+        .catch(cleanupError => console.error('❌ Error removing schedule after failed session save:', cleanupError));
+      throw error;
+    }
+
+    await createScheduleRevision(scheduleId, revisionNote, currentProject.id);
+    return scheduleId;
+  };
+
   const handleFinish = async (scheduleNameFromReview) => {
     try {
       // Check if project is selected
@@ -713,13 +480,12 @@ const TSCWizard = () => {
       console.log('💾 Saving new schedule:', scheduleNameFromReview);
       console.log('🏢 Using project ID:', currentProject.id);
       
-      const scheduleId = await saveTrainingSchedule(
-        criteria[selectedFunctionalArea] || {}, 
-        selectedFunctionalArea, 
+      await saveNewSchedule(
+        criteria[selectedFunctionalArea] || {},
+        sessionsForCalendar,
         scheduleNameFromReview,
-        currentProject.id
+        'Created in TSC Wizard'
       );
-      await saveTrainingSessionsForSchedule(sessionsForCalendar, scheduleId, selectedFunctionalArea, criteria[selectedFunctionalArea] || {}, currentProject.id);
       
       console.log('✅ Schedule created successfully');
       alert(`✅ Schedule "${scheduleNameFromReview}" saved successfully!\n\nUse the Schedule Manager to edit or delete schedules.`);
@@ -733,6 +499,35 @@ const TSCWizard = () => {
     }
   };
 
+  // Scenario sandbox: schedule a criteria variant without touching the wizard's own schedule
+  const runScenario = async (scenario, onProgress) => {
+    const scenarioCriteria = getScenarioCriteria(criteria[selectedFunctionalArea] || {}, scenario);
+    const courses = schedulesList?.courses?.length > 0
+      ? schedulesList.courses
+      : (await fetchDataInBackground()).courses;
+
+    console.log(`🧪 Running scenario "${scenario.name}"`);
+    const { request } = await buildSchedulingRequest(scenarioCriteria, courses);
+    const result = await schedulingEngine.runScheduling(request, { onProgress });
+
+    return {
+      criteria: scenarioCriteria,
+      sessionsGrouped: result.sessionsGrouped,
+      metrics: summariseScenarioResult(result, scenarioCriteria, request.locationClassroomReqs)
+    };
+  };
+
+  const promoteScenario = async (run, scenarioScheduleName) => {
+    if (!currentProject?.id) {
+      throw new Error('No project selected. Please select a project before saving schedules.');
+    }
+
+    console.log('💾 Saving scenario as schedule:', scenarioScheduleName);
+    const scheduleId = await saveNewSchedule(run.criteria, run.sessionsGrouped, scenarioScheduleName, 'Created from a TSC Wizard scenario');
+    console.log('✅ Scenario schedule created successfully');
+    return scheduleId;
+  };
+
 
 
   // Removed editing functionality - TSC Wizard is now read-only with Save only
@@ -760,6 +555,13 @@ const TSCWizard = () => {
             onFinish={handleFinish}
             criteria={criteria[selectedFunctionalArea] || {}}
             scheduleName={scheduleName}
+            optimisationReport={optimisationReport}
+            waveReport={waveReport}
+            diagnostics={schedulingDiagnostics}
+            fillAdjustments={fillAdjustments}
+            onRunScenario={runScenario}
+            onPromoteScenario={promoteScenario}
+            onCancelScenario={schedulingEngine.cancelScheduling}
           />
         );
       default:
@@ -785,6 +587,35 @@ const TSCWizard = () => {
           <div style={{ textAlign: 'center' }}>
             <div style={{ fontSize: '24px', marginBottom: '10px' }}>🔄</div>
             <div>Processing training schedule...</div>
+            {schedulingProgress && (
+              <div style={{ marginTop: '15px', width: '360px' }}>
+                <div style={{ height: '10px', backgroundColor: '#e0e0e0', borderRadius: '5px', overflow: 'hidden' }}>
+                  <div style={{
+                    height: '100%',
+                    width: `${schedulingProgress.total > 0 ? Math.round((schedulingProgress.completed / schedulingProgress.total) * 100) : 0}%`,
+                    backgroundColor: '#007bff',
+                    transition: 'width 0.2s ease'
+                  }} />
+                </div>
+                <div style={{ marginTop: '8px', fontSize: '14px', color: '#666' }}>
+                  {PROGRESS_PHASE_LABELS[schedulingProgress.phase] || 'Scheduling'}: {schedulingProgress.label}
+                </div>
+                <button
+                  onClick={schedulingEngine.cancelScheduling}
+                  style={{
+                    marginTop: '15px',
+                    padding: '6px 16px',
+                    backgroundColor: '#6c757d',
+                    color: 'white',
+                    border: 'none',
+                    borderRadius: '4px',
+                    cursor: 'pointer'
+                  }}
+                >
+                  Cancel
+                </button>
+              </div>
+            )}
           </div>
         </div>
       )}
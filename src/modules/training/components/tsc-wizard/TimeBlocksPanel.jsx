@@ -0,0 +1,210 @@
+import React, { useMemo } from 'react';
+import {
+  TimeBlockEngine,
+  parseTimeToHours,
+  formatHoursToTime
+} from '@core/utils/scheduling/TimeBlockEngine';
+
+export const DEFAULT_TIME_BLOCKS = [
+  { name: 'Morning', start: '09:30', end: '12:30', break_before_minutes: 0, break_after_minutes: 0 },
+  { name: 'Afternoon', start: '13:30', end: '16:30', break_before_minutes: 0, break_after_minutes: 0 }
+];
+
+const cellStyle = { padding: '6px' };
+
+/**
+ * Training hours left in a block once its break buffers are taken out
+ */
+const getTrainingHours = (block) => {
+  try {
+    const minutes = (parseTimeToHours(block.end) - parseTimeToHours(block.start)) * 60 -
+      (Number(block.break_before_minutes) || 0) - (Number(block.break_after_minutes) || 0);
+    return minutes > 0 ? Math.round(minutes / 60 * 100) / 100 : 0;
+  } catch (error) {
+    return 0;
+  }
+};
+
+/**
+ * Editable list of time blocks for one day
+ */
+const TimeBlockList = ({ blocks, onChange }) => {
+  const updateBlock = (index, key, value) => {
+    onChange(blocks.map((block, i) => (i === index ? { ...block, [key]: value } : block)));
+  };
+
+  const addBlock = () => {
+    // Start the new block an hour after the last one ends (or at 09:00 for an empty list)
+    let startHours = 9;
+    try {
+      if (blocks.length > 0) startHours = parseTimeToHours(blocks[blocks.length - 1].end) + 1;
+    } catch (error) {
+      // Keep 09:00 when the last block has no valid end time
+    }
+    startHours = Math.min(startHours, 22);
+    onChange([
+      ...blocks,
+      {
+        name: `Block ${blocks.length + 1}`,
+        start: formatHoursToTime(startHours),
+        end: formatHoursToTime(Math.min(startHours + 1.5, 23.5)),
+        break_before_minutes: 0,
+        break_after_minutes: 0
+      }
+    ]);
+  };
+
+  return (
+    <>
+      <table style={{ width: '100%', borderCollapse: 'collapse', marginBottom: '10px', fontSize: '14px' }}>
+        <thead>
+          <tr style={{ backgroundColor: '#f8f9fa', textAlign: 'left' }}>
+            <th style={cellStyle}>Name</th>
+            <th style={cellStyle}>Start</th>
+            <th style={cellStyle}>End</th>
+            <th style={cellStyle}>Break Before (min)</th>
+            <th style={cellStyle}>Break After (min)</th>
+            <th style={cellStyle}>Training Hours</th>
+            <th style={cellStyle}></th>
+          </tr>
+        </thead>
+        <tbody>
+          {blocks.map((block, index) => (
+            <tr key={index} style={{ borderTop: '1px solid #e9ecef' }}>
+              <td style={cellStyle}>
+                <input type="text" value={block.name || ''} onChange={e => updateBlock(index, 'name', e.target.value)} />
+              </td>
+              <td style={cellStyle}>
+                <input type="time" value={block.start || ''} onChange={e => updateBlock(index, 'start', e.target.value)} />
+              </td>
+              <td style={cellStyle}>
+                <input type="time" value={block.end || ''} onChange={e => updateBlock(index, 'end', e.target.value)} />
+              </td>
+              <td style={cellStyle}>
+                <input
+                  type="number"
+                  min="0"
+                  step="5"
+                  value={block.break_before_minutes ?? 0}
+                  onChange={e => updateBlock(index, 'break_before_minutes', Number(e.target.value))}
+                  style={{ width: '70px' }}
+                />
+              </td>
+              <td style={cellStyle}>
+                <input
+                  type="number"
+                  min="0"
+                  step="5"
+                  value={block.break_after_minutes ?? 0}
+                  onChange={e => updateBlock(index, 'break_after_minutes', Number(e.target.value))}
+                  style={{ width: '70px' }}
+                />
+              </td>
+              <td style={cellStyle}>{getTrainingHours(block)}</td>
+              <td style={{ ...cellStyle, textAlign: 'right' }}>
+                <button
+                  type="button"
+                  onClick={() => onChange(blocks.filter((_, i) => i !== index))}
+                  disabled={blocks.length === 1}
+                >
+                  Remove
+                </button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <button type="button" onClick={addBlock}>➕ Add Time Block</button>
+    </>
+  );
+};
+
+/**
+ * Time blocks panel for the Define Criteria stage
+ * Edits the daily time blocks (criteria.time_blocks) and per-location overrides
+ * (criteria.location_time_blocks) used by the scheduling engine.
+ */
+const TimeBlocksPanel = ({
+  timeBlocks,
+  locationTimeBlocks = {},
+  selectedLocations,
+  onTimeBlocksChange
+}) => {
+  const blocks = timeBlocks?.length ? timeBlocks : DEFAULT_TIME_BLOCKS;
+
+  const setDefaultBlocks = (updated) => {
+    onTimeBlocksChange({ time_blocks: updated, location_time_blocks: locationTimeBlocks });
+  };
+
+  const setLocationBlocks = (location, updated) => {
+    const next = { ...locationTimeBlocks };
+    if (updated) {
+      next[location] = updated;
+    } else {
+      delete next[location];
+    }
+    onTimeBlocksChange({ time_blocks: blocks, location_time_blocks: next });
+  };
+
+  // Run the configuration through the scheduling engine to surface overlaps and invalid blocks
+  const validation = useMemo(() => {
+    try {
+      return new TimeBlockEngine({
+        time_blocks: blocks,
+        location_time_blocks: locationTimeBlocks,
+        scheduling_days: ['Monday']
+      }).validate();
+    } catch (error) {
+      return { isValid: false, errors: [error.message], warnings: [] };
+    }
+  }, [blocks, locationTimeBlocks]);
+
+  return (
+    <fieldset style={{ marginBottom: '20px', padding: '15px', border: '1px solid #ccc', borderRadius: '5px' }}>
+      <legend style={{ fontWeight: 'bold', color: '#333' }}>Time Blocks:</legend>
+
+      <div style={{ marginBottom: '10px', fontSize: '14px', color: '#666', fontStyle: 'italic' }}>
+        Sessions are placed in these blocks each scheduling day. Break buffers are kept free at the start
+        or end of a block, so a 09:00–12:00 block with a 15 minute break after holds 2.75 training hours.
+        Longer courses run across consecutive blocks.
+      </div>
+
+      <TimeBlockList blocks={blocks} onChange={setDefaultBlocks} />
+
+      {selectedLocations.length > 0 && (
+        <div style={{ marginTop: '15px' }}>
+          <strong>Location-specific time blocks</strong>
+          {selectedLocations.map(location => (
+            <div key={location} style={{ marginTop: '10px', padding: '10px', backgroundColor: '#f8f9fa', border: '1px solid #e9ecef', borderRadius: '5px' }}>
+              <label style={{ display: 'flex', alignItems: 'center', gap: '5px' }}>
+                <input
+                  type="checkbox"
+                  checked={Boolean(locationTimeBlocks[location])}
+                  onChange={e => setLocationBlocks(location, e.target.checked ? blocks.map(block => ({ ...block })) : null)}
+                />
+                {location} uses its own time blocks
+              </label>
+              {locationTimeBlocks[location] && (
+                <div style={{ marginTop: '10px' }}>
+                  <TimeBlockList
+                    blocks={locationTimeBlocks[location]}
+                    onChange={updated => setLocationBlocks(location, updated)}
+                  />
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {(validation.errors.length > 0 || validation.warnings.length > 0) && (
+        <div style={{ marginTop: '10px', padding: '10px', backgroundColor: '#fff3cd', border: '1px solid #ffeaa7', borderRadius: '4px', color: '#856404', fontSize: '14px' }}>
+          {validation.errors.map(message => <div key={message}>❌ {message}</div>)}
+          {validation.warnings.map(message => <div key={message}>⚠️ {message}</div>)}
+        </div>
+      )}
+    </fieldset>
+  );
+};
+
+export default TimeBlocksPanel;
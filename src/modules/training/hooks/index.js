@@ -1,4 +1,8 @@
 // Training hooks barrel export
 export { default as useSchedulingEngine } from './useSchedulingEngine.js';
 export { default as scheduleByCourseComplete } from './scheduleByCourseComplete.js';
-export { default as scheduleByGroupComplete } from './scheduleByGroupComplete.js';
\ No newline at end of file
+export { default as scheduleByGroupComplete } from './scheduleByGroupComplete.js';
+export { default as scheduleByOptimised } from './scheduleByOptimised.js';
+export { default as scheduleByBackward } from './scheduleByBackward.js';
+export { default as runSchedulingMode } from './runSchedulingMode.js';
+export { default as useScheduleCollaboration } from './useScheduleCollaboration.js';
@@ -0,0 +1,135 @@
+/**
+ * Run a scheduling mode from a plain request object
+ *
+ * Shared by the scheduling Web Worker and the main-thread fallback in useSchedulingEngine.
+ * Everything in the request must survive structured cloning, so the classroom tracker and
+ * trainer allocator are rebuilt here rather than passed in.
+ *
+ * Request:
+ * - mode: 'group_complete' | 'course_complete' | 'optimised' | 'backward'
+ * - groupedEndUsers, courses, criteria, sessionsGrouped, functionalArea, dayNames
+ * - locationClassroomReqs: [locationName, classroomReq] entries
+ * - timeSettings: { schedulingPreference, amStartHour, amStartMin, pmStartHour, pmStartMin, amBlockHours, pmBlockHours }
+ * - trainerData: { trainers, availability } or null to schedule without trainers
+ * - busyBlocks: imported busy time for trainers and classrooms (resource_busy_blocks rows)
+ * - reservedSessions: sessions already in the schedule that new sessions must work around
+ *   ({ sessionId, location, classroomNumber, start, end, trainerId, duration }), for top-up runs
+ * - fillAdjustments: under-filled groups the minimum-fill policy moved or cancelled before scheduling
+ */
+
+import { ClassroomOccupancyTracker } from '@core/utils/classroomCalculations';
+import {
+  TrainerAllocator,
+  buildWaveReport,
+  flattenSessions,
+  SchedulingDiagnostics,
+  recordUnknownCourseDemand,
+  recordCancelledFillDemand
+} from '@core/utils/scheduling/index.js';
+import { scheduleByGroupComplete } from './scheduleByGroupComplete';
+import { scheduleByCourseComplete } from './scheduleByCourseComplete';
+import { scheduleByOptimised } from './scheduleByOptimised';
+import { scheduleByBackward } from './scheduleByBackward';
+
+/**
+ * @param {Object} request - Scheduling request (see above)
+ * @param {Object} options - { onProgress, signal, logging }
+ *   - onProgress: called with { phase, label, completed, total }
+ *   - signal: AbortSignal - aborting it stops the run between courses, rejecting with the signal's reason
+ *   - logging: false to drop the engine's console.log output (one line per placement) for this run
+ * @returns {Promise<Object>} { sessionsGrouped, optimisationReport, backwardReport, waveReport, staffingSummary, diagnostics }
+ *   diagnostics is the SchedulingDiagnostics log: one entry per course, location and group
+ */
+export const runSchedulingMode = async (request, { onProgress = null, signal = null, logging = true } = {}) => {
+  const engineLog = console.log;
+  if (!logging) console.log = () => {};
+
+  try {
+    return await _runSchedulingMode(request, { onProgress, signal });
+  } finally {
+    console.log = engineLog;
+  }
+};
+
+/**
+ * Build the trackers and run the requested mode
+ * @private
+ */
+const _runSchedulingMode = async (request, { onProgress, signal }) => {
+  const {
+    mode,
+    groupedEndUsers,
+    courses,
+    criteria,
+    sessionsGrouped,
+    functionalArea,
+    locationClassroomReqs,
+    timeSettings,
+    dayNames,
+    trainerData,
+    busyBlocks = [],
+    reservedSessions = [],
+    fillAdjustments = []
+  } = request;
+  const {
+    schedulingPreference, amStartHour, amStartMin, pmStartHour, pmStartMin, amBlockHours, pmBlockHours
+  } = timeSettings;
+
+  const classroomTracker = new ClassroomOccupancyTracker(busyBlocks);
+  const trainerAllocator = trainerData?.trainers?.length > 0
+    ? new TrainerAllocator(trainerData.trainers, trainerData.availability, busyBlocks)
+    : null;
+  reservedSessions.forEach(reservation => {
+    classroomTracker.occupyClassroom(
+      reservation.location, new Date(reservation.start), new Date(reservation.end),
+      reservation.classroomNumber, reservation.sessionId
+    );
+    if (trainerAllocator && reservation.trainerId) {
+      trainerAllocator.bookTrainer({ id: reservation.trainerId }, [reservation]);
+    }
+  });
+
+  const diagnostics = new SchedulingDiagnostics(criteria);
+  recordUnknownCourseDemand(diagnostics, groupedEndUsers, courses);
+  recordCancelledFillDemand(diagnostics, fillAdjustments, criteria);
+
+  const args = [
+    groupedEndUsers, courses, criteria, sessionsGrouped,
+    functionalArea, new Map(locationClassroomReqs), classroomTracker,
+    schedulingPreference, amStartHour, amStartMin, pmStartHour, pmStartMin,
+    amBlockHours, pmBlockHours, dayNames, trainerAllocator,
+    { onProgress, diagnostics, signal }
+  ];
+
+  let optimisationReport = null;
+  let backwardReport = null;
+  if (mode === 'backward') {
+    // Mode 4: Backward (as late as possible before each location's go-live date)
+    backwardReport = await scheduleByBackward(...args);
+  } else if (mode === 'optimised') {
+    // Mode 3: Optimised (searches for the shortest programme, compared against both greedy modes)
+    optimisationReport = await scheduleByOptimised(...args);
+  } else if (mode === 'group_complete') {
+    // Mode 1: Group-Complete (Independent Classrooms)
+    await scheduleByGroupComplete(...args);
+  } else {
+    // Mode 2: Course-Complete (Synchronized Classrooms)
+    await scheduleByCourseComplete(...args);
+  }
+
+  // Flag locations whose training does not fit between their window start and go-live
+  const waveReport = buildWaveReport(
+    flattenSessions(sessionsGrouped), criteria, Object.keys(groupedEndUsers), backwardReport?.unplaced || []
+  );
+
+  return {
+    sessionsGrouped,
+    optimisationReport,
+    backwardReport,
+    waveReport,
+    staffingSummary: trainerAllocator ? trainerAllocator.getSummary() : null,
+    diagnostics: diagnostics.getLog()
+  };
+};
+
+export default runSchedulingMode;
@@ -0,0 +1,94 @@
+/**
+ * Backward Scheduling Algorithm
+ *
+ * Packs each location's sessions as late as possible before its go-live date, so training
+ * is fresh when the location goes live.
+ *
+ * Logic:
+ * 1. Read each location's go-live date and training window from criteria.location_waves
+ * 2. Run the BackwardScheduler: dependent courses first, each session group in the latest
+ *    slot that ends before go-live (or before its dependents, less the minimum gap)
+ * 3. Write the schedule into sessionsGrouped, reserving classrooms and trainers
+ * 4. Return a report listing session groups that could not fit their location's window
+ *    (also recorded in options.diagnostics with the constraints that held each group back)
+ *
+ * Progress is reported through options.onProgress as { phase, label, completed, total },
+ * counting session groups. Aborting options.signal stops the run between session groups.
+ *
+ * Same constraints as the other modes: classroom capacity, blackout dates, time blocks,
+ * trainer assignment and course sequencing rules.
+ */
+
+import {
+  initializeSchedulingEngines,
+  sortCoursesByPriority,
+  orderCoursesByDependencies,
+  logCoursePriorityOrder,
+  BackwardScheduler
+} from '@core/utils/scheduling/index.js';
+
+export const scheduleByBackward = async (
+  groupedEndUsers, courses, currentCriteria, sessionsGrouped,
+  functionalArea, locationClassroomReqs, classroomTracker,
+  schedulingPreference, amStartHour, amStartMin, pmStartHour, pmStartMin,
+  amBlockHours, pmBlockHours, dayNames, trainerAllocator = null, options = {}
+) => {
+  console.log('🎯 Starting Backward scheduling mode');
+
+  try {
+    const { onProgress = null, diagnostics = null, signal = null } = options;
+    const { timeBlockEngine, sessionSplitter } = initializeSchedulingEngines(currentCriteria);
+
+    const sortedCourses = orderCoursesByDependencies(sortCoursesByPriority(courses));
+    logCoursePriorityOrder(sortedCourses);
+
+    const scheduler = new BackwardScheduler({
+      courses: sortedCourses,
+      groupedEndUsers,
+      criteria: currentCriteria,
+      locationClassroomReqs,
+      timeBlockEngine,
+      sessionSplitter,
+      dayNames,
+      classroomTracker
+    });
+
+    const result = await scheduler.schedule({
+      trainerAllocator: trainerAllocator ? trainerAllocator.clone() : null,
+      diagnostics,
+      signal,
+      onProgress: onProgress && (progress => onProgress({ phase: 'scheduling', ...progress }))
+    });
+
+    scheduler.commit(result.placements, { sessionsGrouped, functionalArea, classroomTracker, trainerAllocator });
+
+    if (onProgress) {
+      onProgress({
+        phase: 'scheduling',
+        label: `${result.placements.length} of ${scheduler.tasks.length} session groups scheduled`,
+        completed: scheduler.tasks.length,
+        total: scheduler.tasks.length
+      });
+    }
+
+    console.log(`✅ Backward scheduling completed: ${result.placements.length} session groups placed, ${result.unplaced.length} could not fit before go-live`);
+
+    return {
+      placedSessionGroups: result.placements.length,
+      unplacedSessionGroups: result.unplaced.length,
+      // Slim copies - the report crosses the worker boundary
+      unplaced: result.unplaced.map(({ course, locationName, sessionGroup }) => ({
+        locationName,
+        course: { course_id: course.course_id, course_name: course.course_name },
+        sessionGroup: { sessionNumber: sessionGroup.sessionNumber, userCount: sessionGroup.userCount }
+      })),
+      metrics: result.metrics
+    };
+
+  } catch (error) {
+    console.error('❌ Error in Backward scheduling:', error);
+    throw error;
+  }
+};
+
+export default scheduleByBackward;
@@ -12,37 +12,91 @@
  * Key Improvements:
  * 1. Uses TimeBlockEngine for flexible time block handling
  * 2. Uses SessionSplitter for intelligent course duration splitting
- * 3. Supports ANY course duration (1-24 hours) across 1-3 days
+ * 3. Supports ANY course duration across any number of days, with per-course daily hour caps and
+ *    weekly / fortnightly day patterns; every part keeps the same classroom and trainer
  * 4. No hardcoded duration logic
  * 5. Clean, maintainable code with utility functions
+ * 6. Skips project and location blackout dates (criteria.blackout_dates)
+ * 7. Assigns a qualified trainer to each session when a TrainerAllocator is supplied, moving a group
+ *    to a later slot (up to the go-live deadline) when no qualified trainer is free before leaving it unstaffed
+ * 8. Honours course prerequisites and minimum gaps per group; groups whose max-gap / same-week window
+ *    closes first take free classrooms first, and breaches are flagged
+ * 9. Reports progress per course and location through options.onProgress
+ * 10. Works with any number of time blocks per day, including per-location blocks and break buffers
+ * 11. Starts each location at its go-live wave window (criteria.location_waves)
+ * 12. Records where each group was placed, what held it back and any group left unscheduled
+ *     in options.diagnostics
+ * 13. Never books a learner into overlapping sessions or past their daily / weekly hour limits
+ *     (options.learnerLoad, created from the criteria when not supplied)
+ * 14. Stops between courses once options.signal (an AbortSignal) has been aborted
  */
 
 import {
   initializeSchedulingEngines,
+  createCancellationCheck,
   sortCoursesByPriority,
+  orderCoursesByDependencies,
+  SequencingTracker,
   createSessionGroups,
   createSessionObject,
   formatSessionTitle,
   createEnhancedGroupName,
-  logCoursePriorityOrder
+  logCoursePriorityOrder,
+  getLocationWindow,
+  getCourseCapacity,
+  shouldBalanceGroups,
+  getCourseDayPlan,
+  SCHEDULING_CONSTRAINT,
+  formatDiagnosticTime,
+  LearnerLoadTracker,
+  TrainerSearch
 } from '@core/utils/scheduling/index.js';
 
 export const scheduleByCourseComplete = async (
   groupedEndUsers, courses, currentCriteria, sessionsGrouped,
   functionalAreaParam, locationClassroomReqs, classroomTracker,
   schedulingPreference, amStartHour, amStartMin, pmStartHour, pmStartMin,
-  amBlockHours, pmBlockHours, dayNames
+  amBlockHours, pmBlockHours, dayNames, trainerAllocator = null, options = {}
 ) => {
   console.log('🎯 Starting Course-Complete scheduling mode - REFACTORED');
   
   try {
+    const {
+      onProgress = null,
+      diagnostics = null,
+      learnerLoad = new LearnerLoadTracker(currentCriteria),
+      signal = null
+    } = options;
+    const checkCancelled = createCancellationCheck(signal);
+
     // Initialize scheduling engines with flexible time block parsing
     const { timeBlockEngine, sessionSplitter } = initializeSchedulingEngines(currentCriteria);
     
-    // Sort courses by priority (lower number = higher priority)
-    const sortedCourses = sortCoursesByPriority(courses);
+    // Sort courses by priority (lower number = higher priority), prerequisites first
+    const sortedCourses = orderCoursesByDependencies(sortCoursesByPriority(courses));
     logCoursePriorityOrder(sortedCourses);
     
+    const sequencingTracker = new SequencingTracker(
+      sortedCourses,
+      (date, location) => timeBlockEngine.isSchedulableDate(date, location, dayNames)
+    );
+    
+    // One progress step per course and location with attendees
+    const locationUsers = Object.values(groupedEndUsers);
+    const progress = {
+      phase: 'scheduling',
+      completed: 0,
+      total: sortedCourses.reduce((sum, course) => (
+        sum + locationUsers.filter(users => users.some(user => user.course_id === course.course_id)).length
+      ), 0)
+    };
+    const reportLocationStart = (course, locationName) => {
+      if (onProgress) {
+        onProgress({ ...progress, label: `${course.course_name} - ${locationName}` });
+      }
+      progress.completed++;
+    };
+    
     // Initialize global scheduling time
     let globalCurrentTime = timeBlockEngine.getNextValidDate(new Date(currentCriteria.start_date), dayNames);
     globalCurrentTime = timeBlockEngine.setDateToBlockStart(globalCurrentTime, 1);
@@ -51,6 +105,7 @@ export const scheduleByCourseComplete = async (
     
     // Process each course across all locations synchronously
     for (const course of sortedCourses) {
+      await checkCancelled();
       console.log(`\n📚 === Processing course: ${course.course_name} across all locations ===`);
       
       const duration = Number(course.duration_hrs);
@@ -80,7 +135,12 @@ export const scheduleByCourseComplete = async (
         sessionSplitter,
         classroomTracker,
         currentCriteria,
-        dayNames
+        dayNames,
+        trainerAllocator,
+        sequencingTracker,
+        reportLocationStart,
+        diagnostics,
+        learnerLoad
       );
       
       // Update global time to after all sessions for this course
@@ -89,6 +149,9 @@ export const scheduleByCourseComplete = async (
       console.log(`✅ Course ${course.course_name} completed. Next course starts at: ${globalCurrentTime.toLocaleString('en-GB')}`);
     }
     
+    if (onProgress) {
+      onProgress({ ...progress, label: 'All courses scheduled' });
+    }
     console.log('✅ Course-Complete scheduling completed - REFACTORED');
     
   } catch (error) {
@@ -110,7 +173,9 @@ function _collectCourseLocationSessions(course, groupedEndUsers, currentCriteria
     const attendees = courseUsers.length;
     
     if (attendees > 0) {
-      const sessionGroups = createSessionGroups(courseUsers, currentCriteria.max_attendees);
+      const sessionGroups = createSessionGroups(
+        courseUsers, getCourseCapacity(course, currentCriteria), { balanced: shouldBalanceGroups(currentCriteria) }
+      );
       const maxClassrooms = locationClassroomReqs.get(groupName)?.numberOfClassrooms || 1;
       
       console.log(`📍 Location ${groupName}: ${attendees} attendees, ${sessionGroups.length} sessions, ${maxClassrooms} classrooms`);
@@ -142,7 +207,12 @@ async function _scheduleAllCourseSessionsFlexibly(
   sessionSplitter,
   classroomTracker,
   currentCriteria,
-  dayNames
+  dayNames,
+  trainerAllocator,
+  sequencingTracker,
+  onLocationStart = null,
+  diagnostics = null,
+  learnerLoad = null
 ) {
   const duration = Number(course.duration_hrs);
   
@@ -153,6 +223,7 @@ async function _scheduleAllCourseSessionsFlexibly(
   
   for (const locationInfo of courseLocationSessions) {
     console.log(`\n🏢 Scheduling all ${course.course_name} groups at ${locationInfo.locationName}`);
+    if (onLocationStart) onLocationStart(course, locationInfo.locationName);
     
     const locationResult = await _scheduleAllGroupsAtLocation(
       course,
@@ -164,7 +235,11 @@ async function _scheduleAllCourseSessionsFlexibly(
       sessionSplitter,
       classroomTracker,
       currentCriteria,
-      dayNames
+      dayNames,
+      trainerAllocator,
+      sequencingTracker,
+      diagnostics,
+      learnerLoad
     );
     
     locationResults.push(locationResult);
@@ -194,21 +269,36 @@ async function _scheduleAllGroupsAtLocation(
   sessionSplitter,
   classroomTracker,
   currentCriteria,
-  dayNames
+  dayNames,
+  trainerAllocator,
+  sequencingTracker,
+  diagnostics = null,
+  learnerLoad = null
 ) {
   const { locationName, sessionGroups, maxClassrooms } = locationInfo;
   const duration = Number(course.duration_hrs);
   let locationCurrentTime = new Date(startTime);
+
+  // Locations in a later go-live wave don't start training until their window opens
+  const { windowStart, deadline } = getLocationWindow(currentCriteria, locationName);
+  if (windowStart > locationCurrentTime) {
+    const windowDate = timeBlockEngine.getNextValidDate(windowStart, dayNames, locationName);
+    locationCurrentTime = timeBlockEngine.setDateToBlockStart(windowDate, 1, locationName);
+  }
   let allGroupsScheduled = false;
   let maxIterations = 50;
   let iterationCount = 0;
   
   console.log(`📍 Scheduling ${sessionGroups.length} groups at ${locationName} (${maxClassrooms} classrooms)`);
   
-  // Create list of sessions to schedule at this location
+  // Create list of sessions to schedule at this location; each group looks for a free trainer
+  // up to the go-live deadline or its max-gap / same-week limit
   const locationSessions = sessionGroups.map(sessionGroup => ({
     sessionGroup,
-    scheduled: false
+    scheduled: false,
+    trainerSearch: new TrainerSearch(trainerAllocator, course, locationName, {
+      limits: [deadline, sequencingTracker?.getLatestStart(course, locationName, sessionGroup.sessionNumber)]
+    })
   }));
   
   // Schedule all groups at this location
@@ -217,12 +307,14 @@ async function _scheduleAllGroupsAtLocation(
     console.log(`🔄 Location scheduling round ${iterationCount} for ${locationName} at ${locationCurrentTime.toLocaleString('en-GB')}`);
     
     let scheduledThisRound = false;
+    let waitUntil = null;
+    let blockedByCapacity = false;
     
-    // Try to schedule unscheduled groups at current time
-    for (const sessionInfo of locationSessions) {
+    // Try to schedule unscheduled groups at current time, tightest sequencing window first
+    for (const sessionInfo of _orderByLatestStart(locationSessions, course, locationName, sequencingTracker)) {
       if (sessionInfo.scheduled) continue;
       
-      const { sessionGroup } = sessionInfo;
+      const { sessionGroup, trainerSearch } = sessionInfo;
       console.log(`   📝 Attempting ${course.course_name} Group ${sessionGroup.sessionNumber} at ${locationName}`);
       
       const schedulingResult = await _scheduleGroupAtLocation(
@@ -237,13 +329,24 @@ async function _scheduleAllGroupsAtLocation(
         sessionSplitter,
         classroomTracker,
         currentCriteria,
-        dayNames
+        dayNames,
+        trainerAllocator,
+        sequencingTracker,
+        trainerSearch,
+        diagnostics,
+        learnerLoad
       );
       
       if (schedulingResult.success) {
         sessionInfo.scheduled = true;
         scheduledThisRound = true;
         console.log(`   ✅ Successfully scheduled ${course.course_name} Group ${sessionGroup.sessionNumber} at ${locationName}`);
+      } else if (schedulingResult.waitUntil) {
+        if (!waitUntil || schedulingResult.waitUntil < waitUntil) {
+          waitUntil = schedulingResult.waitUntil;
+        }
+      } else {
+        blockedByCapacity = true;
       }
     }
     
@@ -257,7 +360,21 @@ async function _scheduleAllGroupsAtLocation(
       } else {
         // No progress made, advance time for this location
         console.log(`   ⏰ No groups scheduled this round at ${locationName}, advancing time`);
-        locationCurrentTime = _advanceToNextValidTime(locationCurrentTime, timeBlockEngine, dayNames);
+        // Only jump ahead to a prerequisite date if no group is merely waiting for a classroom
+        const previousTime = locationCurrentTime;
+        locationCurrentTime = _advanceToNextValidTime(
+          locationCurrentTime, timeBlockEngine, dayNames, locationName,
+          blockedByCapacity ? null : waitUntil
+        );
+        const skippedBlackout = diagnostics && timeBlockEngine.findBlackoutBetween(previousTime, locationCurrentTime, locationName);
+        if (skippedBlackout) {
+          locationSessions
+            .filter(sessionInfo => !sessionInfo.scheduled)
+            .forEach(({ sessionGroup }) => diagnostics.noteConstraint(
+              course, locationName, sessionGroup, SCHEDULING_CONSTRAINT.BLACKOUT,
+              `Skipped ${skippedBlackout.toLocaleDateString('en-GB')}`
+            ));
+        }
         console.log(`   📅 ${locationName} advanced to: ${locationCurrentTime.toLocaleString('en-GB')}`);
       }
     }
@@ -265,6 +382,12 @@ async function _scheduleAllGroupsAtLocation(
   
   if (iterationCount >= maxIterations) {
     console.warn(`⚠️ Reached maximum iterations (${maxIterations}) for ${locationName}`);
+    locationSessions
+      .filter(sessionInfo => !sessionInfo.scheduled)
+      .forEach(({ sessionGroup }) => diagnostics?.recordUnplaced(
+        course, locationName, sessionGroup, SCHEDULING_CONSTRAINT.SEARCH_LIMIT,
+        `No slot found in ${maxIterations} scheduling rounds (searched up to ${locationCurrentTime.toLocaleDateString('en-GB')})`
+      ));
   }
   
   const scheduledCount = locationSessions.filter(s => s.scheduled).length;
@@ -277,6 +400,26 @@ async function _scheduleAllGroupsAtLocation(
   };
 }
 
+/**
+ * Order groups so those whose maximum gap / same-week window closes first get classrooms first
+ * Groups without such a limit keep their order, after the limited ones.
+ * @private
+ */
+function _orderByLatestStart(locationSessions, course, locationName, sequencingTracker) {
+  if (!sequencingTracker) return locationSessions;
+  
+  const latestStarts = new Map(locationSessions.map(sessionInfo => [
+    sessionInfo,
+    sessionInfo.scheduled ? null : sequencingTracker.getLatestStart(course, locationName, sessionInfo.sessionGroup.sessionNumber)
+  ]));
+  return [...locationSessions].sort((a, b) => {
+    const aLimit = latestStarts.get(a);
+    const bLimit = latestStarts.get(b);
+    if (aLimit && bLimit) return aLimit - bLimit;
+    return (aLimit ? 0 : 1) - (bLimit ? 0 : 1);
+  });
+}
+
 /**
  * Schedule a single group at a location
  * @private
@@ -293,16 +436,28 @@ async function _scheduleGroupAtLocation(
   sessionSplitter,
   classroomTracker,
   currentCriteria,
-  dayNames
+  dayNames,
+  trainerAllocator,
+  sequencingTracker,
+  trainerSearch,
+  diagnostics = null,
+  learnerLoad = null
 ) {
   const duration = Number(course.duration_hrs);
   
+  // Prerequisite (plus minimum gap) must finish before this group can start
+  const earliestStart = sequencingTracker
+    ? sequencingTracker.getEarliestStart(course, locationName, sessionGroup.sessionNumber)
+    : null;
+  
   // Use SessionSplitter to handle flexible duration splitting
   let sessionParts = sessionSplitter.splitCourse(duration, {
     courseName: course.course_name,
     sessionNumber: sessionGroup.sessionNumber,
     startDate: currentTime,
-    dayNames: dayNames
+    dayNames: dayNames,
+    location: locationName,
+    ...getCourseDayPlan(course, currentCriteria)
   });
   
   console.log(`   ✂️ Course split into ${sessionParts.length} parts across ${sessionParts[sessionParts.length - 1].day} day(s)`);
@@ -313,8 +468,9 @@ async function _scheduleGroupAtLocation(
   
   // For single-block courses, try alternative time blocks if the first choice fails
   if (sessionParts.length === 1 && sessionParts[0].totalParts === 1) {
-    const timeBlocks = timeBlockEngine.getTimeBlocks();
+    const timeBlocks = timeBlockEngine.getTimeBlocks(locationName);
     let triedBlocks = [];
+    let learnerRetryAfter = null;
     
     for (const timeBlock of timeBlocks) {
       // Skip if this block can't fit the duration
@@ -325,10 +481,19 @@ async function _scheduleGroupAtLocation(
       triedBlocks.push(timeBlock.id);
       
       // Create session part for this time block
-      const sessionDate = timeBlockEngine.getNextValidDate(currentTime, dayNames);
-      const sessionStart = timeBlockEngine.setDateToBlockStart(sessionDate, timeBlock.id);
+      const sessionDate = timeBlockEngine.getNextValidDate(currentTime, dayNames, locationName);
+      const sessionStart = timeBlockEngine.setDateToBlockStart(sessionDate, timeBlock.id, locationName);
       const sessionEnd = new Date(sessionStart.getTime() + (duration * 60 * 60 * 1000));
       
+      if (earliestStart && sessionStart < earliestStart) {
+        console.log(`   🔗 ${timeBlock.name} (Block ${timeBlock.id}) starts before the prerequisite rule allows`);
+        diagnostics?.noteConstraint(
+          course, locationName, sessionGroup, SCHEDULING_CONSTRAINT.PREREQUISITE,
+          `Cannot start before ${formatDiagnosticTime(earliestStart)}`
+        );
+        continue;
+      }
+      
       const testSessionPart = {
         part: 1,
         totalParts: 1,
@@ -343,6 +508,19 @@ async function _scheduleGroupAtLocation(
         sessionId: `${course.course_name.replace(/\s+/g, '-').toLowerCase()}-${sessionGroup.sessionNumber}-part1-${sessionStart.getTime()}`
       };
       
+      // A learner in this group may already be in another course's session or at their hour limit
+      const learnerConflict = learnerLoad?.check(sessionGroup.users, [testSessionPart]);
+      if (learnerConflict) {
+        console.log(`   🧑‍🎓 ${timeBlock.name} (Block ${timeBlock.id}) - ${learnerConflict.detail}`);
+        diagnostics?.noteConstraint(
+          course, locationName, sessionGroup, SCHEDULING_CONSTRAINT.LEARNER_LOAD, learnerConflict.detail
+        );
+        if (!learnerRetryAfter || learnerConflict.retryAfter < learnerRetryAfter) {
+          learnerRetryAfter = learnerConflict.retryAfter;
+        }
+        continue;
+      }
+      
       // Check classroom availability for this time block
       const isAvailable = classroomTracker.isClassroomAvailable(
         locationName,
@@ -351,6 +529,16 @@ async function _scheduleGroupAtLocation(
         maxClassrooms
       );
       
+      if (isAvailable && !trainerSearch.accepts([testSessionPart])) {
+        // Classroom is free but no trainer - keep looking for a fully staffed block
+        console.log(`   👤 No trainer available for ${timeBlock.name} (Block ${timeBlock.id}), trying other blocks`);
+        diagnostics?.noteConstraint(
+          course, locationName, sessionGroup, SCHEDULING_CONSTRAINT.TRAINER, trainerSearch.reason
+        );
+        canScheduleAllParts = false;
+        continue;
+      }
+      
       if (isAvailable) {
         // Found an available time block
         sessionParts = [testSessionPart];
@@ -360,58 +548,115 @@ async function _scheduleGroupAtLocation(
         break;
       } else {
         console.log(`   ⚠️ No classroom available for ${timeBlock.name} (Block ${timeBlock.id}) during ${sessionStart.toLocaleString('en-GB')}`);
+        diagnostics?.noteConstraint(
+          course, locationName, sessionGroup, SCHEDULING_CONSTRAINT.CLASSROOM_CAPACITY,
+          `All ${maxClassrooms} classroom(s) in use at ${formatDiagnosticTime(sessionStart)}`
+        );
         canScheduleAllParts = false;
       }
     }
+    
+    // Every block was ruled out before a classroom check (e.g. waiting for a prerequisite)
+    if (schedulingPlan.length === 0) {
+      canScheduleAllParts = false;
+      if (learnerRetryAfter) {
+        return { success: false, waitUntil: earliestStart > learnerRetryAfter ? earliestStart : learnerRetryAfter };
+      }
+    }
+  } else if (earliestStart && sessionParts[0].start < earliestStart) {
+    console.log(`   🔗 Waiting for prerequisite - ${course.course_name} Group ${sessionGroup.sessionNumber} cannot start before ${earliestStart.toLocaleString('en-GB')}`);
+    diagnostics?.noteConstraint(
+      course, locationName, sessionGroup, SCHEDULING_CONSTRAINT.PREREQUISITE,
+      `Cannot start before ${formatDiagnosticTime(earliestStart)}`
+    );
+    canScheduleAllParts = false;
   } else {
-    // Multi-part courses: check all parts
+    // Multi-part courses: every part must fit in the same classroom
     for (const sessionPart of sessionParts) {
       // Ensure session starts on valid scheduling day
-      const validStartDate = timeBlockEngine.getNextValidDate(sessionPart.start, dayNames);
+      const validStartDate = timeBlockEngine.getNextValidDate(sessionPart.start, dayNames, locationName);
       if (validStartDate.getTime() !== sessionPart.start.getTime()) {
         sessionPart.start = validStartDate;
         sessionPart.end = new Date(validStartDate.getTime() + (sessionPart.duration * 60 * 60 * 1000));
       }
-      
-      // Check classroom availability using existing tracker
-      const isAvailable = classroomTracker.isClassroomAvailable(
-        locationName,
-        sessionPart.start,
-        sessionPart.end,
-        maxClassrooms
+    }
+    
+    const learnerConflict = learnerLoad?.check(sessionGroup.users, sessionParts);
+    if (learnerConflict) {
+      console.log(`   🧑‍🎓 ${course.course_name} Group ${sessionGroup.sessionNumber} cannot start ${sessionParts[0].start.toLocaleString('en-GB')} - ${learnerConflict.detail}`);
+      diagnostics?.noteConstraint(
+        course, locationName, sessionGroup, SCHEDULING_CONSTRAINT.LEARNER_LOAD, learnerConflict.detail
       );
-      
-      if (!isAvailable) {
-        console.log(`   ⚠️ No classroom available for Part ${sessionPart.part} during ${sessionPart.start.toLocaleString('en-GB')}`);
-        canScheduleAllParts = false;
-        break;
-      }
-      
-      schedulingPlan.push(sessionPart);
+      return { success: false, waitUntil: learnerConflict.retryAfter };
+    }
+    
+    if (classroomTracker.findClassroomForParts(locationName, sessionParts, maxClassrooms) === null) {
+      console.log(`   ⚠️ No classroom free for all ${sessionParts.length} parts from ${sessionParts[0].start.toLocaleString('en-GB')}`);
+      diagnostics?.noteConstraint(
+        course, locationName, sessionGroup, SCHEDULING_CONSTRAINT.CLASSROOM_CAPACITY,
+        `No classroom free for all ${sessionParts.length} parts from ${formatDiagnosticTime(sessionParts[0].start)}`
+      );
+      canScheduleAllParts = false;
+    } else if (!trainerSearch.accepts(sessionParts)) {
+      console.log(`   👤 No trainer free for ${course.course_name} Group ${sessionGroup.sessionNumber} from ${sessionParts[0].start.toLocaleString('en-GB')}`);
+      diagnostics?.noteConstraint(
+        course, locationName, sessionGroup, SCHEDULING_CONSTRAINT.TRAINER, trainerSearch.reason
+      );
+      canScheduleAllParts = false;
+    } else {
+      schedulingPlan = sessionParts;
+    }
+  }
+  
+  // No qualified trainer free within the window - fall back to the first slot that only lacked one,
+  // unless another group has taken it since, in which case the next free slot is used unstaffed
+  if (!canScheduleAllParts &&
+      trainerSearch.isExhausted(_advanceToNextValidTime(currentTime, timeBlockEngine, dayNames, locationName))) {
+    const fallback = trainerSearch.fallback;
+    trainerSearch.stop();
+    if (classroomTracker.findClassroomForParts(locationName, fallback, maxClassrooms) !== null &&
+        !learnerLoad?.check(sessionGroup.users, fallback)) {
+      console.log(`   👤 No trainer free for ${course.course_name} Group ${sessionGroup.sessionNumber} in the scheduling window - placing it unstaffed`);
+      sessionParts = fallback;
+      schedulingPlan = fallback;
+      canScheduleAllParts = true;
     }
   }
   
   if (!canScheduleAllParts) {
+    const waitingForPrerequisite = earliestStart && schedulingPlan.length === 0 && earliestStart > currentTime;
+    return { success: false, waitUntil: waitingForPrerequisite ? earliestStart : null };
+  }
+  
+  // Staff the whole course (all parts) with one trainer
+  const staffing = trainerAllocator
+    ? trainerAllocator.assignTrainer(course, schedulingPlan, locationName)
+    : null;
+  
+  // Max gap / same-week rules cannot move the prerequisite back - flag any breach
+  const planStart = schedulingPlan[0].start;
+  const planEnd = schedulingPlan[schedulingPlan.length - 1].end;
+  let sequencingViolations = [];
+  if (sequencingTracker) {
+    sequencingViolations = sequencingTracker
+      .checkPlacement(course, locationName, sessionGroup.sessionNumber, planStart, planEnd)
+      .map(violation => violation.message);
+    sequencingViolations.forEach(message => console.warn(`   ⚠️ Sequencing: ${message}`));
+    sequencingTracker.recordSession(course, locationName, sessionGroup.sessionNumber, planStart, planEnd);
+  }
+  
+  // Reserve one classroom for all parts
+  const assignedClassroom = classroomTracker.reserveClassroomForParts(locationName, schedulingPlan, maxClassrooms);
+  if (assignedClassroom === null) {
+    console.error(`❌ Failed to reserve classroom for ${schedulingPlan[0].sessionId} despite availability check`);
     return { success: false };
   }
+  learnerLoad?.book(sessionGroup.users, schedulingPlan);
   
   // Schedule all parts
   for (let partIndex = 0; partIndex < schedulingPlan.length; partIndex++) {
     const sessionPart = schedulingPlan[partIndex];
-    
-    // Reserve classroom
-    const assignedClassroom = classroomTracker.reserveClassroom(
-      locationName,
-      sessionPart.start,
-      sessionPart.end,
-      sessionPart.sessionId,
-      maxClassrooms
-    );
-    
-    if (assignedClassroom === null) {
-      console.error(`❌ Failed to reserve classroom for ${sessionPart.sessionId} despite availability check`);
-      return { success: false };
-    }
+    sessionPart.classroomNumber = assignedClassroom;
     
     // Create enhanced group name
     const enhancedGroupName = createEnhancedGroupName(locationName, {
@@ -427,10 +672,12 @@ async function _scheduleGroupAtLocation(
       location: locationName,
       classroomNumber: assignedClassroom,
       groupType: ['training_location'],
-      maxAttendees: currentCriteria.max_attendees,
+      maxAttendees: getCourseCapacity(course, currentCriteria),
       userCount: sessionGroup.userCount,
       userRange: sessionGroup.userRange,
-      sessionNumber: sessionGroup.sessionNumber
+      sessionNumber: sessionGroup.sessionNumber,
+      staffing,
+      sequencingViolations
     });
     
     // Ensure structure exists in sessionsGrouped
@@ -452,23 +699,29 @@ async function _scheduleGroupAtLocation(
     console.log(`        📅 ${sessionPart.start.toLocaleString('en-GB')} - ${sessionPart.end.toLocaleString('en-GB')} (${sessionPart.duration}hrs)`);
   }
   
+  diagnostics?.recordPlaced(course, locationName, sessionGroup, schedulingPlan, { staffing, sequencingViolations });
   return { success: true };
 }
 
 /**
  * Advance to next valid scheduling time
+ * Jumps straight to waitUntil's day when every remaining group is waiting for a prerequisite.
  * @private
  */
-function _advanceToNextValidTime(currentTime, timeBlockEngine, dayNames) {
+function _advanceToNextValidTime(currentTime, timeBlockEngine, dayNames, locationName = null, waitUntil = null) {
   // Move to next day
-  const nextDate = new Date(currentTime);
+  let nextDate = new Date(currentTime);
   nextDate.setDate(nextDate.getDate() + 1);
   
-  // Find next valid scheduling day
-  const validNextDate = timeBlockEngine.getNextValidDate(nextDate, dayNames);
+  if (waitUntil && waitUntil > nextDate) {
+    nextDate = new Date(waitUntil);
+  }
+  
+  // Find next valid scheduling day (skipping blackouts at this location)
+  const validNextDate = timeBlockEngine.getNextValidDate(nextDate, dayNames, locationName);
   
   // Set to start of first time block
-  return timeBlockEngine.setDateToBlockStart(validNextDate, 1);
+  return timeBlockEngine.setDateToBlockStart(validNextDate, 1, locationName);
 }
 
 /**
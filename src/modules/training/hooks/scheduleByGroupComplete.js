@@ -12,45 +12,100 @@
  * Key Improvements:
  * 1. Uses TimeBlockEngine for flexible time block handling
  * 2. Uses SessionSplitter for intelligent course duration splitting
- * 3. Supports ANY course duration (1-24 hours) across 1-3 days
+ * 3. Supports ANY course duration across any number of days; multi-day courses with a daily hour
+ *    cap or a weekly / fortnightly day pattern keep the SessionSplitter's day layout
  * 4. No hardcoded duration logic
  * 5. Clean, maintainable code with utility functions
+ * 6. Skips project and location blackout dates (criteria.blackout_dates)
+ * 7. Assigns a qualified trainer to each session when a TrainerAllocator is supplied, moving a course
+ *    to a later slot (up to the go-live deadline) when no qualified trainer is free before leaving it unstaffed
+ * 8. Honours course prerequisites and minimum gaps; courses with a max-gap / same-week rule follow
+ *    straight after their prerequisite, and breaches are flagged
+ * 9. Reports progress per course and group through options.onProgress
+ * 10. Works with any number of time blocks per day, including per-location blocks and break buffers
+ * 11. Starts each location at its go-live wave window (criteria.location_waves)
+ * 12. Records where each group was placed and what held it back in options.diagnostics
+ * 13. Moves a course later when a learner in the group is already in another session or at their
+ *     daily / weekly hour limit (options.learnerLoad, created from the criteria when not supplied)
+ * 14. Books classrooms through the shared ClassroomOccupancyTracker, so reserved sessions and imported
+ *     busy time are respected; a group moves to another free classroom, or later, when its own is taken
+ * 15. Stops between courses once options.signal (an AbortSignal) has been aborted
  */
 
 import {
   initializeSchedulingEngines,
+  createCancellationCheck,
   sortCoursesByPriority,
+  orderCoursesByDependencies,
+  SequencingTracker,
   createSessionGroups,
   createSessionObject,
   formatSessionTitle,
   createEnhancedGroupName,
-  logCoursePriorityOrder
+  logCoursePriorityOrder,
+  getLocationWindow,
+  getCourseCapacity,
+  shouldBalanceGroups,
+  getCourseDayPlan,
+  hasCustomDayPlan,
+  SCHEDULING_CONSTRAINT,
+  formatDiagnosticTime,
+  LearnerLoadTracker,
+  TrainerSearch
 } from '@core/utils/scheduling/index.js';
 
+// Start times tried per course before a group is placed despite a learner conflict
+// (or left unplaced when no classroom is free)
+const MAX_SLOT_RETRIES = 200;
+
 export const scheduleByGroupComplete = async (
   groupedEndUsers, courses, currentCriteria, sessionsGrouped,
   functionalArea, locationClassroomReqs, classroomTracker,
   schedulingPreference, amStartHour, amStartMin, pmStartHour, pmStartMin,
-  amBlockHours, pmBlockHours, dayNames
+  amBlockHours, pmBlockHours, dayNames, trainerAllocator = null, options = {}
 ) => {
   console.log('🎯 Starting Group-Complete scheduling mode - REFACTORED');
   
   try {
+    const {
+      onProgress = null,
+      diagnostics = null,
+      learnerLoad = new LearnerLoadTracker(currentCriteria),
+      signal = null
+    } = options;
+    const checkCancelled = createCancellationCheck(signal);
+
     // Initialize scheduling engines with flexible time block parsing
     const { timeBlockEngine, sessionSplitter } = initializeSchedulingEngines(currentCriteria);
     
-    // Sort courses by priority (lower number = higher priority)
-    const sortedCourses = sortCoursesByPriority(courses);
+    // Sort courses by priority (lower number = higher priority), prerequisites first
+    const sortedCourses = orderCoursesByDependencies(sortCoursesByPriority(courses));
     logCoursePriorityOrder(sortedCourses);
     
+    const sequencingTracker = new SequencingTracker(
+      sortedCourses,
+      (date, location) => timeBlockEngine.isSchedulableDate(date, location, dayNames)
+    );
+    
+    // Calculate course group data up front so progress can be reported against a known total
+    const courseGroupDataByLocation = {};
+    for (const locationName in groupedEndUsers) {
+      courseGroupDataByLocation[locationName] = _calculateCourseGroupData(sortedCourses, groupedEndUsers[locationName], currentCriteria);
+    }
+    const progress = {
+      phase: 'scheduling',
+      completed: 0,
+      total: Object.values(courseGroupDataByLocation)
+        .flatMap(courseGroupData => Object.values(courseGroupData))
+        .reduce((sum, data) => sum + data.groupsNeeded, 0)
+    };
+    
     for (const locationName in groupedEndUsers) {
-      const usersInLocation = groupedEndUsers[locationName];
       const maxClassrooms = locationClassroomReqs.get(locationName)?.numberOfClassrooms || 1;
       
       console.log(`📍 Processing location: ${locationName} with ${maxClassrooms} classrooms`);
       
-      // Calculate course group data for this location
-      const courseGroupData = _calculateCourseGroupData(sortedCourses, usersInLocation, currentCriteria);
+      const courseGroupData = courseGroupDataByLocation[locationName];
       const maxGroupsNeeded = Math.max(...Object.values(courseGroupData).map(data => data.groupsNeeded));
       
       console.log(`📊 Maximum groups needed across all courses: ${maxGroupsNeeded}`);
@@ -60,8 +115,10 @@ export const scheduleByGroupComplete = async (
         maxClassrooms, 
         currentCriteria, 
         timeBlockEngine, 
-        dayNames
+        dayNames,
+        locationName
       );
+      const locationStartTime = new Date(classroomStates[1].currentTime);
       
       // Schedule each group sequentially through all courses
       for (let groupNum = 1; groupNum <= maxGroupsNeeded; groupNum++) {
@@ -79,61 +136,203 @@ export const scheduleByGroupComplete = async (
         
         // Schedule all courses for this group in priority order
         let groupCurrentTime = new Date(currentGroupTime);
+        // The group's first course records any wait for a free classroom
+        let classroomWait = currentGroupTime > locationStartTime
+          ? `Classroom ${assignedClassroom} free from ${formatDiagnosticTime(currentGroupTime)}`
+          : null;
+        let previousEnd = new Date(currentGroupTime);
         
         for (const course of sortedCourses) {
+          await checkCancelled();
           const courseData = courseGroupData[course.course_id];
           if (!courseData || groupNum > courseData.groupsNeeded) {
             // This group doesn't need this course
             continue;
           }
           
+          if (onProgress) {
+            onProgress({ ...progress, label: `${course.course_name} - ${locationName} Group ${groupNum}` });
+          }
+          progress.completed++;
+          
           const groupData = courseData.groups[groupNum - 1];
           const duration = Number(course.duration_hrs);
           
           console.log(`   📝 Scheduling ${course.course_name} Group ${groupNum} (${groupData.userCount} attendees, ${duration}hrs)`);
           
-          // Use SessionSplitter to handle flexible duration splitting
-          const sessionParts = sessionSplitter.splitCourse(duration, {
-            courseName: course.course_name,
-            sessionNumber: groupNum,
-            startDate: groupCurrentTime,
-            dayNames: dayNames
+          if (classroomWait) {
+            diagnostics?.noteConstraint(course, locationName, groupData, SCHEDULING_CONSTRAINT.CLASSROOM_CAPACITY, classroomWait);
+            classroomWait = null;
+          }
+          
+          // Wait for the prerequisite (plus minimum gap) to finish for this group
+          const earliestStart = sequencingTracker.getEarliestStart(course, locationName, groupNum);
+          if (earliestStart && earliestStart > groupCurrentTime) {
+            groupCurrentTime = _advanceToNextSchedulingTime(earliestStart, timeBlockEngine, dayNames, locationName);
+            console.log(`   🔗 Prerequisite rule: ${course.course_name} Group ${groupNum} moved to ${groupCurrentTime.toLocaleString('en-GB')}`);
+            diagnostics?.noteConstraint(
+              course, locationName, groupData, SCHEDULING_CONSTRAINT.PREREQUISITE,
+              `Cannot start before ${formatDiagnosticTime(earliestStart)}`
+            );
+          }
+          
+          // Move the course later while a learner in the group is double-booked or at an hour limit,
+          // while no classroom is free for every part, or while no qualified trainer is free - the
+          // trainer search stops at the go-live deadline or the max-gap / same-week limit, after which
+          // the group takes the first slot that only lacked a trainer
+          let sessionParts;
+          let learnerConflict = null;
+          let classroomNumber = null;
+          let trainerMissing = false;
+          let slotRetries = 0;
+          const trainerSearch = new TrainerSearch(trainerAllocator, course, locationName, {
+            limits: [
+              getLocationWindow(currentCriteria, locationName).deadline,
+              sequencingTracker.getLatestStart(course, locationName, groupNum)
+            ]
           });
           
-          console.log(`   ✂️ Course split into ${sessionParts.length} parts across ${sessionParts[sessionParts.length - 1].day} day(s)`);
+          do {
+            // Use SessionSplitter to handle flexible duration splitting
+            const splitOptions = {
+              courseName: course.course_name,
+              sessionNumber: groupNum,
+              startDate: groupCurrentTime,
+              dayNames: dayNames,
+              location: locationName,
+              ...getCourseDayPlan(course, currentCriteria)
+            };
+            sessionParts = sessionSplitter.splitCourse(duration, splitOptions);
           
-          // CRITICAL FIX: Override SessionSplitter timing with our sequential timing
-          let currentPartTime = new Date(groupCurrentTime);
+            console.log(`   ✂️ Course split into ${sessionParts.length} parts across ${sessionParts[sessionParts.length - 1].day} day(s)`);
           
-          for (let i = 0; i < sessionParts.length; i++) {
-            const sessionPart = sessionParts[i];
+            // Capped or repeating-day courses keep the splitter's days, starting once the group is free
+            const keepSplitterDays = sessionParts[0].totalDays > 1 && hasCustomDayPlan(course, currentCriteria);
+            if (keepSplitterDays && sessionParts[0].start < groupCurrentTime) {
+              const nextDay = new Date(groupCurrentTime);
+              nextDay.setDate(nextDay.getDate() + 1);
+              nextDay.setHours(0, 0, 0, 0);
+              sessionParts = sessionSplitter.splitCourse(duration, { ...splitOptions, startDate: nextDay });
+            }
+          
+            // CRITICAL FIX: Override SessionSplitter timing with our sequential timing
+            let plannedStartTime = new Date(groupCurrentTime);
+            let straddledBlackout = null;
+          
+            if (!keepSplitterDays) {
+              do {
+                _applySequentialPartTiming(sessionParts, plannedStartTime, timeBlockEngine, dayNames, locationName);
             
-            // Override the session timing with our calculated sequential timing
-            sessionPart.start = new Date(currentPartTime);
-            sessionPart.end = new Date(currentPartTime.getTime() + (sessionPart.duration * 60 * 60 * 1000));
+                // Multi-part courses must not straddle a blackout date - move the whole course past it
+                straddledBlackout = sessionParts.length > 1
+                  ? timeBlockEngine.findBlackoutBetween(sessionParts[0].start, sessionParts[sessionParts.length - 1].end, locationName)
+                  : null;
             
-            // Ensure session starts on valid scheduling day
-            const validStartDate = timeBlockEngine.getNextValidDate(sessionPart.start, dayNames);
-            if (validStartDate.getTime() !== sessionPart.start.getTime()) {
-              sessionPart.start = validStartDate;
-              sessionPart.end = new Date(validStartDate.getTime() + (sessionPart.duration * 60 * 60 * 1000));
+                if (straddledBlackout) {
+                  console.log(`   📅 ${course.course_name} Group ${groupNum} would straddle blackout on ${straddledBlackout.toLocaleDateString('en-GB')}, moving start`);
+                  diagnostics?.noteConstraint(
+                    course, locationName, groupData, SCHEDULING_CONSTRAINT.BLACKOUT,
+                    `Would straddle ${straddledBlackout.toLocaleDateString('en-GB')}`
+                  );
+                  const dayAfterBlackout = new Date(straddledBlackout);
+                  dayAfterBlackout.setDate(dayAfterBlackout.getDate() + 1);
+                  plannedStartTime = timeBlockEngine.setDateToBlockStart(
+                    timeBlockEngine.getNextValidDate(dayAfterBlackout, dayNames, locationName),
+                    1,
+                    locationName
+                  );
+                }
+              } while (straddledBlackout);
             }
             
-            // Calculate next part timing
-            if (i < sessionParts.length - 1) {
-              currentPartTime = _advanceToNextSchedulingTime(sessionPart.end, timeBlockEngine, dayNames);
+            classroomNumber = null;
+            trainerMissing = false;
+            learnerConflict = learnerLoad.check(groupData.users, sessionParts);
+            if (learnerConflict) {
+              console.log(`   🧑‍🎓 ${course.course_name} Group ${groupNum} at ${sessionParts[0].start.toLocaleString('en-GB')} - ${learnerConflict.detail}`);
+              diagnostics?.noteConstraint(
+                course, locationName, groupData, SCHEDULING_CONSTRAINT.LEARNER_LOAD, learnerConflict.detail
+              );
+              groupCurrentTime = _advanceToNextSchedulingTime(learnerConflict.retryAfter, timeBlockEngine, dayNames, locationName);
+              continue;
             }
+            
+            classroomNumber = _findClassroomForGroup(classroomTracker, locationName, sessionParts, assignedClassroom, maxClassrooms);
+            if (classroomNumber === null) {
+              console.log(`   🏫 ${course.course_name} Group ${groupNum} - no classroom free for all ${sessionParts.length} parts from ${sessionParts[0].start.toLocaleString('en-GB')}`);
+              diagnostics?.noteConstraint(
+                course, locationName, groupData, SCHEDULING_CONSTRAINT.CLASSROOM_CAPACITY,
+                `No classroom free for all ${sessionParts.length} parts from ${formatDiagnosticTime(sessionParts[0].start)}`
+              );
+              groupCurrentTime = _advanceToNextSchedulingTime(sessionParts[0].start, timeBlockEngine, dayNames, locationName);
+              continue;
+            }
+            
+            if (!trainerSearch.accepts(sessionParts, { sessionParts, classroomNumber })) {
+              trainerMissing = true;
+              console.log(`   👤 No trainer free for ${course.course_name} Group ${groupNum} at ${sessionParts[0].start.toLocaleString('en-GB')}, trying a later slot`);
+              diagnostics?.noteConstraint(course, locationName, groupData, SCHEDULING_CONSTRAINT.TRAINER, trainerSearch.reason);
+              groupCurrentTime = _advanceToNextSchedulingTime(sessionParts[0].start, timeBlockEngine, dayNames, locationName);
+              if (trainerSearch.isExhausted(groupCurrentTime)) {
+                break;
+              }
+            }
+          } while ((learnerConflict || classroomNumber === null || trainerMissing) && ++slotRetries < MAX_SLOT_RETRIES);
+          
+          // No qualified trainer free within the window - fall back to the first slot that only lacked one
+          if (trainerSearch.fallback && (learnerConflict || classroomNumber === null || trainerMissing)) {
+            console.log(`   👤 No trainer free for ${course.course_name} Group ${groupNum} in the scheduling window - placing it unstaffed`);
+            ({ sessionParts, classroomNumber } = trainerSearch.fallback);
+            learnerConflict = null;
           }
           
-          // Create sessions for each part
-          let allPartsScheduled = true;
+          if (learnerConflict) {
+            console.warn(`   ⚠️ ${course.course_name} Group ${groupNum} placed despite learner conflict after ${MAX_SLOT_RETRIES} attempts`);
+            classroomNumber = _findClassroomForGroup(classroomTracker, locationName, sessionParts, assignedClassroom, maxClassrooms);
+          }
           
+          if (classroomNumber === null) {
+            console.log(`   ❌ Failed to schedule ${course.course_name} Group ${groupNum} - will need manual intervention`);
+            diagnostics?.recordUnplaced(
+              course, locationName, groupData, SCHEDULING_CONSTRAINT.SEARCH_LIMIT,
+              `No classroom free in ${MAX_SLOT_RETRIES} start times (searched up to ${sessionParts[0].start.toLocaleDateString('en-GB')})`
+            );
+            continue;
+          }
+          
+          const skippedBlackout = diagnostics && timeBlockEngine.findBlackoutBetween(previousEnd, sessionParts[0].start, locationName);
+          if (skippedBlackout) {
+            diagnostics.noteConstraint(
+              course, locationName, groupData, SCHEDULING_CONSTRAINT.BLACKOUT,
+              `Skipped ${skippedBlackout.toLocaleDateString('en-GB')}`
+            );
+          }
+          
+          // Staff the whole course (all parts) with one trainer
+          const staffing = trainerAllocator
+            ? trainerAllocator.assignTrainer(course, sessionParts, locationName)
+            : null;
+          
+          // Max gap / same-week rules cannot move the prerequisite back - flag any breach
+          const firstPart = sessionParts[0];
+          const lastPart = sessionParts[sessionParts.length - 1];
+          const sequencingViolations = sequencingTracker
+            .checkPlacement(course, locationName, groupNum, firstPart.start, lastPart.end)
+            .map(violation => violation.message);
+          sequencingViolations.forEach(message => console.warn(`   ⚠️ Sequencing: ${message}`));
+          sequencingTracker.recordSession(course, locationName, groupNum, firstPart.start, lastPart.end);
+          learnerLoad.book(groupData.users, sessionParts);
+          sessionParts.forEach(sessionPart => classroomTracker.occupyClassroom(
+            locationName, sessionPart.start, sessionPart.end, classroomNumber, sessionPart.sessionId
+          ));
+          
+          // Create sessions for each part
           for (const sessionPart of sessionParts) {
             
             // Create enhanced group name
             const enhancedGroupName = createEnhancedGroupName(locationName, {
               userRange: groupData.userRange,
-              classroomNumber: assignedClassroom,
+              classroomNumber,
               totalGroups: maxGroupsNeeded
             });
             
@@ -142,12 +341,14 @@ export const scheduleByGroupComplete = async (
               groupName: enhancedGroupName,
               functionalArea: functionalArea,
               location: locationName,
-              classroomNumber: assignedClassroom,
+              classroomNumber,
               groupType: ['training_location'],
-              maxAttendees: currentCriteria.max_attendees,
+              maxAttendees: getCourseCapacity(course, currentCriteria),
               userCount: groupData.userCount,
               userRange: groupData.userRange,
-              sessionNumber: groupNum
+              sessionNumber: groupNum,
+              staffing,
+              sequencingViolations
             });
             
             // Ensure structure exists in sessionsGrouped
@@ -158,31 +359,33 @@ export const scheduleByGroupComplete = async (
               sessionsGrouped[functionalArea][locationName] = {};
             }
             
-            const classroomKey = `Classroom ${assignedClassroom}`;
+            const classroomKey = `Classroom ${classroomNumber}`;
             if (!sessionsGrouped[functionalArea][locationName][classroomKey]) {
               sessionsGrouped[functionalArea][locationName][classroomKey] = [];
             }
             
             sessionsGrouped[functionalArea][locationName][classroomKey].push(sessionObj);
             
-            console.log(`     ✅ Scheduled ${course.course_name} Group ${groupNum} Part ${sessionPart.part} in Classroom ${assignedClassroom}`);
+            console.log(`     ✅ Scheduled ${course.course_name} Group ${groupNum} Part ${sessionPart.part} in Classroom ${classroomNumber}`);
             console.log(`        📅 ${sessionPart.start.toLocaleString('en-GB')} - ${sessionPart.end.toLocaleString('en-GB')} (${sessionPart.duration}hrs)`);
           }
           
-          if (!allPartsScheduled) {
-            console.log(`   ❌ Failed to schedule ${course.course_name} Group ${groupNum} - will need manual intervention`);
-            continue;
-          }
+          diagnostics?.recordPlaced(
+            course, locationName, groupData,
+            sessionParts.map(sessionPart => ({ ...sessionPart, classroomNumber })),
+            { staffing, sequencingViolations }
+          );
           
           // Advance time for next course in this group
-          const lastPart = sessionParts[sessionParts.length - 1];
+          previousEnd = new Date(lastPart.end);
           groupCurrentTime = new Date(lastPart.end);
           
           // Move to next valid scheduling time
           groupCurrentTime = _advanceToNextSchedulingTime(
             groupCurrentTime, 
             timeBlockEngine, 
-            dayNames
+            dayNames,
+            locationName
           );
           
           console.log(`   ⏰ Next course will start at: ${groupCurrentTime.toLocaleString('en-GB')}`);
@@ -199,6 +402,9 @@ export const scheduleByGroupComplete = async (
       }
     }
     
+    if (onProgress) {
+      onProgress({ ...progress, label: 'All groups scheduled' });
+    }
     console.log('✅ Group-Complete scheduling completed - REFACTORED');
     
   } catch (error) {
@@ -219,7 +425,9 @@ function _calculateCourseGroupData(courses, usersInLocation, currentCriteria) {
     const attendees = courseUsers.length;
     
     if (attendees > 0) {
-      const sessionGroups = createSessionGroups(courseUsers, currentCriteria.max_attendees);
+      const sessionGroups = createSessionGroups(
+        courseUsers, getCourseCapacity(course, currentCriteria), { balanced: shouldBalanceGroups(currentCriteria) }
+      );
       
       courseGroupData[course.course_id] = {
         course,
@@ -239,12 +447,13 @@ function _calculateCourseGroupData(courses, usersInLocation, currentCriteria) {
  * Initialize classroom states for sequential scheduling
  * @private
  */
-function _initializeClassroomStates(maxClassrooms, currentCriteria, timeBlockEngine, dayNames) {
+function _initializeClassroomStates(maxClassrooms, currentCriteria, timeBlockEngine, dayNames, locationName = null) {
   const classroomStates = {};
   
   for (let i = 1; i <= maxClassrooms; i++) {
-    const startDate = timeBlockEngine.getNextValidDate(new Date(currentCriteria.start_date), dayNames);
-    const startTime = timeBlockEngine.setDateToBlockStart(startDate, 1); // Start with first time block
+    // Each location starts at its own wave window (go-live minus the training weeks)
+    const startDate = timeBlockEngine.getNextValidDate(getLocationWindow(currentCriteria, locationName).windowStart, dayNames, locationName);
+    const startTime = timeBlockEngine.setDateToBlockStart(startDate, 1, locationName); // Start with first time block
     
     classroomStates[i] = {
       currentTime: startTime,
@@ -278,13 +487,80 @@ function _findEarliestAvailableClassroom(classroomStates) {
   return earliestClassroom;
 }
 
+/**
+ * Pick a classroom free for every part of a course, keeping the group in its own classroom when possible
+ * @private
+ */
+function _findClassroomForGroup(classroomTracker, locationName, sessionParts, assignedClassroom, maxClassrooms) {
+  if (classroomTracker.isClassroomFreeForParts(locationName, sessionParts, assignedClassroom)) {
+    return assignedClassroom;
+  }
+  return classroomTracker.findClassroomForParts(locationName, sessionParts, maxClassrooms);
+}
+
+/**
+ * Apply sequential timing to session parts, starting at a given time
+ * Each part starts in the next time block after the previous part ends.
+ * @private
+ */
+function _applySequentialPartTiming(sessionParts, startTime, timeBlockEngine, dayNames, locationName) {
+  let currentPartTime = new Date(startTime);
+  
+  for (let i = 0; i < sessionParts.length; i++) {
+    const sessionPart = sessionParts[i];
+    
+    // Blocks can differ in length, so skip blocks too short for this part
+    currentPartTime = _alignToFittingBlock(currentPartTime, sessionPart.duration, timeBlockEngine, dayNames, locationName);
+    
+    // Override the session timing with our calculated sequential timing
+    sessionPart.start = new Date(currentPartTime);
+    sessionPart.end = new Date(currentPartTime.getTime() + (sessionPart.duration * 60 * 60 * 1000));
+    
+    // Ensure session starts on valid scheduling day
+    const validStartDate = timeBlockEngine.getNextValidDate(sessionPart.start, dayNames, locationName);
+    if (validStartDate.getTime() !== sessionPart.start.getTime()) {
+      sessionPart.start = validStartDate;
+      sessionPart.end = new Date(validStartDate.getTime() + (sessionPart.duration * 60 * 60 * 1000));
+    }
+    
+    // Calculate next part timing
+    if (i < sessionParts.length - 1) {
+      currentPartTime = _advanceToNextSchedulingTime(sessionPart.end, timeBlockEngine, dayNames, locationName);
+    }
+  }
+}
+
+/**
+ * Move a start time forward to the first time block that can hold the whole duration
+ * @private
+ */
+function _alignToFittingBlock(startTime, duration, timeBlockEngine, dayNames, locationName = null) {
+  const timeBlocks = timeBlockEngine.getTimeBlocks(locationName);
+  if (!timeBlockEngine.findSingleBlockFit(duration, locationName)) {
+    return startTime;
+  }
+  
+  let candidate = new Date(startTime);
+  // Every block of a day is visited once before moving to the next day
+  for (let attempt = 0; attempt <= timeBlocks.length; attempt++) {
+    const candidateHours = (candidate.getHours() * 60 + candidate.getMinutes()) / 60;
+    const block = timeBlockEngine.getBlockContainingTime(candidateHours, locationName);
+    if (block && Math.round((candidateHours + duration) * 60) <= Math.round(block.endHours * 60)) {
+      return candidate;
+    }
+    candidate = _advanceToNextSchedulingTime(candidate, timeBlockEngine, dayNames, locationName);
+  }
+  
+  return candidate;
+}
+
 /**
  * Advance time to next valid scheduling time
  * @private
  */
-function _advanceToNextSchedulingTime(currentTime, timeBlockEngine, dayNames) {
+function _advanceToNextSchedulingTime(currentTime, timeBlockEngine, dayNames, locationName = null) {
   // Check which time block the current time falls into
-  const timeBlocks = timeBlockEngine.getTimeBlocks();
+  const timeBlocks = timeBlockEngine.getTimeBlocks(locationName);
   const currentHour = currentTime.getHours();
   const currentMinutes = currentTime.getMinutes();
   const currentTimeInMinutes = currentHour * 60 + currentMinutes;
@@ -300,8 +576,7 @@ function _advanceToNextSchedulingTime(currentTime, timeBlockEngine, dayNames) {
     if (currentTimeInMinutes < blockStartMinutes) {
       // We're before this block starts, so start from this block
       nextBlockId = block.id;
-      nextStartTime = new Date(currentTime);
-      nextStartTime.setHours(block.startHours, 0, 0, 0);
+      nextStartTime = timeBlockEngine.setDateToBlockStart(currentTime, block.id, locationName);
       break;
     } else if (currentTimeInMinutes >= blockStartMinutes && currentTimeInMinutes < blockEndMinutes) {
       // We're currently in this block, move to next block
@@ -310,15 +585,14 @@ function _advanceToNextSchedulingTime(currentTime, timeBlockEngine, dayNames) {
         // Move to next block today
         const nextBlock = timeBlocks[nextBlockIndex];
         nextBlockId = nextBlock.id;
-        nextStartTime = new Date(currentTime);
-        nextStartTime.setHours(nextBlock.startHours, 0, 0, 0);
+        nextStartTime = timeBlockEngine.setDateToBlockStart(currentTime, nextBlock.id, locationName);
         break;
       } else {
         // No more blocks today, move to next day, first block
         const nextDay = new Date(currentTime);
         nextDay.setDate(nextDay.getDate() + 1);
-        const nextValidDate = timeBlockEngine.getNextValidDate(nextDay, dayNames);
-        return timeBlockEngine.setDateToBlockStart(nextValidDate, 1);
+        const nextValidDate = timeBlockEngine.getNextValidDate(nextDay, dayNames, locationName);
+        return timeBlockEngine.setDateToBlockStart(nextValidDate, 1, locationName);
       }
     }
   }
@@ -327,15 +601,15 @@ function _advanceToNextSchedulingTime(currentTime, timeBlockEngine, dayNames) {
   if (!nextStartTime) {
     const nextDay = new Date(currentTime);
     nextDay.setDate(nextDay.getDate() + 1);
-    const nextValidDate = timeBlockEngine.getNextValidDate(nextDay, dayNames);
-    return timeBlockEngine.setDateToBlockStart(nextValidDate, 1);
+    const nextValidDate = timeBlockEngine.getNextValidDate(nextDay, dayNames, locationName);
+    return timeBlockEngine.setDateToBlockStart(nextValidDate, 1, locationName);
   }
   
   // Make sure the next start time is on a valid scheduling day
-  const validNextDate = timeBlockEngine.getNextValidDate(nextStartTime, dayNames);
+  const validNextDate = timeBlockEngine.getNextValidDate(nextStartTime, dayNames, locationName);
   if (validNextDate.getTime() !== nextStartTime.getTime()) {
     // The calculated time is not on a valid day, use the valid date with the same block
-    return timeBlockEngine.setDateToBlockStart(validNextDate, nextBlockId);
+    return timeBlockEngine.setDateToBlockStart(validNextDate, nextBlockId, locationName);
   }
   
   return nextStartTime;
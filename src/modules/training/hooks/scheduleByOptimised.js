@@ -0,0 +1,152 @@
+/**
+ * Optimised Scheduling Algorithm
+ *
+ * Searches for the schedule with the shortest overall programme (calendar span) and the
+ * least classroom idle time, instead of placing sessions in a fixed order. A schedule with
+ * fewer unstaffed groups always wins over a shorter one (see compareScheduleMetrics).
+ *
+ * Logic:
+ * 1. Run both greedy modes (Course-Complete and Group-Complete) on scratch copies as baselines
+ * 2. Run the ScheduleOptimiser for criteria.optimiser_time_budget_seconds (default 10 seconds)
+ * 3. Keep the optimised schedule unless the best greedy schedule is still better
+ * 4. Return a report comparing the chosen schedule with the greedy results
+ *
+ * Only the chosen schedule is recorded in options.diagnostics - baselines and search runs are not.
+ * Aborting options.signal stops the greedy runs between courses and the search between iterations.
+ *
+ * Progress is reported through options.onProgress as { phase, label, completed, total }:
+ * the 'baseline' phase counts greedy runs, the 'optimising' phase counts elapsed milliseconds.
+ *
+ * Same constraints as the greedy modes: classroom capacity, blackout dates, trainer
+ * assignment and course sequencing rules.
+ */
+
+import {
+  initializeSchedulingEngines,
+  sortCoursesByPriority,
+  orderCoursesByDependencies,
+  logCoursePriorityOrder,
+  ScheduleOptimiser,
+  getOptimiserTimeBudgetMs,
+  flattenSessions,
+  calculateScheduleMetrics,
+  compareScheduleMetrics
+} from '@core/utils/scheduling/index.js';
+import { scheduleByCourseComplete } from './scheduleByCourseComplete';
+import { scheduleByGroupComplete } from './scheduleByGroupComplete';
+
+const GREEDY_MODES = {
+  course_complete: scheduleByCourseComplete,
+  group_complete: scheduleByGroupComplete
+};
+
+export const scheduleByOptimised = async (
+  groupedEndUsers, courses, currentCriteria, sessionsGrouped,
+  functionalArea, locationClassroomReqs, classroomTracker,
+  schedulingPreference, amStartHour, amStartMin, pmStartHour, pmStartMin,
+  amBlockHours, pmBlockHours, dayNames, trainerAllocator = null, options = {}
+) => {
+  console.log('🎯 Starting Optimised scheduling mode');
+
+  try {
+    const { onProgress = null, diagnostics = null, signal = null } = options;
+    const { timeBlockEngine, sessionSplitter } = initializeSchedulingEngines(currentCriteria);
+
+    const sortedCourses = orderCoursesByDependencies(sortCoursesByPriority(courses));
+    logCoursePriorityOrder(sortedCourses);
+
+    const metricsContext = {
+      timeBlockEngine,
+      dayNames,
+      classroomsByLocation: new Map(
+        Object.keys(groupedEndUsers).map(location => [location, locationClassroomReqs.get(location)?.numberOfClassrooms || 1])
+      )
+    };
+
+    // Run a greedy mode into the given structures with the standard argument list
+    const runGreedyMode = (mode, target, tracker, allocator, runOptions = {}) => GREEDY_MODES[mode](
+      groupedEndUsers, courses, currentCriteria, target,
+      functionalArea, locationClassroomReqs, tracker,
+      schedulingPreference, amStartHour, amStartMin, pmStartHour, pmStartMin,
+      amBlockHours, pmBlockHours, dayNames, allocator, runOptions
+    );
+
+    // 1. Greedy baselines on scratch copies
+    const greedy = {};
+    const greedyModes = Object.keys(GREEDY_MODES);
+    for (const [index, mode] of greedyModes.entries()) {
+      if (onProgress) {
+        onProgress({ phase: 'baseline', label: `Running ${mode.replace('_', '-')} baseline`, completed: index, total: greedyModes.length });
+      }
+      const scratch = { [functionalArea]: {} };
+      await runGreedyMode(mode, scratch, classroomTracker.clone(), trainerAllocator ? trainerAllocator.clone() : null, { signal });
+      greedy[mode] = calculateScheduleMetrics(flattenSessions(scratch), metricsContext);
+      console.log(`📏 Greedy ${mode}: ${greedy[mode].spanDays} days, ${greedy[mode].idleClassroomHours} idle classroom hours`);
+    }
+    const bestGreedyMode = Object.keys(greedy).sort((a, b) => compareScheduleMetrics(greedy[a], greedy[b]))[0];
+
+    // 2. Search within the time budget
+    const timeBudgetMs = getOptimiserTimeBudgetMs(currentCriteria);
+    const optimiser = new ScheduleOptimiser({
+      courses: sortedCourses,
+      groupedEndUsers,
+      criteria: currentCriteria,
+      locationClassroomReqs,
+      timeBlockEngine,
+      sessionSplitter,
+      dayNames,
+      classroomTracker
+    });
+    const search = await optimiser.optimise({
+      timeBudgetMs,
+      trainerAllocator,
+      signal,
+      onProgress: onProgress && (({ iterations, elapsedMs, best }) => onProgress({
+        phase: 'optimising',
+        label: `${iterations} schedules tried, best so far ${best.spanDays} days`,
+        completed: Math.min(elapsedMs, timeBudgetMs),
+        total: timeBudgetMs
+      }))
+    });
+    const optimised = search.result.metrics;
+
+    // 3. Keep whichever schedule is better
+    const useOptimised = compareScheduleMetrics(optimised, greedy[bestGreedyMode]) <= 0;
+    if (useOptimised) {
+      // Decoding is deterministic, so replaying the best order explains the committed schedule
+      if (diagnostics) {
+        optimiser.decode(search.order, trainerAllocator ? trainerAllocator.clone() : null, diagnostics);
+      }
+      optimiser.commit(search.result.placements, { sessionsGrouped, functionalArea, classroomTracker, trainerAllocator });
+    } else {
+      console.log(`↩️ Optimiser did not beat ${bestGreedyMode} within the time budget, keeping the greedy schedule`);
+      await runGreedyMode(bestGreedyMode, sessionsGrouped, classroomTracker, trainerAllocator, { diagnostics, signal });
+    }
+
+    const selected = useOptimised ? optimised : greedy[bestGreedyMode];
+    const report = {
+      timeBudgetSeconds: timeBudgetMs / 1000,
+      elapsedMs: search.elapsedMs,
+      iterations: search.iterations,
+      startingOrder: search.startingOrder,
+      unplacedSessionGroups: useOptimised ? search.result.unplaced.length : 0,
+      greedy,
+      bestGreedyMode,
+      optimised,
+      selectedMode: useOptimised ? 'optimised' : bestGreedyMode,
+      improvement: {
+        spanDays: greedy[bestGreedyMode].spanDays - selected.spanDays,
+        idleClassroomHours: Math.round((greedy[bestGreedyMode].idleClassroomHours - selected.idleClassroomHours) * 100) / 100
+      }
+    };
+
+    console.log(`✅ Optimised scheduling completed: ${selected.spanDays} days vs ${greedy[bestGreedyMode].spanDays} days (${bestGreedyMode})`);
+    return report;
+
+  } catch (error) {
+    console.error('❌ Error in Optimised scheduling:', error);
+    throw error;
+  }
+};
+
+export default scheduleByOptimised;
@@ -0,0 +1,40 @@
+/**
+ * Scheduling Engine Web Worker
+ *
+ * Runs the scheduling modes off the main thread so large roll-outs don't freeze the page.
+ *
+ * Message protocol:
+ * - main -> worker: { type: 'run', request, logging } request as described in runSchedulingMode; logging
+ *                                                    (off by default) keeps the engine's per-placement logs
+ * - worker -> main: { type: 'progress', progress }   { phase, label, completed, total }
+ * - worker -> main: { type: 'result', result }       { sessionsGrouped, optimisationReport, backwardReport, waveReport, staffingSummary, diagnostics }
+ * - worker -> main: { type: 'error', message }
+ *
+ * Cancelling terminates the worker (see useSchedulingEngine), so there is no cancel message.
+ */
+
+import { runSchedulingMode } from './runSchedulingMode';
+
+// Throttle progress so the main thread isn't flooded with messages
+const PROGRESS_INTERVAL_MS = 100;
+let lastProgressAt = 0;
+
+const postProgress = (progress) => {
+  const now = Date.now();
+  if (progress.completed < progress.total && now - lastProgressAt < PROGRESS_INTERVAL_MS) return;
+  lastProgressAt = now;
+  self.postMessage({ type: 'progress', progress });
+};
+
+self.onmessage = async (event) => {
+  const { type, request, logging = false } = event.data || {};
+  if (type !== 'run') return;
+
+  try {
+    const result = await runSchedulingMode(request, { onProgress: postProgress, logging });
+    self.postMessage({ type: 'result', result });
+  } catch (error) {
+    console.error('❌ Scheduling worker error:', error);
+    self.postMessage({ type: 'error', message: error.message });
+  }
+};
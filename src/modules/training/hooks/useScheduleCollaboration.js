@@ -0,0 +1,107 @@
+/**
+ * Live collaboration on an open schedule
+ *
+ * Subscribes to realtime changes on the schedule's training sessions and learner assignments,
+ * and shares who has the schedule open (presence) between the Schedule Editor and the User
+ * Assignments screen. Needs realtime_collaboration_schema.sql.
+ *
+ * The change callbacks receive the realtime payload: { eventType: 'INSERT'|'UPDATE'|'DELETE', new, old }.
+ * Deletes cannot be filtered by schedule - the old row only carries its id - so every delete the
+ * user can see is passed on, and callers match payload.old.id against their own rows.
+ *
+ * Changes the current user saves come back through the subscription as well.
+ */
+
+import { useEffect, useRef, useState } from 'react';
+import { supabase } from '@core/services/supabaseClient';
+
+const COLLABORATION_TABLES = [
+  { table: 'training_sessions', handler: 'onSessionChange' },
+  { table: 'user_assignments', handler: 'onAssignmentChange' }
+];
+
+/**
+ * @param {string} scheduleId - Schedule to follow; nothing is subscribed while it is empty
+ * @param {Object} options - { screen, onSessionChange, onAssignmentChange }
+ *   screen is shown to the other people looking at the schedule
+ * @returns {Object} { collaborators, connected }
+ *   collaborators: [{ key, email, screen, since }] for everyone else with the schedule open,
+ *   one entry per browser tab
+ */
+export const useScheduleCollaboration = (scheduleId, { screen, onSessionChange, onAssignmentChange } = {}) => {
+  const [collaborators, setCollaborators] = useState([]);
+  const [connected, setConnected] = useState(false);
+
+  // Latest callbacks, so a re-render does not resubscribe
+  const handlersRef = useRef({});
+  handlersRef.current = { onSessionChange, onAssignmentChange };
+
+  useEffect(() => {
+    if (!scheduleId) return undefined;
+
+    let channel = null;
+    let cancelled = false;
+    const presenceKey = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+    const subscribe = async () => {
+      const { data: { user } } = await supabase.auth.getUser();
+      if (cancelled) return;
+
+      channel = supabase.channel(`schedule-collaboration-${scheduleId}`, {
+        config: { presence: { key: presenceKey } }
+      });
+
+      COLLABORATION_TABLES.forEach(({ table, handler }) => {
+        const forward = (payload) => handlersRef.current[handler]?.(payload);
+        channel
+          .on('postgres_changes', { event: 'INSERT', schema: 'public', table, filter: `schedule_id=eq.${scheduleId}` }, forward)
+          .on('postgres_changes', { event: 'UPDATE', schema: 'public', table, filter: `schedule_id=eq.${scheduleId}` }, forward)
+          .on('postgres_changes', { event: 'DELETE', schema: 'public', table }, forward);
+      });
+
+      channel
+        .on('presence', { event: 'sync' }, () => {
+          const others = Object.entries(channel.presenceState())
+            .filter(([key]) => key !== presenceKey)
+            .map(([key, [entry]]) => ({
+              key,
+              email: entry?.email || 'Unknown user',
+              screen: entry?.screen || null,
+              since: entry?.since || null
+            }));
+          setCollaborators(others);
+        })
+        .subscribe(async (status) => {
+          if (status === 'SUBSCRIBED') {
+            setConnected(true);
+            await channel.track({
+              email: user?.email || null,
+              screen: screen || null,
+              since: new Date().toISOString()
+            });
+          } else if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT' || status === 'CLOSED') {
+            console.warn(`⚠️ Live updates for schedule ${scheduleId} stopped: ${status}`);
+            setConnected(false);
+          }
+        });
+    };
+
+    subscribe().catch(error => {
+      console.error('❌ Error in useScheduleCollaboration:', error);
+      setConnected(false);
+    });
+
+    return () => {
+      cancelled = true;
+      setCollaborators([]);
+      setConnected(false);
+      if (channel) {
+        supabase.removeChannel(channel);
+      }
+    };
+  }, [scheduleId, screen]);
+
+  return { collaborators, connected };
+};
+
+export default useScheduleCollaboration;
@@ -1,21 +1,108 @@
-import { useMemo } from 'react';
-import { ClassroomOccupancyTracker } from '@core/utils/classroomCalculations';
+import { useMemo, useRef, useEffect } from 'react';
 import { scheduleByGroupComplete } from './scheduleByGroupComplete';
 import { scheduleByCourseComplete } from './scheduleByCourseComplete';
+import { scheduleByOptimised } from './scheduleByOptimised';
+import { scheduleByBackward } from './scheduleByBackward';
+import { runSchedulingMode } from './runSchedulingMode';
+
+// Error message used to reject a run that was cancelled by the user
+export const SCHEDULING_CANCELLED = 'Scheduling cancelled';
 
 /**
  * Custom hook for training session scheduling algorithms
- * Provides both group-complete and course-complete scheduling modes
+ * Provides group-complete, course-complete, optimised and backward scheduling modes, plus
+ * runScheduling which runs a mode in a Web Worker with progress and cancellation
  */
 export const useSchedulingEngine = () => {
-  
+  const activeRunRef = useRef(null);
+
+  // Stop any running worker when the component using the engine unmounts
+  useEffect(() => () => activeRunRef.current?.cancel(), []);
+
   const createSchedulingEngine = useMemo(() => {
-    
+
+    /**
+     * Run a scheduling mode in a Web Worker (falls back to the main thread without Worker support)
+     * @param {Object} request - Scheduling request (see runSchedulingMode)
+     * @param {Object} options - { onProgress, logging } - onProgress is called with { phase, label, completed, total };
+     *   logging keeps the engine's per-placement console logs (off by default, they slow large runs down)
+     * @returns {Promise<Object>} { sessionsGrouped, optimisationReport, backwardReport, waveReport, staffingSummary, diagnostics }
+     */
+    const runScheduling = (request, { onProgress = null, logging = false } = {}) => {
+      activeRunRef.current?.cancel();
+
+      if (typeof Worker === 'undefined') {
+        console.warn('⚠️ Web Workers not supported - scheduling on the main thread');
+        // Cancelling aborts the run the next time it moves on to another course
+        const controller = new AbortController();
+        const run = {
+          cancel: () => {
+            console.log('🛑 Scheduling cancelled');
+            controller.abort(new Error(SCHEDULING_CANCELLED));
+          }
+        };
+        activeRunRef.current = run;
+        return runSchedulingMode(request, { onProgress, logging, signal: controller.signal }).finally(() => {
+          if (activeRunRef.current === run) activeRunRef.current = null;
+        });
+      }
+
+      return new Promise((resolve, reject) => {
+        const worker = new Worker(new URL('./schedulingEngine.worker.js', import.meta.url), { type: 'module' });
+        const finish = () => {
+          worker.terminate();
+          if (activeRunRef.current?.worker === worker) activeRunRef.current = null;
+        };
+
+        activeRunRef.current = {
+          worker,
+          cancel: () => {
+            finish();
+            console.log('🛑 Scheduling cancelled');
+            reject(new Error(SCHEDULING_CANCELLED));
+          }
+        };
+
+        worker.onmessage = (event) => {
+          const { type, progress, result, message } = event.data;
+          if (type === 'progress') {
+            if (onProgress) onProgress(progress);
+          } else if (type === 'result') {
+            finish();
+            resolve(result);
+          } else if (type === 'error') {
+            finish();
+            reject(new Error(message));
+          }
+        };
+
+        worker.onerror = (event) => {
+          finish();
+          reject(new Error(event.message || 'Scheduling worker failed'));
+        };
+
+        worker.postMessage({ type: 'run', request, logging });
+      });
+    };
+
+    /**
+     * Cancel the running scheduling run, if any
+     */
+    const cancelScheduling = () => {
+      activeRunRef.current?.cancel();
+    };
+
     return {
       scheduleByGroupComplete,
-      scheduleByCourseComplete
+      scheduleByCourseComplete,
+      scheduleByOptimised,
+      scheduleByBackward,
+      runScheduling,
+      cancelScheduling
     };
   }, []);
 
   return createSchedulingEngine;
-};
\ No newline at end of file
+};
+
+export default useSchedulingEngine;
@@ -468,6 +468,65 @@ export const getAttendeeHistory = async (attendeeId, projectId, filters = {}) =>
   }
 };
 
+/**
+ * Get the recorded absences of several attendees, e.g. to brief trainers on their learners
+ * @param {Array} attendeeIds - end_user IDs
+ * @param {string} projectId - The project ID for validation
+ * @returns {Promise<Array>} Absence records with the session missed, most recent first
+ */
+export const getAttendeeAbsences = async (attendeeIds, projectId) => {
+  if (!projectId) {
+    throw new Error('Project ID is required for all attendance operations');
+  }
+
+  if (!attendeeIds || attendeeIds.length === 0) {
+    return [];
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('attendance_records')
+      .select(`
+        id,
+        attendee_id,
+        session_id,
+        notes,
+        attendance_statuses!fk_attendance_records_status!inner (
+          status_name,
+          is_present
+        ),
+        training_sessions!inner (
+          course_name,
+          session_title,
+          start_datetime
+        )
+      `)
+      .in('attendee_id', attendeeIds)
+      .eq('project_id', projectId)
+      .eq('attendance_statuses.is_present', false);
+
+    if (error) {
+      console.error('❌ Error fetching attendee absences:', error);
+      throw error;
+    }
+
+    // Transform the data
+    return (data || [])
+      .map(record => ({
+        id: record.id,
+        attendee_id: record.attendee_id,
+        session_id: record.session_id,
+        notes: record.notes,
+        status: record.attendance_statuses,
+        session: record.training_sessions
+      }))
+      .sort((a, b) => new Date(b.session.start_datetime) - new Date(a.session.start_datetime));
+  } catch (error) {
+    console.error('❌ Error in getAttendeeAbsences:', error);
+    throw error;
+  }
+};
+
 /**
  * Get attendance statistics for reporting
  * @param {string} projectId - The project ID
@@ -0,0 +1,157 @@
+import { supabase } from '@core/services/supabaseClient';
+
+/**
+ * Audit Service Layer
+ * Reads the audit log that the database triggers in audit_log_schema.sql write for every
+ * change to training sessions, learner assignments and attendance records.
+ * Follows the same patterns as scheduleService.js for consistency
+ */
+
+export const AUDIT_TABLES = {
+  training_sessions: 'Session',
+  user_assignments: 'Assignment',
+  attendance_records: 'Attendance'
+};
+
+export const AUDIT_ACTIONS = {
+  insert: 'Added',
+  update: 'Changed',
+  delete: 'Removed'
+};
+
+// Columns that change on every save and say nothing about what the user did
+const IGNORED_FIELDS = ['created_at', 'updated_at', 'marked_at'];
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '(empty)';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+/**
+ * Field-by-field changes of an audit entry
+ * @param {Object} entry - audit_log row
+ * @returns {Array} [{ field, before, after }] - before is null for additions, after for removals
+ */
+export const getAuditFieldChanges = (entry) => {
+  const before = entry.before_values || {};
+  const after = entry.after_values || {};
+  const fields = entry.action === 'update'
+    ? entry.changed_fields || []
+    : Object.keys(entry.action === 'insert' ? after : before);
+
+  return fields
+    .filter(field => !IGNORED_FIELDS.includes(field) && field !== 'id' && field !== 'project_id')
+    .map(field => ({
+      field,
+      before: entry.action === 'insert' ? null : formatValue(before[field]),
+      after: entry.action === 'delete' ? null : formatValue(after[field])
+    }));
+};
+
+/**
+ * Load audit entries for a project, newest first
+ * Entries are returned with the learner's name and the session title where they can be found.
+ * @param {Object} filters - { scheduleId, sessionId, endUserId, actor, table, fromDate, toDate }
+ *   actor matches part of the email of the user who made the change
+ * @param {string} projectId - The project ID
+ * @param {number} limit - Maximum number of entries
+ * @returns {Promise<Object>} { entries, hasMore }
+ */
+export const getAuditEntries = async (filters = {}, projectId, limit = 500) => {
+  if (!projectId) {
+    throw new Error('Project ID is required for all audit operations');
+  }
+  try {
+    let query = supabase
+      .from('audit_log')
+      .select('*')
+      .eq('project_id', projectId)
+      .order('created_at', { ascending: false })
+      .limit(limit + 1);
+
+    if (filters.scheduleId) query = query.eq('schedule_id', String(filters.scheduleId));
+    if (filters.sessionId) query = query.eq('session_id', String(filters.sessionId));
+    if (filters.endUserId) query = query.eq('end_user_id', String(filters.endUserId));
+    if (filters.table) query = query.eq('table_name', filters.table);
+    if (filters.actor?.trim()) query = query.ilike('actor_email', `%${filters.actor.trim()}%`);
+    if (filters.fromDate) query = query.gte('created_at', new Date(`${filters.fromDate}T00:00:00`).toISOString());
+    if (filters.toDate) query = query.lte('created_at', new Date(`${filters.toDate}T23:59:59`).toISOString());
+
+    const { data, error } = await query;
+
+    if (error) {
+      console.error('❌ Error loading audit log:', error);
+      throw error;
+    }
+
+    const entries = (data || []).slice(0, limit);
+
+    // Names for display; deleted learners and sessions fall back to the logged values
+    const endUserIds = [...new Set(entries.map(entry => entry.end_user_id).filter(Boolean))];
+    const sessionIds = [...new Set(entries.map(entry => entry.session_id).filter(Boolean))];
+
+    const [usersResult, sessionsResult] = await Promise.all([
+      endUserIds.length > 0
+        ? supabase.from('end_users').select('id, name').in('id', endUserIds)
+        : { data: [] },
+      sessionIds.length > 0
+        ? supabase.from('training_sessions').select('id, session_title, start_datetime').in('id', sessionIds)
+        : { data: [] }
+    ]);
+
+    const failed = [usersResult, sessionsResult].find(result => result.error);
+    if (failed) {
+      console.error('❌ Error loading audit log names:', failed.error);
+      throw failed.error;
+    }
+
+    const userNames = new Map((usersResult.data || []).map(user => [String(user.id), user.name]));
+    const sessionTitles = new Map((sessionsResult.data || []).map(session => [String(session.id), session.session_title]));
+
+    return {
+      entries: entries.map(entry => {
+        const values = entry.after_values || entry.before_values || {};
+        return {
+          ...entry,
+          end_user_name: userNames.get(entry.end_user_id) || (entry.end_user_id ? `User ${entry.end_user_id}` : null),
+          session_title: sessionTitles.get(entry.session_id) || values.session_title || null
+        };
+      }),
+      hasMore: (data || []).length > limit
+    };
+  } catch (error) {
+    console.error('❌ Error in getAuditEntries:', error);
+    throw error;
+  }
+};
+
+/**
+ * Flatten audit entries into spreadsheet rows, one row per changed field
+ * @param {Array} entries - Entries from getAuditEntries
+ * @returns {Array} Rows for ExcelService.exportWorkbook
+ */
+export const buildAuditExportRows = (entries) => entries.flatMap(entry => {
+  const base = {
+    'When': new Date(entry.created_at).toLocaleString('en-GB'),
+    'User': entry.actor_email || entry.actor_id || 'System',
+    'Screen': entry.source_screen || '',
+    'Record': AUDIT_TABLES[entry.table_name] || entry.table_name,
+    'Action': AUDIT_ACTIONS[entry.action] || entry.action,
+    'Session': entry.session_title || '',
+    'Learner': entry.end_user_name || '',
+    'Schedule ID': entry.schedule_id || '',
+    'Session ID': entry.session_id || '',
+    'Record ID': entry.record_id || ''
+  };
+  const changes = getAuditFieldChanges(entry);
+  if (changes.length === 0) {
+    return [{ ...base, 'Field': '', 'Before': '', 'After': '' }];
+  }
+  return changes.map(change => ({
+    ...base,
+    'Field': change.field,
+    'Before': change.before ?? '',
+    'After': change.after ?? ''
+  }));
+});
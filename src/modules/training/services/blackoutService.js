@@ -0,0 +1,179 @@
+import { supabase } from '@core/services/supabaseClient';
+import { parseIcsEvents } from '@core/utils/icsParser';
+import { BlackoutCalendar } from '@core/utils/scheduling/BlackoutCalendar';
+
+/**
+ * Blackout Service Layer
+ * Handles CRUD operations for project and training-location blackout calendars
+ * Follows the same patterns as scheduleService.js for consistency
+ */
+
+const BLACKOUT_FIELDS = [
+  'training_location',
+  'blackout_type',
+  'start_date',
+  'end_date',
+  'recurrence',
+  'recurrence_until',
+  'label',
+  'source',
+  'external_uid'
+];
+
+/**
+ * Pick only the columns stored on scheduling_blackouts
+ * @param {Object} entry - Blackout entry
+ * @returns {Object} Database row data
+ */
+const toBlackoutRow = (entry) => {
+  const row = {};
+  BLACKOUT_FIELDS.forEach(field => {
+    if (entry[field] !== undefined) {
+      row[field] = entry[field] === '' ? null : entry[field];
+    }
+  });
+  return row;
+};
+
+/**
+ * Get all blackout entries for a project
+ * @param {string} projectId - The project ID
+ * @returns {Promise<Array>} Array of blackout entries
+ */
+export const getSchedulingBlackouts = async (projectId) => {
+  if (!projectId) {
+    throw new Error('Project ID is required to load blackout dates');
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('scheduling_blackouts')
+      .select('*')
+      .eq('project_id', projectId)
+      .order('start_date', { ascending: true });
+
+    if (error) {
+      console.error('❌ Error fetching blackout dates:', error);
+      throw error;
+    }
+
+    return data || [];
+  } catch (error) {
+    console.error('❌ Error in getSchedulingBlackouts:', error);
+    throw error;
+  }
+};
+
+/**
+ * Create one or more blackout entries
+ * @param {Array|Object} entries - Blackout entry or entries
+ * @param {string} projectId - The project ID
+ * @returns {Promise<Array>} Created blackout entries
+ */
+export const createSchedulingBlackouts = async (entries, projectId) => {
+  if (!projectId) {
+    throw new Error('Project ID is required for all blackout operations');
+  }
+
+  const rows = (Array.isArray(entries) ? entries : [entries]).map(entry => ({
+    ...toBlackoutRow(entry),
+    project_id: projectId
+  }));
+
+  if (rows.length === 0) {
+    return [];
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('scheduling_blackouts')
+      .insert(rows)
+      .select();
+
+    if (error) {
+      console.error('❌ Error creating blackout dates:', error);
+      throw error;
+    }
+
+    console.log(`✅ Created ${data.length} blackout entries`);
+    return data;
+  } catch (error) {
+    console.error('❌ Error in createSchedulingBlackouts:', error);
+    throw error;
+  }
+};
+
+/**
+ * Delete a blackout entry
+ * @param {string} blackoutId - The blackout ID
+ * @param {string} projectId - The project ID for validation
+ * @returns {Promise<boolean>} Success status
+ */
+export const deleteSchedulingBlackout = async (blackoutId, projectId) => {
+  if (!projectId) {
+    throw new Error('Project ID is required for all blackout operations');
+  }
+
+  try {
+    const { error } = await supabase
+      .from('scheduling_blackouts')
+      .delete()
+      .eq('id', blackoutId)
+      .eq('project_id', projectId);
+
+    if (error) {
+      console.error('❌ Error deleting blackout date:', error);
+      throw error;
+    }
+
+    return true;
+  } catch (error) {
+    console.error('❌ Error in deleteSchedulingBlackout:', error);
+    throw error;
+  }
+};
+
+/**
+ * Import blackout entries from ICS content
+ * Events already imported (same UID and location) are skipped. Recurring events whose rule
+ * cannot be expanded (first occurrence only) or whose expansion was cut short are listed in `unsupported`.
+ * @param {string} icsContent - Raw .ics file content
+ * @param {string} projectId - The project ID
+ * @param {string|null} trainingLocation - Location to apply to (null = whole project)
+ * @returns {Promise<Object>} { imported, skipped, unsupported } - unsupported: [{ label, rule }]
+ */
+export const importBlackoutsFromIcs = async (icsContent, projectId, trainingLocation = null) => {
+  if (!projectId) {
+    throw new Error('Project ID is required for all blackout operations');
+  }
+
+  try {
+    const events = parseIcsEvents(icsContent);
+    const entries = BlackoutCalendar.fromIcsEvents(events, { trainingLocation, source: 'ics' });
+    const unsupported = BlackoutCalendar.findIncompleteIcsEvents(events);
+
+    const existing = await getSchedulingBlackouts(projectId);
+    const existingUids = new Set(
+      existing
+        .filter(entry => entry.external_uid && (entry.training_location || null) === trainingLocation)
+        .map(entry => entry.external_uid)
+    );
+
+    const newEntries = entries.filter(entry => !entry.external_uid || !existingUids.has(entry.external_uid));
+    const imported = await createSchedulingBlackouts(newEntries, projectId);
+
+    console.log(`📅 Imported ${imported.length} blackout entries from ICS (${entries.length - newEntries.length} already present)`);
+    if (unsupported.length > 0) {
+      console.warn(`⚠️ ${unsupported.length} ICS events could not be imported completely (unsupported or too many occurrences)`);
+    }
+
+    return {
+      imported,
+      skipped: entries.length - newEntries.length,
+      unsupported
+    };
+  } catch (error) {
+    console.error('❌ Error in importBlackoutsFromIcs:', error);
+    throw error;
+  }
+};
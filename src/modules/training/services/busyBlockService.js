@@ -0,0 +1,233 @@
+import { supabase } from '@core/services/supabaseClient';
+import { parseIcsEvents } from '@core/utils/icsParser';
+import { BUSY_RESOURCE, busyBlocksFromIcsEvents, findIncompleteBusyIcsEvents } from '@core/utils/scheduling/BusyBlocks';
+
+/**
+ * Busy Block Service Layer
+ * Handles busy time imported from external calendars for trainers and training-location classrooms
+ * Follows the same patterns as scheduleService.js for consistency
+ */
+
+const BUSY_BLOCK_FIELDS = [
+  'resource_type',
+  'trainer_id',
+  'training_location',
+  'classroom_number',
+  'start_datetime',
+  'end_datetime',
+  'all_day',
+  'label',
+  'source',
+  'external_uid'
+];
+
+/**
+ * Pick only the columns stored on resource_busy_blocks
+ * @param {Object} block - Busy block
+ * @returns {Object} Database row data
+ */
+const toBusyBlockRow = (block) => {
+  const row = {};
+  BUSY_BLOCK_FIELDS.forEach(field => {
+    if (block[field] !== undefined) {
+      row[field] = block[field] === '' ? null : block[field];
+    }
+  });
+  return row;
+};
+
+/**
+ * Narrow a query to one trainer or one classroom
+ * @param {Object} query - Supabase query builder
+ * @param {Object} resource - { type, trainerId } or { type, trainingLocation, classroomNumber }
+ * @returns {Object} Filtered query
+ */
+const filterByResource = (query, resource) => {
+  if (resource.type === BUSY_RESOURCE.TRAINER) {
+    return query.eq('resource_type', BUSY_RESOURCE.TRAINER).eq('trainer_id', resource.trainerId);
+  }
+  return query
+    .eq('resource_type', BUSY_RESOURCE.CLASSROOM)
+    .eq('training_location', resource.trainingLocation)
+    .eq('classroom_number', Number(resource.classroomNumber));
+};
+
+/**
+ * Get all busy blocks for a project
+ * @param {string} projectId - The project ID
+ * @returns {Promise<Array>} Busy blocks in start order
+ */
+export const getBusyBlocks = async (projectId) => {
+  if (!projectId) {
+    throw new Error('Project ID is required to load busy time');
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('resource_busy_blocks')
+      .select('*')
+      .eq('project_id', projectId)
+      .order('start_datetime', { ascending: true });
+
+    if (error) {
+      console.error('❌ Error fetching busy blocks:', error);
+      throw error;
+    }
+
+    return data || [];
+  } catch (error) {
+    console.error('❌ Error in getBusyBlocks:', error);
+    throw error;
+  }
+};
+
+/**
+ * Create one or more busy blocks
+ * @param {Array|Object} blocks - Busy block or blocks
+ * @param {string} projectId - The project ID
+ * @returns {Promise<Array>} Created busy blocks
+ */
+export const createBusyBlocks = async (blocks, projectId) => {
+  if (!projectId) {
+    throw new Error('Project ID is required for all busy time operations');
+  }
+
+  const rows = (Array.isArray(blocks) ? blocks : [blocks]).map(block => ({
+    ...toBusyBlockRow(block),
+    project_id: projectId
+  }));
+
+  if (rows.length === 0) {
+    return [];
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('resource_busy_blocks')
+      .insert(rows)
+      .select();
+
+    if (error) {
+      console.error('❌ Error creating busy blocks:', error);
+      throw error;
+    }
+
+    console.log(`✅ Created ${data.length} busy blocks`);
+    return data;
+  } catch (error) {
+    console.error('❌ Error in createBusyBlocks:', error);
+    throw error;
+  }
+};
+
+/**
+ * Delete a busy block
+ * @param {string} blockId - The busy block ID
+ * @param {string} projectId - The project ID for validation
+ * @returns {Promise<boolean>} Success status
+ */
+export const deleteBusyBlock = async (blockId, projectId) => {
+  if (!projectId) {
+    throw new Error('Project ID is required for all busy time operations');
+  }
+
+  try {
+    const { error } = await supabase
+      .from('resource_busy_blocks')
+      .delete()
+      .eq('id', blockId)
+      .eq('project_id', projectId);
+
+    if (error) {
+      console.error('❌ Error deleting busy block:', error);
+      throw error;
+    }
+
+    return true;
+  } catch (error) {
+    console.error('❌ Error in deleteBusyBlock:', error);
+    throw error;
+  }
+};
+
+/**
+ * Delete every busy block of one trainer or classroom
+ * @param {Object} resource - { type, trainerId } or { type, trainingLocation, classroomNumber }
+ * @param {string} projectId - The project ID for validation
+ * @returns {Promise<boolean>} Success status
+ */
+export const clearResourceBusyBlocks = async (resource, projectId) => {
+  if (!projectId) {
+    throw new Error('Project ID is required for all busy time operations');
+  }
+
+  try {
+    const { error } = await filterByResource(
+      supabase.from('resource_busy_blocks').delete().eq('project_id', projectId),
+      resource
+    );
+
+    if (error) {
+      console.error('❌ Error clearing busy blocks:', error);
+      throw error;
+    }
+
+    return true;
+  } catch (error) {
+    console.error('❌ Error in clearResourceBusyBlocks:', error);
+    throw error;
+  }
+};
+
+/**
+ * Import busy time for a trainer or classroom from ICS content
+ * Events imported before (same UID, same resource) are replaced, so importing an updated
+ * export of the same calendar moves, adds and removes occurrences instead of duplicating them.
+ * Recurring events that cannot be expanded completely are listed in `incomplete`.
+ * @param {string} icsContent - Raw .ics file content
+ * @param {Object} resource - { type, trainerId } or { type, trainingLocation, classroomNumber }
+ * @param {string} projectId - The project ID
+ * @returns {Promise<Object>} { imported, replaced, incomplete } - created blocks, the number of old
+ *   blocks removed and [{ label, rule }] for events not fully imported
+ */
+export const importBusyBlocksFromIcs = async (icsContent, resource, projectId) => {
+  if (!projectId) {
+    throw new Error('Project ID is required for all busy time operations');
+  }
+
+  try {
+    const events = parseIcsEvents(icsContent);
+    const blocks = busyBlocksFromIcsEvents(events, resource);
+    const incomplete = findIncompleteBusyIcsEvents(events);
+
+    const uids = [...new Set(blocks.map(block => block.external_uid).filter(Boolean))];
+    let replaced = 0;
+    if (uids.length > 0) {
+      const { data, error } = await filterByResource(
+        supabase.from('resource_busy_blocks').delete().eq('project_id', projectId),
+        resource
+      )
+        .eq('source', 'ics')
+        .in('external_uid', uids)
+        .select('id');
+
+      if (error) {
+        console.error('❌ Error replacing busy blocks:', error);
+        throw error;
+      }
+      replaced = (data || []).length;
+    }
+
+    const imported = await createBusyBlocks(blocks, projectId);
+
+    console.log(`📅 Imported ${imported.length} busy blocks from ${events.length} ICS events (${replaced} replaced)`);
+    if (incomplete.length > 0) {
+      console.warn(`⚠️ ${incomplete.length} ICS events could not be imported completely (unsupported or too many occurrences)`);
+    }
+
+    return { imported, replaced, incomplete };
+  } catch (error) {
+    console.error('❌ Error in importBusyBlocksFromIcs:', error);
+    throw error;
+  }
+};
@@ -0,0 +1,120 @@
+import { supabase } from '@core/services/supabaseClient';
+
+/**
+ * Calendar Feed Service Layer
+ * Creates and revokes the secret calendar feed URLs that learners and trainers subscribe to.
+ * The feeds themselves are served by api/calendar-feed.js; see calendar_feeds_schema.sql.
+ * Follows the same patterns as scheduleService.js for consistency
+ */
+
+// Path of the calendar feed endpoint; served by Vercel in production and by the Vite dev server locally
+export const CALENDAR_FEED_PATH = '/api/calendar-feed';
+
+/**
+ * Subscription URL of a calendar feed
+ * @param {string} token - The feed's token
+ * @param {boolean} webcal - Use the webcal:// scheme, which opens the subscription in a calendar app
+ * @returns {string} Feed URL
+ */
+export const getCalendarFeedUrl = (token, webcal = false) => {
+  const url = `${window.location.origin}${CALENDAR_FEED_PATH}?token=${encodeURIComponent(token)}`;
+  return webcal ? url.replace(/^https?:/, 'webcal:') : url;
+};
+
+/**
+ * Get the active calendar feeds of a project
+ * @param {string} projectId - The project ID
+ * @returns {Promise<Array>} calendar_feeds rows
+ */
+export const getCalendarFeeds = async (projectId) => {
+  if (!projectId) {
+    throw new Error('Project ID is required to load calendar feeds');
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('calendar_feeds')
+      .select('*')
+      .eq('project_id', projectId)
+      .is('revoked_at', null);
+
+    if (error) {
+      console.error('❌ Error fetching calendar feeds:', error);
+      throw error;
+    }
+
+    return data || [];
+  } catch (error) {
+    console.error('❌ Error in getCalendarFeeds:', error);
+    throw error;
+  }
+};
+
+/**
+ * Create a calendar feed for a learner or trainer
+ * @param {Object} person - { endUserId } or { trainerId }
+ * @param {string} projectId - The project ID
+ * @returns {Promise<Object>} The new calendar_feeds row
+ */
+export const createCalendarFeed = async ({ endUserId = null, trainerId = null }, projectId) => {
+  if (!projectId) {
+    throw new Error('Project ID is required to create a calendar feed');
+  }
+
+  try {
+    const { data: authData } = await supabase.auth.getSession();
+
+    const { data, error } = await supabase
+      .from('calendar_feeds')
+      .insert([{
+        project_id: projectId,
+        end_user_id: endUserId,
+        trainer_id: trainerId,
+        created_by: authData?.session?.user?.id || null
+      }])
+      .select()
+      .single();
+
+    if (error) {
+      console.error('❌ Error creating calendar feed:', error);
+      throw error;
+    }
+
+    return data;
+  } catch (error) {
+    console.error('❌ Error in createCalendarFeed:', error);
+    throw error;
+  }
+};
+
+/**
+ * Revoke a calendar feed; its URL stops working
+ * @param {string} feedId - The feed ID
+ * @param {string} projectId - The project ID
+ * @returns {Promise<Object>} The revoked calendar_feeds row
+ */
+export const revokeCalendarFeed = async (feedId, projectId) => {
+  if (!projectId) {
+    throw new Error('Project ID is required to revoke a calendar feed');
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('calendar_feeds')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('id', feedId)
+      .eq('project_id', projectId)
+      .select()
+      .single();
+
+    if (error) {
+      console.error('❌ Error revoking calendar feed:', error);
+      throw error;
+    }
+
+    return data;
+  } catch (error) {
+    console.error('❌ Error in revokeCalendarFeed:', error);
+    throw error;
+  }
+};
@@ -0,0 +1,81 @@
+import { supabase } from '@core/services/supabaseClient';
+
+/**
+ * Location Wave Service Layer
+ * Reads and saves the go-live date and training window stored on training_locations
+ * Follows the same patterns as scheduleService.js for consistency
+ */
+
+/**
+ * Get the go-live waves recorded on the project's training locations
+ * @param {string} projectId - The project ID
+ * @returns {Promise<Object>} { [location name]: { go_live_date, train_weeks_before } } for locations with a go-live date
+ */
+export const getLocationWaveDefaults = async (projectId) => {
+  if (!projectId) {
+    throw new Error('Project ID is required to load location go-live dates');
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('training_locations')
+      .select('name, go_live_date, train_weeks_before')
+      .eq('project_id', projectId)
+      .not('go_live_date', 'is', null);
+
+    if (error) {
+      console.error('❌ Error fetching location go-live dates:', error);
+      throw error;
+    }
+
+    return (data || []).reduce((waves, location) => {
+      waves[location.name] = {
+        go_live_date: location.go_live_date,
+        train_weeks_before: location.train_weeks_before
+      };
+      return waves;
+    }, {});
+  } catch (error) {
+    console.error('❌ Error in getLocationWaveDefaults:', error);
+    throw error;
+  }
+};
+
+/**
+ * Save go-live waves back to the training locations as their defaults
+ * @param {Object} waves - { [location name]: { go_live_date, train_weeks_before } }
+ * @param {string} projectId - The project ID
+ * @returns {Promise<number>} Number of locations updated
+ */
+export const saveLocationWaveDefaults = async (waves, projectId) => {
+  if (!projectId) {
+    throw new Error('Project ID is required for all location go-live operations');
+  }
+
+  try {
+    const entries = Object.entries(waves || {});
+    for (const [name, wave] of entries) {
+      const { error } = await supabase
+        .from('training_locations')
+        .update({
+          go_live_date: wave.go_live_date || null,
+          train_weeks_before: wave.train_weeks_before === '' || wave.train_weeks_before === undefined
+            ? null
+            : wave.train_weeks_before
+        })
+        .eq('project_id', projectId)
+        .eq('name', name);
+
+      if (error) {
+        console.error(`❌ Error saving go-live date for ${name}:`, error);
+        throw error;
+      }
+    }
+
+    console.log(`✅ Saved go-live dates for ${entries.length} training locations`);
+    return entries.length;
+  } catch (error) {
+    console.error('❌ Error in saveLocationWaveDefaults:', error);
+    throw error;
+  }
+};
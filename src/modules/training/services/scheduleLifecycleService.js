@@ -0,0 +1,224 @@
+import { supabase } from '@core/services/supabaseClient';
+import { createScheduleRevision } from '@core/services/scheduleService';
+import { SCHEDULE_STATUS, SCHEDULE_STATUS_LABELS } from '@core/utils/scheduling/index.js';
+
+/**
+ * Schedule Lifecycle Service Layer
+ * Moves schedules through draft, review, publication, delivery and closure, and records
+ * the change requests that are the only way to change a published schedule's sessions.
+ * The permission and transition rules are enforced in schedule_lifecycle_schema.sql.
+ * Follows the same patterns as scheduleService.js for consistency
+ */
+
+/**
+ * Move a schedule to a new lifecycle status
+ * Publishing records a revision, so later change requests can be compared with what was published.
+ * @param {string} scheduleId - The schedule ID
+ * @param {string} status - Target status (SCHEDULE_STATUS)
+ * @param {string} projectId - The project ID
+ * @returns {Promise<Object>} The updated training_schedules row
+ */
+export const transitionScheduleStatus = async (scheduleId, status, projectId) => {
+  if (!projectId) {
+    throw new Error('Project ID is required for all schedule operations');
+  }
+  try {
+    const { data, error } = await supabase.rpc('transition_schedule_status', {
+      p_project_id: projectId,
+      p_schedule_id: scheduleId,
+      p_status: status
+    });
+
+    if (error) {
+      console.error('❌ Error changing schedule status:', error);
+      throw error;
+    }
+
+    if (status === SCHEDULE_STATUS.PUBLISHED) {
+      await createScheduleRevision(scheduleId, 'Published', projectId);
+    }
+
+    console.log(`✅ Schedule ${scheduleId} is now ${SCHEDULE_STATUS_LABELS[status]}`);
+    return data;
+  } catch (error) {
+    console.error('❌ Error in transitionScheduleStatus:', error);
+    throw error;
+  }
+};
+
+/**
+ * List a schedule's change requests, newest first
+ * @param {string} scheduleId - The schedule ID
+ * @param {string} projectId - The project ID
+ * @returns {Promise<Array>} schedule_change_requests rows
+ */
+export const getScheduleChangeRequests = async (scheduleId, projectId) => {
+  if (!projectId) {
+    throw new Error('Project ID is required for all schedule operations');
+  }
+  try {
+    const { data, error } = await supabase
+      .from('schedule_change_requests')
+      .select('*')
+      .eq('schedule_id', scheduleId)
+      .eq('project_id', projectId)
+      .order('requested_at', { ascending: false });
+
+    if (error) {
+      console.error('❌ Error loading change requests:', error);
+      throw error;
+    }
+
+    return data || [];
+  } catch (error) {
+    console.error('❌ Error in getScheduleChangeRequests:', error);
+    throw error;
+  }
+};
+
+/**
+ * Raise a change request against a locked schedule
+ * @param {Object} request
+ * @param {string} request.scheduleId - The schedule ID
+ * @param {string} request.reason - Why the change is needed
+ * @param {Object} request.changeSet - { updates, inserts, deleteIds, scheduleChanges } for applyTrainingSessionChanges
+ * @param {Array} request.changes - Session changes from diffScheduleRevisions
+ * @param {string} projectId - The project ID
+ * @returns {Promise<Object>} The new schedule_change_requests row
+ */
+export const submitScheduleChangeRequest = async ({ scheduleId, reason, changeSet, changes }, projectId) => {
+  if (!projectId) {
+    throw new Error('Project ID is required for all schedule operations');
+  }
+  if (!reason?.trim()) {
+    throw new Error('A reason is required for a change request');
+  }
+  try {
+    const affectedAssignments = changes.flatMap(change =>
+      change.learners.map(learner => ({ ...learner, session_identifier: change.key }))
+    );
+    const { data: authData } = await supabase.auth.getSession();
+
+    const { data, error } = await supabase
+      .from('schedule_change_requests')
+      .insert([{
+        project_id: projectId,
+        schedule_id: scheduleId,
+        reason: reason.trim(),
+        change_set: changeSet,
+        changes,
+        affected_assignments: affectedAssignments,
+        affected_count: affectedAssignments.length,
+        requested_by: authData?.session?.user?.id || null
+      }])
+      .select()
+      .single();
+
+    if (error) {
+      console.error('❌ Error saving change request:', error);
+      throw error;
+    }
+
+    console.log(`📝 Change request raised for schedule ${scheduleId}: ${changes.length} session change(s), ${affectedAssignments.length} assignment(s) affected`);
+    return data;
+  } catch (error) {
+    console.error('❌ Error in submitScheduleChangeRequest:', error);
+    throw error;
+  }
+};
+
+/**
+ * Approve a pending change request and apply its changes
+ * The change set is applied in the same transaction as the approval; if any session fails
+ * nothing is applied and the error carries the rejected rows in .failures, as with
+ * applyTrainingSessionChanges. A revision is recorded afterwards.
+ * @param {Object} request - schedule_change_requests row
+ * @param {string|null} decisionNote - Optional note from the approver
+ * @param {string} projectId - The project ID
+ * @returns {Promise<Object>} The revision recorded for the change
+ */
+export const approveScheduleChangeRequest = async (request, decisionNote = null, projectId) => {
+  if (!projectId) {
+    throw new Error('Project ID is required for all schedule operations');
+  }
+  try {
+    const { error } = await supabase.rpc('approve_schedule_change_request', {
+      p_project_id: projectId,
+      p_request_id: request.id,
+      p_decision_note: decisionNote
+    });
+
+    if (error) {
+      console.error('❌ Error approving change request:', error);
+      let failures = [];
+      try {
+        failures = JSON.parse(error.details || '[]');
+      } catch {
+        // Not a row failure report (e.g. a permission error)
+      }
+      const approvalError = new Error(error.message || 'Change request could not be applied');
+      approvalError.failures = Array.isArray(failures) ? failures : [];
+      throw approvalError;
+    }
+
+    const revision = await createScheduleRevision(request.schedule_id, `Change request: ${request.reason}`, projectId);
+
+    const { error: linkError } = await supabase
+      .from('schedule_change_requests')
+      .update({ applied_revision_id: revision.id })
+      .eq('id', request.id)
+      .eq('project_id', projectId);
+
+    if (linkError) {
+      console.error('❌ Error linking change request to revision:', linkError);
+      throw linkError;
+    }
+
+    console.log(`✅ Change request ${request.id} approved and applied as revision ${revision.revision_number}`);
+    return revision;
+  } catch (error) {
+    console.error('❌ Error in approveScheduleChangeRequest:', error);
+    throw error;
+  }
+};
+
+/**
+ * Reject a pending change request
+ * @param {string} requestId - The change request ID
+ * @param {string|null} decisionNote - Optional note from the approver
+ * @param {string} projectId - The project ID
+ * @returns {Promise<Object>} The updated schedule_change_requests row
+ */
+export const rejectScheduleChangeRequest = async (requestId, decisionNote = null, projectId) => {
+  if (!projectId) {
+    throw new Error('Project ID is required for all schedule operations');
+  }
+  try {
+    const { data: authData } = await supabase.auth.getSession();
+
+    const { data, error } = await supabase
+      .from('schedule_change_requests')
+      .update({
+        status: 'rejected',
+        decided_by: authData?.session?.user?.id || null,
+        decided_at: new Date().toISOString(),
+        decision_note: decisionNote
+      })
+      .eq('id', requestId)
+      .eq('project_id', projectId)
+      .eq('status', 'pending')
+      .select()
+      .single();
+
+    if (error) {
+      console.error('❌ Error rejecting change request:', error);
+      throw error;
+    }
+
+    console.log(`🚫 Change request ${requestId} rejected`);
+    return data;
+  } catch (error) {
+    console.error('❌ Error in rejectScheduleChangeRequest:', error);
+    throw error;
+  }
+};
@@ -0,0 +1,146 @@
+import { supabase } from '@core/services/supabaseClient';
+
+/**
+ * Top-Up Service Layer
+ * Loads what an incremental top-up run needs and writes the learner assignments it proposes
+ * Follows the same patterns as scheduleService.js for consistency
+ */
+
+/**
+ * Load a saved schedule's sessions, assignments and current learner demand
+ * Demand is rebuilt from end users and role-course mappings for the schedule's selected
+ * training locations and functional areas, one row per end user and course.
+ * @param {Object} schedule - training_schedules row
+ * @param {string} projectId - The project ID
+ * @returns {Promise<Object>} { criteria, courses, demandRows, sessionRows, assignments }
+ */
+export const loadTopUpData = async (schedule, projectId) => {
+  if (!projectId) {
+    throw new Error('Project ID is required for all top-up operations');
+  }
+
+  try {
+    const criteria = typeof schedule.criteria === 'string'
+      ? JSON.parse(schedule.criteria)
+      : schedule.criteria || {};
+
+    const [usersResult, mappingsResult, coursesResult, sessionsResult, assignmentsResult] = await Promise.all([
+      supabase.from('end_users').select('id, name, training_location, project_role').eq('project_id', projectId),
+      supabase.from('role_course_mappings').select('project_role_name, course_id').eq('project_id', projectId),
+      supabase.from('courses').select('*').eq('project_id', projectId),
+      supabase.from('training_sessions').select('*').eq('schedule_id', schedule.id).eq('project_id', projectId),
+      supabase.from('user_assignments').select('end_user_id, course_id, session_id').eq('schedule_id', schedule.id)
+    ]);
+
+    const failed = [usersResult, mappingsResult, coursesResult, sessionsResult, assignmentsResult].find(result => result.error);
+    if (failed) {
+      console.error('❌ Error loading top-up data:', failed.error);
+      throw failed.error;
+    }
+
+    const selectedLocations = criteria.selected_training_locations || [];
+    const selectedAreas = criteria.selected_functional_areas || [];
+    const courses = (coursesResult.data || []).filter(course =>
+      selectedAreas.length === 0 || selectedAreas.includes(course.functional_area)
+    );
+    const courseById = new Map(courses.map(course => [course.course_id, course]));
+
+    const coursesByRole = new Map();
+    (mappingsResult.data || []).forEach(mapping => {
+      if (!coursesByRole.has(mapping.project_role_name)) coursesByRole.set(mapping.project_role_name, new Set());
+      coursesByRole.get(mapping.project_role_name).add(mapping.course_id);
+    });
+
+    const demandRows = (usersResult.data || [])
+      .filter(user => selectedLocations.length === 0 || selectedLocations.includes(user.training_location))
+      .flatMap(user => Array.from(coursesByRole.get(user.project_role) || [])
+        .filter(courseId => courseById.has(courseId))
+        .map(courseId => {
+          const course = courseById.get(courseId);
+          return {
+            id: user.id,
+            name: user.name,
+            training_location: user.training_location,
+            functional_area: course.functional_area,
+            course_id: course.course_id,
+            course_name: course.course_name,
+            duration_hrs: course.duration_hrs
+          };
+        }));
+
+    console.log(`📥 Loaded top-up data: ${demandRows.length} learner-course needs, ${sessionsResult.data?.length || 0} sessions, ${assignmentsResult.data?.length || 0} assignments`);
+
+    return {
+      criteria,
+      courses,
+      demandRows,
+      sessionRows: sessionsResult.data || [],
+      assignments: assignmentsResult.data || []
+    };
+  } catch (error) {
+    console.error('❌ Error in loadTopUpData:', error);
+    throw error;
+  }
+};
+
+/**
+ * Assign learners to the session groups a top-up run chose for them
+ * Each learner is assigned to the first part of their session group.
+ * @param {Array} seatFills - Seat fills from planTopUp ({ endUserId, courseId, courseName, group })
+ * @param {string} scheduleId - The schedule ID
+ * @param {string} projectId - The project ID
+ * @returns {Promise<Array>} Inserted user_assignments rows
+ */
+export const saveTopUpAssignments = async (seatFills, scheduleId, projectId) => {
+  if (!projectId) {
+    throw new Error('Project ID is required for all top-up operations');
+  }
+  if (seatFills.length === 0) return [];
+
+  try {
+    const now = new Date().toISOString();
+    const records = seatFills.map(({ endUserId, courseId, courseName, group }) => {
+      const firstPart = group.parts[0];
+      return {
+        end_user_id: endUserId,
+        project_id: projectId,
+        schedule_id: scheduleId,
+        course_id: courseId,
+        session_identifier: firstPart.session_identifier,
+        session_id: firstPart.id,
+        assignment_level: 'session',
+        assignment_type: 'standard',
+        assignment_status: 'enrolled',
+        completion_status: 'pending',
+        group_identifier: firstPart.group_identifier || `${courseId}-group-${group.sessionNumber}`,
+        training_location: group.trainingLocation,
+        functional_area: group.functionalArea,
+        assignment_source: 'automatic',
+        assigned_at: now,
+        assigned_by: null,
+        exception_reason: null,
+        completion_date: null,
+        attendance_status: 'not_attended',
+        attendance_date: null,
+        attendance_notes: null,
+        notes: `Top-up: assigned to ${courseName} - Group ${group.sessionNumber}`
+      };
+    });
+
+    const { data, error } = await supabase
+      .from('user_assignments')
+      .insert(records)
+      .select();
+
+    if (error) {
+      console.error('❌ Error saving top-up assignments:', error);
+      throw error;
+    }
+
+    console.log(`✅ Assigned ${data.length} learners from the top-up run`);
+    return data;
+  } catch (error) {
+    console.error('❌ Error in saveTopUpAssignments:', error);
+    throw error;
+  }
+};
@@ -0,0 +1,81 @@
+import { supabase } from '@core/services/supabaseClient';
+
+/**
+ * Trainer Service Layer
+ * Loads trainers and their availability windows for trainer-aware scheduling
+ * Follows the same patterns as scheduleService.js for consistency
+ */
+
+/**
+ * Get active trainers for a project
+ * @param {string} projectId - The project ID
+ * @returns {Promise<Array>} Array of trainers
+ */
+export const getActiveTrainers = async (projectId) => {
+  if (!projectId) {
+    throw new Error('Project ID is required to load trainers');
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('trainers')
+      .select('*')
+      .eq('project_id', projectId)
+      .eq('active', true)
+      .order('name', { ascending: true });
+
+    if (error) {
+      console.error('❌ Error fetching trainers:', error);
+      throw error;
+    }
+
+    return data || [];
+  } catch (error) {
+    console.error('❌ Error in getActiveTrainers:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get availability windows for all trainers in a project
+ * @param {string} projectId - The project ID
+ * @returns {Promise<Array>} Array of trainer_availability rows
+ */
+export const getTrainerAvailability = async (projectId) => {
+  if (!projectId) {
+    throw new Error('Project ID is required to load trainer availability');
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('trainer_availability')
+      .select('*')
+      .eq('project_id', projectId);
+
+    if (error) {
+      console.error('❌ Error fetching trainer availability:', error);
+      throw error;
+    }
+
+    return data || [];
+  } catch (error) {
+    console.error('❌ Error in getTrainerAvailability:', error);
+    throw error;
+  }
+};
+
+/**
+ * Load everything the scheduling engine needs to allocate trainers
+ * @param {string} projectId - The project ID
+ * @returns {Promise<Object>} { trainers, availability }
+ */
+export const loadTrainerSchedulingData = async (projectId) => {
+  const [trainers, availability] = await Promise.all([
+    getActiveTrainers(projectId),
+    getTrainerAvailability(projectId)
+  ]);
+
+  console.log(`👩‍🏫 Loaded ${trainers.length} trainers with ${availability.length} availability windows`);
+
+  return { trainers, availability };
+};
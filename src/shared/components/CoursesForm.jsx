@@ -1,6 +1,9 @@
 import { useState, useEffect, useRef } from 'react';
 import { supabase } from '@core/services/supabaseClient';
 import { useProject } from '@core/contexts/ProjectContext';
+import { validateCourseDependencies } from '@core/utils/scheduling/CourseDependencies';
+import { DELIVERY_MODE, DELIVERY_MODE_LABELS, getDeliveryMode } from '@core/utils/scheduling/DeliveryModes';
+import { DAY_PATTERN, DAY_PATTERN_LABELS, getCourseDayPattern } from '@core/utils/scheduling/CourseDayPatterns';
 import './CoursesForm.css';
 
 // Excel-style dropdown filter component with checkboxes
@@ -391,6 +394,32 @@ const CoursesForm = () => {
     }
   };
 
+  // Record an edit to a single course field
+  const handleFieldEdit = (courseId, field, value) => {
+    setEdits(prev => ({
+      ...prev,
+      [courseId]: {
+        ...prev[courseId],
+        [field]: value
+      }
+    }));
+  };
+
+  // Save all pending edits once the sequencing rules they produce are valid
+  const handleSaveAll = () => {
+    const editedCourses = courses.map(course => ({ ...course, ...edits[course.course_id] }));
+    const { errors } = validateCourseDependencies(editedCourses);
+    if (errors.length > 0) {
+      alert(`Please fix the course sequencing rules before saving:\n\n${errors.join('\n')}`);
+      return;
+    }
+
+    Object.entries(edits).forEach(([courseId, updatedData]) => {
+      handleUpdate(courseId, updatedData);
+    });
+    setEdits({});
+  };
+
   // Handle density change
   const handleDensityChange = (newDensity) => {
     setDensity(newDensity);
@@ -447,7 +476,10 @@ const CoursesForm = () => {
           </div>
         )}
         <p className="courses-form-description">
-          Manage your training courses, including course details, duration, and functional areas. Use the Priority field to sequence the courses, the lower the number the higher the priority
+          Manage your training courses, including course details, duration, and functional areas. Use the Priority field to sequence the courses, the lower the number the higher the priority.
+          Use Sequencing to make a course follow a prerequisite for the same group, with optional minimum / maximum gaps in working days or in the same week.
+          Use Delivery to run a course as Virtual (no classroom, learners pooled across locations) or Hybrid (classroom plus a meeting link).
+          Under Duration, cap the hours taught per day and choose whether a long course runs on consecutive days or on the same day each week or fortnight.
         </p>
       </div>
       
@@ -494,12 +526,7 @@ const CoursesForm = () => {
               Add New Course
             </button>
             <button 
-              onClick={() => {
-                Object.entries(edits).forEach(([courseId, updatedData]) => {
-                  handleUpdate(courseId, updatedData);
-                });
-                setEdits({});
-              }}
+              onClick={handleSaveAll}
               disabled={Object.keys(edits).length === 0}
               className="add-course-btn"
               style={{ background: Object.keys(edits).length > 0 ? '#007bff' : '#6c757d' }}
@@ -514,13 +541,15 @@ const CoursesForm = () => {
         <table>
         <thead className="table-header">
           <tr>
-            <th style={{width: '15%'}}>Course ID</th>
-            <th style={{width: '20%'}}>Course Name</th>
-            <th style={{width: '15%'}}>Functional Area</th>
-            <th style={{width: '10%'}}>Duration (hrs)</th>
-            <th style={{width: '10%'}}>Priority</th>
-            <th style={{width: '15%'}}>Application</th>
-            <th style={{width: '15%'}}>Actions</th>
+            <th style={{width: '10%'}}>Course ID</th>
+            <th style={{width: '14%'}}>Course Name</th>
+            <th style={{width: '11%'}}>Functional Area</th>
+            <th style={{width: '7%'}}>Duration (hrs)</th>
+            <th style={{width: '7%'}}>Priority</th>
+            <th style={{width: '10%'}}>Application</th>
+            <th style={{width: '18%'}}>Sequencing</th>
+            <th style={{width: '15%'}}>Delivery</th>
+            <th style={{width: '8%'}}>Actions</th>
           </tr>
           <tr className="filter-row">
             <th className="filter-cell">
@@ -601,6 +630,8 @@ const CoursesForm = () => {
                 }}
               />
             </th>
+            <th className="filter-cell"></th>
+            <th className="filter-cell"></th>
             <th className="filter-cell">
               <button
                 onClick={() => setColumnFilters({})}
@@ -672,6 +703,26 @@ const CoursesForm = () => {
                     }
                   }))}
                 />
+                <div className="course-day-options">
+                  <input
+                    type="number"
+                    min="0.5"
+                    step="0.5"
+                    placeholder="Hrs/day"
+                    value={edits[course.course_id]?.max_hours_per_day ?? course.max_hours_per_day ?? ''}
+                    onChange={e => handleFieldEdit(course.course_id, 'max_hours_per_day', e.target.value === '' ? null : Number(e.target.value))}
+                    title="Maximum hours of this course per day (defaults to the schedule's setting, otherwise the full day)"
+                  />
+                  <select
+                    value={getCourseDayPattern({ day_pattern: edits[course.course_id]?.day_pattern ?? course.day_pattern })}
+                    onChange={e => handleFieldEdit(course.course_id, 'day_pattern', e.target.value)}
+                    title="Days a course longer than one day runs on"
+                  >
+                    {Object.values(DAY_PATTERN).map(pattern => (
+                      <option key={pattern} value={pattern}>{DAY_PATTERN_LABELS[pattern]}</option>
+                    ))}
+                  </select>
+                </div>
               </td>
               <td>
                 <input
@@ -701,6 +752,82 @@ const CoursesForm = () => {
                   }))}
                 />
               </td>
+              <td>
+                <select
+                  value={edits[course.course_id]?.prerequisite_course_id ?? course.prerequisite_course_id ?? ''}
+                  onChange={e => handleFieldEdit(course.course_id, 'prerequisite_course_id', e.target.value || null)}
+                  title="Course that must be completed first by the same group"
+                >
+                  <option value="">No prerequisite</option>
+                  {courses
+                    .filter(other => other.course_id !== course.course_id)
+                    .map(other => (
+                      <option key={other.course_id} value={other.course_id}>
+                        {other.course_id}{other.course_name ? ` - ${other.course_name}` : ''}
+                      </option>
+                    ))}
+                </select>
+                {(edits[course.course_id]?.prerequisite_course_id ?? course.prerequisite_course_id) && (
+                  <div className="sequencing-gaps">
+                    <input
+                      type="number"
+                      min="0"
+                      placeholder="Min"
+                      value={edits[course.course_id]?.min_gap_days ?? course.min_gap_days ?? ''}
+                      onChange={e => handleFieldEdit(course.course_id, 'min_gap_days', e.target.value === '' ? null : parseInt(e.target.value))}
+                      title="Minimum working days after the prerequisite ends"
+                    />
+                    <input
+                      type="number"
+                      min="0"
+                      placeholder="Max"
+                      value={edits[course.course_id]?.max_gap_days ?? course.max_gap_days ?? ''}
+                      onChange={e => handleFieldEdit(course.course_id, 'max_gap_days', e.target.value === '' ? null : parseInt(e.target.value))}
+                      title="Maximum working days after the prerequisite ends"
+                    />
+                    <label title="Both courses must fall in the same Monday-Sunday week">
+                      <input
+                        type="checkbox"
+                        checked={Boolean(edits[course.course_id]?.same_week_as_prerequisite ?? course.same_week_as_prerequisite)}
+                        onChange={e => handleFieldEdit(course.course_id, 'same_week_as_prerequisite', e.target.checked)}
+                      />
+                      Same week
+                    </label>
+                  </div>
+                )}
+              </td>
+              <td>
+                <select
+                  value={getDeliveryMode({ delivery_mode: edits[course.course_id]?.delivery_mode ?? course.delivery_mode })}
+                  onChange={e => handleFieldEdit(course.course_id, 'delivery_mode', e.target.value)}
+                  title="Virtual sessions use no classroom and pool learners from every training location"
+                >
+                  {Object.values(DELIVERY_MODE).map(mode => (
+                    <option key={mode} value={mode}>{DELIVERY_MODE_LABELS[mode]}</option>
+                  ))}
+                </select>
+                {getDeliveryMode({ delivery_mode: edits[course.course_id]?.delivery_mode ?? course.delivery_mode }) !== DELIVERY_MODE.CLASSROOM && (
+                  <div className="delivery-options">
+                    <input
+                      type="url"
+                      placeholder="Meeting link"
+                      value={edits[course.course_id]?.meeting_link ?? course.meeting_link ?? ''}
+                      onChange={e => handleFieldEdit(course.course_id, 'meeting_link', e.target.value || null)}
+                      title="Online meeting link added to every session of this course"
+                    />
+                    {getDeliveryMode({ delivery_mode: edits[course.course_id]?.delivery_mode ?? course.delivery_mode }) === DELIVERY_MODE.VIRTUAL && (
+                      <input
+                        type="number"
+                        min="1"
+                        placeholder="Max attendees"
+                        value={edits[course.course_id]?.virtual_max_attendees ?? course.virtual_max_attendees ?? ''}
+                        onChange={e => handleFieldEdit(course.course_id, 'virtual_max_attendees', e.target.value === '' ? null : parseInt(e.target.value))}
+                        title="Maximum attendees per virtual session (defaults to the schedule's maximum attendees)"
+                      />
+                    )}
+                  </div>
+                )}
+              </td>
               <td>
                 <button 
                   onClick={() => {
@@ -2,9 +2,11 @@ import React, { useState } from 'react';
 import { supabase } from '@core/services/supabaseClient';
 import * as XLSX from 'xlsx';
 import { saveAs } from 'file-saver';
+import { createMonthlyGridWorkbook, MONTHLY_GRID_COLOR_BY } from '@core/utils/monthlyCalendarExport';
 
 const ExcelExportDialog = ({ selectedSchedules, onBack }) => {
-  const [exportFormat, setExportFormat] = useState('detailed'); // 'summary', 'detailed', 'visual', 'calendar'
+  const [exportFormat, setExportFormat] = useState('detailed'); // 'summary', 'detailed', 'visual', 'calendar', 'monthly-grid'
+  const [gridColorBy, setGridColorBy] = useState(MONTHLY_GRID_COLOR_BY.COURSE);
   const [fileFormat, setFileFormat] = useState('xlsx'); // 'xlsx', 'csv'
   const [includeMetadata, setIncludeMetadata] = useState(true);
   const [exporting, setExporting] = useState(false);
@@ -37,6 +39,8 @@ const ExcelExportDialog = ({ selectedSchedules, onBack }) => {
         workbook = createVisualExport(scheduleData);
       } else if (exportFormat === 'calendar') {
         workbook = createCalendarExport(scheduleData);
+      } else if (exportFormat === 'monthly-grid') {
+        workbook = await createMonthlyGridExport(scheduleData);
       }
 
       // Add metadata sheet if requested
@@ -263,6 +267,27 @@ const ExcelExportDialog = ({ selectedSchedules, onBack }) => {
     return workbook;
   };
 
+  const createMonthlyGridExport = async (scheduleData) => {
+    // The grid needs the saved session rows (groups, classrooms, multi-day parts)
+    const sessionLists = await Promise.all(
+      scheduleData.map(async (schedule) => {
+        const { data, error } = await supabase
+          .from('training_sessions')
+          .select('*')
+          .eq('schedule_id', schedule.id)
+          .order('start_datetime');
+
+        if (error) throw error;
+        return (data || []).map(session => ({ ...session, schedule_name: schedule.name }));
+      })
+    );
+
+    return createMonthlyGridWorkbook(sessionLists.flat(), {
+      colorBy: gridColorBy,
+      showScheduleName: scheduleData.length > 1
+    });
+  };
+
   const addMetadataSheet = (workbook, scheduleData) => {
     const metadata = [
       { Property: 'Export Date', Value: new Date().toISOString() },
@@ -349,9 +374,44 @@ const ExcelExportDialog = ({ selectedSchedules, onBack }) => {
               />
               Calendar (For calendar import)
             </label>
+            <label>
+              <input
+                type="radio"
+                value="monthly-grid"
+                checked={exportFormat === 'monthly-grid'}
+                onChange={(e) => setExportFormat(e.target.value)}
+              />
+              Monthly Grid (Wall-planner calendar layout)
+            </label>
           </div>
         </div>
 
+        {exportFormat === 'monthly-grid' && (
+          <div className="option-group">
+            <label>Colour Sessions By:</label>
+            <div className="radio-group">
+              <label>
+                <input
+                  type="radio"
+                  value={MONTHLY_GRID_COLOR_BY.COURSE}
+                  checked={gridColorBy === MONTHLY_GRID_COLOR_BY.COURSE}
+                  onChange={(e) => setGridColorBy(e.target.value)}
+                />
+                Course
+              </label>
+              <label>
+                <input
+                  type="radio"
+                  value={MONTHLY_GRID_COLOR_BY.LOCATION}
+                  checked={gridColorBy === MONTHLY_GRID_COLOR_BY.LOCATION}
+                  onChange={(e) => setGridColorBy(e.target.value)}
+                />
+                Location
+              </label>
+            </div>
+          </div>
+        )}
+
         <div className="option-group">
           <label>File Format:</label>
           <div className="radio-group">
@@ -53,14 +53,16 @@ const ReferenceDataManager = () => {
       table: 'training_locations',
       displayField: 'name',
       columns: [
-        { key: 'id', label: 'ID', type: 'number', width: '6%', readonly: true },
-        { key: 'name', label: 'Name', type: 'text', width: '20%' },
-        { key: 'description', label: 'Description', type: 'text', width: '25%' },
-        { key: 'capacity', label: 'Capacity', type: 'number', width: '8%' },
-        { key: 'classrooms_count', label: 'Classrooms', type: 'number', width: '8%' },
-        { key: 'display_order', label: 'Order', type: 'number', width: '8%' },
-        { key: 'active', label: 'Active', type: 'boolean', width: '8%' },
-        { key: 'created_at', label: 'Created', type: 'datetime', width: '12%', readonly: true }
+        { key: 'id', label: 'ID', type: 'number', width: '5%', readonly: true },
+        { key: 'name', label: 'Name', type: 'text', width: '16%' },
+        { key: 'description', label: 'Description', type: 'text', width: '19%' },
+        { key: 'capacity', label: 'Capacity', type: 'number', width: '7%' },
+        { key: 'classrooms_count', label: 'Classrooms', type: 'number', width: '7%' },
+        { key: 'go_live_date', label: 'Go-Live', type: 'date', width: '11%' },
+        { key: 'train_weeks_before', label: 'Train Weeks Before', type: 'number', width: '8%', nullable: true },
+        { key: 'display_order', label: 'Order', type: 'number', width: '7%' },
+        { key: 'active', label: 'Active', type: 'boolean', width: '7%' },
+        { key: 'created_at', label: 'Created', type: 'datetime', width: '10%', readonly: true }
       ]
     }
   };
@@ -268,6 +270,20 @@ const ReferenceDataManager = () => {
             }))}
           />
         );
+      case 'date':
+        return (
+          <input
+            type="date"
+            value={currentValue || ''}
+            onChange={e => setEdits(prev => ({
+              ...prev,
+              [`${tabKey}-${item.id}`]: {
+                ...prev[`${tabKey}-${item.id}`],
+                [column.key]: e.target.value || null
+              }
+            }))}
+          />
+        );
       default:
         return (
           <input
@@ -380,7 +396,10 @@ const ReferenceDataManager = () => {
                       newItem[col.key] = true;
                       break;
                     case 'number':
-                      newItem[col.key] = col.key === 'display_order' ? 999 : 1;
+                      newItem[col.key] = col.key === 'display_order' ? 999 : (col.nullable ? null : 1);
+                      break;
+                    case 'date':
+                      newItem[col.key] = null;
                       break;
                     default:
                       newItem[col.key] = '';
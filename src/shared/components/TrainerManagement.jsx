@@ -3,6 +3,18 @@ import { supabase } from '@core/services/supabaseClient';
 import { useProject } from '@core/contexts/ProjectContext';
 import './TrainerManagement.css';
 
+const DAY_OPTIONS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const emptyAvailabilityWindow = (windowType) => ({
+  window_type: windowType,
+  day_of_week: windowType === 'weekly' ? 1 : null,
+  start_time: windowType === 'weekly' ? '09:00' : '',
+  end_time: windowType === 'weekly' ? '17:00' : '',
+  start_date: '',
+  end_date: '',
+  note: ''
+});
+
 const TrainerManagement = () => {
   const { currentProject } = useProject();
   const [trainers, setTrainers] = useState([]);
@@ -11,13 +23,18 @@ const TrainerManagement = () => {
   const [searchTerm, setSearchTerm] = useState('');
   const [showAddForm, setShowAddForm] = useState(false);
   const [editingTrainer, setEditingTrainer] = useState(null);
+  const [trainingLocations, setTrainingLocations] = useState([]);
+  const [availabilityWindows, setAvailabilityWindows] = useState([]);
   const [formData, setFormData] = useState({
     name: '',
     email: '',
     phone: '',
     specializations: '',
     bio: '',
-    active: true
+    active: true,
+    home_location: '',
+    max_hours_per_day: '',
+    max_hours_per_week: ''
   });
 
   // Filter trainers based on search term
@@ -33,8 +50,88 @@ const TrainerManagement = () => {
   // Fetch trainers from database
   useEffect(() => {
     fetchTrainers();
+    fetchTrainingLocations();
   }, [currentProject]);
 
+  const fetchTrainingLocations = async () => {
+    if (!currentProject) {
+      setTrainingLocations([]);
+      return;
+    }
+
+    const { data, error } = await supabase
+      .from('training_locations')
+      .select('name')
+      .eq('project_id', currentProject.id)
+      .eq('active', true)
+      .order('display_order');
+
+    if (error) {
+      console.error('Error fetching training locations:', error);
+      return;
+    }
+    setTrainingLocations((data || []).map(location => location.name));
+  };
+
+  const fetchAvailability = async (trainerId) => {
+    const { data, error } = await supabase
+      .from('trainer_availability')
+      .select('*')
+      .eq('trainer_id', trainerId)
+      .eq('project_id', currentProject.id)
+      .order('window_type')
+      .order('day_of_week');
+
+    if (error) throw error;
+    setAvailabilityWindows((data || []).map(window => ({
+      window_type: window.window_type,
+      day_of_week: window.day_of_week,
+      start_time: window.start_time ? window.start_time.slice(0, 5) : '',
+      end_time: window.end_time ? window.end_time.slice(0, 5) : '',
+      start_date: window.start_date || '',
+      end_date: window.end_date || '',
+      note: window.note || ''
+    })));
+  };
+
+  // Replace the trainer's availability windows with the ones in the form
+  const saveAvailability = async (trainerId) => {
+    const { error: deleteError } = await supabase
+      .from('trainer_availability')
+      .delete()
+      .eq('trainer_id', trainerId)
+      .eq('project_id', currentProject.id);
+
+    if (deleteError) throw deleteError;
+    if (availabilityWindows.length === 0) return;
+
+    const rows = availabilityWindows.map(window => ({
+      project_id: currentProject.id,
+      trainer_id: trainerId,
+      window_type: window.window_type,
+      day_of_week: window.window_type === 'weekly' ? Number(window.day_of_week) : null,
+      start_time: window.start_time || null,
+      end_time: window.end_time || null,
+      start_date: window.start_date || null,
+      end_date: window.end_date || null,
+      note: window.note || null
+    }));
+
+    const { error: insertError } = await supabase
+      .from('trainer_availability')
+      .insert(rows);
+
+    if (insertError) throw insertError;
+  };
+
+  const updateAvailabilityWindow = (index, field, value) => {
+    setAvailabilityWindows(prev => prev.map((window, i) => (i === index ? { ...window, [field]: value } : window)));
+  };
+
+  const removeAvailabilityWindow = (index) => {
+    setAvailabilityWindows(prev => prev.filter((_, i) => i !== index));
+  };
+
   const fetchTrainers = async () => {
     try {
       if (!currentProject) {
@@ -73,7 +170,10 @@ const TrainerManagement = () => {
         specializations: formData.specializations
           .split(',')
           .map(s => s.trim())
-          .filter(s => s.length > 0)
+          .filter(s => s.length > 0),
+        home_location: formData.home_location || null,
+        max_hours_per_day: formData.max_hours_per_day === '' ? null : Number(formData.max_hours_per_day),
+        max_hours_per_week: formData.max_hours_per_week === '' ? null : Number(formData.max_hours_per_week)
       };
 
       if (editingTrainer) {
@@ -84,6 +184,7 @@ const TrainerManagement = () => {
           .eq('id', editingTrainer.id);
 
         if (error) throw error;
+        await saveAvailability(editingTrainer.id);
       } else {
         // Create new trainer - add project_id
         const trainerWithProject = {
@@ -91,11 +192,14 @@ const TrainerManagement = () => {
           project_id: currentProject.id
         };
         
-        const { error } = await supabase
+        const { data: newTrainer, error } = await supabase
           .from('trainers')
-          .insert([trainerWithProject]);
+          .insert([trainerWithProject])
+          .select()
+          .single();
 
         if (error) throw error;
+        await saveAvailability(newTrainer.id);
       }
 
       // Reset form and refresh data
@@ -106,7 +210,7 @@ const TrainerManagement = () => {
     }
   };
 
-  const handleEdit = (trainer) => {
+  const handleEdit = async (trainer) => {
     setEditingTrainer(trainer);
     setFormData({
       name: trainer.name,
@@ -114,9 +218,18 @@ const TrainerManagement = () => {
       phone: trainer.phone || '',
       specializations: trainer.specializations?.join(', ') || '',
       bio: trainer.bio || '',
-      active: trainer.active
+      active: trainer.active,
+      home_location: trainer.home_location || '',
+      max_hours_per_day: trainer.max_hours_per_day ?? '',
+      max_hours_per_week: trainer.max_hours_per_week ?? ''
     });
     setShowAddForm(true);
+
+    try {
+      await fetchAvailability(trainer.id);
+    } catch (error) {
+      setError(error.message);
+    }
   };
 
   const handleDelete = async (trainerId) => {
@@ -158,8 +271,12 @@ const TrainerManagement = () => {
       phone: '',
       specializations: '',
       bio: '',
-      active: true
+      active: true,
+      home_location: '',
+      max_hours_per_day: '',
+      max_hours_per_week: ''
     });
+    setAvailabilityWindows([]);
     setEditingTrainer(null);
     setShowAddForm(false);
   };
@@ -325,6 +442,119 @@ const TrainerManagement = () => {
                 onChange={(e) => setFormData({ ...formData, specializations: e.target.value })}
               />
             </div>
+            <div className="form-grid">
+              <div className="form-group">
+                <label htmlFor="home_location">Home Training Location</label>
+                <select
+                  id="home_location"
+                  value={formData.home_location}
+                  onChange={(e) => setFormData({ ...formData, home_location: e.target.value })}
+                >
+                  <option value="">Any location</option>
+                  {trainingLocations.map(location => (
+                    <option key={location} value={location}>{location}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="form-group">
+                <label htmlFor="max_hours_per_day">Max Teaching Hours / Day</label>
+                <input
+                  type="number"
+                  id="max_hours_per_day"
+                  min="0.5"
+                  step="0.5"
+                  placeholder="No limit"
+                  value={formData.max_hours_per_day}
+                  onChange={(e) => setFormData({ ...formData, max_hours_per_day: e.target.value })}
+                />
+              </div>
+              <div className="form-group">
+                <label htmlFor="max_hours_per_week">Max Teaching Hours / Week</label>
+                <input
+                  type="number"
+                  id="max_hours_per_week"
+                  min="0.5"
+                  step="0.5"
+                  placeholder="No limit"
+                  value={formData.max_hours_per_week}
+                  onChange={(e) => setFormData({ ...formData, max_hours_per_week: e.target.value })}
+                />
+              </div>
+            </div>
+            <div className="form-group availability-section">
+              <label>Availability</label>
+              <p className="availability-hint">
+                Without weekly windows the trainer is available during all scheduling hours.
+                Unavailable periods (leave, other commitments) always take precedence.
+              </p>
+              {availabilityWindows.map((window, index) => (
+                <div key={index} className="availability-row">
+                  {window.window_type === 'weekly' ? (
+                    <>
+                      <span className="availability-type">Weekly</span>
+                      <select
+                        value={window.day_of_week}
+                        onChange={(e) => updateAvailabilityWindow(index, 'day_of_week', Number(e.target.value))}
+                      >
+                        {DAY_OPTIONS.map((day, dayIndex) => (
+                          <option key={day} value={dayIndex}>{day}</option>
+                        ))}
+                      </select>
+                    </>
+                  ) : (
+                    <>
+                      <span className="availability-type unavailable">Unavailable</span>
+                      <input
+                        type="date"
+                        required
+                        value={window.start_date}
+                        onChange={(e) => updateAvailabilityWindow(index, 'start_date', e.target.value)}
+                      />
+                      <input
+                        type="date"
+                        value={window.end_date}
+                        onChange={(e) => updateAvailabilityWindow(index, 'end_date', e.target.value)}
+                      />
+                    </>
+                  )}
+                  <input
+                    type="time"
+                    required={window.window_type === 'weekly'}
+                    value={window.start_time}
+                    onChange={(e) => updateAvailabilityWindow(index, 'start_time', e.target.value)}
+                  />
+                  <input
+                    type="time"
+                    required={window.window_type === 'weekly'}
+                    value={window.end_time}
+                    onChange={(e) => updateAvailabilityWindow(index, 'end_time', e.target.value)}
+                  />
+                  <input
+                    type="text"
+                    placeholder="Note"
+                    value={window.note}
+                    onChange={(e) => updateAvailabilityWindow(index, 'note', e.target.value)}
+                  />
+                  <button type="button" className="remove-window-btn" onClick={() => removeAvailabilityWindow(index)}>
+                    ×
+                  </button>
+                </div>
+              ))}
+              <div className="availability-actions">
+                <button
+                  type="button"
+                  onClick={() => setAvailabilityWindows(prev => [...prev, emptyAvailabilityWindow('weekly')])}
+                >
+                  + Weekly Window
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setAvailabilityWindows(prev => [...prev, emptyAvailabilityWindow('unavailable')])}
+                >
+                  + Unavailable Period
+                </button>
+              </div>
+            </div>
             <div className="form-group">
               <label htmlFor="bio">Bio</label>
               <textarea
@@ -351,10 +581,11 @@ const TrainerManagement = () => {
         <table className="trainers-table">
           <thead className="table-header">
             <tr>
-              <th style={{width: '20%'}}>Name</th>
-              <th style={{width: '18%'}}>Email</th>
-              <th style={{width: '12%'}}>Phone</th>
-              <th style={{width: '25%'}}>Specializations</th>
+              <th style={{width: '17%'}}>Name</th>
+              <th style={{width: '16%'}}>Email</th>
+              <th style={{width: '10%'}}>Phone</th>
+              <th style={{width: '20%'}}>Specializations</th>
+              <th style={{width: '12%'}}>Home / Max Hours</th>
               <th style={{width: '10%'}}>Status</th>
               <th style={{width: '15%'}}>Actions</th>
             </tr>
@@ -374,6 +605,14 @@ const TrainerManagement = () => {
                     )) || 'None'}
                   </div>
                 </td>
+                <td>
+                  <div>{trainer.home_location || 'Any location'}</div>
+                  <div className="trainer-capacity">
+                    {trainer.max_hours_per_day ? `${trainer.max_hours_per_day}h/day` : '–'}
+                    {' · '}
+                    {trainer.max_hours_per_week ? `${trainer.max_hours_per_week}h/week` : '–'}
+                  </div>
+                </td>
                 <td>
                   <span className={`status-badge ${trainer.active ? 'active' : 'inactive'}`}>
                     {trainer.active ? 'Active' : 'Inactive'}
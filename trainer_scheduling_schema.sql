@@ -0,0 +1,119 @@
+-- =====================================================
+-- TRAINER-AWARE SCHEDULING
+-- Trainer capacity limits, home location and availability windows
+-- =====================================================
+
+-- Purpose: Lets the TSC Wizard scheduling engine assign a qualified trainer
+-- to every generated session. Trainers without availability windows are
+-- treated as available during all scheduling hours; trainers without a
+-- home location can teach at any training location.
+
+-- =====================================================
+-- TABLE CHANGES: trainers
+-- =====================================================
+
+ALTER TABLE trainers ADD COLUMN IF NOT EXISTS home_location TEXT;
+ALTER TABLE trainers ADD COLUMN IF NOT EXISTS max_hours_per_day NUMERIC(4,1);
+ALTER TABLE trainers ADD COLUMN IF NOT EXISTS max_hours_per_week NUMERIC(5,1);
+
+ALTER TABLE trainers DROP CONSTRAINT IF EXISTS check_trainer_max_hours;
+ALTER TABLE trainers ADD CONSTRAINT check_trainer_max_hours CHECK (
+  (max_hours_per_day IS NULL OR max_hours_per_day > 0) AND
+  (max_hours_per_week IS NULL OR max_hours_per_week > 0)
+);
+
+-- =====================================================
+-- TABLE: trainer_availability
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS trainer_availability (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+  trainer_id UUID NOT NULL REFERENCES trainers(id) ON DELETE CASCADE,
+  window_type TEXT NOT NULL DEFAULT 'weekly'
+    CHECK (window_type IN ('weekly', 'unavailable')),
+  -- 'weekly'      = recurring teaching window (day_of_week + times)
+  -- 'unavailable' = leave / other commitments (date range, optional times)
+  day_of_week SMALLINT CHECK (day_of_week BETWEEN 0 AND 6),
+  -- 0 = Sunday ... 6 = Saturday (matches JavaScript Date.getDay())
+  start_time TIME,
+  end_time TIME,
+  start_date DATE,
+  end_date DATE,
+  note TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+  CONSTRAINT check_weekly_window CHECK (
+    window_type <> 'weekly' OR (day_of_week IS NOT NULL AND start_time IS NOT NULL AND end_time IS NOT NULL)
+  ),
+  CONSTRAINT check_unavailable_period CHECK (
+    window_type <> 'unavailable' OR start_date IS NOT NULL
+  ),
+  CONSTRAINT check_availability_time_order CHECK (start_time IS NULL OR end_time IS NULL OR end_time > start_time),
+  CONSTRAINT check_availability_date_order CHECK (end_date IS NULL OR start_date IS NULL OR end_date >= start_date)
+);
+
+-- =====================================================
+-- INDEXES FOR PERFORMANCE
+-- =====================================================
+
+CREATE INDEX IF NOT EXISTS idx_trainer_availability_project_id
+  ON trainer_availability(project_id);
+
+CREATE INDEX IF NOT EXISTS idx_trainer_availability_trainer_id
+  ON trainer_availability(trainer_id);
+
+-- =====================================================
+-- ROW LEVEL SECURITY (RLS) POLICIES
+-- =====================================================
+
+ALTER TABLE trainer_availability ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view trainer availability for their projects"
+  ON trainer_availability
+  FOR SELECT
+  USING (
+    project_id IN (
+      SELECT pu.project_id
+      FROM project_users pu
+      WHERE pu.user_id = auth.uid()
+        AND pu.is_active = true
+    )
+  );
+
+CREATE POLICY "Users can manage trainer availability for their projects"
+  ON trainer_availability
+  FOR ALL
+  USING (
+    project_id IN (
+      SELECT pu.project_id
+      FROM project_users pu
+      WHERE pu.user_id = auth.uid()
+        AND pu.is_active = true
+        AND pu.role IN ('owner', 'admin', 'member')
+    )
+  );
+
+-- =====================================================
+-- TRIGGERS
+-- =====================================================
+
+CREATE OR REPLACE FUNCTION update_trainer_availability_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at = NOW();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trainer_availability_updated_at
+  BEFORE UPDATE ON trainer_availability
+  FOR EACH ROW
+  EXECUTE FUNCTION update_trainer_availability_updated_at();
+
+-- =====================================================
+-- PERMISSIONS
+-- =====================================================
+
+GRANT SELECT, INSERT, UPDATE, DELETE ON trainer_availability TO authenticated;
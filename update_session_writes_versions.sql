@@ -0,0 +1,240 @@
+-- =====================================================
+-- UPDATE: apply_training_session_changes checks session versions
+-- =====================================================
+
+-- Purpose: Adds p_expected_versions to apply_training_session_changes
+-- (atomic_session_writes_schema.sql) for live collaboration. p_expected_versions
+-- maps session ids to the updated_at the caller last saw. An update or delete
+-- of a session that has been saved by someone else since then fails with
+-- "conflict": true in its failure entry instead of overwriting their change:
+--   [{ "operation": "update", "index": 3, "id": "...", "session_identifier": "...",
+--      "message": "Session was changed by someone else", "conflict": true }]
+--
+-- Run after atomic_session_writes_schema.sql and realtime_collaboration_schema.sql,
+-- which adds the updated_at versions. The function replaces the earlier version
+-- without p_expected_versions; callers that do not pass it are unaffected.
+
+-- =====================================================
+-- FUNCTION: apply_training_session_changes
+-- =====================================================
+
+-- Earlier version without p_expected_versions
+DROP FUNCTION IF EXISTS apply_training_session_changes(UUID, UUID, JSONB, JSONB, UUID[], JSONB);
+
+CREATE OR REPLACE FUNCTION apply_training_session_changes(
+  p_project_id UUID,
+  p_schedule_id UUID DEFAULT NULL,
+  p_updates JSONB DEFAULT '[]'::jsonb,
+  -- [{ "id": "...", <columns to change> }]
+  p_inserts JSONB DEFAULT '[]'::jsonb,
+  -- [{ <training_sessions columns> }] - schedule_id and project_id are set here
+  p_delete_ids UUID[] DEFAULT '{}',
+  p_schedule_changes JSONB DEFAULT NULL,
+  -- { criteria, functional_areas, training_locations, updated_at } - any other column is rejected
+  p_expected_versions JSONB DEFAULT NULL
+  -- { "<session id>": "<updated_at>" } - sessions not listed are written unchecked
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_failures JSONB := '[]'::jsonb;
+  v_inserted JSONB := '[]'::jsonb;
+  v_row JSONB;
+  v_index INTEGER;
+  v_columns TEXT;
+  v_inserted_row JSONB;
+  v_count INTEGER;
+  v_updated INTEGER := 0;
+  v_deleted INTEGER := 0;
+  v_id TEXT;
+  v_current_version TIMESTAMPTZ;
+  v_found BOOLEAN;
+BEGIN
+  IF p_project_id IS NULL THEN
+    RAISE EXCEPTION 'Project ID is required for all session operations';
+  END IF;
+
+  IF p_schedule_id IS NULL AND (jsonb_array_length(p_inserts) > 0 OR p_schedule_changes IS NOT NULL) THEN
+    RAISE EXCEPTION 'Schedule ID is required to add sessions or change the schedule';
+  END IF;
+
+  -- Updates: only the columns present in each change are written; identity columns never are
+  FOR v_index IN 0 .. jsonb_array_length(p_updates) - 1 LOOP
+    v_row := p_updates -> v_index;
+
+    -- Saved by someone else since the caller loaded it
+    IF p_expected_versions ? (v_row ->> 'id') THEN
+      SELECT t.updated_at INTO v_current_version
+        FROM training_sessions t
+       WHERE t.id = (v_row ->> 'id')::uuid AND t.project_id = p_project_id
+         FOR UPDATE;
+      v_found := FOUND;
+
+      IF NOT v_found OR v_current_version IS DISTINCT FROM (p_expected_versions ->> (v_row ->> 'id'))::timestamptz THEN
+        v_failures := v_failures || jsonb_build_object(
+          'operation', 'update',
+          'index', v_index,
+          'id', v_row ->> 'id',
+          'session_identifier', v_row ->> 'session_identifier',
+          'message', CASE WHEN v_found
+            THEN 'Session was changed by someone else'
+            ELSE 'Session was deleted by someone else' END,
+          'conflict', true
+        );
+        CONTINUE;
+      END IF;
+    END IF;
+
+    BEGIN
+      SELECT string_agg(format('%I = r.%I', key, key), ', ')
+        INTO v_columns
+        FROM jsonb_object_keys(v_row) AS key
+        WHERE key NOT IN ('id', 'project_id', 'schedule_id', 'session_identifier', 'created_at', 'updated_at');
+
+      IF v_columns IS NOT NULL THEN
+        EXECUTE format(
+          'UPDATE training_sessions t SET %s, updated_at = NOW()
+             FROM jsonb_populate_record(NULL::training_sessions, $1) r
+            WHERE t.id = $2 AND t.project_id = $3 AND ($4::uuid IS NULL OR t.schedule_id = $4)',
+          v_columns
+        ) USING v_row, (v_row ->> 'id')::uuid, p_project_id, p_schedule_id;
+
+        GET DIAGNOSTICS v_count = ROW_COUNT;
+        IF v_count = 0 THEN
+          RAISE EXCEPTION 'Session not found in this schedule';
+        END IF;
+        v_updated := v_updated + 1;
+      END IF;
+    EXCEPTION WHEN OTHERS THEN
+      v_failures := v_failures || jsonb_build_object(
+        'operation', 'update',
+        'index', v_index,
+        'id', v_row ->> 'id',
+        'session_identifier', v_row ->> 'session_identifier',
+        'message', SQLERRM
+      );
+    END;
+  END LOOP;
+
+  -- Inserts
+  FOR v_index IN 0 .. jsonb_array_length(p_inserts) - 1 LOOP
+    v_row := (p_inserts -> v_index) - 'id' - 'created_at' - 'updated_at'
+      || jsonb_build_object('schedule_id', p_schedule_id, 'project_id', p_project_id);
+    BEGIN
+      SELECT string_agg(format('%I', key), ', ')
+        INTO v_columns
+        FROM jsonb_object_keys(v_row) AS key;
+
+      EXECUTE format(
+        'INSERT INTO training_sessions (%1$s)
+         SELECT %1$s FROM jsonb_populate_record(NULL::training_sessions, $1)
+         RETURNING to_jsonb(training_sessions.*)',
+        v_columns
+      ) USING v_row INTO v_inserted_row;
+
+      v_inserted := v_inserted || jsonb_build_array(v_inserted_row);
+    EXCEPTION WHEN OTHERS THEN
+      v_failures := v_failures || jsonb_build_object(
+        'operation', 'insert',
+        'index', v_index,
+        'id', NULL,
+        'session_identifier', v_row ->> 'session_identifier',
+        'message', SQLERRM
+      );
+    END;
+  END LOOP;
+
+  -- Deletes: sessions changed by someone else since the caller loaded them are kept
+  FOR v_id IN
+    SELECT t.id::text
+      FROM training_sessions t
+     WHERE t.id = ANY(p_delete_ids)
+       AND t.project_id = p_project_id
+       AND p_expected_versions ? t.id::text
+       AND t.updated_at IS DISTINCT FROM (p_expected_versions ->> t.id::text)::timestamptz
+       FOR UPDATE
+  LOOP
+    v_failures := v_failures || jsonb_build_object(
+      'operation', 'delete',
+      'index', NULL,
+      'id', v_id,
+      'session_identifier', NULL,
+      'message', 'Session was changed by someone else',
+      'conflict', true
+    );
+  END LOOP;
+
+  IF array_length(p_delete_ids, 1) > 0 THEN
+    BEGIN
+      DELETE FROM training_sessions
+       WHERE id = ANY(p_delete_ids)
+         AND project_id = p_project_id
+         AND (p_schedule_id IS NULL OR schedule_id = p_schedule_id);
+      GET DIAGNOSTICS v_deleted = ROW_COUNT;
+    EXCEPTION WHEN OTHERS THEN
+      v_failures := v_failures || jsonb_build_object(
+        'operation', 'delete',
+        'index', NULL,
+        'id', NULL,
+        'session_identifier', NULL,
+        'message', SQLERRM
+      );
+    END;
+  END IF;
+
+  -- Schedule metadata: only the columns the Schedule Editor saves. Status and version have
+  -- their own functions (transition_schedule_status, schedule revisions) and are never
+  -- written from a change set.
+  IF p_schedule_changes IS NOT NULL THEN
+    BEGIN
+      SELECT string_agg(format('%I', key), ', ')
+        INTO v_columns
+        FROM jsonb_object_keys(p_schedule_changes) AS key
+        WHERE key NOT IN ('criteria', 'functional_areas', 'training_locations', 'updated_at');
+
+      IF v_columns IS NOT NULL THEN
+        RAISE EXCEPTION 'Schedule column(s) cannot be changed with session changes: %', v_columns;
+      END IF;
+
+      SELECT string_agg(format('%I = r.%I', key, key), ', ')
+        INTO v_columns
+        FROM jsonb_object_keys(p_schedule_changes) AS key;
+
+      IF v_columns IS NOT NULL THEN
+        EXECUTE format(
+          'UPDATE training_schedules t SET %s
+             FROM jsonb_populate_record(NULL::training_schedules, $1) r
+            WHERE t.id = $2 AND t.project_id = $3',
+          v_columns
+        ) USING p_schedule_changes, p_schedule_id, p_project_id;
+      END IF;
+    EXCEPTION WHEN OTHERS THEN
+      v_failures := v_failures || jsonb_build_object(
+        'operation', 'schedule',
+        'index', NULL,
+        'id', p_schedule_id,
+        'session_identifier', NULL,
+        'message', SQLERRM
+      );
+    END;
+  END IF;
+
+  -- Any failure rolls back the whole change set
+  IF jsonb_array_length(v_failures) > 0 THEN
+    RAISE EXCEPTION 'Session changes were not saved: % row(s) failed', jsonb_array_length(v_failures)
+      USING DETAIL = v_failures::text;
+  END IF;
+
+  -- inserted holds the new training_sessions rows
+  RETURN jsonb_build_object(
+    'updated', v_updated,
+    'inserted', v_inserted,
+    'deleted', v_deleted
+  );
+END;
+$$ LANGUAGE plpgsql SECURITY INVOKER;
+
+-- =====================================================
+-- PERMISSIONS
+-- =====================================================
+
+GRANT EXECUTE ON FUNCTION apply_training_session_changes(UUID, UUID, JSONB, JSONB, UUID[], JSONB, JSONB) TO authenticated;
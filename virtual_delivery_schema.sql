@@ -0,0 +1,32 @@
+-- =====================================================
+-- VIRTUAL AND HYBRID DELIVERY
+-- Course delivery modes and online meeting links
+-- =====================================================
+
+-- Purpose: Courses can be delivered in a classroom, fully online (virtual) or
+-- in a classroom with remote attendees (hybrid). Virtual sessions take no
+-- classroom, pool learners from every training location and may allow more
+-- attendees than a classroom. The course's meeting link is copied onto each
+-- generated session so calendars, invites and assignments can show it.
+
+-- =====================================================
+-- TABLE CHANGES: courses
+-- =====================================================
+
+ALTER TABLE courses ADD COLUMN IF NOT EXISTS delivery_mode TEXT DEFAULT 'classroom';
+ALTER TABLE courses ADD COLUMN IF NOT EXISTS virtual_max_attendees INTEGER;
+ALTER TABLE courses ADD COLUMN IF NOT EXISTS meeting_link TEXT;
+
+ALTER TABLE courses DROP CONSTRAINT IF EXISTS check_course_delivery_mode;
+ALTER TABLE courses ADD CONSTRAINT check_course_delivery_mode CHECK (
+  (delivery_mode IS NULL OR delivery_mode IN ('classroom', 'virtual', 'hybrid')) AND
+  (virtual_max_attendees IS NULL OR virtual_max_attendees > 0)
+);
+
+-- =====================================================
+-- TABLE CHANGES: training_sessions
+-- =====================================================
+
+-- delivery_method already records 'in_person'; virtual and hybrid sessions
+-- use 'virtual' and 'hybrid'
+ALTER TABLE training_sessions ADD COLUMN IF NOT EXISTS meeting_link TEXT;
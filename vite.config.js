@@ -1,9 +1,25 @@
-import { defineConfig } from 'vite'
+import { defineConfig, loadEnv } from 'vite'
 import react from '@vitejs/plugin-react'
 import path from 'path'
 
+// Serves the calendar feed endpoint (api/calendar-feed.js) under `npm run dev`,
+// standing in for the Vercel serverless function
+const calendarFeedDevServer = () => ({
+  name: 'calendar-feed-dev-server',
+  configureServer(server) {
+    const env = loadEnv(server.config.mode, process.cwd(), 'VITE_')
+    server.middlewares.use('/api/calendar-feed', async (req, res) => {
+      const { createCalendarFeedHandler } = await server.ssrLoadModule('/api/calendar-feed.js')
+      await createCalendarFeedHandler({
+        supabaseUrl: env.VITE_SUPABASE_URL,
+        supabaseKey: env.VITE_SUPABASE_ANON_KEY
+      })(req, res)
+    })
+  }
+})
+
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), calendarFeedDevServer()],
   server: {
     host: true,
     port: 5173